@@ -19,6 +19,7 @@ try {
 // Import security middleware
 const securityMiddleware = require('./middleware/security');
 const { ErrorHandler } = require('./utils/errors');
+const { captureRawBody } = require('./utils/webhook-signature');
 const { metricsMiddleware, metricsEndpoint } = require('./middleware/metrics');
 
 // Import routes
@@ -26,6 +27,11 @@ const eventsRoutes = require('./modules/events/events.routes');
 const guestsRoutes = require('./modules/guests/guests.routes');
 const ticketsRoutes = require('./modules/tickets/tickets.routes');
 const marketplaceRoutes = require('./modules/marketplace/marketplace.routes');
+const refundsRoutes = require('./modules/refunds/refunds.routes');
+const currenciesRoutes = require('./modules/currencies/currencies.routes');
+const ordersRoutes = require('./modules/orders/orders.routes');
+const invoicesRoutes = require('./modules/invoices/invoices.routes');
+const payoutsRoutes = require('./modules/payouts/payouts.routes');
 const adminRoutes = require('./modules/admin/admin.routes');
 const invitationsRoutes = require('./modules/invitations/invitations.routes');
 const healthRoutes = require('./health/health.routes');
@@ -95,7 +101,8 @@ const authLimiter = rateLimit({
 app.use(mongoSanitize());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Corps brut conservé pour la vérification de signature des webhooks
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security middleware global (analyse toutes les requêtes)
@@ -187,6 +194,11 @@ app.use('/api/tickets/generation', ticketGenerationRoutes); // Ajout des routes
 // Alias compatible avec les collections Postman existantes (/api/v1/...)
 app.use('/api/v1', ticketGenerationRoutes);
 app.use('/api/marketplace', marketplaceRoutes);
+app.use('/api/refunds', refundsRoutes);
+app.use('/api/currencies', currenciesRoutes);
+app.use('/api/orders', ordersRoutes);
+app.use('/api/invoices', invoicesRoutes);
+app.use('/api/payouts', payoutsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/invitations', invitationsRoutes);
 
@@ -108,12 +108,13 @@ class PaymentClient {
     }
   }
 
-  async processRefund(paymentId, amount, reason = 'Refund requested') {
+  async processRefund(paymentId, amount, reason = 'Refund requested', metadata = {}) {
     try {
       const response = await this.client.post('/api/refunds', {
         payment_id: paymentId,
         amount,
-        reason
+        reason,
+        metadata
       });
       return {
         success: true,
@@ -129,6 +130,7 @@ class PaymentClient {
       });
       return {
         success: false,
+        status: error.response?.status,
         error: error.response?.data || error.message
       };
     }
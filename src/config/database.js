@@ -22,7 +22,29 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+/**
+ * Exécute un callback dans une transaction sur un client dédié du pool
+ * @param {Function} callback - async (client) => résultat
+ * @returns {Promise<*>} Résultat du callback (ROLLBACK en cas d'erreur)
+ */
+const transaction = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  transaction,
   pool
 };
@@ -192,12 +192,18 @@ const createEventError = (errorCode, details) => {
 // ========================================
 const validateEventData = (data) => {
   const Joi = require('joi');
+  const { isValidTimeZone } = require('../utils/timezone');
   
   const eventSchema = Joi.object({
     title: Joi.string().min(3).max(255).required(),
     description: Joi.string().max(5000).optional(),
     event_date: Joi.date().iso().greater('now').required(),
-    location: Joi.string().min(3).max(255).required()
+    end_date: Joi.date().iso().min(Joi.ref('event_date')).optional().allow(null),
+    timezone: Joi.string().max(64).custom((value, helpers) => (
+      isValidTimeZone(value) ? value : helpers.error('any.invalid')
+    ), 'IANA timezone').optional(),
+    location: Joi.string().min(3).max(255).required(),
+    max_attendees: Joi.number().integer().min(1).optional().allow(null)
   });
   
   return validate(eventSchema, data);
@@ -3,6 +3,8 @@
  * Validates all required environment variables and configuration
  */
 
+const { loadKeyRing } = require('../utils/qr-signature');
+
 const requiredEnvVars = [
   'PORT',
   'DB_HOST',
@@ -74,6 +76,16 @@ function validateConfig() {
     }
   }
 
+  // Validate QR signing keys: without an active key no ticket can be issued
+  try {
+    const { activeKeyId, keys } = loadKeyRing();
+    if (!activeKeyId || !keys.has(activeKeyId)) {
+      errors.push('QR_SIGNING_KEYS must contain the active QR signing key (QR_SIGNING_KEY_ID)');
+    }
+  } catch (error) {
+    errors.push('QR_SIGNING_KEYS must be a JSON object or a comma-separated list of kid:secret');
+  }
+
   // Validate log levels
   const validLogLevels = ['error', 'warn', 'info', 'debug'];
   if (process.env.LOG_LEVEL && !validLogLevels.includes(process.env.LOG_LEVEL)) {
@@ -10,6 +10,7 @@
  */
 
 const { initiatePayment, getPaymentStatus, cancelPayment, handlePaymentWebhook } = require('../services/payment-service');
+const { isValidCurrency } = require('../utils/currency');
 
 /**
  * Initialise un paiement pour un événement
@@ -27,10 +28,14 @@ async function createPayment(req, res) {
       customer_info,
       return_url,
       cancel_url,
-      description
+      description,
+      tickets,
+      promo_codes,
+      promo_code
     } = req.body;
     
     const user_id = req.user.id;
+    const db = req.db;
     
     // Validation des données d'entrée
     if (!event_id) {
@@ -41,7 +46,11 @@ async function createPayment(req, res) {
       });
     }
     
-    if (!amount || amount <= 0) {
+    // Avec des billets ou un code promo, le montant est calculé par le service à partir des billets
+    const hasPromoCodes = Boolean(promo_code) || (Array.isArray(promo_codes) && promo_codes.length > 0);
+    const hasTickets = Array.isArray(tickets) && tickets.length > 0;
+    
+    if (!hasPromoCodes && !hasTickets && (!amount || amount <= 0)) {
       return res.status(400).json({
         success: false,
         error: 'amount doit être positif',
@@ -57,6 +66,14 @@ async function createPayment(req, res) {
       });
     }
     
+    if (!isValidCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'currency doit être un code ISO 4217 (ex: EUR, XOF)',
+        code: 'INVALID_CURRENCY'
+      });
+    }
+    
     // Vérification que l'utilisateur est organisateur de l'événement
     const eventQuery = `
       SELECT id, title, organizer_id 
@@ -80,10 +97,12 @@ async function createPayment(req, res) {
     const paymentData = {
       event_id: event.id,
       organizer_id: user_id,
-      amount: parseFloat(amount),
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
       currency: currency.toUpperCase(),
       payment_method: payment_method,
       customer_info: customer_info || {},
+      tickets: Array.isArray(tickets) ? tickets : [],
+      promo_codes: promo_codes || promo_code,
       metadata: {
         event_title: event.title,
         organizer_name: req.user.email || req.user.name,
@@ -102,6 +121,10 @@ async function createPayment(req, res) {
         data: result,
         message: 'Paiement initialisé avec succès'
       });
+    } else if (result.code === 'TICKETS_UNAVAILABLE') {
+      res.status(409).json(result);
+    } else if (result.code === 'PROMO_CODE_INVALID' || result.code === 'DONATION_AMOUNT_INVALID') {
+      res.status(422).json(result);
     } else {
       res.status(400).json(result);
     }
@@ -126,6 +149,7 @@ async function getPayment(req, res) {
   try {
     const { payment_intent_id } = req.params;
     const user_id = req.user.id;
+    const db = req.db;
     
     if (!payment_intent_id) {
       return res.status(400).json({
@@ -184,6 +208,7 @@ async function cancelPaymentIntent(req, res) {
   try {
     const { payment_intent_id } = req.params;
     const user_id = req.user.id;
+    const db = req.db;
     
     if (!payment_intent_id) {
       return res.status(400).json({
@@ -241,6 +266,7 @@ async function cancelPaymentIntent(req, res) {
 async function handleWebhook(req, res) {
   try {
     const webhookData = req.body;
+    const db = req.db;
     
     // Validation des données du webhook
     if (!webhookData.payment_intent_id) {
@@ -295,6 +321,7 @@ async function getEventPayments(req, res) {
     const { event_id } = req.params;
     const { page = 1, limit = 10, status } = req.query;
     const user_id = req.user.id;
+    const db = req.db;
     
     // Vérification que l'utilisateur est organisateur de l'événement
     const eventQuery = `
@@ -26,6 +26,8 @@
 // Import des utilitaires de timeout
 const { queryWithTimeout } = require('../utils/database-timeout');
 const { fetchWithTimeout, callWithRetry } = require('../utils/http-timeout');
+const { getEventEndDate } = require('../utils/timezone');
+const scanLogsService = require('../modules/tickets/scan-logs.service');
 
 // Configuration locale (plus besoin de configuration externe)
 const VALIDATION_TIMEOUT = parseInt(process.env.VALIDATION_TIMEOUT_MS) || 2000; // 2 secondes max
@@ -82,8 +84,15 @@ async function validateScannedTicket(req, res, db) {
     `;
     
     const ticketResult = await queryWithTimeout(db, ticketQuery, [ticket_code, event_id], DATABASE_TIMEOUT);
+    const scanContext = { deviceId: req.body.device_id, checkpointId: req.body.checkpoint_id };
     
     if (ticketResult.rows.length === 0) {
+      await scanLogsService.recordAttempt(
+        { success: false, code: 'TICKET_NOT_FOUND', error: 'Ticket non trouvé pour cet événement' },
+        { ticketCode: ticket_code, eventId: event_id },
+        user_id,
+        scanContext
+      );
       return res.status(404).json({
         success: false,
         error: 'Ticket non trouvé pour cet événement',
@@ -97,6 +106,12 @@ async function validateScannedTicket(req, res, db) {
     const hasPermission = await checkScanPermission(user_id, event_id, db);
     
     if (!hasPermission) {
+      await scanLogsService.recordAttempt(
+        { success: false, code: 'INSUFFICIENT_SCAN_PERMISSIONS', error: 'Permissions insuffisantes' },
+        { ticket },
+        user_id,
+        scanContext
+      );
       return res.status(403).json({
         success: false,
         error: 'Permissions insuffisantes pour scanner des billets pour cet événement',
@@ -123,11 +138,13 @@ async function validateScannedTicket(req, res, db) {
     // CORRIGÉ : Validation locale au lieu d'appel circulaire au scan-validation-service
     const validationResponse = await validateTicketLocally(validationPayload, db);
     
-    // Si la validation est réussie, mettre à jour le ticket en base
-    if (validationResponse.valid && !validationResponse.already_used) {
-      await updateTicketValidation(ticket.id, user_id, db);
-      console.log(`[SCAN_VALIDATION] Ticket ${ticket_code} marqué comme validé`);
-    }
+    // La validation locale met à jour le ticket en base ; la tentative est journalisée dans tous les cas
+    await scanLogsService.recordAttempt(
+      { success: validationResponse.valid, code: validationResponse.code, error: validationResponse.error },
+      { ticket },
+      user_id,
+      scanContext
+    );
     
     const processingTime = Date.now() - startTime;
     
@@ -240,8 +257,20 @@ async function validateTicketInternal(req, res, db) {
     `;
     
     const ticketResult = await db.query(ticketQuery, [ticketId, eventId]);
+    const logContext = {
+      deviceId: scanContext?.deviceId,
+      checkpointId: scanContext?.checkpointId,
+      direction: scanContext?.direction
+    };
+    const recordScan = (outcome, ticket) => scanLogsService.recordAttempt(
+      outcome,
+      { ticket, ticketId, eventId, source: 'service' },
+      scanContext?.operatorId || userId,
+      logContext
+    );
     
     if (ticketResult.rows.length === 0) {
+      await recordScan({ success: false, code: 'TICKET_NOT_FOUND', error: 'Ticket non trouvé pour cet événement' });
       return res.status(404).json({
         success: false,
         error: 'Ticket non trouvé pour cet événement',
@@ -253,6 +282,7 @@ async function validateTicketInternal(req, res, db) {
     
     // 3. Vérifier si le ticket est déjà validé
     if (ticket.is_validated) {
+      await recordScan({ success: false, code: 'TICKET_ALREADY_VALIDATED', error: 'Ticket déjà validé' }, ticket);
       return res.status(409).json({
         success: false,
         error: 'Ticket déjà validé',
@@ -265,6 +295,7 @@ async function validateTicketInternal(req, res, db) {
     const businessValidation = await validateTicketBusinessRules(ticket, scanContext, db);
     
     if (!businessValidation.success) {
+      await recordScan({ success: false, code: businessValidation.code, error: businessValidation.error }, ticket);
       return res.status(400).json({
         success: false,
         error: businessValidation.error,
@@ -275,6 +306,7 @@ async function validateTicketInternal(req, res, db) {
     
     // 5. Mettre à jour le statut du ticket
     await updateTicketStatus(ticketId, scanContext, db);
+    await recordScan({ success: true }, ticket);
     
     const processingTime = Date.now() - startTime;
     
@@ -549,9 +581,10 @@ async function validateBusinessRules(ticketData, db) {
   try {
     // 1. Vérifier que l'événement est actif
     const eventQuery = `
-      SELECT status, event_date, max_attendees 
-      FROM events 
-      WHERE id = (SELECT event_id FROM event_guests WHERE id = $1)
+      SELECT e.status, e.event_date, e.end_date, e.max_attendees, eg.status as guest_status
+      FROM events e
+      JOIN event_guests eg ON eg.event_id = e.id
+      WHERE eg.id = $1 AND e.deleted_at IS NULL
     `;
     
     const eventResult = await db.query(eventQuery, [ticketData.event_guest_id]);
@@ -566,8 +599,8 @@ async function validateBusinessRules(ticketData, db) {
     
     const event = eventResult.rows[0];
     
-    // 2. Vérifier que l'événement est actif
-    if (event.status !== 'active') {
+    // 2. Vérifier que l'événement est publié
+    if (event.status !== 'published') {
       return {
         valid: false,
         error: 'Événement non actif',
@@ -575,11 +608,11 @@ async function validateBusinessRules(ticketData, db) {
       };
     }
     
-    // 3. Vérifier que l'événement n'est pas terminé
-    const eventDate = new Date(event.event_date);
+    // 3. Vérifier que l'événement n'est pas terminé (date de fin ou durée par défaut)
+    const eventEndDate = getEventEndDate(event);
     const now = new Date();
     
-    if (eventDate < now) {
+    if (eventEndDate < now) {
       return {
         valid: false,
         error: 'Événement terminé',
@@ -587,7 +620,16 @@ async function validateBusinessRules(ticketData, db) {
       };
     }
     
-    // 4. Vérifier la capacité maximale (si définie)
+    // 4. Un invité en liste d'attente ou annulé n'a pas de place
+    if (['waitlisted', 'cancelled'].includes(event.guest_status)) {
+      return {
+        valid: false,
+        error: event.guest_status === 'waitlisted' ? 'Invité en liste d\'attente' : 'Participation annulée',
+        code: event.guest_status === 'waitlisted' ? 'GUEST_WAITLISTED' : 'GUEST_CANCELLED'
+      };
+    }
+    
+    // 5. Vérifier la capacité maximale (si définie)
     if (event.max_attendees) {
       const capacityQuery = `
         SELECT COUNT(*) as validated_count
@@ -609,7 +651,7 @@ async function validateBusinessRules(ticketData, db) {
       }
     }
     
-    // 5. Validation du format du QR code (si présent)
+    // 6. Validation du format du QR code (si présent)
     if (ticketData.qr_code_data) {
       try {
         const qrData = JSON.parse(ticketData.qr_code_data);
@@ -673,14 +715,7 @@ async function updateTicketValidation(ticket_id, operator_id, db) {
     `;
     
     await db.query(updateQuery, [ticket_id]);
-    
-    // Enregistrer l'opération dans la table d'audit locale
-    const auditQuery = `
-      INSERT INTO scan_logs (ticket_id, operator_id, scan_time, created_at)
-      VALUES ($1, $2, NOW(), NOW())
-    `;
-    
-    await db.query(auditQuery, [ticket_id, operator_id]);
+    // La tentative est journalisée par l'appelant (scan_logs)
     
   } catch (error) {
     console.error('[SCAN_VALIDATION] Erreur mise à jour ticket:', error.message);
@@ -778,15 +813,15 @@ async function sendConfirmationToScanValidationService(ticketId, scanContext) {
 }
 
 /**
- * Récupère l'historique des scans pour un événement
+ * Récupère l'historique des scans pour un événement depuis le journal local (scan_logs),
+ * sans dépendre du service scan-validation
  * @param {Object} req - Requête Express
  * @param {Object} res - Réponse Express
  * @param {Object} db - Instance de base de données
  */
 async function getScanHistory(req, res, db) {
   try {
-    const { event_id } = req.params;
-    const { page = 1, limit = 50, date_from, date_to } = req.query;
+    const event_id = req.params.event_id || req.params.eventId;
     const user_id = req.user.id;
     
     // Vérification des permissions
@@ -800,59 +835,29 @@ async function getScanHistory(req, res, db) {
       });
     }
     
-    // Construction de la requête
-    let query = `
-      SELECT 
-        sl.id,
-        sl.ticket_id,
-        sl.operator_id,
-        sl.scan_time,
-        t.ticket_code,
-        eg.guest_name,
-        u.email as operator_email
-      FROM scan_logs sl
-      JOIN tickets t ON sl.ticket_id = t.id
-      JOIN event_guests eg ON t.event_guest_id = eg.id
-      JOIN users u ON sl.operator_id = u.id
-      WHERE eg.event_id = $1
-    `;
-    
-    const params = [event_id];
-    
-    // Filtres de date
-    if (date_from) {
-      query += ` AND sl.scan_time >= $${params.length + 1}`;
-      params.push(date_from);
-    }
+    const result = await scanLogsService.getEventHistory(event_id, req.query, user_id);
     
-    if (date_to) {
-      query += ` AND sl.scan_time <= $${params.length + 1}`;
-      params.push(date_to);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        code: 'VALIDATION_ERROR',
+        details: result.details
+      });
     }
     
-    // Tri et pagination
-    query += ` ORDER BY sl.scan_time DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, (page - 1) * limit);
-    
-    const result = await db.query(query, params);
-    
-    // Comptage total
-    let countQuery = `SELECT COUNT(*) FROM scan_logs sl WHERE sl.ticket_id IN (
-      SELECT t.id FROM tickets t JOIN event_guests eg ON t.event_guest_id = eg.id WHERE eg.event_id = $1
-    )`;
-    
-    const countResult = await db.query(countQuery, [event_id]);
-    const totalScans = parseInt(countResult.rows[0].count);
+    const { logs, summary, pagination } = result.data;
     
     res.status(200).json({
       success: true,
       data: {
-        scans: result.rows,
+        scans: logs,
+        summary,
         pagination: {
-          current_page: parseInt(page),
-          per_page: parseInt(limit),
-          total: totalScans,
-          total_pages: Math.ceil(totalScans / limit)
+          current_page: pagination.page,
+          per_page: pagination.limit,
+          total: pagination.total,
+          total_pages: pagination.totalPages
         }
       },
       message: 'Historique des scans récupéré avec succès'
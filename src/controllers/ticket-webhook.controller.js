@@ -1,11 +1,23 @@
 /**
  * Controller pour recevoir les webhooks du Ticket Generator Service
  * Met à jour les tables tickets et ticket_generation_jobs
+ *
+ * Mêmes règles que les webhooks de paiement : signature HMAC avec tolérance
+ * d'horodatage, déduplication dans payment_webhooks et mise à jour du job
+ * et des billets dans une seule transaction.
  */
 
 const unifiedTicketGenerationController = require('./unified-ticket-generation.controller');
+const ticketsRepository = require('../modules/tickets/tickets.repository');
+const webhookInboxService = require('../services/webhook-inbox.service');
+const { verifyWebhookRequest, getWebhookEventId, WEBHOOK_ERROR_CODES } = require('../utils/webhook-signature');
 const { ResponseFormatter } = require('../../../shared');
 
+const WEBHOOK_SOURCE = 'ticket-generator-service';
+
+// Un job terminé ne repasse pas en cours (webhooks reçus dans le désordre)
+const FINAL_JOB_STATUSES = ['completed', 'failed'];
+
 /**
  * Reçoit les webhooks du Ticket-Generator Service
  * Structure optimisée avec mise à jour des tables
@@ -51,6 +63,17 @@ async function receiveTicketGenerationWebhook(req, res) {
       });
     }
 
+    // Vérification de la signature HMAC et de l'horodatage
+    const verification = verifyWebhookRequest(req, WEBHOOK_SOURCE);
+    if (!verification.valid) {
+      console.warn(`[TICKET_WEBHOOK] Webhook refusé: ${verification.code}`);
+      return res.status(verification.code === WEBHOOK_ERROR_CODES.NOT_CONFIGURED ? 500 : 401).json({
+        success: false,
+        error: 'Webhook authentication failed',
+        code: verification.code
+      });
+    }
+
     const normalizedPayload = normalizeWebhookPayload(req.body || {});
     const { job_id, status, timestamp, tickets, summary, processing_time_ms } = normalizedPayload;
 
@@ -69,27 +92,46 @@ async function receiveTicketGenerationWebhook(req, res) {
       summary
     });
 
-    // Traiter le webhook avec le controller unifié
-    const result = await unifiedTicketGenerationController.processGenerationWebhook(normalizedPayload);
+    const webhookEventId = getWebhookEventId(req);
+    if (!webhookEventId) {
+      return res.status(400).json({
+        success: false,
+        error: 'X-Webhook-Id (ou X-Request-ID) est obligatoire',
+        code: 'MISSING_WEBHOOK_ID'
+      });
+    }
 
-    if (!result.success) {
+    // Traiter le webhook avec le controller unifié, une seule fois par livraison
+    let processing;
+    try {
+      processing = await webhookInboxService.processOnce({
+        source: WEBHOOK_SOURCE,
+        eventId: webhookEventId,
+        type: `ticket.${status}`,
+        payload: req.body
+      }, (client) => applyGenerationWebhook(client, normalizedPayload));
+    } catch (error) {
+      // Transaction annulée : le webhook peut être renvoyé
       return res.status(500).json({
         success: false,
         error: 'Failed to process webhook',
-        details: result.error,
+        details: error.message,
         code: 'PROCESSING_ERROR'
       });
     }
 
+    const result = processing.result || {};
     const processingTime = Date.now() - startTime;
 
     return res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
+      message: processing.duplicate ? 'Webhook already processed' : 'Webhook processed successfully',
       data: {
-        job_id: result.job_id,
-        status: result.status,
-        tickets_processed: result.tickets_processed,
+        job_id: result.job_id || job_id,
+        status: result.status || status,
+        tickets_processed: result.tickets_processed || 0,
+        duplicate: processing.duplicate,
+        outcome: processing.outcome,
         processing_time_ms: processingTime
       },
       processedAt: new Date().toISOString()
@@ -105,6 +147,28 @@ async function receiveTicketGenerationWebhook(req, res) {
   }
 }
 
+/**
+ * Applique un webhook de génération dans la transaction de la boîte de réception
+ */
+async function applyGenerationWebhook(client, payload) {
+  const job = await ticketsRepository.lockJob(payload.job_id, client);
+  if (!job) {
+    console.warn(`[TICKET_WEBHOOK] Job inconnu: ${payload.job_id}`);
+    return { outcome: 'ignored', job_id: payload.job_id };
+  }
+  if (FINAL_JOB_STATUSES.includes(job.status) && !FINAL_JOB_STATUSES.includes(payload.status === 'partial' ? 'failed' : payload.status)) {
+    console.warn(`[TICKET_WEBHOOK] Job ${job.id} déjà ${job.status}, statut ${payload.status} ignoré`);
+    return { outcome: 'ignored', job_id: job.id, status: job.status };
+  }
+
+  const result = await unifiedTicketGenerationController.processGenerationWebhook(payload, client);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to process ticket generation webhook');
+  }
+
+  return { outcome: 'applied', ...result };
+}
+
 module.exports = {
   receiveTicketGenerationWebhook
 };
@@ -255,9 +255,10 @@ class UnifiedTicketGenerationController {
   /**
    * Traite les webhooks de ticket-generator (appelé par le webhook controller)
    * @param {Object} webhookData - Données du webhook
+   * @param {Object} client - Client pg de la transaction du webhook (optionnel)
    * @returns {Promise<Object>} Résultat du traitement
    */
-  async processGenerationWebhook(webhookData) {
+  async processGenerationWebhook(webhookData, client) {
     try {
       const { job_id, status, timestamp, tickets, summary, processing_time_ms } = webhookData;
       // Normaliser le statut pour respecter la contrainte DB (pas de "partial")
@@ -297,7 +298,7 @@ class UnifiedTicketGenerationController {
         };
       }
 
-      await ticketsRepository.updateJobStatus(job_id, normalizedStatus, updateData);
+      await ticketsRepository.updateJobStatus(job_id, normalizedStatus, updateData, client);
 
       // Mettre à jour les tickets individuels avec les résultats
       if (tickets && tickets.length > 0) {
@@ -316,7 +317,7 @@ class UnifiedTicketGenerationController {
             }
 
             const ticketId = ticketResult.ticket_id || ticketResult.ticketId;
-            await ticketsRepository.update(ticketId, updateTicketData);
+            await ticketsRepository.update(ticketId, updateTicketData, client);
           } else {
             console.error(`[TICKET_GENERATION] Échec génération ticket ${ticketResult.ticket_id}: ${ticketResult.error}`);
           }
@@ -60,6 +60,20 @@ class EventQueueService {
             delay: 1000
           }
         }
+      }),
+
+      // Queue des imports d'invités traités en tâche de fond (reprise au dernier lot validé)
+      guestImport: new Queue('GUEST_IMPORT', {
+        redis: this.redisConfig,
+        defaultJobOptions: {
+          removeOnComplete: 20,
+          removeOnFail: 50,
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 5000
+          }
+        }
       })
     };
 
@@ -149,6 +163,19 @@ class EventQueueService {
       }
     });
 
+    // ========================================
+    // 📥 CONSUMER: Imports d'invités
+    // ========================================
+    this.queues.guestImport.process(async (job) => {
+      // Chargé ici : le service d'import utilise lui-même cette queue
+      const GuestImportService = require('../../modules/guests/guest-import.service');
+      const guestImportService = new GuestImportService();
+
+      return guestImportService.processImport(job.data.importId, {
+        onProgress: (progress) => job.progress(progress)
+      });
+    });
+
     logger.info('👂 Consumers event-planner-core configurés');
   }
 
@@ -190,6 +217,21 @@ class EventQueueService {
       });
     });
 
+    this.queues.guestImport.on('failed', async (job, err) => {
+      logger.error('❌ Erreur import d\'invités', {
+        jobId: job.id,
+        importId: job.data.importId,
+        attempt: job.attemptsMade,
+        error: err.message
+      });
+
+      // Dernière tentative : l'import est marqué en échec
+      if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        const GuestImportService = require('../../modules/guests/guest-import.service');
+        await new GuestImportService().failImport(job.data.importId, err.message);
+      }
+    });
+
     logger.info('📡 Gestionnaires d\'événements event-planner-core configurés');
   }
 
@@ -270,6 +312,24 @@ class EventQueueService {
     }
   }
 
+  /**
+   * Met en file un import d'invités confirmé
+   * L'identifiant du job est dérivé de l'import : une nouvelle mise en file
+   * d'un import déjà présent dans la queue est sans effet.
+   * @param {number} importId - ID de l'import (guest_imports)
+   * @returns {Promise<string>} ID du job
+   */
+  async enqueueGuestImport(importId) {
+    const job = await this.queues.guestImport.add(
+      'GUEST_IMPORT',
+      { importId },
+      { jobId: `guest-import-${importId}` }
+    );
+
+    logger.info('📤 Import d\'invités mis en file', { importId, jobId: job.id });
+    return String(job.id);
+  }
+
   /**
    * ========================================
    * MISE À JOUR DU STATUT DES TICKETS
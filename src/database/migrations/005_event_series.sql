@@ -0,0 +1,68 @@
+-- ========================================
+-- Séries d'événements récurrents (RRULE)
+-- ========================================
+
+-- Table EventSeries : règle de récurrence partagée par les occurrences
+CREATE TABLE IF NOT EXISTS event_series (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    interval_count INT NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    by_weekday VARCHAR(2)[] NOT NULL DEFAULT '{}',
+    until_date TIMESTAMP WITH TIME ZONE,
+    occurrence_count INT CHECK (occurrence_count IS NULL OR occurrence_count > 0),
+    -- Début de la première occurrence (DTSTART)
+    dtstart TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- Occurrences exclues de la règle (EXDATE)
+    exception_dates TIMESTAMP WITH TIME ZONE[] NOT NULL DEFAULT '{}',
+    -- Reprise des types de billets / invités de l'événement source sur chaque occurrence
+    carry_over_ticket_types BOOLEAN DEFAULT FALSE,
+    carry_over_guests BOOLEAN DEFAULT FALSE,
+    -- Série d'origine lorsqu'une série est scindée ("cette occurrence et les suivantes")
+    parent_series_id BIGINT REFERENCES event_series(id) ON DELETE SET NULL,
+    organizer_id BIGINT NOT NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (until_date IS NOT NULL OR occurrence_count IS NOT NULL)
+);
+
+COMMENT ON TABLE event_series IS 'Règles de récurrence des événements (sous-ensemble RFC 5545)';
+
+-- Rattachement des événements à leur série
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'series_id'
+  ) THEN
+    ALTER TABLE events ADD COLUMN series_id BIGINT REFERENCES event_series(id) ON DELETE SET NULL;
+  END IF;
+
+  -- Date prévue par la règle (RECURRENCE-ID), conservée si l'occurrence est déplacée
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'occurrence_date'
+  ) THEN
+    ALTER TABLE events ADD COLUMN occurrence_date TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  -- Occurrence modifiée individuellement ("cette occurrence uniquement")
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'is_series_exception'
+  ) THEN
+    ALTER TABLE events ADD COLUMN is_series_exception BOOLEAN DEFAULT FALSE;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_events_series_occurrence
+  ON events(series_id, occurrence_date)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_event_series_organizer
+  ON event_series(organizer_id)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,29 @@
+-- ========================================
+-- Date de fin et fuseau horaire des événements
+-- ========================================
+
+DO $$
+BEGIN
+  -- Date de fin (événements sur plusieurs jours) ; NULL = durée par défaut
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'end_date'
+  ) THEN
+    ALTER TABLE events ADD COLUMN end_date TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE events ADD CONSTRAINT events_end_date_after_start
+      CHECK (end_date IS NULL OR end_date >= event_date);
+  END IF;
+
+  -- Fuseau horaire IANA utilisé pour l'affichage et la récurrence (ex: Europe/Paris)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'timezone'
+  ) THEN
+    ALTER TABLE events ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+  END IF;
+END $$;
+
+-- Recherche des événements en cours sur une période
+CREATE INDEX IF NOT EXISTS idx_events_date_range
+  ON events(event_date, end_date)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,61 @@
+-- ========================================
+-- Capacité des événements et liste d'attente
+-- ========================================
+
+DO $$
+BEGIN
+  -- Nombre maximum d'invités actifs (pending + confirmed) ; NULL = illimité
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'events' AND column_name = 'max_attendees'
+  ) THEN
+    ALTER TABLE events ADD COLUMN max_attendees INT CHECK (max_attendees IS NULL OR max_attendees > 0);
+  END IF;
+
+  -- Type de billet demandé par l'invité (capacité par type = ticket_types.quantity, 0 = illimité)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'event_guests' AND column_name = 'ticket_type_id'
+  ) THEN
+    ALTER TABLE event_guests ADD COLUMN ticket_type_id BIGINT REFERENCES ticket_types(id) ON DELETE SET NULL;
+  END IF;
+
+  -- Position dans la liste d'attente (ordre de promotion)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'event_guests' AND column_name = 'waitlist_position'
+  ) THEN
+    ALTER TABLE event_guests ADD COLUMN waitlist_position INT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'event_guests' AND column_name = 'waitlisted_at'
+  ) THEN
+    ALTER TABLE event_guests ADD COLUMN waitlisted_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'event_guests' AND column_name = 'promoted_at'
+  ) THEN
+    ALTER TABLE event_guests ADD COLUMN promoted_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- Nouveau statut 'waitlisted' pour les invités en liste d'attente
+ALTER TABLE event_guests DROP CONSTRAINT IF EXISTS event_guests_status_check;
+
+ALTER TABLE event_guests
+ADD CONSTRAINT event_guests_status_check
+CHECK (status IN ('pending', 'confirmed', 'cancelled', 'waitlisted'));
+
+COMMENT ON COLUMN event_guests.status IS 'Statut de l''invité: pending, confirmed, cancelled, waitlisted';
+
+CREATE INDEX IF NOT EXISTS idx_event_guests_waitlist
+  ON event_guests(event_id, waitlist_position)
+  WHERE status = 'waitlisted' AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_event_guests_ticket_type
+  ON event_guests(ticket_type_id)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,59 @@
+-- ========================================
+-- Inventaire des types de billets : réservations temporaires (holds)
+-- ========================================
+
+-- Table TicketHold : places bloquées pendant un paiement
+CREATE TABLE IF NOT EXISTS ticket_holds (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'held'
+      CHECK (status IN ('held', 'converted', 'released', 'expired')),
+    -- Fin de validité de la réservation (TTL) : au-delà, les places redeviennent disponibles
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- Paiement associé (payments.payment_intent_id)
+    payment_intent_id VARCHAR(255),
+    -- Acheteur (customer_info du paiement) utilisé à l'émission des billets
+    buyer_info JSONB NOT NULL DEFAULT '{}',
+    unit_price DECIMAL(10,2),
+    currency VARCHAR(3),
+    release_reason VARCHAR(50),
+    converted_at TIMESTAMP WITH TIME ZONE,
+    released_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    ticket_type_id BIGINT NOT NULL REFERENCES ticket_types(id) ON DELETE CASCADE,
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    event_guest_id BIGINT REFERENCES event_guests(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE ticket_holds IS 'Réservations temporaires de billets pendant le paiement (held -> converted | released | expired)';
+
+-- Billets émis à partir d'une réservation
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'ticket_hold_id'
+  ) THEN
+    ALTER TABLE tickets ADD COLUMN ticket_hold_id BIGINT REFERENCES ticket_holds(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Calcul des places bloquées par type de billet
+CREATE INDEX IF NOT EXISTS idx_ticket_holds_active
+  ON ticket_holds(ticket_type_id, expires_at)
+  WHERE status = 'held';
+
+CREATE INDEX IF NOT EXISTS idx_ticket_holds_payment
+  ON ticket_holds(payment_intent_id)
+  WHERE payment_intent_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_ticket_type
+  ON tickets(ticket_type_id)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,41 @@
+-- ========================================
+-- Signature des QR codes de billets
+-- ========================================
+
+-- Charge utile signée encodée dans le QR code (EPT1.<payload>.<signature>)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'qr_payload'
+  ) THEN
+    ALTER TABLE tickets ADD COLUMN qr_payload TEXT;
+  END IF;
+END $$;
+
+-- Clé ayant signé la charge utile (rotation des clés)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'qr_key_id'
+  ) THEN
+    ALTER TABLE tickets ADD COLUMN qr_key_id VARCHAR(64);
+  END IF;
+END $$;
+
+-- Date d'émission de la signature courante : toute signature antérieure est périmée
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'qr_issued_at'
+  ) THEN
+    ALTER TABLE tickets ADD COLUMN qr_issued_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- Re-signature des billets lors d'une rotation de clé
+CREATE INDEX IF NOT EXISTS idx_tickets_qr_key_id
+  ON tickets(qr_key_id)
+  WHERE deleted_at IS NULL;
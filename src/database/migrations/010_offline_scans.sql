@@ -0,0 +1,41 @@
+-- ========================================
+-- Scan hors ligne : scans synchronisés par les appareils de contrôle
+-- ========================================
+
+-- Table OfflineScan : chaque scan remonté par un appareil, avec sa résolution
+CREATE TABLE IF NOT EXISTS offline_scans (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    -- Identifiant du scan attribué par l'appareil (idempotence des synchronisations)
+    scan_id VARCHAR(100) NOT NULL,
+    device_id VARCHAR(100) NOT NULL,
+    checkpoint_id VARCHAR(100) NOT NULL DEFAULT 'main',
+    ticket_code VARCHAR(255) NOT NULL,
+    scanned_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- accepted : entrée retenue ; duplicate : billet déjà entré ; rejected : billet inconnu ou révoqué
+    resolution VARCHAR(20) NOT NULL
+      CHECK (resolution IN ('accepted', 'duplicate', 'rejected')),
+    conflict_reason VARCHAR(50),
+    -- Scan retenu lorsque le billet a été scanné plusieurs fois
+    winning_scan_id BIGINT REFERENCES offline_scans(id) ON DELETE SET NULL,
+    bundle_generated_at TIMESTAMP WITH TIME ZONE,
+    synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Relations
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    ticket_id BIGINT REFERENCES tickets(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CONSTRAINT uq_offline_scans_device_scan UNIQUE (device_id, scan_id)
+);
+
+COMMENT ON TABLE offline_scans IS 'Scans effectués hors ligne par les appareils de contrôle et résolution des doublons';
+
+CREATE INDEX IF NOT EXISTS idx_offline_scans_event_ticket
+  ON offline_scans(event_id, ticket_id);
+
+CREATE INDEX IF NOT EXISTS idx_offline_scans_event_synced
+  ON offline_scans(event_id, synced_at DESC);
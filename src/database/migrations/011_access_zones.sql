@@ -0,0 +1,70 @@
+-- ========================================
+-- Zones d'accès par événement et règles de ré-entrée
+-- ========================================
+
+-- Table AccessZone : zone contrôlée d'un événement (salle principale, VIP, backstage...)
+CREATE TABLE IF NOT EXISTS access_zones (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50) NOT NULL,
+    description TEXT,
+    -- Points de contrôle (portes) rattachés à la zone (scanContext.checkpointId)
+    checkpoint_ids TEXT[] NOT NULL DEFAULT '{}',
+    -- Zone appliquée lorsqu'aucun point de contrôle ne correspond
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    -- single : une seule entrée ; unlimited : sans limite ; limited : max_reentries ré-entrées
+    reentry_policy VARCHAR(20) NOT NULL DEFAULT 'single'
+      CHECK (reentry_policy IN ('single', 'unlimited', 'limited')),
+    max_reentries INT CHECK (max_reentries IS NULL OR max_reentries >= 0),
+    -- Délai minimum entre deux entrées (secondes)
+    cooldown_seconds INT NOT NULL DEFAULT 0 CHECK (cooldown_seconds >= 0),
+    -- Relations
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE access_zones IS 'Zones d''accès d''un événement avec leur politique de ré-entrée';
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_access_zones_event_code
+  ON access_zones(event_id, code)
+  WHERE deleted_at IS NULL;
+
+-- Types de billets autorisés par zone (aucun type rattaché : zone ouverte à tous les billets)
+CREATE TABLE IF NOT EXISTS access_zone_ticket_types (
+    access_zone_id BIGINT NOT NULL REFERENCES access_zones(id) ON DELETE CASCADE,
+    ticket_type_id BIGINT NOT NULL REFERENCES ticket_types(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT,
+    PRIMARY KEY (access_zone_id, ticket_type_id)
+);
+
+COMMENT ON TABLE access_zone_ticket_types IS 'Types de billets donnant accès à une zone';
+
+-- Table TicketZonePassage : entrées et sorties d'un billet par zone
+CREATE TABLE IF NOT EXISTS ticket_zone_passages (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('entry', 'exit')),
+    checkpoint_id VARCHAR(100),
+    device_id VARCHAR(100),
+    scanned_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    -- Relations
+    ticket_id BIGINT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    access_zone_id BIGINT NOT NULL REFERENCES access_zones(id) ON DELETE CASCADE,
+    -- Champs d'audit
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT
+);
+
+COMMENT ON TABLE ticket_zone_passages IS 'Historique des entrées / sorties des billets par zone d''accès';
+
+CREATE INDEX IF NOT EXISTS idx_ticket_zone_passages_ticket_zone
+  ON ticket_zone_passages(ticket_id, access_zone_id, scanned_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_zone_passages_zone
+  ON ticket_zone_passages(access_zone_id, scanned_at DESC);
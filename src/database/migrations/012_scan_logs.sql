@@ -0,0 +1,45 @@
+-- ========================================
+-- Journal des scans : chaque tentative de validation d'un billet
+-- ========================================
+
+-- Table ScanLog : tentatives de scan (en ligne, hors ligne synchronisées, service de validation)
+CREATE TABLE IF NOT EXISTS scan_logs (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    -- success : entrée ou sortie enregistrée ; duplicate : billet déjà entré ;
+    -- forged : QR code falsifié ; wrong_zone : zone non autorisée ou inconnue ;
+    -- out_of_window : hors de la période de validité ; rejected : autre refus
+    result VARCHAR(20) NOT NULL
+      CHECK (result IN ('success', 'duplicate', 'forged', 'wrong_zone', 'out_of_window', 'rejected')),
+    -- Code du refus (QR_SIGNATURE_INVALID, REENTRY_NOT_ALLOWED...) et message
+    reason_code VARCHAR(50),
+    reason TEXT,
+    -- online : API core ; offline : synchronisation d'un appareil ; service : scan-validation-service
+    source VARCHAR(20) NOT NULL DEFAULT 'online'
+      CHECK (source IN ('online', 'offline', 'service')),
+    direction VARCHAR(10) NOT NULL DEFAULT 'entry'
+      CHECK (direction IN ('entry', 'exit')),
+    ticket_code VARCHAR(255),
+    operator_id BIGINT,
+    device_id VARCHAR(100),
+    checkpoint_id VARCHAR(100),
+    scan_time TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    metadata JSONB,
+    -- Relations (billet et événement inconnus pour un QR code illisible)
+    event_id BIGINT REFERENCES events(id) ON DELETE CASCADE,
+    ticket_id BIGINT REFERENCES tickets(id) ON DELETE SET NULL,
+    access_zone_id BIGINT REFERENCES access_zones(id) ON DELETE SET NULL,
+    -- Champs d'audit (journal en ajout seul)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT
+);
+
+COMMENT ON TABLE scan_logs IS 'Journal de toutes les tentatives de scan de billets (succès, doublons, falsifications, refus)';
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_event_time
+  ON scan_logs(event_id, scan_time DESC);
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_event_result
+  ON scan_logs(event_id, result);
+
+CREATE INDEX IF NOT EXISTS idx_scan_logs_ticket
+  ON scan_logs(ticket_id);
@@ -0,0 +1,75 @@
+-- ========================================
+-- Transfert de billets entre invités et historique de propriété
+-- ========================================
+
+-- Activation des transferts par type de billet (désactivés par défaut)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_types' AND column_name = 'transfers_enabled'
+  ) THEN
+    ALTER TABLE ticket_types ADD COLUMN transfers_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+END $$;
+
+-- Table TicketTransfer : transfert initié par le détenteur, accepté par le destinataire
+CREATE TABLE IF NOT EXISTS ticket_transfers (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    -- Lien à usage unique : seule l'empreinte SHA-256 du jeton est conservée
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    recipient_email VARCHAR(255) NOT NULL,
+    recipient_first_name VARCHAR(255),
+    recipient_last_name VARCHAR(255),
+    message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'accepted', 'cancelled', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    ticket_id BIGINT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    from_event_guest_id BIGINT NOT NULL REFERENCES event_guests(id) ON DELETE CASCADE,
+    to_event_guest_id BIGINT REFERENCES event_guests(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE ticket_transfers IS 'Transferts de billets vers un autre invité via un lien à usage unique';
+
+-- Un seul transfert en attente par billet
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ticket_transfers_pending
+  ON ticket_transfers(ticket_id) WHERE status = 'pending';
+
+-- Table TicketOwnership : détenteurs successifs d'un billet (code et invité)
+CREATE TABLE IF NOT EXISTS ticket_ownership_history (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    ticket_code VARCHAR(255) NOT NULL,
+    -- issued : détenteur d'origine ; transfer : transfert accepté ; reassignment : réattribution par l'organisateur
+    reason VARCHAR(20) NOT NULL
+      CHECK (reason IN ('issued', 'transfer', 'reassignment')),
+    acquired_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    -- Fin de détention : l'ancien code est révoqué à cette date
+    released_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    ticket_id BIGINT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    event_guest_id BIGINT NOT NULL REFERENCES event_guests(id) ON DELETE CASCADE,
+    guest_id BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+    transfer_id BIGINT REFERENCES ticket_transfers(id) ON DELETE SET NULL,
+    -- Champs d'audit (historique en ajout seul)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT
+);
+
+COMMENT ON TABLE ticket_ownership_history IS 'Historique complet des détenteurs successifs de chaque billet';
+
+CREATE INDEX IF NOT EXISTS idx_ticket_ownership_history_ticket
+  ON ticket_ownership_history(ticket_id, acquired_at);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_ownership_history_code
+  ON ticket_ownership_history(ticket_code);
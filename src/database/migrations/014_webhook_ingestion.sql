@@ -0,0 +1,121 @@
+-- ========================================
+-- Réception des webhooks inter-services : signature HMAC, déduplication
+-- et transitions transactionnelles des paiements
+-- ========================================
+
+-- Table Payment : paiements initiés auprès de payment-service
+CREATE TABLE IF NOT EXISTS payments (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    payment_intent_id VARCHAR(255) NOT NULL UNIQUE,
+    payment_service_id VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    payment_method VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    customer_info JSONB NOT NULL DEFAULT '{}',
+    metadata JSONB NOT NULL DEFAULT '{}',
+    client_secret VARCHAR(255),
+    payment_url TEXT,
+    error_message TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    event_id BIGINT REFERENCES events(id) ON DELETE SET NULL,
+    organizer_id BIGINT,
+    -- Champs d'audit
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Colonnes renseignées par les webhooks
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'failed_at'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN failed_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'canceled_at'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN canceled_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  -- Dernier webhook appliqué (payment_webhooks.id)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'webhook_id'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN webhook_id BIGINT;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_payments_payment_service_id ON payments(payment_service_id);
+CREATE INDEX IF NOT EXISTS idx_payments_event_status ON payments(event_id, status);
+
+-- Table UserTemplatePurchase : accès aux templates achetés sur la marketplace
+CREATE TABLE IF NOT EXISTS user_template_purchases (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id BIGINT NOT NULL,
+    template_id BIGINT NOT NULL,
+    purchase_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    payment_id BIGINT REFERENCES payments(id) ON DELETE SET NULL,
+    webhook_id BIGINT,
+    -- Champs d'audit
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, template_id)
+);
+
+-- Table PaymentWebhook : journal des webhooks reçus (paiements et génération de billets)
+CREATE TABLE IF NOT EXISTS payment_webhooks (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    payment_intent_id VARCHAR(255),
+    webhook_type VARCHAR(100) NOT NULL,
+    webhook_data JSONB NOT NULL DEFAULT '{}',
+    processed BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$
+BEGIN
+  -- Service émetteur (payment-service, ticket-generator-service)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payment_webhooks' AND column_name = 'source'
+  ) THEN
+    ALTER TABLE payment_webhooks ADD COLUMN source VARCHAR(50) NOT NULL DEFAULT 'payment-service';
+  END IF;
+
+  -- Identifiant de livraison fourni par l'émetteur (X-Webhook-Id) : clé de déduplication
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payment_webhooks' AND column_name = 'event_id'
+  ) THEN
+    ALTER TABLE payment_webhooks ADD COLUMN event_id VARCHAR(255);
+  END IF;
+
+  -- Résultat du traitement : applied (transition effectuée) ou ignored (transition non permise)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payment_webhooks' AND column_name = 'outcome'
+  ) THEN
+    ALTER TABLE payment_webhooks ADD COLUMN outcome VARCHAR(20);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payment_webhooks' AND column_name = 'processed_at'
+  ) THEN
+    ALTER TABLE payment_webhooks ADD COLUMN processed_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+COMMENT ON TABLE payment_webhooks IS 'Webhooks inter-services reçus, dédupliqués par (source, event_id)';
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payment_webhooks_source_event
+  ON payment_webhooks(source, event_id) WHERE event_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhooks_payment_intent ON payment_webhooks(payment_intent_id);
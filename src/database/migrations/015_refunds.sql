@@ -0,0 +1,81 @@
+-- ========================================
+-- Remboursements : politique par événement et registre des remboursements
+-- ========================================
+
+-- Table RefundPolicy : conditions de remboursement d'un événement
+CREATE TABLE IF NOT EXISTS refund_policies (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    allow_refunds BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Remboursements fermés N heures avant le début de l'événement (NULL = jusqu'au début)
+    deadline_hours_before_event INT CHECK (deadline_hours_before_event IS NULL OR deadline_hours_before_event >= 0),
+    -- Part remboursable du montant payé
+    refund_percentage DECIMAL(5,2) NOT NULL DEFAULT 100 CHECK (refund_percentage >= 0 AND refund_percentage <= 100),
+    -- Relations
+    event_id BIGINT NOT NULL UNIQUE REFERENCES events(id) ON DELETE CASCADE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE refund_policies IS 'Politique de remboursement par événement (date limite, pourcentage)';
+
+-- Table Refund : registre des remboursements, rapproché des webhooks de payment-service
+CREATE TABLE IF NOT EXISTS refunds (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    reason TEXT,
+    -- pending : demandé à payment-service ; succeeded / failed : confirmé par webhook
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'succeeded', 'failed')),
+    -- api : demandé via l'API ; webhook : remboursement effectué hors du core, découvert au rapprochement
+    origin VARCHAR(20) NOT NULL DEFAULT 'api' CHECK (origin IN ('api', 'webhook')),
+    payment_service_refund_id VARCHAR(255) UNIQUE,
+    failure_reason TEXT,
+    -- Billets révoqués par ce remboursement (rétablis si le remboursement échoue)
+    revoked_ticket_ids BIGINT[] NOT NULL DEFAULT '{}',
+    template_access_revoked BOOLEAN NOT NULL DEFAULT FALSE,
+    policy_overridden BOOLEAN NOT NULL DEFAULT FALSE,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    payment_id BIGINT REFERENCES payments(id) ON DELETE SET NULL,
+    purchase_id BIGINT REFERENCES purchases(id) ON DELETE SET NULL,
+    event_id BIGINT REFERENCES events(id) ON DELETE SET NULL,
+    webhook_id BIGINT REFERENCES payment_webhooks(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (payment_id IS NOT NULL OR purchase_id IS NOT NULL)
+);
+
+COMMENT ON TABLE refunds IS 'Registre des remboursements (paiements de billets et achats de templates)';
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_purchase ON refunds(purchase_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_event ON refunds(event_id, created_at DESC);
+
+-- Montant remboursé confirmé sur chaque paiement
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'refunded_amount'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'refunded_at'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN refunded_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
@@ -0,0 +1,92 @@
+-- ========================================
+-- Codes promo par événement et remises appliquées aux achats de billets
+-- ========================================
+
+-- Table PromoCode : remise en pourcentage ou montant fixe
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    code VARCHAR(50) NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    -- Pourcentage (0-100) ou montant fixe déduit de la commande, dans la devise du paiement
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    -- Types de billets concernés (vide = tous les types de l'événement)
+    ticket_type_ids BIGINT[] NOT NULL DEFAULT '{}',
+    -- Plafonds d'utilisation (NULL = illimité), réservations en cours comprises
+    max_uses INT CHECK (max_uses IS NULL OR max_uses > 0),
+    max_uses_per_email INT CHECK (max_uses_per_email IS NULL OR max_uses_per_email > 0),
+    valid_from TIMESTAMP WITH TIME ZONE,
+    valid_until TIMESTAMP WITH TIME ZONE,
+    -- Cumulable avec d'autres codes cumulables sur une même commande
+    stackable BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Relations
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+    CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_from < valid_until)
+);
+
+COMMENT ON TABLE promo_codes IS 'Codes promo des événements (pourcentage ou montant fixe, plafonds, fenêtre de validité)';
+
+-- Un code est unique par événement, sans tenir compte de la casse
+CREATE UNIQUE INDEX IF NOT EXISTS uq_promo_codes_event_code
+  ON promo_codes(event_id, UPPER(code)) WHERE deleted_at IS NULL;
+
+-- Table PromoCodeRedemption : utilisation d'un code sur un paiement
+CREATE TABLE IF NOT EXISTS promo_code_redemptions (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    email VARCHAR(255) NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount >= 0),
+    currency VARCHAR(3),
+    -- pending : paiement en cours ; confirmed : paiement réussi ; cancelled : paiement abandonné
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'confirmed', 'cancelled')),
+    payment_intent_id VARCHAR(255),
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    promo_code_id BIGINT NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    -- Champs d'audit
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE promo_code_redemptions IS 'Utilisations des codes promo, rattachées aux paiements';
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_status ON promo_code_redemptions(promo_code_id, status);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_payment ON promo_code_redemptions(payment_intent_id);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_event ON promo_code_redemptions(event_id, status);
+
+-- Montants avant remise et remise appliquée
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'subtotal_amount'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN subtotal_amount DECIMAL(10,2);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'discount_amount'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+  END IF;
+
+  -- Part de la remise portée par la réservation (répartie sur ses billets à l'émission)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_holds' AND column_name = 'discount_amount'
+  ) THEN
+    ALTER TABLE ticket_holds ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+  END IF;
+END $$;
@@ -0,0 +1,50 @@
+-- ========================================
+-- Prix des types de billets : prix de base et paliers par date ou par quantité vendue
+-- ========================================
+
+-- Prix de base d'un type de billet (appliqué quand aucun palier n'est actif)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_types' AND column_name = 'price'
+  ) THEN
+    ALTER TABLE ticket_types ADD COLUMN price DECIMAL(10,2) CHECK (price IS NULL OR price >= 0);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_types' AND column_name = 'currency'
+  ) THEN
+    ALTER TABLE ticket_types ADD COLUMN currency VARCHAR(3) NOT NULL DEFAULT 'EUR';
+  END IF;
+END $$;
+
+-- Table TicketPriceTier : palier de prix (early bird, tarif normal, sur place...)
+CREATE TABLE IF NOT EXISTS ticket_price_tiers (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    name VARCHAR(100) NOT NULL,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    -- Ordre d'évaluation : le premier palier actif donne le prix
+    position INT NOT NULL DEFAULT 0,
+    -- Palier par date (NULL = sans borne)
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    -- Palier par quantité : actif tant que moins de N places sont vendues ou réservées
+    sold_limit INT CHECK (sold_limit IS NULL OR sold_limit > 0),
+    -- Relations
+    ticket_type_id BIGINT NOT NULL REFERENCES ticket_types(id) ON DELETE CASCADE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR starts_at < ends_at)
+);
+
+COMMENT ON TABLE ticket_price_tiers IS 'Paliers de prix des types de billets, actifs selon la date ou la quantité vendue';
+
+CREATE INDEX IF NOT EXISTS idx_ticket_price_tiers_type
+  ON ticket_price_tiers(ticket_type_id, position) WHERE deleted_at IS NULL;
@@ -0,0 +1,43 @@
+-- ========================================
+-- Billets de don : montant libre choisi par l'acheteur, minimum et montants suggérés
+-- ========================================
+
+DO $$
+BEGIN
+  -- Minimum fixé par l'organisateur pour un type de billet 'donation' (NULL = aucun minimum)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_types' AND column_name = 'donation_min_amount'
+  ) THEN
+    ALTER TABLE ticket_types ADD COLUMN donation_min_amount DECIMAL(10,2)
+      CHECK (donation_min_amount IS NULL OR donation_min_amount >= 0);
+  END IF;
+
+  -- Montants proposés à l'acheteur (indicatifs)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_types' AND column_name = 'donation_suggested_amounts'
+  ) THEN
+    ALTER TABLE ticket_types ADD COLUMN donation_suggested_amounts DECIMAL(10,2)[] NOT NULL DEFAULT '{}';
+  END IF;
+
+  -- Montant du don porté par le billet (NULL pour les billets payants ou gratuits)
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'donation_amount'
+  ) THEN
+    ALTER TABLE tickets ADD COLUMN donation_amount DECIMAL(10,2)
+      CHECK (donation_amount IS NULL OR donation_amount >= 0);
+  END IF;
+
+  -- Montant du don par billet, conservé pendant la réservation jusqu'à l'émission
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ticket_holds' AND column_name = 'donation_amount'
+  ) THEN
+    ALTER TABLE ticket_holds ADD COLUMN donation_amount DECIMAL(10,2);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_donations
+  ON tickets(ticket_type_id) WHERE donation_amount IS NOT NULL AND deleted_at IS NULL;
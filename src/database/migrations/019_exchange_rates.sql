@@ -0,0 +1,29 @@
+-- ========================================
+-- Taux de change gérés par les administrateurs (saisie manuelle ou import de fichier)
+-- ========================================
+
+-- Table ExchangeRate : 1 base_currency = rate quote_currency à partir de effective_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    base_currency VARCHAR(3) NOT NULL,
+    quote_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(20,10) NOT NULL CHECK (rate > 0),
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    -- manual : saisi par un administrateur ; import : chargé depuis un fichier
+    source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'import')),
+    note TEXT,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (base_currency <> quote_currency)
+);
+
+COMMENT ON TABLE exchange_rates IS 'Taux de change par date d''effet, utilisés pour consolider les revenus dans la devise de reporting';
+
+-- Un seul taux par paire et par date d'effet
+CREATE UNIQUE INDEX IF NOT EXISTS uq_exchange_rates_pair_date
+  ON exchange_rates(base_currency, quote_currency, effective_date) WHERE deleted_at IS NULL;
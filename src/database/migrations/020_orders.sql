@@ -0,0 +1,108 @@
+-- ========================================
+-- Commandes : panier de plusieurs types de billets, réservé, payé puis honoré en une fois
+-- ========================================
+
+-- Table Order : cart -> reserved -> pending_payment -> paid -> fulfilled
+CREATE TABLE IF NOT EXISTS orders (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    order_number VARCHAR(50) NOT NULL UNIQUE,
+    -- cart : panier modifiable ; reserved : places bloquées (ticket_holds) ;
+    -- pending_payment : paiement initié ; paid : paiement confirmé ; fulfilled : billets émis
+    status VARCHAR(20) NOT NULL DEFAULT 'cart'
+      CHECK (status IN ('cart', 'reserved', 'pending_payment', 'paid', 'fulfilled', 'cancelled', 'expired', 'failed')),
+    currency VARCHAR(3),
+    subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    buyer_email VARCHAR(255) NOT NULL,
+    buyer_first_name VARCHAR(255),
+    buyer_last_name VARCHAR(255),
+    buyer_phone VARCHAR(50),
+    -- Fin de la réservation des places (statut reserved)
+    expires_at TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    fulfilled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id BIGINT NOT NULL,
+    payment_id BIGINT REFERENCES payments(id) ON DELETE SET NULL,
+    payment_intent_id VARCHAR(255),
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE orders IS 'Commandes de billets (panier, réservation, paiement, émission)';
+
+-- Table OrderItem : une ligne par type de billet de la commande
+CREATE TABLE IF NOT EXISTS order_items (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    quantity INT NOT NULL CHECK (quantity > 0),
+    -- Prix figés à la réservation (palier actif ou montant du don)
+    unit_price DECIMAL(10,2),
+    donation_amount DECIMAL(10,2),
+    price_tier_id BIGINT,
+    -- Relations
+    order_id BIGINT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    ticket_type_id BIGINT NOT NULL REFERENCES ticket_types(id) ON DELETE CASCADE,
+    ticket_hold_id BIGINT REFERENCES ticket_holds(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE order_items IS 'Lignes de commande (type de billet, quantité, prix réservé)';
+
+-- Un type de billet n'apparaît qu'une fois par commande
+CREATE UNIQUE INDEX IF NOT EXISTS uq_order_items_ticket_type
+  ON order_items(order_id, ticket_type_id) WHERE deleted_at IS NULL;
+
+-- Table OrderAttendee : participant de chaque billet d'une ligne
+CREATE TABLE IF NOT EXISTS order_attendees (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    first_name VARCHAR(255),
+    last_name VARCHAR(255),
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),
+    -- Relations
+    order_item_id BIGINT NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    event_guest_id BIGINT REFERENCES event_guests(id) ON DELETE SET NULL,
+    ticket_id BIGINT REFERENCES tickets(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE order_attendees IS 'Participants par billet commandé, liés au billet émis';
+
+-- Table OrderStatusHistory : transitions de statut d'une commande
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    -- Relations
+    order_id BIGINT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by BIGINT
+);
+
+COMMENT ON TABLE order_status_history IS 'Historique des changements de statut des commandes';
+
+CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id, created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_orders_payment_intent ON orders(payment_intent_id) WHERE payment_intent_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_order_attendees_item ON order_attendees(order_item_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, created_at);
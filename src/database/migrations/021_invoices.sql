@@ -0,0 +1,93 @@
+-- ========================================
+-- Factures et reçus des paiements de billets, rendus en PDF par le core
+-- ========================================
+
+-- Table BillingProfile : mentions légales et fiscales d'un organisateur
+CREATE TABLE IF NOT EXISTS billing_profiles (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    organizer_id BIGINT NOT NULL UNIQUE,
+    legal_name VARCHAR(255) NOT NULL,
+    address_line1 VARCHAR(255) NOT NULL,
+    address_line2 VARCHAR(255),
+    postal_code VARCHAR(20) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    country VARCHAR(100) NOT NULL,
+    -- Numéro d'immatriculation (SIRET, RCCM, ...) et numéro de TVA intracommunautaire
+    registration_number VARCHAR(100),
+    vat_number VARCHAR(50),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    -- Taux de taxe appliqué aux billets (prix TTC), 0 si l'organisateur n'y est pas assujetti
+    tax_label VARCHAR(20) NOT NULL DEFAULT 'TVA',
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100),
+    -- Mention imprimée sans taxe (ex : « TVA non applicable, art. 293 B du CGI »)
+    tax_exemption_note TEXT,
+    invoice_prefix VARCHAR(20) NOT NULL DEFAULT 'INV',
+    receipt_prefix VARCHAR(20) NOT NULL DEFAULT 'RCT',
+    footer_note TEXT,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE billing_profiles IS 'Mentions légales et fiscales des organisateurs imprimées sur leurs factures';
+
+-- Table InvoiceSequence : dernier numéro attribué par organisateur et type de document
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    organizer_id BIGINT NOT NULL,
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('invoice', 'receipt')),
+    last_number INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (organizer_id, document_type)
+);
+
+COMMENT ON TABLE invoice_sequences IS 'Numérotation continue des factures et reçus par organisateur';
+
+-- Table Invoice : document émis, figé au moment de l'émission
+CREATE TABLE IF NOT EXISTS invoices (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('invoice', 'receipt')),
+    invoice_number VARCHAR(50) NOT NULL,
+    sequence_number INT NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    -- Montants hors taxe, taxes et TTC (total = montant du paiement)
+    subtotal_amount DECIMAL(10,2) NOT NULL,
+    tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL,
+    lines JSONB NOT NULL DEFAULT '[]',
+    tax_lines JSONB NOT NULL DEFAULT '[]',
+    -- Vendeur (profil de facturation) et acheteur au moment de l'émission
+    seller JSONB NOT NULL,
+    buyer JSONB NOT NULL DEFAULT '{}',
+    buyer_email VARCHAR(255),
+    -- Chemin du PDF relatif au répertoire de stockage (INVOICES_STORAGE_PATH)
+    file_path VARCHAR(500),
+    file_size INT,
+    issued_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    -- Relations
+    organizer_id BIGINT NOT NULL,
+    payment_id BIGINT NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+    event_id BIGINT REFERENCES events(id) ON DELETE SET NULL,
+    order_id BIGINT REFERENCES orders(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE invoices IS 'Factures et reçus émis pour les paiements de billets';
+
+-- Numéros uniques par organisateur, un document de chaque type par paiement
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_organizer_number ON invoices(organizer_id, invoice_number);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_payment_type
+  ON invoices(payment_id, document_type) WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_organizer ON invoices(organizer_id, issued_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_buyer_email ON invoices(LOWER(buyer_email)) WHERE deleted_at IS NULL;
@@ -0,0 +1,94 @@
+-- ========================================
+-- Registre des revenus (commission plateforme, part designer, net organisateur)
+-- et lots de reversement
+-- ========================================
+
+-- Part du designer sur ses ventes de templates (NULL : part par défaut de la plateforme)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'designers' AND column_name = 'revenue_share_percentage'
+  ) THEN
+    ALTER TABLE designers ADD COLUMN revenue_share_percentage DECIMAL(5,2)
+      CHECK (revenue_share_percentage >= 0 AND revenue_share_percentage <= 100);
+  END IF;
+END $$;
+
+-- Table Payout : lot de reversement des revenus d'un bénéficiaire dans une devise
+CREATE TABLE IF NOT EXISTS payouts (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    -- organizer : party_id = identifiant utilisateur ; designer : party_id = designers.id
+    party_type VARCHAR(20) NOT NULL CHECK (party_type IN ('organizer', 'designer')),
+    party_id BIGINT NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    entry_count INT NOT NULL DEFAULT 0,
+    -- draft → processing → paid / failed ; draft et failed peuvent être annulés
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+      CHECK (status IN ('draft', 'processing', 'paid', 'failed', 'cancelled')),
+    -- Référence du virement chez le prestataire
+    reference VARCHAR(255),
+    failure_reason TEXT,
+    notes TEXT,
+    processing_at TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE payouts IS 'Lots de reversement des revenus aux organisateurs et aux designers';
+
+CREATE INDEX IF NOT EXISTS idx_payouts_party ON payouts(party_type, party_id, status);
+
+-- Table EarningsLedger : part de chaque bénéficiaire d'un paiement encaissé
+CREATE TABLE IF NOT EXISTS earnings_ledger (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    -- platform : commission, sans party_id
+    party_type VARCHAR(20) NOT NULL CHECK (party_type IN ('platform', 'organizer', 'designer')),
+    party_id BIGINT,
+    -- Montant encaissé, commission de la plateforme et part revenant au bénéficiaire
+    gross_amount DECIMAL(12,2) NOT NULL,
+    platform_fee_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    -- Part du montant encaissé revenant au bénéficiaire
+    rate_percentage DECIMAL(5,2) NOT NULL,
+    -- pending : à reverser ; in_payout : dans un lot en cours ; paid : reversé
+    -- (la commission de la plateforme est acquise dès l'encaissement)
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'in_payout', 'paid')),
+    -- Relations : paiement de billets / de template, ou achat direct de la marketplace
+    payment_id BIGINT REFERENCES payments(id) ON DELETE RESTRICT,
+    purchase_id BIGINT REFERENCES purchases(id) ON DELETE RESTRICT,
+    payout_id BIGINT REFERENCES payouts(id) ON DELETE SET NULL,
+    event_id BIGINT REFERENCES events(id) ON DELETE SET NULL,
+    template_id BIGINT REFERENCES templates(id) ON DELETE SET NULL,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (payment_id IS NOT NULL OR purchase_id IS NOT NULL),
+    CHECK (party_type = 'platform' OR party_id IS NOT NULL)
+);
+
+COMMENT ON TABLE earnings_ledger IS 'Répartition de chaque paiement encaissé entre plateforme, organisateur et designer';
+
+-- Une écriture par bénéficiaire et par paiement : l'enregistrement est idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_ledger_payment_party
+  ON earnings_ledger(payment_id, party_type) WHERE payment_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_ledger_purchase_party
+  ON earnings_ledger(purchase_id, party_type) WHERE purchase_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_earnings_ledger_party ON earnings_ledger(party_type, party_id, status, currency);
+CREATE INDEX IF NOT EXISTS idx_earnings_ledger_payout ON earnings_ledger(payout_id);
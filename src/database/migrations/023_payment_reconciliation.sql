@@ -0,0 +1,43 @@
+-- ========================================
+-- Réconciliation des paiements restés en attente (webhook perdu)
+-- ========================================
+
+-- Suivi des vérifications auprès du Payment Service
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'last_reconciled_at'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN last_reconciled_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'reconciliation_attempts'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN reconciliation_attempts INT NOT NULL DEFAULT 0;
+  END IF;
+END $$;
+
+-- Paiements en attente, du plus ancien au plus récent
+CREATE INDEX IF NOT EXISTS idx_payments_pending_created
+  ON payments(created_at) WHERE status IN ('pending', 'processing');
+
+-- Journal d'audit (créé au bootstrap de la base ; garanti ici pour les corrections)
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    uid UUID NOT NULL DEFAULT gen_random_uuid(),
+    action VARCHAR(100) NOT NULL,
+    resource_type VARCHAR(100) NOT NULL,
+    resource_id VARCHAR(255),
+    user_id BIGINT,
+    details JSONB,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
@@ -0,0 +1,59 @@
+-- ========================================
+-- Import d'invités en deux temps : aperçu puis confirmation avec une correspondance de colonnes
+-- ========================================
+
+-- Table GuestImport : fichier déposé, en attente de confirmation puis importé
+CREATE TABLE IF NOT EXISTS guest_imports (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    uid UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'previewed'
+        CHECK (status IN ('previewed', 'processing', 'completed', 'failed', 'expired')),
+    -- Fichier temporaire conservé jusqu'à la confirmation
+    file_path TEXT NOT NULL,
+    original_name VARCHAR(255),
+    headers JSONB NOT NULL DEFAULT '[]',
+    -- Correspondance proposée à l'aperçu puis celle réellement appliquée : { field: header }
+    suggested_mapping JSONB NOT NULL DEFAULT '{}',
+    mapping JSONB,
+    profile_id BIGINT,
+    total_rows INT NOT NULL DEFAULT 0,
+    summary JSONB,
+    error_message TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE guest_imports IS 'Imports d''invités depuis un fichier CSV/Excel, de l''aperçu à la confirmation';
+
+CREATE INDEX IF NOT EXISTS idx_guest_imports_event ON guest_imports(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_guest_imports_previewed_expiry ON guest_imports(expires_at) WHERE status = 'previewed';
+
+-- Table GuestImportProfile : correspondance de colonnes réutilisable (export Eventbrite, CRM...)
+CREATE TABLE IF NOT EXISTS guest_import_profiles (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    uid UUID NOT NULL DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    mapping JSONB NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT NOT NULL,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE guest_import_profiles IS 'Correspondances de colonnes enregistrées par les organisateurs pour leurs imports d''invités';
+
+-- Un nom de profil par utilisateur
+CREATE UNIQUE INDEX IF NOT EXISTS idx_guest_import_profiles_owner_name
+  ON guest_import_profiles(created_by, LOWER(name)) WHERE deleted_at IS NULL;
@@ -0,0 +1,60 @@
+-- ========================================
+-- Imports d'invités en tâche de fond : progression, reprise et rapport d'erreurs
+-- ========================================
+
+-- Nouveau statut : confirmé et en attente du worker
+ALTER TABLE guest_imports DROP CONSTRAINT IF EXISTS guest_imports_status_check;
+ALTER TABLE guest_imports ADD CONSTRAINT guest_imports_status_check
+  CHECK (status IN ('previewed', 'queued', 'processing', 'completed', 'failed', 'expired'));
+
+-- Progression, enregistrée avec chaque lot validé : un import interrompu reprend après processed_rows
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'guest_imports' AND column_name = 'job_id'
+  ) THEN
+    ALTER TABLE guest_imports ADD COLUMN job_id VARCHAR(100);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'guest_imports' AND column_name = 'processed_rows'
+  ) THEN
+    ALTER TABLE guest_imports ADD COLUMN processed_rows INT NOT NULL DEFAULT 0;
+    ALTER TABLE guest_imports ADD COLUMN last_row_number INT NOT NULL DEFAULT 0;
+    ALTER TABLE guest_imports ADD COLUMN created_count INT NOT NULL DEFAULT 0;
+    ALTER TABLE guest_imports ADD COLUMN linked_count INT NOT NULL DEFAULT 0;
+    ALTER TABLE guest_imports ADD COLUMN waitlisted_count INT NOT NULL DEFAULT 0;
+    ALTER TABLE guest_imports ADD COLUMN duplicate_count INT NOT NULL DEFAULT 0;
+    ALTER TABLE guest_imports ADD COLUMN error_count INT NOT NULL DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'guest_imports' AND column_name = 'started_at'
+  ) THEN
+    ALTER TABLE guest_imports ADD COLUMN started_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- Imports à reprendre au démarrage
+CREATE INDEX IF NOT EXISTS idx_guest_imports_unfinished
+  ON guest_imports(updated_at) WHERE status IN ('queued', 'processing');
+
+-- Table GuestImportError : lignes ignorées, pour le rapport CSV téléchargeable
+CREATE TABLE IF NOT EXISTS guest_import_errors (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    import_id BIGINT NOT NULL REFERENCES guest_imports(id) ON DELETE CASCADE,
+    row_number INT NOT NULL,
+    -- invalid (validation), duplicate (déjà invité), failed (erreur à l'insertion)
+    error_type VARCHAR(20) NOT NULL CHECK (error_type IN ('invalid', 'duplicate', 'failed')),
+    field VARCHAR(50),
+    message TEXT NOT NULL,
+    data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE guest_import_errors IS 'Lignes non importées d''un import d''invités, par ligne du fichier';
+
+CREATE INDEX IF NOT EXISTS idx_guest_import_errors_import ON guest_import_errors(import_id, row_number);
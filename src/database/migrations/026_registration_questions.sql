@@ -0,0 +1,55 @@
+-- ========================================
+-- Questions d'inscription par événement et réponses des invités
+-- ========================================
+
+-- Table EventQuestion : questionnaire défini par l'organisateur
+CREATE TABLE IF NOT EXISTS event_questions (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    uid UUID NOT NULL DEFAULT gen_random_uuid(),
+    event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    -- Clé des réponses dans event_guests.answers (ex : dietary_requirements)
+    question_key VARCHAR(50) NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    help_text TEXT,
+    question_type VARCHAR(20) NOT NULL
+        CHECK (question_type IN ('text', 'select', 'multi_select', 'boolean', 'date')),
+    -- Choix proposés (select, multi_select)
+    options JSONB NOT NULL DEFAULT '[]',
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    position INT NOT NULL DEFAULT 0,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE event_questions IS 'Questions d''inscription d''un événement (régime alimentaire, société, consentements...)';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_questions_event_key
+  ON event_questions(event_id, question_key) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_event_questions_event_position
+  ON event_questions(event_id, position) WHERE deleted_at IS NULL;
+
+-- Réponses de l'invité pour cet événement : { question_key: valeur }
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'event_guests' AND column_name = 'answers'
+  ) THEN
+    ALTER TABLE event_guests ADD COLUMN answers JSONB NOT NULL DEFAULT '{}';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'event_guests' AND column_name = 'answered_at'
+  ) THEN
+    ALTER TABLE event_guests ADD COLUMN answered_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- Filtres sur les réponses (answers @> '{"key": "valeur"}')
+CREATE INDEX IF NOT EXISTS idx_event_guests_answers ON event_guests USING GIN (answers);
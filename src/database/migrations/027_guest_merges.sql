@@ -0,0 +1,52 @@
+-- ========================================
+-- Dédoublonnage des invités : fusions journalisées et annulables
+-- ========================================
+
+-- Invité absorbé par une fusion : pointe vers l'invité conservé
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'guests' AND column_name = 'merged_into_id'
+  ) THEN
+    ALTER TABLE guests ADD COLUMN merged_into_id BIGINT REFERENCES guests(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_guests_merged_into ON guests(merged_into_id) WHERE merged_into_id IS NOT NULL;
+
+-- Recherche des doublons par email et téléphone
+CREATE INDEX IF NOT EXISTS idx_guests_lower_email ON guests(LOWER(email)) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_guests_phone ON guests(phone) WHERE deleted_at IS NULL AND phone IS NOT NULL;
+
+-- Table GuestMerge : une fusion de l'invité source dans l'invité cible
+CREATE TABLE IF NOT EXISTS guest_merges (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    uid UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+    source_guest_id BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+    target_guest_id BIGINT NOT NULL REFERENCES guests(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'merged' CHECK (status IN ('merged', 'undone')),
+    reason TEXT,
+    -- Raisons du rapprochement au moment de la fusion (email, phone, name) et score
+    match_details JSONB NOT NULL DEFAULT '{}',
+    -- État des deux invités avant la fusion
+    source_snapshot JSONB NOT NULL,
+    target_snapshot JSONB NOT NULL,
+    -- Journal des lignes déplacées ou modifiées, rejoué à l'envers pour annuler
+    changes JSONB NOT NULL DEFAULT '{}',
+    undone_at TIMESTAMP WITH TIME ZONE,
+    undone_by BIGINT,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT,
+    CHECK (source_guest_id <> target_guest_id)
+);
+
+COMMENT ON TABLE guest_merges IS 'Fusions d''invités en double (invitations, billets et participations repointés vers l''invité conservé)';
+
+CREATE INDEX IF NOT EXISTS idx_guest_merges_source ON guest_merges(source_guest_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_guest_merges_target ON guest_merges(target_guest_id, created_at);
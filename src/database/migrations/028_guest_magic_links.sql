@@ -0,0 +1,39 @@
+-- ========================================
+-- Accès des invités par lien magique (sans mot de passe par défaut)
+-- ========================================
+
+-- Table GuestMagicLink : lien signé à usage unique envoyé avec une invitation
+CREATE TABLE IF NOT EXISTS guest_magic_links (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    -- Identifiant du lien porté par le jeton signé (le jeton lui-même n'est pas conservé)
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    used_ip VARCHAR(64),
+    -- Révoqué à l'envoi d'un nouveau lien ou à la suppression de l'invitation
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    -- Relations
+    invitation_id BIGINT NOT NULL REFERENCES invitations(id) ON DELETE CASCADE,
+    -- Champs d'audit complets
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_by BIGINT,
+    updated_by BIGINT,
+    deleted_by BIGINT
+);
+
+COMMENT ON TABLE guest_magic_links IS 'Liens magiques à usage unique donnant accès à une invitation et à ses billets';
+
+CREATE INDEX IF NOT EXISTS idx_guest_magic_links_invitation ON guest_magic_links(invitation_id, created_at);
+
+-- Compte créé par l'invité lui-même (mot de passe choisi via le service d'authentification)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'guests' AND column_name = 'account_claimed_at'
+  ) THEN
+    ALTER TABLE guests ADD COLUMN account_claimed_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
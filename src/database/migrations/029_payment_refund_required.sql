@@ -0,0 +1,25 @@
+-- ========================================
+-- Paiements à rembourser faute de places (réservation expirée avant le paiement)
+-- ========================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'refund_required_at'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN refund_required_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'payments' AND column_name = 'refund_required_reason'
+  ) THEN
+    ALTER TABLE payments ADD COLUMN refund_required_reason VARCHAR(255);
+  END IF;
+END $$;
+
+-- Paiements encaissés sans billets émis, en attente de remboursement
+CREATE INDEX IF NOT EXISTS idx_payments_refund_required
+  ON payments(refund_required_at)
+  WHERE refund_required_at IS NOT NULL;
@@ -0,0 +1,29 @@
+-- ========================================
+-- Codes promo des commandes : remise calculée à la réservation
+-- ========================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'discount_amount'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+  END IF;
+
+  -- Codes saisis par l'acheteur
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'promo_codes'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN promo_codes TEXT[] NOT NULL DEFAULT '{}';
+  END IF;
+
+  -- Utilisations enregistrées à la réservation (promo_code_redemptions), rattachées au paiement
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'promo_redemption_ids'
+  ) THEN
+    ALTER TABLE orders ADD COLUMN promo_redemption_ids BIGINT[] NOT NULL DEFAULT '{}';
+  END IF;
+END $$;
@@ -0,0 +1,24 @@
+-- ========================================
+-- Factures dont le PDF n'a pas pu être rendu à l'émission (régénéré à la demande)
+-- ========================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'invoices' AND column_name = 'render_failed_at'
+  ) THEN
+    ALTER TABLE invoices ADD COLUMN render_failed_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'invoices' AND column_name = 'render_error'
+  ) THEN
+    ALTER TABLE invoices ADD COLUMN render_error TEXT;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_render_failed
+  ON invoices(render_failed_at)
+  WHERE render_failed_at IS NOT NULL;
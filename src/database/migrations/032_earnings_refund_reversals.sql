@@ -0,0 +1,24 @@
+-- ========================================
+-- Écritures d'annulation des revenus remboursés (montants négatifs)
+-- ========================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'earnings_ledger' AND column_name = 'refund_id'
+  ) THEN
+    ALTER TABLE earnings_ledger ADD COLUMN refund_id BIGINT REFERENCES refunds(id) ON DELETE RESTRICT;
+  END IF;
+END $$;
+
+-- Une écriture d'origine par bénéficiaire et par paiement, une annulation par remboursement
+DROP INDEX IF EXISTS idx_earnings_ledger_payment_party;
+DROP INDEX IF EXISTS idx_earnings_ledger_purchase_party;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_ledger_payment_party
+  ON earnings_ledger(payment_id, party_type) WHERE payment_id IS NOT NULL AND refund_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_ledger_purchase_party
+  ON earnings_ledger(purchase_id, party_type) WHERE purchase_id IS NOT NULL AND refund_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_ledger_refund_party
+  ON earnings_ledger(refund_id, party_type) WHERE refund_id IS NOT NULL;
@@ -193,7 +193,31 @@ const uploadGuestsFile = (req, res, next) => {
   });
 };
 
+// Import de taux de change : petit fichier CSV conservé en mémoire (champ 'file')
+const ratesUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 1024 * 1024, // 1MB max
+    files: 1
+  }
+});
+
+const uploadRatesFile = (req, res, next) => {
+  ratesUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload form data',
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
 module.exports = {
   uploadGuestsFile,
-  uploadTemplateFile
+  uploadTemplateFile,
+  uploadRatesFile
 };
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { isValidTimeZone } = require('../utils/timezone');
+const { validateCurrency } = require('../utils/currency');
 
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
@@ -33,11 +35,19 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Fuseau horaire IANA reconnu par le runtime (ex: Europe/Paris)
+const validateTimeZone = (value, helpers) => {
+  if (!isValidTimeZone(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+};
+
 // Common validation schemas - Aligned with 001_initial_schema.sql
 const schemas = {
   // ============================================
   // EVENT VALIDATIONS
-  // Schema: id, title, description, event_date, location, status, organizer_id
+  // Schema: id, title, description, event_date, end_date, timezone, location, max_attendees, status, organizer_id
   // ============================================
   createEvent: Joi.object({
     // Les champs user_id et organizer_id sont injectés par le middleware
@@ -45,17 +55,37 @@ const schemas = {
     title: Joi.string().min(3).max(255).required(),
     description: Joi.string().max(5000).optional(),
     event_date: Joi.date().iso().min('now').required(),
-    location: Joi.string().max(255).required()
+    end_date: Joi.date().iso().min(Joi.ref('event_date')).optional().allow(null),
+    timezone: Joi.string().max(64).custom(validateTimeZone, 'IANA timezone').optional(),
+    location: Joi.string().max(255).required(),
+    max_attendees: Joi.number().integer().min(1).optional().allow(null)
   }).unknown(false),
 
   updateEvent: Joi.object({
     title: Joi.string().min(3).max(255).optional(),
     description: Joi.string().max(5000).optional(),
     event_date: Joi.date().iso().min('now').optional(),
+    end_date: Joi.when('event_date', {
+      is: Joi.exist(),
+      then: Joi.date().iso().min(Joi.ref('event_date')),
+      otherwise: Joi.date().iso()
+    }).optional().allow(null),
+    timezone: Joi.string().max(64).custom(validateTimeZone, 'IANA timezone').optional(),
     location: Joi.string().max(255).optional(),
+    max_attendees: Joi.number().integer().min(1).optional().allow(null),
     status: Joi.string().valid('draft', 'published', 'archived').optional()
   }).min(1),
 
+  // Filtres de liste : événements en cours entre from et to
+  listEventsQuery: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+    status: Joi.string().valid('draft', 'published', 'archived').optional(),
+    search: Joi.string().max(255).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }),
+
   // ============================================
   // GUEST VALIDATIONS
   // Schema: id, first_name, last_name (nullable), email (unique), phone (unique), status
@@ -119,7 +149,10 @@ const schemas = {
     type: Joi.string().valid('free', 'paid', 'donation').required(),
     quantity: Joi.number().integer().min(0).required(),
     price: Joi.number().precision(2).min(0).default(0),
-    currency: Joi.string().length(3).default('EUR'),
+    currency: Joi.string().length(3).custom(validateCurrency).default('EUR'),
+    // Billets de don : minimum et montants suggérés
+    donation_min_amount: Joi.number().precision(2).min(0).allow(null).optional(),
+    donation_suggested_amounts: Joi.array().items(Joi.number().precision(2).positive()).unique().max(10).optional(),
     available_from: Joi.date().iso().optional(),
     available_to: Joi.date().iso().optional()
   }).unknown(false),
@@ -130,7 +163,9 @@ const schemas = {
     type: Joi.string().valid('free', 'paid', 'donation').optional(),
     quantity: Joi.number().integer().min(0).optional(),
     price: Joi.number().precision(2).min(0).optional(),
-    currency: Joi.string().length(3).optional(),
+    currency: Joi.string().length(3).custom(validateCurrency).optional(),
+    donation_min_amount: Joi.number().precision(2).min(0).allow(null).optional(),
+    donation_suggested_amounts: Joi.array().items(Joi.number().precision(2).positive()).unique().max(10).optional(),
     available_from: Joi.date().iso().optional(),
     available_to: Joi.date().iso().optional()
   }).min(1),
@@ -162,7 +197,9 @@ const schemas = {
   generateTicket: Joi.object({
     event_guest_id: Joi.number().integer().positive().required(),
     ticket_type_id: Joi.number().integer().positive().required(),
-    ticket_template_id: Joi.number().integer().positive().optional()
+    ticket_template_id: Joi.number().integer().positive().optional(),
+    // Montant choisi par l'acheteur (types 'donation'), minimum vérifié par le service
+    donation_amount: Joi.number().precision(2).positive().optional()
   }),
 
   validateTicketByCode: Joi.object({
@@ -196,7 +233,7 @@ const schemas = {
     preview_url: Joi.string().uri().max(500).optional(),
     source_files_path: Joi.string().max(500).optional(),
     price: Joi.number().precision(2).min(0).default(0),
-    currency: Joi.string().length(3).default('EUR')
+    currency: Joi.string().length(3).custom(validateCurrency).default('EUR')
   }).unknown(false),
 
   updateTemplate: Joi.object({
@@ -205,7 +242,7 @@ const schemas = {
     preview_url: Joi.string().uri().max(500).optional(),
     source_files_path: Joi.string().max(500).optional(),
     price: Joi.number().precision(2).min(0).optional(),
-    currency: Joi.string().length(3).optional(),
+    currency: Joi.string().length(3).custom(validateCurrency).optional(),
     status: Joi.string().valid('pending_review', 'approved', 'rejected').optional()
   }).min(1),
 
@@ -217,7 +254,7 @@ const schemas = {
     // user_id est injecté par le middleware depuis le contexte
     template_id: Joi.number().integer().positive().required(),
     amount: Joi.number().precision(2).min(0).required(),
-    currency: Joi.string().length(3).default('EUR'),
+    currency: Joi.string().length(3).custom(validateCurrency).default('EUR'),
     transaction_id: Joi.string().max(255).optional()
   }).unknown(false),
 
@@ -197,9 +197,9 @@ class AdminController {
 
   async getRevenueAnalytics(req, res, next) {
     try {
-      const { period, start_date, end_date } = req.query;
+      const { period, start_date, end_date, currency } = req.query;
       const result = await adminService.getRevenueAnalytics({ 
-        period, start_date, end_date, userId: req.user.id 
+        period, start_date, end_date, currency, userId: req.user.id 
       });
       
       if (!result.success) {
@@ -229,6 +229,40 @@ class AdminController {
     }
   }
 
+  async getPaymentReconciliationReport(req, res, next) {
+    try {
+      const { start_date, end_date, status, page, limit } = req.query;
+      const result = await adminService.getPaymentReconciliationReport({
+        start_date, end_date, status, page, limit
+      });
+
+      if (!result.success) {
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Payment reconciliation report retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async runPaymentReconciliation(req, res, next) {
+    try {
+      const result = await adminService.runPaymentReconciliation({ userId: req.user.id });
+
+      if (result.code === 'RECONCILIATION_IN_PROGRESS') {
+        return res.status(409).json(ResponseFormatter.error(result.error, null, result.code));
+      }
+      if (!result.success) {
+        return res.status(500).json(ResponseFormatter.error(result.error));
+      }
+
+      res.json(ResponseFormatter.success('Payment reconciliation completed', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async exportData(req, res, next) {
     try {
       const { type, format, filters } = req.query;
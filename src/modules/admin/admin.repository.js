@@ -1,5 +1,7 @@
 const database = require('../../config/database');
 const authApiService = require('../../services/auth-api-service');
+const currenciesService = require('../currencies/currencies.service');
+const { REPORTING_CURRENCY, roundToCurrency } = require('../../utils/currency');
 const { v4: uuidv4 } = require('uuid');
 
 class AdminRepository {
@@ -469,7 +471,12 @@ class AdminRepository {
     return result.rows[0];
   }
 
-  async getRevenueStats(period = 'month') {
+  /**
+   * Revenus des achats de templates par période, convertis dans la devise de
+   * reporting (taux en vigueur au dernier achat de la période). Les montants
+   * sans taux connu restent hors du total et sont listés dans `unconverted`.
+   */
+  async getRevenueStats(period = 'month', currency = REPORTING_CURRENCY) {
     let query;
     let dateFormat;
     
@@ -490,20 +497,50 @@ class AdminRepository {
         dateFormat = 'YYYY-MM';
     }
     
+    // Une ligne par devise, convertie ensuite : les devises ne sont pas additionnées telles quelles
     query = `
       SELECT 
         TO_CHAR(purchase_date, '${dateFormat}') as period,
+        COALESCE(currency, 'EUR') as currency,
         COUNT(*) as purchase_count,
-        SUM(amount) as revenue
+        SUM(amount) as revenue,
+        MAX(purchase_date) as last_at
       FROM purchases
       WHERE purchase_date >= NOW() - INTERVAL '1 year'
-      GROUP BY TO_CHAR(purchase_date, '${dateFormat}')
-      ORDER BY period DESC
-      LIMIT 12
+      GROUP BY TO_CHAR(purchase_date, '${dateFormat}'), COALESCE(currency, 'EUR')
+      ORDER BY period DESC, currency
     `;
     
     const result = await database.query(query);
-    return result.rows;
+    const convert = await currenciesService.buildConverter(result.rows.map(row => row.currency), currency);
+    
+    const periods = new Map();
+    for (const row of result.rows) {
+      if (!periods.has(row.period)) {
+        periods.set(row.period, {
+          period: row.period,
+          currency,
+          purchase_count: 0,
+          revenue: 0,
+          by_currency: {},
+          unconverted: []
+        });
+      }
+      const entry = periods.get(row.period);
+      const revenue = parseFloat(row.revenue);
+      
+      entry.purchase_count += parseInt(row.purchase_count);
+      entry.by_currency[row.currency] = revenue;
+      
+      const converted = convert(revenue, row.currency, row.last_at);
+      if (converted === null) {
+        entry.unconverted.push({ currency: row.currency, amount: revenue });
+      } else {
+        entry.revenue = roundToCurrency(entry.revenue + converted, currency);
+      }
+    }
+    
+    return Array.from(periods.values()).slice(0, 12);
   }
 
   async getEventGrowthStats(period = 'month') {
@@ -813,6 +850,7 @@ class AdminRepository {
 
   /**
    * Get revenue analytics
+   * Les montants sont retournés par période et par devise (conversion faite par le service)
    */
   async getRevenueAnalytics(options = {}) {
     const { period = 'month', start_date, end_date, userId } = options;
@@ -839,24 +877,82 @@ class AdminRepository {
     let queryParams = [];
     
     if (start_date && end_date) {
-      dateFilter = `AND tt.created_at BETWEEN $1 AND $2`;
+      dateFilter = `BETWEEN $1 AND $2`;
       queryParams = [start_date, end_date];
     }
+    const within = (column) => (dateFilter ? `AND ${column} ${dateFilter}` : '');
     
-    const query = `
+    const ticketTypesQuery = `
       SELECT 
         TO_CHAR(tt.created_at, '${dateFormat}') as period,
         COUNT(*) as ticket_types_created,
         COALESCE(SUM(tt.quantity), 0) as total_quantity
       FROM ticket_types tt
-      WHERE tt.deleted_at IS NULL ${dateFilter}
+      WHERE tt.deleted_at IS NULL ${within('tt.created_at')}
       GROUP BY TO_CHAR(tt.created_at, '${dateFormat}')
-      ORDER BY period DESC
-      LIMIT 12
     `;
     
-    const result = await database.query(query, queryParams);
-    return result.rows;
+    // Montants par période et par devise, convertis ensuite dans la devise de reporting.
+    // Remises des codes promo comptées à la confirmation du paiement, dons à l'émission du billet.
+    const amountsQuery = `
+      SELECT period, currency, metric, SUM(count) as count, SUM(amount) as amount, MAX(last_at) as last_at
+      FROM (
+        SELECT 
+          TO_CHAR(t.created_at, '${dateFormat}') as period,
+          COALESCE(t.currency, 'EUR') as currency,
+          'ticket_revenue' as metric,
+          COUNT(*) as count,
+          COALESCE(SUM(t.price), 0) as amount,
+          MAX(t.created_at) as last_at
+        FROM tickets t
+        WHERE t.price IS NOT NULL AND t.deleted_at IS NULL ${within('t.created_at')}
+        GROUP BY 1, 2
+        UNION ALL
+        SELECT 
+          TO_CHAR(p.purchase_date, '${dateFormat}'),
+          COALESCE(p.currency, 'EUR'),
+          'template_revenue',
+          COUNT(*),
+          COALESCE(SUM(p.amount), 0),
+          MAX(p.purchase_date)
+        FROM purchases p
+        WHERE p.purchase_date IS NOT NULL ${within('p.purchase_date')}
+        GROUP BY 1, 2
+        UNION ALL
+        SELECT 
+          TO_CHAR(r.confirmed_at, '${dateFormat}'),
+          COALESCE(r.currency, 'EUR'),
+          'promo_discount',
+          COUNT(*),
+          COALESCE(SUM(r.discount_amount), 0),
+          MAX(r.confirmed_at)
+        FROM promo_code_redemptions r
+        WHERE r.status = 'confirmed' ${within('r.confirmed_at')}
+        GROUP BY 1, 2
+        UNION ALL
+        SELECT 
+          TO_CHAR(t.created_at, '${dateFormat}'),
+          COALESCE(t.currency, 'EUR'),
+          'donation',
+          COUNT(*),
+          COALESCE(SUM(t.donation_amount), 0),
+          MAX(t.created_at)
+        FROM tickets t
+        WHERE t.donation_amount IS NOT NULL AND t.deleted_at IS NULL ${within('t.created_at')}
+        GROUP BY 1, 2
+      ) amounts
+      GROUP BY period, currency, metric
+    `;
+    
+    const [ticketTypes, amounts] = await Promise.all([
+      database.query(ticketTypesQuery, queryParams),
+      database.query(amountsQuery, queryParams)
+    ]);
+    
+    return {
+      ticketTypes: ticketTypes.rows,
+      amounts: amounts.rows
+    };
   }
 
   /**
@@ -56,6 +56,12 @@ router.get('/analytics/revenue', SecurityMiddleware.withPermissions('admin.analy
 
 router.get('/analytics/events', SecurityMiddleware.withPermissions('admin.analytics.events'), adminController.getEventGrowthStats);
 
+// Réconciliation des paiements restés en attente : rapport des corrections (?start_date=&end_date=&status=&page=&limit=)
+router.get('/payments/reconciliation', SecurityMiddleware.withPermissions('admin.payments.read'), adminController.getPaymentReconciliationReport);
+
+// Passage immédiat de la réconciliation
+router.post('/payments/reconciliation/run', SecurityMiddleware.withPermissions('admin.payments.reconcile'), adminController.runPaymentReconciliation);
+
 // Data Export - GET routes avec permission spécifique
 router.get('/export', SecurityMiddleware.withPermissions('admin.export'), adminController.exportData);
 
@@ -1,4 +1,7 @@
 const adminRepository = require('./admin.repository');
+const currenciesService = require('../currencies/currencies.service');
+const paymentReconciliationService = require('../../services/payment-reconciliation.service');
+const { REPORTING_CURRENCY, normalizeCurrency, isValidCurrency, roundToCurrency } = require('../../utils/currency');
 const db = require('../../config/database');
 
 class AdminService {
@@ -238,12 +241,83 @@ class AdminService {
     }
   }
 
+  /**
+   * Analyses de revenus par période, converties dans la devise de reporting
+   * (taux en vigueur à la date du dernier montant de la période). Les montants
+   * sans taux connu restent hors des totaux et sont listés dans `unconverted`.
+   */
   async getRevenueAnalytics(options = {}) {
     try {
       const { period, start_date, end_date, userId } = options;
-      const stats = await adminRepository.getRevenueAnalytics({ 
+      const currency = options.currency ? normalizeCurrency(options.currency) : REPORTING_CURRENCY;
+      if (!isValidCurrency(currency)) {
+        return {
+          success: false,
+          error: 'Invalid reporting currency',
+          details: ['currency must be an ISO 4217 currency code']
+        };
+      }
+
+      const { ticketTypes, amounts } = await adminRepository.getRevenueAnalytics({ 
         period, start_date, end_date, userId 
       });
+      const convert = await currenciesService.buildConverter(amounts.map(row => row.currency), currency);
+
+      const periods = new Map();
+      const getPeriod = (key) => {
+        if (!periods.has(key)) {
+          periods.set(key, {
+            period: key,
+            currency,
+            ticket_types_created: 0,
+            total_quantity: 0,
+            ticket_revenue: 0,
+            template_revenue: 0,
+            promo_redemptions: 0,
+            promo_discount_total: 0,
+            donation_count: 0,
+            donation_total: 0,
+            by_currency: {},
+            unconverted: []
+          });
+        }
+        return periods.get(key);
+      };
+      const totalFields = {
+        ticket_revenue: 'ticket_revenue',
+        template_revenue: 'template_revenue',
+        promo_discount: 'promo_discount_total',
+        donation: 'donation_total'
+      };
+
+      for (const row of ticketTypes) {
+        const entry = getPeriod(row.period);
+        entry.ticket_types_created = parseInt(row.ticket_types_created);
+        entry.total_quantity = parseInt(row.total_quantity);
+      }
+
+      for (const row of amounts) {
+        const entry = getPeriod(row.period);
+        const amount = parseFloat(row.amount);
+        const count = parseInt(row.count);
+
+        if (row.metric === 'promo_discount') entry.promo_redemptions += count;
+        if (row.metric === 'donation') entry.donation_count += count;
+
+        entry.by_currency[row.currency] = entry.by_currency[row.currency] || {};
+        entry.by_currency[row.currency][totalFields[row.metric]] = amount;
+
+        const converted = convert(amount, row.currency, row.last_at);
+        if (converted === null) {
+          entry.unconverted.push({ metric: totalFields[row.metric], currency: row.currency, amount });
+        } else {
+          entry[totalFields[row.metric]] = roundToCurrency(entry[totalFields[row.metric]] + converted, currency);
+        }
+      }
+
+      const stats = Array.from(periods.values())
+        .sort((a, b) => (a.period < b.period ? 1 : -1))
+        .slice(0, 12);
       
       return {
         success: true,
@@ -278,6 +352,57 @@ class AdminService {
     }
   }
 
+  async getPaymentReconciliationReport(options = {}) {
+    try {
+      const { start_date, end_date, status } = options;
+      const page = options.page ? parseInt(options.page) : 1;
+      const limit = options.limit ? parseInt(options.limit) : 20;
+      if (isNaN(page) || page < 1 || isNaN(limit) || limit < 1 || limit > 100) {
+        return {
+          success: false,
+          error: 'Invalid pagination parameters'
+        };
+      }
+
+      const report = await paymentReconciliationService.getReport({ start_date, end_date, status, page, limit });
+      
+      return {
+        success: true,
+        data: report
+      };
+    } catch (error) {
+      console.error('Error getting payment reconciliation report:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get payment reconciliation report'
+      };
+    }
+  }
+
+  async runPaymentReconciliation(options = {}) {
+    try {
+      const run = await paymentReconciliationService.run({ triggeredBy: options.userId });
+      if (!run) {
+        return {
+          success: false,
+          error: 'A reconciliation run is already in progress',
+          code: 'RECONCILIATION_IN_PROGRESS'
+        };
+      }
+      
+      return {
+        success: true,
+        data: run
+      };
+    } catch (error) {
+      console.error('Error running payment reconciliation:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to run payment reconciliation'
+      };
+    }
+  }
+
   async exportData(options = {}) {
     try {
       const { type, format, filters, userId, token } = options;
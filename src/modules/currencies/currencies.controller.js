@@ -0,0 +1,103 @@
+const currenciesService = require('./currencies.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux opérations sur les devises
+ */
+function sendCurrencyError(res, result) {
+  if (result.error === 'Exchange rate not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Exchange rate'));
+  }
+  if (result.code === 'EXCHANGE_RATE_MISSING') {
+    return res.status(422).json(ResponseFormatter.error(result.error, null, 'EXCHANGE_RATE_MISSING'));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class CurrenciesController {
+  async getCurrencies(req, res, next) {
+    try {
+      const result = currenciesService.getCurrencies();
+      res.json(ResponseFormatter.success('Currencies retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async convert(req, res, next) {
+    try {
+      const result = await currenciesService.convert(req.query);
+      if (!result.success) {
+        return sendCurrencyError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Amount converted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRates(req, res, next) {
+    try {
+      const result = await currenciesService.getRates(req.query);
+      if (!result.success) {
+        return sendCurrencyError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Exchange rates retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setRate(req, res, next) {
+    try {
+      const userId = req.user?.id;
+
+      const result = await currenciesService.setRate(req.body, userId);
+      if (!result.success) {
+        return sendCurrencyError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Exchange rate saved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async importRates(req, res, next) {
+    try {
+      const userId = req.user?.id;
+
+      const result = await currenciesService.importRates({
+        file: req.file,
+        rates: req.body?.rates
+      }, userId);
+      if (!result.success) {
+        return sendCurrencyError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Exchange rates imported', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteRate(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await currenciesService.deleteRate(id, userId);
+      if (!result.success) {
+        return sendCurrencyError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Exchange rate deleted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CurrenciesController();
@@ -0,0 +1,124 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux taux de change gérés par les administrateurs
+ */
+class CurrenciesRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  /**
+   * Crée ou remplace le taux d'une paire à une date d'effet
+   */
+  async upsertRate(rateData, client = database) {
+    const { base_currency, quote_currency, rate, effective_date, source, note, userId } = rateData;
+
+    const existing = await client.query(`
+      SELECT id FROM exchange_rates
+      WHERE base_currency = $1 AND quote_currency = $2 AND effective_date = $3 AND deleted_at IS NULL
+      FOR UPDATE
+    `, [base_currency, quote_currency, effective_date]);
+
+    if (existing.rows[0]) {
+      const result = await client.query(`
+        UPDATE exchange_rates
+        SET rate = $2, source = $3, note = $4, updated_by = $5, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [existing.rows[0].id, rate, source, note || null, userId]);
+      return result.rows[0];
+    }
+
+    const result = await client.query(`
+      INSERT INTO exchange_rates (
+        base_currency, quote_currency, rate, effective_date, source, note, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+      RETURNING *
+    `, [base_currency, quote_currency, rate, effective_date, source, note || null, userId]);
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT * FROM exchange_rates
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  async findRates(options = {}) {
+    const { base_currency, quote_currency, page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [];
+    let where = 'WHERE deleted_at IS NULL';
+    if (base_currency) {
+      values.push(base_currency);
+      where += ` AND base_currency = $${values.length}`;
+    }
+    if (quote_currency) {
+      values.push(quote_currency);
+      where += ` AND quote_currency = $${values.length}`;
+    }
+
+    const query = `
+      SELECT * FROM exchange_rates
+      ${where}
+      ORDER BY base_currency, quote_currency, effective_date DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) AS total FROM exchange_rates ${where}`;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      rates: rows.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Taux entre une devise de référence et une liste de devises, dans les deux sens,
+   * du plus ancien au plus récent
+   */
+  async findRatesAgainst(currency, currencies) {
+    const query = `
+      SELECT base_currency, quote_currency, rate, TO_CHAR(effective_date, 'YYYY-MM-DD') AS effective_date
+      FROM exchange_rates
+      WHERE deleted_at IS NULL
+        AND ((quote_currency = $1 AND base_currency = ANY($2))
+          OR (base_currency = $1 AND quote_currency = ANY($2)))
+      ORDER BY effective_date ASC, id ASC
+    `;
+
+    const result = await database.query(query, [currency, currencies]);
+    return result.rows;
+  }
+
+  async softDelete(id, userId) {
+    const query = `
+      UPDATE exchange_rates
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [id, userId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new CurrenciesRepository();
@@ -0,0 +1,41 @@
+const express = require('express');
+const currenciesController = require('./currencies.controller');
+const { uploadRatesFile } = require('../../middleware/upload.middleware');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Devises ISO 4217 acceptées et devise de reporting
+router.get('/', currenciesController.getCurrencies);
+
+// Conversion d'un montant (?amount=&from=&to=&date=), au taux en vigueur à la date
+router.get('/convert', SecurityMiddleware.withPermissions('currencies.rates.read'), currenciesController.convert);
+
+// Table des taux (?base_currency=&quote_currency=&page=&limit=)
+router.get('/rates', SecurityMiddleware.withPermissions('currencies.rates.read'), currenciesController.getRates);
+
+// Saisie manuelle d'un taux (administrateurs) : { base_currency, quote_currency, rate, effective_date, note }
+router.put('/rates',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('currencies.rates.manage'),
+  currenciesController.setRate
+);
+
+// Import d'un fichier CSV (champ 'file') ou d'un tableau { rates: [...] }, tout ou rien
+router.post('/rates/import',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('currencies.rates.manage'),
+  uploadRatesFile,
+  currenciesController.importRates
+);
+
+router.delete('/rates/:id',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('currencies.rates.manage'),
+  currenciesController.deleteRate
+);
+
+module.exports = router;
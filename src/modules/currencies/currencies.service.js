@@ -0,0 +1,249 @@
+const Joi = require('joi');
+const csv = require('csv-parser');
+const { Readable } = require('stream');
+const currenciesRepository = require('./currencies.repository');
+const {
+  REPORTING_CURRENCY,
+  normalizeCurrency,
+  isValidCurrency,
+  validateCurrency,
+  roundToCurrency,
+  listCurrencies
+} = require('../../utils/currency');
+
+const MAX_IMPORT_ROWS = 5000;
+
+const currencyCode = () => Joi.string().trim().length(3).custom(validateCurrency)
+  .messages({ 'any.invalid': '{{#label}} must be an ISO 4217 currency code' });
+
+const rateSchema = Joi.object({
+  base_currency: currencyCode().required(),
+  quote_currency: currencyCode().required(),
+  rate: Joi.number().positive().required(),
+  effective_date: Joi.date().iso().empty('').default(() => new Date()),
+  note: Joi.string().max(500).allow(null, '')
+})
+  // Comparées une fois normalisées (eur / EUR)
+  .custom((value, helpers) => (value.base_currency === value.quote_currency
+    ? helpers.message('"quote_currency" must differ from base_currency')
+    : value));
+
+// Date d'effet AAAA-MM-JJ (les dates lues en base sont déjà au format texte)
+function toDateOnly(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Lignes d'un fichier CSV de taux (en-têtes : base_currency, quote_currency, rate, effective_date, note)
+ */
+function parseRatesCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([buffer])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Taux de change et conversions vers la devise de reporting.
+ * Un montant est converti au dernier taux en vigueur à sa date (taux direct ou inverse) ;
+ * sans taux connu à cette date, il est signalé comme non converti.
+ */
+class CurrenciesService {
+  getCurrencies() {
+    return {
+      success: true,
+      data: {
+        reporting_currency: REPORTING_CURRENCY,
+        currencies: listCurrencies()
+      }
+    };
+  }
+
+  async getRates(options = {}) {
+    try {
+      const filters = {};
+      for (const key of ['base_currency', 'quote_currency']) {
+        if (options[key]) {
+          if (!isValidCurrency(options[key])) {
+            return { success: false, error: 'Invalid currency', details: [`${key} must be an ISO 4217 currency code`] };
+          }
+          filters[key] = normalizeCurrency(options[key]);
+        }
+      }
+
+      const result = await currenciesRepository.findRates({
+        ...filters,
+        page: options.page ? parseInt(options.page) : 1,
+        limit: options.limit ? Math.min(parseInt(options.limit), 200) : 50
+      });
+
+      return { success: true, data: result.rates, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error getting exchange rates:', error);
+      return { success: false, error: error.message || 'Failed to get exchange rates' };
+    }
+  }
+
+  async setRate(rateData, userId) {
+    try {
+      const { error, value } = rateSchema.validate(rateData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid exchange rate', details: error.details.map(d => d.message) };
+      }
+
+      const rate = await currenciesRepository.upsertRate({
+        ...value,
+        effective_date: toDateOnly(value.effective_date),
+        source: 'manual',
+        userId
+      });
+
+      return { success: true, data: rate };
+    } catch (error) {
+      console.error('Error setting exchange rate:', error);
+      return { success: false, error: error.message || 'Failed to set exchange rate' };
+    }
+  }
+
+  /**
+   * Import d'une table de taux : fichier CSV ou tableau `rates`.
+   * Le fichier est importé en entier ou pas du tout.
+   * @param {Object} importData - { file: { buffer }, rates: [...] }
+   */
+  async importRates(importData, userId) {
+    try {
+      let rows = importData.rates;
+      if (importData.file) {
+        rows = await parseRatesCsv(importData.file.buffer);
+      }
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return { success: false, error: 'Invalid exchange rates', details: ['Provide a CSV file or a non-empty rates array'] };
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return { success: false, error: 'Invalid exchange rates', details: [`At most ${MAX_IMPORT_ROWS} rates per import`] };
+      }
+
+      const rates = [];
+      const details = [];
+      rows.forEach((row, index) => {
+        const { error, value } = rateSchema.validate(row, { abortEarly: false, stripUnknown: true });
+        if (error) {
+          details.push(...error.details.map(d => `Row ${index + 1}: ${d.message}`));
+        } else {
+          rates.push({ ...value, effective_date: toDateOnly(value.effective_date) });
+        }
+      });
+      if (details.length > 0) {
+        return { success: false, error: 'Invalid exchange rates', details };
+      }
+
+      const imported = await currenciesRepository.transaction(async (client) => {
+        const saved = [];
+        for (const rate of rates) {
+          saved.push(await currenciesRepository.upsertRate({ ...rate, source: 'import', userId }, client));
+        }
+        return saved;
+      });
+
+      return { success: true, data: { imported: imported.length, rates: imported } };
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      return { success: false, error: error.message || 'Failed to import exchange rates' };
+    }
+  }
+
+  async deleteRate(rateId, userId) {
+    try {
+      const rate = await currenciesRepository.softDelete(rateId, userId);
+      if (!rate) {
+        return { success: false, error: 'Exchange rate not found' };
+      }
+      return { success: true, data: rate };
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      return { success: false, error: error.message || 'Failed to delete exchange rate' };
+    }
+  }
+
+  /**
+   * Convertisseur vers une devise cible, les taux des devises sources étant chargés en une fois
+   * @param {string[]} currencies - Devises sources
+   * @param {string} target - Devise cible
+   * @returns {Promise<Function>} (amount, currency, date) => montant converti, ou null sans taux
+   */
+  async buildConverter(currencies, target = REPORTING_CURRENCY) {
+    const sources = Array.from(new Set(currencies.map(normalizeCurrency).filter(code => code && code !== target)));
+    const rows = sources.length > 0 ? await currenciesRepository.findRatesAgainst(target, sources) : [];
+
+    // Taux vers la devise cible par devise source, du plus ancien au plus récent
+    const ratesByCurrency = new Map();
+    for (const row of rows) {
+      if (row.quote_currency !== target && row.base_currency !== target) continue;
+      const direct = row.quote_currency === target;
+      const source = direct ? row.base_currency : row.quote_currency;
+      const rate = direct ? parseFloat(row.rate) : 1 / parseFloat(row.rate);
+      if (!ratesByCurrency.has(source)) ratesByCurrency.set(source, []);
+      ratesByCurrency.get(source).push({ rate, effective_date: toDateOnly(row.effective_date) });
+    }
+
+    return (amount, currency, date = new Date()) => {
+      const source = normalizeCurrency(currency) || target;
+      if (source === target) {
+        return roundToCurrency(parseFloat(amount), target);
+      }
+
+      const day = toDateOnly(date);
+      const applicable = (ratesByCurrency.get(source) || []).filter(rate => rate.effective_date <= day);
+      if (applicable.length === 0) {
+        return null;
+      }
+      return roundToCurrency(parseFloat(amount) * applicable[applicable.length - 1].rate, target);
+    };
+  }
+
+  async convert(query = {}) {
+    try {
+      const amount = parseFloat(query.amount);
+      if (isNaN(amount)) {
+        return { success: false, error: 'Invalid conversion', details: ['amount must be a number'] };
+      }
+      if (!isValidCurrency(query.from) || !isValidCurrency(query.to || REPORTING_CURRENCY)) {
+        return { success: false, error: 'Invalid conversion', details: ['from and to must be ISO 4217 currency codes'] };
+      }
+
+      const from = normalizeCurrency(query.from);
+      const to = normalizeCurrency(query.to || REPORTING_CURRENCY);
+      const date = query.date ? new Date(query.date) : new Date();
+      if (isNaN(date.getTime())) {
+        return { success: false, error: 'Invalid conversion', details: ['date must be a valid date'] };
+      }
+
+      const convert = await this.buildConverter([from], to);
+      const converted = convert(amount, from, date);
+      if (converted === null) {
+        return {
+          success: false,
+          error: `No exchange rate from ${from} to ${to} on ${toDateOnly(date)}`,
+          code: 'EXCHANGE_RATE_MISSING'
+        };
+      }
+
+      return {
+        success: true,
+        data: { amount, from, to, date: toDateOnly(date), converted_amount: converted }
+      };
+    } catch (error) {
+      console.error('Error converting amount:', error);
+      return { success: false, error: error.message || 'Failed to convert amount' };
+    }
+  }
+}
+
+module.exports = new CurrenciesService();
@@ -0,0 +1,356 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux séries d'événements récurrents et à leurs occurrences.
+ * Les opérations multi-lignes acceptent un client de transaction optionnel.
+ */
+class EventSeriesRepository {
+  /**
+   * Exécute un callback dans une transaction dédiée
+   * @param {Function} callback - async (client) => résultat
+   * @returns {Promise<*>} Résultat du callback
+   */
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async create(seriesData, client = database) {
+    const {
+      frequency,
+      interval,
+      by_weekday,
+      until,
+      count,
+      dtstart,
+      exception_dates,
+      carry_over_ticket_types,
+      carry_over_guests,
+      parent_series_id,
+      organizer_id
+    } = seriesData;
+
+    const query = `
+      INSERT INTO event_series (
+        frequency, interval_count, by_weekday, until_date, occurrence_count,
+        dtstart, exception_dates, carry_over_ticket_types, carry_over_guests,
+        parent_series_id, organizer_id, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11, $11)
+      RETURNING *
+    `;
+
+    const values = [
+      frequency,
+      interval || 1,
+      by_weekday || [],
+      until || null,
+      count || null,
+      dtstart,
+      exception_dates || [],
+      !!carry_over_ticket_types,
+      !!carry_over_guests,
+      parent_series_id || null,
+      organizer_id
+    ];
+
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const query = 'SELECT * FROM event_series WHERE id = $1 AND deleted_at IS NULL';
+    const result = await database.query(query, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  async update(id, updateData, updatedBy, client = database) {
+    const allowedFields = ['by_weekday', 'until_date', 'occurrence_count', 'dtstart', 'exception_dates'];
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        updates.push(`"${key}" = $${values.length + 1}`);
+        values.push(updateData[key]);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('Aucun champ valide à mettre à jour');
+    }
+
+    values.push(updatedBy, id);
+
+    const query = `
+      UPDATE event_series
+      SET ${updates.join(', ')}, updated_by = $${values.length - 1}, updated_at = NOW()
+      WHERE id = $${values.length} AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  async addExceptionDate(id, exceptionDate, updatedBy, client = database) {
+    const query = `
+      UPDATE event_series
+      SET exception_dates = array_append(exception_dates, $2::timestamptz),
+          updated_by = $3, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL AND NOT ($2::timestamptz = ANY(exception_dates))
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [id, exceptionDate, updatedBy]);
+    return result.rows[0] || null;
+  }
+
+  async delete(id, deletedBy, client = database) {
+    const query = `
+      UPDATE event_series
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW(), updated_by = $2
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [id, deletedBy]);
+    return result.rows[0] || null;
+  }
+
+  // ========================================
+  // OCCURRENCES
+  // ========================================
+
+  /**
+   * Liste les occurrences actives d'une série, triées par date prévue
+   * @param {number} seriesId - ID de la série
+   * @param {Object} options - { fromDate: ne retourne que les occurrences prévues à partir de cette date }
+   */
+  async findOccurrences(seriesId, options = {}) {
+    const { fromDate } = options;
+    let query = `
+      SELECT * FROM events
+      WHERE series_id = $1 AND deleted_at IS NULL
+    `;
+    const values = [seriesId];
+
+    if (fromDate) {
+      query += ' AND occurrence_date >= $2';
+      values.push(fromDate);
+    }
+
+    query += ' ORDER BY occurrence_date ASC';
+
+    const result = await database.query(query, values);
+    return result.rows;
+  }
+
+  async attachEvent(eventId, seriesId, occurrenceDate, updatedBy, client = database) {
+    const query = `
+      UPDATE events
+      SET series_id = $2, occurrence_date = $3, is_series_exception = FALSE,
+          updated_by = $4, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventId, seriesId, occurrenceDate, updatedBy]);
+    return result.rows[0] || null;
+  }
+
+  async createOccurrence(occurrenceData, client = database) {
+    const {
+      title,
+      description,
+      event_date,
+      end_date,
+      timezone,
+      location,
+      max_attendees,
+      organizer_id,
+      series_id
+    } = occurrenceData;
+
+    const query = `
+      INSERT INTO events (
+        title, description, event_date, end_date, timezone, location, max_attendees,
+        organizer_id, series_id, occurrence_date, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, COALESCE($5, 'UTC'), $6, $7, $8, $9, $3, $8, $8)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      title,
+      description || null,
+      event_date,
+      end_date || null,
+      timezone || null,
+      location,
+      max_attendees || null,
+      organizer_id,
+      series_id
+    ]);
+    return result.rows[0];
+  }
+
+  async markAsException(eventId, client = database) {
+    const query = `
+      UPDATE events SET is_series_exception = TRUE
+      WHERE id = $1 AND series_id IS NOT NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Applique une même mise à jour à plusieurs occurrences.
+   * Le décalage de date est appliqué à la date effective et à la date prévue.
+   * @param {Array<number>} eventIds - IDs des occurrences
+   * @param {Object} fields - Champs à mettre à jour (title, description, location, status, timezone, max_attendees)
+   * @param {Object} schedule - { shiftSeconds: décalage des dates, durationSeconds: nouvelle durée (end_date) }
+   * @param {number} updatedBy - ID de l'utilisateur
+   */
+  async updateOccurrences(eventIds, fields, schedule, updatedBy, client = database) {
+    const { shiftSeconds = 0, durationSeconds = null } = schedule || {};
+    const allowedFields = ['title', 'description', 'location', 'status', 'timezone', 'max_attendees'];
+    const updates = [];
+    const values = [eventIds];
+
+    Object.keys(fields).forEach(key => {
+      if (allowedFields.includes(key) && fields[key] !== undefined) {
+        values.push(fields[key]);
+        updates.push(`"${key}" = $${values.length}`);
+      }
+    });
+
+    if (shiftSeconds) {
+      values.push(shiftSeconds);
+      const shiftParam = `$${values.length}`;
+      updates.push(`event_date = event_date + make_interval(secs => ${shiftParam})`);
+      updates.push(`occurrence_date = occurrence_date + make_interval(secs => ${shiftParam})`);
+      if (durationSeconds === null) {
+        updates.push(`end_date = end_date + make_interval(secs => ${shiftParam})`);
+      }
+    }
+
+    // Nouvelle durée : end_date recalculée à partir de la date de début (décalée)
+    if (durationSeconds !== null) {
+      values.push(shiftSeconds + durationSeconds);
+      updates.push(`end_date = event_date + make_interval(secs => $${values.length})`);
+    }
+
+    if (updates.length === 0) {
+      return [];
+    }
+
+    values.push(updatedBy);
+
+    const query = `
+      UPDATE events
+      SET ${updates.join(', ')}, updated_by = $${values.length}, updated_at = NOW()
+      WHERE id = ANY($1) AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  async moveOccurrences(eventIds, seriesId, updatedBy, client = database) {
+    const query = `
+      UPDATE events
+      SET series_id = $2, updated_by = $3, updated_at = NOW()
+      WHERE id = ANY($1) AND deleted_at IS NULL
+    `;
+
+    await client.query(query, [eventIds, seriesId, updatedBy]);
+  }
+
+  async deleteOccurrences(eventIds, deletedBy, client = database) {
+    const query = `
+      UPDATE events
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW(), updated_by = $2
+      WHERE id = ANY($1) AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventIds, deletedBy]);
+    return result.rows;
+  }
+
+  // ========================================
+  // REPRISE DES TYPES DE BILLETS ET INVITÉS
+  // ========================================
+
+  /**
+   * Reprend les types de billets d'un événement, avec leurs paliers de prix.
+   * La période de vente et les dates des paliers sont décalées de l'écart
+   * entre les deux événements.
+   * @returns {Promise<number>} Nombre de types copiés
+   */
+  async copyTicketTypes(sourceEventId, targetEventId, createdBy, client = database) {
+    const sourceTypes = await client.query(
+      'SELECT id FROM ticket_types WHERE event_id = $1 AND deleted_at IS NULL ORDER BY id ASC',
+      [sourceEventId]
+    );
+
+    for (const sourceType of sourceTypes.rows) {
+      const inserted = await client.query(`
+        INSERT INTO ticket_types (
+          name, description, type, quantity, available_from, available_to,
+          transfers_enabled, price, currency, donation_min_amount, donation_suggested_amounts,
+          event_id, created_by, updated_by
+        )
+        SELECT tt.name, tt.description, tt.type, tt.quantity,
+               tt.available_from + (target.event_date - source.event_date),
+               tt.available_to + (target.event_date - source.event_date),
+               tt.transfers_enabled, tt.price, tt.currency, tt.donation_min_amount, tt.donation_suggested_amounts,
+               $2, $3, $3
+        FROM ticket_types tt
+        JOIN events source ON source.id = tt.event_id
+        JOIN events target ON target.id = $2
+        WHERE tt.id = $1
+        RETURNING id
+      `, [sourceType.id, targetEventId, createdBy]);
+
+      await client.query(`
+        INSERT INTO ticket_price_tiers (
+          name, price, position, starts_at, ends_at, sold_limit,
+          ticket_type_id, created_by, updated_by
+        )
+        SELECT pt.name, pt.price, pt.position,
+               pt.starts_at + (target.event_date - source.event_date),
+               pt.ends_at + (target.event_date - source.event_date),
+               pt.sold_limit, $2, $5, $5
+        FROM ticket_price_tiers pt
+        JOIN events source ON source.id = $3
+        JOIN events target ON target.id = $4
+        WHERE pt.ticket_type_id = $1 AND pt.deleted_at IS NULL
+      `, [sourceType.id, inserted.rows[0].id, sourceEventId, targetEventId, createdBy]);
+    }
+
+    return sourceTypes.rows.length;
+  }
+
+  async copyGuests(sourceEventId, targetEventId, createdBy, client = database) {
+    const query = `
+      INSERT INTO event_guests (event_id, guest_id, invitation_code, status, created_by, updated_by)
+      SELECT $2, guest_id,
+             'INV-' || $2 || '-' || guest_id || '-' || upper(substr(md5(random()::text), 1, 6)),
+             'pending', $3, $3
+      FROM event_guests
+      WHERE event_id = $1 AND deleted_at IS NULL AND status <> 'cancelled'
+      ON CONFLICT (event_id, guest_id) DO NOTHING
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [sourceEventId, targetEventId, createdBy]);
+    return result.rowCount;
+  }
+}
+
+module.exports = new EventSeriesRepository();
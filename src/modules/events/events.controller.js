@@ -4,7 +4,7 @@ const { ResponseFormatter } = require('../../../../shared');
 class EventsController {
   async createEvent(req, res, next) {
     try {
-      const { title, description, event_date, location } = req.body;
+      const { title, description, event_date, end_date, timezone, location, max_attendees } = req.body;
       const organizerId = req.user?.id;
       
       if (!organizerId) {
@@ -15,7 +15,10 @@ class EventsController {
         title,
         description,
         event_date,
-        location
+        end_date,
+        timezone,
+        location,
+        max_attendees
       }, organizerId);
       
       if (!result.success) {
@@ -57,12 +60,14 @@ class EventsController {
 
   async getEvents(req, res, next) {
     try {
-      const { page, limit, status, search } = req.query;
+      const { page, limit, status, search, from, to } = req.query;
       const result = await eventsService.getEvents({
         page: page ? parseInt(page) : 1,
         limit: limit ? parseInt(limit) : 10,
         status,
         search,
+        from,
+        to,
         userId: req.user.id
       });
       
@@ -85,7 +90,7 @@ class EventsController {
         return res.status(400).json(ResponseFormatter.error('Invalid event ID', null, 'VALIDATION_ERROR'));
       }
 
-      const result = await eventsService.updateEvent(eventId, req.body, req.user.id);
+      const result = await eventsService.updateEvent(eventId, req.body, req.user.id, req.query.scope || 'this');
       
       if (!result.success) {
         if (result.error && (result.error.includes('not found') || result.error.includes('non trouvé'))) {
@@ -109,7 +114,7 @@ class EventsController {
         return res.status(400).json(ResponseFormatter.error('Invalid event ID', null, 'VALIDATION_ERROR'));
       }
 
-      const result = await eventsService.deleteEvent(eventId, req.user.id);
+      const result = await eventsService.deleteEvent(eventId, req.user.id, req.query.scope || 'this');
       
       if (!result.success) {
         if (result.error && (result.error.includes('not found') || result.error.includes('non trouvé'))) {
@@ -221,6 +226,69 @@ class EventsController {
     }
   }
 
+  // ========================================
+  // SÉRIES D'ÉVÉNEMENTS RÉCURRENTS
+  // ========================================
+
+  async createEventSeries(req, res, next) {
+    try {
+      const { id } = req.params;
+      const eventId = parseInt(id);
+      
+      if (isNaN(eventId) || eventId <= 0) {
+        return res.status(400).json(ResponseFormatter.error('Invalid event ID', null, 'VALIDATION_ERROR'));
+      }
+
+      const { recurrence, carry_over_ticket_types, carry_over_guests } = req.body;
+      const result = await eventsService.createEventSeries(eventId, {
+        recurrence,
+        carry_over_ticket_types,
+        carry_over_guests
+      }, req.user.id);
+      
+      if (!result.success) {
+        if (result.error && (result.error.includes('not found') || result.error.includes('non trouvé'))) {
+          return res.status(404).json(ResponseFormatter.notFound('Event'));
+        }
+        if (result.error === 'Access denied') {
+          return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.status(201).json(ResponseFormatter.created('Event series created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getEventSeries(req, res, next) {
+    try {
+      const { seriesId } = req.params;
+      const parsedSeriesId = parseInt(seriesId);
+      
+      if (isNaN(parsedSeriesId) || parsedSeriesId <= 0) {
+        return res.status(400).json(ResponseFormatter.error('Invalid series ID', null, 'VALIDATION_ERROR'));
+      }
+
+      const result = await eventsService.getEventSeries(parsedSeriesId, req.user.id);
+      
+      if (!result.success) {
+        if (result.error && result.error.includes('not found')) {
+          return res.status(404).json(ResponseFormatter.notFound('Event series'));
+        }
+        if (result.error === 'Access denied') {
+          return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Event series retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // ========================================
   // MÉTHODES D'INTERACTION AVEC LES ÉVÉNEMENTS
   // ========================================
@@ -14,17 +14,20 @@ class EventsRepository {
       title,
       description,
       event_date,
+      end_date,
+      timezone,
       location,
+      max_attendees,
       organizer_id
     } = eventData;
 
     // Requête SQL d'insertion avec retour des données créées
     const query = `
       INSERT INTO events (
-        title, description, event_date, location,
-        organizer_id, created_by, updated_by
+        title, description, event_date, end_date, timezone, location,
+        max_attendees, organizer_id, created_by, updated_by
       )
-      VALUES ($1, $2, $3, $4, $5, $5, $5)
+      VALUES ($1, $2, $3, $4, COALESCE($5, 'UTC'), $6, $7, $8, $8, $8)
       RETURNING *
     `;
 
@@ -33,7 +36,10 @@ class EventsRepository {
       title,
       description || null,
       event_date,
+      end_date || null,
+      timezone || null,
       location,
+      max_attendees || null,
       organizer_id
     ];
     
@@ -79,29 +85,46 @@ class EventsRepository {
     return result.rows[0] || null;
   }
 
+  /**
+   * Liste paginée des événements d'un organisateur
+   * @param {number} organizerId - ID de l'organisateur
+   * @param {Object} options - { page, limit, status, from, to }
+   *   from/to: événements "en cours" sur la période (chevauchement avec
+   *   [event_date, end_date], end_date absent = date de début)
+   */
   async findByOrganizer(organizerId, options = {}) {
-    const { page = 1, limit = 20, status } = options;
+    const { page = 1, limit = 20, status, from, to } = options;
     const offset = (page - 1) * limit;
 
-    let query = `
-      SELECT e.*,
-             COUNT(eg.id) as guest_count,
-             COUNT(CASE WHEN eg.is_present = true THEN 1 END) as checked_in_count
-      FROM events e
-      LEFT JOIN event_guests eg ON e.id = eg.event_id AND eg.deleted_at IS NULL
-      WHERE e.organizer_id = $1 AND e.deleted_at IS NULL
-    `;
-
+    const conditions = ['e.organizer_id = $1', 'e.deleted_at IS NULL'];
     const values = [organizerId];
-    let paramCount = 1;
 
     if (status) {
-      paramCount++;
-      query += ` AND e.status = $${paramCount}`;
       values.push(status);
+      conditions.push(`e.status = $${values.length}`);
+    }
+
+    if (from) {
+      values.push(from);
+      conditions.push(`COALESCE(e.end_date, e.event_date) >= $${values.length}`);
+    }
+
+    if (to) {
+      values.push(to);
+      conditions.push(`e.event_date <= $${values.length}`);
     }
 
-    query += `
+    const whereClause = conditions.join(' AND ');
+    const filterValues = [...values];
+    const paramCount = values.length;
+
+    const query = `
+      SELECT e.*,
+             COUNT(eg.id) as guest_count,
+             COUNT(CASE WHEN eg.is_present = true THEN 1 END) as checked_in_count
+      FROM events e
+      LEFT JOIN event_guests eg ON e.id = eg.event_id AND eg.deleted_at IS NULL
+      WHERE ${whereClause}
       GROUP BY e.id
       ORDER BY e.created_at DESC
       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
@@ -112,15 +135,8 @@ class EventsRepository {
     const result = await database.query(query, values);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM events WHERE organizer_id = $1 AND deleted_at IS NULL';
-    const countValues = [organizerId];
-    
-    if (status) {
-      countQuery += ' AND status = $2';
-      countValues.push(status);
-    }
-    
-    const countResult = await database.query(countQuery, countValues);
+    const countQuery = `SELECT COUNT(*) as total FROM events e WHERE ${whereClause}`;
+    const countResult = await database.query(countQuery, filterValues);
     const total = parseInt(countResult.rows[0].total);
     
     return {
@@ -145,7 +161,7 @@ class EventsRepository {
    */
   async update(id, updateData, updatedBy) {
     // Liste des champs autorisés pour la mise à jour (sécurité)
-    const allowedFields = ['title', 'description', 'event_date', 'location', 'status', 'organizer_id'];
+    const allowedFields = ['title', 'description', 'event_date', 'end_date', 'timezone', 'location', 'max_attendees', 'status', 'organizer_id'];
     const updates = [];
     const values = [];
     
@@ -60,10 +60,24 @@ router.use(eventsErrorHandler);
  *                 type: string
  *                 format: date-time
  *                 example: "2025-06-15T10:00:00Z"
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Date de fin (événements sur plusieurs jours), postérieure à event_date
+ *                 example: "2025-06-17T18:00:00Z"
+ *               timezone:
+ *                 type: string
+ *                 description: Fuseau horaire IANA de l'événement (défaut UTC)
+ *                 example: "Europe/Paris"
  *               location:
  *                 type: string
  *                 maxLength: 255
  *                 example: "Paris Expo Porte de Versailles"
+ *               max_attendees:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Nombre maximum d'invités (au-delà, liste d'attente)
+ *                 example: 250
  *     responses:
  *       201:
  *         description: Événement créé avec succès
@@ -99,7 +113,10 @@ router.use(eventsErrorHandler);
  * - title (requis): Titre de l'événement
  * - description (optionnel): Description détaillée
  * - event_date (requis): Date et heure de l'événement
+ * - end_date (optionnel): Date et heure de fin (événements sur plusieurs jours)
+ * - timezone (optionnel): Fuseau horaire IANA (ex: Europe/Paris, défaut UTC)
  * - location (requis): Lieu de l'événement
+ * - max_attendees (optionnel): Capacité maximale, les invités suivants sont placés en liste d'attente
  */
 router.post('/', 
   SecurityMiddleware.withPermissions('events.create'), 
@@ -120,6 +137,7 @@ router.post('/',
  * - limit: Nombre par page (défaut: 20, max: 100)
  * - status: Filtrer par statut (draft, published, archived)
  * - search: Terme de recherche
+ * - from / to: Événements en cours sur la période (dates ISO)
  */
 router.get('/', 
   SecurityMiddleware.withPermissions('events.read'), 
@@ -169,7 +187,11 @@ router.get('/:id',
  * Permissions requises: events.update
  * Validation: Schéma updateEvent du middleware partagé
  * 
- * Met à jour les informations d'un événement existant
+ * Met à jour les informations d'un événement existant.
+ * Une augmentation de max_attendees promeut automatiquement la liste d'attente.
+ * 
+ * Paramètre de query optionnel pour une occurrence de série:
+ * - scope: this (défaut), following (cette occurrence et les suivantes), all (toute la série)
  */
 router.put('/:id', 
   SecurityMiddleware.withPermissions('events.update'), 
@@ -187,6 +209,9 @@ router.put('/:id',
  * Validation: Schéma deleteEvent du middleware partagé
  * 
  * Supprime un événement (soft delete)
+ * 
+ * Paramètre de query optionnel pour une occurrence de série:
+ * - scope: this (défaut), following (cette occurrence et les suivantes), all (toute la série)
  */
 router.delete('/:id', 
   SecurityMiddleware.withPermissions('events.delete'), 
@@ -230,6 +255,58 @@ router.post('/:id/archive',
   eventsController.archiveEvent
 );
 
+// ========================================
+// ROUTES DES SÉRIES RÉCURRENTES
+// ========================================
+
+/**
+ * ========================================
+ * DÉTAILS D'UNE SÉRIE
+ * ========================================
+ * GET /api/events/series/:seriesId
+ * 
+ * Permissions requises: events.read
+ * 
+ * Retourne la règle de récurrence (RRULE), les exceptions et les occurrences
+ */
+router.get('/series/:seriesId', 
+  SecurityMiddleware.withPermissions('events.read'), 
+  eventsController.getEventSeries
+);
+
+/**
+ * ========================================
+ * TRANSFORMATION EN SÉRIE RÉCURRENTE
+ * ========================================
+ * POST /api/events/:id/series
+ * 
+ * Permissions requises: events.update
+ * 
+ * L'événement devient la première occurrence de la série:
+ * - recurrence.frequency (requis): daily, weekly, monthly
+ * - recurrence.interval (optionnel): intervalle entre occurrences (défaut: 1)
+ * - recurrence.by_weekday (optionnel, hebdomadaire): jours MO..SU
+ * - recurrence.until / recurrence.count: fin de la série (l'un des deux requis)
+ * - recurrence.exceptions (optionnel): dates à exclure
+ * - carry_over_ticket_types / carry_over_guests: reprise sur chaque occurrence
+ */
+router.post('/:id/series', 
+  SecurityMiddleware.withPermissions('events.update'), 
+  ValidationMiddleware.validate({
+    recurrence: Joi.object({
+      frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+      interval: Joi.number().integer().min(1).max(365).default(1),
+      by_weekday: Joi.array().items(Joi.string().valid('MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU')).unique().optional(),
+      until: Joi.date().iso().optional(),
+      count: Joi.number().integer().min(1).max(366).optional(),
+      exceptions: Joi.array().items(Joi.date().iso()).optional()
+    }).or('until', 'count').required(),
+    carry_over_ticket_types: Joi.boolean().default(false),
+    carry_over_guests: Joi.boolean().default(false)
+  }),
+  eventsController.createEventSeries
+);
+
 // ========================================
 // ROUTES D'INTERACTION AVEC LES ÉVÉNEMENTS
 // ========================================
@@ -2,10 +2,23 @@
 // IMPORT DES DÉPENDANCES
 // ========================================
 const eventsRepository = require('./events.repository');
+const eventSeriesRepository = require('./event-series.repository');
+const { expandOccurrences, normalizeRule, toRRuleString, shiftWeekdays, formatICSDate } = require('../../utils/recurrence');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toWallClock,
+  formatEventSchedule,
+  formatDateInTimeZone,
+  getEventEndDate
+} = require('../../utils/timezone');
 const ticketsRepository = require('../tickets/tickets.repository');
 const notificationClient = require('../../../../shared/clients/notification-client');
 // Plus besoin d'UUID - la base de données utilise des SERIAL IDs automatiques
 
+// Portée d'une modification/suppression sur une occurrence de série
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
 class EventsService {
   /**
    * ========================================
@@ -17,6 +30,15 @@ class EventsService {
    */
   async createEvent(eventData, organizerId) {
     try {
+      // Validation de la date de fin et du fuseau horaire
+      const scheduleError = this.validateEventSchedule(eventData);
+      if (scheduleError) {
+        return {
+          success: false,
+          error: scheduleError
+        };
+      }
+
       // Préparation des données avec valeurs par défaut
       const eventDataWithCreator = {
         ...eventData,
@@ -77,12 +99,29 @@ class EventsService {
 
   async getEvents(options = {}) {
     try {
-      const { page, limit, status, search, userId } = options;
+      const { page, limit, status, search, from, to, userId } = options;
+
+      // Filtre "en cours entre from et to"
+      if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+        return {
+          success: false,
+          error: 'Invalid date range: from and to must be ISO dates'
+        };
+      }
+      if (from && to && new Date(from) > new Date(to)) {
+        return {
+          success: false,
+          error: 'Invalid date range: from must be before to'
+        };
+      }
+
       const events = await eventsRepository.findByOrganizer(userId, {
         page: page ? parseInt(page) : 1,
         limit: limit ? parseInt(limit) : 10,
         status,
-        search
+        search,
+        from,
+        to
       });
       
       return {
@@ -106,10 +145,18 @@ class EventsService {
    * @param {number} eventId - ID de l'événement à mettre à jour
    * @param {Object} updateData - Données de mise à jour
    * @param {number} userId - ID de l'utilisateur qui fait la mise à jour
+   * @param {string} scope - Portée pour une occurrence de série: this, following ou all
    * @returns {Promise<Object>} Résultat de la mise à jour
    */
-  async updateEvent(eventId, updateData, userId) {
+  async updateEvent(eventId, updateData, userId, scope = 'this') {
     try {
+      if (!SERIES_SCOPES.includes(scope)) {
+        return {
+          success: false,
+          error: `Invalid scope: ${scope} (expected one of ${SERIES_SCOPES.join(', ')})`
+        };
+      }
+
       // Récupération de l'événement existant pour vérification
       const existingEvent = await eventsRepository.findById(eventId);
       
@@ -136,9 +183,46 @@ class EventsService {
         };
       }
 
+      // Un déplacement de la date de début conserve la durée de l'événement
+      if (updateData.event_date && updateData.end_date === undefined && existingEvent.end_date) {
+        const durationMs = new Date(existingEvent.end_date) - new Date(existingEvent.event_date);
+        updateData = {
+          ...updateData,
+          end_date: new Date(new Date(updateData.event_date).getTime() + durationMs)
+        };
+      }
+
+      const scheduleError = this.validateEventSchedule({
+        event_date: updateData.event_date || existingEvent.event_date,
+        end_date: updateData.end_date !== undefined ? updateData.end_date : existingEvent.end_date,
+        timezone: updateData.timezone !== undefined ? updateData.timezone : existingEvent.timezone
+      });
+      if (scheduleError) {
+        return {
+          success: false,
+          error: scheduleError
+        };
+      }
+
+      // Occurrence de série modifiée sur plusieurs occurrences
+      if (existingEvent.series_id && scope !== 'this') {
+        return await this.updateSeriesOccurrences(existingEvent, updateData, userId, scope);
+      }
+
       // Mise à jour via le repository
       const updatedEvent = await eventsRepository.update(eventId, updateData, userId);
 
+      // Une occurrence modifiée seule devient une exception de la série (RECURRENCE-ID)
+      if (existingEvent.series_id) {
+        await eventSeriesRepository.markAsException(eventId);
+        updatedEvent.is_series_exception = true;
+      }
+
+      // Une capacité augmentée libère des places pour la liste d'attente
+      if (updateData.max_attendees !== undefined) {
+        await this.promoteWaitlist([updatedEvent.id], userId);
+      }
+
       return {
         success: true,
         data: updatedEvent
@@ -153,8 +237,15 @@ class EventsService {
     }
   }
 
-  async deleteEvent(eventId, userId) {
+  async deleteEvent(eventId, userId, scope = 'this') {
     try {
+      if (!SERIES_SCOPES.includes(scope)) {
+        return {
+          success: false,
+          error: `Invalid scope: ${scope} (expected one of ${SERIES_SCOPES.join(', ')})`
+        };
+      }
+
       const existingEvent = await eventsRepository.findById(eventId);
       
       if (!existingEvent) {
@@ -171,6 +262,10 @@ class EventsService {
         };
       }
 
+      if (existingEvent.series_id && scope !== 'this') {
+        return await this.deleteSeriesOccurrences(existingEvent, userId, scope);
+      }
+
       // Don't allow deletion of published events
       if (existingEvent.status === 'published') {
         return {
@@ -181,6 +276,15 @@ class EventsService {
 
       const deletedEvent = await eventsRepository.delete(eventId, userId);
 
+      // L'occurrence supprimée est exclue de la règle (EXDATE)
+      if (existingEvent.series_id) {
+        await eventSeriesRepository.addExceptionDate(
+          existingEvent.series_id,
+          existingEvent.occurrence_date || existingEvent.event_date,
+          userId
+        );
+      }
+
       return {
         success: true,
         data: deletedEvent
@@ -319,11 +423,19 @@ class EventsService {
       // Extraction des options de duplication
       const { title, event_date } = options;
       
+      // La durée de l'événement source est conservée sur la copie
+      const newEventDate = event_date || originalEvent.event_date;
+      const endDate = originalEvent.end_date
+        ? new Date(new Date(newEventDate).getTime() + (new Date(originalEvent.end_date) - new Date(originalEvent.event_date)))
+        : null;
+
       // Préparation des données de l'événement dupliqué
       const duplicatedEventData = {
         title: title || `${originalEvent.title} (Copie)`,
         description: originalEvent.description,
-        event_date: event_date || originalEvent.event_date,
+        event_date: newEventDate,
+        end_date: endDate,
+        timezone: originalEvent.timezone,
         location: originalEvent.location,
         organizer_id: userId,
         status: 'draft'
@@ -347,6 +459,359 @@ class EventsService {
     }
   }
 
+  // ========================================
+  // SÉRIES D'ÉVÉNEMENTS RÉCURRENTS
+  // ========================================
+
+  /**
+   * ========================================
+   * TRANSFORMATION D'UN ÉVÉNEMENT EN SÉRIE
+   * ========================================
+   * L'événement devient la première occurrence ; les suivantes sont générées
+   * selon la règle, avec reprise optionnelle des types de billets et invités.
+   * @param {number} eventId - ID de l'événement source
+   * @param {Object} options - { recurrence, carry_over_ticket_types, carry_over_guests }
+   * @param {number} userId - ID de l'organisateur
+   * @returns {Promise<Object>} Série et occurrences créées
+   */
+  async createEventSeries(eventId, options, userId) {
+    try {
+      const event = await eventsRepository.findById(eventId);
+
+      if (!event) {
+        return {
+          success: false,
+          error: 'Event not found'
+        };
+      }
+
+      if (event.organizer_id !== userId && String(event.organizer_id) !== String(userId)) {
+        return {
+          success: false,
+          error: 'Access denied'
+        };
+      }
+
+      if (event.series_id) {
+        return {
+          success: false,
+          error: 'Event already belongs to a series'
+        };
+      }
+
+      const { recurrence = {}, carry_over_ticket_types = false, carry_over_guests = false } = options;
+      const rule = normalizeRule(recurrence);
+      const { occurrences, excluded } = expandOccurrences(event.event_date, rule, {
+        exceptions: recurrence.exceptions,
+        timezone: event.timezone || DEFAULT_TIMEZONE
+      });
+      const durationMs = event.end_date ? new Date(event.end_date) - new Date(event.event_date) : null;
+
+      if (occurrences.length === 0 || occurrences[0].getTime() !== new Date(event.event_date).getTime()) {
+        return {
+          success: false,
+          error: 'The first occurrence of a series cannot be an exception'
+        };
+      }
+
+      const result = await eventSeriesRepository.transaction(async (client) => {
+        const series = await eventSeriesRepository.create({
+          ...rule,
+          dtstart: event.event_date,
+          exception_dates: excluded,
+          carry_over_ticket_types,
+          carry_over_guests,
+          organizer_id: event.organizer_id
+        }, client);
+
+        const firstOccurrence = await eventSeriesRepository.attachEvent(event.id, series.id, event.event_date, userId, client);
+        const createdOccurrences = [firstOccurrence];
+
+        for (const occurrenceDate of occurrences.slice(1)) {
+          const occurrence = await eventSeriesRepository.createOccurrence({
+            title: event.title,
+            description: event.description,
+            event_date: occurrenceDate,
+            end_date: durationMs !== null ? new Date(occurrenceDate.getTime() + durationMs) : null,
+            timezone: event.timezone,
+            location: event.location,
+            max_attendees: event.max_attendees,
+            organizer_id: event.organizer_id,
+            series_id: series.id
+          }, client);
+
+          if (carry_over_ticket_types) {
+            await eventSeriesRepository.copyTicketTypes(event.id, occurrence.id, userId, client);
+          }
+          if (carry_over_guests) {
+            await eventSeriesRepository.copyGuests(event.id, occurrence.id, userId, client);
+          }
+
+          createdOccurrences.push(occurrence);
+        }
+
+        return { series, occurrences: createdOccurrences };
+      });
+
+      return {
+        success: true,
+        data: {
+          ...result.series,
+          rrule: toRRuleString(result.series),
+          occurrences: result.occurrences
+        }
+      };
+    } catch (error) {
+      console.error('Error creating event series:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create event series'
+      };
+    }
+  }
+
+  async getEventSeries(seriesId, userId) {
+    try {
+      const series = await eventSeriesRepository.findById(seriesId);
+
+      if (!series) {
+        return {
+          success: false,
+          error: 'Series not found'
+        };
+      }
+
+      if (series.organizer_id !== userId && String(series.organizer_id) !== String(userId)) {
+        return {
+          success: false,
+          error: 'Access denied'
+        };
+      }
+
+      const occurrences = await eventSeriesRepository.findOccurrences(seriesId);
+
+      return {
+        success: true,
+        data: {
+          ...series,
+          rrule: toRRuleString(series),
+          occurrences
+        }
+      };
+    } catch (error) {
+      console.error('Error getting event series:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get event series'
+      };
+    }
+  }
+
+  /**
+   * Promeut la liste d'attente des événements dont la capacité a changé.
+   * Un échec n'annule pas la mise à jour de l'événement.
+   */
+  async promoteWaitlist(eventIds, userId) {
+    const capacityService = require('../guests/capacity.service');
+
+    for (const eventId of eventIds) {
+      try {
+        await capacityService.promoteFromWaitlist(eventId, userId);
+      } catch (error) {
+        console.error('Failed to promote waitlist after capacity change:', {
+          eventId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Applique une modification à "cette occurrence et les suivantes" ou à toute la série.
+   * Un changement de event_date est appliqué comme un décalage à chaque occurrence.
+   */
+  async updateSeriesOccurrences(event, updateData, userId, scope) {
+    const series = await eventSeriesRepository.findById(event.series_id);
+    if (!series) {
+      return {
+        success: false,
+        error: 'Série non trouvée'
+      };
+    }
+
+    const occurrenceDate = new Date(event.occurrence_date || event.event_date);
+    const effectiveScope = scope === 'following' && occurrenceDate <= new Date(series.dtstart) ? 'all' : scope;
+    const occurrences = await eventSeriesRepository.findOccurrences(
+      series.id,
+      effectiveScope === 'following' ? { fromDate: occurrenceDate } : {}
+    );
+
+    const newDate = updateData.event_date ? new Date(updateData.event_date) : null;
+    const shiftSeconds = newDate ? (newDate.getTime() - new Date(event.event_date).getTime()) / 1000 : 0;
+
+    if (shiftSeconds && occurrences.some(occurrence => new Date(occurrence.event_date) <= new Date())) {
+      return {
+        success: false,
+        error: 'La série a déjà commencé : utilisez la portée "following" pour décaler les dates'
+      };
+    }
+
+    const { event_date, end_date, ...fields } = updateData;
+
+    // Nouvelle durée appliquée à toutes les occurrences si end_date est modifiée
+    const durationSeconds = end_date !== undefined
+      ? (end_date ? (new Date(end_date) - (newDate || new Date(event.event_date))) / 1000 : null)
+      : null;
+    const timezone = event.timezone || DEFAULT_TIMEZONE;
+
+    const result = await eventSeriesRepository.transaction(async (client) => {
+      let targetSeries = series;
+
+      if (effectiveScope === 'following') {
+        targetSeries = await this.splitSeries(series, occurrenceDate, occurrences, userId, client);
+      }
+
+      if (shiftSeconds) {
+        const shift = (date) => new Date(new Date(date).getTime() + shiftSeconds * 1000);
+        targetSeries = await eventSeriesRepository.update(targetSeries.id, {
+          dtstart: shift(targetSeries.dtstart),
+          until_date: targetSeries.until_date ? shift(targetSeries.until_date) : undefined,
+          exception_dates: (targetSeries.exception_dates || []).map(shift),
+          by_weekday: shiftWeekdays(
+            targetSeries.by_weekday,
+            toWallClock(newDate, timezone).getUTCDay() - toWallClock(event.event_date, timezone).getUTCDay()
+          )
+        }, userId, client);
+      }
+
+      const updatedOccurrences = await eventSeriesRepository.updateOccurrences(
+        occurrences.map(occurrence => occurrence.id),
+        fields,
+        { shiftSeconds, durationSeconds },
+        userId,
+        client
+      );
+
+      return { series: targetSeries, occurrences: updatedOccurrences };
+    });
+
+    if (updateData.max_attendees !== undefined) {
+      await this.promoteWaitlist(result.occurrences.map(occurrence => occurrence.id), userId);
+    }
+
+    return {
+      success: true,
+      data: {
+        ...result.series,
+        rrule: toRRuleString(result.series),
+        occurrences: result.occurrences
+      }
+    };
+  }
+
+  /**
+   * Supprime "cette occurrence et les suivantes" (la règle est tronquée)
+   * ou toute la série.
+   */
+  async deleteSeriesOccurrences(event, userId, scope) {
+    const series = await eventSeriesRepository.findById(event.series_id);
+    if (!series) {
+      return {
+        success: false,
+        error: 'Series not found'
+      };
+    }
+
+    const occurrenceDate = new Date(event.occurrence_date || event.event_date);
+    const effectiveScope = scope === 'following' && occurrenceDate <= new Date(series.dtstart) ? 'all' : scope;
+    const occurrences = await eventSeriesRepository.findOccurrences(
+      series.id,
+      effectiveScope === 'following' ? { fromDate: occurrenceDate } : {}
+    );
+
+    if (occurrences.some(occurrence => occurrence.status === 'published')) {
+      return {
+        success: false,
+        error: 'Cannot delete published events. Archive them instead.'
+      };
+    }
+
+    const deletedOccurrences = await eventSeriesRepository.transaction(async (client) => {
+      const deleted = await eventSeriesRepository.deleteOccurrences(
+        occurrences.map(occurrence => occurrence.id),
+        userId,
+        client
+      );
+
+      if (effectiveScope === 'all') {
+        await eventSeriesRepository.delete(series.id, userId, client);
+      } else {
+        await eventSeriesRepository.update(series.id, {
+          until_date: new Date(occurrenceDate.getTime() - 1000),
+          occurrence_count: null,
+          exception_dates: (series.exception_dates || []).filter(date => new Date(date) < occurrenceDate)
+        }, userId, client);
+      }
+
+      return deleted;
+    });
+
+    return {
+      success: true,
+      data: {
+        series_id: series.id,
+        scope: effectiveScope,
+        deleted_count: deletedOccurrences.length,
+        events: deletedOccurrences
+      }
+    };
+  }
+
+  /**
+   * Scinde une série : la série d'origine s'arrête avant fromDate et une
+   * nouvelle série (rattachée via parent_series_id) reprend les occurrences suivantes.
+   */
+  async splitSeries(series, fromDate, occurrences, userId, client) {
+    let remainingCount = null;
+
+    if (!series.until_date && series.occurrence_count) {
+      const { occurrences: scheduled } = expandOccurrences(series.dtstart, series, {
+        timezone: (occurrences[0] && occurrences[0].timezone) || DEFAULT_TIMEZONE
+      });
+      const index = scheduled.findIndex(date => date.getTime() >= fromDate.getTime());
+      remainingCount = Math.max(series.occurrence_count - Math.max(index, 0), 1);
+    }
+
+    const newSeries = await eventSeriesRepository.create({
+      frequency: series.frequency,
+      interval: series.interval_count,
+      by_weekday: series.by_weekday,
+      until: series.until_date,
+      count: remainingCount,
+      dtstart: fromDate,
+      exception_dates: (series.exception_dates || []).filter(date => new Date(date) >= fromDate),
+      carry_over_ticket_types: series.carry_over_ticket_types,
+      carry_over_guests: series.carry_over_guests,
+      parent_series_id: series.id,
+      organizer_id: series.organizer_id
+    }, client);
+
+    await eventSeriesRepository.update(series.id, {
+      until_date: new Date(fromDate.getTime() - 1000),
+      occurrence_count: null,
+      exception_dates: (series.exception_dates || []).filter(date => new Date(date) < fromDate)
+    }, userId, client);
+
+    await eventSeriesRepository.moveOccurrences(
+      occurrences.map(occurrence => occurrence.id),
+      newSeries.id,
+      userId,
+      client
+    );
+
+    return newSeries;
+  }
+
   /**
    * Envoie une notification d'annulation d'événement à tous les participants
    * @param {number} eventId - ID de l'événement
@@ -439,11 +904,15 @@ class EventsService {
         };
       }
 
-      // Préparer les données pour la notification
+      // Préparer les données pour la notification (heure locale de l'événement)
+      const schedule = formatEventSchedule(event);
       const eventData = {
         eventName: event.title,
-        eventDate: new Date(event.event_date).toLocaleDateString('fr-FR'),
-        eventTime: new Date(event.event_date).toLocaleTimeString('fr-FR'),
+        eventDate: schedule.date,
+        eventTime: schedule.time,
+        eventEndDate: schedule.endDate,
+        eventEndTime: schedule.endTime,
+        eventTimezone: schedule.timezone,
         eventLocation: event.location,
         organizerName: event.organizer_name
       };
@@ -495,8 +964,18 @@ class EventsService {
         return { success: false, error: 'Access denied' };
       }
 
+      // Une occurrence de série exporte toute la série (RRULE/EXDATE)
+      let seriesContext = null;
+      if (event.series_id) {
+        const series = await eventSeriesRepository.findById(event.series_id);
+        if (series) {
+          const occurrences = await eventSeriesRepository.findOccurrences(series.id);
+          seriesContext = { series, occurrences };
+        }
+      }
+
       // Générer le fichier ICS
-      const icsContent = this.generateICSFile(event);
+      const icsContent = this.generateICSFile(event, seriesContext);
       
       return {
         success: true,
@@ -530,6 +1009,12 @@ class EventsService {
         return result;
       }
 
+      // Un refus libère une place : promotion de la liste d'attente
+      if (response === 'declined') {
+        const capacityService = require('../guests/capacity.service');
+        await capacityService.promoteFromWaitlist(eventId, userId);
+      }
+
       // Notifier l'organisateur si nécessaire
       if (event.organizer_id !== userId) {
         await this.notifyOrganizerOfResponse(event, userId, response);
@@ -552,30 +1037,105 @@ class EventsService {
   }
 
   // Méthodes utilitaires
-  generateICSFile(event) {
-    const startDate = new Date(event.event_date);
-    const endDate = new Date(startDate.getTime() + 2 * 60 * 60 * 1000); // +2 heures par défaut
+  /**
+   * Génère le fichier ICS d'un événement.
+   * Pour une occurrence de série, émet un VEVENT maître (RRULE/EXDATE) et un
+   * VEVENT par occurrence modifiée individuellement (RECURRENCE-ID).
+   * @param {Object} event - Événement
+   * @param {Object|null} seriesContext - { series, occurrences } si l'événement appartient à une série
+   * @returns {string} Contenu iCalendar
+   */
+  generateICSFile(event, seriesContext = null) {
+    const timezone = isValidTimeZone(event.timezone) ? event.timezone : 'UTC';
 
-    const formatDate = (date) => {
-      return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    // Dates en heure locale avec TZID, ou en UTC (suffixe Z) pour les événements UTC
+    const formatDateProperty = (name, date) => {
+      if (timezone === 'UTC') {
+        return `${name}:${formatICSDate(date)}`;
+      }
+      const local = formatICSDate(toWallClock(date, timezone)).replace('Z', '');
+      return `${name};TZID=${timezone}:${local}`;
+    };
+    const formatDateListProperty = (name, dates) => {
+      if (timezone === 'UTC') {
+        return `${name}:${dates.map(formatICSDate).join(',')}`;
+      }
+      const locals = dates.map(date => formatICSDate(toWallClock(date, timezone)).replace('Z', ''));
+      return `${name};TZID=${timezone}:${locals.join(',')}`;
     };
 
-    return `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//Event Planner//Event//FR
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-BEGIN:VEVENT
-UID:event-${event.id}@eventplanner.com
-DTSTART:${formatDate(startDate)}
-DTEND:${formatDate(endDate)}
-SUMMARY:${event.title}
-DESCRIPTION:${event.description || ''}
-LOCATION:${event.location}
-STATUS:CONFIRMED
-SEQUENCE:0
-END:VEVENT
-END:VCALENDAR`;
+    const buildVEvent = (item, uid, startDate, extraLines = []) => {
+      const start = new Date(startDate);
+      const durationMs = getEventEndDate(item).getTime() - new Date(item.event_date).getTime();
+      const end = new Date(start.getTime() + durationMs);
+
+      return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        formatDateProperty('DTSTART', start),
+        formatDateProperty('DTEND', end),
+        ...extraLines,
+        `SUMMARY:${item.title}`,
+        `DESCRIPTION:${item.description || ''}`,
+        `LOCATION:${item.location}`,
+        'STATUS:CONFIRMED',
+        'SEQUENCE:0',
+        'END:VEVENT'
+      ];
+    };
+
+    let vevents;
+
+    if (seriesContext && seriesContext.series) {
+      const { series, occurrences = [] } = seriesContext;
+      const uid = `series-${series.id}@eventplanner.com`;
+      const master = occurrences.find(occurrence => !occurrence.is_series_exception) || event;
+
+      const masterLines = [`RRULE:${toRRuleString(series)}`];
+      if (series.exception_dates && series.exception_dates.length > 0) {
+        masterLines.push(formatDateListProperty('EXDATE', series.exception_dates));
+      }
+
+      vevents = buildVEvent(master, uid, series.dtstart, masterLines);
+
+      occurrences
+        .filter(occurrence => occurrence.is_series_exception)
+        .forEach(occurrence => {
+          vevents.push(...buildVEvent(occurrence, uid, occurrence.event_date, [
+            formatDateProperty('RECURRENCE-ID', occurrence.occurrence_date)
+          ]));
+        });
+    } else {
+      vevents = buildVEvent(event, `event-${event.id}@eventplanner.com`, event.event_date);
+    }
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Event Planner//Event//FR',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-TIMEZONE:${timezone}`,
+      ...vevents,
+      'END:VCALENDAR'
+    ].join('\n');
+  }
+
+  /**
+   * Valide la cohérence date de début / date de fin / fuseau horaire
+   * @param {Object} schedule - { event_date, end_date, timezone }
+   * @returns {string|null} Message d'erreur ou null si valide
+   */
+  validateEventSchedule({ event_date, end_date, timezone }) {
+    if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+      return `Fuseau horaire invalide: ${timezone} (identifiant IANA attendu, ex: Europe/Paris)`;
+    }
+
+    if (end_date && event_date && new Date(end_date) < new Date(event_date)) {
+      return 'La date de fin doit être postérieure à la date de début';
+    }
+
+    return null;
   }
 
   async checkEventAccess(eventId, userId, userEmail = null) {
@@ -616,7 +1176,7 @@ END:VCALENDAR`;
           eventName: event.title,
           participantName: `${user.first_name} ${user.last_name}`,
           response: response,
-          eventDate: new Date(event.event_date).toLocaleDateString('fr-FR'),
+          eventDate: formatDateInTimeZone(event.event_date, event.timezone || DEFAULT_TIMEZONE),
           eventUrl: `${process.env.FRONTEND_URL}/events/${event.id}`
         }
       });
@@ -0,0 +1,258 @@
+const { database } = require('../../config');
+const guestsRepository = require('./guests.repository');
+const notificationClient = require('../../../../shared/clients/notification-client');
+const { formatEventSchedule } = require('../../utils/timezone');
+
+/**
+ * Gestion de la capacité des événements et de la liste d'attente.
+ * La capacité globale est events.max_attendees (NULL = illimitée) ; chaque type
+ * de billet est limité par ticket_types.quantity (0 = illimité). Seuls les
+ * invités 'pending' et 'confirmed' occupent une place.
+ */
+class CapacityService {
+  /**
+   * Photographie de l'occupation d'un événement. Dans une transaction,
+   * l'événement est verrouillé jusqu'au COMMIT pour éviter les surréservations.
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} client - Client pg (transaction) optionnel
+   * @returns {Promise<Object>} { eventId, maxAttendees, activeGuests, nextWaitlistPosition, ticketTypes }
+   */
+  async getSnapshot(eventId, client = database) {
+    const event = await guestsRepository.lockEventCapacity(eventId, client);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    const usage = await guestsRepository.getCapacityUsage(eventId, client);
+    const ticketTypes = new Map();
+    usage.ticket_types.forEach(ticketType => {
+      ticketTypes.set(String(ticketType.id), {
+        id: ticketType.id,
+        name: ticketType.name,
+        capacity: parseInt(ticketType.quantity) > 0 ? parseInt(ticketType.quantity) : null,
+        activeGuests: parseInt(ticketType.active_guests || 0)
+      });
+    });
+
+    return {
+      eventId,
+      maxAttendees: event.max_attendees ? parseInt(event.max_attendees) : null,
+      activeGuests: parseInt(usage.active_guests || 0),
+      waitlistedGuests: parseInt(usage.waitlisted_guests || 0),
+      nextWaitlistPosition: parseInt(usage.last_waitlist_position || 0) + 1,
+      ticketTypes
+    };
+  }
+
+  /**
+   * Indique s'il reste une place pour un type de billet (ou pour l'événement seul)
+   */
+  hasRoom(snapshot, ticketTypeId = null) {
+    if (snapshot.maxAttendees !== null && snapshot.activeGuests >= snapshot.maxAttendees) {
+      return false;
+    }
+
+    if (ticketTypeId) {
+      const ticketType = snapshot.ticketTypes.get(String(ticketTypeId));
+      if (ticketType && ticketType.capacity !== null && ticketType.activeGuests >= ticketType.capacity) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Attribue une place ou une position en liste d'attente et met à jour la photographie
+   * @param {Object} snapshot - Résultat de getSnapshot
+   * @param {number|null} ticketTypeId - Type de billet demandé
+   * @returns {{ status: string, waitlist_position: number|null }}
+   */
+  allocate(snapshot, ticketTypeId = null) {
+    if (ticketTypeId && !snapshot.ticketTypes.has(String(ticketTypeId))) {
+      throw new Error(`Ticket type ${ticketTypeId} not found for this event`);
+    }
+
+    if (this.hasRoom(snapshot, ticketTypeId)) {
+      snapshot.activeGuests++;
+      if (ticketTypeId) {
+        snapshot.ticketTypes.get(String(ticketTypeId)).activeGuests++;
+      }
+      return { status: 'pending', waitlist_position: null };
+    }
+
+    const position = snapshot.nextWaitlistPosition++;
+    snapshot.waitlistedGuests++;
+    return { status: 'waitlisted', waitlist_position: position };
+  }
+
+  /**
+   * Rend à la photographie une attribution dont l'insertion a été annulée
+   * @param {Object} snapshot - Résultat de getSnapshot
+   * @param {Object} allocation - Résultat de allocate
+   * @param {number|null} ticketTypeId - Type de billet passé à allocate
+   */
+  release(snapshot, allocation, ticketTypeId = null) {
+    if (allocation.status === 'waitlisted') {
+      snapshot.waitlistedGuests--;
+      // La position n'est réutilisable que si aucune autre n'a été attribuée depuis
+      if (allocation.waitlist_position === snapshot.nextWaitlistPosition - 1) {
+        snapshot.nextWaitlistPosition--;
+      }
+      return;
+    }
+
+    snapshot.activeGuests--;
+    if (ticketTypeId) {
+      snapshot.ticketTypes.get(String(ticketTypeId)).activeGuests--;
+    }
+  }
+
+  /**
+   * Résumé public de la capacité d'un événement
+   */
+  summarize(snapshot) {
+    return {
+      max_attendees: snapshot.maxAttendees,
+      active_guests: snapshot.activeGuests,
+      remaining: snapshot.maxAttendees !== null
+        ? Math.max(snapshot.maxAttendees - snapshot.activeGuests, 0)
+        : null,
+      waitlisted_guests: snapshot.waitlistedGuests,
+      ticket_types: Array.from(snapshot.ticketTypes.values()).map(ticketType => ({
+        id: ticketType.id,
+        name: ticketType.name,
+        capacity: ticketType.capacity,
+        active_guests: ticketType.activeGuests,
+        remaining: ticketType.capacity !== null
+          ? Math.max(ticketType.capacity - ticketType.activeGuests, 0)
+          : null
+      }))
+    };
+  }
+
+  /**
+   * Crée les liaisons event_guests en attribuant à chacune une place ou une
+   * position en liste d'attente, dans une seule transaction
+   * @param {number} eventId - ID de l'événement
+   * @param {Array} eventGuestsData - Liaisons à créer ({ guest_id, ticket_type_id, ... })
+   * @returns {Promise<{ associations: Array, capacity: Object }>}
+   */
+  async addEventGuests(eventId, eventGuestsData) {
+    return database.transaction(async (client) => {
+      const snapshot = await this.getSnapshot(eventId, client);
+      const allocated = eventGuestsData.map(eventGuest => ({
+        ...eventGuest,
+        ...this.allocate(snapshot, eventGuest.ticket_type_id || null)
+      }));
+
+      const associations = await guestsRepository.bulkCreateEventGuests(allocated, client);
+
+      return {
+        associations,
+        capacity: this.summarize(snapshot)
+      };
+    });
+  }
+
+  async getCapacity(eventId) {
+    const snapshot = await this.getSnapshot(eventId);
+    return this.summarize(snapshot);
+  }
+
+  async getWaitlist(eventId) {
+    return guestsRepository.findWaitlist(eventId);
+  }
+
+  /**
+   * Promeut, dans l'ordre de la liste d'attente, tous les invités pour lesquels
+   * une place est disponible. Un invité dont le type de billet est complet
+   * n'empêche pas la promotion des suivants.
+   * @param {number} eventId - ID de l'événement
+   * @param {number} userId - Auteur de l'action (optionnel)
+   * @returns {Promise<Array>} Invités promus
+   */
+  async promoteFromWaitlist(eventId, userId = null) {
+    const promoted = await database.transaction(async (client) => {
+      const snapshot = await this.getSnapshot(eventId, client);
+      if (!this.hasRoom(snapshot)) {
+        return [];
+      }
+
+      const waitlist = await guestsRepository.findWaitlist(eventId, client);
+      const promotedGuests = [];
+
+      for (const entry of waitlist) {
+        if (!this.hasRoom(snapshot)) {
+          break;
+        }
+        if (!this.hasRoom(snapshot, entry.ticket_type_id)) {
+          continue;
+        }
+
+        const eventGuest = await guestsRepository.promoteFromWaitlist(entry.event_guest_id, userId, client);
+        if (eventGuest) {
+          snapshot.activeGuests++;
+          if (entry.ticket_type_id && snapshot.ticketTypes.has(String(entry.ticket_type_id))) {
+            snapshot.ticketTypes.get(String(entry.ticket_type_id)).activeGuests++;
+          }
+          promotedGuests.push({ ...entry, status: eventGuest.status });
+        }
+      }
+
+      return promotedGuests;
+    });
+
+    if (promoted.length > 0) {
+      await this.notifyPromotedGuests(eventId, promoted);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Prévient les invités promus qu'une place s'est libérée
+   */
+  async notifyPromotedGuests(eventId, promotedGuests) {
+    const eventsRepository = require('../events/events.repository');
+    const event = await eventsRepository.findById(eventId);
+    if (!event) return;
+
+    const schedule = formatEventSchedule(event);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    for (const guest of promotedGuests) {
+      if (!guest.email) continue;
+
+      try {
+        await notificationClient.sendEmail({
+          to: guest.email,
+          template: 'event-notification',
+          subject: `Une place s'est libérée - ${event.title}`,
+          data: {
+            firstName: guest.first_name || 'Invité',
+            notificationTitle: 'Vous avez quitté la liste d\'attente',
+            eventName: event.title,
+            eventDate: schedule.date,
+            eventTime: schedule.time,
+            eventLocation: event.location,
+            organizerName: 'Event Planner',
+            message: guest.status === 'confirmed'
+              ? `Votre participation à ${event.title} est confirmée.`
+              : `Une place vous est réservée pour ${event.title}. Merci de confirmer votre participation.`,
+            invitationCode: guest.invitation_code,
+            responseUrl: `${frontendUrl}/invitations/${guest.invitation_code}`,
+            frontendUrl
+          }
+        });
+      } catch (error) {
+        console.error('Failed to notify promoted guest:', {
+          email: guest.email,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new CapacityService();
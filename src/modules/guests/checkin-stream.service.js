@@ -0,0 +1,233 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const IORedis = require('ioredis');
+const guestsRepository = require('./guests.repository');
+const eventsRepository = require('../events/events.repository');
+
+// Intervalle minimum entre deux recalculs des statistiques d'un événement
+const STATS_THROTTLE_MS = parseInt(process.env.CHECKIN_STREAM_STATS_THROTTLE_MS) || 2000;
+
+// Commentaire SSE périodique pour garder la connexion ouverte derrière les proxys
+const HEARTBEAT_MS = parseInt(process.env.CHECKIN_STREAM_HEARTBEAT_MS) || 25000;
+
+// Fenêtre du taux d'arrivée par minute
+const ARRIVAL_WINDOW_MINUTES = parseInt(process.env.CHECKIN_STREAM_ARRIVAL_WINDOW_MINUTES) || 15;
+
+// Relais Redis pub/sub entre les instances de l'API (désactivé par défaut)
+const REDIS_RELAY_ENABLED = process.env.CHECKIN_STREAM_REDIS === 'true';
+const REDIS_CHANNEL = 'event-planner-core:checkin-stream';
+
+/**
+ * Flux en direct des entrées d'un événement (Server-Sent Events).
+ * Les validations de billets et les check-ins d'invités publient leurs
+ * événements ici ; chaque tableau de bord abonné reçoit :
+ * - checkin : entrée enregistrée (billet ou invité)
+ * - zone_exit : sortie d'une zone d'accès
+ * - scan_failed : scan refusé (doublon, QR falsifié, mauvaise zone...)
+ * - stats : présents par type de billet et arrivées par minute (recalculés au plus
+ *   toutes les CHECKIN_STREAM_STATS_THROTTLE_MS millisecondes)
+ */
+class CheckInStreamService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // Un abonné par tableau de bord ouvert : pas de limite d'écouteurs
+    this.emitter.setMaxListeners(0);
+    this.statsTimers = new Map();
+    this.instanceId = uuidv4();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  channel(eventId) {
+    return `event:${eventId}`;
+  }
+
+  hasSubscribers(eventId) {
+    return this.emitter.listenerCount(this.channel(eventId)) > 0;
+  }
+
+  /**
+   * Vérifie que l'utilisateur peut suivre les entrées de l'événement
+   */
+  async authorize(eventId, userId) {
+    const event = await eventsRepository.findById(eventId);
+    if (!event) {
+      return { success: false, error: 'Event not found' };
+    }
+    if (event.organizer_id !== userId && String(event.organizer_id) !== String(userId)) {
+      return { success: false, error: 'Access denied' };
+    }
+    return { success: true, data: event };
+  }
+
+  /**
+   * Ouvre le flux SSE d'un événement sur la réponse HTTP
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} req - Requête Express (fermeture de la connexion)
+   * @param {Object} res - Réponse Express
+   */
+  async subscribe(eventId, req, res) {
+    this.ensureRedisRelay();
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let sequence = 0;
+    const send = (type, data) => {
+      sequence += 1;
+      res.write(`id: ${sequence}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const listener = message => send(message.type, message.data);
+    this.emitter.on(this.channel(eventId), listener);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.emitter.off(this.channel(eventId), listener);
+    });
+
+    // État initial du tableau de bord
+    try {
+      send('stats', await this.getStats(eventId));
+    } catch (error) {
+      console.error('Error getting live check-in stats:', error);
+    }
+  }
+
+  /**
+   * Statistiques courantes des entrées d'un événement
+   */
+  async getStats(eventId) {
+    const stats = await guestsRepository.getLiveCheckInStats(eventId, ARRIVAL_WINDOW_MINUTES);
+    const expected = stats.by_ticket_type.reduce((sum, row) => sum + row.expected, 0);
+    const checkedIn = stats.by_ticket_type.reduce((sum, row) => sum + row.checked_in, 0);
+    const arrivalsInWindow = stats.arrivals_per_minute.reduce((sum, row) => sum + row.arrivals, 0);
+
+    return {
+      event_id: eventId,
+      expected,
+      checked_in: checkedIn,
+      by_ticket_type: stats.by_ticket_type,
+      arrivals_per_minute: stats.arrivals_per_minute,
+      arrival_rate_per_minute: Math.round((arrivalsInWindow / ARRIVAL_WINDOW_MINUTES) * 100) / 100,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Publie un événement aux abonnés de l'événement (toutes instances)
+   */
+  publish(eventId, type, data) {
+    if (!eventId) {
+      return;
+    }
+
+    const message = { type, data: { ...data, event_id: eventId, at: data.at || new Date().toISOString() } };
+    this.dispatch(eventId, message);
+
+    if (REDIS_RELAY_ENABLED && this.ensureRedisRelay()) {
+      this.publisher.publish(REDIS_CHANNEL, JSON.stringify({ origin: this.instanceId, eventId, message }))
+        .catch(error => console.error('Error relaying check-in stream message:', error.message));
+    }
+  }
+
+  /**
+   * Diffuse localement puis planifie le recalcul des statistiques
+   */
+  dispatch(eventId, message) {
+    if (!this.hasSubscribers(eventId)) {
+      return;
+    }
+
+    this.emitter.emit(this.channel(eventId), message);
+    if (message.type !== 'stats') {
+      this.scheduleStats(eventId);
+    }
+  }
+
+  scheduleStats(eventId) {
+    const key = String(eventId);
+    if (this.statsTimers.has(key)) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      this.statsTimers.delete(key);
+      if (!this.hasSubscribers(eventId)) {
+        return;
+      }
+      try {
+        this.emitter.emit(this.channel(eventId), { type: 'stats', data: await this.getStats(eventId) });
+      } catch (error) {
+        console.error('Error getting live check-in stats:', error);
+      }
+    }, STATS_THROTTLE_MS);
+    timer.unref();
+    this.statsTimers.set(key, timer);
+  }
+
+  /**
+   * Entrée enregistrée (validation de billet ou check-in d'invité)
+   */
+  publishCheckIn(eventId, checkIn) {
+    this.publish(eventId, checkIn.direction === 'exit' ? 'zone_exit' : 'checkin', checkIn);
+  }
+
+  /**
+   * Scan refusé
+   */
+  publishScanFailure(eventId, failure) {
+    this.publish(eventId, 'scan_failed', failure);
+  }
+
+  /**
+   * Connexions Redis du relais entre instances (créées au premier usage)
+   */
+  ensureRedisRelay() {
+    if (!REDIS_RELAY_ENABLED) {
+      return false;
+    }
+    if (this.publisher) {
+      return true;
+    }
+
+    const redisConfig = {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT) || 6379,
+      password: process.env.REDIS_PASSWORD || undefined,
+      maxRetriesPerRequest: 3
+    };
+
+    this.publisher = new IORedis(redisConfig);
+    this.subscriber = new IORedis(redisConfig);
+    [this.publisher, this.subscriber].forEach(client => {
+      client.on('error', error => console.error('Check-in stream Redis error:', error.message));
+    });
+
+    this.subscriber.subscribe(REDIS_CHANNEL).catch(error => {
+      console.error('Error subscribing to check-in stream channel:', error.message);
+    });
+    this.subscriber.on('message', (channel, raw) => {
+      try {
+        const { origin, eventId, message } = JSON.parse(raw);
+        if (origin !== this.instanceId) {
+          this.dispatch(eventId, message);
+        }
+      } catch (error) {
+        console.error('Invalid check-in stream message:', error.message);
+      }
+    });
+
+    return true;
+  }
+}
+
+module.exports = new CheckInStreamService();
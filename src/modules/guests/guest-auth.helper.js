@@ -1,7 +1,6 @@
 const axios = require('axios');
 const authApiService = require('../../services/auth-api-service');
 
-const DEFAULT_GUEST_PASSWORD = process.env.GUEST_DEFAULT_PASSWORD || 'Guest123!';
 const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3000';
 
 const createAuthClient = () => {
@@ -35,24 +34,7 @@ async function findAuthUserByEmail(email) {
   }
 }
 
-async function tryLoginForToken(email, password) {
-  try {
-    const response = await authClient.post('/api/auth/login', {
-      email,
-      password
-    });
-
-    const data = response.data;
-    if (data && data.success && data.data && data.data.token) {
-      return data.data.token;
-    }
-    return null;
-  } catch (error) {
-    return null;
-  }
-}
-
-async function registerGuestAccount(guest) {
+async function registerGuestAccount(guest, password) {
   const safeEmail = safeLower(guest.email);
   const username = safeEmail ? safeEmail.split('@')[0] : 'guest';
   const payload = {
@@ -60,7 +42,7 @@ async function registerGuestAccount(guest) {
     last_name: guest.last_name || '',
     email: safeEmail,
     phone: guest.phone || null,
-    password: DEFAULT_GUEST_PASSWORD,
+    password,
     username: username
   };
 
@@ -77,7 +59,7 @@ async function verifyGuestEmail(email, otpCode) {
   return response.data;
 }
 
-async function createGuestAccountInternal(guest) {
+async function createGuestAccountInternal(guest, password) {
   const response = await authClient.post(
     '/api/internal/auth/guests',
     {
@@ -85,7 +67,7 @@ async function createGuestAccountInternal(guest) {
       last_name: guest.last_name || '',
       email: guest.email,
       phone: guest.phone || null,
-      password: DEFAULT_GUEST_PASSWORD
+      password
     },
     {
       headers: {
@@ -97,14 +79,28 @@ async function createGuestAccountInternal(guest) {
   return response.data;
 }
 
-async function ensureGuestAuthAccount(guest) {
+/**
+ * Crée le compte d'un invité avec le mot de passe qu'il a choisi.
+ * Appelé après ouverture d'un lien magique : l'adresse email est déjà
+ * prouvée, l'éventuel code de vérification renvoyé par l'inscription
+ * publique est donc validé directement.
+ * @param {Object} guest - { first_name, last_name, email, phone }
+ * @param {string} password - Mot de passe choisi par l'invité
+ * @returns {Promise<Object>} - { success, created, email, loginToken, loginUrl } ou { success: false, reason }
+ */
+async function claimGuestAccount(guest, password) {
   const email = safeLower(guest.email);
   if (!email) {
     return { success: false, reason: 'missing_email' };
   }
 
+  const existingUser = await findAuthUserByEmail(email);
+  if (existingUser) {
+    return { success: false, reason: 'account_exists', email };
+  }
+
   try {
-    const internalResult = await createGuestAccountInternal({ ...guest, email });
+    const internalResult = await createGuestAccountInternal({ ...guest, email }, password);
     if (internalResult?.success && internalResult?.data) {
       return {
         success: true,
@@ -112,7 +108,6 @@ async function ensureGuestAuthAccount(guest) {
         email,
         loginToken: internalResult.data.loginToken || null,
         loginUrl: internalResult.data.loginUrl || null,
-        defaultPassword: internalResult.data.defaultPassword || null,
         source: 'internal'
       };
     }
@@ -120,45 +115,16 @@ async function ensureGuestAuthAccount(guest) {
     // fallback to public flow
   }
 
-  const existingUser = await findAuthUserByEmail(email);
-  if (existingUser) {
-    const loginToken = await tryLoginForToken(email, DEFAULT_GUEST_PASSWORD);
-    return {
-      success: true,
-      created: false,
-      email,
-      loginToken: loginToken || null,
-      loginUrl: loginToken ? `${AUTH_SERVICE_URL}/api/auth/login/${loginToken}` : null,
-      defaultPassword: loginToken ? null : DEFAULT_GUEST_PASSWORD
-    };
-  }
-
-  const registerResult = await registerGuestAccount({
-    ...guest,
-    email
-  });
+  const registerResult = await registerGuestAccount({ ...guest, email }, password);
 
   let loginToken = null;
-  let loginUrl = null;
-
   const otpCode = registerResult?.data?.otp?.code;
   if (otpCode) {
     try {
       const verifyResult = await verifyGuestEmail(email, otpCode);
       loginToken = verifyResult?.data?.loginToken || null;
-      if (loginToken) {
-        loginUrl = `${AUTH_SERVICE_URL}/api/auth/login/${loginToken}`;
-      }
     } catch (error) {
-      // Si la vérification échoue, on ne bloque pas la création de l'invité
-    }
-  }
-
-  if (!loginToken) {
-    const tokenFromLogin = await tryLoginForToken(email, DEFAULT_GUEST_PASSWORD);
-    if (tokenFromLogin) {
-      loginToken = tokenFromLogin;
-      loginUrl = `${AUTH_SERVICE_URL}/api/auth/login/${loginToken}`;
+      // L'invité pourra vérifier son email depuis le service d'authentification
     }
   }
 
@@ -167,14 +133,12 @@ async function ensureGuestAuthAccount(guest) {
     created: true,
     email,
     loginToken,
-    loginUrl,
-    defaultPassword: loginToken ? null : DEFAULT_GUEST_PASSWORD,
-    otpGenerated: !!otpCode
+    loginUrl: loginToken ? `${AUTH_SERVICE_URL}/api/auth/login/${loginToken}` : null,
+    source: 'public'
   };
 }
 
 module.exports = {
-  ensureGuestAuthAccount,
-  DEFAULT_GUEST_PASSWORD,
+  claimGuestAccount,
   AUTH_SERVICE_URL
 };
@@ -3,19 +3,55 @@ const ExcelParser = require('../../utils/parsers/excel.parser');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { ensureGuestAuthAccount } = require('./guest-auth.helper');
+const { database: defaultDatabase } = require('../../config');
 const eventsRepository = require('../events/events.repository');
+const guestsRepository = require('./guests.repository');
+const capacityService = require('./capacity.service');
+const eventQueueService = require('../../core/queue/event-queue.service');
+const registrationQuestionsService = require('./registration-questions.service');
+const {
+  GUEST_IMPORT_FIELDS,
+  ANSWER_FIELD_PREFIX,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+  extractAnswers
+} = require('../../utils/parsers/column-mapping');
+
+// Durée de conservation d'un fichier en attente de confirmation (1 heure par défaut)
+const PREVIEW_TTL_MINUTES = parseInt(process.env.GUEST_IMPORT_PREVIEW_TTL_MINUTES) || 60;
+
+// Lignes d'exemple et erreurs de validation renvoyées par l'aperçu
+const PREVIEW_SAMPLE_ROWS = 10;
+const PREVIEW_MAX_ERRORS = 100;
+
+// Lignes importées par transaction en tâche de fond
+const IMPORT_CHUNK_SIZE = parseInt(process.env.GUEST_IMPORT_CHUNK_SIZE) || 500;
+
+// Colonnes du rapport d'erreurs, suivies des colonnes du fichier d'origine
+const ERROR_REPORT_COLUMNS = ['row', 'error_type', 'field', 'error'];
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 /**
  * Service d'import des invités pour les fichiers CSV et Excel
- * Gère l'import en lot avec validation, déduplication et transactions SQL
+ * Gère l'import en lot avec validation, déduplication et transactions SQL.
+ * L'import peut se faire en deux temps : aperçu du fichier (colonnes détectées,
+ * correspondance proposée, lignes d'exemple, erreurs) puis confirmation avec
+ * une correspondance ou un profil enregistré. L'import confirmé est traité en
+ * tâche de fond (queue GUEST_IMPORT), par lots. En simulation (dry_run),
+ * l'import est exécuté puis annulé pour indiquer exactement les invités créés,
+ * rattachés ou ignorés.
  */
 class GuestImportService {
   generateInvitationCode() {
     return `INV-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
   }
 
-  constructor(database) {
+  constructor(database = defaultDatabase) {
     this.db = database;
   }
 
@@ -24,52 +60,49 @@ class GuestImportService {
    * @param {string} eventId - ID de l'événement
    * @param {string} filePath - Chemin vers le fichier
    * @param {string} userId - ID de l'utilisateur (optionnel)
+   * @param {Object} options - { mapping?: { field: header }, dryRun?, keepFile? }
    * @returns {Promise<Object>} - Résultat de l'import
    */
-  async importGuestsFromFile(eventId, filePath, userId = null) {
+  async importGuestsFromFile(eventId, filePath, userId = null, options = {}) {
     try {
-      const event = await eventsRepository.findById(eventId);
-      if (!event) {
-        throw new Error('Event not found');
-      }
-      if (event.status === 'archived') {
-        throw new Error('Cannot import guests for an archived event');
-      }
+      await this.ensureEventAcceptsImport(eventId);
 
       // Vérifier que le fichier existe
       if (!fs.existsSync(filePath)) {
         throw new Error('File not found');
       }
 
-      // Parser le fichier selon son extension
-      const fileExt = path.extname(filePath).toLowerCase();
-      let parseResult;
-
-      if (fileExt === '.csv') {
-        parseResult = await CSVParser.parseFile(filePath);
-      } else if (['.xls', '.xlsx'].includes(fileExt)) {
-        parseResult = await ExcelParser.parseFile(filePath);
-      } else {
-        throw new Error('Unsupported file format. Only CSV, XLS and XLSX are allowed');
+      // Lire le fichier puis appliquer la correspondance des colonnes
+      const { parser, table } = await this.readFile(filePath);
+      const questions = await guestsRepository.findEventQuestions(eventId);
+      const mapping = options.mapping || suggestMapping(table.headers, questions);
+      const mappingErrors = validateMapping(mapping, table.headers, questions.map(question => question.question_key));
+      if (mappingErrors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid column mapping',
+          details: mappingErrors
+        };
       }
 
-      if (!parseResult.success) {
-        throw new Error(parseResult.error);
-      }
+      const parseResult = this.mapRows(parser, table, mapping, questions);
 
       // Importer les invités valides
-      const importResult = await this.importGuestsToEvent(eventId, parseResult.data, userId);
-
-      // Nettoyer le fichier temporaire
-      this.cleanupFile(filePath);
+      const importResult = await this.importGuestsToEvent(eventId, parseResult.data, userId, {
+        dryRun: !!options.dryRun
+      });
 
       return {
         success: true,
-        message: 'Guest import completed',
+        message: options.dryRun ? 'Guest import simulated' : 'Guest import completed',
         data: {
+          dry_run: !!options.dryRun,
           summary: {
             total_rows: parseResult.metadata.totalRows,
             imported: importResult.imported,
+            created: importResult.created,
+            linked: importResult.linked,
+            waitlisted: importResult.waitlisted,
             ignored: parseResult.metadata.errorRows + importResult.duplicates,
             duplicates: importResult.duplicates,
             errors: parseResult.errors.length + importResult.errors.length
@@ -80,20 +113,782 @@ class GuestImportService {
             import_errors: importResult.errors,
             duplicate_guests: importResult.duplicateGuests
           },
+          mapping,
           metadata: parseResult.metadata
         }
       };
 
     } catch (error) {
-      // Nettoyer le fichier en cas d'erreur
-      if (filePath && fs.existsSync(filePath)) {
+      return {
+        success: false,
+        error: error.message,
+        details: error
+      };
+    } finally {
+      // Nettoyer le fichier temporaire (conservé tant que l'aperçu n'est pas confirmé)
+      if (!options.keepFile) {
         this.cleanupFile(filePath);
       }
+    }
+  }
+
+  /**
+   * Aperçu d'un fichier avant import : colonnes détectées, correspondance
+   * proposée, lignes d'exemple et erreurs de validation. Le fichier est
+   * conservé jusqu'à la confirmation (ou l'expiration de l'aperçu).
+   * @param {string} eventId - ID de l'événement
+   * @param {Object} file - Fichier uploadé ({ path, originalname })
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} options - { mapping?, profile_id? }
+   * @returns {Promise<Object>} - Aperçu et identifiant de l'import à confirmer
+   */
+  async previewImport(eventId, file, userId, options = {}) {
+    try {
+      await this.ensureEventAcceptsImport(eventId);
+      await this.expirePreviews();
 
+      const { parser, table } = await this.readFile(file.path);
+      if (table.rows.length === 0) {
+        throw new Error('File must contain headers and at least one data row');
+      }
+
+      const questions = await guestsRepository.findEventQuestions(eventId);
+      const suggestedMapping = suggestMapping(table.headers, questions);
+      const resolved = await this.resolveMapping(options, suggestedMapping, userId, questions);
+      if (!resolved.success) {
+        this.cleanupFile(file.path);
+        return resolved;
+      }
+
+      const { mapping, profile } = resolved;
+      const mappingErrors = validateMapping(mapping, table.headers, questions.map(question => question.question_key));
+      const parseResult = mappingErrors.length === 0 ? this.mapRows(parser, table, mapping, questions) : null;
+
+      const record = await guestsRepository.createImport({
+        event_id: eventId,
+        file_path: file.path,
+        original_name: file.originalname,
+        headers: table.headers,
+        suggested_mapping: suggestedMapping,
+        total_rows: table.rows.length,
+        ttl_minutes: PREVIEW_TTL_MINUTES,
+        created_by: userId
+      });
+
+      const fieldByHeader = {};
+      Object.entries(mapping).forEach(([field, header]) => {
+        if (header) {
+          fieldByHeader[header] = field;
+        }
+      });
+
+      return {
+        success: true,
+        data: {
+          import_id: record.uid,
+          status: record.status,
+          expires_at: record.expires_at,
+          file: {
+            name: file.originalname,
+            sheet_name: table.sheetName || null,
+            total_rows: table.rows.length
+          },
+          fields: [
+            ...Object.entries(GUEST_IMPORT_FIELDS).map(([field, definition]) => ({
+              field,
+              required: definition.required
+            })),
+            // Réponses aux questions d'inscription (facultatives à l'import)
+            ...questions.map(question => ({
+              field: `${ANSWER_FIELD_PREFIX}${question.question_key}`,
+              label: question.label,
+              question_type: question.question_type,
+              options: question.options,
+              required: false
+            }))
+          ],
+          columns: table.headers.map(header => ({
+            header,
+            mapped_to: fieldByHeader[header] || null,
+            samples: table.rows
+              .map(({ values }) => values[header])
+              .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+              .slice(0, 3)
+          })),
+          suggested_mapping: suggestedMapping,
+          mapping,
+          profile: profile ? { id: profile.id, name: profile.name } : null,
+          mapping_errors: mappingErrors,
+          sample_rows: table.rows.slice(0, PREVIEW_SAMPLE_ROWS).map(({ row, values }) => ({
+            row,
+            values,
+            guest: mappingErrors.length === 0
+              ? { ...applyMapping(values, mapping), answers: extractAnswers(values, mapping) }
+              : null
+          })),
+          validation: parseResult ? {
+            total_rows: parseResult.metadata.totalRows,
+            valid_rows: parseResult.metadata.validRows,
+            error_rows: parseResult.metadata.errorRows,
+            errors: parseResult.errors.slice(0, PREVIEW_MAX_ERRORS),
+            errors_truncated: parseResult.errors.length > PREVIEW_MAX_ERRORS
+          } : null
+        }
+      };
+    } catch (error) {
+      console.error('Error previewing guest import:', error);
+      this.cleanupFile(file.path);
       return {
         success: false,
-        error: error.message,
-        details: error
+        error: error.message || 'Failed to preview guest import'
+      };
+    }
+  }
+
+  /**
+   * Confirme un aperçu : import avec la correspondance choisie, ou simulation
+   * sans écriture si dry_run (l'aperçu reste alors confirmable)
+   * @param {string} eventId - ID de l'événement
+   * @param {string} importId - uid renvoyé par l'aperçu
+   * @param {Object} options - { mapping?, profile_id?, save_profile_as?, dry_run? }
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} - Résultat de l'import (ou de la simulation)
+   */
+  async confirmImport(eventId, importId, options = {}, userId = null) {
+    try {
+      const record = await guestsRepository.findImportByUid(importId, eventId);
+      if (!record || (record.created_by && String(record.created_by) !== String(userId))) {
+        return { success: false, error: 'Import not found' };
+      }
+      if (record.status !== 'previewed') {
+        return {
+          success: false,
+          error: `Import already ${record.status}`,
+          code: 'IMPORT_NOT_PENDING'
+        };
+      }
+      if (record.is_expired) {
+        await guestsRepository.updateImport(record.id, { status: 'expired' });
+        this.cleanupFile(record.file_path);
+        return {
+          success: false,
+          error: 'Import preview expired, upload the file again',
+          code: 'IMPORT_EXPIRED'
+        };
+      }
+
+      const questions = await guestsRepository.findEventQuestions(eventId);
+      const resolved = await this.resolveMapping(options, record.suggested_mapping, userId, questions);
+      if (!resolved.success) {
+        return resolved;
+      }
+      const { mapping, profile } = resolved;
+
+      const mappingErrors = validateMapping(mapping, record.headers, questions.map(question => question.question_key));
+      if (mappingErrors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid column mapping',
+          details: mappingErrors
+        };
+      }
+
+      const dryRun = options.dry_run === true || options.dry_run === 'true';
+      if (dryRun) {
+        return this.importGuestsFromFile(eventId, record.file_path, userId, {
+          mapping,
+          dryRun: true,
+          keepFile: true
+        });
+      }
+
+      // Une seule confirmation par aperçu
+      const claimed = await guestsRepository.claimImport(record.id, {
+        mapping,
+        profile_id: profile ? profile.id : null,
+        updated_by: userId
+      });
+      if (!claimed) {
+        return {
+          success: false,
+          error: 'Import already confirmed',
+          code: 'IMPORT_NOT_PENDING'
+        };
+      }
+
+      if (profile) {
+        await guestsRepository.touchImportProfile(profile.id);
+      }
+      let savedProfile = null;
+      if (options.save_profile_as) {
+        const saved = await this.createImportProfile({ name: options.save_profile_as, mapping }, userId);
+        savedProfile = saved.success ? saved.data : null;
+      }
+
+      // Traitement en tâche de fond, par lots
+      const jobId = await eventQueueService.enqueueGuestImport(record.id);
+      await guestsRepository.updateImport(record.id, { job_id: jobId });
+
+      return {
+        success: true,
+        message: 'Guest import queued',
+        data: {
+          import_id: record.uid,
+          job_id: jobId,
+          status: 'queued',
+          total_rows: record.total_rows,
+          mapping,
+          saved_profile: savedProfile
+        }
+      };
+    } catch (error) {
+      console.error('Error confirming guest import:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to confirm guest import'
+      };
+    }
+  }
+
+  /**
+   * Import en une étape : enregistrement du fichier puis mise en file
+   * @param {string} eventId - ID de l'événement
+   * @param {Object} file - Fichier uploadé ({ path, originalname })
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} options - { mapping?, profile_id? }
+   */
+  async queueImportFromFile(eventId, file, userId, options = {}) {
+    const preview = await this.previewImport(eventId, file, userId, options);
+    if (!preview.success) {
+      return preview;
+    }
+    if (preview.data.mapping_errors.length > 0) {
+      await this.discardPreview(eventId, preview.data.import_id);
+      return {
+        success: false,
+        error: 'Invalid column mapping',
+        details: preview.data.mapping_errors
+      };
+    }
+
+    return this.confirmImport(eventId, preview.data.import_id, {
+      mapping: preview.data.mapping,
+      profile_id: options.profile_id
+    }, userId);
+  }
+
+  async discardPreview(eventId, importId) {
+    const record = await guestsRepository.findImportByUid(importId, eventId);
+    if (record) {
+      await guestsRepository.updateImport(record.id, { status: 'expired' });
+      this.cleanupFile(record.file_path);
+    }
+  }
+
+  // ========================================
+  // TRAITEMENT EN TÂCHE DE FOND
+  // ========================================
+
+  /**
+   * Importe un fichier confirmé, lu en continu et validé par lots de
+   * GUEST_IMPORT_CHUNK_SIZE lignes : chaque lot a sa propre transaction, qui
+   * enregistre aussi la progression et les lignes en erreur. Après une
+   * interruption, l'import reprend après la dernière ligne validée.
+   * @param {number} importId - ID de l'import (guest_imports)
+   * @param {Object} options - { onProgress?: (pourcentage) => void }
+   * @returns {Promise<Object>} - Bilan de l'import
+   */
+  async processImport(importId, options = {}) {
+    const record = await guestsRepository.startImport(importId);
+    if (!record) {
+      // Import terminé, annulé ou inconnu : rien à reprendre
+      return { skipped: true };
+    }
+
+    if (!fs.existsSync(record.file_path)) {
+      await this.failImport(record.id, 'File not found');
+      return { skipped: true, error: 'File not found' };
+    }
+
+    const { parser } = this.getParser(record.file_path);
+    const questions = await guestsRepository.findEventQuestions(record.event_id);
+    if (record.last_row_number > 0) {
+      console.log(`[GUEST_IMPORT] Reprise de l'import ${record.uid} après la ligne ${record.last_row_number}`);
+    }
+
+    let progress = record;
+    let chunk = [];
+    for await (const line of parser.streamRows(record.file_path)) {
+      // Lignes déjà importées avant l'interruption
+      if (line.row <= record.last_row_number) {
+        continue;
+      }
+
+      chunk.push(line);
+      if (chunk.length >= IMPORT_CHUNK_SIZE) {
+        progress = await this.importChunk(record, parser, chunk, questions);
+        chunk = [];
+        await this.reportProgress(progress, options.onProgress);
+      }
+    }
+    if (chunk.length > 0) {
+      progress = await this.importChunk(record, parser, chunk, questions);
+      await this.reportProgress(progress, options.onProgress);
+    }
+
+    const summary = this.buildJobSummary(progress);
+    await guestsRepository.updateImport(record.id, {
+      status: 'completed',
+      summary,
+      completed_at: new Date()
+    });
+    this.cleanupFile(record.file_path);
+
+    console.log(`[GUEST_IMPORT] Import ${record.uid} terminé: ${summary.imported} importé(s), ${summary.ignored} ignoré(s)`);
+    return summary;
+  }
+
+  /**
+   * Valide et importe un lot de lignes dans une transaction
+   * @returns {Promise<Object>} - Import mis à jour (compteurs cumulés)
+   */
+  async importChunk(record, parser, lines, questions = []) {
+    const rawValues = new Map();
+    const guests = [];
+    const rowErrors = [];
+
+    lines.forEach(({ row, values }) => {
+      rawValues.set(row, values);
+      const cleanedData = this.cleanRow(parser, values, row, record.mapping, questions);
+      if (cleanedData.valid) {
+        guests.push({ ...cleanedData.data, row });
+      } else {
+        cleanedData.errors.forEach(error => rowErrors.push({
+          row,
+          error_type: 'invalid',
+          field: error.field,
+          message: error.error,
+          data: values
+        }));
+      }
+    });
+
+    const invalidRows = new Set(rowErrors.map(error => error.row)).size;
+    let progress = null;
+
+    await this.importGuestsToEvent(record.event_id, guests, record.updated_by || record.created_by, {
+      beforeCommit: async (client, result) => {
+        result.duplicateGuests.forEach(duplicate => rowErrors.push({
+          row: duplicate.data.row,
+          error_type: 'duplicate',
+          field: 'email',
+          message: duplicate.reason,
+          data: rawValues.get(duplicate.data.row)
+        }));
+        result.errors.forEach(error => rowErrors.push({
+          row: error.data.row,
+          error_type: 'failed',
+          field: null,
+          message: error.error,
+          data: rawValues.get(error.data.row)
+        }));
+
+        await guestsRepository.insertImportErrors(record.id, rowErrors, client);
+        progress = await guestsRepository.saveImportProgress(record.id, {
+          processed: lines.length,
+          last_row_number: lines[lines.length - 1].row,
+          created: result.imported.filter(guest => guest.action === 'created').length,
+          linked: result.imported.filter(guest => guest.action === 'linked').length,
+          waitlisted: result.imported.filter(guest => guest.status === 'waitlisted').length,
+          duplicates: result.duplicateGuests.length,
+          errors: invalidRows + result.errors.length
+        }, client);
+      }
+    });
+
+    return progress;
+  }
+
+  async reportProgress(record, onProgress) {
+    if (onProgress) {
+      await onProgress(this.computeProgress(record));
+    }
+  }
+
+  computeProgress(record) {
+    if (record.status === 'completed') {
+      return 100;
+    }
+    if (!record.total_rows) {
+      return 0;
+    }
+    return Math.min(100, Math.floor(record.processed_rows * 100 / record.total_rows));
+  }
+
+  buildJobSummary(record) {
+    const imported = record.created_count + record.linked_count;
+    return {
+      total_rows: record.total_rows,
+      processed_rows: record.processed_rows,
+      imported,
+      created: record.created_count,
+      linked: record.linked_count,
+      waitlisted: record.waitlisted_count,
+      ignored: record.duplicate_count + record.error_count,
+      duplicates: record.duplicate_count,
+      errors: record.error_count
+    };
+  }
+
+  /**
+   * Marque un import en échec après la dernière tentative du worker
+   */
+  async failImport(importId, message) {
+    try {
+      const record = await guestsRepository.findImportById(importId);
+      if (!record || ['completed', 'failed'].includes(record.status)) {
+        return;
+      }
+
+      await guestsRepository.updateImport(record.id, {
+        status: 'failed',
+        error_message: message,
+        summary: this.buildJobSummary(record),
+        completed_at: new Date()
+      });
+      this.cleanupFile(record.file_path);
+    } catch (error) {
+      console.error('Error marking guest import as failed:', error);
+    }
+  }
+
+  /**
+   * Remet en file les imports interrompus par un arrêt du serveur
+   */
+  async resumeUnfinishedImports() {
+    const unfinished = await guestsRepository.findUnfinishedImports();
+    for (const record of unfinished) {
+      const jobId = await eventQueueService.enqueueGuestImport(record.id);
+      if (!record.job_id) {
+        await guestsRepository.updateImport(record.id, { job_id: jobId });
+      }
+    }
+    return unfinished.length;
+  }
+
+  /**
+   * Statut et progression d'un import
+   */
+  async getImportStatus(eventId, importId, userId) {
+    try {
+      const record = await guestsRepository.findImportByUid(importId, eventId);
+      if (!record || (record.created_by && String(record.created_by) !== String(userId))) {
+        return { success: false, error: 'Import not found' };
+      }
+
+      const finished = ['completed', 'failed'].includes(record.status);
+      return {
+        success: true,
+        data: {
+          import_id: record.uid,
+          job_id: record.job_id,
+          status: record.status,
+          file_name: record.original_name,
+          progress: this.computeProgress(record),
+          summary: this.buildJobSummary(record),
+          mapping: record.mapping || record.suggested_mapping,
+          error_message: record.error_message,
+          error_report_available: finished && record.error_count > 0,
+          expires_at: record.status === 'previewed' ? record.expires_at : null,
+          started_at: record.started_at,
+          completed_at: record.completed_at,
+          created_at: record.created_at
+        }
+      };
+    } catch (error) {
+      console.error('Error getting guest import status:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get guest import status'
+      };
+    }
+  }
+
+  /**
+   * Rapport CSV des lignes non importées : ligne, type, champ, erreur puis
+   * les colonnes d'origine, pour corriger le fichier et le réimporter
+   * @returns {Promise<Object>} - { success, data: { filename, content } }
+   */
+  async getImportErrorReport(eventId, importId, userId) {
+    try {
+      const record = await guestsRepository.findImportByUid(importId, eventId);
+      if (!record || (record.created_by && String(record.created_by) !== String(userId))) {
+        return { success: false, error: 'Import not found' };
+      }
+      if (!['completed', 'failed'].includes(record.status)) {
+        return {
+          success: false,
+          error: 'Import is not finished yet',
+          code: 'IMPORT_NOT_FINISHED'
+        };
+      }
+
+      const errors = await guestsRepository.findImportErrors(record.id);
+      const headers = record.headers || [];
+      const rows = errors.map(error => [
+        error.row_number,
+        error.error_type,
+        error.field || '',
+        error.message,
+        ...headers.map(header => (error.data || {})[header])
+      ]);
+
+      const content = [[...ERROR_REPORT_COLUMNS, ...headers], ...rows]
+        .map(row => row.map(escapeCsv).join(','))
+        .join('\n');
+
+      return {
+        success: true,
+        data: {
+          filename: `guest-import-${record.uid}-errors.csv`,
+          content: `${content}\n`
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting guest import errors:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export guest import errors'
+      };
+    }
+  }
+
+  /**
+   * Correspondance à appliquer : explicite, sinon celle d'un profil, sinon la proposition
+   * Les réponses d'un profil aux questions que l'événement ne pose pas sont ignorées.
+   * @returns {Promise<Object>} - { success, mapping, profile }
+   */
+  async resolveMapping(options, suggestedMapping, userId, questions = []) {
+    let profile = null;
+    let mapping = suggestedMapping;
+
+    if (options.profile_id) {
+      profile = await guestsRepository.findImportProfileById(options.profile_id, userId);
+      if (!profile) {
+        return { success: false, error: 'Import profile not found' };
+      }
+      const questionKeys = questions.map(question => question.question_key);
+      mapping = {};
+      Object.entries(profile.mapping).forEach(([field, header]) => {
+        if (!field.startsWith(ANSWER_FIELD_PREFIX) || questionKeys.includes(field.slice(ANSWER_FIELD_PREFIX.length))) {
+          mapping[field] = header;
+        }
+      });
+    }
+
+    if (options.mapping) {
+      // Champ texte JSON dans un formulaire multipart
+      if (typeof options.mapping === 'string') {
+        try {
+          mapping = JSON.parse(options.mapping);
+        } catch (error) {
+          return {
+            success: false,
+            error: 'Invalid column mapping',
+            details: [{ field: 'mapping', error: 'Mapping must be valid JSON' }]
+          };
+        }
+      } else {
+        mapping = options.mapping;
+      }
+    }
+
+    return { success: true, mapping, profile };
+  }
+
+  /**
+   * Valide une ligne du fichier : champs de l'invité puis réponses aux questions d'inscription
+   * @returns {Object} - { valid, data: { first_name, last_name, email, phone, answers }, errors }
+   */
+  cleanRow(parser, values, row, mapping, questions) {
+    const cleanedData = parser.cleanRowData(applyMapping(values, mapping), row);
+    const answersResult = registrationQuestionsService.validateAnswers(questions, extractAnswers(values, mapping));
+
+    answersResult.errors.forEach(error => cleanedData.errors.push({
+      row,
+      field: `${ANSWER_FIELD_PREFIX}${error.question}`,
+      error: error.error,
+      data: { [error.question]: values[mapping[`${ANSWER_FIELD_PREFIX}${error.question}`]] }
+    }));
+
+    return {
+      valid: cleanedData.errors.length === 0,
+      data: { ...cleanedData.data, answers: answersResult.answers },
+      errors: cleanedData.errors
+    };
+  }
+
+  /**
+   * Valide toutes les lignes lues (même résultat que parser.mapRows, réponses comprises)
+   */
+  mapRows(parser, table, mapping, questions) {
+    const results = [];
+    const errors = [];
+    let errorRows = 0;
+
+    table.rows.forEach(({ row, values }) => {
+      const cleanedData = this.cleanRow(parser, values, row, mapping, questions);
+      if (cleanedData.valid) {
+        results.push({ ...cleanedData.data, row });
+      } else {
+        errorRows++;
+        errors.push(...cleanedData.errors);
+      }
+    });
+
+    return {
+      success: true,
+      data: results,
+      errors,
+      metadata: {
+        totalRows: table.rows.length,
+        validRows: results.length,
+        errorRows
+      }
+    };
+  }
+
+  /**
+   * Lit un fichier CSV ou Excel selon son extension
+   * @param {string} filePath - Chemin vers le fichier
+   * @returns {Promise<Object>} - { parser, table: { headers, rows } }
+   */
+  async readFile(filePath) {
+    const { parser } = this.getParser(filePath);
+    return { parser, table: await parser.readFile(filePath) };
+  }
+
+  /**
+   * Parser correspondant à l'extension du fichier
+   */
+  getParser(filePath) {
+    const fileExt = path.extname(filePath).toLowerCase();
+
+    if (fileExt === '.csv') {
+      return { parser: CSVParser };
+    }
+    if (['.xls', '.xlsx'].includes(fileExt)) {
+      return { parser: ExcelParser };
+    }
+    throw new Error('Unsupported file format. Only CSV, XLS and XLSX are allowed');
+  }
+
+  async ensureEventAcceptsImport(eventId) {
+    const event = await eventsRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    if (event.status === 'archived') {
+      throw new Error('Cannot import guests for an archived event');
+    }
+    return event;
+  }
+
+  /**
+   * Supprime les fichiers des aperçus jamais confirmés
+   */
+  async expirePreviews() {
+    try {
+      const expired = await guestsRepository.expirePreviewedImports();
+      expired.forEach(record => this.cleanupFile(record.file_path));
+    } catch (error) {
+      console.warn('Could not expire guest import previews:', error.message);
+    }
+  }
+
+  // ========================================
+  // PROFILS DE CORRESPONDANCE
+  // ========================================
+
+  async getImportProfiles(userId) {
+    try {
+      const profiles = await guestsRepository.findImportProfiles(userId);
+      return {
+        success: true,
+        data: profiles
+      };
+    } catch (error) {
+      console.error('Error getting guest import profiles:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get import profiles'
+      };
+    }
+  }
+
+  /**
+   * Enregistre une correspondance réutilisable ; un profil du même nom est remplacé
+   * @param {Object} profileData - { name, mapping }
+   */
+  async createImportProfile(profileData, userId) {
+    try {
+      const name = typeof profileData.name === 'string' ? profileData.name.trim() : '';
+      const details = [];
+      if (!name || name.length > 100) {
+        details.push({ field: 'name', error: 'Name is required (100 characters max)' });
+      }
+
+      const mapping = profileData.mapping || {};
+      const mappedHeaders = Object.values(mapping).filter(header => typeof header === 'string' && header);
+      // Profil réutilisable d'un événement à l'autre : toute clé de question est acceptée
+      const questionKeys = Object.keys(mapping)
+        .filter(field => /^answers\.[a-z][a-z0-9_]{0,49}$/.test(field))
+        .map(field => field.slice(ANSWER_FIELD_PREFIX.length));
+      details.push(...validateMapping(mapping, mappedHeaders, questionKeys));
+
+      if (details.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid import profile',
+          details
+        };
+      }
+
+      const profile = await guestsRepository.saveImportProfile({
+        name,
+        mapping,
+        created_by: userId
+      });
+
+      return {
+        success: true,
+        data: profile
+      };
+    } catch (error) {
+      console.error('Error saving guest import profile:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to save import profile'
+      };
+    }
+  }
+
+  async deleteImportProfile(profileId, userId) {
+    try {
+      const deleted = await guestsRepository.deleteImportProfile(profileId, userId);
+      if (!deleted) {
+        return { success: false, error: 'Import profile not found' };
+      }
+
+      return {
+        success: true,
+        data: deleted
+      };
+    } catch (error) {
+      console.error('Error deleting guest import profile:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete import profile'
       };
     }
   }
@@ -103,9 +898,11 @@ class GuestImportService {
    * @param {string} eventId - ID de l'événement
    * @param {Array} guests - Liste des invités à importer
    * @param {string} userId - ID de l'utilisateur
+   * @param {Object} options - { dryRun?: transaction annulée en fin d'import,
+   *   beforeCommit?: (client, { imported, duplicateGuests, errors }) exécuté dans la transaction }
    * @returns {Promise<Object>} - Résultat de l'import
    */
-  async importGuestsToEvent(eventId, guests, userId = null) {
+  async importGuestsToEvent(eventId, guests, userId = null, options = {}) {
     // Get a client from the pool for transaction
     const client = await this.db.pool.connect();
 
@@ -126,6 +923,9 @@ class GuestImportService {
       const errors = [];
       const duplicateGuests = [];
 
+      // Capacité de l'événement verrouillée pour toute la durée de l'import
+      const capacitySnapshot = await capacityService.getSnapshot(eventId, client);
+
       // Récupérer les emails existants pour cet événement
       const existingEmails = await this.getExistingGuestEmails(eventId, client);
       const existingEmailSet = new Set(existingEmails.map(email => email.toLowerCase()));
@@ -136,6 +936,8 @@ class GuestImportService {
         const batch = guests.slice(i, i + batchSize);
 
         for (const guest of batch) {
+          // Place attribuée à la ligne, rendue si son insertion est annulée
+          let allocation = null;
           try {
             // Skip guests without email
             if (!guest.email) {
@@ -158,27 +960,40 @@ class GuestImportService {
               continue;
             }
 
-            // Créer l'invité
-            const guestResult = await this.createGuest(guest, userId, client);
+            // Une insertion en échec n'annule que sa ligne, pas le reste de la transaction
+            await client.query('SAVEPOINT import_guest');
+
+            // Rattacher l'invité existant portant cet email, sinon le créer
+            const existingGuestId = await this.findGuestIdByEmail(guest.email, client);
+            const guestResult = existingGuestId
+              ? { success: true, guestId: existingGuestId }
+              : await this.createGuest(guest, userId, client);
 
             if (guestResult.success) {
-              // Associer l'invité à l'événement
+              // Associer l'invité à l'événement (place ou liste d'attente)
+              allocation = capacityService.allocate(capacitySnapshot);
               const eventGuestResult = await this.addGuestToEvent(
                 eventId,
                 guestResult.guestId,
                 userId,
-                client
+                client,
+                allocation,
+                guest.answers
               );
 
               if (eventGuestResult.success) {
                 imported.push({
                   id: guestResult.guestId,
                   invitation_code: eventGuestResult.invitationCode,
+                  action: existingGuestId ? 'linked' : 'created',
                   ...guest,
-                  status: 'pending'
+                  status: allocation.status,
+                  waitlist_position: allocation.waitlist_position
                 });
                 existingEmailSet.add(guest.email.toLowerCase()); // Ajouter au set des existants
               } else {
+                await client.query('ROLLBACK TO SAVEPOINT import_guest');
+                capacityService.release(capacitySnapshot, allocation);
                 errors.push({
                   email: guest.email,
                   error: eventGuestResult.error,
@@ -186,6 +1001,7 @@ class GuestImportService {
                 });
               }
             } else {
+              await client.query('ROLLBACK TO SAVEPOINT import_guest');
               errors.push({
                 email: guest.email,
                 error: guestResult.error,
@@ -193,6 +1009,10 @@ class GuestImportService {
               });
             }
           } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT import_guest').catch(() => {});
+            if (allocation) {
+              capacityService.release(capacitySnapshot, allocation);
+            }
             errors.push({
               email: guest.email || 'N/A',
               error: error.message,
@@ -202,29 +1022,30 @@ class GuestImportService {
         }
       }
 
-      // Commit the transaction
-      await client.query('COMMIT');
-
-      for (const guest of imported) {
-        if (!guest?.email) continue;
-        try {
-          await ensureGuestAuthAccount({
-            first_name: guest.first_name,
-            last_name: guest.last_name,
-            email: guest.email,
-            phone: guest.phone || null
-          });
-        } catch (error) {
-          console.warn('Failed to provision guest auth account:', {
-            email: guest.email,
-            error: error.message
-          });
+      // Simulation : rien n'est écrit, les identifiants générés n'existent pas
+      if (options.dryRun) {
+        await client.query('ROLLBACK');
+        imported.forEach(guest => {
+          if (guest.action === 'created') {
+            guest.id = null;
+          }
+          guest.invitation_code = null;
+        });
+      } else {
+        if (options.beforeCommit) {
+          await options.beforeCommit(client, { imported, duplicateGuests, errors });
         }
+
+        // Commit the transaction
+        await client.query('COMMIT');
       }
 
       return {
         success: true,
         imported: imported.length,
+        created: imported.filter(guest => guest.action === 'created').length,
+        linked: imported.filter(guest => guest.action === 'linked').length,
+        waitlisted: imported.filter(guest => guest.status === 'waitlisted').length,
         duplicates: duplicates.length,
         errorsCount: errors.length,
         importedGuests: imported,
@@ -260,6 +1081,24 @@ class GuestImportService {
     return result.rows.map(row => row.email);
   }
 
+  /**
+   * Invité existant (hors événement) portant cet email
+   * @param {string} email - Email de l'invité
+   * @param {Object} client - Client pg (transaction)
+   * @returns {Promise<number|null>} - ID de l'invité
+   */
+  async findGuestIdByEmail(email, client) {
+    const query = `
+      SELECT id FROM guests
+      WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL
+      ORDER BY id ASC
+      LIMIT 1
+    `;
+
+    const result = await client.query(query, [email]);
+    return result.rows[0] ? result.rows[0].id : null;
+  }
+
   /**
    * Crée un nouvel invité
    * @param {Object} guestData - Données de l'invité
@@ -302,17 +1141,31 @@ class GuestImportService {
    * @param {string} guestId - ID de l'invité
    * @param {string} userId - ID de l'utilisateur
    * @param {Object} transaction - Transaction SQL (client pg)
+   * @param {Object} allocation - Place attribuée ({ status, waitlist_position })
+   * @param {Object} answers - Réponses validées aux questions d'inscription
    * @returns {Promise<Object>} - Résultat de l'association
    */
-  async addGuestToEvent(eventId, guestId, userId, transaction) {
+  async addGuestToEvent(eventId, guestId, userId, transaction, allocation = {}, answers = {}) {
     const invitationCode = this.generateInvitationCode();
     const query = `
-      INSERT INTO event_guests (event_id, guest_id, invitation_code, created_by, updated_by)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO event_guests (
+        event_id, guest_id, invitation_code, created_by, updated_by,
+        status, waitlist_position, waitlisted_at, answers
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() END, $8)
       RETURNING id
     `;
 
-    const values = [eventId, guestId, invitationCode, userId, userId];
+    const values = [
+      eventId,
+      guestId,
+      invitationCode,
+      userId,
+      userId,
+      allocation.status || 'pending',
+      allocation.waitlist_position || null,
+      JSON.stringify(answers || {})
+    ];
 
     try {
       const result = await transaction.query(query, values);
@@ -0,0 +1,625 @@
+/**
+ * Dédoublonnage et fusion des invités
+ * Un invité est créé à chaque ajout ou import : la même personne invitée à
+ * plusieurs événements existe souvent en plusieurs exemplaires. La recherche
+ * rapproche les invités par email normalisé, téléphone E.164 et nom proche.
+ * La fusion repointe les participations (event_guests), et avec elles les
+ * billets et invitations, vers l'invité conservé ; deux participations au même
+ * événement sont réunies en une seule. Chaque fusion est journalisée
+ * (guest_merges, audit_logs) et peut être annulée tant qu'aucune fusion
+ * ultérieure ne touche les mêmes invités.
+ */
+
+const { database } = require('../../config');
+const guestsRepository = require('./guests.repository');
+const {
+  normalizeEmail,
+  normalizePhone,
+  nameSimilarity,
+  nameBlockingKeys
+} = require('../../utils/guest-matching');
+
+// Similarité minimale de deux noms pour proposer un doublon sans email ni téléphone commun
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.GUEST_DEDUPE_NAME_THRESHOLD) || 0.92;
+
+// Invités comparés au plus par recherche
+const DEDUPE_MAX_GUESTS = parseInt(process.env.GUEST_DEDUPE_MAX_GUESTS) || 20000;
+
+// Au-delà, un email ou téléphone partagé (standard, adresse générique) n'est pas proposé
+const MAX_SHARED_CONTACT_GROUP = 20;
+
+// Tables rattachées à une participation, déplacées quand deux participations au même événement sont réunies
+const EVENT_GUEST_REFERENCES = [
+  { table: 'tickets', column: 'event_guest_id' },
+  { table: 'invitations', column: 'event_guest_id' },
+  { table: 'ticket_holds', column: 'event_guest_id' },
+  { table: 'order_attendees', column: 'event_guest_id' },
+  { table: 'ticket_transfers', column: 'from_event_guest_id' },
+  { table: 'ticket_transfers', column: 'to_event_guest_id' },
+  { table: 'ticket_ownership_history', column: 'event_guest_id' }
+];
+
+// Participation la plus avancée conservée quand deux participations sont réunies
+const STATUS_RANK = {
+  cancelled: 0,
+  waitlisted: 1,
+  pending: 2,
+  confirmed: 3
+};
+
+// Champs complétés depuis l'invité fusionné quand l'invité conservé ne les a pas
+const CONTACT_FIELDS = ['last_name', 'email', 'phone'];
+
+const AUDIT_ACTIONS = {
+  merged: 'guest.merged',
+  undone: 'guest.merge_undone'
+};
+
+function isAdmin(user = {}) {
+  return !!(
+    user.email === 'admin@eventplanner.com' ||
+    (user.roles || []).includes('super_admin') ||
+    (user.permissions || []).includes('guests.admin')
+  );
+}
+
+/**
+ * État d'une participation conservé dans le journal de fusion
+ */
+function eventGuestState(row) {
+  return {
+    status: row.status,
+    is_present: row.is_present,
+    check_in_time: row.check_in_time,
+    ticket_type_id: row.ticket_type_id,
+    waitlist_position: row.waitlist_position,
+    waitlisted_at: row.waitlisted_at,
+    answers: row.answers || {},
+    deleted_at: row.deleted_at,
+    deleted_by: row.deleted_by
+  };
+}
+
+function guestSummary(guest) {
+  return {
+    id: guest.id,
+    first_name: guest.first_name,
+    last_name: guest.last_name,
+    email: guest.email,
+    phone: guest.phone,
+    events_count: guest.events_count,
+    created_at: guest.created_at
+  };
+}
+
+class GuestMergeService {
+  // ========================================
+  // RECHERCHE DES DOUBLONS
+  // ========================================
+
+  /**
+   * Paires d'invités probablement en double, des plus sûres aux moins sûres
+   * @param {Object} user - Utilisateur (administrateur : tous les invités ; organisateur : ses invités)
+   * @param {Object} options - { guest_id?, min_score?, page?, limit? }
+   */
+  async findDuplicates(user, options = {}) {
+    try {
+      const page = Math.max(parseInt(options.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+      const minScore = options.min_score !== undefined ? parseFloat(options.min_score) : 0;
+      if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+        return { success: false, error: 'min_score must be between 0 and 1' };
+      }
+
+      const guests = await guestsRepository.findDedupeCandidates({
+        organizerId: isAdmin(user) ? null : user.id,
+        limit: DEDUPE_MAX_GUESTS
+      });
+
+      if (options.guest_id && !guests.some(guest => String(guest.id) === String(options.guest_id))) {
+        return { success: false, error: 'Guest not found' };
+      }
+
+      const pairs = this.detectDuplicates(guests).filter(pair => (
+        pair.match.score >= minScore &&
+        (!options.guest_id || pair.guests.some(guest => String(guest.id) === String(options.guest_id)))
+      ));
+      const total = pairs.length;
+
+      return {
+        success: true,
+        data: {
+          duplicates: pairs.slice((page - 1) * limit, page * limit),
+          scanned_guests: guests.length,
+          scan_truncated: guests.length >= DEDUPE_MAX_GUESTS
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error finding duplicate guests:', error);
+      return { success: false, error: error.message || 'Failed to find duplicate guests' };
+    }
+  }
+
+  /**
+   * Rapproche les invités deux à deux
+   * @param {Array<Object>} guests - { id, first_name, last_name, email, phone, events_count, created_at }
+   * @returns {Array<Object>} - [{ guests: [a, b], match: { reasons, score, confidence, name_similarity }, suggested_target_id }]
+   */
+  detectDuplicates(guests) {
+    const candidates = new Map();
+
+    const addPair = (a, b, reason) => {
+      const [first, second] = Number(a.id) < Number(b.id) ? [a, b] : [b, a];
+      const key = `${first.id}:${second.id}`;
+      if (!candidates.has(key)) {
+        candidates.set(key, { a: first, b: second, reasons: new Set(), nameScore: null });
+      }
+      const candidate = candidates.get(key);
+      candidate.reasons.add(reason);
+      return candidate;
+    };
+
+    const groupBy = (keyOf) => {
+      const groups = new Map();
+      guests.forEach(guest => {
+        const key = keyOf(guest);
+        if (key) {
+          if (!groups.has(key)) {
+            groups.set(key, []);
+          }
+          groups.get(key).push(guest);
+        }
+      });
+      return groups;
+    };
+
+    // Email et téléphone identiques une fois normalisés
+    [['email', guest => normalizeEmail(guest.email)], ['phone', guest => normalizePhone(guest.phone)]]
+      .forEach(([reason, keyOf]) => {
+        groupBy(keyOf).forEach(group => {
+          if (group.length < 2 || group.length > MAX_SHARED_CONTACT_GROUP) {
+            return;
+          }
+          for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+              addPair(group[i], group[j], reason);
+            }
+          }
+        });
+      });
+
+    // Noms proches, comparés seulement au sein d'un même bloc (initiales)
+    const blocks = new Map();
+    guests.forEach(guest => {
+      nameBlockingKeys(guest).forEach(key => {
+        if (!blocks.has(key)) {
+          blocks.set(key, []);
+        }
+        blocks.get(key).push(guest);
+      });
+    });
+    blocks.forEach(block => {
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          if (block[i].id === block[j].id) {
+            continue;
+          }
+          const score = nameSimilarity(block[i], block[j]);
+          if (score >= NAME_MATCH_THRESHOLD) {
+            addPair(block[i], block[j], 'name').nameScore = score;
+          }
+        }
+      }
+    });
+
+    return Array.from(candidates.values())
+      .map(candidate => this.scorePair(candidate))
+      .sort((x, y) => y.match.score - x.match.score || Number(x.guests[0].id) - Number(y.guests[0].id));
+  }
+
+  /**
+   * Score d'une paire : email > téléphone > nom seul ; un nom différent abaisse la confiance
+   */
+  scorePair(candidate) {
+    const { a, b, reasons } = candidate;
+    const nameScore = candidate.nameScore !== null ? candidate.nameScore : nameSimilarity(a, b);
+
+    let score;
+    if (reasons.has('email')) {
+      score = 0.9;
+    } else if (reasons.has('phone')) {
+      score = 0.8;
+    } else {
+      score = 0.6 + 0.15 * (nameScore - NAME_MATCH_THRESHOLD) / (1 - NAME_MATCH_THRESHOLD || 1);
+    }
+    score += 0.05 * (reasons.size - 1);
+    if (!reasons.has('name') && nameScore >= 0.8) {
+      score += 0.05;
+    }
+    score = Math.min(1, Math.round(score * 1000) / 1000);
+
+    let confidence = 'low';
+    if (reasons.has('email') || reasons.has('phone')) {
+      confidence = nameScore >= 0.8 ? 'high' : 'medium';
+    }
+
+    // Invité conservé proposé : le plus utilisé, puis le plus ancien
+    const [target, source] = (b.events_count || 0) > (a.events_count || 0) ? [b, a] : [a, b];
+
+    return {
+      guests: [guestSummary(a), guestSummary(b)],
+      match: {
+        reasons: Array.from(reasons),
+        score,
+        confidence,
+        name_similarity: Math.round(nameScore * 1000) / 1000
+      },
+      suggested_target_id: target.id,
+      suggested_source_id: source.id
+    };
+  }
+
+  // ========================================
+  // FUSION ET ANNULATION
+  // ========================================
+
+  /**
+   * Fusionne l'invité source dans l'invité cible
+   * @param {Object} data - { source_guest_id, target_guest_id, reason? }
+   * @param {Object} user - Auteur (administrateur, ou organisateur de tous les événements des deux invités)
+   */
+  async mergeGuests(data, user) {
+    try {
+      const sourceId = parseInt(data.source_guest_id);
+      const targetId = parseInt(data.target_guest_id);
+      if (!sourceId || !targetId) {
+        return { success: false, error: 'source_guest_id and target_guest_id are required' };
+      }
+      if (sourceId === targetId) {
+        return { success: false, error: 'Cannot merge a guest into itself' };
+      }
+
+      const result = await database.transaction(async (client) => {
+        const locked = await guestsRepository.lockGuests([sourceId, targetId], client);
+        const source = locked.find(guest => Number(guest.id) === sourceId);
+        const target = locked.find(guest => Number(guest.id) === targetId);
+        if (!source || source.deleted_at || !target || target.deleted_at) {
+          return { error: 'Guest not found' };
+        }
+
+        const sourceRows = await guestsRepository.findEventGuestsForMerge(source.id, client);
+        const targetRows = await guestsRepository.findEventGuestsForMerge(target.id, client);
+        if (!this.canMerge(user, source, sourceRows) || !this.canMerge(user, target, targetRows)) {
+          return { error: 'Access denied' };
+        }
+
+        const changes = await this.applyMerge(source, target, sourceRows, targetRows, user.id, client);
+
+        // Coordonnées manquantes de l'invité conservé reprises de l'invité fusionné
+        const contact = { first_name: target.first_name, last_name: target.last_name, email: target.email, phone: target.phone };
+        changes.filled_contact = {};
+        CONTACT_FIELDS.forEach(field => {
+          if (!contact[field] && source[field]) {
+            contact[field] = source[field];
+            changes.filled_contact[field] = source[field];
+          }
+        });
+        const mergedGuest = await guestsRepository.updateGuestContact(target.id, contact, user.id, client);
+        await guestsRepository.markGuestMerged(source.id, target.id, user.id, client);
+
+        const match = this.describeMatch(source, target);
+        const merge = await guestsRepository.createGuestMerge({
+          source_guest_id: source.id,
+          target_guest_id: target.id,
+          reason: data.reason || null,
+          match_details: match,
+          source_snapshot: source,
+          target_snapshot: target,
+          changes,
+          created_by: user.id
+        }, client);
+
+        await guestsRepository.insertAuditLog({
+          action: AUDIT_ACTIONS.merged,
+          resourceType: 'guest',
+          resourceId: target.id,
+          userId: user.id,
+          details: {
+            merge_id: merge.id,
+            merge_uid: merge.uid,
+            source_guest_id: source.id,
+            target_guest_id: target.id,
+            reason: merge.reason,
+            match,
+            repointed_event_guests: changes.repointed_event_guests.length,
+            merged_event_guests: changes.merged_event_guests.length
+          }
+        }, client);
+
+        return { merge, guest: mergedGuest, changes };
+      });
+
+      if (result.error) {
+        return { success: false, error: result.error };
+      }
+
+      console.log(`[GUEST_MERGE] Invité ${sourceId} fusionné dans ${targetId} (fusion ${result.merge.id})`);
+      return {
+        success: true,
+        data: {
+          merge_id: result.merge.id,
+          merge_uid: result.merge.uid,
+          status: result.merge.status,
+          guest: result.guest,
+          merged_guest_id: sourceId,
+          repointed_event_guests: result.changes.repointed_event_guests.length,
+          merged_event_guests: result.changes.merged_event_guests.map(merged => ({
+            event_id: merged.event_id,
+            event_guest_id: merged.target_event_guest_id,
+            removed_event_guest_id: merged.source_event_guest_id
+          })),
+          filled_contact: result.changes.filled_contact
+        }
+      };
+    } catch (error) {
+      console.error('Error merging guests:', error);
+      return { success: false, error: error.message || 'Failed to merge guests' };
+    }
+  }
+
+  /**
+   * Un organisateur ne fusionne que des invités dont il organise tous les événements
+   */
+  canMerge(user, guest, eventGuestRows) {
+    if (isAdmin(user)) {
+      return true;
+    }
+
+    const active = eventGuestRows.filter(row => !row.deleted_at);
+    const ownsAll = active.every(row => String(row.organizer_id) === String(user.id));
+    return ownsAll && (active.length > 0 || String(guest.created_by) === String(user.id));
+  }
+
+  /**
+   * Repointe les participations de la source ; une participation au même
+   * événement que la cible est réunie avec celle-ci (billets, invitations...
+   * déplacés, état le plus avancé conservé) puis supprimée
+   * @returns {Promise<Object>} Journal des changements, rejoué à l'envers par undoMerge
+   */
+  async applyMerge(source, target, sourceRows, targetRows, userId, client) {
+    const changes = {
+      repointed_event_guests: [],
+      merged_event_guests: [],
+      ownership_history: []
+    };
+    const targetByEvent = new Map(targetRows.map(row => [String(row.event_id), row]));
+    const toRepoint = [];
+
+    for (const row of sourceRows) {
+      const existing = targetByEvent.get(String(row.event_id));
+      if (!existing) {
+        toRepoint.push(row.id);
+        continue;
+      }
+      if (row.deleted_at) {
+        // Participation déjà supprimée : reste rattachée à l'invité fusionné
+        continue;
+      }
+
+      const movedReferences = [];
+      for (const reference of EVENT_GUEST_REFERENCES) {
+        const ids = await guestsRepository.moveEventGuestReference(reference, row.id, existing.id, null, client);
+        if (ids.length > 0) {
+          movedReferences.push({ ...reference, ids });
+        }
+      }
+
+      await guestsRepository.updateEventGuestMergeState(existing.id, this.mergeEventGuestState(existing, row), client);
+      await guestsRepository.updateEventGuestMergeState(row.id, {
+        ...eventGuestState(row),
+        deleted_at: new Date(),
+        deleted_by: userId
+      }, client);
+
+      changes.merged_event_guests.push({
+        event_id: row.event_id,
+        source_event_guest_id: row.id,
+        target_event_guest_id: existing.id,
+        source_before: eventGuestState(row),
+        target_before: eventGuestState(existing),
+        moved_references: movedReferences
+      });
+    }
+
+    changes.repointed_event_guests = await guestsRepository.repointEventGuests(toRepoint, source.id, target.id, client);
+    changes.ownership_history = await guestsRepository.repointOwnershipHistory(source.id, target.id, null, client);
+
+    return changes;
+  }
+
+  /**
+   * État de la participation réunie : la plus avancée des deux, présence
+   * conservée, réponses complétées
+   */
+  mergeEventGuestState(targetRow, sourceRow) {
+    const primary = targetRow.deleted_at || (STATUS_RANK[sourceRow.status] || 0) > (STATUS_RANK[targetRow.status] || 0)
+      ? sourceRow
+      : targetRow;
+    const other = primary === sourceRow ? targetRow : sourceRow;
+
+    const checkIns = [targetRow.check_in_time, sourceRow.check_in_time]
+      .filter(Boolean)
+      .map(value => new Date(value));
+
+    return {
+      status: primary.status,
+      is_present: !!(targetRow.is_present || sourceRow.is_present),
+      check_in_time: checkIns.length > 0 ? new Date(Math.min(...checkIns)) : null,
+      ticket_type_id: primary.ticket_type_id || other.ticket_type_id || null,
+      waitlist_position: primary.waitlist_position,
+      waitlisted_at: primary.waitlisted_at,
+      answers: { ...(other.answers || {}), ...(primary.answers || {}) },
+      deleted_at: null,
+      deleted_by: null
+    };
+  }
+
+  /**
+   * Raisons du rapprochement, conservées avec la fusion
+   */
+  describeMatch(source, target) {
+    const reasons = [];
+    if (normalizeEmail(source.email) && normalizeEmail(source.email) === normalizeEmail(target.email)) {
+      reasons.push('email');
+    }
+    if (normalizePhone(source.phone) && normalizePhone(source.phone) === normalizePhone(target.phone)) {
+      reasons.push('phone');
+    }
+    const similarity = nameSimilarity(source, target);
+    if (similarity >= NAME_MATCH_THRESHOLD) {
+      reasons.push('name');
+    }
+    return { reasons, name_similarity: Math.round(similarity * 1000) / 1000 };
+  }
+
+  /**
+   * Annule une fusion : participations, billets et invitations rendus à
+   * l'invité fusionné, qui est restauré. Les lignes créées depuis la fusion
+   * restent à l'invité conservé.
+   */
+  async undoMerge(mergeId, user) {
+    try {
+      const result = await database.transaction(async (client) => {
+        const merge = await guestsRepository.findGuestMergeById(mergeId, { forUpdate: true }, client);
+        if (!merge) {
+          return { error: 'Merge not found' };
+        }
+        if (!isAdmin(user) && String(merge.created_by) !== String(user.id)) {
+          return { error: 'Access denied' };
+        }
+        if (merge.status !== 'merged') {
+          return { error: 'Merge already undone', code: 'MERGE_ALREADY_UNDONE' };
+        }
+
+        const later = await guestsRepository.findLaterActiveMerges(merge, client);
+        if (later.length > 0) {
+          return {
+            error: 'Undo the later merges involving these guests first',
+            code: 'MERGE_UNDO_BLOCKED',
+            details: later
+          };
+        }
+
+        const locked = await guestsRepository.lockGuests([merge.source_guest_id, merge.target_guest_id], client);
+        const source = locked.find(guest => String(guest.id) === String(merge.source_guest_id));
+        const target = locked.find(guest => String(guest.id) === String(merge.target_guest_id));
+        if (!source || !target || String(source.merged_into_id) !== String(target.id)) {
+          return { error: 'Merged guest was modified since the merge', code: 'MERGE_UNDO_BLOCKED' };
+        }
+
+        const changes = merge.changes || {};
+
+        if ((changes.ownership_history || []).length > 0) {
+          await guestsRepository.repointOwnershipHistory(target.id, source.id, changes.ownership_history, client);
+        }
+        await guestsRepository.repointEventGuests(changes.repointed_event_guests || [], target.id, source.id, client);
+
+        for (const merged of [...(changes.merged_event_guests || [])].reverse()) {
+          for (const moved of merged.moved_references || []) {
+            const reference = EVENT_GUEST_REFERENCES.find(candidate => (
+              candidate.table === moved.table && candidate.column === moved.column
+            ));
+            if (reference) {
+              await guestsRepository.moveEventGuestReference(
+                reference,
+                merged.target_event_guest_id,
+                merged.source_event_guest_id,
+                moved.ids,
+                client
+              );
+            }
+          }
+          await guestsRepository.updateEventGuestMergeState(merged.target_event_guest_id, merged.target_before, client);
+          await guestsRepository.updateEventGuestMergeState(merged.source_event_guest_id, merged.source_before, client);
+        }
+
+        // Coordonnées complétées à la fusion, sauf si elles ont été modifiées depuis
+        const contact = { first_name: target.first_name, last_name: target.last_name, email: target.email, phone: target.phone };
+        Object.entries(changes.filled_contact || {}).forEach(([field, value]) => {
+          if (contact[field] === value) {
+            contact[field] = merge.target_snapshot[field] || null;
+          }
+        });
+        const targetGuest = await guestsRepository.updateGuestContact(target.id, contact, user.id, client);
+        const sourceGuest = await guestsRepository.restoreMergedGuest(source.id, user.id, client);
+        const undone = await guestsRepository.markGuestMergeUndone(merge.id, user.id, client);
+
+        await guestsRepository.insertAuditLog({
+          action: AUDIT_ACTIONS.undone,
+          resourceType: 'guest',
+          resourceId: target.id,
+          userId: user.id,
+          details: {
+            merge_id: merge.id,
+            merge_uid: merge.uid,
+            source_guest_id: source.id,
+            target_guest_id: target.id
+          }
+        }, client);
+
+        return { merge: undone, guests: [sourceGuest, targetGuest] };
+      });
+
+      if (result.error) {
+        return { success: false, error: result.error, code: result.code, details: result.details };
+      }
+
+      console.log(`[GUEST_MERGE] Fusion ${result.merge.id} annulée`);
+      return {
+        success: true,
+        data: {
+          merge_id: result.merge.id,
+          merge_uid: result.merge.uid,
+          status: result.merge.status,
+          undone_at: result.merge.undone_at,
+          guests: result.guests
+        }
+      };
+    } catch (error) {
+      console.error('Error undoing guest merge:', error);
+      return { success: false, error: error.message || 'Failed to undo guest merge' };
+    }
+  }
+
+  /**
+   * Historique des fusions (?guest_id=&status=&page=&limit=)
+   */
+  async getMerges(user, options = {}) {
+    try {
+      const result = await guestsRepository.findGuestMerges({
+        guestId: options.guest_id,
+        status: options.status,
+        createdBy: isAdmin(user) ? null : user.id,
+        page: Math.max(parseInt(options.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(options.limit) || 20, 1), 100)
+      });
+
+      return {
+        success: true,
+        data: result.merges,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      console.error('Error getting guest merges:', error);
+      return { success: false, error: error.message || 'Failed to get guest merges' };
+    }
+  }
+}
+
+module.exports = new GuestMergeService();
@@ -1,7 +1,70 @@
 const guestsService = require('./guests.service');
 const GuestImportService = require('./guest-import.service');
+const checkInStreamService = require('./checkin-stream.service');
+const registrationQuestionsService = require('./registration-questions.service');
+const guestMergeService = require('./guest-merge.service');
 const { ResponseFormatter } = require('../../../../shared');
 
+/**
+ * Réponse d'erreur commune aux imports d'invités
+ */
+function sendImportError(res, result) {
+  if (['Event not found', 'Import not found', 'Import profile not found'].includes(result.error)) {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (['IMPORT_NOT_PENDING', 'IMPORT_EXPIRED', 'IMPORT_NOT_FINISHED'].includes(result.code)) {
+    return res.status(409).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'IMPORT_ERROR'));
+}
+
+/**
+ * Réponse d'erreur commune aux questions d'inscription
+ */
+function sendQuestionError(res, result) {
+  if (['Event not found', 'Question not found'].includes(result.error)) {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden(result.error));
+  }
+  if (['QUESTION_KEY_TAKEN', 'QUESTION_KEY_IMMUTABLE'].includes(result.code)) {
+    return res.status(409).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+/**
+ * Réponse d'erreur commune au dédoublonnage et aux fusions
+ */
+function sendMergeError(res, result) {
+  if (['Guest not found', 'Merge not found'].includes(result.error)) {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden(result.error));
+  }
+  if (['MERGE_ALREADY_UNDONE', 'MERGE_UNDO_BLOCKED'].includes(result.code)) {
+    return res.status(409).json(ResponseFormatter.error(result.error, result.details, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+/**
+ * Filtres sur les réponses de la query string : ?answers.<question_key>=valeur
+ * (ou answers[<question_key>]=valeur) → { question_key: valeur }
+ */
+function parseAnswersQuery(query) {
+  const answers = {};
+  Object.entries(query || {}).forEach(([param, value]) => {
+    const match = /^answers(?:\.([a-z0-9_]+)|\[([a-z0-9_]+)\])$/.exec(param);
+    if (match) {
+      answers[match[1] || match[2]] = Array.isArray(value) ? value[value.length - 1] : value;
+    }
+  });
+  return answers;
+}
+
 class GuestsController {
   async createGuest(req, res, next) {
     try {
@@ -122,7 +185,8 @@ class GuestsController {
         page: page ? parseInt(page) : 1,
         limit: limit ? parseInt(limit) : 10,
         status,
-        userId
+        userId,
+        answers: parseAnswersQuery(req.query)
       });
       
       if (!result.success) {
@@ -135,6 +199,27 @@ class GuestsController {
     }
   }
 
+  async exportEventGuests(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const result = await guestsService.exportEventGuests(eventId, {
+        status: req.query.status,
+        answers: parseAnswersQuery(req.query),
+        userId: req.user?.id
+      });
+
+      if (!result.success) {
+        return sendQuestionError(res, result);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+      res.send(result.data.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getEventGuestAssociations(req, res, next) {
     try {
       const { eventId } = req.params;
@@ -253,6 +338,42 @@ class GuestsController {
     }
   }
 
+  async getEventWaitlist(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      
+      const result = await guestsService.getEventWaitlist(eventId);
+      
+      if (!result.success) {
+        if (result.error && result.error.includes('not found')) {
+          return res.status(404).json(ResponseFormatter.notFound('Event'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Event waitlist retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async cancelEventGuest(req, res, next) {
+    try {
+      const { eventId, guestId } = req.params;
+      const userId = req.user?.id;
+      
+      const result = await guestsService.cancelEventGuest(guestId, eventId, userId);
+      
+      if (!result.success) {
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Guest participation cancelled', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getEventGuestStats(req, res, next) {
     try {
       const { eventId } = req.params;
@@ -270,6 +391,29 @@ class GuestsController {
     }
   }
 
+  /**
+   * Flux SSE des entrées de l'événement (check-ins, scans refusés, statistiques)
+   */
+  async streamEventCheckIns(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const access = await checkInStreamService.authorize(eventId, userId);
+
+      if (!access.success) {
+        if (access.error === 'Event not found') {
+          return res.status(404).json(ResponseFormatter.notFound('Event'));
+        }
+        return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+      }
+
+      await checkInStreamService.subscribe(eventId, req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async importGuests(req, res, next) {
     try {
       const { eventId } = req.params;
@@ -286,17 +430,280 @@ class GuestsController {
       }
 
       // Initialiser le service d'import
-      const guestImportService = new GuestImportService(req.db);
+      const guestImportService = new GuestImportService();
+
+      const options = req.body || {};
+
+      // Simulation : import exécuté puis annulé, résultat détaillé immédiat
+      if (options.dry_run === 'true' || options.dry_run === true) {
+        const resolved = await guestImportService.resolveMapping(options, null, userId);
+        if (!resolved.success) {
+          guestImportService.cleanupFile(req.file.path);
+          return sendImportError(res, resolved);
+        }
+
+        const result = await guestImportService.importGuestsFromFile(eventId, req.file.path, userId, {
+          mapping: resolved.mapping,
+          dryRun: true
+        });
+        if (!result.success) {
+          return sendImportError(res, result);
+        }
+        return res.json(ResponseFormatter.success(result.message, result.data));
+      }
+
+      // Import en tâche de fond : suivi via GET /events/:eventId/guests/imports/:importId
+      const result = await guestImportService.queueImportFromFile(eventId, req.file, userId, options);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.status(202).json(ResponseFormatter.success(result.message, result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async previewGuestImport(req, res, next) {
+    try {
+      if (!req.file) {
+        return res.status(400).json(ResponseFormatter.error('No file uploaded', null, 'VALIDATION_ERROR'));
+      }
+
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.previewImport(req.params.eventId, req.file, req.user?.id, req.body || {});
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Guest import preview generated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async confirmGuestImport(req, res, next) {
+    try {
+      const { eventId, importId } = req.params;
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.confirmImport(eventId, importId, req.body || {}, req.user?.id);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      // Simulation : résultat immédiat ; import réel : mis en file
+      res.status(result.data.status === 'queued' ? 202 : 200)
+        .json(ResponseFormatter.success(result.message, result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getGuestImportStatus(req, res, next) {
+    try {
+      const { eventId, importId } = req.params;
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.getImportStatus(eventId, importId, req.user?.id);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Guest import status retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Importer les invités depuis le fichier
-      const result = await guestImportService.importGuestsFromFile(eventId, req.file.path, userId);
+  async exportGuestImportErrors(req, res, next) {
+    try {
+      const { eventId, importId } = req.params;
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.getImportErrorReport(eventId, importId, req.user?.id);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+      res.send(result.data.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getImportProfiles(req, res, next) {
+    try {
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.getImportProfiles(req.user?.id);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Import profiles retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createImportProfile(req, res, next) {
+    try {
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.createImportProfile(req.body || {}, req.user?.id);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Import profile saved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteImportProfile(req, res, next) {
+    try {
+      const guestImportService = new GuestImportService();
+      const result = await guestImportService.deleteImportProfile(req.params.profileId, req.user?.id);
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Import profile deleted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getEventQuestions(req, res, next) {
+    try {
+      const result = await registrationQuestionsService.getQuestions(req.params.eventId);
+
+      if (!result.success) {
+        return sendQuestionError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Registration questions retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createEventQuestion(req, res, next) {
+    try {
+      const result = await registrationQuestionsService.createQuestion(req.params.eventId, req.body, req.user?.id);
+
+      if (!result.success) {
+        return sendQuestionError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Registration question created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateEventQuestion(req, res, next) {
+    try {
+      const { eventId, questionId } = req.params;
+      const result = await registrationQuestionsService.updateQuestion(eventId, questionId, req.body, req.user?.id);
+
+      if (!result.success) {
+        return sendQuestionError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Registration question updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteEventQuestion(req, res, next) {
+    try {
+      const { eventId, questionId } = req.params;
+      const result = await registrationQuestionsService.deleteQuestion(eventId, questionId, req.user?.id);
+
+      if (!result.success) {
+        return sendQuestionError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Registration question deleted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getDuplicateGuests(req, res, next) {
+    try {
+      const result = await guestMergeService.findDuplicates(req.user, req.query);
+
+      if (!result.success) {
+        return sendMergeError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Duplicate guests retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getGuestDuplicates(req, res, next) {
+    try {
+      const result = await guestMergeService.findDuplicates(req.user, { ...req.query, guest_id: req.params.id });
+
+      if (!result.success) {
+        return sendMergeError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Duplicate guests retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async mergeGuests(req, res, next) {
+    try {
+      const result = await guestMergeService.mergeGuests(req.body || {}, req.user);
+
+      if (!result.success) {
+        return sendMergeError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Guests merged', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getGuestMerges(req, res, next) {
+    try {
+      const result = await guestMergeService.getMerges(req.user, req.query);
+
+      if (!result.success) {
+        return sendMergeError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Guest merges retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async undoGuestMerge(req, res, next) {
+    try {
+      const result = await guestMergeService.undoMerge(req.params.mergeId, req.user);
 
       if (!result.success) {
-        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'IMPORT_ERROR'));
+        return sendMergeError(res, result);
       }
 
-      // Retourner le résultat détaillé
-      res.json(ResponseFormatter.success('Guest import completed', result.data));
+      res.json(ResponseFormatter.success('Guest merge undone', result.data));
     } catch (error) {
       next(error);
     }
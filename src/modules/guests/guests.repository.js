@@ -312,14 +312,16 @@ class GuestsRepository {
     return result.rows;
   }
 
-  async bulkCreateEventGuests(eventGuestsData) {
+  async bulkCreateEventGuests(eventGuestsData, client = database) {
     if (!eventGuestsData || eventGuestsData.length === 0) {
       return [];
     }
 
     const values = eventGuestsData.map((eventGuest, index) => {
-      const baseIndex = index * 5;
-      return `($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, $${baseIndex + 5})`;
+      const baseIndex = index * 9;
+      return `($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, $${baseIndex + 5}, ` +
+        `COALESCE($${baseIndex + 6}, 'pending'), $${baseIndex + 7}, $${baseIndex + 8}, ` +
+        `CASE WHEN $${baseIndex + 7}::int IS NULL THEN NULL ELSE NOW() END, $${baseIndex + 9})`;
     }).join(', ');
 
     const flatEventGuests = eventGuestsData.flatMap(eventGuest => [
@@ -327,16 +329,23 @@ class GuestsRepository {
       eventGuest.event_id,
       eventGuest.invitation_code || this.generateInvitationCode(),
       eventGuest.created_by,
-      eventGuest.updated_by
+      eventGuest.updated_by,
+      eventGuest.status || null,
+      eventGuest.waitlist_position || null,
+      eventGuest.ticket_type_id || null,
+      JSON.stringify(eventGuest.answers || {})
     ]);
 
     const query = `
-      INSERT INTO event_guests (guest_id, event_id, invitation_code, created_by, updated_by)
+      INSERT INTO event_guests (
+        guest_id, event_id, invitation_code, created_by, updated_by,
+        status, waitlist_position, ticket_type_id, waitlisted_at, answers
+      )
       VALUES ${values}
-      RETURNING id, guest_id, event_id, invitation_code, created_at
+      RETURNING id, guest_id, event_id, invitation_code, status, waitlist_position, ticket_type_id, answers, created_at
     `;
 
-    const result = await database.query(query, flatEventGuests);
+    const result = await client.query(query, flatEventGuests);
     return result.rows;
   }
 
@@ -436,6 +445,173 @@ class GuestsRepository {
     };
   }
 
+  /**
+   * Statistiques d'arrivée pour le suivi en direct des entrées :
+   * présents par type de billet et arrivées par minute sur la fenêtre demandée
+   * @param {number} eventId - ID de l'événement
+   * @param {number} windowMinutes - Fenêtre du taux d'arrivée (minutes)
+   */
+  async getLiveCheckInStats(eventId, windowMinutes = 15) {
+    const byTicketTypeQuery = `
+      SELECT
+        tt.id AS ticket_type_id,
+        tt.name AS ticket_type_name,
+        COUNT(DISTINCT eg.id) AS expected_count,
+        COUNT(DISTINCT eg.id) FILTER (WHERE eg.is_present = true) AS checked_in_count
+      FROM event_guests eg
+      LEFT JOIN tickets t ON t.event_guest_id = eg.id AND t.deleted_at IS NULL
+      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+      WHERE eg.event_id = $1 AND eg.deleted_at IS NULL
+        AND eg.status NOT IN ('cancelled', 'waitlisted')
+      GROUP BY tt.id, tt.name
+      ORDER BY tt.id ASC NULLS LAST
+    `;
+
+    const arrivalsQuery = `
+      SELECT date_trunc('minute', eg.check_in_time) AS minute, COUNT(*) AS arrivals
+      FROM event_guests eg
+      WHERE eg.event_id = $1 AND eg.deleted_at IS NULL AND eg.is_present = true
+        AND eg.check_in_time >= date_trunc('minute', NOW()) - make_interval(mins => $2)
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `;
+
+    const [byTicketTypeResult, arrivalsResult] = await Promise.all([
+      database.query(byTicketTypeQuery, [eventId]),
+      database.query(arrivalsQuery, [eventId, windowMinutes])
+    ]);
+
+    return {
+      by_ticket_type: byTicketTypeResult.rows.map(row => ({
+        ticket_type_id: row.ticket_type_id,
+        ticket_type_name: row.ticket_type_name,
+        expected: parseInt(row.expected_count),
+        checked_in: parseInt(row.checked_in_count)
+      })),
+      arrivals_per_minute: arrivalsResult.rows.map(row => ({
+        minute: row.minute,
+        arrivals: parseInt(row.arrivals)
+      }))
+    };
+  }
+
+  // ========================================
+  // CAPACITÉ ET LISTE D'ATTENTE
+  // ========================================
+
+  /**
+   * Verrouille l'événement (FOR UPDATE) pour sérialiser les attributions de places
+   * @returns {Promise<Object|null>} { id, max_attendees, status }
+   */
+  async lockEventCapacity(eventId, client = database) {
+    const query = `
+      SELECT id, max_attendees, status
+      FROM events
+      WHERE id = $1 AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Occupation d'un événement : invités actifs (pending + confirmed),
+   * répartition par type de billet et dernière position de la liste d'attente
+   */
+  async getCapacityUsage(eventId, client = database) {
+    const usageQuery = `
+      SELECT
+        COUNT(CASE WHEN status IN ('pending', 'confirmed') THEN 1 END) AS active_guests,
+        COUNT(CASE WHEN status = 'waitlisted' THEN 1 END) AS waitlisted_guests,
+        COALESCE(MAX(waitlist_position), 0) AS last_waitlist_position
+      FROM event_guests
+      WHERE event_id = $1 AND deleted_at IS NULL
+    `;
+
+    const ticketTypesQuery = `
+      SELECT tt.id, tt.name, tt.quantity,
+             COUNT(eg.id) AS active_guests
+      FROM ticket_types tt
+      LEFT JOIN event_guests eg ON eg.ticket_type_id = tt.id
+        AND eg.deleted_at IS NULL
+        AND eg.status IN ('pending', 'confirmed')
+      WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
+      GROUP BY tt.id, tt.name, tt.quantity
+    `;
+
+    const usageResult = await client.query(usageQuery, [eventId]);
+    const ticketTypesResult = await client.query(ticketTypesQuery, [eventId]);
+
+    return {
+      ...usageResult.rows[0],
+      ticket_types: ticketTypesResult.rows
+    };
+  }
+
+  /**
+   * Liste d'attente d'un événement, dans l'ordre de promotion
+   */
+  async findWaitlist(eventId, client = database) {
+    const query = `
+      SELECT eg.id AS event_guest_id, eg.guest_id, eg.event_id, eg.invitation_code,
+             eg.ticket_type_id, eg.waitlist_position, eg.waitlisted_at,
+             g.first_name, g.last_name, g.email, g.phone,
+             tt.name AS ticket_type_name
+      FROM event_guests eg
+      JOIN guests g ON eg.guest_id = g.id
+      LEFT JOIN ticket_types tt ON eg.ticket_type_id = tt.id
+      WHERE eg.event_id = $1 AND eg.status = 'waitlisted'
+        AND eg.deleted_at IS NULL AND g.deleted_at IS NULL
+      ORDER BY eg.waitlist_position ASC, eg.id ASC
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows;
+  }
+
+  /**
+   * Sort un invité de la liste d'attente. Il repasse en 'confirmed' s'il avait
+   * déjà accepté son invitation, sinon en 'pending'.
+   */
+  async promoteFromWaitlist(eventGuestId, updatedBy = null, client = database) {
+    const query = `
+      UPDATE event_guests eg
+      SET status = CASE
+            WHEN EXISTS (
+              SELECT 1 FROM invitations i
+              WHERE i.event_guest_id = eg.id AND i.status = 'confirmed' AND i.deleted_at IS NULL
+            ) THEN 'confirmed'
+            ELSE 'pending'
+          END,
+          waitlist_position = NULL,
+          promoted_at = NOW(),
+          updated_by = COALESCE($2, updated_by),
+          updated_at = NOW()
+      WHERE eg.id = $1 AND eg.status = 'waitlisted' AND eg.deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventGuestId, updatedBy]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Annule la participation d'un invité et libère sa place
+   */
+  async cancelEventGuest(eventGuestId, updatedBy = null, client = database) {
+    const query = `
+      UPDATE event_guests
+      SET status = 'cancelled', waitlist_position = NULL,
+          updated_by = COALESCE($2, updated_by), updated_at = NOW()
+      WHERE id = $1 AND status <> 'cancelled' AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventGuestId, updatedBy]);
+    return result.rows[0] || null;
+  }
+
   async findEventGuest(guestId, eventId) {
     const query = `
       SELECT * FROM event_guests 
@@ -459,7 +635,7 @@ class GuestsRepository {
   /**
    * Check in a guest
    */
-  async checkIn(checkInData) {
+  async checkIn(checkInData, client = database) {
     const { guest_id, event_id, checked_in_at } = checkInData;
 
     const query = `
@@ -469,7 +645,7 @@ class GuestsRepository {
       RETURNING *
     `;
 
-    const result = await database.query(query, [checked_in_at, guest_id, event_id]);
+    const result = await client.query(query, [checked_in_at, guest_id, event_id]);
     return result.rows[0] || null;
   }
 
@@ -509,7 +685,7 @@ class GuestsRepository {
    * Find guests by event ID
    */
   async findByEventId(eventId, options = {}) {
-    const { page = 1, limit = 20, status } = options;
+    const { page = 1, limit = 20, status, answers } = options;
     const offset = (page - 1) * limit;
 
     let whereConditions = ['eg.event_id = $1'];
@@ -520,10 +696,18 @@ class GuestsRepository {
       queryParams.push(status);
     }
 
+    // Filtre sur les réponses aux questions d'inscription : { question_key: valeur }
+    if (answers && Object.keys(answers).length > 0) {
+      whereConditions.push(`eg.answers @> $${queryParams.length + 1}::jsonb`);
+      queryParams.push(JSON.stringify(answers));
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     const query = `
-      SELECT g.*, eg.is_present, eg.check_in_time
+      SELECT g.*, eg.is_present, eg.check_in_time, eg.status AS event_status,
+             eg.ticket_type_id, eg.waitlist_position, eg.invitation_code,
+             eg.answers, eg.answered_at
       FROM guests g
       JOIN event_guests eg ON g.id = eg.guest_id
       WHERE ${whereClause} AND g.deleted_at IS NULL
@@ -536,6 +720,728 @@ class GuestsRepository {
     const result = await database.query(query, queryParams);
     return result.rows;
   }
+
+  /**
+   * Tous les invités d'un événement, pour l'export (mêmes filtres que findByEventId)
+   */
+  async findAllByEventId(eventId, options = {}) {
+    const { status, answers } = options;
+
+    const whereConditions = ['eg.event_id = $1', 'eg.deleted_at IS NULL', 'g.deleted_at IS NULL'];
+    const queryParams = [eventId];
+
+    if (status) {
+      whereConditions.push(`eg.status = $${queryParams.length + 1}`);
+      queryParams.push(status);
+    }
+
+    if (answers && Object.keys(answers).length > 0) {
+      whereConditions.push(`eg.answers @> $${queryParams.length + 1}::jsonb`);
+      queryParams.push(JSON.stringify(answers));
+    }
+
+    const query = `
+      SELECT g.id, g.first_name, g.last_name, g.email, g.phone,
+             eg.status AS event_status, eg.invitation_code, eg.is_present, eg.check_in_time,
+             eg.answers, eg.answered_at, eg.created_at
+      FROM guests g
+      JOIN event_guests eg ON g.id = eg.guest_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY g.last_name ASC, g.first_name ASC, g.id ASC
+    `;
+
+    const result = await database.query(query, queryParams);
+    return result.rows;
+  }
+
+  /**
+   * Complète les réponses d'une invitation (les clés fournies remplacent les précédentes)
+   */
+  async updateEventGuestAnswers(eventGuestId, answers, client = database) {
+    const query = `
+      UPDATE event_guests
+      SET answers = answers || $2::jsonb, answered_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, answers, answered_at
+    `;
+
+    const result = await client.query(query, [eventGuestId, JSON.stringify(answers || {})]);
+    return result.rows[0] || null;
+  }
+
+  // ========================================
+  // QUESTIONS D'INSCRIPTION
+  // ========================================
+
+  async findEventQuestions(eventId, client = database) {
+    const query = `
+      SELECT id, uid, event_id, question_key, label, help_text, question_type,
+             options, is_required, position, created_at, updated_at
+      FROM event_questions
+      WHERE event_id = $1 AND deleted_at IS NULL
+      ORDER BY position ASC, id ASC
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows;
+  }
+
+  async findEventQuestionById(eventId, questionId) {
+    const query = `
+      SELECT * FROM event_questions
+      WHERE id = $1 AND event_id = $2 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [questionId, eventId]);
+    return result.rows[0] || null;
+  }
+
+  async createEventQuestion(questionData) {
+    const query = `
+      INSERT INTO event_questions (
+        event_id, question_key, label, help_text, question_type,
+        options, is_required, position, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [
+      questionData.event_id,
+      questionData.question_key,
+      questionData.label,
+      questionData.help_text || null,
+      questionData.question_type,
+      JSON.stringify(questionData.options || []),
+      questionData.is_required,
+      questionData.position,
+      questionData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async updateEventQuestion(questionId, questionData) {
+    const query = `
+      UPDATE event_questions
+      SET label = $2, help_text = $3, question_type = $4, options = $5,
+          is_required = $6, position = $7, updated_by = $8, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [
+      questionId,
+      questionData.label,
+      questionData.help_text || null,
+      questionData.question_type,
+      JSON.stringify(questionData.options || []),
+      questionData.is_required,
+      questionData.position,
+      questionData.updated_by || null
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async deleteEventQuestion(eventId, questionId, deletedBy) {
+    const query = `
+      UPDATE event_questions
+      SET deleted_at = NOW(), deleted_by = $3
+      WHERE id = $1 AND event_id = $2 AND deleted_at IS NULL
+      RETURNING id, question_key
+    `;
+
+    const result = await database.query(query, [questionId, eventId, deletedBy]);
+    return result.rows[0] || null;
+  }
+
+  // ========================================
+  // DOUBLONS ET FUSIONS D'INVITÉS
+  // ========================================
+
+  /**
+   * Invités comparés par la recherche de doublons : tous pour un administrateur,
+   * sinon ceux invités aux événements de l'organisateur ou créés par lui
+   */
+  async findDedupeCandidates(options = {}) {
+    const { organizerId = null, limit = 20000 } = options;
+    const values = [limit];
+    let scope = '';
+
+    if (organizerId) {
+      values.push(organizerId);
+      scope = `
+        AND (
+          g.created_by = $2
+          OR EXISTS (
+            SELECT 1 FROM event_guests eg
+            JOIN events e ON e.id = eg.event_id
+            WHERE eg.guest_id = g.id AND eg.deleted_at IS NULL AND e.organizer_id = $2
+          )
+        )
+      `;
+    }
+
+    const query = `
+      SELECT g.id, g.first_name, g.last_name, g.email, g.phone, g.created_at,
+             (SELECT COUNT(*)::int FROM event_guests eg
+              WHERE eg.guest_id = g.id AND eg.deleted_at IS NULL) AS events_count
+      FROM guests g
+      WHERE g.deleted_at IS NULL ${scope}
+      ORDER BY g.id ASC
+      LIMIT $1
+    `;
+
+    const result = await database.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Invités à fusionner, verrouillés dans l'ordre des identifiants
+   */
+  async lockGuests(guestIds, client = database) {
+    const query = `
+      SELECT * FROM guests
+      WHERE id = ANY($1::bigint[])
+      ORDER BY id ASC
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [guestIds]);
+    return result.rows;
+  }
+
+  /**
+   * Participations d'un invité (supprimées comprises : l'unicité event_id/guest_id les inclut)
+   */
+  async findEventGuestsForMerge(guestId, client = database) {
+    const query = `
+      SELECT eg.*, e.organizer_id
+      FROM event_guests eg
+      JOIN events e ON e.id = eg.event_id
+      WHERE eg.guest_id = $1
+      ORDER BY eg.id ASC
+      FOR UPDATE OF eg
+    `;
+
+    const result = await client.query(query, [guestId]);
+    return result.rows;
+  }
+
+  async repointEventGuests(eventGuestIds, fromGuestId, toGuestId, client = database) {
+    if (eventGuestIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      UPDATE event_guests
+      SET guest_id = $3, updated_at = NOW()
+      WHERE id = ANY($1::bigint[]) AND guest_id = $2
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [eventGuestIds, fromGuestId, toGuestId]);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Déplace les lignes d'une table liée d'une participation vers une autre
+   * @param {Object} reference - { table, column } (liste fixe du service de fusion)
+   * @param {Array<number>} ids - Restreint aux lignes indiquées (annulation), toutes sinon
+   * @returns {Promise<Array<number>>} IDs des lignes déplacées
+   */
+  async moveEventGuestReference(reference, fromEventGuestId, toEventGuestId, ids = null, client = database) {
+    const values = [fromEventGuestId, toEventGuestId];
+    let restriction = '';
+    if (ids) {
+      values.push(ids);
+      restriction = 'AND id = ANY($3::bigint[])';
+    }
+
+    const query = `
+      UPDATE ${reference.table}
+      SET ${reference.column} = $2
+      WHERE ${reference.column} = $1 ${restriction}
+      RETURNING id
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Applique l'état fusionné (ou restauré) d'une participation
+   */
+  async updateEventGuestMergeState(eventGuestId, state, client = database) {
+    const query = `
+      UPDATE event_guests
+      SET status = $2, is_present = $3, check_in_time = $4, ticket_type_id = $5,
+          waitlist_position = $6, waitlisted_at = $7, answers = $8::jsonb,
+          deleted_at = $9, deleted_by = $10, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [
+      eventGuestId,
+      state.status,
+      state.is_present,
+      state.check_in_time,
+      state.ticket_type_id,
+      state.waitlist_position,
+      state.waitlisted_at,
+      JSON.stringify(state.answers || {}),
+      state.deleted_at,
+      state.deleted_by
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async repointOwnershipHistory(fromGuestId, toGuestId, ids = null, client = database) {
+    const values = [fromGuestId, toGuestId];
+    let restriction = '';
+    if (ids) {
+      values.push(ids);
+      restriction = 'AND id = ANY($3::bigint[])';
+    }
+
+    const query = `
+      UPDATE ticket_ownership_history
+      SET guest_id = $2
+      WHERE guest_id = $1 ${restriction}
+      RETURNING id
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Coordonnées de l'invité conservé (complétées à la fusion, restaurées à l'annulation)
+   */
+  async updateGuestContact(guestId, contact, updatedBy, client = database) {
+    const query = `
+      UPDATE guests
+      SET first_name = $2, last_name = $3, email = $4, phone = $5, updated_by = $6, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      guestId,
+      contact.first_name,
+      contact.last_name,
+      contact.email,
+      contact.phone,
+      updatedBy
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async markGuestMerged(guestId, targetGuestId, deletedBy, client = database) {
+    const query = `
+      UPDATE guests
+      SET merged_into_id = $2, deleted_at = NOW(), deleted_by = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [guestId, targetGuestId, deletedBy]);
+    return result.rows[0] || null;
+  }
+
+  async restoreMergedGuest(guestId, updatedBy, client = database) {
+    const query = `
+      UPDATE guests
+      SET merged_into_id = NULL, deleted_at = NULL, deleted_by = NULL, updated_by = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [guestId, updatedBy]);
+    return result.rows[0] || null;
+  }
+
+  async createGuestMerge(mergeData, client = database) {
+    const query = `
+      INSERT INTO guest_merges (
+        source_guest_id, target_guest_id, reason, match_details,
+        source_snapshot, target_snapshot, changes, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      mergeData.source_guest_id,
+      mergeData.target_guest_id,
+      mergeData.reason || null,
+      JSON.stringify(mergeData.match_details || {}),
+      JSON.stringify(mergeData.source_snapshot),
+      JSON.stringify(mergeData.target_snapshot),
+      JSON.stringify(mergeData.changes || {}),
+      mergeData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async findGuestMergeById(mergeId, options = {}, client = database) {
+    const query = `
+      SELECT * FROM guest_merges
+      WHERE (id::text = $1 OR uid::text = $1) AND deleted_at IS NULL
+      ${options.forUpdate ? 'FOR UPDATE' : ''}
+    `;
+
+    const result = await client.query(query, [String(mergeId)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Fusions actives postérieures touchant l'un des invités (bloquent l'annulation)
+   */
+  async findLaterActiveMerges(merge, client = database) {
+    const query = `
+      SELECT id, uid, source_guest_id, target_guest_id, created_at
+      FROM guest_merges
+      WHERE id > $1 AND status = 'merged' AND deleted_at IS NULL
+        AND (source_guest_id = ANY($2::bigint[]) OR target_guest_id = ANY($2::bigint[]))
+      ORDER BY id ASC
+    `;
+
+    const result = await client.query(query, [merge.id, [merge.source_guest_id, merge.target_guest_id]]);
+    return result.rows;
+  }
+
+  async markGuestMergeUndone(mergeId, undoneBy, client = database) {
+    const query = `
+      UPDATE guest_merges
+      SET status = 'undone', undone_at = NOW(), undone_by = $2, updated_by = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [mergeId, undoneBy]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Historique des fusions (?guest_id=&status=&page=&limit=), limité à l'auteur pour un organisateur
+   */
+  async findGuestMerges(options = {}) {
+    const { guestId, status, createdBy, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['m.deleted_at IS NULL'];
+    const values = [];
+    if (guestId) {
+      values.push(guestId);
+      conditions.push(`(m.source_guest_id = $${values.length} OR m.target_guest_id = $${values.length})`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`m.status = $${values.length}`);
+    }
+    if (createdBy) {
+      values.push(createdBy);
+      conditions.push(`m.created_by = $${values.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const query = `
+      SELECT m.id, m.uid, m.source_guest_id, m.target_guest_id, m.status, m.reason,
+             m.match_details, m.source_snapshot, m.target_snapshot,
+             m.created_by, m.created_at, m.undone_by, m.undone_at
+      FROM guest_merges m
+      WHERE ${where}
+      ORDER BY m.created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(`SELECT COUNT(*) AS total FROM guest_merges m WHERE ${where}`, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      merges: rows.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async insertAuditLog(entry, client = database) {
+    const query = `
+      INSERT INTO audit_logs (action, resource_type, resource_id, user_id, details)
+      VALUES ($1, $2, $3, $4, $5)
+    `;
+
+    await client.query(query, [
+      entry.action,
+      entry.resourceType,
+      entry.resourceId !== null && entry.resourceId !== undefined ? String(entry.resourceId) : null,
+      entry.userId || null,
+      JSON.stringify(entry.details || {})
+    ]);
+  }
+
+  // ========================================
+  // IMPORTS D'INVITÉS ET PROFILS DE CORRESPONDANCE
+  // ========================================
+
+  async createImport(importData, client = database) {
+    const query = `
+      INSERT INTO guest_imports (
+        event_id, file_path, original_name, headers, suggested_mapping,
+        total_rows, expires_at, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 * INTERVAL '1 minute'), $8, $8)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      importData.event_id,
+      importData.file_path,
+      importData.original_name || null,
+      JSON.stringify(importData.headers || []),
+      JSON.stringify(importData.suggested_mapping || {}),
+      importData.total_rows || 0,
+      importData.ttl_minutes,
+      importData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Import d'un événement par son uid, verrouillé dans une transaction si demandé
+   */
+  async findImportByUid(uid, eventId, options = {}, client = database) {
+    const query = `
+      SELECT *, expires_at < NOW() AS is_expired
+      FROM guest_imports
+      WHERE uid::text = $1 AND event_id = $2 AND deleted_at IS NULL
+      ${options.forUpdate ? 'FOR UPDATE' : ''}
+    `;
+
+    const result = await client.query(query, [String(uid), eventId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Confirme un aperçu : l'import est mis en file ; null s'il a déjà été confirmé
+   */
+  async claimImport(importId, updates, client = database) {
+    const query = `
+      UPDATE guest_imports
+      SET status = 'queued', mapping = $2, profile_id = $3, updated_by = $4, updated_at = NOW()
+      WHERE id = $1 AND status = 'previewed'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      importId,
+      JSON.stringify(updates.mapping),
+      updates.profile_id || null,
+      updates.updated_by || null
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async findImportById(importId, client = database) {
+    const result = await client.query('SELECT * FROM guest_imports WHERE id = $1', [importId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Prise en charge par le worker (ou reprise après interruption)
+   */
+  async startImport(importId, client = database) {
+    const query = `
+      UPDATE guest_imports
+      SET status = 'processing', started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'processing')
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [importId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Enregistre la progression d'un lot, dans la transaction du lot
+   */
+  async saveImportProgress(importId, progress, client = database) {
+    const query = `
+      UPDATE guest_imports
+      SET processed_rows = processed_rows + $2,
+          last_row_number = $3,
+          created_count = created_count + $4,
+          linked_count = linked_count + $5,
+          waitlisted_count = waitlisted_count + $6,
+          duplicate_count = duplicate_count + $7,
+          error_count = error_count + $8,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      importId,
+      progress.processed,
+      progress.last_row_number,
+      progress.created,
+      progress.linked,
+      progress.waitlisted,
+      progress.duplicates,
+      progress.errors
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async insertImportErrors(importId, errors, client = database) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    const values = [];
+    const placeholders = errors.map((error, index) => {
+      const offset = index * 6;
+      values.push(importId, error.row, error.error_type, error.field || null, error.message, JSON.stringify(error.data || {}));
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+    });
+
+    const query = `
+      INSERT INTO guest_import_errors (import_id, row_number, error_type, field, message, data)
+      VALUES ${placeholders.join(', ')}
+    `;
+
+    await client.query(query, values);
+  }
+
+  async findImportErrors(importId) {
+    const query = `
+      SELECT row_number, error_type, field, message, data
+      FROM guest_import_errors
+      WHERE import_id = $1
+      ORDER BY row_number ASC, id ASC
+    `;
+
+    const result = await database.query(query, [importId]);
+    return result.rows;
+  }
+
+  /**
+   * Imports confirmés mais non terminés (arrêt du serveur pendant le traitement)
+   */
+  async findUnfinishedImports() {
+    const query = `
+      SELECT id, uid, job_id FROM guest_imports
+      WHERE status IN ('queued', 'processing') AND deleted_at IS NULL
+      ORDER BY created_at ASC
+    `;
+
+    const result = await database.query(query);
+    return result.rows;
+  }
+
+  async updateImport(importId, updates, client = database) {
+    const fields = [];
+    const values = [];
+    Object.entries(updates).forEach(([field, value]) => {
+      values.push(['mapping', 'summary'].includes(field) && value !== null ? JSON.stringify(value) : value);
+      fields.push(`${field} = $${values.length}`);
+    });
+    values.push(importId);
+
+    const query = `
+      UPDATE guest_imports
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Aperçus non confirmés dont le fichier peut être supprimé
+   */
+  async expirePreviewedImports(client = database) {
+    const query = `
+      UPDATE guest_imports
+      SET status = 'expired', updated_at = NOW()
+      WHERE status = 'previewed' AND expires_at < NOW()
+      RETURNING id, file_path
+    `;
+
+    const result = await client.query(query);
+    return result.rows;
+  }
+
+  async findImportProfiles(userId) {
+    const query = `
+      SELECT id, uid, name, mapping, last_used_at, created_at, updated_at
+      FROM guest_import_profiles
+      WHERE created_by = $1 AND deleted_at IS NULL
+      ORDER BY last_used_at DESC NULLS LAST, name ASC
+    `;
+
+    const result = await database.query(query, [userId]);
+    return result.rows;
+  }
+
+  async findImportProfileById(profileId, userId) {
+    const query = `
+      SELECT * FROM guest_import_profiles
+      WHERE id = $1 AND created_by = $2 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [profileId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Enregistre un profil ; un profil du même nom est remplacé
+   */
+  async saveImportProfile(profileData, client = database) {
+    const query = `
+      INSERT INTO guest_import_profiles (name, mapping, created_by, updated_by)
+      VALUES ($1, $2, $3, $3)
+      ON CONFLICT (created_by, LOWER(name)) WHERE deleted_at IS NULL
+      DO UPDATE SET mapping = EXCLUDED.mapping, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING id, uid, name, mapping, last_used_at, created_at, updated_at
+    `;
+
+    const result = await client.query(query, [
+      profileData.name,
+      JSON.stringify(profileData.mapping),
+      profileData.created_by
+    ]);
+    return result.rows[0];
+  }
+
+  async touchImportProfile(profileId, client = database) {
+    await client.query(
+      'UPDATE guest_import_profiles SET last_used_at = NOW() WHERE id = $1',
+      [profileId]
+    );
+  }
+
+  async deleteImportProfile(profileId, userId) {
+    const query = `
+      UPDATE guest_import_profiles
+      SET deleted_at = NOW(), deleted_by = $2
+      WHERE id = $1 AND created_by = $2 AND deleted_at IS NULL
+      RETURNING id
+    `;
+
+    const result = await database.query(query, [profileId, userId]);
+    return result.rows[0] || null;
+  }
 }
 
 module.exports = new GuestsRepository();
@@ -16,6 +16,24 @@ router.use(ContextInjector.injectUserContext());
 // Apply error handler for all routes
 router.use(guestsErrorHandler);
 
+// Profils de correspondance des colonnes pour l'import (avant /:id)
+router.get('/import-profiles', SecurityMiddleware.withPermissions('guests.create'), guestsController.getImportProfiles);
+
+// { name, mapping: { first_name, last_name, email, phone? } } ; un profil du même nom est remplacé
+router.post('/import-profiles', SecurityMiddleware.withPermissions('guests.create'), guestsController.createImportProfile);
+
+router.delete('/import-profiles/:profileId', SecurityMiddleware.withPermissions('guests.create'), guestsController.deleteImportProfile);
+
+// Dédoublonnage (avant /:id) : doublons probables (?min_score=&page=&limit=), fusion et annulation
+router.get('/duplicates', SecurityMiddleware.withPermissions('guests.read'), guestsController.getDuplicateGuests);
+
+// { source_guest_id, target_guest_id, reason? } : la source est fusionnée dans la cible
+router.post('/merge', SecurityMiddleware.withPermissions('guests.update'), guestsController.mergeGuests);
+
+router.get('/merges', SecurityMiddleware.withPermissions('guests.read'), guestsController.getGuestMerges);
+
+router.post('/merges/:mergeId/undo', SecurityMiddleware.withPermissions('guests.update'), guestsController.undoGuestMerge);
+
 // Guest CRUD Operations
 router.post('/', SecurityMiddleware.withPermissions('guests.create'), ValidationMiddleware.createGuestsValidator('createGuest'), guestsController.createGuest);
 
@@ -24,6 +42,8 @@ router.get('/', SecurityMiddleware.withPermissions('guests.read'), guestsControl
 
 router.get('/:id', SecurityMiddleware.withPermissions('guests.read'), guestsController.getGuestById);
 
+router.get('/:id/duplicates', SecurityMiddleware.withPermissions('guests.read'), guestsController.getGuestDuplicates);
+
 router.put('/:id', SecurityMiddleware.withPermissions('guests.update'), ValidationMiddleware.createGuestsValidator('updateGuest'), guestsController.updateGuest);
 
 router.delete('/:id', SecurityMiddleware.withPermissions('guests.delete'), guestsController.deleteGuest);
@@ -31,12 +51,29 @@ router.delete('/:id', SecurityMiddleware.withPermissions('guests.delete'), guest
 // Event Guest Management - GET routes avec permission spécifique
 router.get('/events/:eventId/guests', SecurityMiddleware.withPermissions('guests.read'), guestsController.getEventGuests);
 
+// Export CSV, une colonne par question d'inscription (mêmes filtres : status, answers.<question_key>)
+router.get('/events/:eventId/guests/export', SecurityMiddleware.withPermissions('guests.read'), guestsController.exportEventGuests);
+
 router.get('/events/:eventId/guests/associations', SecurityMiddleware.withPermissions('guests.read'), guestsController.getEventGuestAssociations);
 
 router.post('/events/:eventId/guests', SecurityMiddleware.withPermissions('guests.create'), guestsController.addGuestsToEvent);
 
 router.post('/events/:eventId/guests/bulk', SecurityMiddleware.withPermissions('guests.create'), guestsController.bulkAddGuestsToEvent);
 
+router.post('/events/:eventId/guests/:guestId/cancel', SecurityMiddleware.withPermissions('guests.update'), guestsController.cancelEventGuest);
+
+// Questions d'inscription : { question_key, label, help_text?, question_type, options?, is_required?, position? }
+router.get('/events/:eventId/questions', SecurityMiddleware.withPermissions('guests.read'), guestsController.getEventQuestions);
+
+router.post('/events/:eventId/questions', SecurityMiddleware.withPermissions('guests.update'), guestsController.createEventQuestion);
+
+router.put('/events/:eventId/questions/:questionId', SecurityMiddleware.withPermissions('guests.update'), guestsController.updateEventQuestion);
+
+router.delete('/events/:eventId/questions/:questionId', SecurityMiddleware.withPermissions('guests.update'), guestsController.deleteEventQuestion);
+
+// Capacity & Waitlist
+router.get('/events/:eventId/waitlist', SecurityMiddleware.withPermissions('guests.read'), guestsController.getEventWaitlist);
+
 // Check-in Operations
 router.post('/check-in', SecurityMiddleware.withPermissions('guests.checkin'), guestsController.checkInGuest);
 
@@ -45,11 +82,33 @@ router.post('/events/:eventId/guests/:guestId/checkin', SecurityMiddleware.withP
 // Statistics - GET routes avec permission spécifique
 router.get('/events/:eventId/stats', SecurityMiddleware.withPermissions('guests.stats.read'), guestsController.getEventGuestStats);
 
-// Import guests from CSV/Excel file
+// Suivi en direct des entrées (Server-Sent Events) : checkin, zone_exit, scan_failed, stats
+router.get('/events/:eventId/checkins/stream', SecurityMiddleware.withPermissions('guests.stats.read'), guestsController.streamEventCheckIns);
+
+// Import guests from CSV/Excel file, en tâche de fond (champs optionnels : mapping JSON, profile_id, dry_run)
 router.post('/events/:eventId/guests/import', 
   SecurityMiddleware.withPermissions('guests.create'), 
   uploadGuestsFile, 
   guestsController.importGuests
 );
 
+// Import en deux temps : aperçu du fichier (colonnes, correspondance proposée, erreurs)
+router.post('/events/:eventId/guests/import/preview',
+  SecurityMiddleware.withPermissions('guests.create'),
+  uploadGuestsFile,
+  guestsController.previewGuestImport
+);
+
+// Confirmation : { mapping?, profile_id?, save_profile_as?, dry_run? } ; l'import est mis en file (202)
+router.post('/events/:eventId/guests/import/:importId/confirm',
+  SecurityMiddleware.withPermissions('guests.create'),
+  guestsController.confirmGuestImport
+);
+
+// Statut et progression d'un import
+router.get('/events/:eventId/guests/imports/:importId', SecurityMiddleware.withPermissions('guests.create'), guestsController.getGuestImportStatus);
+
+// Rapport CSV des lignes non importées, une fois l'import terminé
+router.get('/events/:eventId/guests/imports/:importId/errors', SecurityMiddleware.withPermissions('guests.create'), guestsController.exportGuestImportErrors);
+
 module.exports = router;
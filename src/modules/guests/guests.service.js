@@ -1,7 +1,14 @@
 const guestsRepository = require('./guests.repository');
 const { v4: uuidv4 } = require('uuid');
-const { ensureGuestAuthAccount } = require('./guest-auth.helper');
 const eventsRepository = require('../events/events.repository');
+const capacityService = require('./capacity.service');
+const checkInStreamService = require('./checkin-stream.service');
+const registrationQuestionsService = require('./registration-questions.service');
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 class GuestsService {
   async ensureEventAcceptsGuests(eventId) {
@@ -14,6 +21,30 @@ class GuestsService {
     }
   }
 
+  /**
+   * Valide les réponses aux questions d'inscription de chaque invité ajouté
+   * (types et choix uniquement : les réponses obligatoires sont exigées de l'invité lui-même)
+   * @returns {Promise<Object>} - { answers: réponses normalisées par position, errors: [{ index, question, error }] }
+   */
+  async validateGuestsAnswers(eventId, guests) {
+    const provided = guests.some(guest => guest.answers !== undefined && guest.answers !== null);
+    if (!provided) {
+      return { answers: guests.map(() => ({})), errors: [] };
+    }
+
+    const questions = await guestsRepository.findEventQuestions(eventId);
+    const answers = [];
+    const errors = [];
+
+    guests.forEach((guest, index) => {
+      const result = registrationQuestionsService.validateAnswers(questions, guest.answers);
+      answers.push(result.answers);
+      result.errors.forEach(error => errors.push({ index, ...error }));
+    });
+
+    return { answers, errors };
+  }
+
   async createGuest(guestData, userId) {
     try {
       // Check if email already exists
@@ -37,15 +68,6 @@ class GuestsService {
       };
 
       const guest = await guestsRepository.create(guestDataWithCreator);
-
-      try {
-        await ensureGuestAuthAccount(guest);
-      } catch (error) {
-        console.warn('Failed to provision guest auth account:', {
-          email: guest.email,
-          error: error.message
-        });
-      }
       
       return {
         success: true,
@@ -167,12 +189,19 @@ class GuestsService {
 
   async getEventGuests(eventId, options = {}) {
     try {
-      const { page, limit, status, userId } = options;
+      const { page, limit, status, userId, answers } = options;
+
+      const answersFilter = await this.resolveAnswersFilter(eventId, answers);
+      if (answersFilter.error) {
+        return { success: false, error: answersFilter.error, details: answersFilter.details };
+      }
+
       const guests = await guestsRepository.findByEventId(eventId, {
         page: page ? parseInt(page) : 1,
         limit: limit ? parseInt(limit) : 10,
         status,
-        userId
+        userId,
+        answers: answersFilter.filter
       });
       
       return {
@@ -189,6 +218,84 @@ class GuestsService {
     }
   }
 
+  /**
+   * Filtre sur les réponses (?answers.<question_key>=valeur), validé d'après les questions de l'événement
+   */
+  async resolveAnswersFilter(eventId, answers) {
+    if (!answers || Object.keys(answers).length === 0) {
+      return { filter: null };
+    }
+
+    const questions = await guestsRepository.findEventQuestions(eventId);
+    return registrationQuestionsService.buildAnswersFilter(questions, answers);
+  }
+
+  /**
+   * Export CSV des invités d'un événement, une colonne par question d'inscription
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} options - { status?, answers?, userId }
+   * @returns {Promise<Object>} - { success, data: { filename, content } }
+   */
+  async exportEventGuests(eventId, options = {}) {
+    try {
+      const access = await registrationQuestionsService.authorize(eventId, options.userId);
+      if (!access.success) {
+        return access;
+      }
+
+      const answersFilter = await this.resolveAnswersFilter(eventId, options.answers);
+      if (answersFilter.error) {
+        return { success: false, error: answersFilter.error, details: answersFilter.details };
+      }
+
+      const [questions, guests] = await Promise.all([
+        guestsRepository.findEventQuestions(eventId),
+        guestsRepository.findAllByEventId(eventId, {
+          status: options.status,
+          answers: answersFilter.filter
+        })
+      ]);
+
+      const header = [
+        'first_name', 'last_name', 'email', 'phone', 'status', 'invitation_code',
+        'checked_in', 'check_in_time', 'answered_at',
+        ...questions.map(question => question.label)
+      ];
+      const lines = [header.map(escapeCsv).join(',')];
+
+      guests.forEach(guest => {
+        const answers = guest.answers || {};
+        lines.push([
+          guest.first_name,
+          guest.last_name,
+          guest.email,
+          guest.phone,
+          guest.event_status,
+          guest.invitation_code,
+          guest.is_present ? 'yes' : 'no',
+          guest.check_in_time ? new Date(guest.check_in_time).toISOString() : '',
+          guest.answered_at ? new Date(guest.answered_at).toISOString() : '',
+          ...questions.map(question => registrationQuestionsService.formatAnswer(question, answers[question.question_key]))
+        ].map(escapeCsv).join(','));
+      });
+
+      return {
+        success: true,
+        data: {
+          filename: `event-${eventId}-guests.csv`,
+          content: lines.join('\n'),
+          count: guests.length
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting event guests:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export event guests'
+      };
+    }
+  }
+
   async getEventGuestAssociations(eventId, options = {}) {
     try {
       const { page, limit, status, userId } = options;
@@ -229,11 +336,16 @@ class GuestsService {
       if (guests.length === 0) {
         throw new Error('At least one guest is required');
       }
+
+      const { answers, errors: answerErrors } = await this.validateGuestsAnswers(eventId, guests);
+      if (answerErrors.length > 0) {
+        return { success: false, error: 'Invalid registration answers', details: answerErrors };
+      }
       
       const addedGuests = [];
       const eventGuestsData = [];
       
-      for (const guest of guests) {
+      for (const [index, guest] of guests.entries()) {
         let guestRecord;
         
         if (guest.guest_id) {
@@ -247,6 +359,8 @@ class GuestsService {
           eventGuestsData.push({
             guest_id: guest.guest_id,
             event_id: eventId,
+            ticket_type_id: guest.ticket_type_id || null,
+            answers: answers[index],
             created_by: userId,
             updated_by: userId
           });
@@ -278,20 +392,13 @@ class GuestsService {
           };
 
           guestRecord = await guestsRepository.create(guestData);
-
-          try {
-            await ensureGuestAuthAccount(guestRecord);
-          } catch (error) {
-            console.warn('Failed to provision guest auth account:', {
-              email: guestRecord.email,
-              error: error.message
-            });
-          }
           
           // Créer la liaison event_guests
           eventGuestsData.push({
             guest_id: guestRecord.id,
             event_id: eventId,
+            ticket_type_id: guest.ticket_type_id || null,
+            answers: answers[index],
             created_by: userId,
             updated_by: userId
           });
@@ -300,9 +407,10 @@ class GuestsService {
         addedGuests.push(guestRecord);
       }
       
-      // Créer toutes les liaisons event_guests en une seule fois
+      // Créer toutes les liaisons event_guests en une seule fois (places ou liste d'attente)
       if (eventGuestsData.length > 0) {
-        await guestsRepository.bulkCreateEventGuests(eventGuestsData);
+        const { associations } = await capacityService.addEventGuests(eventId, eventGuestsData);
+        this.annotateEventStatus(addedGuests, associations);
       }
       
       return {
@@ -335,15 +443,27 @@ class GuestsService {
         throw new Error('At least one guest is required');
       }
 
+      const { answers, errors: answerErrors } = await this.validateGuestsAnswers(eventId, guests);
+      if (answerErrors.length > 0) {
+        return { success: false, error: 'Invalid registration answers', details: answerErrors };
+      }
+
       const addedGuests = [];
       const eventGuestsData = [];
 
       const existingGuestIds = [];
       const newGuestsData = [];
+      // Type de billet et réponses, par invité existant et par position des nouveaux invités
+      const existingTicketTypes = new Map();
+      const existingAnswers = new Map();
+      const newTicketTypes = [];
+      const newAnswers = [];
 
-      for (const guest of guests) {
+      for (const [index, guest] of guests.entries()) {
         if (guest.guest_id) {
           existingGuestIds.push(guest.guest_id);
+          existingTicketTypes.set(String(guest.guest_id), guest.ticket_type_id || null);
+          existingAnswers.set(String(guest.guest_id), answers[index]);
           continue;
         }
 
@@ -373,6 +493,8 @@ class GuestsService {
           created_by: userId,
           updated_by: userId
         });
+        newTicketTypes.push(guest.ticket_type_id || null);
+        newAnswers.push(answers[index]);
       }
 
       if (existingGuestIds.length > 0) {
@@ -391,6 +513,8 @@ class GuestsService {
           eventGuestsData.push({
             guest_id: guestRecord.id,
             event_id: eventId,
+            ticket_type_id: existingTicketTypes.get(String(guestRecord.id)) || null,
+            answers: existingAnswers.get(String(guestRecord.id)),
             created_by: userId,
             updated_by: userId
           });
@@ -399,38 +523,33 @@ class GuestsService {
 
       if (newGuestsData.length > 0) {
         const createdGuests = await guestsRepository.bulkCreate(newGuestsData);
-        for (const guestRecord of createdGuests) {
+        for (const [index, guestRecord] of createdGuests.entries()) {
           addedGuests.push(guestRecord);
           eventGuestsData.push({
             guest_id: guestRecord.id,
             event_id: eventId,
+            ticket_type_id: newTicketTypes[index] || null,
+            answers: newAnswers[index],
             created_by: userId,
             updated_by: userId
           });
-
-          if (guestRecord?.email) {
-            try {
-              await ensureGuestAuthAccount(guestRecord);
-            } catch (error) {
-              console.warn('Failed to provision guest auth account:', {
-                email: guestRecord.email,
-                error: error.message
-              });
-            }
-          }
         }
       }
 
       let associations = [];
+      let capacity = null;
       if (eventGuestsData.length > 0) {
-        associations = await guestsRepository.bulkCreateEventGuests(eventGuestsData);
+        ({ associations, capacity } = await capacityService.addEventGuests(eventId, eventGuestsData));
+        this.annotateEventStatus(addedGuests, associations);
       }
       
       return {
         success: true,
         data: {
           guests: addedGuests,
-          associations
+          associations,
+          waitlisted: associations.filter(association => association.status === 'waitlisted').length,
+          capacity
         }
       };
     } catch (error) {
@@ -442,6 +561,97 @@ class GuestsService {
     }
   }
 
+  /**
+   * Ajoute aux invités leur statut sur l'événement (pending ou waitlisted)
+   */
+  annotateEventStatus(guestRecords, associations) {
+    const associationsByGuest = new Map(
+      associations.map(association => [String(association.guest_id), association])
+    );
+
+    guestRecords.forEach(guestRecord => {
+      const association = associationsByGuest.get(String(guestRecord.id));
+      if (association) {
+        guestRecord.event_status = association.status;
+        guestRecord.waitlist_position = association.waitlist_position;
+        guestRecord.invitation_code = association.invitation_code;
+      }
+    });
+  }
+
+  async getEventWaitlist(eventId) {
+    try {
+      const event = await eventsRepository.findById(eventId);
+      if (!event) {
+        throw new Error('Event not found');
+      }
+
+      const [waitlist, capacity] = await Promise.all([
+        capacityService.getWaitlist(eventId),
+        capacityService.getCapacity(eventId)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          capacity,
+          waitlist
+        }
+      };
+    } catch (error) {
+      console.error('Error getting event waitlist:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get event waitlist'
+      };
+    }
+  }
+
+  /**
+   * Annule la participation d'un invité et promeut la liste d'attente
+   */
+  async cancelEventGuest(guestId, eventId, userId) {
+    try {
+      const eventGuest = await guestsRepository.findEventGuest(guestId, eventId);
+      if (!eventGuest) {
+        throw new Error('Guest does not belong to this event');
+      }
+      if (eventGuest.status === 'cancelled') {
+        throw new Error('Guest participation already cancelled');
+      }
+
+      const cancelled = await guestsRepository.cancelEventGuest(eventGuest.id, userId);
+      const promoted = await capacityService.promoteFromWaitlist(eventId, userId);
+
+      return {
+        success: true,
+        data: {
+          event_guest: cancelled,
+          promoted_guests: promoted
+        }
+      };
+    } catch (error) {
+      console.error('Error cancelling event guest:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to cancel event guest'
+      };
+    }
+  }
+
+  /**
+   * Diffuse un check-in d'invité sur le flux en direct des entrées
+   */
+  publishCheckIn(eventGuest, userId) {
+    checkInStreamService.publishCheckIn(eventGuest.event_id, {
+      source: 'guest',
+      guest_id: eventGuest.guest_id,
+      direction: 'entry',
+      operator_id: userId,
+      at: eventGuest.check_in_time
+    });
+  }
+
   async checkInGuest(guestId, eventId, userId) {
     try {
       const checkInData = {
@@ -451,6 +661,9 @@ class GuestsService {
       };
 
       const checkIn = await guestsRepository.checkIn(checkInData);
+      if (checkIn) {
+        this.publishCheckIn(checkIn, userId);
+      }
       
       return {
         success: true,
@@ -477,6 +690,13 @@ class GuestsService {
         };
       }
 
+      if (eventGuest.status === 'waitlisted') {
+        return {
+          success: false,
+          error: 'Guest is on the waitlist for this event'
+        };
+      }
+
       const checkInData = {
         guest_id: guestId,
         event_id: eventId,
@@ -484,6 +704,9 @@ class GuestsService {
       };
 
       const checkIn = await guestsRepository.checkIn(checkInData);
+      if (checkIn) {
+        this.publishCheckIn(checkIn, userId);
+      }
       
       return {
         success: true,
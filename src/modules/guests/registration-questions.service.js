@@ -0,0 +1,371 @@
+/**
+ * Questions d'inscription par événement
+ * L'organisateur définit le questionnaire de son événement (régime alimentaire,
+ * société, taille de t-shirt, consentements...). Les réponses sont stockées par
+ * invitation dans event_guests.answers, indexées par question_key, et validées
+ * à l'ajout d'invités, à l'import CSV et à la réponse à l'invitation.
+ */
+
+const Joi = require('joi');
+const guestsRepository = require('./guests.repository');
+const eventsRepository = require('../events/events.repository');
+
+const QUESTION_TYPES = ['text', 'select', 'multi_select', 'boolean', 'date'];
+
+// Types dont les réponses sont limitées aux choix définis
+const CHOICE_TYPES = ['select', 'multi_select'];
+
+const TEXT_ANSWER_MAX_LENGTH = 1000;
+
+// Valeurs acceptées pour une case à cocher (formulaires, colonnes de tableur)
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'oui', 'o', 'x'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'non'];
+
+// Séparateurs d'un choix multiple saisi en texte ("Vegan; Sans gluten")
+const MULTI_SELECT_SEPARATOR = /[;,|]/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const questionSchema = Joi.object({
+  question_key: Joi.string().pattern(/^[a-z][a-z0-9_]{0,49}$/).required(),
+  label: Joi.string().trim().max(255).required(),
+  help_text: Joi.string().trim().max(1000).allow('', null).default(null),
+  question_type: Joi.string().valid(...QUESTION_TYPES).required(),
+  options: Joi.when('question_type', {
+    is: Joi.valid(...CHOICE_TYPES),
+    then: Joi.array().items(Joi.string().trim().max(255)).min(1).max(100).unique().required(),
+    otherwise: Joi.array().max(0).default([])
+  }),
+  is_required: Joi.boolean().default(false),
+  position: Joi.number().integer().min(0)
+});
+
+class RegistrationQuestionsService {
+  /**
+   * Vérifie que l'utilisateur organise l'événement
+   */
+  async authorize(eventId, userId) {
+    const event = await eventsRepository.findById(eventId);
+    if (!event) {
+      return { success: false, error: 'Event not found' };
+    }
+    if (String(event.organizer_id) !== String(userId)) {
+      return { success: false, error: 'Access denied' };
+    }
+    return { success: true, data: event };
+  }
+
+  async getQuestions(eventId) {
+    try {
+      const event = await eventsRepository.findById(eventId);
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      const questions = await guestsRepository.findEventQuestions(eventId);
+      return { success: true, data: questions };
+    } catch (error) {
+      console.error('Error getting registration questions:', error);
+      return { success: false, error: error.message || 'Failed to get registration questions' };
+    }
+  }
+
+  async createQuestion(eventId, data, userId) {
+    try {
+      const { error, value } = questionSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid registration question', details: error.details.map(d => d.message) };
+      }
+
+      const access = await this.authorize(eventId, userId);
+      if (!access.success) {
+        return access;
+      }
+
+      if (value.position === undefined) {
+        const questions = await guestsRepository.findEventQuestions(eventId);
+        value.position = questions.length;
+      }
+
+      const question = await guestsRepository.createEventQuestion({
+        ...value,
+        event_id: eventId,
+        created_by: userId
+      });
+
+      return { success: true, data: question };
+    } catch (error) {
+      if (error.code === '23505') {
+        return { success: false, error: 'Question key already used for this event', code: 'QUESTION_KEY_TAKEN' };
+      }
+      console.error('Error creating registration question:', error);
+      return { success: false, error: error.message || 'Failed to create registration question' };
+    }
+  }
+
+  /**
+   * Met à jour une question ; la clé est figée car elle indexe les réponses déjà enregistrées
+   */
+  async updateQuestion(eventId, questionId, data, userId) {
+    try {
+      const access = await this.authorize(eventId, userId);
+      if (!access.success) {
+        return access;
+      }
+
+      const question = await guestsRepository.findEventQuestionById(eventId, questionId);
+      if (!question) {
+        return { success: false, error: 'Question not found' };
+      }
+
+      if (data && data.question_key !== undefined && data.question_key !== question.question_key) {
+        return { success: false, error: 'question_key cannot be changed', code: 'QUESTION_KEY_IMMUTABLE' };
+      }
+
+      const merged = {
+        question_key: question.question_key,
+        label: question.label,
+        help_text: question.help_text,
+        question_type: question.question_type,
+        options: question.options,
+        is_required: question.is_required,
+        position: question.position,
+        ...(data || {})
+      };
+      if (!CHOICE_TYPES.includes(merged.question_type) && (!data || data.options === undefined)) {
+        merged.options = [];
+      }
+
+      const { error, value } = questionSchema.validate(merged, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid registration question', details: error.details.map(d => d.message) };
+      }
+
+      const updated = await guestsRepository.updateEventQuestion(question.id, { ...value, updated_by: userId });
+      return { success: true, data: updated };
+    } catch (error) {
+      console.error('Error updating registration question:', error);
+      return { success: false, error: error.message || 'Failed to update registration question' };
+    }
+  }
+
+  /**
+   * Supprime une question ; les réponses déjà données restent dans event_guests.answers
+   */
+  async deleteQuestion(eventId, questionId, userId) {
+    try {
+      const access = await this.authorize(eventId, userId);
+      if (!access.success) {
+        return access;
+      }
+
+      const deleted = await guestsRepository.deleteEventQuestion(eventId, questionId, userId);
+      if (!deleted) {
+        return { success: false, error: 'Question not found' };
+      }
+
+      return { success: true, data: deleted };
+    } catch (error) {
+      console.error('Error deleting registration question:', error);
+      return { success: false, error: error.message || 'Failed to delete registration question' };
+    }
+  }
+
+  // ========================================
+  // VALIDATION DES RÉPONSES
+  // ========================================
+
+  /**
+   * Valide et normalise les réponses d'un invité
+   * @param {Array<Object>} questions - Questions de l'événement
+   * @param {Object} answers - { question_key: valeur }
+   * @param {Object} options - { enforceRequired: réponses obligatoires exigées (réponse de l'invité) }
+   * @returns {Object} - { valid, answers: réponses normalisées, errors: [{ question, error }] }
+   */
+  validateAnswers(questions, answers, options = {}) {
+    const { enforceRequired = false } = options;
+    const errors = [];
+    const normalized = {};
+
+    if (answers === undefined || answers === null) {
+      answers = {};
+    }
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      return { valid: false, answers: {}, errors: [{ question: 'answers', error: 'Answers must be an object of question_key: value' }] };
+    }
+
+    const questionsByKey = new Map(questions.map(question => [question.question_key, question]));
+
+    Object.entries(answers).forEach(([key, value]) => {
+      const question = questionsByKey.get(key);
+      if (!question) {
+        errors.push({ question: key, error: `Unknown question: ${key}` });
+        return;
+      }
+      if (this.isBlank(value)) {
+        return;
+      }
+
+      const result = this.normalizeAnswer(question, value);
+      if (result.error) {
+        errors.push({ question: key, error: result.error });
+      } else {
+        normalized[key] = result.value;
+      }
+    });
+
+    if (enforceRequired) {
+      questions
+        .filter(question => question.is_required && !errors.some(error => error.question === question.question_key))
+        .forEach(question => {
+          const value = normalized[question.question_key];
+          if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+            errors.push({ question: question.question_key, error: 'Answer is required' });
+          } else if (question.question_type === 'boolean' && value !== true) {
+            // Case obligatoire : consentement à donner
+            errors.push({ question: question.question_key, error: 'Must be accepted' });
+          }
+        });
+    }
+
+    return { valid: errors.length === 0, answers: normalized, errors };
+  }
+
+  /**
+   * Normalise une réponse selon le type de la question
+   * @returns {Object} - { value } ou { error }
+   */
+  normalizeAnswer(question, value) {
+    const options = question.options || [];
+
+    switch (question.question_type) {
+      case 'text': {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          return { error: 'Must be text' };
+        }
+        const text = String(value).trim();
+        if (text.length > TEXT_ANSWER_MAX_LENGTH) {
+          return { error: `Must be at most ${TEXT_ANSWER_MAX_LENGTH} characters` };
+        }
+        return { value: text };
+      }
+
+      case 'select': {
+        const choice = this.matchOption(options, value);
+        return choice === null
+          ? { error: `Must be one of: ${options.join(', ')}` }
+          : { value: choice };
+      }
+
+      case 'multi_select': {
+        const values = Array.isArray(value) ? value : String(value).split(MULTI_SELECT_SEPARATOR);
+        const choices = [];
+        for (const item of values) {
+          if (this.isBlank(item)) {
+            continue;
+          }
+          const choice = this.matchOption(options, item);
+          if (choice === null) {
+            return { error: `Unknown choice "${String(item).trim()}", expected: ${options.join(', ')}` };
+          }
+          if (!choices.includes(choice)) {
+            choices.push(choice);
+          }
+        }
+        return { value: choices };
+      }
+
+      case 'boolean': {
+        if (typeof value === 'boolean') {
+          return { value };
+        }
+        const text = String(value).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) {
+          return { value: true };
+        }
+        if (FALSE_VALUES.includes(text)) {
+          return { value: false };
+        }
+        return { error: 'Must be a boolean (true/false, yes/no, oui/non)' };
+      }
+
+      case 'date': {
+        const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+        const date = new Date(`${text}T00:00:00Z`);
+        if (!DATE_PATTERN.test(text) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+          return { error: 'Must be a date (YYYY-MM-DD)' };
+        }
+        return { value: text };
+      }
+
+      default:
+        return { error: `Unsupported question type: ${question.question_type}` };
+    }
+  }
+
+  /**
+   * Choix correspondant à une valeur, sans tenir compte de la casse
+   */
+  matchOption(options, value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return null;
+    }
+    const text = String(value).trim().toLowerCase();
+    const option = options.find(candidate => candidate.toLowerCase() === text);
+    return option === undefined ? null : option;
+  }
+
+  isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  }
+
+  /**
+   * Filtre de liste sur les réponses, pour une requête answers @> filtre
+   * @param {Array<Object>} questions - Questions de l'événement
+   * @param {Object} filters - { question_key: valeur brute de la query string }
+   * @returns {Object} - { filter } ou { error, details }
+   */
+  buildAnswersFilter(questions, filters) {
+    const filter = {};
+    const errors = [];
+    const questionsByKey = new Map(questions.map(question => [question.question_key, question]));
+
+    Object.entries(filters || {}).forEach(([key, value]) => {
+      const question = questionsByKey.get(key);
+      if (!question) {
+        errors.push({ question: key, error: `Unknown question: ${key}` });
+        return;
+      }
+
+      const result = this.normalizeAnswer(question, value);
+      if (result.error) {
+        errors.push({ question: key, error: result.error });
+      } else {
+        // Un choix multiple correspond si la réponse contient toutes les valeurs demandées
+        filter[key] = result.value;
+      }
+    });
+
+    return errors.length > 0
+      ? { error: 'Invalid answer filter', details: errors }
+      : { filter };
+  }
+
+  /**
+   * Réponse formatée pour une cellule d'export
+   */
+  formatAnswer(question, value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.join('; ');
+    }
+    if (question && question.question_type === 'boolean') {
+      return value ? 'yes' : 'no';
+    }
+    return String(value);
+  }
+}
+
+module.exports = new RegistrationQuestionsService();
@@ -0,0 +1,326 @@
+const Joi = require('joi');
+const invitationsRepository = require('./invitations.repository');
+const guestsRepository = require('../guests/guests.repository');
+const notificationClient = require('../../../../shared/clients/notification-client');
+const { claimGuestAccount } = require('../guests/guest-auth.helper');
+const {
+  GUEST_TOKEN_TYPES,
+  MagicLinkError,
+  signGuestToken,
+  verifyGuestToken
+} = require('../../utils/magic-link');
+
+// Durée de validité d'un lien magique envoyé avec l'invitation
+const MAGIC_LINK_TTL_HOURS = parseInt(process.env.GUEST_MAGIC_LINK_TTL_HOURS) || 72;
+
+// Durée d'accès de l'invité après ouverture du lien
+const GUEST_SESSION_TTL_MINUTES = parseInt(process.env.GUEST_SESSION_TTL_MINUTES) || 120;
+
+// Délai minimum entre deux demandes de nouveau lien pour une invitation
+const MAGIC_LINK_RESEND_COOLDOWN_SECONDS = parseInt(process.env.GUEST_MAGIC_LINK_RESEND_COOLDOWN_SECONDS) || 60;
+
+const claimSchema = Joi.object({
+  password: Joi.string().min(8).max(128)
+    .pattern(/[A-Za-z]/, 'letter')
+    .pattern(/\d/, 'digit')
+    .required()
+});
+
+const magicLinkRequestSchema = Joi.object({
+  email: Joi.string().email().max(255).required()
+});
+
+function sameEmail(a, b) {
+  return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Accès des invités sans mot de passe.
+ * Chaque invitation envoyée contient un lien magique signé, à usage unique et
+ * expirant. L'ouverture du lien le consomme et donne à l'invité un jeton de
+ * session (en-tête X-Guest-Token) pour consulter son invitation et ses
+ * billets. L'invité peut ensuite créer son propre compte en choisissant un
+ * mot de passe, enregistré par le service d'authentification.
+ */
+class GuestAccessService {
+  /**
+   * Émet un lien magique pour une invitation ; les liens précédents sont révoqués
+   * @param {Object} invitation - { id, invitation_code }
+   * @param {number} userId - Auteur de l'envoi (null pour une demande de l'invité)
+   * @returns {Promise<Object>} - { url, expires_at }
+   */
+  async issueMagicLink(invitation, userId = null) {
+    const { token, jti, expiresAt } = signGuestToken({
+      type: GUEST_TOKEN_TYPES.LINK,
+      invitationCode: invitation.invitation_code,
+      ttlSeconds: MAGIC_LINK_TTL_HOURS * 3600
+    });
+
+    await invitationsRepository.transaction(async (client) => {
+      await invitationsRepository.revokeMagicLinks(invitation.id, userId, client);
+      await invitationsRepository.createMagicLink({
+        invitation_id: invitation.id,
+        jti,
+        expires_at: expiresAt,
+        created_by: userId
+      }, client);
+    });
+
+    return {
+      // Le jeton n'est pas conservé : seul son identifiant (jti) l'est
+      url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations/access/${token}`,
+      expires_at: expiresAt
+    };
+  }
+
+  async revokeMagicLinks(invitationId, userId = null) {
+    return invitationsRepository.revokeMagicLinks(invitationId, userId);
+  }
+
+  /**
+   * Ouvre un lien magique : le lien est consommé et un jeton de session est émis
+   * @param {string} token - Jeton du lien
+   * @param {Object} context - { ip }
+   */
+  async redeemMagicLink(token, context = {}) {
+    try {
+      const claims = verifyGuestToken(token, { type: GUEST_TOKEN_TYPES.LINK });
+
+      const redeemed = await invitationsRepository.transaction(async (client) => {
+        const link = await invitationsRepository.findMagicLinkByJti(claims.jti, client, true);
+        if (!link || link.invitation_code !== claims.invitationCode) {
+          return { error: 'Magic link not found' };
+        }
+        if (link.revoked_at) {
+          return { error: 'Magic link has been replaced by a newer one', code: 'MAGIC_LINK_REVOKED' };
+        }
+        if (link.used_at) {
+          return { error: 'Magic link has already been used', code: 'MAGIC_LINK_USED' };
+        }
+
+        await invitationsRepository.markMagicLinkUsed(link.id, context.ip || null, client);
+        return { link };
+      });
+
+      if (redeemed.error) {
+        return { success: false, error: redeemed.error, code: redeemed.code };
+      }
+
+      const access = await this.buildAccess(claims.invitationCode);
+      if (!access) {
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      const session = signGuestToken({
+        type: GUEST_TOKEN_TYPES.SESSION,
+        invitationCode: claims.invitationCode,
+        // La session reste liée au lien ouvert : révoquer le lien met fin à l'accès
+        jti: claims.jti,
+        ttlSeconds: GUEST_SESSION_TTL_MINUTES * 60
+      });
+
+      return {
+        success: true,
+        data: {
+          access_token: session.token,
+          expires_at: session.expiresAt,
+          ...access
+        }
+      };
+    } catch (error) {
+      if (error instanceof MagicLinkError) {
+        return { success: false, error: error.message, code: error.code };
+      }
+      console.error('Error redeeming magic link:', error);
+      return { success: false, error: error.message || 'Failed to open magic link' };
+    }
+  }
+
+  /**
+   * Invitation correspondant à un jeton de session
+   * @returns {Promise<Object>} - { success, data: invitation } ou { success: false, error, code }
+   */
+  async authenticate(accessToken) {
+    try {
+      const claims = verifyGuestToken(accessToken, { type: GUEST_TOKEN_TYPES.SESSION });
+
+      const link = await invitationsRepository.findMagicLinkByJti(claims.jti);
+      if (!link || link.revoked_at || link.invitation_code !== claims.invitationCode) {
+        return { success: false, error: 'Guest access has been revoked', code: 'MAGIC_LINK_REVOKED' };
+      }
+
+      const invitation = await invitationsRepository.findByCode(claims.invitationCode);
+      if (!invitation) {
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      return { success: true, data: invitation };
+    } catch (error) {
+      if (error instanceof MagicLinkError) {
+        return { success: false, error: error.message, code: error.code };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invitation et billets de l'invité connecté par lien magique
+   */
+  async getGuestAccess(accessToken) {
+    try {
+      const auth = await this.authenticate(accessToken);
+      if (!auth.success) {
+        return auth;
+      }
+
+      const access = await this.buildAccess(auth.data.invitation_code, auth.data);
+      return { success: true, data: access };
+    } catch (error) {
+      console.error('Error getting guest access:', error);
+      return { success: false, error: error.message || 'Failed to get guest access' };
+    }
+  }
+
+  /**
+   * Vue de l'invité : invitation, questions d'inscription et billets
+   */
+  async buildAccess(invitationCode, invitation = null) {
+    const record = invitation || await invitationsRepository.findByCode(invitationCode);
+    if (!record) {
+      return null;
+    }
+
+    const ticketGeneratorUrl = process.env.TICKET_GENERATOR_URL || 'http://localhost:3004';
+    const [questions, tickets] = await Promise.all([
+      guestsRepository.findEventQuestions(record.event_id),
+      invitationsRepository.findTicketsByEventGuestId(record.event_guest_id)
+    ]);
+
+    return {
+      invitation: {
+        invitation_code: record.invitation_code,
+        status: record.status,
+        event_guest_status: record.event_guest_status,
+        answers: record.answers || {},
+        answered_at: record.answered_at
+      },
+      guest: {
+        first_name: record.first_name,
+        last_name: record.last_name,
+        email: record.email,
+        account_claimed: !!record.account_claimed_at
+      },
+      event: {
+        id: record.event_id,
+        title: record.event_title,
+        description: record.event_description,
+        event_date: record.event_date,
+        location: record.location
+      },
+      questions,
+      tickets: tickets.map(ticket => ({
+        ...ticket,
+        download_url: `${ticketGeneratorUrl}/api/tickets/${ticket.id}/download`
+      }))
+    };
+  }
+
+  /**
+   * Création du compte de l'invité avec son propre mot de passe
+   * @param {string} accessToken - Jeton de session
+   * @param {Object} data - { password }
+   */
+  async claimAccount(accessToken, data) {
+    try {
+      const { error, value } = claimSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid password', details: error.details.map(d => d.message) };
+      }
+
+      const auth = await this.authenticate(accessToken);
+      if (!auth.success) {
+        return auth;
+      }
+
+      const invitation = auth.data;
+      if (invitation.account_claimed_at) {
+        return { success: false, error: 'Account already claimed', code: 'ACCOUNT_ALREADY_CLAIMED' };
+      }
+
+      const account = await claimGuestAccount({
+        first_name: invitation.first_name,
+        last_name: invitation.last_name,
+        email: invitation.email,
+        phone: invitation.phone
+      }, value.password);
+
+      if (!account.success) {
+        if (account.reason === 'account_exists') {
+          return { success: false, error: 'An account already exists for this email, sign in instead', code: 'ACCOUNT_EXISTS' };
+        }
+        return { success: false, error: 'Guest has no email address' };
+      }
+
+      const claimed = await invitationsRepository.markGuestAccountClaimed(invitation.guest_id);
+
+      return {
+        success: true,
+        data: {
+          email: account.email,
+          account_claimed_at: claimed?.account_claimed_at || null,
+          login_url: account.loginUrl
+        }
+      };
+    } catch (error) {
+      console.error('Error claiming guest account:', error);
+      return { success: false, error: error.message || 'Failed to create guest account' };
+    }
+  }
+
+  /**
+   * Nouveau lien envoyé à l'adresse de l'invitation (lien perdu, expiré ou déjà utilisé).
+   * La réponse ne révèle pas si l'adresse correspond.
+   */
+  async requestMagicLink(invitationCode, data) {
+    try {
+      const { error, value } = magicLinkRequestSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid magic link request', details: error.details.map(d => d.message) };
+      }
+
+      const invitation = await invitationsRepository.findByCode(invitationCode);
+      if (!invitation || !sameEmail(invitation.email, value.email)) {
+        return { success: true, data: { sent: true } };
+      }
+
+      // Pendant le délai, aucun envoi mais la même réponse qu'une adresse inconnue
+      const latest = await invitationsRepository.findLatestMagicLink(invitation.id);
+      if (latest && Date.now() - new Date(latest.created_at).getTime() < MAGIC_LINK_RESEND_COOLDOWN_SECONDS * 1000) {
+        return { success: true, data: { sent: true } };
+      }
+
+      const magicLink = await this.issueMagicLink(invitation);
+      const result = await notificationClient.sendEmail({
+        to: invitation.email,
+        template: 'guest-magic-link',
+        subject: `Votre accès à ${invitation.event_title}`,
+        data: {
+          firstName: invitation.first_name || 'Invité',
+          eventName: invitation.event_title,
+          magicLinkUrl: magicLink.url,
+          expiresAt: magicLink.expires_at
+        }
+      });
+      if (!result.success) {
+        console.warn('Failed to send guest magic link:', { invitation_id: invitation.id, error: result.error });
+      }
+
+      return { success: true, data: { sent: true } };
+    } catch (error) {
+      console.error('Error requesting magic link:', error);
+      return { success: false, error: error.message || 'Failed to send magic link' };
+    }
+  }
+}
+
+module.exports = new GuestAccessService();
@@ -1,6 +1,29 @@
 const invitationsService = require('./invitations.service');
+const guestAccessService = require('./guest-access.service');
 const ResponseFormatter = require('../../../../shared/utils/response-formatter');
 
+/**
+ * Réponse d'erreur commune à l'accès des invités par lien magique
+ */
+function sendAccessError(res, result) {
+  if (['Invitation not found', 'Magic link not found'].includes(result.error)) {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (['MAGIC_LINK_MISSING', 'MAGIC_LINK_MALFORMED', 'MAGIC_LINK_INVALID'].includes(result.code)) {
+    return res.status(401).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  if (['MAGIC_LINK_EXPIRED', 'MAGIC_LINK_USED', 'MAGIC_LINK_REVOKED'].includes(result.code)) {
+    return res.status(410).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  if (['ACCOUNT_EXISTS', 'ACCOUNT_ALREADY_CLAIMED'].includes(result.code)) {
+    return res.status(409).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  if (result.code === 'MAGIC_LINK_NOT_CONFIGURED') {
+    return res.status(503).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details || null, 'VALIDATION_ERROR'));
+}
+
 class InvitationsController {
   async sendInvitations(req, res, next) {
     try {
@@ -36,7 +59,7 @@ class InvitationsController {
   async respondToInvitation(req, res, next) {
     try {
       const { invitation_code } = req.params;
-      const { action } = req.body; // 'accept' | 'decline'
+      const { action, answers } = req.body; // 'accept' | 'decline', réponses { question_key: valeur }
       const userId = req.user?.id;
       
       // Validation basique de l'action (déjà faite dans le service mais pour une réponse rapide)
@@ -44,10 +67,10 @@ class InvitationsController {
         return res.status(400).json(ResponseFormatter.error('Invalid action. Must be "accept" or "decline"', null, 'VALIDATION_ERROR'));
       }
       
-      const result = await invitationsService.respondToInvitation(invitation_code, action, userId);
+      const result = await invitationsService.respondToInvitation(invitation_code, action, userId, answers);
       
       if (!result.success) {
-        return res.status(400).json(ResponseFormatter.error(result.error, null, 'VALIDATION_ERROR'));
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details || null, 'VALIDATION_ERROR'));
       }
       
       res.json(ResponseFormatter.success(`Invitation ${action}ed successfully`, result.data));
@@ -134,6 +157,62 @@ class InvitationsController {
       next(error);
     }
   }
+
+  async requestMagicLink(req, res, next) {
+    try {
+      const result = await guestAccessService.requestMagicLink(req.params.invitation_code, req.body);
+
+      if (!result.success) {
+        return sendAccessError(res, result);
+      }
+
+      res.status(202).json(ResponseFormatter.success('If the email matches the invitation, a new access link has been sent', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async redeemMagicLink(req, res, next) {
+    try {
+      const result = await guestAccessService.redeemMagicLink(req.params.token, { ip: req.ip });
+
+      if (!result.success) {
+        return sendAccessError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Magic link opened', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getGuestAccess(req, res, next) {
+    try {
+      const result = await guestAccessService.getGuestAccess(req.get('X-Guest-Token'));
+
+      if (!result.success) {
+        return sendAccessError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Guest access retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async claimGuestAccount(req, res, next) {
+    try {
+      const result = await guestAccessService.claimAccount(req.get('X-Guest-Token'), req.body);
+
+      if (!result.success) {
+        return sendAccessError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Guest account created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new InvitationsController();
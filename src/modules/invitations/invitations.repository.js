@@ -59,8 +59,9 @@ class InvitationsRepository {
   async findByCode(invitationCode) {
     const query = `
       SELECT i.*, 
-             eg.event_id, eg.guest_id, eg.is_present, eg.check_in_time,
-             g.first_name, g.last_name, g.email, g.phone, g.status as guest_status,
+             eg.event_id, eg.guest_id, eg.is_present, eg.check_in_time, eg.status as event_guest_status,
+             eg.answers, eg.answered_at,
+             g.first_name, g.last_name, g.email, g.phone, g.status as guest_status, g.account_claimed_at,
              e.title as event_title, e.description as event_description, e.event_date, e.location
       FROM invitations i
       INNER JOIN event_guests eg ON i.event_guest_id = eg.id
@@ -200,10 +201,12 @@ class InvitationsRepository {
       return { success: false, error: 'Invitation not found for user' };
     }
 
-    // Update event_guests status
+    // Update event_guests status (a waitlisted guest keeps its position unless declining)
     const updateGuestQuery = `
       UPDATE event_guests
-      SET status = $1, updated_at = NOW(), updated_by = $2
+      SET status = CASE WHEN status = 'waitlisted' AND $1 <> 'cancelled' THEN status ELSE $1 END,
+          waitlist_position = CASE WHEN $1 = 'cancelled' THEN NULL ELSE waitlist_position END,
+          updated_at = NOW(), updated_by = $2
       WHERE id = $3 AND deleted_at IS NULL
       RETURNING *
     `;
@@ -232,6 +235,115 @@ class InvitationsRepository {
       }
     };
   }
+
+  // ========================================
+  // LIENS MAGIQUES ET ACCÈS DES INVITÉS
+  // ========================================
+
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async createMagicLink(linkData, client = database) {
+    const query = `
+      INSERT INTO guest_magic_links (invitation_id, jti, expires_at, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $4)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      linkData.invitation_id,
+      linkData.jti,
+      linkData.expires_at,
+      linkData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Révoque les liens encore valides d'une invitation (nouvel envoi, suppression)
+   */
+  async revokeMagicLinks(invitationId, updatedBy = null, client = database) {
+    const query = `
+      UPDATE guest_magic_links
+      SET revoked_at = NOW(), updated_by = $2, updated_at = NOW()
+      WHERE invitation_id = $1 AND revoked_at IS NULL AND deleted_at IS NULL
+      RETURNING id
+    `;
+
+    const result = await client.query(query, [invitationId, updatedBy]);
+    return result.rowCount;
+  }
+
+  async findMagicLinkByJti(jti, client = database, forUpdate = false) {
+    const query = `
+      SELECT ml.*, i.invitation_code
+      FROM guest_magic_links ml
+      JOIN invitations i ON ml.invitation_id = i.id
+      WHERE ml.jti = $1 AND ml.deleted_at IS NULL
+      ${forUpdate ? 'FOR UPDATE OF ml' : ''}
+    `;
+
+    const result = await client.query(query, [jti]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Consomme un lien : null s'il a déjà été utilisé
+   */
+  async markMagicLinkUsed(linkId, usedIp = null, client = database) {
+    const query = `
+      UPDATE guest_magic_links
+      SET used_at = NOW(), used_ip = $2, updated_at = NOW()
+      WHERE id = $1 AND used_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [linkId, usedIp]);
+    return result.rows[0] || null;
+  }
+
+  async findLatestMagicLink(invitationId) {
+    const query = `
+      SELECT * FROM guest_magic_links
+      WHERE invitation_id = $1 AND deleted_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await database.query(query, [invitationId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Billets d'une inscription, pour l'espace de l'invité
+   */
+  async findTicketsByEventGuestId(eventGuestId) {
+    const query = `
+      SELECT t.id, t.ticket_code, t.qr_code_data, t.is_validated, t.validated_at,
+             t.price, t.currency, t.created_at,
+             tt.name AS ticket_type_name
+      FROM tickets t
+      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+      WHERE t.event_guest_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.created_at ASC
+    `;
+
+    const result = await database.query(query, [eventGuestId]);
+    return result.rows;
+  }
+
+  async markGuestAccountClaimed(guestId) {
+    const query = `
+      UPDATE guests
+      SET account_claimed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, account_claimed_at
+    `;
+
+    const result = await database.query(query, [guestId]);
+    return result.rows[0] || null;
+  }
 }
 
 module.exports = new InvitationsRepository();
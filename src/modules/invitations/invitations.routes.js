@@ -22,6 +22,26 @@ router.post('/code/:invitation_code/respond',
   invitationsController.respondToInvitation
 );
 
+// Nouveau lien magique envoyé à l'adresse de l'invitation : { email }
+router.post('/code/:invitation_code/magic-link',
+  invitationsController.requestMagicLink
+);
+
+// Espace de l'invité (en-tête X-Guest-Token) : invitation, questions et billets
+router.get('/access',
+  invitationsController.getGuestAccess
+);
+
+// Création du compte de l'invité avec son mot de passe : { password }
+router.post('/access/claim-account',
+  invitationsController.claimGuestAccount
+);
+
+// Ouverture d'un lien magique (usage unique) : renvoie le jeton d'accès de l'invité
+router.post('/access/:token',
+  invitationsController.redeemMagicLink
+);
+
 // ============================================
 // PROTECTED ROUTES (authentication required)
 // ============================================
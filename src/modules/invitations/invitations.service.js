@@ -1,9 +1,11 @@
 const invitationsRepository = require('./invitations.repository');
 const guestsRepository = require('../guests/guests.repository');
 const eventsRepository = require('../events/events.repository');
+const capacityService = require('../guests/capacity.service');
+const registrationQuestionsService = require('../guests/registration-questions.service');
 const notificationClient = require('../../../../shared/clients/notification-client');
 const authApiService = require('../../services/auth-api-service');
-const { ensureGuestAuthAccount, DEFAULT_GUEST_PASSWORD, AUTH_SERVICE_URL } = require('../guests/guest-auth.helper');
+const guestAccessService = require('./guest-access.service');
 
 class InvitationsService {
   async checkUserRole(userId, roleCode) {
@@ -92,23 +94,6 @@ class InvitationsService {
             ? await invitationsRepository.findTicketByEventGuestId(eventGuest.id)
             : null;
 
-          let authAccount = null;
-          if (eventGuest.email) {
-            try {
-              authAccount = await ensureGuestAuthAccount({
-                first_name: eventGuest.first_name,
-                last_name: eventGuest.last_name,
-                email: eventGuest.email,
-                phone: eventGuest.phone || null
-              });
-            } catch (error) {
-              console.warn('Failed to provision guest auth account for invitation:', {
-                email: eventGuest.email,
-                error: error.message
-              });
-            }
-          }
-
           // Vérifier si invitation existe déjà
           const existingInvitation = await invitationsRepository.findByEventGuestId(eventGuest.id);
           invitation = existingInvitation;
@@ -130,6 +115,9 @@ class InvitationsService {
             invitation = await invitationsRepository.createInvitation(eventGuest.id, userId);
           }
           
+          // Lien magique d'accès à l'invitation et aux billets (remplace les précédents)
+          const magicLink = await guestAccessService.issueMagicLink(invitation, userId);
+
           // Préparer les données de l'événement pour la notification
           const organizerInfo = organizerMap.get(eventGuest.organizer_id) || null;
           const eventData = {
@@ -154,7 +142,7 @@ class InvitationsService {
             invitation, 
             eventData, 
             {
-              authAccount,
+              magicLink,
               isFreeEvent,
               isPaidEvent,
               guestTicket
@@ -268,10 +256,8 @@ class InvitationsService {
     const timeLabel = eventDate.toLocaleTimeString('fr-FR');
     const ticketGeneratorUrl = process.env.TICKET_GENERATOR_URL || 'http://localhost:3004';
 
-    const authAccount = options.authAccount || null;
-    const loginToken = null;
-    const loginUrl = authAccount?.loginUrl || `${frontendUrl}/login`;
-    const defaultPassword = authAccount?.defaultPassword || null;
+    const magicLink = options.magicLink || null;
+    const magicLinkUrl = magicLink?.url || `${frontendUrl}/invitations/${invitation.invitation_code}`;
     const isFreeEvent = !!options.isFreeEvent;
     const isPaidEvent = !!options.isPaidEvent;
     const guestTicket = options.guestTicket || null;
@@ -304,9 +290,10 @@ class InvitationsService {
         senderName: event.organizer_name,
         eventId: event.id,
         frontendUrl,
-        loginToken,
-        loginUrl,
-        defaultPassword,
+        magicLinkUrl,
+        magicLinkExpiresAt: magicLink?.expires_at || null,
+        // Les templates existants affichent loginUrl : l'accès passe désormais par le lien magique
+        loginUrl: magicLinkUrl,
         isFreeEvent,
         isPaidEvent,
         ticketDownloadUrl,
@@ -379,7 +366,7 @@ class InvitationsService {
     return { valid: true };
   }
 
-  async respondToInvitation(invitationCode, action, userId = null) {
+  async respondToInvitation(invitationCode, action, userId = null, answers = undefined) {
     try {
       // 1. Récupérer l'invitation avec toutes les infos
       const invitation = await invitationsRepository.findByCode(invitationCode);
@@ -392,6 +379,19 @@ class InvitationsService {
           error: validation.error
         };
       }
+
+      // 2bis. Réponses aux questions d'inscription, obligatoires à l'acceptation
+      let answersResult = null;
+      if (action === 'accept') {
+        answersResult = await this.validateRegistrationAnswers(invitation, answers);
+        if (!answersResult.valid) {
+          return {
+            success: false,
+            error: 'Invalid registration answers',
+            details: answersResult.errors
+          };
+        }
+      }
       
       // 3. Déterminer les statuts
       const invitationStatus = action === 'accept' ? 'confirmed' : 'cancelled';
@@ -406,9 +406,17 @@ class InvitationsService {
         updated_by: userId
       });
       
-      // 6. Mettre à jour event_guest si accepté
-      if (action === 'accept') {
+      // 6. Mettre à jour event_guest : confirmé si accepté (sauf en liste d'attente),
+      //    annulé si refusé, ce qui libère la place pour la liste d'attente
+      if (action === 'accept' && invitation.event_guest_status !== 'waitlisted') {
         await guestsRepository.updateEventGuestStatus(invitation.event_guest_id, 'confirmed');
+      } else if (action === 'decline') {
+        await guestsRepository.cancelEventGuest(invitation.event_guest_id, userId);
+        await capacityService.promoteFromWaitlist(invitation.event_id, userId);
+      }
+      
+      if (answersResult && answersResult.questions.length > 0) {
+        await guestsRepository.updateEventGuestAnswers(invitation.event_guest_id, answersResult.answers);
       }
       
       // 7. Envoyer les notifications
@@ -423,6 +431,7 @@ class InvitationsService {
           guestStatus,
           eventTitle: invitation.event_title,
           guestName: `${invitation.first_name} ${invitation.last_name}`,
+          answers: answersResult ? answersResult.answers : invitation.answers,
           respondedAt: new Date()
         }
       };
@@ -435,6 +444,34 @@ class InvitationsService {
     }
   }
 
+  /**
+   * Valide les réponses de l'invité, complétées par celles déjà enregistrées
+   * (par l'organisateur ou à l'import) ; les réponses obligatoires sont exigées
+   * @returns {Promise<Object>} - { valid, answers, errors, questions }
+   */
+  async validateRegistrationAnswers(invitation, answers) {
+    const questions = await guestsRepository.findEventQuestions(invitation.event_id);
+    if (questions.length === 0 && (answers === undefined || answers === null)) {
+      return { valid: true, answers: {}, errors: [], questions };
+    }
+
+    const questionKeys = questions.map(question => question.question_key);
+    const previous = {};
+    Object.entries(invitation.answers || {}).forEach(([key, value]) => {
+      if (questionKeys.includes(key)) {
+        previous[key] = value;
+      }
+    });
+
+    const provided = answers === undefined || answers === null ? {} : answers;
+    const merged = typeof provided === 'object' && !Array.isArray(provided)
+      ? { ...previous, ...provided }
+      : provided;
+
+    const result = registrationQuestionsService.validateAnswers(questions, merged, { enforceRequired: true });
+    return { ...result, questions };
+  }
+
   async sendResponseNotifications(invitation, action) {
     try {
       // Récupérer les infos de l'organisateur
@@ -516,10 +553,16 @@ class InvitationsService {
           error: 'Invitation not found'
         };
       }
+
+      // Questionnaire à remplir pour accepter l'invitation
+      const questions = await guestsRepository.findEventQuestions(invitation.event_id);
       
       return {
         success: true,
-        data: invitation
+        data: {
+          ...invitation,
+          questions
+        }
       };
     } catch (error) {
       console.error('Error getting invitation by code:', error);
@@ -557,6 +600,8 @@ class InvitationsService {
           error: 'Invitation not found'
         };
       }
+
+      await guestAccessService.revokeMagicLinks(invitation.id, userId);
       
       return {
         success: true,
@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+// Répertoire des PDF émis (chemins relatifs enregistrés dans invoices.file_path)
+const STORAGE_PATH = path.resolve(process.env.INVOICES_STORAGE_PATH || './storage/invoices');
+
+const DOCUMENT_TITLES = {
+  invoice: 'Facture',
+  receipt: 'Reçu de paiement'
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency }).format(parseFloat(amount || 0));
+}
+
+function formatDate(date) {
+  return date ? new Intl.DateTimeFormat('fr-FR', { dateStyle: 'long' }).format(new Date(date)) : '';
+}
+
+// Bloc d'adresse : une ligne par valeur renseignée
+function renderBlock(lines) {
+  return lines.filter(Boolean).map(line => `<div>${escapeHtml(line)}</div>`).join('\n');
+}
+
+function replaceVariables(html, variables) {
+  return Object.entries(variables).reduce(
+    (output, [key, value]) => output.replace(new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g'), () => value),
+    html
+  );
+}
+
+/**
+ * Rendu PDF des factures et reçus à partir des templates HTML du module,
+ * et stockage des fichiers sur disque
+ */
+class InvoicePdfService {
+  /**
+   * Variables du template ; les valeurs sont déjà échappées
+   * @param {Object} invoice - Document émis (invoices), avec lines, tax_lines, seller et buyer
+   * @param {Object} context - { event_title, order_number, payment_method, payment_date }
+   */
+  buildVariables(invoice, context = {}) {
+    const { seller, buyer, currency } = invoice;
+    const amount = value => escapeHtml(formatAmount(value, currency));
+
+    const lines = invoice.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="num">${escapeHtml(line.quantity)}</td>
+        <td class="num">${amount(line.unit_price)}</td>
+        <td class="num">${escapeHtml(line.tax_rate)} %</td>
+        <td class="num">${amount(line.net_amount)}</td>
+        <td class="num">${amount(line.total_amount)}</td>
+      </tr>`).join('');
+
+    const taxLines = invoice.tax_lines.map(taxLine => `
+      <tr><td>${escapeHtml(taxLine.label)} sur ${amount(taxLine.taxable_amount)}</td><td class="num">${amount(taxLine.tax_amount)}</td></tr>`
+    ).join('');
+
+    return {
+      DOCUMENT_TITLE: escapeHtml(DOCUMENT_TITLES[invoice.document_type]),
+      INVOICE_NUMBER: escapeHtml(invoice.invoice_number),
+      ISSUED_AT: escapeHtml(formatDate(invoice.issued_at)),
+      PAYMENT_DATE: escapeHtml(formatDate(context.payment_date || invoice.issued_at)),
+      PAYMENT_METHOD: escapeHtml(context.payment_method || 'paiement en ligne'),
+      ORDER_REFERENCE: context.order_number ? `Commande ${escapeHtml(context.order_number)}` : '',
+      EVENT_TITLE: escapeHtml(context.event_title || ''),
+      SELLER_BLOCK: renderBlock([
+        seller.legal_name,
+        seller.address_line1,
+        seller.address_line2,
+        [seller.postal_code, seller.city].filter(Boolean).join(' '),
+        seller.country,
+        seller.registration_number && `N° d'immatriculation : ${seller.registration_number}`,
+        seller.vat_number && `N° TVA : ${seller.vat_number}`,
+        seller.email,
+        seller.phone
+      ]),
+      BUYER_BLOCK: renderBlock([
+        buyer.company,
+        buyer.name,
+        buyer.address,
+        buyer.vat_number && `N° TVA : ${buyer.vat_number}`,
+        buyer.email
+      ]),
+      BUYER_NAME: escapeHtml(buyer.name || buyer.email || ''),
+      LINES: lines,
+      TAX_LINES: taxLines,
+      SUBTOTAL: amount(invoice.subtotal_amount),
+      TOTAL: amount(invoice.total_amount),
+      TAX_NOTE: invoice.tax_lines.length === 0 ? escapeHtml(seller.tax_exemption_note || '') : '',
+      FOOTER_NOTE: escapeHtml(seller.footer_note || '')
+    };
+  }
+
+  async renderHtml(invoice, context) {
+    const template = await fs.readFile(path.join(TEMPLATES_DIR, `${invoice.document_type}.html`), 'utf8');
+    return replaceVariables(template, this.buildVariables(invoice, context));
+  }
+
+  async renderPdf(html) {
+    const browser = await puppeteer.launch({
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load' });
+      return await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' }
+      });
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Rend un document et l'enregistre sous <organisateur>/<numéro>.pdf
+   * @returns {Promise<{ file_path: string, file_size: number }>}
+   */
+  async generate(invoice, context) {
+    const buffer = await this.renderPdf(await this.renderHtml(invoice, context));
+    const filePath = path.join(String(invoice.organizer_id), `${invoice.invoice_number.replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`);
+
+    await fs.mkdir(path.dirname(this.resolvePath(filePath)), { recursive: true });
+    await fs.writeFile(this.resolvePath(filePath), buffer);
+
+    return { file_path: filePath, file_size: buffer.length };
+  }
+
+  /**
+   * Chemin absolu d'un fichier, limité au répertoire de stockage
+   */
+  resolvePath(filePath) {
+    const absolutePath = path.resolve(STORAGE_PATH, filePath);
+    if (!absolutePath.startsWith(STORAGE_PATH + path.sep)) {
+      throw new Error(`Invalid invoice file path: ${filePath}`);
+    }
+    return absolutePath;
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(this.resolvePath(filePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(filePath) {
+    await fs.rm(this.resolvePath(filePath), { force: true });
+  }
+}
+
+module.exports = new InvoicePdfService();
@@ -0,0 +1,133 @@
+const invoicesService = require('./invoices.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux opérations de facturation
+ */
+function sendInvoiceError(res, result) {
+  if (['Invoice not found', 'Payment not found', 'Billing profile not found'].includes(result.error)) {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  if (result.code === 'BILLING_PROFILE_MISSING') {
+    return res.status(422).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class InvoicesController {
+  async getProfile(req, res, next) {
+    try {
+      const result = await invoicesService.getProfile(req.user.id);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Billing profile retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateProfile(req, res, next) {
+    try {
+      const result = await invoicesService.updateProfile(req.body, req.user.id);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Billing profile saved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listDocuments(req, res, next) {
+    try {
+      const result = await invoicesService.listDocuments(req.user, req.query);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Invoices retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listMyDocuments(req, res, next) {
+    try {
+      const result = await invoicesService.listDocuments(req.user, req.query, true);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Invoices retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async issueDocument(req, res, next) {
+    try {
+      const result = await invoicesService.issueDocument(req.params.paymentId, req.body, req.user);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      if (result.created) {
+        return res.status(201).json(ResponseFormatter.created('Invoice issued', result.data));
+      }
+      res.json(ResponseFormatter.success('Invoice already issued', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPaymentDocuments(req, res, next) {
+    try {
+      const result = await invoicesService.getPaymentDocuments(req.params.paymentId, req.user);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Invoices retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getDocument(req, res, next) {
+    try {
+      const result = await invoicesService.getDocument(req.params.id, req.user);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Invoice retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async downloadDocument(req, res, next) {
+    try {
+      const result = await invoicesService.getDocumentFile(req.params.id, req.user);
+      if (!result.success) {
+        return sendInvoiceError(res, result);
+      }
+
+      res.download(result.data.path, result.data.filename, (error) => {
+        if (error && !res.headersSent) {
+          next(error);
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new InvoicesController();
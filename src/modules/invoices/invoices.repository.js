@@ -0,0 +1,249 @@
+const { database } = require('../../config');
+
+// Champs du profil de facturation modifiables par l'organisateur
+const PROFILE_FIELDS = [
+  'legal_name', 'address_line1', 'address_line2', 'postal_code', 'city', 'country',
+  'registration_number', 'vat_number', 'email', 'phone', 'tax_label', 'tax_rate',
+  'tax_exemption_note', 'invoice_prefix', 'receipt_prefix', 'footer_note'
+];
+
+/**
+ * Accès aux profils de facturation, à la numérotation et aux documents émis
+ */
+class InvoicesRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async findProfile(organizerId, client = database) {
+    const query = `
+      SELECT * FROM billing_profiles
+      WHERE organizer_id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [organizerId]);
+    return result.rows[0] || null;
+  }
+
+  async upsertProfile(organizerId, profile, userId) {
+    const values = PROFILE_FIELDS.map(field => profile[field] ?? null);
+
+    const query = `
+      INSERT INTO billing_profiles (organizer_id, ${PROFILE_FIELDS.join(', ')}, created_by, updated_by)
+      VALUES ($1, ${PROFILE_FIELDS.map((field, index) => `$${index + 2}`).join(', ')}, $${PROFILE_FIELDS.length + 2}, $${PROFILE_FIELDS.length + 2})
+      ON CONFLICT (organizer_id) DO UPDATE SET
+        ${PROFILE_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(',\n        ')},
+        deleted_at = NULL,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [organizerId, ...values, userId || null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Attribue le numéro suivant d'un organisateur pour un type de document.
+   * La ligne reste verrouillée jusqu'à la fin de la transaction : un document
+   * dont l'émission échoue ne consomme pas de numéro.
+   */
+  async nextSequenceNumber(organizerId, documentType, client) {
+    const query = `
+      INSERT INTO invoice_sequences (organizer_id, document_type, last_number)
+      VALUES ($1, $2, 1)
+      ON CONFLICT (organizer_id, document_type) DO UPDATE
+        SET last_number = invoice_sequences.last_number + 1, updated_at = NOW()
+      RETURNING last_number
+    `;
+
+    const result = await client.query(query, [organizerId, documentType]);
+    return result.rows[0].last_number;
+  }
+
+  async create(invoiceData, client = database) {
+    const query = `
+      INSERT INTO invoices (
+        document_type, invoice_number, sequence_number, currency, subtotal_amount,
+        tax_amount, total_amount, lines, tax_lines, seller, buyer, buyer_email,
+        organizer_id, payment_id, event_id, order_id, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $17)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      invoiceData.document_type,
+      invoiceData.invoice_number,
+      invoiceData.sequence_number,
+      invoiceData.currency,
+      invoiceData.subtotal_amount,
+      invoiceData.tax_amount,
+      invoiceData.total_amount,
+      JSON.stringify(invoiceData.lines),
+      JSON.stringify(invoiceData.tax_lines),
+      JSON.stringify(invoiceData.seller),
+      JSON.stringify(invoiceData.buyer || {}),
+      invoiceData.buyer_email || null,
+      invoiceData.organizer_id,
+      invoiceData.payment_id,
+      invoiceData.event_id || null,
+      invoiceData.order_id || null,
+      invoiceData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async updateFile(invoiceId, filePath, fileSize, client = database) {
+    const query = `
+      UPDATE invoices
+      SET file_path = $2, file_size = $3, render_failed_at = NULL, render_error = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [invoiceId, filePath, fileSize]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * PDF non rendu : le document reste sans fichier et sera régénéré au téléchargement
+   */
+  async markRenderFailed(invoiceId, errorMessage, client = database) {
+    const query = `
+      UPDATE invoices
+      SET render_failed_at = NOW(), render_error = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [invoiceId, errorMessage]);
+    return result.rows[0] || null;
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT i.*, o.user_id AS order_user_id
+      FROM invoices i
+      LEFT JOIN orders o ON o.id = i.order_id
+      WHERE i.id = $1 AND i.deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  async findByPayment(paymentId, documentType = null, client = database) {
+    const values = [paymentId];
+    let query = `
+      SELECT * FROM invoices
+      WHERE payment_id = $1 AND deleted_at IS NULL
+    `;
+    if (documentType) {
+      values.push(documentType);
+      query += ' AND document_type = $2';
+    }
+    query += ' ORDER BY issued_at ASC';
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Documents d'un organisateur (émetteur) ou d'un acheteur (email ou commande)
+   * @param {Object} owner - { organizerId } ou { userId, email }
+   */
+  async findAll(owner, options = {}) {
+    const { document_type, event_id, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [];
+    let where = 'WHERE i.deleted_at IS NULL';
+    if (owner.organizerId) {
+      values.push(owner.organizerId);
+      where += ` AND i.organizer_id = $${values.length}`;
+    } else {
+      values.push(owner.userId, owner.email || null);
+      where += ` AND (o.user_id = $${values.length - 1} OR LOWER(i.buyer_email) = LOWER($${values.length}))`;
+    }
+    if (document_type) {
+      values.push(document_type);
+      where += ` AND i.document_type = $${values.length}`;
+    }
+    if (event_id) {
+      values.push(event_id);
+      where += ` AND i.event_id = $${values.length}`;
+    }
+
+    const from = 'FROM invoices i LEFT JOIN orders o ON o.id = i.order_id';
+    const query = `
+      SELECT i.id, i.document_type, i.invoice_number, i.currency, i.subtotal_amount, i.tax_amount,
+        i.total_amount, i.buyer_email, i.issued_at, i.organizer_id, i.payment_id, i.event_id, i.order_id
+      ${from}
+      ${where}
+      ORDER BY i.issued_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) AS total ${from} ${where}`;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      invoices: rows.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // ========================================
+  // PAIEMENTS FACTURÉS
+  // ========================================
+
+  async findPayment(paymentId, client = database) {
+    const query = `
+      SELECT p.*, e.title AS event_title, e.event_date, e.location AS event_location,
+        o.id AS order_id, o.order_number, o.user_id AS order_user_id
+      FROM payments p
+      LEFT JOIN events e ON e.id = p.event_id
+      LEFT JOIN orders o ON o.payment_id = p.id AND o.deleted_at IS NULL
+      WHERE p.id = $1
+    `;
+
+    const result = await client.query(query, [paymentId]);
+    return result.rows[0] || null;
+  }
+
+  async findPaymentByIntent(paymentIntentId) {
+    const result = await database.query('SELECT id FROM payments WHERE payment_intent_id = $1', [paymentIntentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Billets émis pour un paiement, regroupés par type, prix payé et don
+   */
+  async findPaymentTicketLines(paymentIntentId, client = database) {
+    const query = `
+      SELECT t.ticket_type_id, tt.name AS ticket_type_name, t.price, t.donation_amount,
+        COUNT(*)::int AS quantity
+      FROM tickets t
+      JOIN ticket_holds h ON h.id = t.ticket_hold_id
+      JOIN ticket_types tt ON tt.id = t.ticket_type_id
+      WHERE h.payment_intent_id = $1
+      GROUP BY t.ticket_type_id, tt.name, t.price, t.donation_amount
+      ORDER BY tt.name ASC, t.price ASC
+    `;
+
+    const result = await client.query(query, [paymentIntentId]);
+    return result.rows;
+  }
+}
+
+module.exports = new InvoicesRepository();
@@ -0,0 +1,29 @@
+const express = require('express');
+const invoicesController = require('./invoices.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Profil de facturation de l'organisateur connecté (mentions légales, taxe, préfixes de numérotation)
+router.get('/billing-profile', invoicesController.getProfile);
+router.put('/billing-profile', invoicesController.updateProfile);
+
+// Documents émis par l'organisateur connecté (?document_type=&event_id=&page=&limit=)
+router.get('/', invoicesController.listDocuments);
+
+// Documents reçus par l'acheteur connecté
+router.get('/me', invoicesController.listMyDocuments);
+
+// Émission de la facture ou du reçu d'un paiement : { document_type, billing }
+router.post('/payments/:paymentId', invoicesController.issueDocument);
+router.get('/payments/:paymentId', invoicesController.getPaymentDocuments);
+
+router.get('/:id', invoicesController.getDocument);
+
+// Téléchargement du PDF
+router.get('/:id/download', invoicesController.downloadDocument);
+
+module.exports = router;
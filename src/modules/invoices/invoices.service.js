@@ -0,0 +1,407 @@
+const Joi = require('joi');
+const invoicesRepository = require('./invoices.repository');
+const invoicePdfService = require('./invoice-pdf.service');
+const { roundToCurrency } = require('../../utils/currency');
+
+// Paiements encaissés, facturables même après un remboursement
+const INVOICEABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const DOCUMENT_TYPES = ['invoice', 'receipt'];
+
+// Reçu émis automatiquement au paiement (INVOICES_AUTO_RECEIPT=false pour le désactiver)
+const AUTO_RECEIPT = process.env.INVOICES_AUTO_RECEIPT !== 'false';
+
+const profileSchema = Joi.object({
+  legal_name: Joi.string().trim().max(255).required(),
+  address_line1: Joi.string().trim().max(255).required(),
+  address_line2: Joi.string().trim().max(255).allow(null, ''),
+  postal_code: Joi.string().trim().max(20).required(),
+  city: Joi.string().trim().max(100).required(),
+  country: Joi.string().trim().max(100).required(),
+  registration_number: Joi.string().trim().max(100).allow(null, ''),
+  vat_number: Joi.string().trim().max(50).allow(null, ''),
+  email: Joi.string().email().max(255).allow(null, ''),
+  phone: Joi.string().trim().max(50).allow(null, ''),
+  tax_label: Joi.string().trim().max(20).default('TVA'),
+  tax_rate: Joi.number().min(0).max(100).precision(2).default(0),
+  tax_exemption_note: Joi.string().trim().max(500).allow(null, ''),
+  invoice_prefix: Joi.string().trim().pattern(/^[A-Za-z0-9-]{1,20}$/).default('INV'),
+  receipt_prefix: Joi.string().trim().pattern(/^[A-Za-z0-9-]{1,20}$/).default('RCT'),
+  footer_note: Joi.string().trim().max(1000).allow(null, '')
+});
+
+// Coordonnées de facturation facultatives de l'acheteur
+const issueSchema = Joi.object({
+  document_type: Joi.string().valid(...DOCUMENT_TYPES).default('invoice'),
+  billing: Joi.object({
+    name: Joi.string().trim().max(255),
+    company: Joi.string().trim().max(255),
+    address: Joi.string().trim().max(500),
+    vat_number: Joi.string().trim().max(50)
+  }).default({})
+});
+
+function isSameUser(value, userId) {
+  return value !== null && value !== undefined && (value === userId || String(value) === String(userId));
+}
+
+function isBuyer(record, user = {}) {
+  const email = record.buyer_email || (record.customer_info && record.customer_info.email);
+  return isSameUser(record.order_user_id, user.id)
+    || (!!email && !!user.email && email.toLowerCase() === user.email.toLowerCase());
+}
+
+function toSeller(profile) {
+  const {
+    legal_name, address_line1, address_line2, postal_code, city, country, registration_number,
+    vat_number, email, phone, tax_label, tax_rate, tax_exemption_note, footer_note
+  } = profile;
+  return {
+    legal_name, address_line1, address_line2, postal_code, city, country, registration_number,
+    vat_number, email, phone, tax_label, tax_rate: parseFloat(tax_rate), tax_exemption_note, footer_note
+  };
+}
+
+/**
+ * Factures et reçus des paiements de billets, rendus en PDF par le core.
+ * Chaque organisateur a sa numérotation continue par type de document ;
+ * le document fige le profil de facturation, les lignes et les taxes au moment
+ * de l'émission. Les prix des billets s'entendent TTC : la taxe est extraite
+ * du montant payé au taux du profil (les dons n'y sont pas soumis).
+ */
+class InvoicesService {
+  async getProfile(userId) {
+    try {
+      const profile = await invoicesRepository.findProfile(userId);
+      if (!profile) {
+        return { success: false, error: 'Billing profile not found' };
+      }
+      return { success: true, data: profile };
+    } catch (error) {
+      console.error('Error getting billing profile:', error);
+      return { success: false, error: error.message || 'Failed to get billing profile' };
+    }
+  }
+
+  async updateProfile(profileData, userId) {
+    try {
+      const { error, value } = profileSchema.validate(profileData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid billing profile', details: error.details.map(d => d.message) };
+      }
+
+      const profile = await invoicesRepository.upsertProfile(userId, value, userId);
+      return { success: true, data: profile };
+    } catch (error) {
+      console.error('Error updating billing profile:', error);
+      return { success: false, error: error.message || 'Failed to update billing profile' };
+    }
+  }
+
+  /**
+   * Lignes du document : billets émis pour le paiement, ou une ligne unique
+   * lorsque les billets ne couvrent pas le montant payé
+   */
+  buildLines(payment, ticketLines, seller) {
+    const currency = payment.currency;
+    const amount = parseFloat(payment.amount);
+    const ticketsTotal = ticketLines.reduce((total, line) => total + parseFloat(line.price || 0) * line.quantity, 0);
+
+    const sources = ticketLines.length > 0 && Math.abs(ticketsTotal - amount) < 0.01
+      ? ticketLines.map(line => ({
+        description: line.donation_amount !== null ? `${line.ticket_type_name} (don)` : line.ticket_type_name,
+        quantity: line.quantity,
+        unit_price: parseFloat(line.price || 0),
+        donation: line.donation_amount !== null
+      }))
+      : [{
+        description: (payment.metadata && payment.metadata.description) || `Paiement — ${payment.event_title || 'événement'}`,
+        quantity: 1,
+        unit_price: amount,
+        donation: false
+      }];
+
+    return sources.map(source => {
+      const taxRate = source.donation ? 0 : seller.tax_rate;
+      const total = roundToCurrency(source.unit_price * source.quantity, currency);
+      const net = roundToCurrency(total / (1 + taxRate / 100), currency);
+      return {
+        description: source.description,
+        quantity: source.quantity,
+        unit_price: source.unit_price,
+        tax_rate: taxRate,
+        net_amount: net,
+        tax_amount: roundToCurrency(total - net, currency),
+        total_amount: total
+      };
+    });
+  }
+
+  /**
+   * Taxes regroupées par taux
+   */
+  buildTaxLines(lines, seller, currency) {
+    const byRate = new Map();
+    for (const line of lines.filter(item => item.tax_rate > 0)) {
+      const taxLine = byRate.get(line.tax_rate) || {
+        label: `${seller.tax_label} ${line.tax_rate} %`,
+        rate: line.tax_rate,
+        taxable_amount: 0,
+        tax_amount: 0
+      };
+      taxLine.taxable_amount = roundToCurrency(taxLine.taxable_amount + line.net_amount, currency);
+      taxLine.tax_amount = roundToCurrency(taxLine.tax_amount + line.tax_amount, currency);
+      byRate.set(line.tax_rate, taxLine);
+    }
+    return Array.from(byRate.values());
+  }
+
+  renderContext(payment) {
+    return {
+      event_title: payment.event_title,
+      order_number: payment.order_number,
+      payment_method: payment.payment_method,
+      payment_date: payment.completed_at
+    };
+  }
+
+  /**
+   * Émet un document pour un paiement, sans contrôle d'accès.
+   * Le numéro est attribué et le document enregistré dans une courte transaction
+   * (le compteur n'est pas verrouillé pendant le rendu) ; le PDF est écrit ensuite.
+   * Un rendu en échec ne laisse pas de trou dans la numérotation : le document
+   * est marqué à régénérer et son PDF est produit au premier téléchargement.
+   * @returns {Promise<{ invoice: Object, created: boolean }>}
+   */
+  async createDocument(payment, documentType, billing = {}, userId = null) {
+    const [existing] = await invoicesRepository.findByPayment(payment.id, documentType);
+    if (existing) {
+      return { invoice: existing, created: false };
+    }
+
+    const profile = await invoicesRepository.findProfile(payment.organizer_id);
+    if (!profile) {
+      const error = new Error('The organizer has no billing profile');
+      error.code = 'BILLING_PROFILE_MISSING';
+      throw error;
+    }
+
+    const seller = toSeller(profile);
+    const ticketLines = await invoicesRepository.findPaymentTicketLines(payment.payment_intent_id);
+    const lines = this.buildLines(payment, ticketLines, seller);
+    const taxLines = this.buildTaxLines(lines, seller, payment.currency);
+    const customer = payment.customer_info || {};
+    const buyer = {
+      name: [customer.first_name, customer.last_name].filter(Boolean).join(' ') || customer.name || null,
+      email: customer.email || null,
+      ...billing
+    };
+
+    let invoice;
+    try {
+      invoice = await invoicesRepository.transaction(async (client) => {
+        const sequenceNumber = await invoicesRepository.nextSequenceNumber(payment.organizer_id, documentType, client);
+        const prefix = documentType === 'invoice' ? profile.invoice_prefix : profile.receipt_prefix;
+
+        return invoicesRepository.create({
+          document_type: documentType,
+          invoice_number: `${prefix}-${String(sequenceNumber).padStart(6, '0')}`,
+          sequence_number: sequenceNumber,
+          currency: payment.currency,
+          subtotal_amount: roundToCurrency(lines.reduce((total, line) => total + line.net_amount, 0), payment.currency),
+          tax_amount: roundToCurrency(lines.reduce((total, line) => total + line.tax_amount, 0), payment.currency),
+          total_amount: roundToCurrency(lines.reduce((total, line) => total + line.total_amount, 0), payment.currency),
+          lines,
+          tax_lines: taxLines,
+          seller,
+          buyer,
+          buyer_email: buyer.email,
+          organizer_id: payment.organizer_id,
+          payment_id: payment.id,
+          event_id: payment.event_id,
+          order_id: payment.order_id,
+          created_by: userId
+        }, client);
+      });
+    } catch (error) {
+      // Émission concurrente du même document : le premier émis est renvoyé
+      if (error.code === '23505') {
+        const [concurrent] = await invoicesRepository.findByPayment(payment.id, documentType);
+        if (concurrent) {
+          return { invoice: concurrent, created: false };
+        }
+      }
+      throw error;
+    }
+
+    try {
+      const stored = await invoicePdfService.generate(invoice, this.renderContext(payment));
+      invoice = await invoicesRepository.updateFile(invoice.id, stored.file_path, stored.file_size);
+    } catch (renderError) {
+      console.error(`Error rendering invoice ${invoice.invoice_number}:`, renderError);
+      invoice = await invoicesRepository.markRenderFailed(invoice.id, renderError.message || 'PDF rendering failed');
+    }
+
+    return { invoice, created: true };
+  }
+
+  /**
+   * Émet (ou renvoie) la facture ou le reçu d'un paiement pour l'organisateur ou l'acheteur
+   * @param {Object} issueData - { document_type, billing: { name, company, address, vat_number } }
+   */
+  async issueDocument(paymentId, issueData, user = {}) {
+    try {
+      const { error, value } = issueSchema.validate(issueData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid invoice request', details: error.details.map(d => d.message) };
+      }
+
+      const payment = await invoicesRepository.findPayment(paymentId);
+      if (!payment) {
+        return { success: false, error: 'Payment not found' };
+      }
+      if (!isSameUser(payment.organizer_id, user.id) && !isBuyer(payment, user)) {
+        return { success: false, error: 'Access denied' };
+      }
+      if (!INVOICEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        return { success: false, error: 'Invalid invoice request', details: ['Only completed payments can be invoiced'] };
+      }
+
+      const result = await this.createDocument(payment, value.document_type, value.billing, user.id);
+      return { success: true, data: result.invoice, created: result.created };
+    } catch (error) {
+      console.error('Error issuing invoice:', error);
+      if (error.code === 'BILLING_PROFILE_MISSING') {
+        return { success: false, error: error.message, code: error.code };
+      }
+      return { success: false, error: error.message || 'Failed to issue invoice' };
+    }
+  }
+
+  /**
+   * Émet le reçu d'un paiement encaissé, hors requête (webhook de paiement).
+   * Un échec est journalisé : le reçu reste disponible à la demande.
+   */
+  issueReceiptInBackground(paymentId) {
+    if (!AUTO_RECEIPT || !paymentId) {
+      return;
+    }
+
+    invoicesRepository.findPayment(paymentId)
+      .then(payment => payment && this.createDocument(payment, 'receipt'))
+      .then(result => {
+        if (result && result.created) {
+          console.log(`[INVOICES] Reçu ${result.invoice.invoice_number} émis pour le paiement ${paymentId}`);
+        }
+      })
+      .catch(error => {
+        if (error.code === 'BILLING_PROFILE_MISSING') {
+          console.log(`[INVOICES] Pas de reçu pour le paiement ${paymentId} : organisateur sans profil de facturation`);
+          return;
+        }
+        console.error(`[INVOICES] Erreur émission du reçu du paiement ${paymentId}:`, error.message);
+      });
+  }
+
+  async getPaymentDocuments(paymentId, user = {}) {
+    try {
+      const payment = await invoicesRepository.findPayment(paymentId);
+      if (!payment) {
+        return { success: false, error: 'Payment not found' };
+      }
+      if (!isSameUser(payment.organizer_id, user.id) && !isBuyer(payment, user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      return { success: true, data: await invoicesRepository.findByPayment(payment.id) };
+    } catch (error) {
+      console.error('Error getting payment invoices:', error);
+      return { success: false, error: error.message || 'Failed to get payment invoices' };
+    }
+  }
+
+  /**
+   * Documents émis par l'organisateur connecté, ou reçus par l'acheteur connecté (`mine`)
+   */
+  async listDocuments(user = {}, options = {}, mine = false) {
+    try {
+      if (options.document_type && !DOCUMENT_TYPES.includes(options.document_type)) {
+        return { success: false, error: 'Invalid invoice request', details: [`document_type must be one of ${DOCUMENT_TYPES.join(', ')}`] };
+      }
+
+      const result = await invoicesRepository.findAll(
+        mine ? { userId: user.id, email: user.email } : { organizerId: user.id },
+        {
+          document_type: options.document_type,
+          event_id: options.event_id,
+          page: options.page ? parseInt(options.page) : 1,
+          limit: options.limit ? Math.min(parseInt(options.limit), 100) : 20
+        }
+      );
+
+      return { success: true, data: result.invoices, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error listing invoices:', error);
+      return { success: false, error: error.message || 'Failed to list invoices' };
+    }
+  }
+
+  async getDocument(invoiceId, user = {}) {
+    try {
+      const invoice = await invoicesRepository.findById(invoiceId);
+      if (!invoice) {
+        return { success: false, error: 'Invoice not found' };
+      }
+      if (!isSameUser(invoice.organizer_id, user.id) && !isBuyer(invoice, user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      return { success: true, data: invoice };
+    } catch (error) {
+      console.error('Error getting invoice:', error);
+      return { success: false, error: error.message || 'Failed to get invoice' };
+    }
+  }
+
+  /**
+   * Fichier PDF d'un document ; régénéré à l'identique depuis le document
+   * enregistré si le fichier a disparu du stockage ou n'a pas pu être rendu à l'émission
+   * @returns {Promise<Object>} data : { path, filename }
+   */
+  async getDocumentFile(invoiceId, user = {}) {
+    try {
+      const result = await this.getDocument(invoiceId, user);
+      if (!result.success) {
+        return result;
+      }
+
+      let invoice = result.data;
+      if (!invoice.file_path || !(await invoicePdfService.exists(invoice.file_path))) {
+        const payment = await invoicesRepository.findPayment(invoice.payment_id);
+        const stored = await invoicePdfService.generate(invoice, this.renderContext(payment || {}));
+        invoice = { ...invoice, ...(await invoicesRepository.updateFile(invoice.id, stored.file_path, stored.file_size)) };
+      }
+
+      return {
+        success: true,
+        data: {
+          path: invoicePdfService.resolvePath(invoice.file_path),
+          filename: `${invoice.invoice_number}.pdf`
+        }
+      };
+    } catch (error) {
+      console.error('Error getting invoice file:', error);
+      return { success: false, error: error.message || 'Failed to get invoice file' };
+    }
+  }
+
+  /**
+   * Paiement local correspondant à un payment intent (factures demandées via la marketplace)
+   */
+  async findPaymentId(paymentIntentId) {
+    const payment = await invoicesRepository.findPaymentByIntent(paymentIntentId);
+    return payment ? payment.id : null;
+  }
+}
+
+module.exports = new InvoicesService();
@@ -220,6 +220,23 @@ class MarketplaceController {
     }
   }
 
+  async getDesignerDashboard(req, res, next) {
+    try {
+      const result = await marketplaceService.getDesignerDashboard(req.user.id, req.query);
+      
+      if (!result.success) {
+        if (result.error === 'Designer not found') {
+          return res.status(404).json(ResponseFormatter.notFound('Designer'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Designer dashboard retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getTemplateStats(req, res, next) {
     try {
       const result = await marketplaceService.getTemplateStats();
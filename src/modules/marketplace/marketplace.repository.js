@@ -715,6 +715,28 @@ class MarketplaceRepository {
     return result.rows[0] || {};
   }
 
+  /**
+   * Ventes et revenus de chaque template d'un designer, d'après le registre des revenus
+   */
+  async getDesignerTemplateSales(designerId) {
+    const query = `
+      SELECT
+        t.id, t.name, t.status, t.price, t.currency,
+        COUNT(l.id) as sales_count,
+        COALESCE(SUM(l.gross_amount), 0) as gross_amount,
+        COALESCE(SUM(l.amount), 0) as earned_amount
+      FROM templates t
+      LEFT JOIN earnings_ledger l ON l.template_id = t.id
+        AND l.party_type = 'designer' AND l.party_id = t.designer_id AND l.deleted_at IS NULL
+      WHERE t.designer_id = $1 AND t.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY earned_amount DESC, t.name ASC
+    `;
+    
+    const result = await database.query(query, [designerId]);
+    return result.rows;
+  }
+
   async getTemplateStats() {
     const query = `
       SELECT
@@ -34,6 +34,9 @@ router.get('/designers', SecurityMiddleware.withPermissions('marketplace.designe
 // Stats routes pour designers et templates (doivent être avant /:id)
 router.get('/designers/stats', SecurityMiddleware.withPermissions('marketplace.stats.read'), marketplaceController.getDesignerStats);
 
+// Tableau de bord du designer connecté : revenus, ventes par template et reversements (?currency=&page=&limit=)
+router.get('/designers/me/dashboard', SecurityMiddleware.withPermissions('marketplace.designers.read'), marketplaceController.getDesignerDashboard);
+
 router.get('/templates/stats', SecurityMiddleware.withPermissions('marketplace.stats.read'), marketplaceController.getTemplateStats);
 
 router.get('/purchases/stats', SecurityMiddleware.withPermissions('marketplace.stats.read'), marketplaceController.getPurchaseStats);
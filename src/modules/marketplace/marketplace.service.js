@@ -2,6 +2,8 @@ const marketplaceRepository = require('./marketplace.repository');
 const templateValidationService = require('./template-validation.service');
 const notificationClient = require('../../../../shared/clients/notification-client');
 const authApiService = require('../../services/auth-api-service');
+const payoutsService = require('../payouts/payouts.service');
+const { isValidCurrency, normalizeCurrency } = require('../../utils/currency');
 
 class MarketplaceService {
   async becomeDesigner(userId, designerData, token) {
@@ -137,6 +139,14 @@ class MarketplaceService {
 
   async createTemplate(templateData, userId) {
     try {
+      if (templateData.currency && !isValidCurrency(templateData.currency)) {
+        return {
+          success: false,
+          error: 'Invalid currency',
+          details: ['currency must be an ISO 4217 currency code']
+        };
+      }
+
       // Récupérer d'abord le designer_id associé à cet utilisateur
       const designer = await marketplaceRepository.getDesignerByUserId(userId);
       
@@ -171,7 +181,7 @@ class MarketplaceService {
         preview_url: templateData.preview_url || null,
         source_files_path: templateData.source_files_path || null,
         price: templateData.price || null,
-        currency: templateData.currency || 'EUR',
+        currency: normalizeCurrency(templateData.currency) || 'EUR',
         status,
         ...statusFields,
         created_by: userId,
@@ -273,6 +283,14 @@ class MarketplaceService {
 
   async updateTemplate(templateId, updateData, userId) {
     try {
+      if (updateData.currency !== undefined && !isValidCurrency(updateData.currency)) {
+        return {
+          success: false,
+          error: 'Invalid currency',
+          details: ['currency must be an ISO 4217 currency code']
+        };
+      }
+
       const existingTemplate = await marketplaceRepository.getTemplateById(templateId);
       
       if (!existingTemplate) {
@@ -331,6 +349,9 @@ class MarketplaceService {
       };
 
       const purchase = await marketplaceRepository.createPurchase(purchaseDataWithBuyer);
+
+      // Part du designer et commission de la plateforme
+      await payoutsService.recordPurchaseEarnings(purchase);
       
       return {
         success: true,
@@ -576,6 +597,66 @@ class MarketplaceService {
     }
   }
 
+  /**
+   * Tableau de bord du designer connecté : part sur ses ventes, revenus par
+   * devise (à reverser, en cours de reversement, reversés), ventes par template,
+   * dernières écritures et derniers reversements
+   */
+  async getDesignerDashboard(userId, options = {}) {
+    try {
+      const page = options.page ? parseInt(options.page) : 1;
+      const limit = options.limit ? parseInt(options.limit) : 20;
+      if (isNaN(page) || page < 1 || isNaN(limit) || limit < 1 || limit > 100) {
+        return {
+          success: false,
+          error: 'Invalid pagination parameters'
+        };
+      }
+      if (options.currency && !isValidCurrency(options.currency)) {
+        return {
+          success: false,
+          error: `Invalid currency: ${options.currency}`
+        };
+      }
+
+      const designer = await marketplaceRepository.getDesignerByUserId(userId);
+      if (!designer) {
+        return {
+          success: false,
+          error: 'Designer not found'
+        };
+      }
+
+      const [templates, earnings] = await Promise.all([
+        marketplaceRepository.getDesignerTemplateSales(designer.id),
+        payoutsService.getDesignerEarnings(designer, {
+          page,
+          limit,
+          currency: options.currency ? normalizeCurrency(options.currency) : undefined
+        })
+      ]);
+
+      return {
+        success: true,
+        data: {
+          designer: {
+            id: designer.id,
+            brand_name: designer.brand_name,
+            verified_at: designer.verified_at
+          },
+          ...earnings,
+          templates
+        }
+      };
+    } catch (error) {
+      console.error('Error getting designer dashboard:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get designer dashboard'
+      };
+    }
+  }
+
   async getTemplateStats() {
     try {
       const stats = await marketplaceRepository.getTemplateStats();
@@ -7,6 +7,7 @@
  */
 
 const paymentService = require('../../services/payment.service');
+const invoicesService = require('../invoices/invoices.service');
 const { ResponseFormatter } = require('../../../../shared');
 const logger = require('../../utils/logger');
 
@@ -299,6 +300,8 @@ class PaymentController {
 
   /**
    * Génère une facture
+   * Un paiement de billets connu du core est facturé localement (PDF) ;
+   * les autres transactions restent facturées par le service de paiement.
    * @param {Object} req - Requête HTTP
    * @param {Object} res - Réponse HTTP
    */
@@ -319,6 +322,29 @@ class PaymentController {
 
       logger.payment('Generating invoice', { transactionId, templateId });
 
+      const paymentId = await invoicesService.findPaymentId(transactionId);
+      if (paymentId) {
+        const invoice = await invoicesService.issueDocument(paymentId, {
+          document_type: 'invoice',
+          billing: metadata.billing
+        }, req.user);
+
+        if (!invoice.success) {
+          const status = invoice.error === 'Access denied' ? 403 : invoice.code ? 422 : 400;
+          return res.status(status).json(
+            ResponseFormatter.error('Failed to generate invoice', invoice.error, invoice.code)
+          );
+        }
+
+        return res.status(201).json(
+          ResponseFormatter.success('Invoice generated successfully', {
+            invoiceId: invoice.data.id,
+            invoiceNumber: invoice.data.invoice_number,
+            downloadUrl: `/api/invoices/${invoice.data.id}/download`
+          })
+        );
+      }
+
       const result = await paymentService.generateInvoice({
         transactionId,
         templateId,
@@ -8,6 +8,7 @@
 
 const express = require('express');
 const Joi = require('joi');
+const { validateCurrency } = require('../../utils/currency');
 const router = express.Router();
 const paymentController = require('./payment.controller');
 const { ValidationMiddleware } = require('../../../../shared');
@@ -52,7 +53,7 @@ router.post('/payments/process',
     userId: Joi.string().required().description('ID de l\'utilisateur'),
     eventId: Joi.string().optional().description('ID de l\'événement (optionnel)'),
     amount: Joi.number().positive().required().description('Montant en centimes'),
-    currency: Joi.string().default('EUR').description('Devise'),
+    currency: Joi.string().length(3).custom(validateCurrency).default('EUR').description('Devise (ISO 4217)'),
     paymentMethod: Joi.string().default('stripe').valid('stripe', 'paypal').description('Méthode de paiement'),
     description: Joi.string().optional().description('Description du paiement'),
     customerEmail: Joi.string().email().required().description('Email du client'),
@@ -139,7 +140,7 @@ router.post('/templates/purchase-notification',
     userId: Joi.string().required().description('ID de l\'utilisateur'),
     transactionId: Joi.string().required().description('ID de la transaction'),
     amount: Joi.number().positive().required().description('Montant payé'),
-    currency: Joi.string().required().description('Devise'),
+    currency: Joi.string().length(3).custom(validateCurrency).required().description('Devise (ISO 4217)'),
     purchaseDate: Joi.string().isoDate().required().description('Date d\'achat'),
     metadata: Joi.object().optional().description('Métadonnées additionnelles')
   })),
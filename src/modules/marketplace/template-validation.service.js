@@ -7,6 +7,7 @@ const sharp = require('sharp');
 const puppeteer = require('puppeteer');
 const QRCode = require('qrcode');
 const axios = require('axios');
+const { formatEventSchedule } = require('../../utils/timezone');
 
 const REQUIRED_VARIABLES = [
   'EVENT_TITLE',
@@ -22,14 +23,38 @@ const REQUIRED_VARIABLES = [
 
 const OPTIONAL_VARIABLES = [
   'EVENT_TYPE',
+  'EVENT_END_DATE',
+  'EVENT_END_TIME',
+  'EVENT_TIMEZONE',
   'ISSUED_AT'
 ];
 
+/**
+ * Variables de date d'un événement, exprimées dans son fuseau horaire.
+ * EVENT_DATE devient une plage pour un événement sur plusieurs jours,
+ * EVENT_TIME une plage horaire lorsque la date de fin est connue.
+ * @param {Object} event - { event_date, end_date, timezone }
+ * @returns {Object} EVENT_DATE, EVENT_TIME, EVENT_END_DATE, EVENT_END_TIME, EVENT_TIMEZONE
+ */
+function buildEventDateVariables(event) {
+  const schedule = formatEventSchedule(event);
+  return {
+    EVENT_DATE: schedule.date,
+    EVENT_TIME: schedule.time,
+    EVENT_END_DATE: schedule.endDate,
+    EVENT_END_TIME: schedule.endTime,
+    EVENT_TIMEZONE: schedule.timezone
+  };
+}
+
 const SAMPLE_DATA = {
   EVENT_TITLE: 'Sample Event',
   EVENT_TYPE: 'Standard',
-  EVENT_DATE: '2026-01-01',
-  EVENT_TIME: '18:00',
+  ...buildEventDateVariables({
+    event_date: '2026-01-01T17:00:00Z',
+    end_date: '2026-01-01T21:00:00Z',
+    timezone: 'Europe/Paris'
+  }),
   EVENT_LOCATION: 'Event Hall',
   GUEST_NAME: 'John Doe',
   GUEST_EMAIL: 'john.doe@example.com',
@@ -68,6 +93,10 @@ async function computeSimilarity(bufferA, bufferB, width, height) {
 }
 
 class TemplateValidationService {
+  buildEventDateVariables(event) {
+    return buildEventDateVariables(event);
+  }
+
   async validateTemplatePackage(sourceFilesPath, previewUrl) {
     let workingDir = null;
     try {
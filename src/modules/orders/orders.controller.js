@@ -0,0 +1,146 @@
+const ordersService = require('./orders.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux opérations sur les commandes
+ */
+function sendOrderError(res, result) {
+  if (result.error === 'Order not found' || result.error === 'Order item not found' || result.error === 'Event not found') {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  if (result.code === 'ORDER_STATUS_INVALID') {
+    return res.status(409).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  if (result.code) {
+    return res.status(422).json(ResponseFormatter.error(result.error, result.details, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class OrdersController {
+  async createOrder(req, res, next) {
+    try {
+      const result = await ordersService.createOrder(req.body, req.user);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Order created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getMyOrders(req, res, next) {
+    try {
+      const result = await ordersService.getMyOrders(req.user, req.query);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Orders retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getOrder(req, res, next) {
+    try {
+      const result = await ordersService.getOrder(req.params.id, req.user);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async addItem(req, res, next) {
+    try {
+      const result = await ordersService.addItem(req.params.id, req.body, req.user);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Order item added', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateItem(req, res, next) {
+    try {
+      const { id, itemId } = req.params;
+
+      const result = await ordersService.updateItem(id, itemId, req.body, req.user);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order item updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async removeItem(req, res, next) {
+    try {
+      const { id, itemId } = req.params;
+
+      const result = await ordersService.removeItem(id, itemId, req.user);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order item removed', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async reserve(req, res, next) {
+    try {
+      const result = await ordersService.reserve(req.params.id, req.user, req.body);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order reserved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async pay(req, res, next) {
+    try {
+      const result = await ordersService.pay(req.params.id, req.body, req.user);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order payment initiated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async cancel(req, res, next) {
+    try {
+      const result = await ordersService.cancel(req.params.id, req.user, req.body?.reason);
+      if (!result.success) {
+        return sendOrderError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order cancelled', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new OrdersController();
@@ -0,0 +1,348 @@
+const { database } = require('../../config');
+
+// Champs d'une commande modifiables par le service
+const UPDATABLE_ORDER_FIELDS = [
+  'status', 'currency', 'subtotal_amount', 'discount_amount', 'total_amount', 'expires_at',
+  'paid_at', 'fulfilled_at', 'cancelled_at', 'payment_id', 'payment_intent_id',
+  'promo_codes', 'promo_redemption_ids'
+];
+
+/**
+ * Accès aux commandes, à leurs lignes, participants et historique de statut.
+ * Les opérations d'écriture acceptent un client de transaction optionnel.
+ */
+class OrdersRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async create(orderData, client = database) {
+    const {
+      order_number, event_id, user_id, buyer_email, buyer_first_name,
+      buyer_last_name, buyer_phone, currency, promo_codes
+    } = orderData;
+
+    const query = `
+      INSERT INTO orders (
+        order_number, event_id, user_id, buyer_email, buyer_first_name,
+        buyer_last_name, buyer_phone, currency, promo_codes, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $3, $3)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      order_number, event_id, user_id, buyer_email, buyer_first_name || null,
+      buyer_last_name || null, buyer_phone || null, currency || null, promo_codes || []
+    ]);
+    return result.rows[0];
+  }
+
+  async findById(id, client = database) {
+    const query = `
+      SELECT o.*, e.title AS event_title, e.organizer_id
+      FROM orders o
+      JOIN events e ON e.id = o.event_id
+      WHERE o.id = $1 AND o.deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Commande verrouillée jusqu'à la fin de la transaction
+   */
+  async lockById(id, client) {
+    const query = `
+      SELECT * FROM orders
+      WHERE id = $1 AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  async lockByPaymentIntent(paymentIntentId, client) {
+    const query = `
+      SELECT * FROM orders
+      WHERE payment_intent_id = $1 AND deleted_at IS NULL
+      ORDER BY id ASC
+      LIMIT 1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [paymentIntentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Historique des commandes d'un acheteur
+   */
+  async findByUser(userId, options = {}) {
+    const { status, event_id, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [userId];
+    let where = 'WHERE o.user_id = $1 AND o.deleted_at IS NULL';
+    if (status) {
+      values.push(status);
+      where += ` AND o.status = $${values.length}`;
+    }
+    if (event_id) {
+      values.push(event_id);
+      where += ` AND o.event_id = $${values.length}`;
+    }
+
+    const query = `
+      SELECT o.*, e.title AS event_title, e.event_date,
+        (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi
+         WHERE oi.order_id = o.id AND oi.deleted_at IS NULL) AS ticket_count
+      FROM orders o
+      JOIN events e ON e.id = o.event_id
+      ${where}
+      ORDER BY o.created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) AS total FROM orders o ${where}`;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      orders: rows.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async update(id, fields, userId, client = database) {
+    const updates = [];
+    const values = [];
+
+    for (const field of UPDATABLE_ORDER_FIELDS) {
+      if (fields[field] !== undefined) {
+        values.push(fields[field]);
+        updates.push(`${field} = $${values.length}`);
+      }
+    }
+
+    values.push(userId || null);
+    updates.push(`updated_by = $${values.length}`, 'updated_at = NOW()');
+    values.push(id);
+
+    const query = `
+      UPDATE orders
+      SET ${updates.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  async addStatusHistory(orderId, fromStatus, toStatus, reason, userId, client = database) {
+    const query = `
+      INSERT INTO order_status_history (order_id, from_status, to_status, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [orderId, fromStatus, toStatus, reason || null, userId || null]);
+    return result.rows[0];
+  }
+
+  async findStatusHistory(orderId) {
+    const query = `
+      SELECT * FROM order_status_history
+      WHERE order_id = $1
+      ORDER BY created_at ASC, id ASC
+    `;
+
+    const result = await database.query(query, [orderId]);
+    return result.rows;
+  }
+
+  // ========================================
+  // LIGNES ET PARTICIPANTS
+  // ========================================
+
+  async findItems(orderId, client = database) {
+    const query = `
+      SELECT oi.*, tt.name AS ticket_type_name, tt.type AS ticket_type_kind
+      FROM order_items oi
+      JOIN ticket_types tt ON tt.id = oi.ticket_type_id
+      WHERE oi.order_id = $1 AND oi.deleted_at IS NULL
+      ORDER BY oi.id ASC
+    `;
+
+    const result = await client.query(query, [orderId]);
+    return result.rows;
+  }
+
+  async findItem(orderId, itemId, client = database) {
+    const query = `
+      SELECT * FROM order_items
+      WHERE id = $1 AND order_id = $2 AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [itemId, orderId]);
+    return result.rows[0] || null;
+  }
+
+  async findItemByTicketType(orderId, ticketTypeId, client = database) {
+    const query = `
+      SELECT * FROM order_items
+      WHERE order_id = $1 AND ticket_type_id = $2 AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [orderId, ticketTypeId]);
+    return result.rows[0] || null;
+  }
+
+  async createItem(itemData, client = database) {
+    const { order_id, ticket_type_id, quantity, donation_amount, userId } = itemData;
+
+    const query = `
+      INSERT INTO order_items (order_id, ticket_type_id, quantity, donation_amount, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $5)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      order_id, ticket_type_id, quantity, donation_amount ?? null, userId || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Met à jour une ligne (quantité, don, prix et réservation figés à la réservation)
+   */
+  async updateItem(itemId, fields, userId, client = database) {
+    const query = `
+      UPDATE order_items
+      SET quantity = COALESCE($2, quantity),
+          donation_amount = CASE WHEN $3::boolean THEN $4 ELSE donation_amount END,
+          unit_price = CASE WHEN $5::boolean THEN $6 ELSE unit_price END,
+          price_tier_id = CASE WHEN $5::boolean THEN $7 ELSE price_tier_id END,
+          ticket_hold_id = COALESCE($8, ticket_hold_id),
+          updated_by = $9, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      itemId,
+      fields.quantity ?? null,
+      fields.donation_amount !== undefined,
+      fields.donation_amount ?? null,
+      fields.unit_price !== undefined,
+      fields.unit_price ?? null,
+      fields.price_tier_id ?? null,
+      fields.ticket_hold_id ?? null,
+      userId || null
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async softDeleteItem(itemId, userId, client = database) {
+    const query = `
+      UPDATE order_items
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [itemId, userId || null]);
+    return result.rows[0] || null;
+  }
+
+  async findAttendees(itemIds, client = database) {
+    const query = `
+      SELECT * FROM order_attendees
+      WHERE order_item_id = ANY($1) AND deleted_at IS NULL
+      ORDER BY order_item_id ASC, id ASC
+    `;
+
+    const result = await client.query(query, [itemIds]);
+    return result.rows;
+  }
+
+  async addAttendees(itemId, attendees, userId, client = database) {
+    const created = [];
+    for (const attendee of attendees) {
+      const result = await client.query(`
+        INSERT INTO order_attendees (order_item_id, first_name, last_name, email, phone, created_by, updated_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $6)
+        RETURNING *
+      `, [
+        itemId,
+        attendee.first_name || null,
+        attendee.last_name || null,
+        attendee.email,
+        attendee.phone || null,
+        userId || null
+      ]);
+      created.push(result.rows[0]);
+    }
+    return created;
+  }
+
+  async deleteAttendees(itemId, userId, client = database) {
+    const query = `
+      UPDATE order_attendees
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW()
+      WHERE order_item_id = $1 AND deleted_at IS NULL
+    `;
+
+    await client.query(query, [itemId, userId || null]);
+  }
+
+  /**
+   * Rattache un participant à son billet émis
+   */
+  async markAttendeeIssued(attendeeId, eventGuestId, ticketId, client = database) {
+    const query = `
+      UPDATE order_attendees
+      SET event_guest_id = $2, ticket_id = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [attendeeId, eventGuestId, ticketId]);
+    return result.rows[0] || null;
+  }
+
+  async findTicketType(ticketTypeId) {
+    const query = `
+      SELECT id, event_id, name, type, quantity
+      FROM ticket_types
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [ticketTypeId]);
+    return result.rows[0] || null;
+  }
+
+  async findEvent(eventId) {
+    const query = `
+      SELECT id, title, organizer_id, event_date, location, status
+      FROM events
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new OrdersRepository();
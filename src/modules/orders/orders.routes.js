@@ -0,0 +1,29 @@
+const express = require('express');
+const ordersController = require('./orders.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Historique des commandes de l'acheteur connecté (?status=&event_id=&page=&limit=)
+router.get('/me', ordersController.getMyOrders);
+
+// Création d'un panier : { event_id, buyer?, items?: [{ ticket_type_id, quantity, attendees, donation_amount }] }
+router.post('/', ordersController.createOrder);
+
+// Détail d'une commande (acheteur ou organisateur de l'événement)
+router.get('/:id', ordersController.getOrder);
+
+// Lignes du panier (statut cart uniquement)
+router.post('/:id/items', ordersController.addItem);
+router.put('/:id/items/:itemId', ordersController.updateItem);
+router.delete('/:id/items/:itemId', ordersController.removeItem);
+
+// Cycle de la commande : réservation des places { promo_codes }, paiement { payment_method, return_url, cancel_url }, annulation
+router.post('/:id/reserve', ordersController.reserve);
+router.post('/:id/pay', ordersController.pay);
+router.post('/:id/cancel', ordersController.cancel);
+
+module.exports = router;
@@ -0,0 +1,927 @@
+const Joi = require('joi');
+const ordersRepository = require('./orders.repository');
+const ticketInventoryService = require('../tickets/ticket-inventory.service');
+const ticketPricingService = require('../tickets/ticket-pricing.service');
+const promoCodesService = require('../tickets/promo-codes.service');
+const { initiatePayment, cancelPayment } = require('../../services/payment-service');
+const { createTicketGenerationJob } = require('../../queues/ticket-generation-producer');
+const { DEFAULT_CURRENCY, roundToCurrency } = require('../../utils/currency');
+const { database } = require('../../config');
+
+// Nombre maximal de billets par ligne et de lignes par commande
+const MAX_ITEM_QUANTITY = 50;
+const MAX_ORDER_ITEMS = 20;
+
+// Nombre maximal de codes promo cumulés sur une commande
+const MAX_ORDER_PROMO_CODES = 5;
+
+const ORDER_STATUSES = ['cart', 'reserved', 'pending_payment', 'paid', 'fulfilled', 'cancelled', 'expired', 'failed'];
+
+// Transitions autorisées du cycle de vie d'une commande
+const ORDER_TRANSITIONS = {
+  cart: ['reserved', 'cancelled'],
+  // paid directement : commande gratuite, sans paiement
+  reserved: ['pending_payment', 'paid', 'cancelled', 'expired'],
+  // reserved : initiation du paiement échouée, la commande reste payable (pay)
+  pending_payment: ['paid', 'failed', 'cancelled', 'expired', 'reserved'],
+  paid: ['fulfilled'],
+  fulfilled: [],
+  cancelled: [],
+  // Un paiement peut aboutir après l'expiration de la réservation : il est honoré
+  // si les places sont encore disponibles, sinon signalé à rembourser (fulfilOrder)
+  expired: ['paid'],
+  failed: []
+};
+
+const attendeeSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  first_name: Joi.string().trim().max(255).allow(null, ''),
+  last_name: Joi.string().trim().max(255).allow(null, ''),
+  phone: Joi.string().trim().max(50).allow(null, '')
+});
+
+const itemSchema = Joi.object({
+  ticket_type_id: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().min(1).max(MAX_ITEM_QUANTITY).default(1),
+  // Un participant par billet ; les billets sans participant sont au nom de l'acheteur
+  attendees: Joi.array().items(attendeeSchema).max(Joi.ref('quantity')).default([])
+    .messages({ 'array.max': '{{#label}} cannot have more entries than quantity' }),
+  donation_amount: Joi.number().positive().precision(2)
+});
+
+const promoCodesSchema = Joi.array().items(Joi.string().trim().max(50)).max(MAX_ORDER_PROMO_CODES);
+
+const orderSchema = Joi.object({
+  event_id: Joi.number().integer().positive().required(),
+  buyer: attendeeSchema.keys({ email: Joi.string().email().max(255) }),
+  items: Joi.array().items(itemSchema).max(MAX_ORDER_ITEMS).default([]),
+  promo_codes: promoCodesSchema.default([])
+});
+
+// Les codes fournis à la réservation remplacent ceux de la commande
+const reserveSchema = Joi.object({
+  promo_codes: promoCodesSchema
+});
+
+const updateItemSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).max(MAX_ITEM_QUANTITY),
+  attendees: Joi.array().items(attendeeSchema).max(MAX_ITEM_QUANTITY),
+  donation_amount: Joi.number().positive().precision(2).allow(null)
+}).min(1);
+
+const paySchema = Joi.object({
+  payment_method: Joi.string().trim().required(),
+  return_url: Joi.string().uri(),
+  cancel_url: Joi.string().uri()
+});
+
+function orderError(message, code = 'ORDER_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isOwner(order, userId) {
+  return order.user_id === userId || String(order.user_id) === String(userId);
+}
+
+function isOrganizer(order, userId) {
+  return order.organizer_id === userId || String(order.organizer_id) === String(userId);
+}
+
+function buyerInfo(order) {
+  return {
+    email: order.buyer_email,
+    first_name: order.buyer_first_name,
+    last_name: order.buyer_last_name,
+    phone: order.buyer_phone
+  };
+}
+
+function generateOrderNumber() {
+  return `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+}
+
+/**
+ * Commandes de billets : un panier de lignes (type de billet, quantité,
+ * participant par billet) qui suit le cycle réservation → paiement → émission.
+ * La réservation bloque les places (ticket_holds) au prix courant ; le paiement
+ * est initié pour le total de la commande ; au webhook payment.completed, chaque
+ * participant devient invité de l'événement avec son billet, puis la génération
+ * des billets est mise en file.
+ */
+class OrdersService {
+  /**
+   * Applique une transition de statut et l'inscrit dans l'historique
+   * @param {Object} order - Commande verrouillée
+   * @param {string} toStatus - Statut cible
+   * @param {Object} options - { reason, userId, fields }
+   */
+  async transition(order, toStatus, options = {}, client = database) {
+    if (!(ORDER_TRANSITIONS[order.status] || []).includes(toStatus)) {
+      throw orderError(`Order ${order.order_number} cannot go from ${order.status} to ${toStatus}`, 'ORDER_STATUS_INVALID');
+    }
+
+    const updated = await ordersRepository.update(order.id, { ...(options.fields || {}), status: toStatus }, options.userId, client);
+    await ordersRepository.addStatusHistory(order.id, order.status, toStatus, options.reason, options.userId, client);
+    return { ...order, ...updated };
+  }
+
+  /**
+   * Commande complète : lignes, participants et historique
+   */
+  async buildOrderDetails(order, client = database) {
+    const items = await ordersRepository.findItems(order.id, client);
+    const attendees = items.length > 0 ? await ordersRepository.findAttendees(items.map(item => item.id), client) : [];
+    const history = await ordersRepository.findStatusHistory(order.id);
+
+    return {
+      ...order,
+      items: items.map(item => ({
+        ...item,
+        attendees: attendees.filter(attendee => String(attendee.order_item_id) === String(item.id))
+      })),
+      status_history: history
+    };
+  }
+
+  /**
+   * Vérifie une ligne et l'ajoute au panier ; une ligne existante du même type
+   * voit sa quantité augmentée et ses participants complétés.
+   */
+  async saveItem(order, itemData, userId, client) {
+    const ticketType = await ordersRepository.findTicketType(itemData.ticket_type_id);
+    if (!ticketType || String(ticketType.event_id) !== String(order.event_id)) {
+      throw orderError(`Ticket type ${itemData.ticket_type_id} does not belong to this event`);
+    }
+
+    const existing = await ordersRepository.findItemByTicketType(order.id, ticketType.id, client);
+    if (!existing) {
+      const item = await ordersRepository.createItem({
+        order_id: order.id,
+        ticket_type_id: ticketType.id,
+        quantity: itemData.quantity,
+        donation_amount: itemData.donation_amount,
+        userId
+      }, client);
+      await ordersRepository.addAttendees(item.id, itemData.attendees, userId, client);
+      return item;
+    }
+
+    const quantity = existing.quantity + itemData.quantity;
+    if (quantity > MAX_ITEM_QUANTITY) {
+      throw orderError(`At most ${MAX_ITEM_QUANTITY} tickets per ticket type`);
+    }
+
+    const item = await ordersRepository.updateItem(existing.id, {
+      quantity,
+      donation_amount: itemData.donation_amount
+    }, userId, client);
+    await ordersRepository.addAttendees(item.id, itemData.attendees, userId, client);
+    return item;
+  }
+
+  /**
+   * Commande modifiable de l'acheteur (panier)
+   */
+  async lockCart(orderId, userId, client) {
+    const order = await ordersRepository.lockById(orderId, client);
+    if (!order) {
+      throw orderError('Order not found', 'ORDER_NOT_FOUND');
+    }
+    if (!isOwner(order, userId)) {
+      throw orderError('Access denied', 'ORDER_FORBIDDEN');
+    }
+    if (order.status !== 'cart') {
+      throw orderError(`Order ${order.order_number} is ${order.status} and can no longer be modified`, 'ORDER_STATUS_INVALID');
+    }
+    return order;
+  }
+
+  /**
+   * Résultat d'erreur commun aux opérations sur les commandes
+   */
+  toErrorResult(error, fallback) {
+    if (error.code === 'ORDER_NOT_FOUND') {
+      return { success: false, error: error.message };
+    }
+    if (error.code === 'ORDER_FORBIDDEN') {
+      return { success: false, error: 'Access denied' };
+    }
+    if (error.code === 'ORDER_INVALID') {
+      return { success: false, error: 'Invalid order', details: [error.message] };
+    }
+    if (['ORDER_STATUS_INVALID', 'ORDER_EXPIRED', 'TICKETS_UNAVAILABLE', 'DONATION_AMOUNT_INVALID', 'PROMO_CODE_INVALID'].includes(error.code)) {
+      return { success: false, error: error.message, code: error.code, details: error.details };
+    }
+    return { success: false, error: error.message || fallback };
+  }
+
+  async createOrder(orderData, user = {}) {
+    try {
+      const { error, value } = orderSchema.validate(orderData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid order', details: error.details.map(d => d.message) };
+      }
+
+      const event = await ordersRepository.findEvent(value.event_id);
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+      if (event.status !== 'published') {
+        return { success: false, error: 'Invalid order', details: ['Orders are only accepted for published events'] };
+      }
+
+      const buyer = { email: user.email, first_name: user.first_name, last_name: user.last_name, ...(value.buyer || {}) };
+      if (!buyer.email) {
+        return { success: false, error: 'Invalid order', details: ['buyer.email is required'] };
+      }
+
+      const order = await ordersRepository.transaction(async (client) => {
+        const created = await ordersRepository.create({
+          order_number: generateOrderNumber(),
+          event_id: event.id,
+          user_id: user.id,
+          buyer_email: buyer.email.toLowerCase(),
+          buyer_first_name: buyer.first_name,
+          buyer_last_name: buyer.last_name,
+          buyer_phone: buyer.phone,
+          promo_codes: promoCodesService.normalizeCodes(value.promo_codes)
+        }, client);
+        await ordersRepository.addStatusHistory(created.id, null, 'cart', null, user.id, client);
+
+        for (const item of value.items) {
+          await this.saveItem(created, item, user.id, client);
+        }
+        return created;
+      });
+
+      return { success: true, data: await this.buildOrderDetails({ ...order, event_title: event.title, organizer_id: event.organizer_id }) };
+    } catch (error) {
+      console.error('Error creating order:', error);
+      return this.toErrorResult(error, 'Failed to create order');
+    }
+  }
+
+  async addItem(orderId, itemData, user = {}) {
+    try {
+      const { error, value } = itemSchema.validate(itemData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid order item', details: error.details.map(d => d.message) };
+      }
+
+      await ordersRepository.transaction(async (client) => {
+        const order = await this.lockCart(orderId, user.id, client);
+        const items = await ordersRepository.findItems(order.id, client);
+        if (items.length >= MAX_ORDER_ITEMS && !items.some(item => String(item.ticket_type_id) === String(value.ticket_type_id))) {
+          throw orderError(`At most ${MAX_ORDER_ITEMS} ticket types per order`);
+        }
+        await this.saveItem(order, value, user.id, client);
+      });
+
+      return this.getOrder(orderId, user);
+    } catch (error) {
+      console.error('Error adding order item:', error);
+      return this.toErrorResult(error, 'Failed to add order item');
+    }
+  }
+
+  /**
+   * Modifie une ligne du panier ; `attendees` remplace la liste des participants
+   */
+  async updateItem(orderId, itemId, itemData, user = {}) {
+    try {
+      const { error, value } = updateItemSchema.validate(itemData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid order item', details: error.details.map(d => d.message) };
+      }
+
+      await ordersRepository.transaction(async (client) => {
+        const order = await this.lockCart(orderId, user.id, client);
+        const item = await ordersRepository.findItem(order.id, itemId, client);
+        if (!item) {
+          throw orderError('Order item not found', 'ORDER_NOT_FOUND');
+        }
+
+        const quantity = value.quantity || item.quantity;
+        const attendeeCount = value.attendees
+          ? value.attendees.length
+          : (await ordersRepository.findAttendees([item.id], client)).length;
+        if (attendeeCount > quantity) {
+          throw orderError(`An item of ${quantity} ticket(s) cannot have ${attendeeCount} attendees`);
+        }
+
+        await ordersRepository.updateItem(item.id, {
+          quantity: value.quantity,
+          donation_amount: value.donation_amount
+        }, user.id, client);
+
+        if (value.attendees) {
+          await ordersRepository.deleteAttendees(item.id, user.id, client);
+          await ordersRepository.addAttendees(item.id, value.attendees, user.id, client);
+        }
+      });
+
+      return this.getOrder(orderId, user);
+    } catch (error) {
+      console.error('Error updating order item:', error);
+      return this.toErrorResult(error, 'Failed to update order item');
+    }
+  }
+
+  async removeItem(orderId, itemId, user = {}) {
+    try {
+      await ordersRepository.transaction(async (client) => {
+        const order = await this.lockCart(orderId, user.id, client);
+        const item = await ordersRepository.findItem(order.id, itemId, client);
+        if (!item) {
+          throw orderError('Order item not found', 'ORDER_NOT_FOUND');
+        }
+
+        await ordersRepository.deleteAttendees(item.id, user.id, client);
+        await ordersRepository.softDeleteItem(item.id, user.id, client);
+      });
+
+      return this.getOrder(orderId, user);
+    } catch (error) {
+      console.error('Error removing order item:', error);
+      return this.toErrorResult(error, 'Failed to remove order item');
+    }
+  }
+
+  /**
+   * Réserve les places du panier au prix courant de chaque type (palier actif ou don).
+   * Les codes promo de la commande sont appliqués et leurs utilisations enregistrées ;
+   * la remise de chaque ligne est portée par sa réservation.
+   * Les billets sans participant sont attribués à l'acheteur.
+   * @param {Object} reserveData - { promo_codes } (remplace les codes de la commande)
+   */
+  async reserve(orderId, user = {}, reserveData = {}) {
+    let reservation = null;
+    let pricing = null;
+
+    try {
+      const { error, value } = reserveSchema.validate(reserveData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid order', details: error.details.map(d => d.message) };
+      }
+
+      const order = await ordersRepository.findById(orderId);
+      if (!order) {
+        return { success: false, error: 'Order not found' };
+      }
+      if (!isOwner(order, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+      if (order.status !== 'cart') {
+        throw orderError(`Order ${order.order_number} is already ${order.status}`, 'ORDER_STATUS_INVALID');
+      }
+
+      const items = await ordersRepository.findItems(order.id);
+      if (items.length === 0) {
+        return { success: false, error: 'Invalid order', details: ['The order has no items'] };
+      }
+
+      const lines = await ticketPricingService.priceItems(items.map(item => ({
+        ticket_type_id: item.ticket_type_id,
+        quantity: item.quantity,
+        donation_amount: item.donation_amount !== null ? parseFloat(item.donation_amount) : undefined
+      })));
+
+      const unpriced = items.filter((item, index) => lines[index].unit_price === undefined || lines[index].unit_price === null);
+      if (unpriced.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid order',
+          details: unpriced.map(item => `Ticket type ${item.ticket_type_name} has no price`)
+        };
+      }
+
+      const currencies = new Set(lines.filter(line => line.currency).map(line => line.currency));
+      if (currencies.size > 1) {
+        return { success: false, error: 'Invalid order', details: ['All ticket types of an order must share the same currency'] };
+      }
+      const currency = [...currencies][0] || order.currency || DEFAULT_CURRENCY;
+
+      const promoCodes = promoCodesService.normalizeCodes(value.promo_codes !== undefined ? value.promo_codes : order.promo_codes);
+      if (promoCodes.length > 0) {
+        pricing = await promoCodesService.priceOrder(order.event_id, lines, promoCodes, {
+          email: order.buyer_email,
+          currency,
+          redeem: true
+        });
+      }
+      const discounts = new Map((pricing ? pricing.lines : []).map(line => [String(line.ticket_type_id), line.discount_amount]));
+
+      reservation = await ticketInventoryService.reserve(lines.map(line => ({
+        ...line,
+        discount_amount: discounts.get(String(line.ticket_type_id)) || 0
+      })), {
+        eventId: order.event_id,
+        buyerInfo: buyerInfo(order),
+        currency,
+        userId: user.id
+      });
+      const holdsByType = new Map(reservation.holds.map(hold => [String(hold.ticket_type_id), hold]));
+
+      await ordersRepository.transaction(async (client) => {
+        const locked = await this.lockCart(order.id, user.id, client);
+        const attendees = await ordersRepository.findAttendees(items.map(item => item.id), client);
+
+        let subtotal = 0;
+        for (const [index, item] of items.entries()) {
+          const line = lines[index];
+          subtotal += line.unit_price * item.quantity;
+
+          await ordersRepository.updateItem(item.id, {
+            unit_price: line.unit_price,
+            price_tier_id: line.price_tier_id,
+            donation_amount: line.donation_amount ?? null,
+            ticket_hold_id: holdsByType.get(String(item.ticket_type_id)).id
+          }, user.id, client);
+
+          const missing = item.quantity - attendees.filter(attendee => String(attendee.order_item_id) === String(item.id)).length;
+          if (missing > 0) {
+            await ordersRepository.addAttendees(item.id, Array(missing).fill(buyerInfo(order)), user.id, client);
+          }
+        }
+
+        const discountAmount = pricing ? pricing.discount_amount : 0;
+        await this.transition(locked, 'reserved', {
+          userId: user.id,
+          fields: {
+            currency,
+            subtotal_amount: roundToCurrency(subtotal, currency),
+            discount_amount: roundToCurrency(discountAmount, currency),
+            total_amount: roundToCurrency(Math.max(subtotal - discountAmount, 0), currency),
+            expires_at: reservation.expires_at,
+            promo_codes: pricing ? pricing.promo_codes.map(promoCode => promoCode.code) : [],
+            promo_redemption_ids: pricing ? pricing.redemption_ids : []
+          }
+        }, client);
+      });
+
+      return this.getOrder(order.id, user);
+    } catch (error) {
+      console.error('Error reserving order:', error);
+
+      // Les places réservées sont rendues si la commande n'a pas pu être mise à jour
+      if (reservation) {
+        try {
+          await ticketInventoryService.releaseHoldIds(reservation.holds.map(hold => hold.id), 'order_reserve_failed');
+        } catch (releaseError) {
+          console.error('Error releasing order holds:', releaseError);
+        }
+      }
+
+      // Les utilisations des codes promo sont rendues de même
+      if (pricing && pricing.redemption_ids.length > 0) {
+        try {
+          await promoCodesService.cancelRedemptionIds(pricing.redemption_ids);
+        } catch (cancelError) {
+          console.error('Error cancelling order promo codes:', cancelError);
+        }
+      }
+      return this.toErrorResult(error, 'Failed to reserve order');
+    }
+  }
+
+  /**
+   * Paie une commande réservée. Une commande gratuite est honorée immédiatement ;
+   * sinon un paiement est initié pour son total avec les réservations de la commande.
+   * La commande passe en pending_payment avant l'initiation : un second appel est
+   * refusé, les réservations ne sont jamais rattachées à deux paiements. Elle
+   * redevient reserved si l'initiation échoue.
+   * @param {Object} paymentData - { payment_method, return_url, cancel_url }
+   */
+  async pay(orderId, paymentData, user = {}) {
+    try {
+      const { error, value } = paySchema.validate(paymentData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid payment', details: error.details.map(d => d.message) };
+      }
+
+      let order = await ordersRepository.findById(orderId);
+      if (!order) {
+        return { success: false, error: 'Order not found' };
+      }
+      if (!isOwner(order, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+      order = await this.expireIfStale(order);
+      if (order.status === 'expired') {
+        throw orderError(`Reservation of order ${order.order_number} has expired`, 'ORDER_EXPIRED');
+      }
+      if (order.status !== 'reserved') {
+        throw orderError(`Order ${order.order_number} is ${order.status} and cannot be paid`, 'ORDER_STATUS_INVALID');
+      }
+
+      const items = await ordersRepository.findItems(order.id);
+
+      if (parseFloat(order.total_amount) === 0) {
+        const fulfilment = await ordersRepository.transaction(async (client) => {
+          const locked = await ordersRepository.lockById(order.id, client);
+          const paid = await this.transition(locked, 'paid', { userId: user.id, reason: 'free_order', fields: { paid_at: new Date() } }, client);
+          if (paid.promo_redemption_ids && paid.promo_redemption_ids.length > 0) {
+            await promoCodesService.confirmRedemptionIds(paid.promo_redemption_ids, client);
+          }
+          return this.fulfilOrder(paid, client);
+        });
+        await this.queueTicketGeneration(fulfilment);
+
+        return { success: true, data: { order: await this.getOrderDetails(order.id), payment: null } };
+      }
+
+      await ordersRepository.transaction(async (client) => {
+        const locked = await ordersRepository.lockById(order.id, client);
+        if (locked.status !== 'reserved') {
+          throw orderError(`Order ${locked.order_number} is ${locked.status} and cannot be paid`, 'ORDER_STATUS_INVALID');
+        }
+        await this.transition(locked, 'pending_payment', { userId: user.id, reason: 'payment_initiated' }, client);
+      });
+
+      let payment;
+      try {
+        payment = await initiatePayment({
+          event_id: order.event_id,
+          organizer_id: order.organizer_id,
+          amount: parseFloat(order.total_amount),
+          subtotal_amount: parseFloat(order.subtotal_amount),
+          discount_amount: parseFloat(order.discount_amount),
+          currency: order.currency,
+          payment_method: value.payment_method,
+          customer_info: buyerInfo(order),
+          event_title: order.event_title,
+          description: `Commande ${order.order_number}`,
+          return_url: value.return_url,
+          cancel_url: value.cancel_url,
+          hold_ids: items.map(item => item.ticket_hold_id).filter(Boolean),
+          promo_redemption_ids: order.promo_redemption_ids || [],
+          metadata: { order_id: order.id, order_number: order.order_number }
+        }, database);
+      } catch (initError) {
+        await this.revertPaymentInitiation(order.id, user);
+        throw initError;
+      }
+
+      if (!payment.success) {
+        await this.revertPaymentInitiation(order.id, user);
+        return { success: false, error: payment.error, code: payment.code || 'PAYMENT_INIT_ERROR' };
+      }
+
+      // Le webhook de paiement a pu honorer la commande entre-temps : seul le paiement est rattaché
+      await ordersRepository.transaction(async (client) => {
+        const locked = await ordersRepository.lockById(order.id, client);
+        await ordersRepository.update(locked.id, {
+          payment_id: payment.payment_id,
+          payment_intent_id: payment.payment_intent_id
+        }, user.id, client);
+      });
+
+      return {
+        success: true,
+        data: {
+          order: await this.getOrderDetails(order.id),
+          payment: {
+            payment_intent_id: payment.payment_intent_id,
+            payment_url: payment.payment_url,
+            client_secret: payment.client_secret,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error paying order:', error);
+      return this.toErrorResult(error, 'Failed to pay order');
+    }
+  }
+
+  /**
+   * Remet en reserved une commande dont l'initiation du paiement a échoué
+   */
+  async revertPaymentInitiation(orderId, user = {}) {
+    return ordersRepository.transaction(async (client) => {
+      const locked = await ordersRepository.lockById(orderId, client);
+      if (locked.status !== 'pending_payment' || locked.payment_intent_id) {
+        return locked;
+      }
+      return this.transition(locked, 'reserved', { userId: user.id, reason: 'payment_init_failed' }, client);
+    });
+  }
+
+  /**
+   * Annule une commande non payée et rend ses places ; un paiement en cours est annulé
+   */
+  async cancel(orderId, user = {}, reason = null) {
+    try {
+      const order = await ordersRepository.findById(orderId);
+      if (!order) {
+        return { success: false, error: 'Order not found' };
+      }
+      if (!isOwner(order, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+      if (!ORDER_TRANSITIONS[order.status].includes('cancelled')) {
+        throw orderError(`Order ${order.order_number} is ${order.status} and cannot be cancelled`, 'ORDER_STATUS_INVALID');
+      }
+
+      // Initiation du paiement en cours (pay) : aucun paiement à annuler encore
+      if (order.status === 'pending_payment' && !order.payment_intent_id) {
+        throw orderError(`Payment of order ${order.order_number} is being initiated and cannot be cancelled yet`, 'ORDER_STATUS_INVALID');
+      }
+
+      if (order.status === 'pending_payment') {
+        const cancellation = await cancelPayment(order.payment_intent_id, database);
+        if (!cancellation.success) {
+          return { success: false, error: cancellation.error, code: cancellation.code || 'PAYMENT_NOT_CANCELLABLE' };
+        }
+      }
+
+      await ordersRepository.transaction(async (client) => {
+        const locked = await ordersRepository.lockById(order.id, client);
+        if (locked.status === 'reserved') {
+          const items = await ordersRepository.findItems(order.id, client);
+          const holdIds = items.map(item => item.ticket_hold_id).filter(Boolean);
+          if (holdIds.length > 0) {
+            await ticketInventoryService.releaseHoldIds(holdIds, 'order_cancelled', client);
+          }
+          if (locked.promo_redemption_ids && locked.promo_redemption_ids.length > 0) {
+            await promoCodesService.cancelRedemptionIds(locked.promo_redemption_ids, client);
+          }
+        }
+        // Un webhook d'annulation a pu clore la commande entre-temps
+        if (locked.status !== 'cancelled') {
+          await this.transition(locked, 'cancelled', {
+            userId: user.id,
+            reason: reason || 'cancelled_by_buyer',
+            fields: { cancelled_at: new Date() }
+          }, client);
+        }
+      });
+
+      return this.getOrder(order.id, user);
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      return this.toErrorResult(error, 'Failed to cancel order');
+    }
+  }
+
+  /**
+   * Expire une commande réservée dont la réservation a dépassé son TTL
+   */
+  async expireIfStale(order) {
+    if (order.status !== 'reserved' || !order.expires_at || new Date(order.expires_at) > new Date()) {
+      return order;
+    }
+
+    const expired = await ordersRepository.transaction(async (client) => {
+      const locked = await ordersRepository.lockById(order.id, client);
+      if (locked.status !== 'reserved') {
+        return locked;
+      }
+      // Les places se libèrent d'elles-mêmes ; les utilisations des codes promo sont rendues
+      if (locked.promo_redemption_ids && locked.promo_redemption_ids.length > 0) {
+        await promoCodesService.cancelRedemptionIds(locked.promo_redemption_ids, client);
+      }
+      return this.transition(locked, 'expired', { reason: 'reservation_expired' }, client);
+    });
+    return { ...order, ...expired };
+  }
+
+  async getOrderDetails(orderId) {
+    const order = await ordersRepository.findById(orderId);
+    return this.buildOrderDetails(order);
+  }
+
+  /**
+   * Détail d'une commande (acheteur ou organisateur de l'événement)
+   */
+  async getOrder(orderId, user = {}) {
+    try {
+      let order = await ordersRepository.findById(orderId);
+      if (!order) {
+        return { success: false, error: 'Order not found' };
+      }
+      if (!isOwner(order, user.id) && !isOrganizer(order, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      order = await this.expireIfStale(order);
+      return { success: true, data: await this.buildOrderDetails(order) };
+    } catch (error) {
+      console.error('Error getting order:', error);
+      return { success: false, error: error.message || 'Failed to get order' };
+    }
+  }
+
+  /**
+   * Historique des commandes de l'acheteur connecté (?status=&event_id=&page=&limit=)
+   */
+  async getMyOrders(user = {}, options = {}) {
+    try {
+      if (options.status && !ORDER_STATUSES.includes(options.status)) {
+        return { success: false, error: 'Invalid order status', details: [`status must be one of ${ORDER_STATUSES.join(', ')}`] };
+      }
+
+      const result = await ordersRepository.findByUser(user.id, {
+        status: options.status,
+        event_id: options.event_id,
+        page: options.page ? parseInt(options.page) : 1,
+        limit: options.limit ? Math.min(parseInt(options.limit), 100) : 20
+      });
+
+      return { success: true, data: result.orders, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error getting orders:', error);
+      return { success: false, error: error.message || 'Failed to get orders' };
+    }
+  }
+
+  // ========================================
+  // PAIEMENT ET ÉMISSION (webhooks)
+  // ========================================
+
+  /**
+   * Commande d'un paiement, retrouvée par payment intent ou par les métadonnées
+   * du paiement (webhook reçu avant que la commande ne connaisse son paiement)
+   */
+  async lockPaymentOrder(payment, client) {
+    const order = await ordersRepository.lockByPaymentIntent(payment.payment_intent_id, client);
+    if (order) {
+      return order;
+    }
+
+    const metadata = payment.metadata || {};
+    return metadata.order_id ? ordersRepository.lockById(metadata.order_id, client) : null;
+  }
+
+  /**
+   * Honore la commande d'un paiement réussi, dans la transaction du webhook.
+   * Idempotent : une commande déjà payée est ignorée.
+   * @param {Object} payment - Paiement local (payments)
+   * @returns {Promise<Object|null>} Émission à mettre en file (queueTicketGeneration), null sans commande
+   */
+  async fulfilPaidOrder(payment, client = null) {
+    if (!client) {
+      return ordersRepository.transaction(transactionClient => this.fulfilPaidOrder(payment, transactionClient));
+    }
+
+    const order = await this.lockPaymentOrder(payment, client);
+    if (!order) {
+      return null;
+    }
+    if (!ORDER_TRANSITIONS[order.status].includes('paid')) {
+      if (!['paid', 'fulfilled'].includes(order.status)) {
+        console.warn(`[ORDERS] Commande ${order.order_number} ${order.status}, paiement ${payment.payment_intent_id} non honoré`);
+      }
+      return null;
+    }
+
+    const paid = await this.transition(order, 'paid', {
+      reason: 'payment_completed',
+      fields: {
+        paid_at: new Date(),
+        payment_id: order.payment_id || payment.id,
+        payment_intent_id: order.payment_intent_id || payment.payment_intent_id
+      }
+    }, client);
+    return this.fulfilOrder(paid, client);
+  }
+
+  /**
+   * Émet un billet par participant à partir des réservations de la commande.
+   * Une réservation expirée n'est honorée que si ses places sont encore
+   * disponibles ; sinon le paiement est signalé à rembourser. La commande
+   * reste `paid` si une réservation n'est plus convertible.
+   */
+  async fulfilOrder(order, client) {
+    const items = await ordersRepository.findItems(order.id, client);
+    const attendees = await ordersRepository.findAttendees(items.map(item => item.id), client);
+
+    // Réservation expirée : capacité revérifiée sous le verrou des types, pris avant celui des réservations
+    if (order.expires_at && new Date(order.expires_at) <= new Date()) {
+      await ticketInventoryService.lockTicketTypes(items.map(item => item.ticket_type_id), client);
+    }
+
+    const holds = await ticketInventoryService.lockHolds(items.map(item => item.ticket_hold_id).filter(Boolean), client);
+    const holdsById = new Map(holds.map(hold => [String(hold.id), hold]));
+
+    const tickets = [];
+    const unfulfilled = [];
+    let complete = true;
+
+    for (const item of items) {
+      const hold = holdsById.get(String(item.ticket_hold_id));
+      if (!hold || !['held', 'expired'].includes(hold.status)) {
+        console.warn(`[ORDERS] Réservation de la ligne ${item.id} (commande ${order.order_number}) non convertible`);
+        complete = false;
+        continue;
+      }
+
+      if (!(await ticketInventoryService.isHoldStillAvailable(hold, client))) {
+        console.warn(`[ORDERS] Places de la ligne ${item.id} (commande ${order.order_number}) reprises après expiration`);
+        await ticketInventoryService.markHoldUnfulfilled(hold, client);
+        unfulfilled.push(hold);
+        complete = false;
+        continue;
+      }
+
+      const itemAttendees = attendees.filter(attendee => String(attendee.order_item_id) === String(item.id));
+      const issued = await ticketInventoryService.convertHoldForAttendees(hold, itemAttendees, client);
+
+      for (const [index, { ticket, event_guest }] of issued.entries()) {
+        const attendee = itemAttendees[index];
+        await ordersRepository.markAttendeeIssued(attendee.id, event_guest.id, ticket.id, client);
+        tickets.push({ ticket, attendee, item });
+      }
+    }
+
+    if (unfulfilled.length > 0 && order.payment_intent_id) {
+      await ticketInventoryService.flagUnfulfilledPayment(order.payment_intent_id, unfulfilled, client);
+    }
+
+    if (complete) {
+      order = await this.transition(order, 'fulfilled', { fields: { fulfilled_at: new Date() } }, client);
+    }
+
+    console.log(`[ORDERS] ${tickets.length} billet(s) émis pour la commande ${order.order_number}`);
+    return { order, tickets };
+  }
+
+  /**
+   * Clôt la commande d'un paiement échoué, annulé ou expiré (places déjà libérées)
+   * @param {string} status - failed | cancelled | expired
+   */
+  async closeUnpaidOrder(payment, status, client = null) {
+    if (!client) {
+      return ordersRepository.transaction(transactionClient => this.closeUnpaidOrder(payment, status, transactionClient));
+    }
+
+    const order = await this.lockPaymentOrder(payment, client);
+    const targetStatus = status === 'canceled' ? 'cancelled' : status;
+    if (!order || !ORDER_TRANSITIONS[order.status].includes(targetStatus)) {
+      return null;
+    }
+
+    return this.transition(order, targetStatus, {
+      reason: `payment_${status}`,
+      fields: targetStatus === 'cancelled' ? { cancelled_at: new Date() } : {}
+    }, client);
+  }
+
+  /**
+   * Met en file la génération des billets émis, une fois la transaction validée.
+   * Un échec est journalisé : les billets restent valides et peuvent être régénérés.
+   * @param {Object|null} fulfilment - Résultat de fulfilOrder
+   */
+  async queueTicketGeneration(fulfilment) {
+    if (!fulfilment || fulfilment.tickets.length === 0) {
+      return null;
+    }
+
+    try {
+      const { order } = fulfilment;
+      const event = await ordersRepository.findEvent(order.event_id);
+
+      const job = await createTicketGenerationJob({
+        event_id: order.event_id,
+        tickets: fulfilment.tickets.map(({ ticket, attendee, item }) => ({
+          ticket_id: ticket.id,
+          ticket_code: ticket.ticket_code,
+          template_path: 'default',
+          render_payload: {
+            ticketData: {
+              id: ticket.id,
+              eventId: order.event_id,
+              userId: order.user_id,
+              type: item.ticket_type_name || 'standard',
+              attendeeName: [attendee.first_name, attendee.last_name].filter(Boolean).join(' ') || attendee.email,
+              attendeeEmail: attendee.email,
+              attendeePhone: attendee.phone || null,
+              eventTitle: event ? event.title : 'Événement',
+              eventDate: event && event.event_date ? new Date(event.event_date).toISOString() : new Date().toISOString(),
+              location: (event && event.location) || 'Non spécifié',
+              orderNumber: order.order_number
+            },
+            options: {
+              qrFormat: 'base64',
+              qrSize: 'medium',
+              pdfFormat: true,
+              includeLogo: false
+            }
+          }
+        }))
+      });
+
+      console.log(`[ORDERS] Génération de ${fulfilment.tickets.length} billet(s) en file pour la commande ${order.order_number}`);
+      return job;
+    } catch (error) {
+      console.error(`[ORDERS] Erreur mise en file de la génération (commande ${fulfilment.order.order_number}):`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new OrdersService();
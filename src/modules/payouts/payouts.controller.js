@@ -0,0 +1,131 @@
+const payoutsService = require('./payouts.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux reversements
+ */
+function sendPayoutError(res, result) {
+  if (['Payout not found', 'Designer not found'].includes(result.error)) {
+    return res.status(404).json(ResponseFormatter.notFound(result.error.replace(' not found', '')));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  if (result.code === 'PAYOUT_STATUS_INVALID') {
+    return res.status(409).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  if (result.code === 'NO_PENDING_EARNINGS') {
+    return res.status(422).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class PayoutsController {
+  async listPayouts(req, res, next) {
+    try {
+      const result = await payoutsService.listPayouts(req.query);
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Payouts retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getMyPayouts(req, res, next) {
+    try {
+      const result = await payoutsService.getMyPayouts(req.user, req.query);
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Payouts retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPendingBalances(req, res, next) {
+    try {
+      const result = await payoutsService.getPendingBalances(req.query);
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Pending balances retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createPayout(req, res, next) {
+    try {
+      const result = await payoutsService.createPayout(req.body, req.user?.id);
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Payout created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPayout(req, res, next) {
+    try {
+      const result = await payoutsService.getPayout(req.params.id, req.user || {});
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Payout retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updatePayoutStatus(req, res, next) {
+    try {
+      const result = await payoutsService.updatePayoutStatus(req.params.id, req.body, req.user?.id);
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Payout status updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async exportStatement(req, res, next) {
+    try {
+      const result = await payoutsService.getPayoutStatement(req.params.id, req.user || {});
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+      res.send(result.data.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setDesignerShare(req, res, next) {
+    try {
+      const result = await payoutsService.setDesignerShare(req.params.designerId, req.body, req.user?.id);
+      if (!result.success) {
+        return sendPayoutError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Designer revenue share updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PayoutsController();
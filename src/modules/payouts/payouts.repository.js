@@ -0,0 +1,426 @@
+const { database } = require('../../config');
+
+// Colonnes d'un lot modifiables au changement de statut
+const UPDATABLE_PAYOUT_FIELDS = [
+  'status', 'reference', 'failure_reason', 'notes', 'processing_at', 'paid_at', 'failed_at', 'cancelled_at'
+];
+
+/**
+ * Accès au registre des revenus et aux lots de reversement
+ */
+class PayoutsRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  // ========================================
+  // REGISTRE DES REVENUS
+  // ========================================
+
+  /**
+   * Enregistre les écritures d'un paiement ou d'un achat ; les écritures déjà
+   * présentes pour le même bénéficiaire sont ignorées
+   * @returns {Promise<Array>} Écritures créées
+   */
+  async createEntries(entries, client = database) {
+    const created = [];
+
+    for (const entry of entries) {
+      const query = `
+        INSERT INTO earnings_ledger (
+          party_type, party_id, gross_amount, platform_fee_amount, amount, currency,
+          rate_percentage, status, payment_id, purchase_id, event_id, template_id, refund_id, created_by, updated_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $14)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        entry.party_type,
+        entry.party_id || null,
+        entry.gross_amount,
+        entry.platform_fee_amount,
+        entry.amount,
+        entry.currency,
+        entry.rate_percentage,
+        entry.status || 'pending',
+        entry.payment_id || null,
+        entry.purchase_id || null,
+        entry.event_id || null,
+        entry.template_id || null,
+        entry.refund_id || null,
+        entry.created_by || null
+      ]);
+      if (result.rows[0]) {
+        created.push(result.rows[0]);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Écritures d'origine d'un paiement ou d'un achat (hors annulations)
+   * @param {Object} source - { paymentId } ou { purchaseId }
+   */
+  async findSourceEntries(source, client = database) {
+    const column = source.paymentId ? 'payment_id' : 'purchase_id';
+    const query = `
+      SELECT * FROM earnings_ledger
+      WHERE ${column} = $1 AND refund_id IS NULL AND deleted_at IS NULL
+      ORDER BY id ASC
+    `;
+
+    const result = await client.query(query, [source.paymentId || source.purchaseId]);
+    return result.rows;
+  }
+
+  /**
+   * Montant d'un paiement, total déjà remboursé et brut déjà annulé pour son bénéficiaire
+   */
+  async findPaymentReversalState(paymentId, client = database) {
+    const query = `
+      SELECT p.amount, p.refunded_amount,
+             COALESCE((
+               SELECT SUM(-l.gross_amount) FROM earnings_ledger l
+               WHERE l.payment_id = p.id AND l.refund_id IS NOT NULL
+                 AND l.party_type <> 'platform' AND l.deleted_at IS NULL
+             ), 0) AS reversed_gross
+      FROM payments p
+      WHERE p.id = $1
+    `;
+
+    const result = await client.query(query, [paymentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Écritures d'un bénéficiaire (?status=&currency=&page=&limit=)
+   */
+  async findEntries(partyType, partyId, options = {}) {
+    const { status, currency, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [partyType, partyId];
+    let where = 'WHERE l.party_type = $1 AND l.party_id = $2 AND l.deleted_at IS NULL';
+    if (status) {
+      values.push(status);
+      where += ` AND l.status = $${values.length}`;
+    }
+    if (currency) {
+      values.push(currency);
+      where += ` AND l.currency = $${values.length}`;
+    }
+
+    const query = `
+      SELECT l.*, t.name AS template_name, e.title AS event_title
+      FROM earnings_ledger l
+      LEFT JOIN templates t ON t.id = l.template_id
+      LEFT JOIN events e ON e.id = l.event_id
+      ${where}
+      ORDER BY l.created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) AS total FROM earnings_ledger l ${where}`;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      entries: rows.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Totaux d'un bénéficiaire par devise et par statut
+   */
+  async getEarningsSummary(partyType, partyId) {
+    const query = `
+      SELECT currency,
+        COALESCE(SUM(gross_amount), 0) AS gross_amount,
+        COALESCE(SUM(platform_fee_amount), 0) AS platform_fee_amount,
+        COALESCE(SUM(amount), 0) AS earned_amount,
+        COALESCE(SUM(amount) FILTER (WHERE status = 'pending'), 0) AS pending_amount,
+        COALESCE(SUM(amount) FILTER (WHERE status = 'in_payout'), 0) AS in_payout_amount,
+        COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0) AS paid_amount,
+        COUNT(*)::int AS entry_count
+      FROM earnings_ledger
+      WHERE party_type = $1 AND party_id = $2 AND deleted_at IS NULL
+      GROUP BY currency
+      ORDER BY currency ASC
+    `;
+
+    const result = await database.query(query, [partyType, partyId]);
+    return result.rows;
+  }
+
+  /**
+   * Soldes à reverser, par bénéficiaire et par devise (?party_type=&currency=)
+   */
+  async getPendingBalances(options = {}) {
+    const values = [];
+    let where = "WHERE status = 'pending' AND party_type <> 'platform' AND deleted_at IS NULL";
+    if (options.party_type) {
+      values.push(options.party_type);
+      where += ` AND party_type = $${values.length}`;
+    }
+    if (options.currency) {
+      values.push(options.currency);
+      where += ` AND currency = $${values.length}`;
+    }
+
+    const query = `
+      SELECT party_type, party_id, currency, SUM(amount) AS pending_amount, COUNT(*)::int AS entry_count,
+        MIN(created_at) AS oldest_entry_at
+      FROM earnings_ledger
+      ${where}
+      GROUP BY party_type, party_id, currency
+      ORDER BY party_type ASC, pending_amount DESC
+    `;
+
+    const result = await database.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Verrouille les écritures à reverser d'un bénéficiaire dans une devise
+   * @param {Date|string|null} until - Écritures créées jusqu'à cette date incluse
+   */
+  async lockPendingEntries(partyType, partyId, currency, until, client) {
+    const values = [partyType, partyId, currency];
+    let query = `
+      SELECT * FROM earnings_ledger
+      WHERE party_type = $1 AND party_id = $2 AND currency = $3
+        AND status = 'pending' AND deleted_at IS NULL
+    `;
+    if (until) {
+      values.push(until);
+      query += ` AND created_at <= $${values.length}`;
+    }
+    query += ' ORDER BY created_at ASC FOR UPDATE';
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  async attachEntries(entryIds, payoutId, userId, client) {
+    const query = `
+      UPDATE earnings_ledger
+      SET status = 'in_payout', payout_id = $2, updated_by = $3, updated_at = NOW()
+      WHERE id = ANY($1)
+    `;
+
+    await client.query(query, [entryIds, payoutId, userId || null]);
+  }
+
+  async markEntriesPaid(payoutId, userId, client) {
+    const query = `
+      UPDATE earnings_ledger
+      SET status = 'paid', updated_by = $2, updated_at = NOW()
+      WHERE payout_id = $1
+    `;
+
+    await client.query(query, [payoutId, userId || null]);
+  }
+
+  /**
+   * Les écritures d'un lot annulé redeviennent à reverser
+   */
+  async releaseEntries(payoutId, userId, client) {
+    const query = `
+      UPDATE earnings_ledger
+      SET status = 'pending', payout_id = NULL, updated_by = $2, updated_at = NOW()
+      WHERE payout_id = $1
+    `;
+
+    await client.query(query, [payoutId, userId || null]);
+  }
+
+  /**
+   * Écritures d'un lot, pour le relevé
+   */
+  async findPayoutEntries(payoutId) {
+    const query = `
+      SELECT l.*, t.name AS template_name, e.title AS event_title,
+        p.payment_intent_id, pu.transaction_id
+      FROM earnings_ledger l
+      LEFT JOIN templates t ON t.id = l.template_id
+      LEFT JOIN events e ON e.id = l.event_id
+      LEFT JOIN payments p ON p.id = l.payment_id
+      LEFT JOIN purchases pu ON pu.id = l.purchase_id
+      WHERE l.payout_id = $1
+      ORDER BY l.created_at ASC
+    `;
+
+    const result = await database.query(query, [payoutId]);
+    return result.rows;
+  }
+
+  // ========================================
+  // LOTS DE REVERSEMENT
+  // ========================================
+
+  async createPayout(payoutData, client) {
+    const query = `
+      INSERT INTO payouts (party_type, party_id, currency, total_amount, entry_count, notes, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      payoutData.party_type,
+      payoutData.party_id,
+      payoutData.currency,
+      payoutData.total_amount,
+      payoutData.entry_count,
+      payoutData.notes || null,
+      payoutData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async findPayoutById(id, client = database, forUpdate = false) {
+    const query = `
+      SELECT * FROM payouts
+      WHERE id = $1 AND deleted_at IS NULL
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  async updatePayout(id, fields, userId, client = database) {
+    const entries = Object.entries(fields).filter(([field]) => UPDATABLE_PAYOUT_FIELDS.includes(field));
+    const assignments = entries.map(([field], index) => `${field} = $${index + 2}`);
+
+    const query = `
+      UPDATE payouts
+      SET ${assignments.join(', ')}${assignments.length ? ',' : ''}
+        updated_by = $${entries.length + 2}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [id, ...entries.map(([, value]) => value), userId || null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lots de reversement (?party_type=&party_id=&status=&currency=&page=&limit=)
+   * @param {Array<{ party_type, party_id }>} [parties] - Limite aux lots de ces bénéficiaires
+   */
+  async findPayouts(options = {}, parties = null) {
+    const { party_type, party_id, status, currency, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [];
+    let where = 'WHERE deleted_at IS NULL';
+    if (parties) {
+      const conditions = parties.map(party => {
+        values.push(party.party_type, party.party_id);
+        return `(party_type = $${values.length - 1} AND party_id = $${values.length})`;
+      });
+      where += ` AND (${conditions.join(' OR ') || 'FALSE'})`;
+    }
+    if (party_type) {
+      values.push(party_type);
+      where += ` AND party_type = $${values.length}`;
+    }
+    if (party_id) {
+      values.push(party_id);
+      where += ` AND party_id = $${values.length}`;
+    }
+    if (status) {
+      values.push(status);
+      where += ` AND status = $${values.length}`;
+    }
+    if (currency) {
+      values.push(currency);
+      where += ` AND currency = $${values.length}`;
+    }
+
+    const query = `
+      SELECT * FROM payouts
+      ${where}
+      ORDER BY created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) AS total FROM payouts ${where}`;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      payouts: rows.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // ========================================
+  // SOURCES DES ÉCRITURES
+  // ========================================
+
+  async findDesignerByUserId(userId) {
+    const result = await database.query(
+      'SELECT * FROM designers WHERE user_id = $1 AND deleted_at IS NULL',
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findDesignerById(designerId) {
+    const result = await database.query(
+      'SELECT * FROM designers WHERE id = $1 AND deleted_at IS NULL',
+      [designerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async updateDesignerShare(designerId, percentage, userId) {
+    const query = `
+      UPDATE designers
+      SET revenue_share_percentage = $2, updated_by = $3, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [designerId, percentage, userId || null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Template vendu et part de son designer
+   */
+  async findTemplateWithDesigner(templateId, client = database) {
+    const query = `
+      SELECT t.id, t.name, t.price, t.currency, t.designer_id, d.revenue_share_percentage
+      FROM templates t
+      JOIN designers d ON d.id = t.designer_id
+      WHERE t.id = $1
+    `;
+
+    const result = await client.query(query, [templateId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new PayoutsRepository();
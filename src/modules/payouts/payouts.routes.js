@@ -0,0 +1,54 @@
+const express = require('express');
+const payoutsController = require('./payouts.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Lots de l'utilisateur connecté, comme organisateur et comme designer (?status=&currency=&page=&limit=)
+router.get('/me', payoutsController.getMyPayouts);
+
+// Soldes à reverser par bénéficiaire et par devise (?party_type=&currency=)
+router.get('/balances',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('payouts.read'),
+  payoutsController.getPendingBalances
+);
+
+// Lots de reversement (?party_type=&party_id=&status=&currency=&page=&limit=)
+router.get('/',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('payouts.read'),
+  payoutsController.listPayouts
+);
+
+// Création d'un lot : { party_type, party_id, currency, until?, notes? }
+router.post('/',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('payouts.manage'),
+  payoutsController.createPayout
+);
+
+// Part d'un designer sur ses ventes : { revenue_share_percentage } (null : part par défaut)
+router.put('/designers/:designerId/share',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('payouts.manage'),
+  payoutsController.setDesignerShare
+);
+
+// Détail d'un lot et de ses écritures (administrateurs ou bénéficiaire)
+router.get('/:id', payoutsController.getPayout);
+
+// Relevé CSV du lot
+router.get('/:id/statement', payoutsController.exportStatement);
+
+// Changement de statut : { status, reference?, failure_reason?, notes? }
+router.put('/:id/status',
+  SecurityMiddleware.adminOnly(),
+  SecurityMiddleware.withPermissions('payouts.manage'),
+  payoutsController.updatePayoutStatus
+);
+
+module.exports = router;
@@ -0,0 +1,557 @@
+const Joi = require('joi');
+const payoutsRepository = require('./payouts.repository');
+const { normalizeCurrency, validateCurrency, roundToCurrency } = require('../../utils/currency');
+
+// Commission de la plateforme sur les ventes de billets, en pourcentage
+const PLATFORM_FEE_PERCENTAGE = parseFloat(process.env.PLATFORM_FEE_PERCENTAGE || '5');
+
+// Part du designer sur une vente de template, sauf taux propre au designer
+const DESIGNER_REVENUE_SHARE_PERCENTAGE = parseFloat(process.env.DESIGNER_REVENUE_SHARE_PERCENTAGE || '70');
+
+const PAYOUT_PARTY_TYPES = ['organizer', 'designer'];
+
+const PAYOUT_STATUSES = ['draft', 'processing', 'paid', 'failed', 'cancelled'];
+
+// Transitions autorisées d'un lot de reversement
+const PAYOUT_TRANSITIONS = {
+  draft: ['processing', 'cancelled'],
+  processing: ['paid', 'failed'],
+  // Un virement échoué peut être relancé ou abandonné
+  failed: ['processing', 'cancelled'],
+  paid: [],
+  cancelled: []
+};
+
+// Colonnes du relevé CSV d'un lot
+const STATEMENT_COLUMNS = [
+  'entry_id', 'date', 'source', 'reference', 'description',
+  'gross_amount', 'platform_fee_amount', 'rate_percentage', 'amount', 'currency'
+];
+
+const createPayoutSchema = Joi.object({
+  party_type: Joi.string().valid(...PAYOUT_PARTY_TYPES).required(),
+  party_id: Joi.number().integer().positive().required(),
+  currency: Joi.string().custom(validateCurrency).required(),
+  // Écritures créées jusqu'à cette date incluse (toutes par défaut)
+  until: Joi.date().iso(),
+  notes: Joi.string().trim().max(1000).allow(null, '')
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string().valid(...PAYOUT_STATUSES).required(),
+  reference: Joi.string().trim().max(255).allow(null, ''),
+  failure_reason: Joi.string().trim().max(1000).allow(null, ''),
+  notes: Joi.string().trim().max(1000).allow(null, '')
+});
+
+const shareSchema = Joi.object({
+  // null : retour à la part par défaut
+  revenue_share_percentage: Joi.number().min(0).max(100).precision(2).allow(null).required()
+});
+
+const listSchema = Joi.object({
+  party_type: Joi.string().valid(...PAYOUT_PARTY_TYPES),
+  party_id: Joi.number().integer().positive(),
+  status: Joi.string().valid(...PAYOUT_STATUSES),
+  currency: Joi.string().custom(validateCurrency),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+function payoutError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isSameUser(value, userId) {
+  return value !== null && value !== undefined && (value === userId || String(value) === String(userId));
+}
+
+function isAdmin(user = {}) {
+  return !!(
+    user.email === 'admin@eventplanner.com' ||
+    (user.roles || []).includes('super_admin') ||
+    (user.permissions || []).includes('payouts.admin')
+  );
+}
+
+function roundPercentage(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Répartit un montant encaissé : part du bénéficiaire au taux donné, le reste
+ * revenant à la plateforme
+ */
+function splitAmount(grossAmount, sharePercentage, currency) {
+  const gross = roundToCurrency(parseFloat(grossAmount), currency);
+  const share = roundToCurrency(gross * sharePercentage / 100, currency);
+  return { gross, share, platformFee: roundToCurrency(gross - share, currency) };
+}
+
+/**
+ * Registre des revenus et reversements. Chaque paiement encaissé est réparti
+ * dans earnings_ledger : commission de la plateforme et net de l'organisateur
+ * pour les billets, part de la plateforme et part du designer pour les templates.
+ * Les écritures à reverser sont regroupées en lots (payouts) par bénéficiaire
+ * et par devise, dont le relevé est exportable en CSV.
+ */
+class PayoutsService {
+  // ========================================
+  // ENREGISTREMENT DES REVENUS
+  // ========================================
+
+  /**
+   * Répartit un paiement de billets encaissé (webhook payment.completed)
+   * @returns {Promise<Array>} Écritures créées, vide si déjà enregistré
+   */
+  async recordPaymentEarnings(payment, client) {
+    const amount = parseFloat(payment.amount);
+    if (!payment.organizer_id || !(amount > 0)) {
+      return [];
+    }
+
+    const currency = normalizeCurrency(payment.currency);
+    const organizerShare = roundPercentage(100 - PLATFORM_FEE_PERCENTAGE);
+    const { gross, share, platformFee } = splitAmount(amount, organizerShare, currency);
+    const common = {
+      gross_amount: gross,
+      platform_fee_amount: platformFee,
+      currency,
+      payment_id: payment.id,
+      event_id: payment.event_id
+    };
+
+    return payoutsRepository.createEntries([
+      { ...common, party_type: 'organizer', party_id: payment.organizer_id, amount: share, rate_percentage: organizerShare },
+      { ...common, party_type: 'platform', amount: platformFee, rate_percentage: PLATFORM_FEE_PERCENTAGE, status: 'paid' }
+    ], client);
+  }
+
+  /**
+   * Répartit une vente de template entre son designer et la plateforme
+   * @param {Object} sale - { template_id, amount, currency, payment_id?, purchase_id?, created_by? }
+   */
+  async recordTemplateEarnings(sale, client) {
+    const amount = parseFloat(sale.amount);
+    if (!(amount > 0)) {
+      return [];
+    }
+
+    const template = await payoutsRepository.findTemplateWithDesigner(sale.template_id, client);
+    if (!template) {
+      console.warn(`[PAYOUTS] Template ${sale.template_id} introuvable, vente non répartie`);
+      return [];
+    }
+
+    const currency = normalizeCurrency(sale.currency || template.currency);
+    const designerShare = template.revenue_share_percentage !== null && template.revenue_share_percentage !== undefined
+      ? parseFloat(template.revenue_share_percentage)
+      : DESIGNER_REVENUE_SHARE_PERCENTAGE;
+    const { gross, share, platformFee } = splitAmount(amount, designerShare, currency);
+    const common = {
+      gross_amount: gross,
+      platform_fee_amount: platformFee,
+      currency,
+      payment_id: sale.payment_id,
+      purchase_id: sale.purchase_id,
+      template_id: template.id,
+      created_by: sale.created_by
+    };
+
+    return payoutsRepository.createEntries([
+      { ...common, party_type: 'designer', party_id: template.designer_id, amount: share, rate_percentage: designerShare },
+      { ...common, party_type: 'platform', amount: platformFee, rate_percentage: roundPercentage(100 - designerShare), status: 'paid' }
+    ], client);
+  }
+
+  /**
+   * Annule la part remboursée d'un paiement ou d'un achat : une écriture négative
+   * par bénéficiaire, au taux de l'écriture d'origine. L'annulation d'une part déjà
+   * reversée vient en déduction du prochain lot du bénéficiaire.
+   * Pour un paiement, le total remboursé (refunded_amount, remboursement compris)
+   * est comparé au brut déjà annulé : seul l'écart est annulé.
+   * @param {Object} refund - Remboursement confirmé : { id, amount, payment_id?, purchase_id?, created_by? }
+   * @returns {Promise<Array>} Écritures créées, vide si déjà enregistré ou sans revenus
+   */
+  async recordRefundReversal(refund, client) {
+    const amount = parseFloat(refund.amount);
+    if (!(amount > 0) || (!refund.payment_id && !refund.purchase_id)) {
+      return [];
+    }
+
+    const entries = await payoutsRepository.findSourceEntries(
+      refund.payment_id ? { paymentId: refund.payment_id } : { purchaseId: refund.purchase_id },
+      client
+    );
+    const beneficiary = entries.find(entry => entry.party_type !== 'platform');
+    const platform = entries.find(entry => entry.party_type === 'platform');
+    if (!beneficiary) {
+      return [];
+    }
+
+    const currency = beneficiary.currency;
+    const earned = parseFloat(beneficiary.gross_amount);
+    let refunded = Math.min(amount, earned);
+
+    // Paiement en partie non honoré : ses gains ne portent que sur la part honorée,
+    // les remboursements couvrent d'abord la part restée sans gains
+    if (refund.payment_id) {
+      const state = await payoutsRepository.findPaymentReversalState(refund.payment_id, client);
+      if (state) {
+        const unearned = parseFloat(state.amount) - earned;
+        const reversible = Math.min(earned, Math.max(0, parseFloat(state.refunded_amount) - unearned));
+        refunded = roundToCurrency(reversible - parseFloat(state.reversed_gross), currency);
+      }
+    }
+    if (!(refunded > 0)) {
+      return [];
+    }
+
+    const { gross, share, platformFee } = splitAmount(refunded, parseFloat(beneficiary.rate_percentage), currency);
+    const common = {
+      gross_amount: -gross,
+      platform_fee_amount: -platformFee,
+      currency,
+      payment_id: beneficiary.payment_id,
+      purchase_id: beneficiary.purchase_id,
+      event_id: beneficiary.event_id,
+      template_id: beneficiary.template_id,
+      refund_id: refund.id,
+      created_by: refund.created_by
+    };
+
+    const reversals = [
+      { ...common, party_type: beneficiary.party_type, party_id: beneficiary.party_id, amount: -share, rate_percentage: beneficiary.rate_percentage }
+    ];
+    if (platform) {
+      reversals.push({ ...common, party_type: 'platform', amount: -platformFee, rate_percentage: platform.rate_percentage, status: 'paid' });
+    }
+
+    return payoutsRepository.createEntries(reversals, client);
+  }
+
+  /**
+   * Répartition d'un achat direct de la marketplace ; un échec est journalisé
+   * sans remettre en cause l'achat
+   */
+  async recordPurchaseEarnings(purchase) {
+    try {
+      await this.recordTemplateEarnings({
+        template_id: purchase.template_id,
+        amount: purchase.amount,
+        currency: purchase.currency,
+        purchase_id: purchase.id,
+        created_by: purchase.created_by
+      });
+    } catch (error) {
+      console.error(`[PAYOUTS] Répartition de l'achat ${purchase.id} impossible:`, error.message);
+    }
+  }
+
+  // ========================================
+  // LOTS DE REVERSEMENT
+  // ========================================
+
+  /**
+   * Résultat d'erreur commun aux opérations sur les lots
+   */
+  toErrorResult(error, fallback) {
+    if (error.code === 'PAYOUT_NOT_FOUND') {
+      return { success: false, error: 'Payout not found' };
+    }
+    if (['PAYOUT_STATUS_INVALID', 'NO_PENDING_EARNINGS'].includes(error.code)) {
+      return { success: false, error: error.message, code: error.code };
+    }
+    return { success: false, error: error.message || fallback };
+  }
+
+  /**
+   * Regroupe les écritures à reverser d'un bénéficiaire dans un lot brouillon
+   */
+  async createPayout(data, userId) {
+    try {
+      const { error, value } = createPayoutSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid payout', details: error.details.map(d => d.message) };
+      }
+      const payout = await payoutsRepository.transaction(async (client) => {
+        const entries = await payoutsRepository.lockPendingEntries(
+          value.party_type, value.party_id, value.currency, value.until, client
+        );
+        if (entries.length === 0) {
+          throw payoutError(`No pending earnings for ${value.party_type} ${value.party_id} in ${value.currency}`, 'NO_PENDING_EARNINGS');
+        }
+
+        // Les annulations de remboursements sont déduites ; un solde négatif attend de nouveaux revenus
+        const total = entries.reduce((sum, entry) => sum + parseFloat(entry.amount), 0);
+        if (roundToCurrency(total, value.currency) <= 0) {
+          throw payoutError(`Pending earnings of ${value.party_type} ${value.party_id} in ${value.currency} do not cover refunds`, 'NO_PENDING_EARNINGS');
+        }
+
+        const created = await payoutsRepository.createPayout({
+          party_type: value.party_type,
+          party_id: value.party_id,
+          currency: value.currency,
+          total_amount: roundToCurrency(total, value.currency),
+          entry_count: entries.length,
+          notes: value.notes,
+          created_by: userId
+        }, client);
+        await payoutsRepository.attachEntries(entries.map(entry => entry.id), created.id, userId, client);
+
+        return created;
+      });
+
+      return { success: true, data: payout };
+    } catch (error) {
+      console.error('Error creating payout:', error);
+      return this.toErrorResult(error, 'Failed to create payout');
+    }
+  }
+
+  /**
+   * Fait avancer un lot : payé, ses écritures sont reversées ; annulé, elles
+   * redeviennent à reverser
+   */
+  async updatePayoutStatus(payoutId, data, userId) {
+    try {
+      const { error, value } = statusSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid payout status', details: error.details.map(d => d.message) };
+      }
+
+      const payout = await payoutsRepository.transaction(async (client) => {
+        const current = await payoutsRepository.findPayoutById(payoutId, client, true);
+        if (!current) {
+          throw payoutError('Payout not found', 'PAYOUT_NOT_FOUND');
+        }
+        if (!PAYOUT_TRANSITIONS[current.status].includes(value.status)) {
+          throw payoutError(`Payout ${current.id} cannot go from ${current.status} to ${value.status}`, 'PAYOUT_STATUS_INVALID');
+        }
+
+        const fields = { status: value.status, [`${value.status}_at`]: new Date() };
+        ['reference', 'failure_reason', 'notes'].forEach((field) => {
+          if (value[field] !== undefined) {
+            fields[field] = value[field] || null;
+          }
+        });
+
+        if (value.status === 'paid') {
+          await payoutsRepository.markEntriesPaid(current.id, userId, client);
+        } else if (value.status === 'cancelled') {
+          await payoutsRepository.releaseEntries(current.id, userId, client);
+        }
+
+        return payoutsRepository.updatePayout(current.id, fields, userId, client);
+      });
+
+      return { success: true, data: payout };
+    } catch (error) {
+      console.error('Error updating payout status:', error);
+      return this.toErrorResult(error, 'Failed to update payout status');
+    }
+  }
+
+  async listPayouts(query = {}) {
+    try {
+      const { error, value } = listSchema.validate(query, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid query', details: error.details.map(d => d.message) };
+      }
+
+      const result = await payoutsRepository.findPayouts(value);
+      return { success: true, data: result.payouts, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error listing payouts:', error);
+      return { success: false, error: error.message || 'Failed to list payouts' };
+    }
+  }
+
+  /**
+   * Lots de l'utilisateur connecté, comme organisateur et comme designer
+   */
+  async getMyPayouts(user, query = {}) {
+    try {
+      const { error, value } = listSchema.fork(['party_type', 'party_id'], schema => schema.forbidden())
+        .validate(query, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid query', details: error.details.map(d => d.message) };
+      }
+
+      const result = await payoutsRepository.findPayouts(value, await this.getParties(user));
+      return { success: true, data: result.payouts, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error getting my payouts:', error);
+      return { success: false, error: error.message || 'Failed to get payouts' };
+    }
+  }
+
+  /**
+   * Soldes à reverser par bénéficiaire et par devise
+   */
+  async getPendingBalances(query = {}) {
+    try {
+      const { error, value } = listSchema.validate(query, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid query', details: error.details.map(d => d.message) };
+      }
+
+      const balances = await payoutsRepository.getPendingBalances(value);
+      return { success: true, data: balances };
+    } catch (error) {
+      console.error('Error getting pending balances:', error);
+      return { success: false, error: error.message || 'Failed to get pending balances' };
+    }
+  }
+
+  async getPayout(payoutId, user) {
+    try {
+      const payout = await this.findAccessiblePayout(payoutId, user);
+      const entries = await payoutsRepository.findPayoutEntries(payout.id);
+
+      return { success: true, data: { ...payout, entries } };
+    } catch (error) {
+      console.error('Error getting payout:', error);
+      return this.toErrorResult(error, 'Failed to get payout');
+    }
+  }
+
+  /**
+   * Relevé CSV d'un lot : une ligne par écriture reversée
+   * @returns {Promise<Object>} { success, data: { filename, content } }
+   */
+  async getPayoutStatement(payoutId, user) {
+    try {
+      const payout = await this.findAccessiblePayout(payoutId, user);
+      const entries = await payoutsRepository.findPayoutEntries(payout.id);
+
+      const rows = entries.map(entry => [
+        entry.id,
+        new Date(entry.created_at).toISOString(),
+        entry.refund_id ? 'refund' : (entry.payment_id ? 'payment' : 'purchase'),
+        entry.payment_intent_id || entry.transaction_id || '',
+        entry.template_name ? `Template ${entry.template_name}` : (entry.event_title || ''),
+        entry.gross_amount,
+        entry.platform_fee_amount,
+        entry.rate_percentage,
+        entry.amount,
+        entry.currency
+      ]);
+
+      const content = [STATEMENT_COLUMNS, ...rows]
+        .map(row => row.map(escapeCsv).join(','))
+        .join('\n');
+
+      return {
+        success: true,
+        data: {
+          filename: `payout-${payout.id}-${payout.party_type}-${payout.party_id}.csv`,
+          content: `${content}\n`
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting payout statement:', error);
+      return this.toErrorResult(error, 'Failed to export payout statement');
+    }
+  }
+
+  // ========================================
+  // DESIGNERS
+  // ========================================
+
+  /**
+   * Part d'un designer sur ses ventes (null : part par défaut)
+   */
+  async setDesignerShare(designerId, data, userId) {
+    try {
+      const { error, value } = shareSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid revenue share', details: error.details.map(d => d.message) };
+      }
+
+      const designer = await payoutsRepository.updateDesignerShare(designerId, value.revenue_share_percentage, userId);
+      if (!designer) {
+        return { success: false, error: 'Designer not found' };
+      }
+
+      return {
+        success: true,
+        data: {
+          ...designer,
+          effective_share_percentage: value.revenue_share_percentage ?? DESIGNER_REVENUE_SHARE_PERCENTAGE
+        }
+      };
+    } catch (error) {
+      console.error('Error setting designer revenue share:', error);
+      return { success: false, error: error.message || 'Failed to set designer revenue share' };
+    }
+  }
+
+  /**
+   * Revenus d'un designer : totaux par devise, dernières écritures et lots
+   */
+  async getDesignerEarnings(designer, query = {}) {
+    const { page = 1, limit = 20, currency } = query;
+    const [summary, entries, payouts] = await Promise.all([
+      payoutsRepository.getEarningsSummary('designer', designer.id),
+      payoutsRepository.findEntries('designer', designer.id, { currency, page, limit }),
+      payoutsRepository.findPayouts({ party_type: 'designer', party_id: designer.id, limit: 10 })
+    ]);
+
+    return {
+      revenue_share_percentage: designer.revenue_share_percentage !== null && designer.revenue_share_percentage !== undefined
+        ? parseFloat(designer.revenue_share_percentage)
+        : DESIGNER_REVENUE_SHARE_PERCENTAGE,
+      summary,
+      entries: entries.entries,
+      entries_pagination: entries.pagination,
+      recent_payouts: payouts.payouts
+    };
+  }
+
+  // ========================================
+  // ACCÈS
+  // ========================================
+
+  /**
+   * Bénéficiaires représentés par l'utilisateur : lui-même comme organisateur,
+   * et son profil designer s'il en a un
+   */
+  async getParties(user) {
+    const parties = [{ party_type: 'organizer', party_id: user.id }];
+    const designer = await payoutsRepository.findDesignerByUserId(user.id);
+    if (designer) {
+      parties.push({ party_type: 'designer', party_id: designer.id });
+    }
+    return parties;
+  }
+
+  async findAccessiblePayout(payoutId, user = {}) {
+    const payout = await payoutsRepository.findPayoutById(payoutId);
+    if (!payout) {
+      throw payoutError('Payout not found', 'PAYOUT_NOT_FOUND');
+    }
+    if (isAdmin(user)) {
+      return payout;
+    }
+
+    const parties = await this.getParties(user);
+    const isParty = parties.some(party =>
+      party.party_type === payout.party_type && isSameUser(payout.party_id, party.party_id)
+    );
+    if (!isParty) {
+      // Un lot d'un autre bénéficiaire n'est pas révélé
+      throw payoutError('Payout not found', 'PAYOUT_NOT_FOUND');
+    }
+    return payout;
+  }
+}
+
+module.exports = new PayoutsService();
@@ -0,0 +1,141 @@
+const refundsService = require('./refunds.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux remboursements
+ */
+function sendRefundError(res, result) {
+  if (result.error === 'Payment not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Payment'));
+  }
+  if (result.error === 'Purchase not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Purchase'));
+  }
+  if (result.error === 'Event not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Event'));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  if (result.details) {
+    return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+  }
+  if (result.error && result.error.startsWith('Payment service refused the refund')) {
+    return res.status(502).json(ResponseFormatter.error(result.error, null, 'REFUND_REJECTED'));
+  }
+  return res.status(409).json(ResponseFormatter.error(result.error, null, 'REFUND_NOT_ALLOWED'));
+}
+
+class RefundsController {
+  async refundPayment(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+
+      const result = await refundsService.refundPayment(paymentId, req.body, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Refund requested', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async refundPurchase(req, res, next) {
+    try {
+      const { purchaseId } = req.params;
+
+      const result = await refundsService.refundPurchase(purchaseId, req.body, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Refund requested', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPaymentRefunds(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+
+      const result = await refundsService.getPaymentRefunds(paymentId, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Payment refunds retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPurchaseRefunds(req, res, next) {
+    try {
+      const { purchaseId } = req.params;
+
+      const result = await refundsService.getPurchaseRefunds(purchaseId, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Purchase refunds retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getEventRefunds(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const result = await refundsService.getEventRefunds(eventId, {
+        status,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Event refunds retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPolicy(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const result = await refundsService.getPolicy(eventId, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Refund policy retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updatePolicy(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const result = await refundsService.updatePolicy(eventId, req.body, req.user || {});
+      if (!result.success) {
+        return sendRefundError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Refund policy updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RefundsController();
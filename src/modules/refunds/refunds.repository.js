@@ -0,0 +1,434 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux politiques de remboursement et au registre des remboursements
+ */
+class RefundsRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async findEvent(eventId) {
+    const query = `
+      SELECT id, title, event_date, organizer_id
+      FROM events
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+
+  async findPolicy(eventId, client = database) {
+    const query = `
+      SELECT * FROM refund_policies
+      WHERE event_id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+
+  async upsertPolicy(eventId, policyData, userId) {
+    const { allow_refunds, deadline_hours_before_event, refund_percentage } = policyData;
+
+    const query = `
+      INSERT INTO refund_policies (
+        event_id, allow_refunds, deadline_hours_before_event, refund_percentage, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $5)
+      ON CONFLICT (event_id) DO UPDATE SET
+        allow_refunds = EXCLUDED.allow_refunds,
+        deadline_hours_before_event = EXCLUDED.deadline_hours_before_event,
+        refund_percentage = EXCLUDED.refund_percentage,
+        deleted_at = NULL,
+        deleted_by = NULL,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [
+      eventId,
+      allow_refunds,
+      deadline_hours_before_event,
+      refund_percentage,
+      userId
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Paiement avec son événement
+   * @param {boolean} forUpdate - Verrouille le paiement jusqu'à la fin de la transaction
+   */
+  async findPayment(paymentId, client = database, forUpdate = false) {
+    const query = `
+      SELECT p.*, e.title AS event_title, e.event_date, e.organizer_id AS event_organizer_id
+      FROM payments p
+      LEFT JOIN events e ON p.event_id = e.id
+      WHERE p.id = $1
+      ${forUpdate ? 'FOR UPDATE OF p' : ''}
+    `;
+
+    const result = await client.query(query, [paymentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Paiement retrouvé par l'identifiant de payment-service ou le payment intent
+   */
+  async lockPaymentByServiceId(paymentServiceId, client = database) {
+    const query = `
+      SELECT * FROM payments
+      WHERE payment_service_id = $1 OR payment_intent_id = $1
+      ORDER BY id ASC
+      LIMIT 1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [paymentServiceId]);
+    return result.rows[0] || null;
+  }
+
+  async findPurchase(purchaseId, client = database, forUpdate = false) {
+    const query = `
+      SELECT * FROM purchases
+      WHERE id = $1 AND deleted_at IS NULL
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+
+    const result = await client.query(query, [purchaseId]);
+    return result.rows[0] || null;
+  }
+
+  async lockPurchaseByTransactionId(transactionId, client = database) {
+    const query = `
+      SELECT * FROM purchases
+      WHERE transaction_id = $1 AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [transactionId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Montant remboursé sur un paiement ou un achat
+   * @param {Object} target - { paymentId } ou { purchaseId }
+   * @param {string[]} statuses - Par défaut le montant engagé (en attente ou confirmé)
+   */
+  async sumRefunds(target, client = database, statuses = ['pending', 'succeeded']) {
+    const column = target.paymentId ? 'payment_id' : 'purchase_id';
+    const query = `
+      SELECT COALESCE(SUM(amount), 0) AS total
+      FROM refunds
+      WHERE ${column} = $1 AND status = ANY($2) AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [target.paymentId || target.purchaseId, statuses]);
+    return parseFloat(result.rows[0].total);
+  }
+
+  /**
+   * Billets émis pour un paiement (réservations converties), encore valides
+   */
+  async findPaymentTickets(paymentIntentId, client = database) {
+    const query = `
+      SELECT t.id, t.ticket_code, t.event_guest_id, t.is_validated
+      FROM tickets t
+      JOIN ticket_holds h ON t.ticket_hold_id = h.id
+      WHERE h.payment_intent_id = $1 AND t.deleted_at IS NULL
+      ORDER BY t.id ASC
+    `;
+
+    const result = await client.query(query, [paymentIntentId]);
+    return result.rows;
+  }
+
+  /**
+   * Révoque des billets (suppression logique) et annule les inscriptions
+   * restées sans billet
+   * @returns {Promise<number[]>} IDs des billets révoqués
+   */
+  async revokeTickets(ticketIds, userId, client = database) {
+    if (ticketIds.length === 0) {
+      return [];
+    }
+
+    const revoked = await client.query(`
+      UPDATE tickets
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW(), updated_by = $2
+      WHERE id = ANY($1) AND deleted_at IS NULL
+      RETURNING id, event_guest_id
+    `, [ticketIds, userId || null]);
+
+    const eventGuestIds = [...new Set(revoked.rows.map(row => row.event_guest_id))];
+    await client.query(`
+      UPDATE event_guests eg
+      SET status = 'cancelled', updated_by = $2, updated_at = NOW()
+      WHERE eg.id = ANY($1)
+        AND NOT EXISTS (
+          SELECT 1 FROM tickets t WHERE t.event_guest_id = eg.id AND t.deleted_at IS NULL
+        )
+    `, [eventGuestIds, userId || null]);
+
+    return revoked.rows.map(row => row.id);
+  }
+
+  /**
+   * Rétablit les billets révoqués par un remboursement qui a échoué
+   */
+  async restoreTickets(ticketIds, client = database) {
+    if (!ticketIds || ticketIds.length === 0) {
+      return;
+    }
+
+    const restored = await client.query(`
+      UPDATE tickets
+      SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+      WHERE id = ANY($1)
+      RETURNING event_guest_id
+    `, [ticketIds]);
+
+    await client.query(`
+      UPDATE event_guests
+      SET status = 'confirmed', updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'cancelled'
+    `, [[...new Set(restored.rows.map(row => row.event_guest_id))]]);
+  }
+
+  async revokeTemplateAccess(userId, templateId, client = database) {
+    const result = await client.query(
+      'DELETE FROM user_template_purchases WHERE user_id = $1 AND template_id = $2 RETURNING id',
+      [userId, templateId]
+    );
+    return result.rowCount > 0;
+  }
+
+  async restoreTemplateAccess(userId, templateId, client = database) {
+    await client.query(`
+      INSERT INTO user_template_purchases (user_id, template_id, purchase_date)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id, template_id) DO NOTHING
+    `, [userId, templateId]);
+  }
+
+  async create(refundData, client = database) {
+    const {
+      payment_id,
+      purchase_id,
+      event_id,
+      amount,
+      currency,
+      reason,
+      status,
+      origin,
+      payment_service_refund_id,
+      revoked_ticket_ids,
+      template_access_revoked,
+      policy_overridden,
+      webhook_id,
+      created_by
+    } = refundData;
+
+    const query = `
+      INSERT INTO refunds (
+        payment_id, purchase_id, event_id, amount, currency, reason, status, origin,
+        payment_service_refund_id, revoked_ticket_ids, template_access_revoked, policy_overridden,
+        webhook_id, processed_at, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+              CASE WHEN $7 = 'pending' THEN NULL ELSE NOW() END, $14, $14)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      payment_id || null,
+      purchase_id || null,
+      event_id || null,
+      amount,
+      currency,
+      reason || null,
+      status || 'pending',
+      origin || 'api',
+      payment_service_refund_id || null,
+      revoked_ticket_ids || [],
+      template_access_revoked || false,
+      policy_overridden || false,
+      webhook_id || null,
+      created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async setServiceRefundId(refundId, paymentServiceRefundId) {
+    const query = `
+      UPDATE refunds
+      SET payment_service_refund_id = COALESCE(payment_service_refund_id, $2), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [refundId, paymentServiceRefundId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remboursement du registre verrouillé, retrouvé par l'ID de payment-service
+   * ou à défaut par son propre ID (référence transmise à payment-service)
+   */
+  async lockRefund({ refundId, paymentServiceRefundId }, client = database) {
+    if (paymentServiceRefundId) {
+      const result = await client.query(
+        'SELECT * FROM refunds WHERE payment_service_refund_id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [paymentServiceRefundId]
+      );
+      if (result.rows[0]) {
+        return result.rows[0];
+      }
+    }
+    if (!refundId || !/^\d+$/.test(String(refundId))) {
+      return null;
+    }
+
+    const result = await client.query(
+      'SELECT * FROM refunds WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [refundId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Clôt un remboursement encore dans le statut attendu (pending par défaut)
+   */
+  async markProcessed(refundId, status, details, client = database, fromStatus = 'pending') {
+    const { failure_reason, payment_service_refund_id, webhook_id } = details;
+
+    const query = `
+      UPDATE refunds
+      SET status = $2, failure_reason = $3,
+          payment_service_refund_id = COALESCE(payment_service_refund_id, $4),
+          webhook_id = COALESCE($5, webhook_id),
+          processed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = $6
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      refundId,
+      status,
+      failure_reason || null,
+      payment_service_refund_id || null,
+      webhook_id || null,
+      fromStatus
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Reporte un remboursement confirmé sur le paiement
+   */
+  async applyToPayment(paymentId, amount, client = database) {
+    const query = `
+      UPDATE payments
+      SET refunded_amount = refunded_amount + $2,
+          status = CASE WHEN refunded_amount + $2 >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+          refunded_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentId, amount]);
+    return result.rows[0] || null;
+  }
+
+  async markPurchaseRefunded(purchaseId, refundedBy, client = database) {
+    const query = `
+      UPDATE purchases
+      SET refunded_at = NOW(), refunded_by = $2, updated_at = NOW(), updated_by = $2
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [purchaseId, refundedBy || null]);
+    return result.rows[0] || null;
+  }
+
+  async findByPayment(paymentId) {
+    const query = `
+      SELECT * FROM refunds
+      WHERE payment_id = $1 AND deleted_at IS NULL
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    const result = await database.query(query, [paymentId]);
+    return result.rows;
+  }
+
+  async findByPurchase(purchaseId) {
+    const query = `
+      SELECT * FROM refunds
+      WHERE purchase_id = $1 AND deleted_at IS NULL
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    const result = await database.query(query, [purchaseId]);
+    return result.rows;
+  }
+
+  /**
+   * Registre paginé des remboursements d'un événement avec les totaux par statut
+   */
+  async findByEvent(eventId, options = {}) {
+    const { status, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [eventId];
+    let where = 'WHERE r.event_id = $1 AND r.deleted_at IS NULL';
+    if (status) {
+      values.push(status);
+      where += ` AND r.status = $${values.length}`;
+    }
+
+    const query = `
+      SELECT r.*, p.payment_intent_id, p.amount AS payment_amount
+      FROM refunds r
+      LEFT JOIN payments p ON r.payment_id = p.id
+      ${where}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const summaryQuery = `
+      SELECT r.status, COUNT(*) AS count, COALESCE(SUM(r.amount), 0) AS amount
+      FROM refunds r
+      ${where}
+      GROUP BY r.status
+    `;
+
+    const [rows, summaryRows] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(summaryQuery, values)
+    ]);
+
+    const summary = {};
+    summaryRows.rows.forEach(row => {
+      summary[row.status] = { count: parseInt(row.count), amount: parseFloat(row.amount) };
+    });
+    const total = Object.values(summary).reduce((sum, entry) => sum + entry.count, 0);
+
+    return {
+      refunds: rows.rows,
+      summary,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new RefundsRepository();
@@ -0,0 +1,29 @@
+const express = require('express');
+const refundsController = require('./refunds.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Remboursement d'un paiement de billets (organisateur ou administrateur)
+// Corps : { reason, amount?, ticket_ids?, override_policy? }
+router.post('/payments/:paymentId', SecurityMiddleware.withPermissions('refunds.create'), refundsController.refundPayment);
+
+router.get('/payments/:paymentId', SecurityMiddleware.withPermissions('refunds.read'), refundsController.getPaymentRefunds);
+
+// Remboursement d'un achat de la marketplace (administrateurs, retire l'accès au template)
+router.post('/purchases/:purchaseId', SecurityMiddleware.withPermissions('refunds.create'), refundsController.refundPurchase);
+
+router.get('/purchases/:purchaseId', SecurityMiddleware.withPermissions('refunds.read'), refundsController.getPurchaseRefunds);
+
+// Registre des remboursements d'un événement (?status=&page=&limit=)
+router.get('/events/:eventId', SecurityMiddleware.withPermissions('refunds.read'), refundsController.getEventRefunds);
+
+// Politique de remboursement de l'événement
+router.get('/events/:eventId/policy', SecurityMiddleware.withPermissions('refunds.policies.read'), refundsController.getPolicy);
+
+router.put('/events/:eventId/policy', SecurityMiddleware.withPermissions('refunds.policies.update'), refundsController.updatePolicy);
+
+module.exports = router;
@@ -0,0 +1,548 @@
+const Joi = require('joi');
+const refundsRepository = require('./refunds.repository');
+const paymentClient = require('../../config/clients/payment-client');
+const payoutsService = require('../payouts/payouts.service');
+
+// Un paiement est remboursable une fois encaissé, jusqu'au remboursement total
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2),
+  reason: Joi.string().trim().max(1000).required(),
+  ticket_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique(),
+  override_policy: Joi.boolean().default(false)
+});
+
+const policySchema = Joi.object({
+  allow_refunds: Joi.boolean().default(true),
+  deadline_hours_before_event: Joi.number().integer().min(0).allow(null).default(null),
+  refund_percentage: Joi.number().min(0).max(100).precision(2).default(100)
+});
+
+// Politique appliquée aux événements qui n'en définissent pas
+const DEFAULT_POLICY = {
+  allow_refunds: true,
+  deadline_hours_before_event: null,
+  refund_percentage: 100
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isOrganizer(record, userId) {
+  return record.organizer_id === userId || String(record.organizer_id) === String(userId);
+}
+
+function isAdmin(user = {}) {
+  return !!(
+    user.email === 'admin@eventplanner.com' ||
+    (user.roles || []).includes('super_admin') ||
+    (user.permissions || []).includes('refunds.admin')
+  );
+}
+
+/**
+ * Remboursements des paiements de billets et des achats de templates.
+ * La demande est enregistrée dans le registre (refunds) en attente, les
+ * billets ou l'accès au template sont révoqués dans la même transaction,
+ * puis le remboursement est demandé à payment-service. Les webhooks
+ * refund.* confirment ou annulent l'entrée du registre ; en cas d'échec,
+ * les billets et l'accès révoqués sont rétablis.
+ */
+class RefundsService {
+  /**
+   * Politique d'un événement (politique par défaut si aucune n'est définie)
+   */
+  async getPolicy(eventId, user = {}) {
+    try {
+      const event = await refundsRepository.findEvent(eventId);
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+      if (!isOrganizer(event, user.id) && !isAdmin(user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const policy = await refundsRepository.findPolicy(eventId);
+      return {
+        success: true,
+        data: policy || { event_id: event.id, ...DEFAULT_POLICY, is_default: true }
+      };
+    } catch (error) {
+      console.error('Error getting refund policy:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get refund policy'
+      };
+    }
+  }
+
+  async updatePolicy(eventId, data, user = {}) {
+    try {
+      const { error, value } = policySchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid refund policy', details: error.details.map(d => d.message) };
+      }
+
+      const event = await refundsRepository.findEvent(eventId);
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+      if (!isOrganizer(event, user.id) && !isAdmin(user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const policy = await refundsRepository.upsertPolicy(event.id, value, user.id);
+      return { success: true, data: policy };
+    } catch (error) {
+      console.error('Error updating refund policy:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update refund policy'
+      };
+    }
+  }
+
+  /**
+   * Montant maximum remboursable selon la politique de l'événement
+   * @returns {Object} { refusal } ou { maxAmount }
+   */
+  applyPolicy(policy, payment, committed) {
+    const effective = policy || DEFAULT_POLICY;
+    const paid = parseFloat(payment.amount);
+
+    if (!effective.allow_refunds) {
+      return { refusal: 'Refunds are not allowed for this event' };
+    }
+
+    if (payment.event_date) {
+      const hours = effective.deadline_hours_before_event || 0;
+      const deadline = new Date(payment.event_date).getTime() - hours * 3600 * 1000;
+      if (Date.now() > deadline) {
+        return { refusal: 'The refund deadline for this event has passed' };
+      }
+    }
+
+    const cap = roundAmount(paid * parseFloat(effective.refund_percentage) / 100);
+    return { maxAmount: roundAmount(cap - committed) };
+  }
+
+  /**
+   * Rembourse tout ou partie d'un paiement de billets
+   * @param {number} paymentId - ID du paiement (payments.id)
+   * @param {Object} data - { amount?, reason, ticket_ids?, override_policy? }
+   * @param {Object} user - Organisateur de l'événement ou administrateur
+   */
+  async refundPayment(paymentId, data, user = {}) {
+    try {
+      const { error, value } = refundSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid refund request', details: error.details.map(d => d.message) };
+      }
+
+      const admin = isAdmin(user);
+      if (value.override_policy && !admin) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const result = await refundsRepository.transaction(async (client) => {
+        const payment = await refundsRepository.findPayment(paymentId, client, true);
+        if (!payment) {
+          return { refused: 'Payment not found' };
+        }
+        const organizerId = payment.event_organizer_id || payment.organizer_id;
+        if (!isOrganizer({ organizer_id: organizerId }, user.id) && !admin) {
+          return { refused: 'Access denied' };
+        }
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+          return { refused: `Payment is ${payment.status} and cannot be refunded` };
+        }
+
+        const paid = parseFloat(payment.amount);
+        const committed = await refundsRepository.sumRefunds({ paymentId: payment.id }, client);
+        let maxAmount = roundAmount(paid - committed);
+
+        if (!value.override_policy) {
+          const policy = payment.event_id ? await refundsRepository.findPolicy(payment.event_id, client) : null;
+          const outcome = this.applyPolicy(policy, payment, committed);
+          if (outcome.refusal) {
+            return { refused: outcome.refusal };
+          }
+          maxAmount = Math.min(maxAmount, outcome.maxAmount);
+        }
+
+        if (maxAmount <= 0) {
+          return { refused: 'Nothing left to refund on this payment' };
+        }
+        const amount = value.amount !== undefined ? value.amount : maxAmount;
+        if (amount > maxAmount) {
+          return { refused: `Refund amount exceeds the refundable amount (${maxAmount.toFixed(2)} ${payment.currency})` };
+        }
+
+        // Billets concernés : ceux désignés, ou tous si le paiement est remboursé en entier
+        const tickets = await refundsRepository.findPaymentTickets(payment.payment_intent_id, client);
+        let ticketIds = [];
+        if (value.ticket_ids) {
+          const byId = new Map(tickets.map(ticket => [String(ticket.id), ticket]));
+          const unknown = value.ticket_ids.filter(id => !byId.has(String(id)));
+          if (unknown.length > 0) {
+            return { refused: `Tickets ${unknown.join(', ')} do not belong to this payment` };
+          }
+          if (value.ticket_ids.some(id => byId.get(String(id)).is_validated)) {
+            return { refused: 'A validated ticket cannot be refunded' };
+          }
+          ticketIds = value.ticket_ids;
+        } else if (roundAmount(committed + amount) >= paid) {
+          ticketIds = tickets.map(ticket => ticket.id);
+        }
+
+        const revokedTicketIds = await refundsRepository.revokeTickets(ticketIds, user.id, client);
+
+        const refund = await refundsRepository.create({
+          payment_id: payment.id,
+          event_id: payment.event_id,
+          amount,
+          currency: payment.currency,
+          reason: value.reason,
+          revoked_ticket_ids: revokedTicketIds,
+          policy_overridden: value.override_policy,
+          created_by: user.id
+        }, client);
+
+        return { refund, payment };
+      });
+
+      if (result.refused) {
+        return { success: false, error: result.refused };
+      }
+
+      return this.submitRefund(result.refund, result.payment.payment_service_id || result.payment.payment_intent_id);
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to refund payment'
+      };
+    }
+  }
+
+  /**
+   * Rembourse un achat de la marketplace (administrateurs uniquement)
+   * Un remboursement total retire l'accès au template.
+   * @param {number} purchaseId - ID de l'achat (purchases.id)
+   * @param {Object} data - { amount?, reason }
+   */
+  async refundPurchase(purchaseId, data, user = {}) {
+    try {
+      const { error, value } = refundSchema.fork(['ticket_ids', 'override_policy'], schema => schema.forbidden())
+        .validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid refund request', details: error.details.map(d => d.message) };
+      }
+      if (!isAdmin(user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const result = await refundsRepository.transaction(async (client) => {
+        const purchase = await refundsRepository.findPurchase(purchaseId, client, true);
+        if (!purchase) {
+          return { refused: 'Purchase not found' };
+        }
+        if (purchase.refunded_at) {
+          return { refused: 'Purchase has already been refunded' };
+        }
+
+        const paid = parseFloat(purchase.amount);
+        const committed = await refundsRepository.sumRefunds({ purchaseId: purchase.id }, client);
+        const maxAmount = roundAmount(paid - committed);
+        if (maxAmount <= 0) {
+          return { refused: 'Nothing left to refund on this purchase' };
+        }
+        const amount = value.amount !== undefined ? value.amount : maxAmount;
+        if (amount > maxAmount) {
+          return { refused: `Refund amount exceeds the refundable amount (${maxAmount.toFixed(2)} ${purchase.currency})` };
+        }
+
+        let accessRevoked = false;
+        if (roundAmount(committed + amount) >= paid) {
+          accessRevoked = await refundsRepository.revokeTemplateAccess(purchase.user_id, purchase.template_id, client);
+        }
+
+        const refund = await refundsRepository.create({
+          purchase_id: purchase.id,
+          amount,
+          currency: purchase.currency,
+          reason: value.reason,
+          template_access_revoked: accessRevoked,
+          created_by: user.id
+        }, client);
+
+        return { refund, purchase };
+      });
+
+      if (result.refused) {
+        return { success: false, error: result.refused };
+      }
+
+      return this.submitRefund(result.refund, result.purchase.transaction_id);
+    } catch (error) {
+      console.error('Error refunding purchase:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to refund purchase'
+      };
+    }
+  }
+
+  /**
+   * Transmet un remboursement du registre à payment-service.
+   * Un refus (réponse 4xx) clôt l'entrée en échec et rétablit ce qui avait été révoqué.
+   * Sans réponse ou sur une erreur 5xx, le remboursement a pu être exécuté : l'entrée
+   * reste en attente jusqu'au webhook de confirmation, comme après une acceptation.
+   */
+  async submitRefund(refund, paymentServiceId) {
+    const response = await paymentClient.processRefund(paymentServiceId, parseFloat(refund.amount), refund.reason, {
+      refund_reference: String(refund.id),
+      event_id: refund.event_id
+    });
+
+    if (!response.success && !(response.status >= 400 && response.status < 500)) {
+      console.warn(`[REFUNDS] Remboursement ${refund.id} sans réponse de payment-service (${response.status || 'no response'}), laissé en attente`);
+      return { success: true, data: refund };
+    }
+
+    if (!response.success) {
+      const failureReason = typeof response.error === 'string'
+        ? response.error
+        : (response.error && (response.error.message || response.error.error)) || 'Refund rejected by payment service';
+
+      await refundsRepository.transaction(async (client) => {
+        const locked = await refundsRepository.lockRefund({ refundId: refund.id }, client);
+        if (locked && locked.status === 'pending') {
+          await this.failRefund(locked, { failure_reason: failureReason }, client);
+        }
+      });
+
+      return { success: false, error: `Payment service refused the refund: ${failureReason}` };
+    }
+
+    const updated = response.refundId
+      ? await refundsRepository.setServiceRefundId(refund.id, String(response.refundId))
+      : refund;
+
+    return { success: true, data: updated || refund };
+  }
+
+  /**
+   * Échec d'un remboursement : billets et accès au template rétablis
+   */
+  async failRefund(refund, details, client) {
+    const failed = await refundsRepository.markProcessed(refund.id, 'failed', details, client);
+    await refundsRepository.restoreTickets(refund.revoked_ticket_ids, client);
+
+    if (refund.template_access_revoked && refund.purchase_id) {
+      const purchase = await refundsRepository.findPurchase(refund.purchase_id, client, true);
+      if (purchase) {
+        await refundsRepository.restoreTemplateAccess(purchase.user_id, purchase.template_id, client);
+      }
+    }
+    return failed;
+  }
+
+  /**
+   * Inverse de failRefund : billets et accès au template de nouveau révoqués
+   */
+  async reapplyRevocation(refund, client) {
+    await refundsRepository.revokeTickets(refund.revoked_ticket_ids || [], refund.created_by, client);
+
+    if (refund.template_access_revoked && refund.purchase_id) {
+      const purchase = await refundsRepository.findPurchase(refund.purchase_id, client, true);
+      if (purchase) {
+        await refundsRepository.revokeTemplateAccess(purchase.user_id, purchase.template_id, client);
+      }
+    }
+  }
+
+  /**
+   * Remboursement confirmé : reporté sur le paiement ou l'achat, et déduit
+   * des revenus de l'organisateur ou du designer
+   */
+  async settleRefund(refund, details, client) {
+    const succeeded = await refundsRepository.markProcessed(refund.id, 'succeeded', details, client, refund.status);
+
+    if (refund.payment_id) {
+      await refundsRepository.applyToPayment(refund.payment_id, parseFloat(refund.amount), client);
+    }
+    if (refund.purchase_id) {
+      const purchase = await refundsRepository.findPurchase(refund.purchase_id, client, true);
+      const refunded = await refundsRepository.sumRefunds({ purchaseId: refund.purchase_id }, client, ['succeeded']);
+      if (purchase && refunded >= parseFloat(purchase.amount)) {
+        await refundsRepository.markPurchaseRefunded(purchase.id, refund.created_by, client);
+      }
+    }
+    await payoutsService.recordRefundReversal(refund, client);
+    return succeeded;
+  }
+
+  /**
+   * Rapproche un webhook refund.* de payment-service avec le registre.
+   * Appelé dans la transaction de la boîte de réception des webhooks.
+   * @param {Object} client - Client de la transaction
+   * @param {string} status - 'succeeded' ou 'failed'
+   * @param {Object} data - { refund_id, refund_reference?, payment_service_id, amount?, currency?, reason? }
+   * @param {number} webhookId - ID du webhook (payment_webhooks.id)
+   * @returns {Promise<Object>} { outcome: 'applied' | 'ignored', reason? }
+   */
+  async applyRefundWebhook(client, status, data, webhookId) {
+    const details = {
+      payment_service_refund_id: data.refund_id ? String(data.refund_id) : null,
+      failure_reason: data.failure_reason || data.error_message,
+      webhook_id: webhookId
+    };
+    const refund = await refundsRepository.lockRefund({
+      refundId: data.refund_reference || (data.metadata && data.metadata.refund_reference),
+      paymentServiceRefundId: details.payment_service_refund_id
+    }, client);
+
+    if (refund) {
+      // Refusé localement puis exécuté malgré tout : ce que failRefund a rétabli est de nouveau révoqué
+      if (refund.status === 'failed' && status === 'succeeded') {
+        await this.reapplyRevocation(refund, client);
+        await this.settleRefund(refund, details, client);
+        return { outcome: 'applied', refundId: refund.id };
+      }
+      if (refund.status !== 'pending') {
+        return { outcome: 'ignored', reason: `refund_${refund.status}` };
+      }
+      if (status === 'failed') {
+        await this.failRefund(refund, details, client);
+      } else {
+        await this.settleRefund(refund, details, client);
+      }
+      return { outcome: 'applied', refundId: refund.id };
+    }
+
+    // Remboursement effectué hors du core (dashboard du prestataire) : consigné sans révocation
+    if (status === 'failed' || !data.amount) {
+      return { outcome: 'ignored', reason: 'refund_not_found' };
+    }
+
+    const amount = parseFloat(data.amount);
+    const payment = await refundsRepository.lockPaymentByServiceId(data.payment_service_id, client);
+    const purchase = payment ? null : await refundsRepository.lockPurchaseByTransactionId(data.payment_service_id, client);
+    if (!payment && !purchase) {
+      return { outcome: 'ignored', reason: 'payment_not_found' };
+    }
+
+    const recorded = await refundsRepository.create({
+      payment_id: payment ? payment.id : null,
+      purchase_id: purchase ? purchase.id : null,
+      event_id: payment ? payment.event_id : null,
+      amount,
+      currency: data.currency || (payment || purchase).currency,
+      reason: data.reason,
+      status: 'succeeded',
+      origin: 'webhook',
+      payment_service_refund_id: details.payment_service_refund_id,
+      webhook_id: webhookId
+    }, client);
+
+    if (payment) {
+      await refundsRepository.applyToPayment(payment.id, amount, client);
+    } else {
+      const refunded = await refundsRepository.sumRefunds({ purchaseId: purchase.id }, client, ['succeeded']);
+      if (refunded >= parseFloat(purchase.amount)) {
+        await refundsRepository.markPurchaseRefunded(purchase.id, null, client);
+      }
+    }
+    await payoutsService.recordRefundReversal(recorded, client);
+
+    console.warn(`[REFUNDS] Remboursement ${details.payment_service_refund_id} inconnu, consigné depuis le webhook`);
+    return { outcome: 'applied', refundId: recorded.id };
+  }
+
+  async getPaymentRefunds(paymentId, user = {}) {
+    try {
+      const payment = await refundsRepository.findPayment(paymentId);
+      if (!payment) {
+        return { success: false, error: 'Payment not found' };
+      }
+      const organizerId = payment.event_organizer_id || payment.organizer_id;
+      if (!isOrganizer({ organizer_id: organizerId }, user.id) && !isAdmin(user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const refunds = await refundsRepository.findByPayment(payment.id);
+      const refundedAmount = parseFloat(payment.refunded_amount || 0);
+      return {
+        success: true,
+        data: {
+          payment: {
+            id: payment.id,
+            payment_intent_id: payment.payment_intent_id,
+            status: payment.status,
+            amount: parseFloat(payment.amount),
+            refunded_amount: refundedAmount,
+            currency: payment.currency
+          },
+          refunds
+        }
+      };
+    } catch (error) {
+      console.error('Error getting payment refunds:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get payment refunds'
+      };
+    }
+  }
+
+  async getPurchaseRefunds(purchaseId, user = {}) {
+    try {
+      if (!isAdmin(user)) {
+        return { success: false, error: 'Access denied' };
+      }
+      const purchase = await refundsRepository.findPurchase(purchaseId);
+      if (!purchase) {
+        return { success: false, error: 'Purchase not found' };
+      }
+
+      const refunds = await refundsRepository.findByPurchase(purchase.id);
+      return { success: true, data: { purchase, refunds } };
+    } catch (error) {
+      console.error('Error getting purchase refunds:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get purchase refunds'
+      };
+    }
+  }
+
+  /**
+   * Registre des remboursements d'un événement
+   * @param {Object} options - { status, page, limit }
+   */
+  async getEventRefunds(eventId, options = {}, user = {}) {
+    try {
+      const event = await refundsRepository.findEvent(eventId);
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+      if (!isOrganizer(event, user.id) && !isAdmin(user)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const ledger = await refundsRepository.findByEvent(event.id, options);
+      return { success: true, data: ledger };
+    } catch (error) {
+      console.error('Error getting event refunds:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get event refunds'
+      };
+    }
+  }
+}
+
+module.exports = new RefundsService();
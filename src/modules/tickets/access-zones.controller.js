@@ -0,0 +1,107 @@
+const accessZonesService = require('./access-zones.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux opérations sur les zones d'accès
+ */
+function sendZoneError(res, result) {
+  if (result.error === 'Event not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Event'));
+  }
+  if (result.error === 'Access zone not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Access zone'));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class AccessZonesController {
+  async getEventZones(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await accessZonesService.getEventZones(eventId, userId);
+      if (!result.success) {
+        return sendZoneError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Access zones retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createZone(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await accessZonesService.createZone(eventId, req.body, userId);
+      if (!result.success) {
+        return sendZoneError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Access zone created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateZone(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await accessZonesService.updateZone(id, req.body, userId);
+      if (!result.success) {
+        return sendZoneError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Access zone updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteZone(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await accessZonesService.deleteZone(id, userId);
+      if (!result.success) {
+        return sendZoneError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Access zone deleted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getZonePassages(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { page, limit, ticket_id } = req.query;
+      const userId = req.user?.id;
+
+      const result = await accessZonesService.getZonePassages(id, {
+        page: page ? parseInt(page) : 1,
+        limit: limit ? parseInt(limit) : 50,
+        ticketId: ticket_id
+      }, userId);
+      if (!result.success) {
+        return sendZoneError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Access zone passages retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AccessZonesController();
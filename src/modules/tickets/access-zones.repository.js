@@ -0,0 +1,293 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux zones d'accès des événements, aux types de billets autorisés
+ * par zone et aux passages (entrées / sorties) des billets.
+ */
+class AccessZonesRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async create(zoneData, client = database) {
+    const {
+      event_id,
+      name,
+      code,
+      description,
+      checkpoint_ids,
+      is_default,
+      reentry_policy,
+      max_reentries,
+      cooldown_seconds,
+      created_by
+    } = zoneData;
+
+    const query = `
+      INSERT INTO access_zones (
+        event_id, name, code, description, checkpoint_ids, is_default,
+        reentry_policy, max_reentries, cooldown_seconds, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      event_id,
+      name,
+      code,
+      description || null,
+      checkpoint_ids || [],
+      !!is_default,
+      reentry_policy || 'single',
+      max_reentries !== undefined ? max_reentries : null,
+      cooldown_seconds || 0,
+      created_by
+    ]);
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT z.*, e.organizer_id,
+             COALESCE(array_agg(zt.ticket_type_id) FILTER (WHERE zt.ticket_type_id IS NOT NULL), '{}') AS ticket_type_ids
+      FROM access_zones z
+      JOIN events e ON z.event_id = e.id
+      LEFT JOIN access_zone_ticket_types zt ON zt.access_zone_id = z.id
+      WHERE z.id = $1 AND z.deleted_at IS NULL
+      GROUP BY z.id, e.organizer_id
+    `;
+
+    const result = await database.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Zones d'un événement avec leurs types de billets et le nombre de billets
+   * actuellement présents (dernier passage = entrée)
+   */
+  async findByEvent(eventId, client = database) {
+    const query = `
+      SELECT z.*,
+             COALESCE(array_agg(zt.ticket_type_id) FILTER (WHERE zt.ticket_type_id IS NOT NULL), '{}') AS ticket_type_ids,
+             (
+               SELECT COUNT(*) FROM (
+                 SELECT DISTINCT ON (p.ticket_id) p.direction
+                 FROM ticket_zone_passages p
+                 WHERE p.access_zone_id = z.id
+                 ORDER BY p.ticket_id, p.scanned_at DESC, p.id DESC
+               ) last_passages
+               WHERE last_passages.direction = 'entry'
+             ) AS present_count
+      FROM access_zones z
+      LEFT JOIN access_zone_ticket_types zt ON zt.access_zone_id = z.id
+      WHERE z.event_id = $1 AND z.deleted_at IS NULL
+      GROUP BY z.id
+      ORDER BY z.created_at ASC
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows;
+  }
+
+  async update(id, updateData, updatedBy, client = database) {
+    const allowedFields = [
+      'name', 'code', 'description', 'checkpoint_ids', 'is_default',
+      'reentry_policy', 'max_reentries', 'cooldown_seconds'
+    ];
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        values.push(updateData[key]);
+        updates.push(`"${key}" = $${values.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      return this.findById(id);
+    }
+
+    values.push(updatedBy, id);
+
+    const query = `
+      UPDATE access_zones
+      SET ${updates.join(', ')}, updated_by = $${values.length - 1}, updated_at = NOW()
+      WHERE id = $${values.length} AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  async delete(id, deletedBy) {
+    const query = `
+      UPDATE access_zones
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW(), updated_by = $2
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [id, deletedBy]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Une seule zone par défaut par événement
+   */
+  async clearDefault(eventId, exceptZoneId, client = database) {
+    await client.query(
+      'UPDATE access_zones SET is_default = FALSE WHERE event_id = $1 AND id <> $2 AND is_default = TRUE',
+      [eventId, exceptZoneId]
+    );
+  }
+
+  /**
+   * Remplace les types de billets autorisés d'une zone
+   */
+  async setTicketTypes(zoneId, ticketTypeIds, createdBy, client = database) {
+    await client.query('DELETE FROM access_zone_ticket_types WHERE access_zone_id = $1', [zoneId]);
+
+    if (ticketTypeIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      INSERT INTO access_zone_ticket_types (access_zone_id, ticket_type_id, created_by)
+      SELECT $1, UNNEST($2::bigint[]), $3
+      RETURNING ticket_type_id
+    `;
+
+    const result = await client.query(query, [zoneId, ticketTypeIds, createdBy]);
+    return result.rows.map(row => row.ticket_type_id);
+  }
+
+  /**
+   * IDs des types de billets de l'événement parmi ceux fournis
+   */
+  async findEventTicketTypeIds(eventId, ticketTypeIds, client = database) {
+    const query = `
+      SELECT id FROM ticket_types
+      WHERE event_id = $1 AND id = ANY($2::bigint[]) AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [eventId, ticketTypeIds]);
+    return result.rows.map(row => String(row.id));
+  }
+
+  // ========================================
+  // PASSAGES
+  // ========================================
+
+  /**
+   * Verrouille le billet pour sérialiser les passages simultanés
+   */
+  async lockTicket(ticketId, client = database) {
+    const result = await client.query('SELECT id, is_validated, validated_at FROM tickets WHERE id = $1 FOR UPDATE', [ticketId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Valide un billet d'un événement sans zone d'accès (entrée unique)
+   */
+  async markTicketValidated(ticketId, userId, client = database) {
+    const query = `
+      UPDATE tickets
+      SET is_validated = true, validated_at = NOW(), validated_by = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, is_validated, validated_at
+    `;
+
+    const result = await client.query(query, [ticketId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Nombre d'entrées et dernier passage d'un billet dans une zone
+   */
+  async getPassageStats(ticketId, zoneId, client = database) {
+    const query = `
+      SELECT
+        (SELECT COUNT(*) FROM ticket_zone_passages
+         WHERE ticket_id = $1 AND access_zone_id = $2 AND direction = 'entry') AS entries,
+        (SELECT MAX(scanned_at) FROM ticket_zone_passages
+         WHERE ticket_id = $1 AND access_zone_id = $2 AND direction = 'entry') AS last_entry_at,
+        (SELECT direction FROM ticket_zone_passages
+         WHERE ticket_id = $1 AND access_zone_id = $2
+         ORDER BY scanned_at DESC, id DESC LIMIT 1) AS last_direction
+    `;
+
+    const result = await client.query(query, [ticketId, zoneId]);
+    const row = result.rows[0];
+    return {
+      entries: parseInt(row.entries),
+      last_entry_at: row.last_entry_at,
+      last_direction: row.last_direction
+    };
+  }
+
+  async createPassage(passageData, client = database) {
+    const { ticket_id, access_zone_id, direction, checkpoint_id, device_id, scanned_at, created_by } = passageData;
+
+    const query = `
+      INSERT INTO ticket_zone_passages (
+        ticket_id, access_zone_id, direction, checkpoint_id, device_id, scanned_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      ticket_id,
+      access_zone_id,
+      direction,
+      checkpoint_id || null,
+      device_id || null,
+      scanned_at || null,
+      created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async findPassages(zoneId, options = {}) {
+    const { ticketId, page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+    const values = [zoneId];
+    let where = 'WHERE p.access_zone_id = $1';
+
+    if (ticketId) {
+      values.push(ticketId);
+      where += ` AND p.ticket_id = $${values.length}`;
+    }
+
+    const query = `
+      SELECT p.*, t.ticket_code
+      FROM ticket_zone_passages p
+      JOIN tickets t ON p.ticket_id = t.id
+      ${where}
+      ORDER BY p.scanned_at DESC, p.id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) FROM ticket_zone_passages p ${where}`;
+
+    const [result, countResult] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+    return {
+      passages: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new AccessZonesRepository();
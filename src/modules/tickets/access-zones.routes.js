@@ -0,0 +1,22 @@
+const express = require('express');
+const accessZonesController = require('./access-zones.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Access Zone Management (zones d'un événement, types de billets autorisés, politique de ré-entrée)
+router.get('/events/:eventId', SecurityMiddleware.withPermissions('tickets.zones.read'), accessZonesController.getEventZones);
+
+router.post('/events/:eventId', SecurityMiddleware.withPermissions('tickets.zones.create'), accessZonesController.createZone);
+
+router.put('/:id', SecurityMiddleware.withPermissions('tickets.zones.update'), accessZonesController.updateZone);
+
+router.delete('/:id', SecurityMiddleware.withPermissions('tickets.zones.delete'), accessZonesController.deleteZone);
+
+// Entrées / sorties enregistrées dans la zone (?ticket_id= pour un billet)
+router.get('/:id/passages', SecurityMiddleware.withPermissions('tickets.zones.read'), accessZonesController.getZonePassages);
+
+module.exports = router;
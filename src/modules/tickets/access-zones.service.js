@@ -0,0 +1,370 @@
+const accessZonesRepository = require('./access-zones.repository');
+const eventsRepository = require('../events/events.repository');
+
+const REENTRY_POLICIES = ['single', 'unlimited', 'limited'];
+const ZONE_CODE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Zones d'accès d'un événement (salle principale, VIP, backstage...).
+ * Une zone est rattachée à des points de contrôle et à des types de billets
+ * (aucun type : zone ouverte à tous). Chaque entrée / sortie est tracée et la
+ * politique de ré-entrée de la zone est appliquée :
+ *   - single : une seule entrée ;
+ *   - limited : 1 entrée + max_reentries ré-entrées ;
+ *   - unlimited : sans limite ;
+ *   - cooldown_seconds : délai minimum entre deux entrées (toutes politiques).
+ * Un événement sans zone conserve la validation simple (is_validated).
+ */
+class AccessZonesService {
+  async getOwnedEvent(eventId, userId) {
+    const event = await eventsRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    if (event.organizer_id !== userId && String(event.organizer_id) !== String(userId)) {
+      throw new Error('Access denied');
+    }
+    return event;
+  }
+
+  /**
+   * Vérifie les données d'une zone
+   * @param {Object} zoneData - Données reçues
+   * @param {boolean} partial - Mise à jour partielle
+   * @returns {Array<string>} Erreurs
+   */
+  validateZoneData(zoneData, partial = false) {
+    const errors = [];
+    const has = key => zoneData[key] !== undefined;
+
+    if (!partial || has('name')) {
+      if (!zoneData.name || typeof zoneData.name !== 'string' || zoneData.name.length > 255) {
+        errors.push('name is required (max 255 characters)');
+      }
+    }
+    if (!partial || has('code')) {
+      if (!zoneData.code || !ZONE_CODE_PATTERN.test(zoneData.code)) {
+        errors.push('code is required (lowercase letters, digits, "-" or "_", max 50 characters)');
+      }
+    }
+    if (has('reentry_policy') && !REENTRY_POLICIES.includes(zoneData.reentry_policy)) {
+      errors.push(`reentry_policy must be one of: ${REENTRY_POLICIES.join(', ')}`);
+    }
+    if (zoneData.reentry_policy === 'limited' && !(Number.isInteger(zoneData.max_reentries) && zoneData.max_reentries >= 0)) {
+      errors.push('max_reentries must be a non-negative integer for the limited policy');
+    }
+    if (has('max_reentries') && zoneData.max_reentries !== null && !(Number.isInteger(zoneData.max_reentries) && zoneData.max_reentries >= 0)) {
+      errors.push('max_reentries must be a non-negative integer');
+    }
+    if (has('cooldown_seconds') && !(Number.isInteger(zoneData.cooldown_seconds) && zoneData.cooldown_seconds >= 0)) {
+      errors.push('cooldown_seconds must be a non-negative integer');
+    }
+    if (has('checkpoint_ids') && (!Array.isArray(zoneData.checkpoint_ids) || zoneData.checkpoint_ids.some(id => !id || typeof id !== 'string'))) {
+      errors.push('checkpoint_ids must be an array of checkpoint identifiers');
+    }
+    if (has('ticket_type_ids') && (!Array.isArray(zoneData.ticket_type_ids) || zoneData.ticket_type_ids.some(id => !(parseInt(id) > 0)))) {
+      errors.push('ticket_type_ids must be an array of ticket type IDs');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Vérifie que les types de billets appartiennent à l'événement
+   */
+  async checkTicketTypes(eventId, ticketTypeIds, client) {
+    const ids = Array.from(new Set(ticketTypeIds.map(id => String(id))));
+    const found = await accessZonesRepository.findEventTicketTypeIds(eventId, ids, client);
+    const missing = ids.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      throw new Error(`Ticket types not found for this event: ${missing.join(', ')}`);
+    }
+    return ids;
+  }
+
+  formatZone(zone) {
+    const { organizer_id, ...rest } = zone;
+    return {
+      ...rest,
+      ticket_type_ids: (zone.ticket_type_ids || []).map(id => String(id)),
+      present_count: zone.present_count !== undefined ? parseInt(zone.present_count) : undefined
+    };
+  }
+
+  async createZone(eventId, zoneData, userId) {
+    try {
+      const errors = this.validateZoneData(zoneData);
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid access zone', details: errors };
+      }
+
+      await this.getOwnedEvent(eventId, userId);
+
+      const zone = await accessZonesRepository.transaction(async (client) => {
+        const ticketTypeIds = await this.checkTicketTypes(eventId, zoneData.ticket_type_ids || [], client);
+        const created = await accessZonesRepository.create({
+          ...zoneData,
+          event_id: eventId,
+          created_by: userId
+        }, client);
+
+        if (created.is_default) {
+          await accessZonesRepository.clearDefault(eventId, created.id, client);
+        }
+
+        const assigned = await accessZonesRepository.setTicketTypes(created.id, ticketTypeIds, userId, client);
+        return { ...created, ticket_type_ids: assigned };
+      });
+
+      return { success: true, data: this.formatZone(zone) };
+    } catch (error) {
+      console.error('Error creating access zone:', error);
+      return {
+        success: false,
+        error: error.code === '23505' ? 'An access zone with this code already exists for this event' : (error.message || 'Failed to create access zone')
+      };
+    }
+  }
+
+  async getEventZones(eventId, userId) {
+    try {
+      await this.getOwnedEvent(eventId, userId);
+      const zones = await accessZonesRepository.findByEvent(eventId);
+      return { success: true, data: zones.map(zone => this.formatZone(zone)) };
+    } catch (error) {
+      console.error('Error getting access zones:', error);
+      return { success: false, error: error.message || 'Failed to get access zones' };
+    }
+  }
+
+  async updateZone(zoneId, updateData, userId) {
+    try {
+      const existing = await accessZonesRepository.findById(zoneId);
+      if (!existing) {
+        return { success: false, error: 'Access zone not found' };
+      }
+      if (existing.organizer_id !== userId && String(existing.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      // La politique effective combine l'existant et la mise à jour
+      const merged = { ...existing, ...updateData };
+      const errors = this.validateZoneData(updateData, true);
+      if (merged.reentry_policy === 'limited' && !(Number.isInteger(merged.max_reentries) && merged.max_reentries >= 0)) {
+        errors.push('max_reentries must be a non-negative integer for the limited policy');
+      }
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid access zone', details: Array.from(new Set(errors)) };
+      }
+
+      const zone = await accessZonesRepository.transaction(async (client) => {
+        const updated = await accessZonesRepository.update(zoneId, updateData, userId, client);
+
+        if (updateData.is_default) {
+          await accessZonesRepository.clearDefault(existing.event_id, zoneId, client);
+        }
+
+        let ticketTypeIds = existing.ticket_type_ids;
+        if (updateData.ticket_type_ids !== undefined) {
+          const ids = await this.checkTicketTypes(existing.event_id, updateData.ticket_type_ids, client);
+          ticketTypeIds = await accessZonesRepository.setTicketTypes(zoneId, ids, userId, client);
+        }
+
+        return { ...updated, ticket_type_ids: ticketTypeIds };
+      });
+
+      return { success: true, data: this.formatZone(zone) };
+    } catch (error) {
+      console.error('Error updating access zone:', error);
+      return {
+        success: false,
+        error: error.code === '23505' ? 'An access zone with this code already exists for this event' : (error.message || 'Failed to update access zone')
+      };
+    }
+  }
+
+  async deleteZone(zoneId, userId) {
+    try {
+      const existing = await accessZonesRepository.findById(zoneId);
+      if (!existing) {
+        return { success: false, error: 'Access zone not found' };
+      }
+      if (existing.organizer_id !== userId && String(existing.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const deleted = await accessZonesRepository.delete(zoneId, userId);
+      return { success: true, data: deleted };
+    } catch (error) {
+      console.error('Error deleting access zone:', error);
+      return { success: false, error: error.message || 'Failed to delete access zone' };
+    }
+  }
+
+  async getZonePassages(zoneId, options, userId) {
+    try {
+      const zone = await accessZonesRepository.findById(zoneId);
+      if (!zone) {
+        return { success: false, error: 'Access zone not found' };
+      }
+      if (zone.organizer_id !== userId && String(zone.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const result = await accessZonesRepository.findPassages(zoneId, options);
+      return { success: true, data: result.passages, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error getting zone passages:', error);
+      return { success: false, error: error.message || 'Failed to get zone passages' };
+    }
+  }
+
+  // ========================================
+  // CONTRÔLE D'ACCÈS AU SCAN
+  // ========================================
+
+  /**
+   * Zone concernée par un scan : zone explicite, puis point de contrôle, puis zone par défaut
+   */
+  resolveZone(zones, scanContext = {}) {
+    if (scanContext.zoneId) {
+      return zones.find(zone => String(zone.id) === String(scanContext.zoneId) || zone.code === scanContext.zoneId) || null;
+    }
+
+    if (scanContext.checkpointId) {
+      const byCheckpoint = zones.find(zone => (zone.checkpoint_ids || []).includes(String(scanContext.checkpointId)));
+      if (byCheckpoint) return byCheckpoint;
+    }
+
+    return zones.find(zone => zone.is_default) || (zones.length === 1 ? zones[0] : null);
+  }
+
+  deny(code, error, details = null) {
+    return { allowed: false, code, error, details };
+  }
+
+  /**
+   * Évalue un passage (entrée ou sortie) sans l'enregistrer
+   * @param {Object} ticket - Billet : id, event_id, ticket_type_id
+   * @param {Object} scanContext - { zoneId, checkpointId, direction }
+   * @returns {Promise<Object>} { allowed, zone, direction } ou { allowed: false, code, error, details }
+   */
+  async evaluatePassage(ticket, scanContext = {}, client) {
+    const zones = await accessZonesRepository.findByEvent(ticket.event_id, client);
+    const direction = scanContext.direction === 'exit' ? 'exit' : 'entry';
+
+    // Sans zone d'accès, l'événement est à entrée unique : un billet déjà validé est refusé
+    if (zones.length === 0) {
+      if (ticket.is_validated) {
+        return this.deny('TICKET_ALREADY_VALIDATED', 'Ticket already validated', {
+          validated_at: ticket.validated_at || null
+        });
+      }
+      return { allowed: true, zone: null, direction };
+    }
+
+    const zone = this.resolveZone(zones, scanContext);
+    if (!zone) {
+      return this.deny('ZONE_NOT_FOUND', 'No access zone matches this checkpoint', {
+        checkpoint_id: scanContext.checkpointId || null,
+        zone_id: scanContext.zoneId || null
+      });
+    }
+
+    const allowedTypes = (zone.ticket_type_ids || []).map(id => String(id));
+    if (allowedTypes.length > 0 && !allowedTypes.includes(String(ticket.ticket_type_id))) {
+      return this.deny('ZONE_ACCESS_DENIED', `Ticket type does not give access to ${zone.name}`, { zone: zone.code });
+    }
+
+    const stats = await accessZonesRepository.getPassageStats(ticket.id, zone.id, client);
+
+    if (direction === 'exit') {
+      if (stats.last_direction !== 'entry') {
+        return this.deny('ZONE_NOT_ENTERED', `Ticket is not inside ${zone.name}`, { zone: zone.code });
+      }
+      return { allowed: true, zone, direction, stats };
+    }
+
+    if (stats.entries > 0) {
+      if (zone.reentry_policy === 'single') {
+        return this.deny('REENTRY_NOT_ALLOWED', `Re-entry is not allowed in ${zone.name}`, {
+          zone: zone.code,
+          entries: stats.entries
+        });
+      }
+
+      const maxReentries = parseInt(zone.max_reentries) || 0;
+      if (zone.reentry_policy === 'limited' && stats.entries > maxReentries) {
+        return this.deny('REENTRY_LIMIT_REACHED', `Re-entry limit reached for ${zone.name}`, {
+          zone: zone.code,
+          entries: stats.entries,
+          max_reentries: maxReentries
+        });
+      }
+
+      const cooldownSeconds = parseInt(zone.cooldown_seconds) || 0;
+      if (cooldownSeconds > 0 && stats.last_entry_at) {
+        const elapsedSeconds = Math.floor((Date.now() - new Date(stats.last_entry_at).getTime()) / 1000);
+        if (elapsedSeconds < cooldownSeconds) {
+          return this.deny('REENTRY_COOLDOWN', `Re-entry in ${zone.name} is possible in ${cooldownSeconds - elapsedSeconds}s`, {
+            zone: zone.code,
+            retry_after_seconds: cooldownSeconds - elapsedSeconds
+          });
+        }
+      }
+    }
+
+    return { allowed: true, zone, direction, stats };
+  }
+
+  /**
+   * Réévalue puis enregistre le passage, billet verrouillé (passages simultanés à deux portes)
+   * @returns {Promise<Object>} Résultat de evaluatePassage avec le passage créé
+   */
+  async registerPassage(ticket, scanContext = {}, userId = null) {
+    return accessZonesRepository.transaction(async (client) => {
+      const locked = await accessZonesRepository.lockTicket(ticket.id, client);
+
+      // État de validation relu sous verrou : deux scans simultanés ne passent pas tous les deux
+      const decision = await this.evaluatePassage({ ...ticket, ...locked }, scanContext, client);
+      if (!decision.allowed) {
+        return decision;
+      }
+      if (!decision.zone) {
+        await accessZonesRepository.markTicketValidated(ticket.id, userId, client);
+        return decision;
+      }
+
+      const passage = await accessZonesRepository.createPassage({
+        ticket_id: ticket.id,
+        access_zone_id: decision.zone.id,
+        direction: decision.direction,
+        checkpoint_id: scanContext.checkpointId,
+        device_id: scanContext.deviceId,
+        created_by: userId
+      }, client);
+
+      return { ...decision, passage };
+    });
+  }
+
+  /**
+   * Résumé d'un passage pour les réponses de validation
+   */
+  describePassage(decision) {
+    if (!decision || !decision.zone) {
+      return null;
+    }
+    return {
+      zone_id: decision.zone.id,
+      zone_code: decision.zone.code,
+      zone_name: decision.zone.name,
+      direction: decision.direction,
+      reentry_policy: decision.zone.reentry_policy,
+      entries: decision.direction === 'entry' ? (decision.stats ? decision.stats.entries : 0) + 1 : (decision.stats ? decision.stats.entries : 0),
+      scanned_at: decision.passage ? decision.passage.scanned_at : null
+    };
+  }
+}
+
+module.exports = new AccessZonesService();
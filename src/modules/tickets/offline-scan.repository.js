@@ -0,0 +1,169 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux données du scan hors ligne : billets exportés dans les bundles
+ * des appareils de contrôle et scans remontés à la synchronisation.
+ */
+class OfflineScanRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async findEvent(eventId) {
+    const query = `
+      SELECT id, title, event_date, end_date, timezone, status, organizer_id
+      FROM events
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Tous les billets d'un événement, y compris supprimés ou dont l'invité est
+   * annulé (révocations à transmettre aux appareils)
+   */
+  async findEventTickets(eventId) {
+    const query = `
+      SELECT t.id, t.ticket_code, t.ticket_type_id, tt.name AS ticket_type_name,
+             t.qr_key_id, t.qr_issued_at, t.is_validated, t.validated_at,
+             t.deleted_at, eg.status AS guest_status, eg.deleted_at AS guest_deleted_at,
+             g.first_name, g.last_name
+      FROM tickets t
+      JOIN event_guests eg ON t.event_guest_id = eg.id
+      LEFT JOIN guests g ON eg.guest_id = g.id
+      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+      WHERE eg.event_id = $1
+      ORDER BY t.id ASC
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows;
+  }
+
+  /**
+   * Billets scannés, verrouillés le temps de la résolution des doublons
+   */
+  async lockTicketsByCodes(eventId, ticketCodes, client = database) {
+    const query = `
+      SELECT t.id, t.ticket_code, t.ticket_type_id, t.is_validated, t.validated_at, t.validated_by,
+             t.deleted_at, eg.event_id, eg.guest_id, eg.status AS guest_status,
+             eg.deleted_at AS guest_deleted_at
+      FROM tickets t
+      JOIN event_guests eg ON t.event_guest_id = eg.id
+      WHERE eg.event_id = $1 AND t.ticket_code = ANY($2)
+      ORDER BY t.id ASC
+      FOR UPDATE OF t
+    `;
+
+    const result = await client.query(query, [eventId, ticketCodes]);
+    return result.rows;
+  }
+
+  /**
+   * Scans déjà synchronisés d'un appareil (renvoi d'un même lot)
+   */
+  async findDeviceScans(deviceId, scanIds, client = database) {
+    const query = `
+      SELECT * FROM offline_scans
+      WHERE device_id = $1 AND scan_id = ANY($2)
+    `;
+
+    const result = await client.query(query, [deviceId, scanIds]);
+    return result.rows;
+  }
+
+  /**
+   * Scan retenu (accepted) pour chacun des billets
+   */
+  async findAcceptedScans(ticketIds, client = database) {
+    const query = `
+      SELECT * FROM offline_scans
+      WHERE ticket_id = ANY($1) AND resolution = 'accepted' AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [ticketIds]);
+    return result.rows;
+  }
+
+  async createScan(scanData, client = database) {
+    const {
+      scan_id,
+      device_id,
+      checkpoint_id,
+      ticket_code,
+      scanned_at,
+      resolution,
+      conflict_reason,
+      winning_scan_id,
+      bundle_generated_at,
+      event_id,
+      ticket_id,
+      created_by
+    } = scanData;
+
+    const query = `
+      INSERT INTO offline_scans (
+        scan_id, device_id, checkpoint_id, ticket_code, scanned_at, resolution,
+        conflict_reason, winning_scan_id, bundle_generated_at, event_id, ticket_id,
+        created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      scan_id,
+      device_id,
+      checkpoint_id || 'main',
+      ticket_code,
+      scanned_at,
+      resolution,
+      conflict_reason || null,
+      winning_scan_id || null,
+      bundle_generated_at || null,
+      event_id,
+      ticket_id || null,
+      created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Déclasse un scan précédemment retenu au profit d'un scan antérieur
+   */
+  async markSuperseded(scanId, winningScanId, updatedBy, client = database) {
+    const query = `
+      UPDATE offline_scans
+      SET resolution = 'duplicate', conflict_reason = 'superseded_by_earlier_scan',
+          winning_scan_id = $2, updated_by = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [scanId, winningScanId, updatedBy]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Enregistre l'entrée retenue sur le billet (heure réelle du scan hors ligne,
+   * la première entrée connue est conservée)
+   */
+  async markTicketValidated(ticketId, validatedAt, validatedBy, client = database) {
+    const query = `
+      UPDATE tickets
+      SET is_validated = TRUE,
+          validated_at = LEAST(COALESCE(validated_at, $2::timestamptz), $2::timestamptz),
+          validated_by = CASE WHEN validated_at IS NULL OR validated_at > $2::timestamptz THEN $3 ELSE validated_by END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [ticketId, validatedAt, validatedBy]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new OfflineScanRepository();
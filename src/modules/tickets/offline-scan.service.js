@@ -0,0 +1,441 @@
+const offlineScanRepository = require('./offline-scan.repository');
+const guestsRepository = require('../guests/guests.repository');
+const accessZonesRepository = require('./access-zones.repository');
+const accessZonesService = require('./access-zones.service');
+const scanLogsService = require('./scan-logs.service');
+const ticketTransfersRepository = require('./ticket-transfers.repository');
+const { signDocument } = require('../../utils/qr-signature');
+
+// Durée de validité d'un bundle hors ligne (12 heures par défaut)
+const OFFLINE_BUNDLE_TTL_SECONDS = parseInt(process.env.OFFLINE_BUNDLE_TTL_SECONDS) || 43200;
+
+// Nombre maximum de scans par synchronisation
+const MAX_SCANS_PER_SYNC = parseInt(process.env.OFFLINE_SYNC_MAX_SCANS) || 1000;
+
+/**
+ * Scan hors ligne des appareils de contrôle.
+ * Export : bundle signé des billets valides et des révocations d'un événement
+ * pour un point de contrôle. Synchronisation : les scans remontés sont
+ * rapprochés des entrées déjà enregistrées ; lorsqu'un billet a été scanné
+ * plusieurs fois (plusieurs portes), l'entrée retenue est la plus ancienne,
+ * puis par device_id et scan_id (ordre lexicographique) en cas d'égalité.
+ * Une validation en ligne l'emporte sur un scan hors ligne de même horodatage.
+ * Si l'événement a des zones d'accès, le bundle d'un point de contrôle ne
+ * contient que les billets admis dans sa zone et les doublons sont résolus par
+ * zone ; dans une zone autorisant la ré-entrée, un nouveau scan est une ré-entrée.
+ */
+class OfflineScanService {
+  async getOwnedEvent(eventId, userId) {
+    const event = await offlineScanRepository.findEvent(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    if (event.organizer_id !== userId && String(event.organizer_id) !== String(userId)) {
+      throw new Error('Access denied: You are not the organizer of this event');
+    }
+    return event;
+  }
+
+  /**
+   * Motif de révocation d'un billet (null si le billet est valide)
+   */
+  getRevocationReason(ticket) {
+    if (ticket.deleted_at) return 'ticket_deleted';
+    if (ticket.guest_deleted_at) return 'guest_removed';
+    if (ticket.guest_status === 'cancelled') return 'guest_cancelled';
+    if (ticket.guest_status === 'waitlisted') return 'guest_waitlisted';
+    return null;
+  }
+
+  /**
+   * Exporte le bundle signé d'un événement pour un point de contrôle
+   * @param {number} eventId - ID de l'événement
+   * @param {string} checkpointId - Point de contrôle (porte)
+   * @param {number} userId - ID de l'organisateur
+   */
+  async exportBundle(eventId, checkpointId, userId) {
+    try {
+      const event = await this.getOwnedEvent(eventId, userId);
+      const zones = await accessZonesRepository.findByEvent(eventId);
+      const zone = zones.length > 0 ? accessZonesService.resolveZone(zones, { checkpointId }) : null;
+      if (zones.length > 0 && !zone) {
+        throw new Error('No access zone matches this checkpoint');
+      }
+      const zoneTicketTypes = zone ? (zone.ticket_type_ids || []).map(id => String(id)) : [];
+
+      const tickets = await offlineScanRepository.findEventTickets(eventId);
+      const releasedCodes = await ticketTransfersRepository.findReleasedCodesByEvent(eventId);
+      const generatedAt = new Date();
+
+      const validTickets = [];
+      const revocations = [];
+
+      tickets.forEach(ticket => {
+        const reason = this.getRevocationReason(ticket);
+        if (reason) {
+          revocations.push({ ticket_id: ticket.id, ticket_code: ticket.ticket_code, reason });
+          return;
+        }
+        if (zoneTicketTypes.length > 0 && !zoneTicketTypes.includes(String(ticket.ticket_type_id))) {
+          return;
+        }
+
+        validTickets.push({
+          ticket_id: ticket.id,
+          ticket_code: ticket.ticket_code,
+          ticket_type_id: ticket.ticket_type_id,
+          ticket_type_name: ticket.ticket_type_name,
+          holder: [ticket.first_name, ticket.last_name].filter(Boolean).join(' ') || null,
+          qr_key_id: ticket.qr_key_id,
+          // Les QR codes signés avant cette date ont été remplacés
+          qr_issued_at: ticket.qr_issued_at,
+          validated_at: ticket.is_validated ? ticket.validated_at : null
+        });
+      });
+
+      // Anciens codes des billets transférés ou réattribués
+      releasedCodes.forEach(released => {
+        revocations.push({ ticket_id: released.ticket_id, ticket_code: released.ticket_code, reason: 'transferred' });
+      });
+
+      const bundle = {
+        version: 1,
+        event: {
+          id: event.id,
+          title: event.title,
+          event_date: event.event_date,
+          end_date: event.end_date,
+          timezone: event.timezone,
+          status: event.status
+        },
+        checkpoint_id: checkpointId || 'main',
+        // Politique appliquée par l'appareil pendant la coupure réseau
+        zone: zone ? {
+          id: zone.id,
+          code: zone.code,
+          name: zone.name,
+          reentry_policy: zone.reentry_policy,
+          max_reentries: zone.max_reentries,
+          cooldown_seconds: zone.cooldown_seconds
+        } : null,
+        generated_at: generatedAt.toISOString(),
+        expires_at: new Date(generatedAt.getTime() + OFFLINE_BUNDLE_TTL_SECONDS * 1000).toISOString(),
+        tickets: validTickets,
+        revocations
+      };
+
+      return {
+        success: true,
+        data: {
+          event_id: event.id,
+          checkpoint_id: bundle.checkpoint_id,
+          generated_at: bundle.generated_at,
+          expires_at: bundle.expires_at,
+          tickets_count: validTickets.length,
+          revocations_count: revocations.length,
+          ...signDocument(bundle)
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting offline scan bundle:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export offline scan bundle'
+      };
+    }
+  }
+
+  /**
+   * Vérifie et normalise un lot de scans remonté par un appareil
+   */
+  normalizeSyncData(syncData) {
+    const { device_id, checkpoint_id, bundle_generated_at, scans } = syncData || {};
+    const errors = [];
+
+    if (!device_id) {
+      errors.push('device_id is required');
+    }
+    if (!Array.isArray(scans) || scans.length === 0) {
+      errors.push('scans must be a non-empty array');
+    } else if (scans.length > MAX_SCANS_PER_SYNC) {
+      errors.push(`A sync cannot contain more than ${MAX_SCANS_PER_SYNC} scans`);
+    }
+
+    const normalized = [];
+    const seen = new Set();
+    (Array.isArray(scans) ? scans : []).forEach((scan, index) => {
+      const scannedAt = new Date(scan && scan.scanned_at);
+      if (!scan || !scan.scan_id || !scan.ticket_code || isNaN(scannedAt.getTime())) {
+        errors.push(`scans[${index}] requires scan_id, ticket_code and a valid scanned_at`);
+        return;
+      }
+      // Un même scan envoyé deux fois dans le lot n'est traité qu'une fois
+      if (seen.has(String(scan.scan_id))) return;
+      seen.add(String(scan.scan_id));
+
+      normalized.push({
+        scan_id: String(scan.scan_id),
+        ticket_code: String(scan.ticket_code),
+        scanned_at: scannedAt,
+        device_id: String(device_id),
+        checkpoint_id: scan.checkpoint_id || checkpoint_id || 'main'
+      });
+    });
+
+    return {
+      errors,
+      deviceId: device_id ? String(device_id) : null,
+      bundleGeneratedAt: bundle_generated_at || null,
+      scans: normalized
+    };
+  }
+
+  /**
+   * Ordre de résolution des doublons : horodatage, puis appareil, puis ID du scan.
+   * Une validation en ligne (source 'online') passe avant un scan hors ligne simultané.
+   */
+  compareEntries(a, b) {
+    const timeDiff = new Date(a.scanned_at).getTime() - new Date(b.scanned_at).getTime();
+    if (timeDiff !== 0) return timeDiff;
+    if (a.source !== b.source) return a.source === 'online' ? -1 : 1;
+    if (a.device_id !== b.device_id) return String(a.device_id) < String(b.device_id) ? -1 : 1;
+    return String(a.scan_id) < String(b.scan_id) ? -1 : String(a.scan_id) > String(b.scan_id) ? 1 : 0;
+  }
+
+  describeWinner(winner) {
+    return {
+      source: winner.source,
+      scan_id: winner.source === 'offline' ? winner.scan_id : null,
+      device_id: winner.source === 'offline' ? winner.device_id : null,
+      checkpoint_id: winner.source === 'offline' ? winner.checkpoint_id : null,
+      scanned_at: new Date(winner.scanned_at).toISOString()
+    };
+  }
+
+  /**
+   * Trace l'entrée dans la zone d'accès à l'heure réelle du scan
+   */
+  async recordZoneEntry(ticket, zone, scan, userId, client) {
+    if (!zone) return null;
+    return accessZonesRepository.createPassage({
+      ticket_id: ticket.id,
+      access_zone_id: zone.id,
+      direction: 'entry',
+      checkpoint_id: scan.checkpoint_id,
+      device_id: scan.device_id,
+      scanned_at: scan.scanned_at,
+      created_by: userId
+    }, client);
+  }
+
+  /**
+   * Synchronise les scans hors ligne d'un appareil et retourne le rapport de conflits.
+   * Idempotent : un scan déjà synchronisé (device_id + scan_id) n'est pas retraité.
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} syncData - { device_id, checkpoint_id, bundle_generated_at, scans: [{ scan_id, ticket_code, scanned_at }] }
+   * @param {number} userId - ID de l'organisateur
+   */
+  async syncScans(eventId, syncData, userId) {
+    try {
+      const { errors, deviceId, bundleGeneratedAt, scans } = this.normalizeSyncData(syncData);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid offline scans',
+          details: errors
+        };
+      }
+
+      await this.getOwnedEvent(eventId, userId);
+
+      const report = await offlineScanRepository.transaction(async (client) => {
+        const results = [];
+        const conflicts = [];
+
+        // Scans déjà synchronisés : on renvoie leur résolution d'origine
+        const previous = await offlineScanRepository.findDeviceScans(deviceId, scans.map(scan => scan.scan_id), client);
+        const previousById = new Map(previous.map(row => [row.scan_id, row]));
+        previous.forEach(row => {
+          results.push({
+            scan_id: row.scan_id,
+            ticket_code: row.ticket_code,
+            resolution: row.resolution,
+            reason: row.conflict_reason,
+            already_synced: true
+          });
+        });
+
+        const pending = scans
+          .filter(scan => !previousById.has(scan.scan_id))
+          .map(scan => ({ ...scan, source: 'offline' }))
+          .sort((a, b) => this.compareEntries(a, b));
+
+        if (pending.length === 0) {
+          return { results, conflicts };
+        }
+
+        const tickets = await offlineScanRepository.lockTicketsByCodes(
+          eventId,
+          Array.from(new Set(pending.map(scan => scan.ticket_code))),
+          client
+        );
+        const ticketsByCode = new Map(tickets.map(ticket => [ticket.ticket_code, ticket]));
+
+        // Zones d'accès : les doublons sont résolus par billet et par zone
+        const zones = await accessZonesRepository.findByEvent(eventId, client);
+        const zoneFor = checkpointId => (zones.length > 0 ? accessZonesService.resolveZone(zones, { checkpointId }) : null);
+        const winnerKey = (ticketId, zone) => `${ticketId}:${zone ? zone.id : 'event'}`;
+
+        // Entrée actuellement retenue : scan hors ligne accepté ou, sans zones, validation en ligne
+        const winners = new Map();
+        const accepted = await offlineScanRepository.findAcceptedScans(tickets.map(ticket => ticket.id), client);
+        accepted.forEach(row => winners.set(winnerKey(row.ticket_id, zoneFor(row.checkpoint_id)), { ...row, source: 'offline' }));
+        if (zones.length === 0) {
+          tickets.forEach(ticket => {
+            if (!winners.has(winnerKey(ticket.id, null)) && ticket.is_validated && ticket.validated_at) {
+              winners.set(winnerKey(ticket.id, null), { source: 'online', scanned_at: ticket.validated_at });
+            }
+          });
+        }
+
+        for (const scan of pending) {
+          const ticket = ticketsByCode.get(scan.ticket_code);
+          const baseRow = {
+            scan_id: scan.scan_id,
+            device_id: scan.device_id,
+            checkpoint_id: scan.checkpoint_id,
+            ticket_code: scan.ticket_code,
+            scanned_at: scan.scanned_at,
+            bundle_generated_at: bundleGeneratedAt,
+            event_id: eventId,
+            ticket_id: ticket ? ticket.id : null,
+            created_by: userId
+          };
+
+          const zone = zoneFor(scan.checkpoint_id);
+          const zoneTicketTypes = zone ? (zone.ticket_type_ids || []).map(id => String(id)) : [];
+          let rejection = !ticket ? 'unknown_ticket' : this.getRevocationReason(ticket);
+          if (!rejection && zones.length > 0 && !zone) {
+            rejection = 'unknown_checkpoint';
+          }
+          if (!rejection && zoneTicketTypes.length > 0 && !zoneTicketTypes.includes(String(ticket.ticket_type_id))) {
+            rejection = 'zone_access_denied';
+          }
+          if (rejection) {
+            await offlineScanRepository.createScan({ ...baseRow, resolution: 'rejected', conflict_reason: rejection }, client);
+            await scanLogsService.recordOfflineScan(scan, { ticket, zone, reason: rejection }, eventId, userId, client);
+            results.push({ scan_id: scan.scan_id, ticket_code: scan.ticket_code, resolution: 'rejected', reason: rejection });
+            conflicts.push({
+              type: 'rejected',
+              reason: rejection,
+              ticket_code: scan.ticket_code,
+              scan: this.describeWinner(scan)
+            });
+            continue;
+          }
+
+          const key = winnerKey(ticket.id, zone);
+          const currentWinner = winners.get(key);
+
+          const reentryAllowed = currentWinner && zone && zone.reentry_policy !== 'single'
+            && this.compareEntries(currentWinner, scan) <= 0
+            && (zone.reentry_policy === 'unlimited'
+              || (await accessZonesRepository.getPassageStats(ticket.id, zone.id, client)).entries <= (parseInt(zone.max_reentries) || 0));
+
+          if (reentryAllowed) {
+            // Zone autorisant la ré-entrée (dans la limite de max_reentries) : nouveau passage, sans conflit
+            await offlineScanRepository.createScan({
+              ...baseRow,
+              resolution: 'duplicate',
+              conflict_reason: 'reentry',
+              winning_scan_id: currentWinner.id
+            }, client);
+            await this.recordZoneEntry(ticket, zone, scan, userId, client);
+            await scanLogsService.recordOfflineScan(scan, { ticket, zone, accepted: true, reason: 'reentry' }, eventId, userId, client);
+            results.push({ scan_id: scan.scan_id, ticket_code: scan.ticket_code, resolution: 'duplicate', reason: 'reentry' });
+            continue;
+          }
+
+          if (currentWinner && this.compareEntries(currentWinner, scan) <= 0) {
+            // Billet déjà entré plus tôt (autre porte ou validation en ligne)
+            const reason = currentWinner.source === 'online'
+              ? 'already_validated_online'
+              : (zone && zone.reentry_policy === 'limited' ? 'reentry_limit_reached' : 'duplicate_scan');
+            await offlineScanRepository.createScan({
+              ...baseRow,
+              resolution: 'duplicate',
+              conflict_reason: reason,
+              winning_scan_id: currentWinner.source === 'offline' ? currentWinner.id : null
+            }, client);
+            await scanLogsService.recordOfflineScan(scan, { ticket, zone, reason }, eventId, userId, client);
+            results.push({ scan_id: scan.scan_id, ticket_code: scan.ticket_code, resolution: 'duplicate', reason });
+            conflicts.push({
+              type: 'duplicate',
+              reason,
+              ticket_code: scan.ticket_code,
+              scan: this.describeWinner(scan),
+              winner: this.describeWinner(currentWinner)
+            });
+            continue;
+          }
+
+          // Premier passage connu pour ce billet : l'entrée est retenue
+          const row = await offlineScanRepository.createScan({ ...baseRow, resolution: 'accepted' }, client);
+
+          if (currentWinner) {
+            // Un scan antérieur arrive après coup : l'entrée précédemment retenue est déclassée
+            if (currentWinner.source === 'offline') {
+              await offlineScanRepository.markSuperseded(currentWinner.id, row.id, userId, client);
+            }
+            conflicts.push({
+              type: 'superseded',
+              reason: 'superseded_by_earlier_scan',
+              ticket_code: scan.ticket_code,
+              scan: this.describeWinner(currentWinner),
+              winner: this.describeWinner({ ...row, source: 'offline' })
+            });
+          }
+
+          await this.recordZoneEntry(ticket, zone, scan, userId, client);
+          await scanLogsService.recordOfflineScan(scan, { ticket, zone, accepted: true }, eventId, userId, client);
+          await offlineScanRepository.markTicketValidated(ticket.id, scan.scanned_at, userId, client);
+          await guestsRepository.checkIn({
+            guest_id: ticket.guest_id,
+            event_id: ticket.event_id,
+            checked_in_at: scan.scanned_at.toISOString()
+          }, client);
+
+          winners.set(key, { ...row, source: 'offline' });
+          results.push({ scan_id: scan.scan_id, ticket_code: scan.ticket_code, resolution: 'accepted', reason: null });
+        }
+
+        return { results, conflicts };
+      });
+
+      const count = resolution => report.results.filter(result => !result.already_synced && result.resolution === resolution).length;
+
+      return {
+        success: true,
+        data: {
+          device_id: deviceId,
+          received: scans.length,
+          accepted: count('accepted'),
+          duplicates: count('duplicate'),
+          rejected: count('rejected'),
+          already_synced: report.results.filter(result => result.already_synced).length,
+          results: report.results,
+          conflicts: report.conflicts,
+          synced_at: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      console.error('Error syncing offline scans:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to sync offline scans'
+      };
+    }
+  }
+}
+
+module.exports = new OfflineScanService();
@@ -0,0 +1,125 @@
+const promoCodesService = require('./promo-codes.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux opérations sur les codes promo
+ */
+function sendPromoCodeError(res, result) {
+  if (result.error === 'Event not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Event'));
+  }
+  if (result.error === 'Promo code not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Promo code'));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  if (result.code === 'PROMO_CODE_INVALID' || result.code === 'DONATION_AMOUNT_INVALID') {
+    return res.status(422).json(ResponseFormatter.error(result.error, null, result.code));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class PromoCodesController {
+  async getEventPromoCodes(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await promoCodesService.getEventPromoCodes(eventId, userId);
+      if (!result.success) {
+        return sendPromoCodeError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Promo codes retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createPromoCode(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await promoCodesService.createPromoCode(eventId, req.body, userId);
+      if (!result.success) {
+        return sendPromoCodeError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Promo code created', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updatePromoCode(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await promoCodesService.updatePromoCode(id, req.body, userId);
+      if (!result.success) {
+        return sendPromoCodeError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Promo code updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deletePromoCode(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await promoCodesService.deletePromoCode(id, userId);
+      if (!result.success) {
+        return sendPromoCodeError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Promo code deleted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRedemptions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const result = await promoCodesService.getRedemptions(id, {
+        status,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }, userId);
+      if (!result.success) {
+        return sendPromoCodeError(res, result);
+      }
+
+      res.json(ResponseFormatter.paginated('Promo code redemptions retrieved', result.data, result.pagination));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async quote(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const result = await promoCodesService.quote(eventId, req.body);
+      if (!result.success) {
+        return sendPromoCodeError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Order priced', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PromoCodesController();
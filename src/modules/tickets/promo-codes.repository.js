@@ -0,0 +1,297 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux codes promo des événements et à leurs utilisations
+ */
+class PromoCodesRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async create(promoData, client = database) {
+    const {
+      event_id,
+      code,
+      description,
+      discount_type,
+      discount_value,
+      ticket_type_ids,
+      max_uses,
+      max_uses_per_email,
+      valid_from,
+      valid_until,
+      stackable,
+      is_active,
+      created_by
+    } = promoData;
+
+    const query = `
+      INSERT INTO promo_codes (
+        event_id, code, description, discount_type, discount_value, ticket_type_ids,
+        max_uses, max_uses_per_email, valid_from, valid_until, stackable, is_active,
+        created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      event_id,
+      code,
+      description || null,
+      discount_type,
+      discount_value,
+      ticket_type_ids || [],
+      max_uses || null,
+      max_uses_per_email || null,
+      valid_from || null,
+      valid_until || null,
+      !!stackable,
+      is_active !== false,
+      created_by
+    ]);
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT pc.*, e.organizer_id
+      FROM promo_codes pc
+      JOIN events e ON pc.event_id = e.id
+      WHERE pc.id = $1 AND pc.deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Codes promo d'un événement avec leurs compteurs d'utilisation
+   */
+  async findByEvent(eventId) {
+    const query = `
+      SELECT pc.*,
+             COUNT(r.id) FILTER (WHERE r.status = 'confirmed') AS confirmed_uses,
+             COUNT(r.id) FILTER (WHERE r.status = 'pending') AS pending_uses,
+             COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status = 'confirmed'), 0) AS discount_total
+      FROM promo_codes pc
+      LEFT JOIN promo_code_redemptions r ON r.promo_code_id = pc.id
+      WHERE pc.event_id = $1 AND pc.deleted_at IS NULL
+      GROUP BY pc.id
+      ORDER BY pc.created_at DESC
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows;
+  }
+
+  /**
+   * Codes saisis par l'acheteur, verrouillés pendant la vérification des plafonds
+   * @param {string[]} codes - Codes en majuscules
+   */
+  async lockByCodes(eventId, codes, client = database) {
+    const query = `
+      SELECT * FROM promo_codes
+      WHERE event_id = $1 AND UPPER(code) = ANY($2) AND deleted_at IS NULL
+      ORDER BY id ASC
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [eventId, codes]);
+    return result.rows;
+  }
+
+  async update(id, updateData, userId) {
+    const fields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updateData)) {
+      values.push(value);
+      fields.push(`${key} = $${values.length}`);
+    }
+
+    values.push(userId);
+    fields.push(`updated_by = $${values.length}`, 'updated_at = NOW()');
+    values.push(id);
+
+    const query = `
+      UPDATE promo_codes
+      SET ${fields.join(', ')}
+      WHERE id = $${values.length} AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await database.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  async softDelete(id, userId) {
+    const query = `
+      UPDATE promo_codes
+      SET deleted_at = NOW(), deleted_by = $2, is_active = FALSE, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await database.query(query, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Utilisations comptées dans les plafonds (paiements en cours ou réussis)
+   */
+  async countActiveRedemptions(promoCodeId, email = null, client = database) {
+    const values = [promoCodeId];
+    let query = `
+      SELECT COUNT(*) AS count
+      FROM promo_code_redemptions
+      WHERE promo_code_id = $1 AND status IN ('pending', 'confirmed')
+    `;
+
+    if (email) {
+      values.push(email);
+      query += ' AND email = $2';
+    }
+
+    const result = await client.query(query, values);
+    return parseInt(result.rows[0].count);
+  }
+
+  async createRedemption(redemptionData, client = database) {
+    const { promo_code_id, event_id, email, discount_amount, currency } = redemptionData;
+
+    const query = `
+      INSERT INTO promo_code_redemptions (promo_code_id, event_id, email, discount_amount, currency)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [promo_code_id, event_id, email, discount_amount, currency || null]);
+    return result.rows[0];
+  }
+
+  async attachPayment(redemptionIds, paymentIntentId, client = database) {
+    const query = `
+      UPDATE promo_code_redemptions
+      SET payment_intent_id = $2, updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [redemptionIds, paymentIntentId]);
+    return result.rows;
+  }
+
+  /**
+   * @param {Array|null} ticketTypeIds - Limite aux codes applicables à l'un de ces types
+   *   (un code sans types s'applique à tous) ; null : toutes les utilisations du paiement
+   */
+  async confirmByPayment(paymentIntentId, client = database, ticketTypeIds = null) {
+    const query = `
+      UPDATE promo_code_redemptions r
+      SET status = 'confirmed', confirmed_at = NOW(), updated_at = NOW()
+      FROM promo_codes pc
+      WHERE pc.id = r.promo_code_id AND r.payment_intent_id = $1 AND r.status = 'pending'
+        AND ($2::bigint[] IS NULL
+          OR (cardinality($2::bigint[]) > 0 AND cardinality(pc.ticket_type_ids) = 0)
+          OR pc.ticket_type_ids && $2::bigint[])
+      RETURNING r.*
+    `;
+
+    const result = await client.query(query, [paymentIntentId, ticketTypeIds]);
+    return result.rows;
+  }
+
+  async confirmByIds(redemptionIds, client = database) {
+    const query = `
+      UPDATE promo_code_redemptions
+      SET status = 'confirmed', confirmed_at = NOW(), updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [redemptionIds]);
+    return result.rows;
+  }
+
+  async cancelByPayment(paymentIntentId, client = database) {
+    const query = `
+      UPDATE promo_code_redemptions
+      SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE payment_intent_id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentIntentId]);
+    return result.rows;
+  }
+
+  async cancelByIds(redemptionIds, client = database) {
+    const query = `
+      UPDATE promo_code_redemptions
+      SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [redemptionIds]);
+    return result.rows;
+  }
+
+  async findRedemptions(promoCodeId, options = {}) {
+    const { status, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [promoCodeId];
+    let where = 'WHERE promo_code_id = $1';
+    if (status) {
+      values.push(status);
+      where += ` AND status = $${values.length}`;
+    }
+
+    const query = `
+      SELECT * FROM promo_code_redemptions
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const countQuery = `SELECT COUNT(*) AS total FROM promo_code_redemptions ${where}`;
+
+    const [rows, count] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(countQuery, values)
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      redemptions: rows.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Remises confirmées d'un événement, par code
+   */
+  async getEventRedemptionStats(eventId) {
+    const query = `
+      SELECT pc.id AS promo_code_id, pc.code,
+             COUNT(r.id) AS redemptions,
+             COALESCE(SUM(r.discount_amount), 0) AS discount_total
+      FROM promo_code_redemptions r
+      JOIN promo_codes pc ON r.promo_code_id = pc.id
+      WHERE r.event_id = $1 AND r.status = 'confirmed'
+      GROUP BY pc.id, pc.code
+      ORDER BY discount_total DESC
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows;
+  }
+}
+
+module.exports = new PromoCodesRepository();
@@ -0,0 +1,25 @@
+const express = require('express');
+const promoCodesController = require('./promo-codes.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(SecurityMiddleware.authenticated());
+
+// Promo Code Management (remise, types de billets ciblés, plafonds, fenêtre de validité, cumul)
+router.get('/events/:eventId', SecurityMiddleware.withPermissions('tickets.promo_codes.read'), promoCodesController.getEventPromoCodes);
+
+router.post('/events/:eventId', SecurityMiddleware.withPermissions('tickets.promo_codes.create'), promoCodesController.createPromoCode);
+
+// Devis d'une commande : { tickets: [{ ticket_type_id, quantity, unit_price }], promo_codes, email }
+router.post('/events/:eventId/quote', SecurityMiddleware.withPermissions('tickets.read'), promoCodesController.quote);
+
+router.put('/:id', SecurityMiddleware.withPermissions('tickets.promo_codes.update'), promoCodesController.updatePromoCode);
+
+router.delete('/:id', SecurityMiddleware.withPermissions('tickets.promo_codes.delete'), promoCodesController.deletePromoCode);
+
+// Utilisations d'un code (?status=pending|confirmed|cancelled&page=&limit=)
+router.get('/:id/redemptions', SecurityMiddleware.withPermissions('tickets.promo_codes.read'), promoCodesController.getRedemptions);
+
+module.exports = router;
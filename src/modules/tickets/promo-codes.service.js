@@ -0,0 +1,485 @@
+const Joi = require('joi');
+const promoCodesRepository = require('./promo-codes.repository');
+const accessZonesRepository = require('./access-zones.repository');
+const ticketPricingService = require('./ticket-pricing.service');
+const eventsRepository = require('../events/events.repository');
+
+const promoCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,50}$/).required()
+    .messages({ 'string.pattern.base': 'code must be 3 to 50 letters, digits, "-" or "_"' }),
+  description: Joi.string().max(1000).allow(null, ''),
+  discount_type: Joi.string().valid('percentage', 'fixed').required(),
+  discount_value: Joi.number().positive().precision(2).required(),
+  ticket_type_ids: Joi.array().items(Joi.number().integer().positive()).unique(),
+  max_uses: Joi.number().integer().min(1).allow(null),
+  max_uses_per_email: Joi.number().integer().min(1).allow(null),
+  valid_from: Joi.date().iso().allow(null),
+  valid_until: Joi.date().iso().allow(null),
+  stackable: Joi.boolean(),
+  is_active: Joi.boolean()
+});
+
+const promoCodeUpdateSchema = promoCodeSchema.fork(['code', 'discount_type', 'discount_value'], schema => schema.optional());
+
+/**
+ * Erreur de code promo refusé à l'achat (code PROMO_CODE_INVALID)
+ */
+function promoCodeError(message, details = null) {
+  const error = new Error(message);
+  error.code = 'PROMO_CODE_INVALID';
+  error.details = details;
+  return error;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Codes promo d'un événement et moteur de remise des achats de billets.
+ * Un code s'applique en pourcentage ou en montant fixe aux billets des types
+ * qu'il cible (aucun type : tous). Les codes en pourcentage sont appliqués
+ * avant les montants fixes ; plusieurs codes ne se cumulent que s'ils sont
+ * tous cumulables. Chaque utilisation est enregistrée en attente avec le
+ * paiement, confirmée à son succès et annulée s'il échoue : les plafonds
+ * (global et par email) comptent les utilisations en attente.
+ */
+class PromoCodesService {
+  async getOwnedEvent(eventId, userId) {
+    const event = await eventsRepository.findById(eventId);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    if (event.organizer_id !== userId && String(event.organizer_id) !== String(userId)) {
+      throw new Error('Access denied');
+    }
+    return event;
+  }
+
+  /**
+   * Règles qui dépendent de plusieurs champs (création ou code existant mis à jour)
+   * @returns {Array<string>} Erreurs
+   */
+  checkRules(promoData) {
+    const errors = [];
+    if (promoData.discount_type === 'percentage' && parseFloat(promoData.discount_value) > 100) {
+      errors.push('discount_value must not exceed 100 for a percentage discount');
+    }
+    if (promoData.valid_from && promoData.valid_until && new Date(promoData.valid_from) >= new Date(promoData.valid_until)) {
+      errors.push('valid_until must be after valid_from');
+    }
+    return errors;
+  }
+
+  async checkTicketTypes(eventId, ticketTypeIds) {
+    const ids = Array.from(new Set(ticketTypeIds.map(id => String(id))));
+    const found = await accessZonesRepository.findEventTicketTypeIds(eventId, ids);
+    const missing = ids.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      throw new Error(`Ticket types not found for this event: ${missing.join(', ')}`);
+    }
+    return ids;
+  }
+
+  formatPromoCode(promoCode) {
+    const { organizer_id, ...rest } = promoCode;
+    return {
+      ...rest,
+      ticket_type_ids: (promoCode.ticket_type_ids || []).map(id => String(id)),
+      confirmed_uses: promoCode.confirmed_uses !== undefined ? parseInt(promoCode.confirmed_uses) : undefined,
+      pending_uses: promoCode.pending_uses !== undefined ? parseInt(promoCode.pending_uses) : undefined,
+      discount_total: promoCode.discount_total !== undefined ? parseFloat(promoCode.discount_total) : undefined
+    };
+  }
+
+  async createPromoCode(eventId, promoData, userId) {
+    try {
+      const { error, value } = promoCodeSchema.validate(promoData || {}, { abortEarly: false, stripUnknown: true });
+      const errors = error ? error.details.map(d => d.message) : this.checkRules(value);
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid promo code', details: errors };
+      }
+
+      await this.getOwnedEvent(eventId, userId);
+      const ticketTypeIds = await this.checkTicketTypes(eventId, value.ticket_type_ids || []);
+
+      const promoCode = await promoCodesRepository.create({
+        ...value,
+        code: value.code.toUpperCase(),
+        ticket_type_ids: ticketTypeIds,
+        event_id: eventId,
+        created_by: userId
+      });
+
+      return { success: true, data: this.formatPromoCode(promoCode) };
+    } catch (error) {
+      console.error('Error creating promo code:', error);
+      return {
+        success: false,
+        error: error.code === '23505' ? 'A promo code with this code already exists for this event' : (error.message || 'Failed to create promo code')
+      };
+    }
+  }
+
+  async getEventPromoCodes(eventId, userId) {
+    try {
+      await this.getOwnedEvent(eventId, userId);
+      const promoCodes = await promoCodesRepository.findByEvent(eventId);
+      return { success: true, data: promoCodes.map(promoCode => this.formatPromoCode(promoCode)) };
+    } catch (error) {
+      console.error('Error getting promo codes:', error);
+      return { success: false, error: error.message || 'Failed to get promo codes' };
+    }
+  }
+
+  async updatePromoCode(promoCodeId, updateData, userId) {
+    try {
+      const existing = await promoCodesRepository.findById(promoCodeId);
+      if (!existing) {
+        return { success: false, error: 'Promo code not found' };
+      }
+      if (existing.organizer_id !== userId && String(existing.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const { error, value } = promoCodeUpdateSchema.validate(updateData || {}, { abortEarly: false, stripUnknown: true });
+      const errors = error ? error.details.map(d => d.message) : this.checkRules({ ...existing, ...value });
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid promo code', details: errors };
+      }
+      if (Object.keys(value).length === 0) {
+        return { success: false, error: 'Invalid promo code', details: ['No fields to update'] };
+      }
+
+      if (value.code) {
+        value.code = value.code.toUpperCase();
+      }
+      if (value.ticket_type_ids !== undefined) {
+        value.ticket_type_ids = await this.checkTicketTypes(existing.event_id, value.ticket_type_ids);
+      }
+
+      const updated = await promoCodesRepository.update(promoCodeId, value, userId);
+      return { success: true, data: this.formatPromoCode(updated) };
+    } catch (error) {
+      console.error('Error updating promo code:', error);
+      return {
+        success: false,
+        error: error.code === '23505' ? 'A promo code with this code already exists for this event' : (error.message || 'Failed to update promo code')
+      };
+    }
+  }
+
+  async deletePromoCode(promoCodeId, userId) {
+    try {
+      const existing = await promoCodesRepository.findById(promoCodeId);
+      if (!existing) {
+        return { success: false, error: 'Promo code not found' };
+      }
+      if (existing.organizer_id !== userId && String(existing.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const deleted = await promoCodesRepository.softDelete(promoCodeId, userId);
+      return { success: true, data: this.formatPromoCode(deleted) };
+    } catch (error) {
+      console.error('Error deleting promo code:', error);
+      return { success: false, error: error.message || 'Failed to delete promo code' };
+    }
+  }
+
+  async getRedemptions(promoCodeId, options, userId) {
+    try {
+      const promoCode = await promoCodesRepository.findById(promoCodeId);
+      if (!promoCode) {
+        return { success: false, error: 'Promo code not found' };
+      }
+      if (promoCode.organizer_id !== userId && String(promoCode.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const result = await promoCodesRepository.findRedemptions(promoCodeId, options);
+      return { success: true, data: result.redemptions, pagination: result.pagination };
+    } catch (error) {
+      console.error('Error getting promo code redemptions:', error);
+      return { success: false, error: error.message || 'Failed to get promo code redemptions' };
+    }
+  }
+
+  // ========================================
+  // MOTEUR DE REMISE
+  // ========================================
+
+  /**
+   * Codes saisis : chaîne ou tableau, sans doublon, en majuscules
+   */
+  normalizeCodes(codes) {
+    const list = Array.isArray(codes) ? codes : (codes ? [codes] : []);
+    return Array.from(new Set(list.map(code => String(code).trim().toUpperCase()).filter(Boolean)));
+  }
+
+  /**
+   * Lignes de commande regroupées par type de billet
+   * @param {Array} items - [{ ticket_type_id, quantity, unit_price }]
+   */
+  buildLines(items) {
+    const lines = new Map();
+
+    for (const item of items || []) {
+      const quantity = parseInt(item.quantity || 1);
+      const unitPrice = parseFloat(item.unit_price);
+      if (!item.ticket_type_id || isNaN(quantity) || quantity < 1) {
+        throw promoCodeError('Each item requires a ticket_type_id and a positive quantity');
+      }
+      if (isNaN(unitPrice) || unitPrice < 0) {
+        throw promoCodeError('Each item requires a unit_price to apply promo codes');
+      }
+
+      const key = String(item.ticket_type_id);
+      const existing = lines.get(key);
+      if (existing && existing.unit_price !== unitPrice) {
+        throw promoCodeError(`Conflicting unit prices for ticket type ${key}`);
+      }
+      lines.set(key, {
+        ticket_type_id: item.ticket_type_id,
+        quantity: (existing ? existing.quantity : 0) + quantity,
+        unit_price: unitPrice,
+        // Les dons ne sont pas remisés
+        donation_amount: item.donation_amount !== undefined ? item.donation_amount : null
+      });
+    }
+
+    return Array.from(lines.values()).map(line => ({
+      ...line,
+      subtotal: roundAmount(line.unit_price * line.quantity),
+      discount_amount: 0
+    }));
+  }
+
+  /**
+   * Vérifie qu'un code est utilisable pour cet acheteur
+   * @returns {Promise<string|null>} Motif du refus
+   */
+  async checkUsable(promoCode, email, client, now = new Date()) {
+    if (!promoCode.is_active) {
+      return `Promo code ${promoCode.code} is not active`;
+    }
+    if (promoCode.valid_from && new Date(promoCode.valid_from) > now) {
+      return `Promo code ${promoCode.code} is not valid yet`;
+    }
+    if (promoCode.valid_until && new Date(promoCode.valid_until) < now) {
+      return `Promo code ${promoCode.code} has expired`;
+    }
+    if (promoCode.max_uses) {
+      const uses = await promoCodesRepository.countActiveRedemptions(promoCode.id, null, client);
+      if (uses >= promoCode.max_uses) {
+        return `Promo code ${promoCode.code} has reached its usage limit`;
+      }
+    }
+    if (promoCode.max_uses_per_email) {
+      const uses = await promoCodesRepository.countActiveRedemptions(promoCode.id, email, client);
+      if (uses >= promoCode.max_uses_per_email) {
+        return `Promo code ${promoCode.code} has already been used by this buyer`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Applique les codes aux lignes : pourcentages d'abord, puis montants fixes.
+   * La remise d'un code est répartie sur ses lignes au prorata de leur reste à payer.
+   * @returns {Object} { lines, discounts: [{ promo_code, amount }] }
+   */
+  computeDiscounts(promoCodes, lines) {
+    const remaining = lines.map(line => line.subtotal);
+    const lineDiscounts = lines.map(() => 0);
+    const ordered = [...promoCodes].sort((a, b) => {
+      if (a.discount_type === b.discount_type) return parseInt(a.id) - parseInt(b.id);
+      return a.discount_type === 'percentage' ? -1 : 1;
+    });
+    const discounts = [];
+
+    for (const promoCode of ordered) {
+      const scope = (promoCode.ticket_type_ids || []).map(id => String(id));
+      const eligible = lines
+        .map((line, index) => index)
+        .filter(index => lines[index].donation_amount === null || lines[index].donation_amount === undefined)
+        .filter(index => scope.length === 0 || scope.includes(String(lines[index].ticket_type_id)));
+      const eligibleTotal = roundAmount(eligible.reduce((sum, index) => sum + remaining[index], 0));
+
+      if (eligibleTotal <= 0) {
+        throw promoCodeError(`Promo code ${promoCode.code} does not apply to these tickets`);
+      }
+
+      const value = parseFloat(promoCode.discount_value);
+      const amount = promoCode.discount_type === 'percentage'
+        ? roundAmount(eligibleTotal * value / 100)
+        : Math.min(roundAmount(value), eligibleTotal);
+
+      let allocated = 0;
+      eligible.forEach((index, position) => {
+        const share = position === eligible.length - 1
+          ? roundAmount(amount - allocated)
+          : Math.min(roundAmount(amount * remaining[index] / eligibleTotal), remaining[index]);
+        remaining[index] = roundAmount(remaining[index] - share);
+        lineDiscounts[index] = roundAmount(lineDiscounts[index] + share);
+        allocated = roundAmount(allocated + share);
+      });
+
+      discounts.push({ promo_code: promoCode, amount });
+    }
+
+    return {
+      lines: lines.map((line, index) => ({ ...line, discount_amount: lineDiscounts[index] })),
+      discounts
+    };
+  }
+
+  /**
+   * Calcule le montant d'une commande de billets avec ses codes promo
+   * @param {number} eventId - ID de l'événement
+   * @param {Array} items - [{ ticket_type_id, quantity, unit_price }]
+   * @param {string|string[]} codes - Codes saisis par l'acheteur
+   * @param {Object} options - { email, currency, redeem, client }
+   *   redeem : enregistre les utilisations (en attente) ; sinon simple devis
+   * @returns {Promise<Object>} { subtotal, discount_amount, total, lines, promo_codes, redemption_ids }
+   */
+  async priceOrder(eventId, items, codes, options = {}) {
+    const { currency, redeem = false } = options;
+    const email = options.email ? String(options.email).trim().toLowerCase() : null;
+    const normalizedCodes = this.normalizeCodes(codes);
+    const lines = this.buildLines(items);
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+    if (normalizedCodes.length === 0) {
+      return { subtotal, discount_amount: 0, total: subtotal, lines, promo_codes: [], redemption_ids: [] };
+    }
+    if (!email) {
+      throw promoCodeError('customer_info.email is required to use a promo code');
+    }
+
+    const run = async (client) => {
+      const promoCodes = await promoCodesRepository.lockByCodes(eventId, normalizedCodes, client);
+      const found = promoCodes.map(promoCode => promoCode.code.toUpperCase());
+      const unknown = normalizedCodes.filter(code => !found.includes(code));
+      if (unknown.length > 0) {
+        throw promoCodeError(`Unknown promo code: ${unknown.join(', ')}`);
+      }
+      if (promoCodes.length > 1 && promoCodes.some(promoCode => !promoCode.stackable)) {
+        throw promoCodeError('These promo codes cannot be combined');
+      }
+
+      for (const promoCode of promoCodes) {
+        const refusal = await this.checkUsable(promoCode, email, client);
+        if (refusal) {
+          throw promoCodeError(refusal);
+        }
+      }
+
+      const pricing = this.computeDiscounts(promoCodes, lines);
+      const redemptionIds = [];
+      if (redeem) {
+        for (const discount of pricing.discounts) {
+          const redemption = await promoCodesRepository.createRedemption({
+            promo_code_id: discount.promo_code.id,
+            event_id: eventId,
+            email,
+            discount_amount: discount.amount,
+            currency
+          }, client);
+          redemptionIds.push(redemption.id);
+        }
+      }
+
+      const discountAmount = roundAmount(pricing.discounts.reduce((sum, discount) => sum + discount.amount, 0));
+      return {
+        subtotal,
+        discount_amount: discountAmount,
+        total: roundAmount(subtotal - discountAmount),
+        lines: pricing.lines,
+        promo_codes: pricing.discounts.map(discount => ({
+          id: discount.promo_code.id,
+          code: discount.promo_code.code,
+          discount_type: discount.promo_code.discount_type,
+          discount_value: parseFloat(discount.promo_code.discount_value),
+          amount: discount.amount
+        })),
+        redemption_ids: redemptionIds
+      };
+    };
+
+    return options.client ? run(options.client) : promoCodesRepository.transaction(run);
+  }
+
+  /**
+   * Devis d'une commande (aucune utilisation enregistrée)
+   */
+  async quote(eventId, quoteData = {}) {
+    try {
+      // Prix courants des types (paliers, montants de don), comme à l'initialisation du paiement
+      const tickets = Array.isArray(quoteData.tickets)
+        ? await ticketPricingService.priceItems(quoteData.tickets)
+        : quoteData.tickets;
+      const pricing = await this.priceOrder(eventId, tickets, quoteData.promo_codes || quoteData.promo_code, {
+        email: quoteData.email
+      });
+      const { redemption_ids, ...data } = pricing;
+      return { success: true, data };
+    } catch (error) {
+      if (error.code !== 'PROMO_CODE_INVALID' && error.code !== 'DONATION_AMOUNT_INVALID') {
+        console.error('Error quoting promo codes:', error);
+      }
+      return { success: false, error: error.message || 'Failed to apply promo codes', code: error.code };
+    }
+  }
+
+  async attachPayment(redemptionIds, paymentIntentId) {
+    return promoCodesRepository.attachPayment(redemptionIds, paymentIntentId);
+  }
+
+  /**
+   * Paiement réussi : les utilisations deviennent définitives.
+   * Avec ticketTypeIds (billets en partie non émis), seuls les codes appliqués
+   * à un billet émis de ces types sont confirmés ; les autres sont rendus.
+   */
+  async confirmRedemptions(paymentIntentId, client, ticketTypeIds = null) {
+    const confirmed = await promoCodesRepository.confirmByPayment(paymentIntentId, client, ticketTypeIds);
+    if (ticketTypeIds) {
+      await promoCodesRepository.cancelByPayment(paymentIntentId, client);
+    }
+    return confirmed;
+  }
+
+  /**
+   * Commande gratuite (sans paiement) : les utilisations deviennent définitives
+   */
+  async confirmRedemptionIds(redemptionIds, client) {
+    return promoCodesRepository.confirmByIds(redemptionIds, client);
+  }
+
+  /**
+   * Paiement échoué, annulé ou expiré : les utilisations sont rendues
+   */
+  async cancelRedemptions(paymentIntentId, client) {
+    return promoCodesRepository.cancelByPayment(paymentIntentId, client);
+  }
+
+  async cancelRedemptionIds(redemptionIds, client) {
+    return promoCodesRepository.cancelByIds(redemptionIds, client);
+  }
+
+  async getEventRedemptionStats(eventId) {
+    const byCode = await promoCodesRepository.getEventRedemptionStats(eventId);
+    return {
+      redemptions: byCode.reduce((sum, row) => sum + parseInt(row.redemptions), 0),
+      discount_total: roundAmount(byCode.reduce((sum, row) => sum + parseFloat(row.discount_total), 0)),
+      by_code: byCode.map(row => ({
+        promo_code_id: row.promo_code_id,
+        code: row.code,
+        redemptions: parseInt(row.redemptions),
+        discount_total: parseFloat(row.discount_total)
+      }))
+    };
+  }
+}
+
+module.exports = new PromoCodesService();
@@ -0,0 +1,178 @@
+const { database } = require('../../config');
+
+/**
+ * Accès au journal des scans : une ligne par tentative de validation,
+ * quel qu'en soit le résultat.
+ */
+class ScanLogsRepository {
+  async findEvent(eventId) {
+    const query = `
+      SELECT id, title, organizer_id
+      FROM events
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Enregistre une tentative. Le billet est retrouvé par son ID ou son code,
+   * l'événement est celui du scan ou, à défaut, celui du billet. Un ID
+   * inexistant (QR code falsifié) n'est pas rattaché.
+   */
+  async create(logData, client = database) {
+    const {
+      result,
+      reason_code,
+      reason,
+      source,
+      direction,
+      ticket_code,
+      operator_id,
+      device_id,
+      checkpoint_id,
+      scan_time,
+      metadata,
+      event_id,
+      ticket_id,
+      access_zone_id
+    } = logData;
+
+    const query = `
+      WITH scanned_ticket AS (
+        SELECT t.id, t.ticket_code, eg.event_id
+        FROM tickets t
+        JOIN event_guests eg ON t.event_guest_id = eg.id
+        WHERE ($1::bigint IS NOT NULL AND t.id = $1::bigint)
+           OR ($1::bigint IS NULL AND $2::varchar IS NOT NULL AND t.ticket_code = $2::varchar)
+        LIMIT 1
+      )
+      INSERT INTO scan_logs (
+        ticket_id, ticket_code, event_id, result, reason_code, reason, source, direction,
+        operator_id, device_id, checkpoint_id, scan_time, metadata, access_zone_id, created_by
+      )
+      SELECT
+        (SELECT id FROM scanned_ticket),
+        COALESCE($2::varchar, (SELECT ticket_code FROM scanned_ticket)),
+        COALESCE((SELECT id FROM events WHERE id = $3::bigint), (SELECT event_id FROM scanned_ticket)),
+        $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12::timestamptz, NOW()), $13, $14, $9
+      RETURNING *
+    `;
+
+    const inserted = await client.query(query, [
+      ticket_id || null,
+      ticket_code || null,
+      event_id || null,
+      result,
+      reason_code || null,
+      reason || null,
+      source || 'online',
+      direction || 'entry',
+      operator_id || null,
+      device_id || null,
+      checkpoint_id || null,
+      scan_time || null,
+      metadata ? JSON.stringify(metadata) : null,
+      access_zone_id || null
+    ]);
+    return inserted.rows[0];
+  }
+
+  /**
+   * Historique paginé des scans d'un événement avec le décompte par résultat
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} options - Filtres et pagination
+   */
+  async findByEvent(eventId, options = {}) {
+    const {
+      result,
+      source,
+      direction,
+      ticket_id,
+      ticket_code,
+      operator_id,
+      device_id,
+      checkpoint_id,
+      zone_id,
+      date_from,
+      date_to,
+      page = 1,
+      limit = 50
+    } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [eventId];
+    const conditions = ['sl.event_id = $1'];
+    const addFilter = (column, value) => {
+      if (value !== undefined && value !== null && value !== '') {
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    };
+
+    addFilter('sl.result', result);
+    addFilter('sl.source', source);
+    addFilter('sl.direction', direction);
+    addFilter('sl.ticket_id', ticket_id);
+    addFilter('sl.ticket_code', ticket_code);
+    addFilter('sl.operator_id', operator_id);
+    addFilter('sl.device_id', device_id);
+    addFilter('sl.checkpoint_id', checkpoint_id);
+    addFilter('sl.access_zone_id', zone_id);
+
+    if (date_from) {
+      values.push(date_from);
+      conditions.push(`sl.scan_time >= $${values.length}`);
+    }
+    if (date_to) {
+      values.push(date_to);
+      conditions.push(`sl.scan_time <= $${values.length}`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const query = `
+      SELECT sl.*, z.code AS zone_code, z.name AS zone_name,
+             g.first_name AS guest_first_name, g.last_name AS guest_last_name
+      FROM scan_logs sl
+      LEFT JOIN access_zones z ON sl.access_zone_id = z.id
+      LEFT JOIN tickets t ON sl.ticket_id = t.id
+      LEFT JOIN event_guests eg ON t.event_guest_id = eg.id
+      LEFT JOIN guests g ON eg.guest_id = g.id
+      ${where}
+      ORDER BY sl.scan_time DESC, sl.id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+    const summaryQuery = `
+      SELECT sl.result, COUNT(*) AS count
+      FROM scan_logs sl
+      ${where}
+      GROUP BY sl.result
+    `;
+
+    const [rows, summaryRows] = await Promise.all([
+      database.query(query, [...values, limit, offset]),
+      database.query(summaryQuery, values)
+    ]);
+
+    const summary = {};
+    summaryRows.rows.forEach(row => {
+      summary[row.result] = parseInt(row.count);
+    });
+    const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+
+    return {
+      logs: rows.rows,
+      summary,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new ScanLogsRepository();
@@ -0,0 +1,195 @@
+const scanLogsRepository = require('./scan-logs.repository');
+
+const SCAN_RESULTS = ['success', 'duplicate', 'forged', 'wrong_zone', 'out_of_window', 'rejected'];
+const SCAN_SOURCES = ['online', 'offline', 'service'];
+
+// Nombre maximum de lignes par page d'historique
+const MAX_HISTORY_LIMIT = 200;
+
+// Catégorie de résultat des codes de refus (les codes inconnus sont classés "rejected")
+const RESULT_BY_CODE = {
+  TICKET_ALREADY_USED: 'duplicate',
+  TICKET_ALREADY_VALIDATED: 'duplicate',
+  REENTRY_NOT_ALLOWED: 'duplicate',
+  REENTRY_LIMIT_REACHED: 'duplicate',
+  REENTRY_COOLDOWN: 'duplicate',
+  QR_SIGNATURE_MISSING: 'forged',
+  QR_SIGNATURE_MALFORMED: 'forged',
+  QR_SIGNATURE_UNKNOWN_KEY: 'forged',
+  QR_SIGNATURE_INVALID: 'forged',
+  QR_TICKET_MISMATCH: 'forged',
+  INVALID_QR_FORMAT: 'forged',
+  CORRUPTED_QR_CODE: 'forged',
+  FRAUD_DETECTED: 'forged',
+  ZONE_NOT_FOUND: 'wrong_zone',
+  ZONE_ACCESS_DENIED: 'wrong_zone',
+  ZONE_NOT_ENTERED: 'wrong_zone',
+  // Signature expirée ou remplacée par une réémission du billet
+  QR_SIGNATURE_STALE: 'out_of_window',
+  TICKET_EXPIRED: 'out_of_window',
+  EVENT_ENDED: 'out_of_window',
+  EVENT_NOT_STARTED: 'out_of_window'
+};
+
+// Motifs des scans hors ligne (voir OfflineScanService)
+const RESULT_BY_OFFLINE_REASON = {
+  duplicate_scan: 'duplicate',
+  already_validated_online: 'duplicate',
+  reentry_limit_reached: 'duplicate',
+  unknown_checkpoint: 'wrong_zone',
+  zone_access_denied: 'wrong_zone'
+};
+
+// Identifiant numérique ou null (les identifiants lus dans un QR code ne sont pas fiables)
+function toId(value) {
+  return value !== undefined && value !== null && /^\d+$/.test(String(value)) ? String(value) : null;
+}
+
+/**
+ * Journal des scans : chaque tentative de validation (en ligne, hors ligne
+ * ou via le service de validation) est enregistrée avec l'opérateur,
+ * l'appareil, le point de contrôle et le motif d'un éventuel refus.
+ * L'historique ne dépend pas du service scan-validation.
+ */
+class ScanLogsService {
+  /**
+   * Catégorie de résultat d'un code de refus
+   */
+  classify(code) {
+    return RESULT_BY_CODE[code] || 'rejected';
+  }
+
+  classifyOfflineReason(reason) {
+    return RESULT_BY_OFFLINE_REASON[reason] || 'rejected';
+  }
+
+  /**
+   * Enregistre le résultat d'une validation. Une erreur d'écriture du journal
+   * ne fait jamais échouer le scan lui-même.
+   * @param {Object} outcome - Résultat retourné par TicketsService ({ success, data, code, error })
+   * @param {Object} attempt - { ticket, ticketId, ticketCode, eventId, source }
+   * @param {number} userId - Opérateur
+   * @param {Object} scanContext - { checkpointId, deviceId, zoneId, direction }
+   */
+  async recordAttempt(outcome, attempt = {}, userId = null, scanContext = {}) {
+    try {
+      const ticket = attempt.ticket || (outcome.success ? outcome.data : null) || {};
+      const access = outcome.success && outcome.data ? outcome.data.access : null;
+
+      return await scanLogsRepository.create({
+        result: outcome.success ? 'success' : this.classify(outcome.code),
+        reason_code: outcome.success ? null : (outcome.code || null),
+        reason: outcome.success ? null : (outcome.error || null),
+        source: attempt.source || 'online',
+        direction: access ? access.direction : (scanContext.direction === 'exit' ? 'exit' : 'entry'),
+        ticket_id: toId(ticket.id || attempt.ticketId),
+        ticket_code: ticket.ticket_code || attempt.ticketCode,
+        event_id: toId(ticket.event_id || attempt.eventId),
+        operator_id: userId,
+        device_id: scanContext.deviceId,
+        checkpoint_id: scanContext.checkpointId,
+        access_zone_id: access ? access.zone_id : null,
+        metadata: !outcome.success && outcome.details ? { details: outcome.details } : null
+      });
+    } catch (error) {
+      console.error('Error recording scan log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Enregistre un scan hors ligne dans la transaction de synchronisation
+   * (une erreur annule la synchronisation du lot, qui peut être renvoyé)
+   * @param {Object} scan - { ticket_code, device_id, checkpoint_id, scanned_at, scan_id }
+   * @param {Object} resolution - { ticket, zone, accepted, reason }
+   */
+  async recordOfflineScan(scan, resolution, eventId, userId, client) {
+    const { ticket, zone, accepted, reason } = resolution;
+
+    return scanLogsRepository.create({
+      result: accepted ? 'success' : this.classifyOfflineReason(reason),
+      reason_code: reason || null,
+      source: 'offline',
+      ticket_id: ticket ? ticket.id : null,
+      ticket_code: scan.ticket_code,
+      event_id: eventId,
+      operator_id: userId,
+      device_id: scan.device_id,
+      checkpoint_id: scan.checkpoint_id,
+      scan_time: scan.scanned_at,
+      access_zone_id: zone ? zone.id : null,
+      metadata: { scan_id: scan.scan_id }
+    }, client);
+  }
+
+  validateHistoryFilters(filters) {
+    const errors = [];
+
+    if (filters.result && !SCAN_RESULTS.includes(filters.result)) {
+      errors.push(`result must be one of: ${SCAN_RESULTS.join(', ')}`);
+    }
+    if (filters.source && !SCAN_SOURCES.includes(filters.source)) {
+      errors.push(`source must be one of: ${SCAN_SOURCES.join(', ')}`);
+    }
+    if (filters.direction && !['entry', 'exit'].includes(filters.direction)) {
+      errors.push('direction must be entry or exit');
+    }
+    ['date_from', 'date_to'].forEach(field => {
+      if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+        errors.push(`${field} must be a valid date`);
+      }
+    });
+    ['ticket_id', 'operator_id', 'zone_id'].forEach(field => {
+      if (filters[field] && !/^\d+$/.test(String(filters[field]))) {
+        errors.push(`${field} must be a numeric ID`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Historique filtrable des scans d'un événement (organisateur uniquement)
+   * @param {number} eventId - ID de l'événement
+   * @param {Object} filters - result, source, direction, ticket_id, ticket_code, operator_id,
+   *   device_id, checkpoint_id, zone_id, date_from, date_to, page, limit
+   * @param {number} userId - ID de l'utilisateur
+   */
+  async getEventHistory(eventId, filters = {}, userId) {
+    try {
+      const errors = this.validateHistoryFilters(filters);
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid scan history filters', details: errors };
+      }
+
+      const event = await scanLogsRepository.findEvent(eventId);
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+      if (event.organizer_id !== userId && String(event.organizer_id) !== String(userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const page = Math.max(parseInt(filters.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_HISTORY_LIMIT);
+
+      const result = await scanLogsRepository.findByEvent(eventId, { ...filters, page, limit });
+      return {
+        success: true,
+        data: {
+          logs: result.logs,
+          summary: result.summary,
+          pagination: result.pagination
+        }
+      };
+    } catch (error) {
+      console.error('Error getting scan history:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get scan history'
+      };
+    }
+  }
+}
+
+module.exports = new ScanLogsService();
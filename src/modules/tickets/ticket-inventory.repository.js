@@ -0,0 +1,358 @@
+const { database } = require('../../config');
+
+/**
+ * Accès à l'inventaire des types de billets : billets émis et réservations
+ * temporaires (ticket_holds). Les opérations d'écriture acceptent un client
+ * de transaction optionnel.
+ */
+class TicketInventoryRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  /**
+   * Verrouille un type de billet (FOR UPDATE) pour sérialiser les réservations
+   */
+  async lockTicketType(ticketTypeId, client = database) {
+    const query = `
+      SELECT tt.id, tt.name, tt.type, tt.quantity, tt.available_from, tt.available_to, tt.event_id
+      FROM ticket_types tt
+      WHERE tt.id = $1 AND tt.deleted_at IS NULL
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [ticketTypeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Billets émis et places réservées (holds non expirés) d'un type de billet
+   */
+  async getUsage(ticketTypeId, client = database) {
+    const query = `
+      SELECT
+        (SELECT COUNT(*) FROM tickets t
+         WHERE t.ticket_type_id = $1 AND t.deleted_at IS NULL) AS sold,
+        (SELECT COALESCE(SUM(h.quantity), 0) FROM ticket_holds h
+         WHERE h.ticket_type_id = $1 AND h.status = 'held' AND h.expires_at > NOW()) AS held
+    `;
+
+    const result = await client.query(query, [ticketTypeId]);
+    return {
+      sold: parseInt(result.rows[0].sold),
+      held: parseInt(result.rows[0].held)
+    };
+  }
+
+  /**
+   * Inventaire de tous les types de billets d'un événement
+   */
+  async getInventoryByEvent(eventId, client = database) {
+    const query = `
+      SELECT tt.id, tt.name, tt.type, tt.quantity,
+             COALESCE(sold.count, 0) AS sold,
+             COALESCE(held.count, 0) AS held
+      FROM ticket_types tt
+      LEFT JOIN (
+        SELECT ticket_type_id, COUNT(*) AS count
+        FROM tickets
+        WHERE deleted_at IS NULL
+        GROUP BY ticket_type_id
+      ) sold ON sold.ticket_type_id = tt.id
+      LEFT JOIN (
+        SELECT ticket_type_id, SUM(quantity) AS count
+        FROM ticket_holds
+        WHERE status = 'held' AND expires_at > NOW()
+        GROUP BY ticket_type_id
+      ) held ON held.ticket_type_id = tt.id
+      WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
+      ORDER BY tt.created_at ASC
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows;
+  }
+
+  async createHold(holdData, client = database) {
+    const {
+      ticket_type_id,
+      event_id,
+      quantity,
+      expires_at,
+      payment_intent_id,
+      buyer_info,
+      unit_price,
+      discount_amount,
+      donation_amount,
+      currency,
+      created_by
+    } = holdData;
+
+    const query = `
+      INSERT INTO ticket_holds (
+        ticket_type_id, event_id, quantity, expires_at, payment_intent_id,
+        buyer_info, unit_price, discount_amount, donation_amount, currency, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      ticket_type_id,
+      event_id,
+      quantity,
+      expires_at,
+      payment_intent_id || null,
+      JSON.stringify(buyer_info || {}),
+      unit_price !== undefined ? unit_price : null,
+      discount_amount || 0,
+      donation_amount ?? null,
+      currency || null,
+      created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  async attachPayment(holdIds, paymentIntentId, client = database) {
+    const query = `
+      UPDATE ticket_holds
+      SET payment_intent_id = $2, updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'held'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [holdIds, paymentIntentId]);
+    return result.rows;
+  }
+
+  /**
+   * Réservations d'un paiement, verrouillées pour la conversion ou la libération
+   */
+  async findHoldsByPayment(paymentIntentId, client = database) {
+    const query = `
+      SELECT * FROM ticket_holds
+      WHERE payment_intent_id = $1 AND deleted_at IS NULL
+      ORDER BY id ASC
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [paymentIntentId]);
+    return result.rows;
+  }
+
+  /**
+   * Types de billets des réservations expirées d'un paiement, par ordre d'ID
+   */
+  async findExpiredHoldTypeIds(paymentIntentId, client = database) {
+    const query = `
+      SELECT DISTINCT ticket_type_id FROM ticket_holds
+      WHERE payment_intent_id = $1 AND deleted_at IS NULL
+        AND (status = 'expired' OR (status = 'held' AND expires_at <= NOW()))
+      ORDER BY ticket_type_id ASC
+    `;
+
+    const result = await client.query(query, [paymentIntentId]);
+    return result.rows.map(row => row.ticket_type_id);
+  }
+
+  async lockHolds(holdIds, client = database) {
+    const query = `
+      SELECT * FROM ticket_holds
+      WHERE id = ANY($1) AND deleted_at IS NULL
+      ORDER BY id ASC
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [holdIds]);
+    return result.rows;
+  }
+
+  async markConverted(holdId, eventGuestId, client = database) {
+    const query = `
+      UPDATE ticket_holds
+      SET status = 'converted', event_guest_id = $2, converted_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [holdId, eventGuestId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Libère les réservations actives d'un paiement
+   * @param {string} paymentIntentId - ID du payment intent
+   * @param {string} reason - Motif (payment_failed, payment_cancelled, ...)
+   */
+  async releaseByPayment(paymentIntentId, reason, client = database) {
+    const query = `
+      UPDATE ticket_holds
+      SET status = 'released', release_reason = $2, released_at = NOW(), updated_at = NOW()
+      WHERE payment_intent_id = $1 AND status = 'held'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentIntentId, reason]);
+    return result.rows;
+  }
+
+  async releaseByIds(holdIds, reason, client = database) {
+    const query = `
+      UPDATE ticket_holds
+      SET status = 'released', release_reason = $2, released_at = NOW(), updated_at = NOW()
+      WHERE id = ANY($1) AND status = 'held'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [holdIds, reason]);
+    return result.rows;
+  }
+
+  /**
+   * Réservation payée mais non honorée (places reprises après son expiration)
+   */
+  async markUnfulfilled(holdId, reason, client = database) {
+    const query = `
+      UPDATE ticket_holds
+      SET status = 'released', release_reason = $2, released_at = COALESCE(released_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [holdId, reason]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Signale un paiement encaissé à rembourser (billets non émis)
+   */
+  async flagPaymentForRefund(paymentIntentId, reason, client = database) {
+    const query = `
+      UPDATE payments
+      SET refund_required_at = COALESCE(refund_required_at, NOW()), refund_required_reason = $2, updated_at = NOW()
+      WHERE payment_intent_id = $1
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [paymentIntentId, reason]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Marque comme expirées les réservations dont le TTL est dépassé
+   * @param {number|null} ticketTypeId - Limite l'opération à un type de billet
+   */
+  async expireHolds(ticketTypeId = null, client = database) {
+    let query = `
+      UPDATE ticket_holds
+      SET status = 'expired', release_reason = 'expired', released_at = NOW(), updated_at = NOW()
+      WHERE status = 'held' AND expires_at <= NOW()
+    `;
+    const values = [];
+
+    if (ticketTypeId) {
+      query += ' AND ticket_type_id = $1';
+      values.push(ticketTypeId);
+    }
+
+    query += ' RETURNING *';
+
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  // ========================================
+  // ÉMISSION DES BILLETS
+  // ========================================
+
+  /**
+   * Retrouve l'invité acheteur par email ou le crée
+   */
+  async findOrCreateGuest(buyerInfo, createdBy, client = database) {
+    const email = String(buyerInfo.email).toLowerCase();
+    const existing = await client.query(
+      'SELECT * FROM guests WHERE LOWER(email) = $1 AND deleted_at IS NULL ORDER BY id ASC LIMIT 1',
+      [email]
+    );
+
+    if (existing.rows[0]) {
+      return existing.rows[0];
+    }
+
+    const query = `
+      INSERT INTO guests (first_name, last_name, email, phone, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $5)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      buyerInfo.first_name || buyerInfo.name || email.split('@')[0],
+      buyerInfo.last_name || null,
+      email,
+      buyerInfo.phone || null,
+      createdBy || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Retrouve la liaison event_guests de l'acheteur ou la crée (confirmée).
+   * Un achat réactive une liaison annulée ou en liste d'attente.
+   */
+  async findOrCreateEventGuest(eventId, guestId, ticketTypeId, invitationCode, createdBy, client = database) {
+    const query = `
+      INSERT INTO event_guests (event_id, guest_id, ticket_type_id, invitation_code, status, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, 'confirmed', $5, $5)
+      ON CONFLICT (event_id, guest_id) DO UPDATE
+        SET status = CASE
+              WHEN event_guests.status IN ('cancelled', 'waitlisted') OR event_guests.deleted_at IS NOT NULL THEN 'confirmed'
+              ELSE event_guests.status
+            END,
+            waitlist_position = NULL,
+            ticket_type_id = COALESCE(event_guests.ticket_type_id, EXCLUDED.ticket_type_id),
+            deleted_at = NULL,
+            deleted_by = NULL,
+            updated_at = NOW()
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventId, guestId, ticketTypeId, invitationCode, createdBy || null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Émet un billet d'une réservation, au prix unitaire diminué de sa part de remise
+   */
+  async createTicketFromHold(hold, eventGuestId, ticketCode, client = database) {
+    const query = `
+      INSERT INTO tickets (
+        ticket_code, ticket_type_id, event_guest_id, ticket_hold_id,
+        price, currency, donation_amount, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'EUR'), $7, $8, $8)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      ticketCode,
+      hold.ticket_type_id,
+      eventGuestId,
+      hold.id,
+      this.discountedUnitPrice(hold),
+      hold.currency,
+      hold.donation_amount ?? null,
+      hold.created_by
+    ]);
+    return result.rows[0];
+  }
+
+  discountedUnitPrice(hold) {
+    if (hold.unit_price === null || hold.unit_price === undefined) {
+      return null;
+    }
+    const discountPerTicket = parseFloat(hold.discount_amount || 0) / hold.quantity;
+    return Math.max(Math.round((parseFloat(hold.unit_price) - discountPerTicket) * 100) / 100, 0);
+  }
+}
+
+module.exports = new TicketInventoryRepository();
@@ -0,0 +1,422 @@
+const ticketInventoryRepository = require('./ticket-inventory.repository');
+const ticketQrService = require('./ticket-qr.service');
+
+// Durée de vie d'une réservation pendant le paiement (15 minutes par défaut)
+const DEFAULT_HOLD_TTL_SECONDS = parseInt(process.env.TICKET_HOLD_TTL_SECONDS) || 900;
+
+// Fréquence du nettoyage des réservations expirées
+const HOLD_SWEEP_INTERVAL_MS = parseInt(process.env.TICKET_HOLD_SWEEP_INTERVAL_MS) || 60000;
+
+/**
+ * Inventaire des types de billets.
+ * Disponible = quantity - billets émis - réservations actives (quantity = 0 : illimité).
+ * Une réservation (hold) bloque N places pendant le paiement puis est convertie
+ * en billets, libérée (échec / annulation) ou expire à la fin de son TTL.
+ */
+class TicketInventoryService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Calcule les compteurs d'inventaire d'un type de billet
+   * @param {Object} ticketType - { id, name, quantity }
+   * @param {Object} usage - { sold, held }
+   */
+  buildCounts(ticketType, usage) {
+    const capacity = parseInt(ticketType.quantity) > 0 ? parseInt(ticketType.quantity) : null;
+    const sold = parseInt(usage.sold || 0);
+    const held = parseInt(usage.held || 0);
+
+    return {
+      ticket_type_id: ticketType.id,
+      capacity,
+      sold,
+      held,
+      available: capacity !== null ? Math.max(capacity - sold - held, 0) : null
+    };
+  }
+
+  /**
+   * Vérifie la fenêtre de vente d'un type de billet
+   */
+  checkSalesWindow(ticketType, now = new Date()) {
+    if (ticketType.available_from && new Date(ticketType.available_from) > now) {
+      return `Ticket type ${ticketType.name} is not on sale yet`;
+    }
+    if (ticketType.available_to && new Date(ticketType.available_to) < now) {
+      return `Ticket type ${ticketType.name} is no longer on sale`;
+    }
+    return null;
+  }
+
+  /**
+   * Réserve atomiquement des billets pour un ou plusieurs types.
+   * Les types sont verrouillés dans l'ordre de leur ID pour éviter les interblocages ;
+   * si un seul type est insuffisant, aucune réservation n'est créée.
+   * @param {Array} items - [{ ticket_type_id, quantity, unit_price, discount_amount }]
+   * @param {Object} options - { eventId, paymentIntentId, buyerInfo, currency, userId, ttlSeconds }
+   * @returns {Promise<{ holds: Array, expires_at: Date }>}
+   */
+  async reserve(items, options = {}) {
+    const { eventId, paymentIntentId, buyerInfo, currency, userId } = options;
+    const ttlSeconds = options.ttlSeconds || DEFAULT_HOLD_TTL_SECONDS;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one ticket type is required');
+    }
+
+    const merged = new Map();
+    for (const item of items) {
+      const quantity = parseInt(item.quantity || 1);
+      if (!item.ticket_type_id || isNaN(quantity) || quantity < 1) {
+        throw new Error('Each item requires a ticket_type_id and a positive quantity');
+      }
+      const key = String(item.ticket_type_id);
+      const existing = merged.get(key);
+      merged.set(key, {
+        ...item,
+        quantity: (existing ? existing.quantity : 0) + quantity
+      });
+    }
+
+    const orderedItems = Array.from(merged.values())
+      .sort((a, b) => parseInt(a.ticket_type_id) - parseInt(b.ticket_type_id));
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    const holds = await ticketInventoryRepository.transaction(async (client) => {
+      const created = [];
+
+      for (const item of orderedItems) {
+        const ticketType = await ticketInventoryRepository.lockTicketType(item.ticket_type_id, client);
+        if (!ticketType) {
+          throw new Error(`Ticket type ${item.ticket_type_id} not found`);
+        }
+        if (eventId && String(ticketType.event_id) !== String(eventId)) {
+          throw new Error(`Ticket type ${item.ticket_type_id} does not belong to this event`);
+        }
+
+        const windowError = this.checkSalesWindow(ticketType);
+        if (windowError) {
+          throw new Error(windowError);
+        }
+
+        await ticketInventoryRepository.expireHolds(ticketType.id, client);
+        const counts = this.buildCounts(ticketType, await ticketInventoryRepository.getUsage(ticketType.id, client));
+
+        if (counts.available !== null && counts.available < item.quantity) {
+          const error = new Error(
+            `Not enough tickets available for ${ticketType.name} (requested ${item.quantity}, available ${counts.available})`
+          );
+          error.code = 'TICKETS_UNAVAILABLE';
+          error.details = counts;
+          throw error;
+        }
+
+        created.push(await ticketInventoryRepository.createHold({
+          ticket_type_id: ticketType.id,
+          event_id: ticketType.event_id,
+          quantity: item.quantity,
+          expires_at: expiresAt,
+          payment_intent_id: paymentIntentId,
+          buyer_info: buyerInfo,
+          unit_price: item.unit_price,
+          discount_amount: item.discount_amount,
+          donation_amount: item.donation_amount,
+          currency,
+          created_by: userId
+        }, client));
+      }
+
+      return created;
+    });
+
+    return { holds, expires_at: expiresAt };
+  }
+
+  /**
+   * Émission directe d'un billet (hors paiement) : la capacité est vérifiée et
+   * le billet créé sous le verrou du type, comme pour une réservation
+   * @param {number} ticketTypeId - ID du type de billet
+   * @param {Function} create - async (client) => billet créé dans la transaction
+   * @returns {Promise<Object|null>} Billet créé, null si le type est complet
+   */
+  async issueWithinCapacity(ticketTypeId, create) {
+    return ticketInventoryRepository.transaction(async (client) => {
+      const ticketType = await ticketInventoryRepository.lockTicketType(ticketTypeId, client);
+      if (!ticketType) {
+        throw new Error(`Ticket type ${ticketTypeId} not found`);
+      }
+
+      await ticketInventoryRepository.expireHolds(ticketType.id, client);
+      const counts = this.buildCounts(ticketType, await ticketInventoryRepository.getUsage(ticketType.id, client));
+      if (counts.available !== null && counts.available < 1) {
+        return null;
+      }
+
+      return create(client);
+    });
+  }
+
+  async attachPayment(holdIds, paymentIntentId) {
+    return ticketInventoryRepository.attachPayment(holdIds, paymentIntentId);
+  }
+
+  /**
+   * Convertit les réservations d'un paiement réussi en billets émis.
+   * Idempotent : une réservation déjà convertie est ignorée. Une réservation
+   * expirée n'est honorée que si les places sont encore disponibles ; sinon le
+   * paiement est signalé à rembourser (payments.refund_required_at).
+   * @param {string} paymentIntentId - ID du payment intent
+   * @param {Object} client - Client pg de la transaction appelante (webhook) optionnel
+   * @returns {Promise<Array>} Billets émis
+   */
+  async convertHolds(paymentIntentId, client = null) {
+    if (!client) {
+      return ticketInventoryRepository.transaction(transactionClient => this.convertHolds(paymentIntentId, transactionClient));
+    }
+
+    await this.lockTicketTypes(await ticketInventoryRepository.findExpiredHoldTypeIds(paymentIntentId, client), client);
+
+    const holds = await ticketInventoryRepository.findHoldsByPayment(paymentIntentId, client);
+    const issuedTickets = [];
+    const unfulfilled = [];
+
+    for (const hold of holds) {
+      if (!['held', 'expired'].includes(hold.status)) {
+        continue;
+      }
+
+      if (!(await this.isHoldStillAvailable(hold, client))) {
+        await this.markHoldUnfulfilled(hold, client);
+        unfulfilled.push(hold);
+        continue;
+      }
+
+      const buyerInfo = hold.buyer_info || {};
+      if (!buyerInfo.email) {
+        throw new Error(`Buyer email missing for ticket hold ${hold.id}`);
+      }
+
+      const guest = await ticketInventoryRepository.findOrCreateGuest(buyerInfo, hold.created_by, client);
+      const eventGuest = await ticketInventoryRepository.findOrCreateEventGuest(
+        hold.event_id,
+        guest.id,
+        hold.ticket_type_id,
+        this.generateInvitationCode(),
+        hold.created_by,
+        client
+      );
+
+      for (let i = 0; i < hold.quantity; i++) {
+        const ticket = await ticketInventoryRepository.createTicketFromHold(
+          hold,
+          eventGuest.id,
+          this.generateTicketCode(),
+          client
+        );
+        issuedTickets.push(await ticketQrService.issue({ ...ticket, event_id: hold.event_id }, client));
+      }
+
+      await ticketInventoryRepository.markConverted(hold.id, eventGuest.id, client);
+    }
+
+    if (unfulfilled.length > 0) {
+      await this.flagUnfulfilledPayment(paymentIntentId, unfulfilled, client);
+    }
+
+    return issuedTickets;
+  }
+
+  /**
+   * Verrouille des types de billets dans l'ordre de leur ID, comme reserve().
+   * À appeler avant de verrouiller des réservations expirées à revérifier,
+   * pour ne pas s'interbloquer avec une réservation concurrente.
+   */
+  async lockTicketTypes(ticketTypeIds, client) {
+    const ids = Array.from(new Set(ticketTypeIds.map(id => parseInt(id)))).sort((a, b) => a - b);
+    for (const ticketTypeId of ids) {
+      await ticketInventoryRepository.lockTicketType(ticketTypeId, client);
+    }
+  }
+
+  /**
+   * Une réservation expirée a rendu ses places : elle n'est honorée que s'il en
+   * reste assez sur le type de billet, vérifié sous verrou comme à la réservation
+   * @param {Object} hold - Réservation verrouillée
+   * @param {Object} client - Client pg de la transaction appelante
+   * @returns {Promise<boolean>}
+   */
+  async isHoldStillAvailable(hold, client) {
+    const expired = hold.status === 'expired' || new Date(hold.expires_at) <= new Date();
+    if (!expired) {
+      return true;
+    }
+
+    const ticketType = await ticketInventoryRepository.lockTicketType(hold.ticket_type_id, client);
+    if (!ticketType) {
+      return false;
+    }
+
+    await ticketInventoryRepository.expireHolds(ticketType.id, client);
+    const counts = this.buildCounts(ticketType, await ticketInventoryRepository.getUsage(ticketType.id, client));
+    return counts.available === null || counts.available >= hold.quantity;
+  }
+
+  async markHoldUnfulfilled(hold, client) {
+    return ticketInventoryRepository.markUnfulfilled(hold.id, 'sold_out', client);
+  }
+
+  /**
+   * Paiement encaissé pour des réservations qui n'ont pas pu être honorées :
+   * aucun billet n'est émis pour elles et le paiement est signalé à rembourser
+   */
+  async flagUnfulfilledPayment(paymentIntentId, holds, client) {
+    const reason = `Sold out after hold expiry (ticket holds ${holds.map(hold => hold.id).join(', ')})`;
+    await ticketInventoryRepository.flagPaymentForRefund(paymentIntentId, reason, client);
+    console.warn('Payment flagged for refund, ticket holds could not be fulfilled:', {
+      payment_intent_id: paymentIntentId,
+      hold_ids: holds.map(hold => hold.id)
+    });
+  }
+
+  /**
+   * Part d'un paiement encaissé pour des réservations non honorées (markHoldUnfulfilled).
+   * Montant d'une réservation : unit_price × quantity diminué de sa remise.
+   * @param {string} paymentIntentId - Paiement dont les réservations viennent d'être converties
+   * @param {Object} client - Client pg de la transaction appelante
+   * @returns {Promise<Object>} { holds, amount, discounted_ticket_type_ids } ;
+   *   discounted_ticket_type_ids : types des billets émis avec une remise
+   */
+  async getUnfulfilledShare(paymentIntentId, client) {
+    const holds = await ticketInventoryRepository.findHoldsByPayment(paymentIntentId, client);
+    const unfulfilled = holds.filter(hold => hold.status === 'released' && hold.release_reason === 'sold_out');
+    const amount = unfulfilled.reduce((total, hold) => {
+      const unitPrice = parseFloat(hold.unit_price) || 0;
+      return total + unitPrice * hold.quantity - (parseFloat(hold.discount_amount) || 0);
+    }, 0);
+    const discounted = holds.filter(hold => hold.status === 'converted' && parseFloat(hold.discount_amount) > 0);
+
+    return {
+      holds: unfulfilled,
+      amount: Math.round(amount * 100) / 100,
+      discounted_ticket_type_ids: Array.from(new Set(discounted.map(hold => parseInt(hold.ticket_type_id))))
+    };
+  }
+
+  /**
+   * Convertit une réservation en billets nominatifs, un par participant (commandes).
+   * Chaque participant est rattaché à l'événement comme invité ; la réservation
+   * est marquée convertie pour que convertHolds l'ignore ensuite.
+   * @param {Object} hold - Réservation verrouillée (lockHolds)
+   * @param {Array} attendees - [{ email, first_name, last_name, phone }], un par billet
+   * @param {Object} client - Client pg de la transaction appelante
+   * @returns {Promise<Array>} [{ ticket, event_guest }] dans l'ordre des participants
+   */
+  async convertHoldForAttendees(hold, attendees, client) {
+    if (attendees.length !== hold.quantity) {
+      throw new Error(`Ticket hold ${hold.id} requires ${hold.quantity} attendee(s), got ${attendees.length}`);
+    }
+
+    const issued = [];
+    for (const attendee of attendees) {
+      const guest = await ticketInventoryRepository.findOrCreateGuest(attendee, hold.created_by, client);
+      const eventGuest = await ticketInventoryRepository.findOrCreateEventGuest(
+        hold.event_id,
+        guest.id,
+        hold.ticket_type_id,
+        this.generateInvitationCode(),
+        hold.created_by,
+        client
+      );
+
+      const ticket = await ticketInventoryRepository.createTicketFromHold(
+        hold,
+        eventGuest.id,
+        this.generateTicketCode(),
+        client
+      );
+      issued.push({
+        ticket: await ticketQrService.issue({ ...ticket, event_id: hold.event_id }, client),
+        event_guest: eventGuest
+      });
+    }
+
+    await ticketInventoryRepository.markConverted(hold.id, issued[0].event_guest.id, client);
+    return issued;
+  }
+
+  async lockHolds(holdIds, client) {
+    return ticketInventoryRepository.lockHolds(holdIds, client);
+  }
+
+  /**
+   * Libère les réservations actives d'un paiement (échec, annulation)
+   */
+  async releaseHolds(paymentIntentId, reason, client) {
+    return ticketInventoryRepository.releaseByPayment(paymentIntentId, reason, client);
+  }
+
+  async releaseHoldIds(holdIds, reason, client) {
+    return ticketInventoryRepository.releaseByIds(holdIds, reason, client);
+  }
+
+  async expireHolds() {
+    return ticketInventoryRepository.expireHolds();
+  }
+
+  /**
+   * Inventaire d'un type de billet (vérification hors réservation)
+   */
+  async getTicketTypeInventory(ticketType) {
+    const usage = await ticketInventoryRepository.getUsage(ticketType.id);
+    return this.buildCounts(ticketType, usage);
+  }
+
+  /**
+   * Inventaire par type de billet d'un événement, indexé par ID de type
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getEventInventory(eventId) {
+    const rows = await ticketInventoryRepository.getInventoryByEvent(eventId);
+    return new Map(rows.map(row => [String(row.id), this.buildCounts(row, row)]));
+  }
+
+  /**
+   * Démarre le nettoyage périodique des réservations expirées
+   */
+  startExpirySweeper(intervalMs = HOLD_SWEEP_INTERVAL_MS) {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(async () => {
+      try {
+        const expired = await this.expireHolds();
+        if (expired.length > 0) {
+          console.log(`[TICKET_INVENTORY] ${expired.length} réservation(s) expirée(s) libérée(s)`);
+        }
+      } catch (error) {
+        console.error('[TICKET_INVENTORY] Erreur nettoyage des réservations:', error.message);
+      }
+    }, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopExpirySweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  generateTicketCode() {
+    return `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+  }
+
+  generateInvitationCode() {
+    return `INV-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+  }
+}
+
+module.exports = new TicketInventoryService();
@@ -0,0 +1,81 @@
+const ticketPricingService = require('./ticket-pricing.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux opérations sur les prix des types de billets
+ */
+function sendPricingError(res, result) {
+  if (result.error === 'Ticket type not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Ticket type'));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+}
+
+class TicketPricingController {
+  async getCurrentPrice(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await ticketPricingService.getPublicPrice(id);
+      if (!result.success) {
+        return sendPricingError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Current price retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getEventPrices(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const result = await ticketPricingService.getPublicEventPrices(eventId);
+      if (!result.success) {
+        return sendPricingError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Current prices retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPricing(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await ticketPricingService.getPricing(id, userId);
+      if (!result.success) {
+        return sendPricingError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket type pricing retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setPricing(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await ticketPricingService.setPricing(id, req.body, userId);
+      if (!result.success) {
+        return sendPricingError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket type pricing updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TicketPricingController();
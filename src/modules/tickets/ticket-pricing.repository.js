@@ -0,0 +1,111 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux prix des types de billets et à leurs paliers
+ */
+class TicketPricingRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  async findTicketType(ticketTypeId, client = database) {
+    const query = `
+      SELECT tt.id, tt.name, tt.type, tt.quantity, tt.price, tt.currency, tt.event_id,
+             tt.donation_min_amount, tt.donation_suggested_amounts, e.organizer_id
+      FROM ticket_types tt
+      JOIN events e ON tt.event_id = e.id
+      WHERE tt.id = $1 AND tt.deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [ticketTypeId]);
+    return result.rows[0] || null;
+  }
+
+  async findTicketTypes(ticketTypeIds, client = database) {
+    const query = `
+      SELECT tt.id, tt.name, tt.type, tt.quantity, tt.price, tt.currency, tt.event_id,
+             tt.donation_min_amount, tt.donation_suggested_amounts
+      FROM ticket_types tt
+      WHERE tt.id = ANY($1::bigint[]) AND tt.deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [ticketTypeIds]);
+    return result.rows;
+  }
+
+  async findEventTicketTypes(eventId, client = database) {
+    const query = `
+      SELECT tt.id, tt.name, tt.type, tt.quantity, tt.price, tt.currency, tt.event_id,
+             tt.donation_min_amount, tt.donation_suggested_amounts,
+             tt.available_from, tt.available_to
+      FROM ticket_types tt
+      WHERE tt.event_id = $1 AND tt.deleted_at IS NULL
+      ORDER BY tt.created_at ASC
+    `;
+
+    const result = await client.query(query, [eventId]);
+    return result.rows;
+  }
+
+  /**
+   * Paliers de plusieurs types de billets, dans leur ordre d'évaluation
+   */
+  async findTiers(ticketTypeIds, client = database) {
+    const query = `
+      SELECT * FROM ticket_price_tiers
+      WHERE ticket_type_id = ANY($1::bigint[]) AND deleted_at IS NULL
+      ORDER BY ticket_type_id, position ASC, id ASC
+    `;
+
+    const result = await client.query(query, [ticketTypeIds]);
+    return result.rows;
+  }
+
+  /**
+   * Remplace l'ensemble des paliers d'un type de billet
+   */
+  async replaceTiers(ticketTypeId, tiers, userId, client = database) {
+    await client.query(`
+      UPDATE ticket_price_tiers
+      SET deleted_at = NOW(), deleted_by = $2, updated_at = NOW()
+      WHERE ticket_type_id = $1 AND deleted_at IS NULL
+    `, [ticketTypeId, userId]);
+
+    const created = [];
+    for (const [index, tier] of tiers.entries()) {
+      const result = await client.query(`
+        INSERT INTO ticket_price_tiers (
+          ticket_type_id, name, price, position, starts_at, ends_at, sold_limit, created_by, updated_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+        RETURNING *
+      `, [
+        ticketTypeId,
+        tier.name,
+        tier.price,
+        index,
+        tier.starts_at || null,
+        tier.ends_at || null,
+        tier.sold_limit || null,
+        userId
+      ]);
+      created.push(result.rows[0]);
+    }
+
+    return created;
+  }
+
+  async updateBasePrice(ticketTypeId, price, currency, userId, client = database) {
+    const query = `
+      UPDATE ticket_types
+      SET price = $2, currency = COALESCE($3, currency), updated_by = $4, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, price, currency
+    `;
+
+    const result = await client.query(query, [ticketTypeId, price, currency || null, userId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new TicketPricingRepository();
@@ -0,0 +1,321 @@
+const Joi = require('joi');
+const ticketPricingRepository = require('./ticket-pricing.repository');
+const ticketInventoryRepository = require('./ticket-inventory.repository');
+const { validateDonationAmount } = require('../../validators/ticket-donation.validator');
+const { validateCurrency } = require('../../utils/currency');
+
+const tierSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  price: Joi.number().min(0).precision(2).required(),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null),
+  sold_limit: Joi.number().integer().min(1).allow(null)
+});
+
+const pricingSchema = Joi.object({
+  price: Joi.number().min(0).precision(2).allow(null),
+  currency: Joi.string().length(3).custom(validateCurrency)
+    .messages({ 'any.invalid': '{{#label}} must be an ISO 4217 currency code' }),
+  tiers: Joi.array().items(tierSchema).max(20).required()
+});
+
+function isOrganizer(record, userId) {
+  return record.organizer_id === userId || String(record.organizer_id) === String(userId);
+}
+
+/**
+ * Prix courant des types de billets.
+ * Les paliers d'un type sont évalués dans l'ordre : le premier dont la fenêtre
+ * de dates contient l'instant présent et dont le seuil de quantité n'est pas
+ * atteint (places vendues + réservées) donne le prix ; sinon le prix de base
+ * du type s'applique. Un type gratuit vaut toujours 0 ; un type de don est au
+ * prix choisi par l'acheteur, au moins le minimum fixé. Sans prix de base ni
+ * palier, le type n'a pas de prix géré (prix fourni à l'achat, comportement historique).
+ */
+class TicketPricingService {
+  /**
+   * Résout le prix d'un type de billet
+   * @param {Object} ticketType - { id, type, price, currency }
+   * @param {Array} tiers - Paliers du type, dans l'ordre d'évaluation
+   * @param {Object} usage - { sold, held }
+   * @returns {Object} { price, currency, source: 'free' | 'donation' | 'tier' | 'base' | null, tier }
+   */
+  resolvePrice(ticketType, tiers, usage, now = new Date()) {
+    const currency = ticketType.currency || 'EUR';
+
+    if (ticketType.type === 'free') {
+      return { price: 0, currency, source: 'free', tier: null };
+    }
+
+    // Don : le prix affiché est le minimum, l'acheteur choisit son montant
+    if (ticketType.type === 'donation') {
+      const minimum = ticketType.donation_min_amount !== null && ticketType.donation_min_amount !== undefined
+        ? parseFloat(ticketType.donation_min_amount)
+        : null;
+      return {
+        price: minimum,
+        currency,
+        source: 'donation',
+        tier: null,
+        donation: {
+          min_amount: minimum,
+          suggested_amounts: (ticketType.donation_suggested_amounts || []).map(amount => parseFloat(amount))
+        }
+      };
+    }
+
+    const taken = parseInt(usage.sold || 0) + parseInt(usage.held || 0);
+    const active = tiers.find(tier => {
+      if (tier.starts_at && new Date(tier.starts_at) > now) return false;
+      if (tier.ends_at && new Date(tier.ends_at) <= now) return false;
+      if (tier.sold_limit && taken >= tier.sold_limit) return false;
+      return true;
+    });
+
+    if (active) {
+      return {
+        price: parseFloat(active.price),
+        currency,
+        source: 'tier',
+        tier: {
+          id: active.id,
+          name: active.name,
+          ends_at: active.ends_at || null,
+          remaining_at_price: active.sold_limit ? active.sold_limit - taken : null
+        }
+      };
+    }
+
+    if (ticketType.price !== null && ticketType.price !== undefined) {
+      return { price: parseFloat(ticketType.price), currency, source: 'base', tier: null };
+    }
+
+    return { price: null, currency, source: null, tier: null };
+  }
+
+  /**
+   * Prix courant d'un type de billet
+   */
+  async getCurrentPrice(ticketTypeId, client) {
+    const ticketType = await ticketPricingRepository.findTicketType(ticketTypeId, client);
+    if (!ticketType) {
+      return null;
+    }
+
+    const [tiers, usage] = await Promise.all([
+      ticketPricingRepository.findTiers([ticketType.id], client),
+      ticketInventoryRepository.getUsage(ticketType.id, client)
+    ]);
+
+    return { ticket_type_id: ticketType.id, ...this.resolvePrice(ticketType, tiers, usage) };
+  }
+
+  /**
+   * Prix courants des types de billets d'un événement, indexés par ID de type
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getEventPrices(eventId) {
+    const [ticketTypes, inventory] = await Promise.all([
+      ticketPricingRepository.findEventTicketTypes(eventId),
+      ticketInventoryRepository.getInventoryByEvent(eventId)
+    ]);
+    const tiers = await ticketPricingRepository.findTiers(ticketTypes.map(ticketType => ticketType.id));
+    const usageByType = new Map(inventory.map(row => [String(row.id), row]));
+
+    return new Map(ticketTypes.map(ticketType => [
+      String(ticketType.id),
+      {
+        ticket_type_id: ticketType.id,
+        name: ticketType.name,
+        type: ticketType.type,
+        ...this.resolvePrice(
+          ticketType,
+          tiers.filter(tier => String(tier.ticket_type_id) === String(ticketType.id)),
+          usageByType.get(String(ticketType.id)) || {}
+        )
+      }
+    ]));
+  }
+
+  /**
+   * Prix courants d'une liste de types de billets, indexés par ID de type
+   * @param {Array} ticketTypes - Lignes ticket_types (id, type, price, currency)
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async resolveTicketTypes(ticketTypes, client) {
+    const prices = new Map();
+    if (ticketTypes.length === 0) {
+      return prices;
+    }
+
+    const tiers = await ticketPricingRepository.findTiers(ticketTypes.map(ticketType => ticketType.id), client);
+    for (const ticketType of ticketTypes) {
+      const id = String(ticketType.id);
+      const usage = await ticketInventoryRepository.getUsage(ticketType.id, client);
+      prices.set(id, {
+        ticket_type_id: ticketType.id,
+        ...this.resolvePrice(ticketType, tiers.filter(tier => String(tier.ticket_type_id) === id), usage)
+      });
+    }
+
+    return prices;
+  }
+
+  /**
+   * Fixe le prix unitaire des lignes d'une commande à partir du prix courant.
+   * Une ligne dont le type n'a pas de prix géré conserve son unit_price ;
+   * une ligne de don prend le montant choisi (donation_amount, par billet).
+   * @param {Array} items - [{ ticket_type_id, quantity, unit_price?, donation_amount? }]
+   * @returns {Promise<Array>} Lignes avec unit_price, currency et price_tier_id
+   */
+  async priceItems(items, client) {
+    const ids = Array.from(new Set(items.map(item => String(item.ticket_type_id))));
+    const ticketTypes = await ticketPricingRepository.findTicketTypes(ids, client);
+    const ticketTypesById = new Map(ticketTypes.map(ticketType => [String(ticketType.id), ticketType]));
+    const prices = await this.resolveTicketTypes(ticketTypes, client);
+    const donationAmounts = new Map();
+
+    return items.map(item => {
+      const key = String(item.ticket_type_id);
+      const current = prices.get(key);
+
+      if (current && current.source === 'donation') {
+        const ticketType = ticketTypesById.get(key);
+        const amount = item.donation_amount !== undefined ? item.donation_amount : item.unit_price;
+        const donationError = validateDonationAmount(ticketType, amount)
+          || (donationAmounts.has(key) && donationAmounts.get(key) !== parseFloat(amount)
+            ? `Conflicting donation amounts for ${ticketType.name}`
+            : null);
+        if (donationError) {
+          const error = new Error(donationError);
+          error.code = 'DONATION_AMOUNT_INVALID';
+          throw error;
+        }
+        donationAmounts.set(key, parseFloat(amount));
+        return {
+          ...item,
+          unit_price: parseFloat(amount),
+          donation_amount: parseFloat(amount),
+          currency: current.currency,
+          price_tier_id: null
+        };
+      }
+
+      if (!current || current.price === null) {
+        return item;
+      }
+      return {
+        ...item,
+        unit_price: current.price,
+        currency: current.currency,
+        price_tier_id: current.tier ? current.tier.id : null
+      };
+    });
+  }
+
+  async getPricing(ticketTypeId, userId) {
+    try {
+      const ticketType = await ticketPricingRepository.findTicketType(ticketTypeId);
+      if (!ticketType) {
+        return { success: false, error: 'Ticket type not found' };
+      }
+      if (!isOrganizer(ticketType, userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const [tiers, current] = await Promise.all([
+        ticketPricingRepository.findTiers([ticketType.id]),
+        this.getCurrentPrice(ticketType.id)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ticket_type_id: ticketType.id,
+          price: ticketType.price !== null ? parseFloat(ticketType.price) : null,
+          currency: ticketType.currency,
+          tiers,
+          current_price: current
+        }
+      };
+    } catch (error) {
+      console.error('Error getting ticket type pricing:', error);
+      return { success: false, error: error.message || 'Failed to get ticket type pricing' };
+    }
+  }
+
+  /**
+   * Remplace le prix de base et les paliers d'un type de billet
+   * @param {Object} pricingData - { price, currency, tiers: [{ name, price, starts_at, ends_at, sold_limit }] }
+   */
+  async setPricing(ticketTypeId, pricingData, userId) {
+    try {
+      const { error, value } = pricingSchema.validate(pricingData || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid ticket pricing', details: error.details.map(d => d.message) };
+      }
+      const windowErrors = value.tiers
+        .filter(tier => tier.starts_at && tier.ends_at && tier.starts_at >= tier.ends_at)
+        .map(tier => `Tier ${tier.name}: ends_at must be after starts_at`);
+      if (windowErrors.length > 0) {
+        return { success: false, error: 'Invalid ticket pricing', details: windowErrors };
+      }
+
+      const ticketType = await ticketPricingRepository.findTicketType(ticketTypeId);
+      if (!ticketType) {
+        return { success: false, error: 'Ticket type not found' };
+      }
+      if (!isOrganizer(ticketType, userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+      if (ticketType.type === 'free' && (value.price || value.tiers.some(tier => tier.price > 0))) {
+        return { success: false, error: 'Invalid ticket pricing', details: ['Free ticket types cannot have a price'] };
+      }
+      if (ticketType.type === 'donation') {
+        return { success: false, error: 'Invalid ticket pricing', details: ['Donation ticket types use buyer-chosen amounts'] };
+      }
+
+      await ticketPricingRepository.transaction(async (client) => {
+        const price = value.price !== undefined ? value.price : ticketType.price;
+        await ticketPricingRepository.updateBasePrice(ticketType.id, price, value.currency, userId, client);
+        await ticketPricingRepository.replaceTiers(ticketType.id, value.tiers, userId, client);
+      });
+
+      return this.getPricing(ticketType.id, userId);
+    } catch (error) {
+      console.error('Error setting ticket type pricing:', error);
+      return { success: false, error: error.message || 'Failed to set ticket type pricing' };
+    }
+  }
+
+  /**
+   * Prix courant public d'un type de billet
+   */
+  async getPublicPrice(ticketTypeId) {
+    try {
+      const current = await this.getCurrentPrice(ticketTypeId);
+      if (!current) {
+        return { success: false, error: 'Ticket type not found' };
+      }
+      return { success: true, data: current };
+    } catch (error) {
+      console.error('Error getting current ticket price:', error);
+      return { success: false, error: error.message || 'Failed to get current ticket price' };
+    }
+  }
+
+  /**
+   * Prix courants publics des types de billets d'un événement
+   */
+  async getPublicEventPrices(eventId) {
+    try {
+      const prices = await this.getEventPrices(eventId);
+      return { success: true, data: Array.from(prices.values()) };
+    } catch (error) {
+      console.error('Error getting current event ticket prices:', error);
+      return { success: false, error: error.message || 'Failed to get current ticket prices' };
+    }
+  }
+}
+
+module.exports = new TicketPricingService();
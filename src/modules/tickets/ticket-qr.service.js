@@ -0,0 +1,101 @@
+const ticketsRepository = require('./tickets.repository');
+const {
+  QR_ERROR_CODES,
+  QRSignatureError,
+  loadKeyRing,
+  isSignedPayload,
+  signTicketPayload,
+  verifyTicketPayload
+} = require('../../utils/qr-signature');
+
+// Période de transition : accepter les anciens QR codes non signés (JSON, ticketId:eventId, UUID)
+const ALLOW_UNSIGNED_QR_CODES = process.env.QR_ALLOW_UNSIGNED === 'true';
+
+/**
+ * Émission et vérification des QR codes signés des billets.
+ * La charge utile signée est stockée dans tickets.qr_payload ; seule la
+ * dernière émise (tickets.qr_issued_at) est acceptée au scan.
+ */
+class TicketQRService {
+  /**
+   * Signe le QR code d'un billet et l'enregistre
+   * @param {Object} ticket - { id, ticket_type_id, event_id }
+   * @param {Object} client - Client pg (transaction) optionnel
+   * @returns {Promise<Object>} Billet mis à jour
+   */
+  async issue(ticket, client) {
+    const signature = signTicketPayload({
+      ticketId: ticket.id,
+      eventId: ticket.event_id,
+      ticketTypeId: ticket.ticket_type_id
+    });
+
+    const updated = await ticketsRepository.updateQRSignature(ticket.id, signature, client);
+    return updated ? { ...updated, event_id: ticket.event_id } : updated;
+  }
+
+  /**
+   * Re-signe avec la clé active les billets signés par une ancienne clé
+   * (à lancer après une rotation, avant de retirer l'ancienne clé du trousseau)
+   * @returns {Promise<number>} Nombre de billets re-signés
+   */
+  async resignOutdatedTickets(limit = 500) {
+    const { activeKeyId } = loadKeyRing();
+    const tickets = await ticketsRepository.findTicketsToResign(activeKeyId, limit);
+
+    for (const ticket of tickets) {
+      await this.issue(ticket);
+    }
+
+    return tickets.length;
+  }
+
+  /**
+   * Vérifie un QR code scanné pour un billet donné
+   * @param {string} qrCode - Contenu scanné
+   * @param {Object} ticket - Billet (findTicketById) : id, event_id, ticket_type_id, qr_issued_at
+   * @returns {{ valid: boolean, code?: string, error?: string, claims?: Object, unsigned?: boolean }}
+   */
+  verify(qrCode, ticket) {
+    if (!isSignedPayload(qrCode)) {
+      if (ALLOW_UNSIGNED_QR_CODES) {
+        return { valid: true, unsigned: true };
+      }
+      return this.reject(new QRSignatureError('Unsigned QR codes are not accepted', QR_ERROR_CODES.MISSING));
+    }
+
+    let claims;
+    try {
+      claims = verifyTicketPayload(qrCode);
+    } catch (error) {
+      if (error instanceof QRSignatureError) {
+        return this.reject(error);
+      }
+      throw error;
+    }
+
+    // Une signature valide pour un autre billet / événement / type est une falsification
+    if (ticket) {
+      const mismatch = String(claims.ticketId) !== String(ticket.id)
+        || (ticket.event_id && String(claims.eventId) !== String(ticket.event_id))
+        || (ticket.ticket_type_id && claims.ticketTypeId && String(claims.ticketTypeId) !== String(ticket.ticket_type_id));
+
+      if (mismatch) {
+        return this.reject(new QRSignatureError('QR code does not match this ticket', QR_ERROR_CODES.INVALID));
+      }
+
+      // Billet réémis depuis : l'ancien QR code n'est plus valable
+      if (ticket.qr_issued_at && claims.issuedAt.getTime() < Math.floor(new Date(ticket.qr_issued_at).getTime() / 1000) * 1000) {
+        return this.reject(new QRSignatureError('QR code has been superseded by a newer one', QR_ERROR_CODES.STALE));
+      }
+    }
+
+    return { valid: true, claims };
+  }
+
+  reject(error) {
+    return { valid: false, code: error.code, error: error.message };
+  }
+}
+
+module.exports = new TicketQRService();
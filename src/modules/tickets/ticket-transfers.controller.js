@@ -0,0 +1,138 @@
+const ticketTransfersService = require('./ticket-transfers.service');
+const { ResponseFormatter } = require('../../../../shared');
+
+/**
+ * Réponse d'erreur commune aux transferts de billets
+ */
+function sendTransferError(res, result) {
+  if (result.error === 'Ticket not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Ticket'));
+  }
+  if (result.error === 'Ticket type not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Ticket type'));
+  }
+  if (result.error === 'Transfer not found') {
+    return res.status(404).json(ResponseFormatter.notFound('Transfer'));
+  }
+  if (result.error === 'Access denied') {
+    return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+  }
+  if (result.details) {
+    return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+  }
+  return res.status(409).json(ResponseFormatter.error(result.error, null, 'TRANSFER_NOT_ALLOWED'));
+}
+
+class TicketTransfersController {
+  async initiateTransfer(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await ticketTransfersService.initiateTransfer(id, req.body, req.user || {});
+      if (!result.success) {
+        return sendTransferError(res, result);
+      }
+
+      res.status(201).json(ResponseFormatter.created('Ticket transfer initiated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getTransferByToken(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const result = await ticketTransfersService.getTransferByToken(token);
+      if (!result.success) {
+        return sendTransferError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket transfer retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async acceptTransfer(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const result = await ticketTransfersService.acceptTransfer(token, req.body);
+      if (!result.success) {
+        return sendTransferError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket transfer accepted', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async cancelTransfer(req, res, next) {
+    try {
+      const { transferId } = req.params;
+
+      const result = await ticketTransfersService.cancelTransfer(transferId, req.user || {});
+      if (!result.success) {
+        return sendTransferError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket transfer cancelled', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async reassignTicket(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await ticketTransfersService.reassignTicket(id, req.body, userId);
+      if (!result.success) {
+        return sendTransferError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket reassigned', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getOwnershipHistory(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await ticketTransfersService.getOwnershipHistory(id, req.user || {});
+      if (!result.success) {
+        return sendTransferError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket ownership history retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setTicketTypeTransfers(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const result = await ticketTransfersService.setTicketTypeTransfers(id, req.body?.transfers_enabled, userId);
+      if (!result.success) {
+        if (result.error === 'transfers_enabled must be a boolean') {
+          return res.status(400).json(ResponseFormatter.error(result.error, null, 'VALIDATION_ERROR'));
+        }
+        return sendTransferError(res, result);
+      }
+
+      res.json(ResponseFormatter.success('Ticket type transfers updated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TicketTransfersController();
@@ -0,0 +1,371 @@
+const { database } = require('../../config');
+
+/**
+ * Accès aux transferts de billets et à l'historique des détenteurs.
+ * Un billet transféré change d'inscription (event_guests) et de code ;
+ * l'ancien code reste dans ticket_ownership_history comme code révoqué.
+ */
+class TicketTransfersRepository {
+  async transaction(callback) {
+    return database.transaction(callback);
+  }
+
+  /**
+   * Billet avec son détenteur actuel et l'activation des transferts de son type
+   */
+  async findTicket(ticketId, client = database, forUpdate = false) {
+    const query = `
+      SELECT t.id, t.ticket_code, t.ticket_type_id, t.event_guest_id, t.is_validated,
+             t.qr_issued_at, t.created_at,
+             tt.name AS ticket_type_name, COALESCE(tt.transfers_enabled, FALSE) AS transfers_enabled,
+             eg.event_id, eg.guest_id, eg.status AS guest_status,
+             g.first_name, g.last_name, g.email,
+             e.title AS event_title, e.event_date, e.end_date, e.timezone, e.location, e.organizer_id
+      FROM tickets t
+      JOIN event_guests eg ON t.event_guest_id = eg.id AND eg.deleted_at IS NULL
+      JOIN guests g ON eg.guest_id = g.id
+      JOIN events e ON eg.event_id = e.id AND e.deleted_at IS NULL
+      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+      WHERE t.id = $1 AND t.deleted_at IS NULL
+      ${forUpdate ? 'FOR UPDATE OF t' : ''}
+    `;
+
+    const result = await client.query(query, [ticketId]);
+    return result.rows[0] || null;
+  }
+
+  async findTicketType(ticketTypeId) {
+    const query = `
+      SELECT tt.id, tt.name, tt.event_id, COALESCE(tt.transfers_enabled, FALSE) AS transfers_enabled,
+             e.organizer_id
+      FROM ticket_types tt
+      JOIN events e ON tt.event_id = e.id
+      WHERE tt.id = $1 AND tt.deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [ticketTypeId]);
+    return result.rows[0] || null;
+  }
+
+  async setTicketTypeTransfers(ticketTypeId, enabled, updatedBy) {
+    const query = `
+      UPDATE ticket_types
+      SET transfers_enabled = $2, updated_by = $3, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, name, event_id, transfers_enabled, updated_at
+    `;
+
+    const result = await database.query(query, [ticketTypeId, enabled, updatedBy]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Nombre de transferts déjà acceptés pour un billet
+   */
+  async countCompletedTransfers(ticketId, client = database) {
+    const query = `
+      SELECT COUNT(*) AS count
+      FROM ticket_transfers
+      WHERE ticket_id = $1 AND status = 'accepted'
+    `;
+
+    const result = await client.query(query, [ticketId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Passe à "expired" les transferts en attente dont le lien a expiré
+   */
+  async expirePendingTransfers(ticketId, client = database) {
+    const query = `
+      UPDATE ticket_transfers
+      SET status = 'expired', updated_at = NOW()
+      WHERE ticket_id = $1 AND status = 'pending' AND expires_at <= NOW()
+    `;
+
+    await client.query(query, [ticketId]);
+  }
+
+  async findPendingByTicket(ticketId, client = database) {
+    const query = `
+      SELECT * FROM ticket_transfers
+      WHERE ticket_id = $1 AND status = 'pending' AND deleted_at IS NULL
+    `;
+
+    const result = await client.query(query, [ticketId]);
+    return result.rows[0] || null;
+  }
+
+  async create(transferData, client = database) {
+    const {
+      ticket_id,
+      from_event_guest_id,
+      token_hash,
+      recipient_email,
+      recipient_first_name,
+      recipient_last_name,
+      message,
+      expires_at,
+      created_by
+    } = transferData;
+
+    const query = `
+      INSERT INTO ticket_transfers (
+        ticket_id, from_event_guest_id, token_hash, recipient_email,
+        recipient_first_name, recipient_last_name, message, expires_at, created_by, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      ticket_id,
+      from_event_guest_id,
+      token_hash,
+      recipient_email,
+      recipient_first_name || null,
+      recipient_last_name || null,
+      message || null,
+      expires_at,
+      created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Transfert retrouvé par l'empreinte du jeton du lien d'acceptation
+   */
+  async findByTokenHash(tokenHash, client = database, forUpdate = false) {
+    const query = `
+      SELECT tr.*, t.ticket_code, t.ticket_type_id, tt.name AS ticket_type_name,
+             eg.event_id, e.title AS event_title, e.event_date, e.location,
+             g.first_name AS from_first_name, g.last_name AS from_last_name
+      FROM ticket_transfers tr
+      JOIN tickets t ON tr.ticket_id = t.id
+      JOIN event_guests eg ON tr.from_event_guest_id = eg.id
+      JOIN guests g ON eg.guest_id = g.id
+      JOIN events e ON eg.event_id = e.id
+      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+      WHERE tr.token_hash = $1 AND tr.deleted_at IS NULL
+      ${forUpdate ? 'FOR UPDATE OF tr' : ''}
+    `;
+
+    const result = await client.query(query, [tokenHash]);
+    return result.rows[0] || null;
+  }
+
+  async findById(transferId) {
+    const query = `
+      SELECT tr.*, eg.event_id, eg.guest_id AS from_guest_id, g.email AS from_email,
+             e.organizer_id
+      FROM ticket_transfers tr
+      JOIN event_guests eg ON tr.from_event_guest_id = eg.id
+      JOIN guests g ON eg.guest_id = g.id
+      JOIN events e ON eg.event_id = e.id
+      WHERE tr.id = $1 AND tr.deleted_at IS NULL
+    `;
+
+    const result = await database.query(query, [transferId]);
+    return result.rows[0] || null;
+  }
+
+  async updateStatus(transferId, status, updatedBy, client = database) {
+    const query = `
+      UPDATE ticket_transfers
+      SET status = $2,
+          cancelled_at = CASE WHEN $2 = 'cancelled' THEN NOW() ELSE cancelled_at END,
+          updated_by = $3, updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [transferId, status, updatedBy || null]);
+    return result.rows[0] || null;
+  }
+
+  async markAccepted(transferId, toEventGuestId, client = database) {
+    const query = `
+      UPDATE ticket_transfers
+      SET status = 'accepted', to_event_guest_id = $2, accepted_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [transferId, toEventGuestId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Invité du destinataire : retrouvé par email (insensible à la casse) ou créé
+   */
+  async findOrCreateGuest(guestData, client = database) {
+    const existing = await client.query(
+      'SELECT * FROM guests WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL ORDER BY id ASC LIMIT 1',
+      [guestData.email]
+    );
+    if (existing.rows[0]) {
+      return existing.rows[0];
+    }
+
+    const query = `
+      INSERT INTO guests (first_name, last_name, email, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $4)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      guestData.first_name,
+      guestData.last_name || null,
+      guestData.email,
+      guestData.created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Inscription confirmée du destinataire à l'événement : une inscription
+   * existante est réutilisée (et réactivée si elle avait été annulée)
+   */
+  async ensureEventGuest(eventId, guestId, invitationCode, createdBy, client = database) {
+    const existing = await client.query(
+      'SELECT * FROM event_guests WHERE event_id = $1 AND guest_id = $2 FOR UPDATE',
+      [eventId, guestId]
+    );
+
+    if (existing.rows[0]) {
+      const result = await client.query(`
+        UPDATE event_guests
+        SET status = 'confirmed', deleted_at = NULL, deleted_by = NULL,
+            updated_by = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [existing.rows[0].id, createdBy || null]);
+      return result.rows[0];
+    }
+
+    const result = await client.query(`
+      INSERT INTO event_guests (event_id, guest_id, invitation_code, status, created_by, updated_by)
+      VALUES ($1, $2, $3, 'confirmed', $4, $4)
+      RETURNING *
+    `, [eventId, guestId, invitationCode, createdBy || null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Rattache le billet à sa nouvelle inscription avec un nouveau code
+   */
+  async moveTicket(ticketId, toEventGuestId, ticketCode, updatedBy, client = database) {
+    const query = `
+      UPDATE tickets
+      SET event_guest_id = $2, ticket_code = $3, updated_by = $4, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [ticketId, toEventGuestId, ticketCode, updatedBy || null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Annule l'inscription de l'ancien détenteur s'il n'a plus de billet
+   */
+  async releaseEventGuestIfEmpty(eventGuestId, updatedBy, client = database) {
+    const query = `
+      UPDATE event_guests eg
+      SET status = 'cancelled', updated_by = $2, updated_at = NOW()
+      WHERE eg.id = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM tickets t WHERE t.event_guest_id = eg.id AND t.deleted_at IS NULL
+        )
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [eventGuestId, updatedBy || null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Clôt la détention en cours. Les billets émis avant l'historique reçoivent
+   * d'abord leur ligne d'origine ("issued").
+   */
+  async closeOwnership(ticket, client = database) {
+    await client.query(`
+      INSERT INTO ticket_ownership_history (ticket_id, event_guest_id, guest_id, ticket_code, reason, acquired_at)
+      SELECT $1, $2, $3, $4, 'issued', $5
+      WHERE NOT EXISTS (SELECT 1 FROM ticket_ownership_history WHERE ticket_id = $1)
+    `, [ticket.id, ticket.event_guest_id, ticket.guest_id, ticket.ticket_code, ticket.created_at || new Date()]);
+
+    await client.query(`
+      UPDATE ticket_ownership_history
+      SET released_at = NOW()
+      WHERE ticket_id = $1 AND released_at IS NULL
+    `, [ticket.id]);
+  }
+
+  async openOwnership(ownershipData, client = database) {
+    const { ticket_id, event_guest_id, guest_id, ticket_code, reason, transfer_id, created_by } = ownershipData;
+
+    const query = `
+      INSERT INTO ticket_ownership_history (
+        ticket_id, event_guest_id, guest_id, ticket_code, reason, transfer_id, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      ticket_id, event_guest_id, guest_id, ticket_code, reason, transfer_id || null, created_by || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Détenteurs successifs d'un billet, du premier au détenteur actuel
+   */
+  async findOwnershipHistory(ticketId) {
+    const query = `
+      SELECT h.id, h.ticket_code, h.reason, h.acquired_at, h.released_at, h.transfer_id,
+             h.event_guest_id, h.guest_id, g.first_name, g.last_name, g.email, h.created_by
+      FROM ticket_ownership_history h
+      JOIN guests g ON h.guest_id = g.id
+      WHERE h.ticket_id = $1
+      ORDER BY h.acquired_at ASC, h.id ASC
+    `;
+
+    const result = await database.query(query, [ticketId]);
+    return result.rows;
+  }
+
+  async findTransfersByTicket(ticketId) {
+    const query = `
+      SELECT id, status, recipient_email, recipient_first_name, recipient_last_name,
+             expires_at, accepted_at, cancelled_at, from_event_guest_id, to_event_guest_id,
+             created_at, created_by
+      FROM ticket_transfers
+      WHERE ticket_id = $1 AND deleted_at IS NULL
+      ORDER BY created_at ASC, id ASC
+    `;
+
+    const result = await database.query(query, [ticketId]);
+    return result.rows;
+  }
+
+  /**
+   * Anciens codes des billets d'un événement (révoqués par un transfert)
+   */
+  async findReleasedCodesByEvent(eventId) {
+    const query = `
+      SELECT DISTINCT ON (h.ticket_code) h.ticket_id, h.ticket_code, h.released_at
+      FROM ticket_ownership_history h
+      JOIN tickets t ON h.ticket_id = t.id
+      JOIN event_guests eg ON t.event_guest_id = eg.id
+      WHERE eg.event_id = $1 AND h.released_at IS NOT NULL AND h.ticket_code <> t.ticket_code
+      ORDER BY h.ticket_code, h.released_at DESC
+    `;
+
+    const result = await database.query(query, [eventId]);
+    return result.rows;
+  }
+}
+
+module.exports = new TicketTransfersRepository();
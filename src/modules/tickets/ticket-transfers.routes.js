@@ -0,0 +1,25 @@
+const express = require('express');
+const ticketTransfersController = require('./ticket-transfers.controller');
+const { SecurityMiddleware } = require('../../../../shared');
+
+const router = express.Router();
+
+// ============================================
+// PUBLIC ROUTES (lien à usage unique envoyé au destinataire)
+// ============================================
+
+router.get('/:token', ticketTransfersController.getTransferByToken);
+
+// Corps optionnel : first_name / last_name si inconnus à l'initiation
+router.post('/:token/accept', ticketTransfersController.acceptTransfer);
+
+// ============================================
+// PROTECTED ROUTES (authentication required)
+// ============================================
+
+router.use(SecurityMiddleware.authenticated());
+
+// Annulation d'un transfert en attente (expéditeur ou organisateur)
+router.delete('/:transferId', SecurityMiddleware.withPermissions('tickets.transfers.cancel'), ticketTransfersController.cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,545 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const ticketTransfersRepository = require('./ticket-transfers.repository');
+const ticketsRepository = require('./tickets.repository');
+const guestsRepository = require('../guests/guests.repository');
+const ticketQrService = require('./ticket-qr.service');
+const notificationClient = require('../../../../shared/clients/notification-client');
+const { formatEventSchedule } = require('../../utils/timezone');
+
+const TRANSFERS_ENABLED = process.env.ENABLE_TICKET_TRANSFER !== 'false';
+
+// Nombre maximum de transferts acceptés par billet (0 = illimité)
+const MAX_TICKET_TRANSFERS = process.env.MAX_TICKET_TRANSFERS !== undefined
+  ? parseInt(process.env.MAX_TICKET_TRANSFERS) || 0
+  : 3;
+
+// Durée de validité du lien d'acceptation
+const TRANSFER_TTL_HOURS = parseInt(process.env.TICKET_TRANSFER_TTL_HOURS) || 72;
+
+const recipientSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  first_name: Joi.string().trim().max(255).allow(null, ''),
+  last_name: Joi.string().trim().max(255).allow(null, ''),
+  message: Joi.string().max(1000).allow(null, '')
+});
+
+const acceptSchema = Joi.object({
+  first_name: Joi.string().trim().max(255).allow(null, ''),
+  last_name: Joi.string().trim().max(255).allow(null, '')
+});
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sameEmail(a, b) {
+  return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function isOrganizer(record, userId) {
+  return record.organizer_id === userId || String(record.organizer_id) === String(userId);
+}
+
+/**
+ * Transfert d'un billet d'un invité à un autre.
+ * Le détenteur (ou l'organisateur) envoie un lien à usage unique au
+ * destinataire ; à l'acceptation, le billet est rattaché à l'inscription du
+ * destinataire avec un nouveau code et un QR code re-signé, l'ancien code
+ * est révoqué. L'organisateur peut aussi réattribuer directement un billet.
+ * Chaque changement de détenteur est conservé dans ticket_ownership_history.
+ */
+class TicketTransfersService {
+  /**
+   * Vérifie qu'un billet peut changer de détenteur
+   * @returns {string|null} Motif du refus
+   */
+  async checkTransferable(ticket, client) {
+    if (!TRANSFERS_ENABLED) {
+      return 'Ticket transfers are disabled';
+    }
+    if (!ticket.transfers_enabled) {
+      return 'Transfers are not enabled for this ticket type';
+    }
+    if (ticket.is_validated) {
+      return 'A validated ticket cannot be transferred';
+    }
+    if (ticket.guest_status !== 'confirmed') {
+      return 'Only confirmed tickets can be transferred';
+    }
+    if (MAX_TICKET_TRANSFERS > 0) {
+      const completed = await ticketTransfersRepository.countCompletedTransfers(ticket.id, client);
+      if (completed >= MAX_TICKET_TRANSFERS) {
+        return `This ticket has reached the maximum of ${MAX_TICKET_TRANSFERS} transfers`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Démarre le transfert d'un billet vers une adresse email
+   * @param {number} ticketId - ID du billet
+   * @param {Object} data - { email, first_name, last_name, message }
+   * @param {Object} user - Utilisateur authentifié ({ id, email })
+   */
+  async initiateTransfer(ticketId, data, user = {}) {
+    try {
+      const { error, value } = recipientSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid transfer request', details: error.details.map(d => d.message) };
+      }
+
+      const ticket = await ticketTransfersRepository.findTicket(ticketId);
+      if (!ticket) {
+        return { success: false, error: 'Ticket not found' };
+      }
+      // Le détenteur est identifié par l'email de son compte
+      if (!sameEmail(ticket.email, user.email) && !isOrganizer(ticket, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+      if (sameEmail(ticket.email, value.email)) {
+        return { success: false, error: 'The recipient already holds this ticket' };
+      }
+
+      const refusal = await this.checkTransferable(ticket);
+      if (refusal) {
+        return { success: false, error: refusal };
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + TRANSFER_TTL_HOURS * 3600 * 1000);
+
+      const transfer = await ticketTransfersRepository.transaction(async (client) => {
+        await ticketTransfersRepository.expirePendingTransfers(ticket.id, client);
+        const pending = await ticketTransfersRepository.findPendingByTicket(ticket.id, client);
+        if (pending) {
+          throw new Error('A transfer is already pending for this ticket');
+        }
+
+        return ticketTransfersRepository.create({
+          ticket_id: ticket.id,
+          from_event_guest_id: ticket.event_guest_id,
+          token_hash: hashToken(token),
+          recipient_email: value.email.trim().toLowerCase(),
+          recipient_first_name: value.first_name,
+          recipient_last_name: value.last_name,
+          message: value.message,
+          expires_at: expiresAt,
+          created_by: user.id
+        }, client);
+      });
+
+      // Le lien n'est remis qu'au destinataire : seule son empreinte est conservée
+      const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/tickets/transfers/${token}`;
+      if (!(await this.notifyRecipient(ticket, transfer, acceptUrl))) {
+        // Lien perdu : le transfert est annulé pour pouvoir être relancé
+        await ticketTransfersRepository.updateStatus(transfer.id, 'cancelled', user.id);
+        return { success: false, error: 'Failed to send the transfer link to the recipient' };
+      }
+
+      return { success: true, data: this.formatTransfer(transfer) };
+    } catch (error) {
+      console.error('Error initiating ticket transfer:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to initiate ticket transfer'
+      };
+    }
+  }
+
+  /**
+   * Détails d'un transfert pour la page d'acceptation (lien public)
+   */
+  async getTransferByToken(token) {
+    try {
+      const transfer = await ticketTransfersRepository.findByTokenHash(hashToken(token));
+      if (!transfer) {
+        return { success: false, error: 'Transfer not found' };
+      }
+
+      return {
+        success: true,
+        data: {
+          ...this.formatTransfer(transfer),
+          status: this.effectiveStatus(transfer),
+          event: {
+            id: transfer.event_id,
+            title: transfer.event_title,
+            event_date: transfer.event_date,
+            location: transfer.location
+          },
+          ticket_type_name: transfer.ticket_type_name,
+          from: [transfer.from_first_name, transfer.from_last_name].filter(Boolean).join(' ') || null,
+          message: transfer.message
+        }
+      };
+    } catch (error) {
+      console.error('Error getting ticket transfer:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get ticket transfer'
+      };
+    }
+  }
+
+  /**
+   * Accepte un transfert via le lien à usage unique
+   * @param {string} token - Jeton du lien
+   * @param {Object} data - { first_name, last_name } si inconnus à l'initiation
+   */
+  async acceptTransfer(token, data = {}) {
+    try {
+      const { error, value } = acceptSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid transfer acceptance', details: error.details.map(d => d.message) };
+      }
+
+      const result = await ticketTransfersRepository.transaction(async (client) => {
+        const transfer = await ticketTransfersRepository.findByTokenHash(hashToken(token), client, true);
+        if (!transfer) {
+          return { refused: 'Transfer not found' };
+        }
+        const status = this.effectiveStatus(transfer);
+        if (status !== 'pending') {
+          if (status === 'expired') {
+            await ticketTransfersRepository.updateStatus(transfer.id, 'expired', null, client);
+          }
+          return { refused: `Transfer is ${status}` };
+        }
+
+        const ticket = await ticketTransfersRepository.findTicket(transfer.ticket_id, client, true);
+        // Le billet a changé de détenteur depuis l'envoi du lien
+        if (!ticket || String(ticket.event_guest_id) !== String(transfer.from_event_guest_id)) {
+          await ticketTransfersRepository.updateStatus(transfer.id, 'cancelled', null, client);
+          return { refused: 'Ticket is no longer held by the sender' };
+        }
+        const refusal = await this.checkTransferable(ticket, client);
+        if (refusal) {
+          return { refused: refusal };
+        }
+
+        const firstName = value.first_name || transfer.recipient_first_name;
+        if (!firstName) {
+          return { refused: 'first_name is required' };
+        }
+
+        const moved = await this.moveTicket(ticket, {
+          email: transfer.recipient_email,
+          first_name: firstName,
+          last_name: value.last_name || transfer.recipient_last_name
+        }, { reason: 'transfer', transfer, userId: null }, client);
+
+        await ticketTransfersRepository.markAccepted(transfer.id, moved.event_guest.id, client);
+        return { ticket: moved.ticket, eventGuest: moved.event_guest, previousCode: ticket.ticket_code };
+      });
+
+      if (result.refused) {
+        return { success: false, error: result.refused };
+      }
+
+      return {
+        success: true,
+        data: {
+          ticket: result.ticket,
+          invitation_code: result.eventGuest.invitation_code,
+          revoked_ticket_code: result.previousCode
+        }
+      };
+    } catch (error) {
+      console.error('Error accepting ticket transfer:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to accept ticket transfer'
+      };
+    }
+  }
+
+  /**
+   * Annule un transfert en attente (expéditeur ou organisateur)
+   */
+  async cancelTransfer(transferId, user = {}) {
+    try {
+      const transfer = await ticketTransfersRepository.findById(transferId);
+      if (!transfer) {
+        return { success: false, error: 'Transfer not found' };
+      }
+      if (!sameEmail(transfer.from_email, user.email) && !isOrganizer(transfer, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const cancelled = await ticketTransfersRepository.updateStatus(transfer.id, 'cancelled', user.id);
+      if (!cancelled) {
+        return { success: false, error: `Transfer is ${transfer.status}` };
+      }
+
+      return { success: true, data: this.formatTransfer(cancelled) };
+    } catch (error) {
+      console.error('Error cancelling ticket transfer:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to cancel ticket transfer'
+      };
+    }
+  }
+
+  /**
+   * Réattribution directe par l'organisateur (sans lien d'acceptation)
+   * @param {number} ticketId - ID du billet
+   * @param {Object} data - { email, first_name, last_name }
+   * @param {number} userId - ID de l'organisateur
+   */
+  async reassignTicket(ticketId, data, userId) {
+    try {
+      const { error, value } = recipientSchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { success: false, error: 'Invalid reassignment request', details: error.details.map(d => d.message) };
+      }
+
+      const result = await ticketTransfersRepository.transaction(async (client) => {
+        const ticket = await ticketTransfersRepository.findTicket(ticketId, client, true);
+        if (!ticket) {
+          return { refused: 'Ticket not found' };
+        }
+        if (!isOrganizer(ticket, userId)) {
+          return { refused: 'Access denied' };
+        }
+        if (ticket.is_validated) {
+          return { refused: 'A validated ticket cannot be reassigned' };
+        }
+        if (sameEmail(ticket.email, value.email)) {
+          return { refused: 'The recipient already holds this ticket' };
+        }
+
+        const guest = await ticketTransfersRepository.findOrCreateGuest({
+          email: value.email.trim().toLowerCase(),
+          first_name: value.first_name || value.email.split('@')[0],
+          last_name: value.last_name,
+          created_by: userId
+        }, client);
+
+        // Un transfert en attente n'a plus d'objet
+        const pending = await ticketTransfersRepository.findPendingByTicket(ticket.id, client);
+        if (pending) {
+          await ticketTransfersRepository.updateStatus(pending.id, 'cancelled', userId, client);
+        }
+
+        const moved = await this.moveTicket(ticket, guest, { reason: 'reassignment', userId }, client);
+        return { ticket: moved.ticket, eventGuest: moved.event_guest, previousCode: ticket.ticket_code };
+      });
+
+      if (result.refused) {
+        return { success: false, error: result.refused };
+      }
+
+      return {
+        success: true,
+        data: {
+          ticket: result.ticket,
+          invitation_code: result.eventGuest.invitation_code,
+          revoked_ticket_code: result.previousCode
+        }
+      };
+    } catch (error) {
+      console.error('Error reassigning ticket:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to reassign ticket'
+      };
+    }
+  }
+
+  /**
+   * Change le détenteur d'un billet dans la transaction en cours :
+   * inscription du destinataire, nouveau code, QR code re-signé (l'ancien
+   * devient périmé) et historique de propriété
+   * @param {Object} ticket - Billet verrouillé (findTicket)
+   * @param {Object} recipient - Invité existant ou { email, first_name, last_name }
+   * @param {Object} context - { reason, transfer, userId }
+   */
+  async moveTicket(ticket, recipient, context, client) {
+    const guest = recipient.id
+      ? recipient
+      : await ticketTransfersRepository.findOrCreateGuest({ ...recipient, created_by: context.userId }, client);
+
+    const eventGuest = await ticketTransfersRepository.ensureEventGuest(
+      ticket.event_id,
+      guest.id,
+      guestsRepository.generateInvitationCode(),
+      context.userId,
+      client
+    );
+
+    await ticketTransfersRepository.closeOwnership(ticket, client);
+
+    const ticketCode = await ticketsRepository.generateTicketCode();
+    const moved = await ticketTransfersRepository.moveTicket(ticket.id, eventGuest.id, ticketCode, context.userId, client);
+    const signed = await ticketQrService.issue({
+      id: moved.id,
+      event_id: ticket.event_id,
+      ticket_type_id: moved.ticket_type_id
+    }, client);
+
+    await ticketTransfersRepository.openOwnership({
+      ticket_id: ticket.id,
+      event_guest_id: eventGuest.id,
+      guest_id: guest.id,
+      ticket_code: ticketCode,
+      reason: context.reason,
+      transfer_id: context.transfer ? context.transfer.id : null,
+      created_by: context.userId
+    }, client);
+
+    await ticketTransfersRepository.releaseEventGuestIfEmpty(ticket.event_guest_id, context.userId, client);
+
+    return { ticket: signed || moved, event_guest: eventGuest };
+  }
+
+  /**
+   * Historique des détenteurs et des transferts d'un billet
+   */
+  async getOwnershipHistory(ticketId, user = {}) {
+    try {
+      const ticket = await ticketTransfersRepository.findTicket(ticketId);
+      if (!ticket) {
+        return { success: false, error: 'Ticket not found' };
+      }
+      if (!sameEmail(ticket.email, user.email) && !isOrganizer(ticket, user.id)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const [history, transfers] = await Promise.all([
+        ticketTransfersRepository.findOwnershipHistory(ticket.id),
+        ticketTransfersRepository.findTransfersByTicket(ticket.id)
+      ]);
+
+      // Billet jamais transféré : le détenteur actuel est le détenteur d'origine
+      const owners = history.length > 0 ? history : [{
+        ticket_code: ticket.ticket_code,
+        reason: 'issued',
+        acquired_at: ticket.created_at,
+        released_at: null,
+        event_guest_id: ticket.event_guest_id,
+        guest_id: ticket.guest_id,
+        first_name: ticket.first_name,
+        last_name: ticket.last_name,
+        email: ticket.email
+      }];
+
+      return {
+        success: true,
+        data: {
+          ticket_id: ticket.id,
+          ticket_code: ticket.ticket_code,
+          transfers_enabled: TRANSFERS_ENABLED && ticket.transfers_enabled,
+          owners,
+          transfers: transfers.map(transfer => ({ ...transfer, status: this.effectiveStatus(transfer) }))
+        }
+      };
+    } catch (error) {
+      console.error('Error getting ticket ownership history:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to get ticket ownership history'
+      };
+    }
+  }
+
+  /**
+   * Active ou désactive les transferts d'un type de billet (organisateur)
+   */
+  async setTicketTypeTransfers(ticketTypeId, enabled, userId) {
+    try {
+      if (typeof enabled !== 'boolean') {
+        return { success: false, error: 'transfers_enabled must be a boolean' };
+      }
+
+      const ticketType = await ticketTransfersRepository.findTicketType(ticketTypeId);
+      if (!ticketType) {
+        return { success: false, error: 'Ticket type not found' };
+      }
+      if (!isOrganizer(ticketType, userId)) {
+        return { success: false, error: 'Access denied' };
+      }
+
+      const updated = await ticketTransfersRepository.setTicketTypeTransfers(ticketTypeId, enabled, userId);
+      return { success: true, data: updated };
+    } catch (error) {
+      console.error('Error updating ticket type transfers:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update ticket type transfers'
+      };
+    }
+  }
+
+  /**
+   * Un transfert en attente dont le lien a expiré est considéré comme expiré
+   */
+  effectiveStatus(transfer) {
+    if (transfer.status === 'pending' && new Date(transfer.expires_at).getTime() <= Date.now()) {
+      return 'expired';
+    }
+    return transfer.status;
+  }
+
+  formatTransfer(transfer) {
+    return {
+      id: transfer.id,
+      ticket_id: transfer.ticket_id,
+      status: transfer.status,
+      recipient_email: transfer.recipient_email,
+      recipient_first_name: transfer.recipient_first_name,
+      recipient_last_name: transfer.recipient_last_name,
+      expires_at: transfer.expires_at,
+      accepted_at: transfer.accepted_at,
+      cancelled_at: transfer.cancelled_at,
+      created_at: transfer.created_at
+    };
+  }
+
+  /**
+   * Envoie le lien d'acceptation au destinataire
+   * @returns {Promise<boolean>} false si l'email n'a pas pu être envoyé
+   */
+  async notifyRecipient(ticket, transfer, acceptUrl) {
+    const schedule = formatEventSchedule(ticket);
+    const sender = [ticket.first_name, ticket.last_name].filter(Boolean).join(' ') || 'Un invité';
+
+    try {
+      const result = await notificationClient.sendEmail({
+        to: transfer.recipient_email,
+        template: 'event-notification',
+        subject: `Un billet vous est transféré - ${ticket.event_title}`,
+        data: {
+          firstName: transfer.recipient_first_name || 'Invité',
+          notificationTitle: 'Transfert de billet',
+          eventName: ticket.event_title,
+          eventDate: schedule.date,
+          eventTime: schedule.time,
+          eventLocation: ticket.location,
+          organizerName: 'Event Planner',
+          message: `${sender} vous transfère son billet pour ${ticket.event_title}. `
+            + `Acceptez-le dans les ${TRANSFER_TTL_HOURS} heures pour recevoir votre propre QR code.`,
+          responseUrl: acceptUrl,
+          frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+        }
+      });
+      if (result && result.success === false) {
+        console.error('Failed to notify ticket transfer recipient:', {
+          email: transfer.recipient_email,
+          error: result.error
+        });
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to notify ticket transfer recipient:', {
+        email: transfer.recipient_email,
+        error: error.message
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = new TicketTransfersService();
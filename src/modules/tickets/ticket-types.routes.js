@@ -1,5 +1,7 @@
 const express = require('express');
 const ticketsController = require('./tickets.controller');
+const ticketTransfersController = require('./ticket-transfers.controller');
+const ticketPricingController = require('./ticket-pricing.controller');
 const { SecurityMiddleware, ValidationMiddleware } = require('../../../../shared');
 
 const router = express.Router();
@@ -23,6 +25,7 @@ router.post('/',
 router.get('/:id', SecurityMiddleware.withPermissions('tickets.types.read'), ticketsController.getTicketTypeById);
 
 // Verifier pourauoi ca fait planter le serveur
+// Inclut l'inventaire par type : sold_count, held_count (paiements en cours), available_count
 router.get('/events/:eventId/types', SecurityMiddleware.withPermissions('tickets.types.read'), ticketsController.getTicketTypesByEvent);
 
 router.put('/:id', 
@@ -31,6 +34,13 @@ router.put('/:id',
   ticketsController.updateTicketType
 );
 
+// Activation des transferts pour ce type de billet (corps : transfers_enabled)
+router.put('/:id/transfers', SecurityMiddleware.withPermissions('tickets.types.update'), ticketTransfersController.setTicketTypeTransfers);
+
+// Prix de base et paliers (early bird, tarif normal, sur place...) : remplacés en bloc
+router.get('/:id/price-tiers', SecurityMiddleware.withPermissions('tickets.types.read'), ticketPricingController.getPricing);
+router.put('/:id/price-tiers', SecurityMiddleware.withPermissions('tickets.types.update'), ticketPricingController.setPricing);
+
 router.delete('/:id', 
   SecurityMiddleware.withPermissions('tickets.types.delete'),
   ValidationMiddleware.createTicketsValidator('deleteTicketType'),
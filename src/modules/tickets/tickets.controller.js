@@ -1,8 +1,33 @@
 const ticketsService = require('./tickets.service');
+const offlineScanService = require('./offline-scan.service');
+const scanLogsService = require('./scan-logs.service');
 const { ResponseFormatter } = require('../../../../shared');
 const eventQueueService = require('../../core/queue/event-queue.service');
 const logger = require('../../utils/logger');
 
+// Statut HTTP des refus de passage (zones d'accès et ré-entrée)
+const ACCESS_ERROR_STATUS = {
+  ZONE_NOT_FOUND: 400,
+  ZONE_ACCESS_DENIED: 403,
+  ZONE_NOT_ENTERED: 409,
+  REENTRY_NOT_ALLOWED: 409,
+  REENTRY_LIMIT_REACHED: 409,
+  REENTRY_COOLDOWN: 429
+};
+
+/**
+ * Contexte de scan transmis par l'appareil de contrôle
+ */
+function buildScanContext(body = {}) {
+  return {
+    qrCode: body.qr_code,
+    checkpointId: body.checkpoint_id,
+    zoneId: body.zone_id,
+    direction: body.direction,
+    deviceId: body.device_id
+  };
+}
+
 class TicketsController {
   async createTicketType(req, res, next) {
     try {
@@ -265,9 +290,17 @@ class TicketsController {
       const { id } = req.params;
       const userId = req.user?.id;
       
-      const result = await ticketsService.validateTicket(id, userId);
+      // QR code scanné (vérifié localement si le service de validation est indisponible),
+      // point de contrôle / zone et sens du passage
+      const result = await ticketsService.validateTicket(id, userId, buildScanContext(req.body));
       
       if (!result.success) {
+        if (result.code && result.code.startsWith('QR_SIGNATURE_')) {
+          return res.status(400).json(ResponseFormatter.error(result.error, result.details, result.code));
+        }
+        if (ACCESS_ERROR_STATUS[result.code]) {
+          return res.status(ACCESS_ERROR_STATUS[result.code]).json(ResponseFormatter.error(result.error, result.details, result.code));
+        }
         return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
       }
 
@@ -286,9 +319,12 @@ class TicketsController {
         return res.status(400).json(ResponseFormatter.error('ticketCode is required', null, 'VALIDATION_ERROR'));
       }
 
-      const result = await ticketsService.validateTicketByCode(ticketCode, userId);
+      const result = await ticketsService.validateTicketByCode(ticketCode, userId, buildScanContext(req.body));
       
       if (!result.success) {
+        if (ACCESS_ERROR_STATUS[result.code]) {
+          return res.status(ACCESS_ERROR_STATUS[result.code]).json(ResponseFormatter.error(result.error, result.details, result.code));
+        }
         return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
       }
 
@@ -337,6 +373,9 @@ class TicketsController {
         if (result.error === 'Ticket already used' && !options.allow_used) {
           return res.status(409).json(ResponseFormatter.conflict('Ticket already used'));
         }
+        if (result.code && result.code.startsWith('QR_SIGNATURE_')) {
+          return res.status(400).json(ResponseFormatter.error(result.error, result.details, result.code));
+        }
         if (result.error && result.error.includes('Invalid QR code')) {
           return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'QR_VALIDATION_ERROR'));
         }
@@ -514,6 +553,75 @@ class TicketsController {
       next(error);
     }
   }
+
+  async getOfflineBundle(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await offlineScanService.exportBundle(eventId, req.query.checkpoint_id, userId);
+
+      if (!result.success) {
+        if (result.error === 'Event not found') {
+          return res.status(404).json(ResponseFormatter.notFound('Event'));
+        }
+        if (result.error && result.error.startsWith('Access denied')) {
+          return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Offline scan bundle generated', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async syncOfflineScans(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await offlineScanService.syncScans(eventId, req.body, userId);
+
+      if (!result.success) {
+        if (result.error === 'Event not found') {
+          return res.status(404).json(ResponseFormatter.notFound('Event'));
+        }
+        if (result.error && result.error.startsWith('Access denied')) {
+          return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Offline scans synchronized', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getScanHistory(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const userId = req.user?.id;
+
+      const result = await scanLogsService.getEventHistory(eventId, req.query, userId);
+
+      if (!result.success) {
+        if (result.error === 'Event not found') {
+          return res.status(404).json(ResponseFormatter.notFound('Event'));
+        }
+        if (result.error === 'Access denied') {
+          return res.status(403).json(ResponseFormatter.forbidden('Access denied'));
+        }
+        return res.status(400).json(ResponseFormatter.error(result.error, result.details, 'VALIDATION_ERROR'));
+      }
+
+      res.json(ResponseFormatter.success('Scan history retrieved', result.data));
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new TicketsController();
@@ -8,6 +8,10 @@ class TicketsRepository {
       description, 
       type, 
       quantity, 
+      price,
+      currency,
+      donation_min_amount,
+      donation_suggested_amounts,
       available_from, 
       available_to, 
       organizer_id  // Utiliser organizer_id injecté au lieu de created_by
@@ -15,15 +19,18 @@ class TicketsRepository {
     
     const query = `
       INSERT INTO ticket_types (
-        event_id, name, description, type, quantity, 
+        event_id, name, description, type, quantity, price, currency,
+        donation_min_amount, donation_suggested_amounts,
         available_from, available_to, created_by, updated_by
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'EUR'), $8, $9, $10, $11, $12, $12)
       RETURNING *
     `;
     
     const values = [
-      event_id, name, description, type, quantity, 
+      event_id, name, description, type, quantity,
+      price ?? null, currency || null, // Prix de base (NULL = prix fourni à l'achat)
+      donation_min_amount ?? null, donation_suggested_amounts || [], // Billets de don
       available_from, available_to, organizer_id  // organizer_id comme created_by
     ];
     const result = await database.query(query, values);
@@ -31,7 +38,7 @@ class TicketsRepository {
     return result.rows[0];
   }
 
-  async create(ticketData) {
+  async create(ticketData, client = database) {
     const { 
       ticket_code, 
       qr_code_data, 
@@ -40,15 +47,16 @@ class TicketsRepository {
       event_guest_id, 
       price, 
       currency, 
+      donation_amount,
       created_by 
     } = ticketData;
     
     const query = `
       INSERT INTO tickets (
         ticket_code, qr_code_data, ticket_type_id, ticket_template_id,
-        event_guest_id, price, currency, created_by, updated_by
+        event_guest_id, price, currency, donation_amount, created_by, updated_by
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
       RETURNING *
     `;
     
@@ -60,9 +68,10 @@ class TicketsRepository {
       event_guest_id, 
       price, 
       currency, 
+      donation_amount ?? null, // Montant du don (billets 'donation' uniquement)
       created_by
     ];
-    const result = await database.query(query, values);
+    const result = await client.query(query, values);
     
     return result.rows[0];
   }
@@ -300,7 +309,10 @@ class TicketsRepository {
   }
 
   async updateTicketType(id, updateData, updatedBy) {
-    const allowedFields = ['name', 'description', 'type', 'quantity', 'price', 'currency', 'available_from', 'available_to'];
+    const allowedFields = [
+      'name', 'description', 'type', 'quantity', 'price', 'currency',
+      'donation_min_amount', 'donation_suggested_amounts', 'available_from', 'available_to'
+    ];
     const updates = [];
     const values = [];
     
@@ -402,10 +414,43 @@ class TicketsRepository {
     `;
     
     const result = await database.query(query, [qrCodeData, ticketId]);
-    
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Enregistre la charge utile signée du QR code ; remplace (et périme) la précédente
+   */
+  async updateQRSignature(ticketId, signature, client = database) {
+    const query = `
+      UPDATE tickets
+      SET qr_payload = $2, qr_key_id = $3, qr_issued_at = $4, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [ticketId, signature.payload, signature.keyId, signature.issuedAt]);
     return result.rows[0] || null;
   }
 
+  /**
+   * Billets non signés ou signés avec une autre clé que la clé active (rotation)
+   */
+  async findTicketsToResign(activeKeyId, limit = 500) {
+    const query = `
+      SELECT t.id, t.ticket_type_id, eg.event_id
+      FROM tickets t
+      JOIN event_guests eg ON t.event_guest_id = eg.id
+      WHERE t.deleted_at IS NULL
+        AND (t.qr_key_id IS NULL OR t.qr_key_id <> $1)
+      ORDER BY t.id ASC
+      LIMIT $2
+    `;
+
+    const result = await database.query(query, [activeKeyId, limit]);
+    return result.rows;
+  }
+
   async findTicketWithEvent(ticketId) {
     const query = `
       SELECT t.*, eg.event_id
@@ -472,6 +517,29 @@ class TicketsRepository {
     };
   }
 
+  /**
+   * Dons d'un événement : total, nombre, moyenne, par devise
+   */
+  async getEventDonationStats(eventId) {
+    const query = `
+      SELECT 
+        t.currency,
+        COUNT(*) as donation_count,
+        COALESCE(SUM(t.donation_amount), 0) as donation_total,
+        COALESCE(AVG(t.donation_amount), 0) as average_donation,
+        MAX(t.donation_amount) as largest_donation
+      FROM tickets t
+      INNER JOIN event_guests eg ON t.event_guest_id = eg.id
+      WHERE eg.event_id = $1 AND t.donation_amount IS NOT NULL
+        AND t.deleted_at IS NULL AND eg.deleted_at IS NULL
+      GROUP BY t.currency
+      ORDER BY donation_total DESC
+    `;
+    
+    const result = await database.query(query, [eventId]);
+    return result.rows;
+  }
+
   async validateTicket(ticketId) {
     const query = `
       UPDATE tickets 
@@ -668,7 +736,7 @@ class TicketsRepository {
   /**
    * Update ticket
    */
-  async update(ticketId, updateData) {
+  async update(ticketId, updateData, client = database) {
     const allowedFields = ['is_validated', 'validated_at', 'validated_by', 'qr_code_data'];
     const updates = [];
     const values = [];
@@ -695,7 +763,7 @@ class TicketsRepository {
       RETURNING *
     `;
 
-    const result = await database.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0] || null;
   }
 
@@ -767,7 +835,21 @@ class TicketsRepository {
     return result.rows[0];
   }
 
-  async updateJobStatus(jobId, status, additionalData = {}) {
+  /**
+   * Job de génération verrouillé jusqu'à la fin de la transaction (webhooks)
+   */
+  async lockJob(jobId, client = database) {
+    const query = `
+      SELECT id, status FROM ticket_generation_jobs
+      WHERE id = $1 AND deleted_at IS NULL
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  async updateJobStatus(jobId, status, additionalData = {}, client = database) {
     const updateFields = ['status = $2', 'updated_at = NOW()'];
     const values = [jobId, status];
     let paramIndex = 3;
@@ -799,7 +881,7 @@ class TicketsRepository {
       RETURNING *
     `;
 
-    const result = await database.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
@@ -7,9 +7,21 @@ const ticketsErrorHandler = require('./tickets.errorHandler');
 // Import routes
 const ticketTypesRoutes = require('./ticket-types.routes');
 const ticketTemplatesRoutes = require('./ticket-templates.routes');
+const accessZonesRoutes = require('./access-zones.routes');
+const promoCodesRoutes = require('./promo-codes.routes');
+const ticketTransfersRoutes = require('./ticket-transfers.routes');
+const ticketTransfersController = require('./ticket-transfers.controller');
+const ticketPricingController = require('./ticket-pricing.controller');
 
 const router = express.Router();
 
+// Transferts : liens d'acceptation publics (déclarés avant l'authentification)
+router.use('/transfers', ticketTransfersRoutes);
+
+// Prix courant des types de billets (public, palier actif compris)
+router.get('/types/:id/price', ticketPricingController.getCurrentPrice);
+router.get('/types/events/:eventId/prices', ticketPricingController.getEventPrices);
+
 // Apply authentication to all routes
 router.use(SecurityMiddleware.authenticated());
 
@@ -25,6 +37,12 @@ router.use('/types', ticketTypesRoutes);
 // Ticket Template Management
 router.use('/templates', ticketTemplatesRoutes);
 
+// Access Zone Management
+router.use('/zones', accessZonesRoutes);
+
+// Promo Code Management
+router.use('/promo-codes', promoCodesRoutes);
+
 // Ticket Management
 router.post('/', 
   SecurityMiddleware.withPermissions('tickets.create'), 
@@ -41,10 +59,27 @@ router.get('/code/:ticketCode', SecurityMiddleware.withPermissions('tickets.read
 router.get('/events/:eventId/tickets', SecurityMiddleware.withPermissions('tickets.read'), ticketsController.getEventTickets);
 
 // Ticket Validation
+// Corps : checkpoint_id / zone_id et direction (entry | exit) pour les zones d'accès
 router.post('/:id/validate', SecurityMiddleware.withPermissions('tickets.validate'), ticketsController.validateTicket);
 
 router.post('/validate', SecurityMiddleware.withPermissions('tickets.validate'), ticketsController.validateTicketByCode);
 
+// Transfert et réattribution de billets (détenteur ou organisateur)
+// Corps : email, first_name, last_name, message
+router.post('/:id/transfers', SecurityMiddleware.withPermissions('tickets.transfers.create'), ticketTransfersController.initiateTransfer);
+
+router.post('/:id/reassign', SecurityMiddleware.withPermissions('tickets.transfers.reassign'), ticketTransfersController.reassignTicket);
+
+router.get('/:id/ownership-history', SecurityMiddleware.withPermissions('tickets.transfers.read'), ticketTransfersController.getOwnershipHistory);
+
+// Scan hors ligne : bundle signé par point de contrôle (?checkpoint_id=) et synchronisation des scans
+router.get('/events/:eventId/offline-bundle', SecurityMiddleware.withPermissions('tickets.validate'), ticketsController.getOfflineBundle);
+
+router.post('/events/:eventId/offline-sync', SecurityMiddleware.withPermissions('tickets.validate'), ticketsController.syncOfflineScans);
+
+// Journal des scans : ?result=&source=&direction=&ticket_code=&operator_id=&device_id=&checkpoint_id=&zone_id=&date_from=&date_to=&page=&limit=
+router.get('/events/:eventId/scan/history', SecurityMiddleware.withPermissions('tickets.read'), ticketsController.getScanHistory);
+
 // QR Code Validation - Pour le service scan-validation
 // NOTE : La génération de QR codes est gérée par ticket-generator-service
 // La validation de QR codes est gérée par scan-validation-service
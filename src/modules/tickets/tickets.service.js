@@ -1,8 +1,19 @@
 const { v4: uuidv4 } = require('uuid');
 const ticketsRepository = require('./tickets.repository');
+const ticketInventoryService = require('./ticket-inventory.service');
+const ticketQrService = require('./ticket-qr.service');
+const accessZonesService = require('./access-zones.service');
+const scanLogsService = require('./scan-logs.service');
+const promoCodesService = require('./promo-codes.service');
+const ticketPricingService = require('./ticket-pricing.service');
+const checkInStreamService = require('../guests/checkin-stream.service');
 const guestsRepository = require('../guests/guests.repository');
 const scanValidationClient = require('../../../../shared/clients/scan-validation-client'); // Client pour communiquer avec le service de validation
 const notificationClient = require('../../../../shared/clients/notification-client');
+const { formatEventSchedule } = require('../../utils/timezone');
+const { validateDonationSettings, validateDonationAmount } = require('../../validators/ticket-donation.validator');
+const { isValidCurrency, normalizeCurrency } = require('../../utils/currency');
+const { isSignedPayload, decodeTicketPayload } = require('../../utils/qr-signature');
 
 class TicketsService {
   async createTicketType(ticketTypeData, userId) {
@@ -15,8 +26,27 @@ class TicketsService {
         };
       }
 
+      if (ticketTypeData.currency && !isValidCurrency(ticketTypeData.currency)) {
+        return {
+          success: false,
+          error: 'Invalid currency',
+          details: ['currency must be an ISO 4217 currency code']
+        };
+      }
+
+      // Billets de don : minimum et montants suggérés
+      const donationErrors = ticketTypeData.type === 'donation' ? validateDonationSettings(ticketTypeData) : [];
+      if (donationErrors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid donation settings',
+          details: donationErrors
+        };
+      }
+
       const ticketTypeDataWithCreator = {
         ...ticketTypeData,
+        currency: normalizeCurrency(ticketTypeData.currency),
         id: uuidv4(),
         organizer_id: userId,
         created_by: userId,
@@ -48,9 +78,14 @@ class TicketsService {
         userId
       });
       
+      const prices = await ticketPricingService.resolveTicketTypes(result.ticketTypes);
+      
       return {
         success: true,
-        data: result.ticketTypes,
+        data: result.ticketTypes.map(ticketType => ({
+          ...ticketType,
+          current_price: prices.get(String(ticketType.id)) || null
+        })),
         pagination: result.pagination
       };
     } catch (error) {
@@ -83,7 +118,10 @@ class TicketsService {
 
       return {
         success: true,
-        data: ticketType
+        data: {
+          ...ticketType,
+          current_price: await ticketPricingService.getCurrentPrice(ticketType.id)
+        }
       };
     } catch (error) {
       console.error('Error getting ticket type by ID:', error);
@@ -113,8 +151,35 @@ class TicketsService {
         };
       }
 
+      if (updateData.currency !== undefined && !isValidCurrency(updateData.currency)) {
+        return {
+          success: false,
+          error: 'Invalid currency',
+          details: ['currency must be an ISO 4217 currency code']
+        };
+      }
+
+      // Billets de don : réglages vérifiés sur le type résultant de la mise à jour
+      if ((updateData.type || existingTicketType.type) === 'donation') {
+        const donationErrors = validateDonationSettings({
+          donation_min_amount: existingTicketType.donation_min_amount !== undefined && existingTicketType.donation_min_amount !== null
+            ? parseFloat(existingTicketType.donation_min_amount)
+            : null,
+          donation_suggested_amounts: (existingTicketType.donation_suggested_amounts || []).map(amount => parseFloat(amount)),
+          ...updateData
+        });
+        if (donationErrors.length > 0) {
+          return {
+            success: false,
+            error: 'Invalid donation settings',
+            details: donationErrors
+          };
+        }
+      }
+
       const updatedTicketType = await ticketsRepository.updateTicketType(ticketTypeId, {
         ...updateData,
+        ...(updateData.currency !== undefined ? { currency: normalizeCurrency(updateData.currency) } : {}),
         updated_by: userId,
         updated_at: new Date().toISOString()
       });
@@ -176,6 +241,15 @@ class TicketsService {
 
   async createTicket(ticketData, userId) {
     try {
+      if (ticketData.currency && !isValidCurrency(ticketData.currency)) {
+        return {
+          success: false,
+          error: 'Invalid currency',
+          details: ['currency must be an ISO 4217 currency code']
+        };
+      }
+      ticketData = { ...ticketData, currency: normalizeCurrency(ticketData.currency) || undefined };
+
       // Générer automatiquement le ticket_code comme pour les invitations
       const ticketCode = `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
       
@@ -189,6 +263,15 @@ class TicketsService {
         };
       }
 
+      // Capacité du type de billet : billets émis + réservations en cours de paiement
+      const inventory = await ticketInventoryService.getTicketTypeInventory(ticketType);
+      if (inventory.available !== null && inventory.available < 1) {
+        return {
+          success: false,
+          error: 'Ticket type sold out'
+        };
+      }
+
       // Récupérer la liaison event_guests avec le bon eventId
       let eventGuest = null;
 
@@ -223,8 +306,43 @@ class TicketsService {
         }
       }
 
+      // Un invité en liste d'attente ou annulé n'occupe pas de place
+      if (['waitlisted', 'cancelled'].includes(eventGuest.status)) {
+        return {
+          success: false,
+          error: eventGuest.status === 'waitlisted'
+            ? 'Guest is on the waitlist for this event'
+            : 'Guest participation is cancelled'
+        };
+      }
+
+      // Billet de don : le montant choisi est le prix du billet
+      let pricing = {};
+      if (ticketType.type === 'donation') {
+        const donationAmount = ticketData.donation_amount !== undefined ? ticketData.donation_amount : ticketData.price;
+        const donationError = validateDonationAmount(ticketType, donationAmount);
+        if (donationError) {
+          return {
+            success: false,
+            error: donationError
+          };
+        }
+        pricing = {
+          price: parseFloat(donationAmount),
+          donation_amount: parseFloat(donationAmount),
+          currency: ticketData.currency || ticketType.currency
+        };
+      } else if (ticketData.price === undefined || ticketData.price === null) {
+        // Prix non fourni : prix courant du type (palier actif ou prix de base)
+        const current = await ticketPricingService.getCurrentPrice(ticketType.id);
+        if (current && current.price !== null) {
+          pricing = { price: current.price, currency: ticketData.currency || current.currency };
+        }
+      }
+
       const ticketDataWithId = {
         ...ticketData,
+        ...pricing,
         ticket_code: ticketCode, // Généré automatiquement
         event_guest_id: eventGuest.id, // Utiliser l'ID de la liaison event_guests
         created_by: userId,
@@ -245,8 +363,20 @@ class TicketsService {
         ticketDataWithId.ticket_template_id = null;
       }
 
-      const ticket = await ticketsRepository.create(ticketDataWithId);
-      
+      // Capacité revérifiée sous verrou : deux émissions simultanées ne dépassent pas la jauge.
+      // Le QR code signé (ID billet, événement, type, date d'émission) est posé dans la
+      // même transaction : un échec de signature n'entraîne pas de billet sans QR code.
+      const ticket = await ticketInventoryService.issueWithinCapacity(ticketType.id, async (client) => {
+        const created = await ticketsRepository.create(ticketDataWithId, client);
+        return ticketQrService.issue({ ...created, event_id: ticketType.event_id }, client);
+      });
+      if (!ticket) {
+        return {
+          success: false,
+          error: 'Ticket type sold out'
+        };
+      }
+
       return {
         success: true,
         data: ticket
@@ -407,6 +537,22 @@ class TicketsService {
         limit: limit ? parseInt(limit) : 10,
         userId
       });
+
+      // Compteurs d'inventaire : vendus, réservés (paiement en cours), disponibles
+      const [inventory, prices] = await Promise.all([
+        ticketInventoryService.getEventInventory(eventId),
+        ticketPricingService.getEventPrices(eventId)
+      ]);
+      ticketTypes.ticket_types = ticketTypes.ticket_types.map(ticketType => {
+        const counts = inventory.get(String(ticketType.id)) || ticketInventoryService.buildCounts(ticketType, {});
+        return {
+          ...ticketType,
+          sold_count: counts.sold,
+          held_count: counts.held,
+          available_count: counts.available,
+          current_price: prices.get(String(ticketType.id)) || null
+        };
+      });
       
       return {
         success: true,
@@ -422,7 +568,18 @@ class TicketsService {
     }
   }
 
+  /**
+   * Valide un billet par son ID ; chaque tentative est inscrite au journal des scans
+   * et diffusée sur le flux des entrées de l'événement
+   */
   async validateTicket(ticketId, userId, scanContext = {}) {
+    const attempt = { ticketId };
+    const result = await this.processTicketValidation(ticketId, userId, scanContext, attempt);
+    await this.recordScan(result, attempt, userId, scanContext);
+    return result;
+  }
+
+  async processTicketValidation(ticketId, userId, scanContext, attempt) {
     try {
       // ÉTAPE 1 : Récupérer le ticket depuis la base de données
       const ticket = await ticketsRepository.findById(ticketId);
@@ -430,9 +587,11 @@ class TicketsService {
       if (!ticket) {
         return {
           success: false,
-          error: 'Ticket not found'
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
         };
       }
+      attempt.ticket = ticket;
 
       // ÉTAPE 2 : Vérifier que l'utilisateur a le droit de valider ce ticket
       // L'utilisateur doit être l'organisateur de l'événement ou un admin
@@ -443,13 +602,25 @@ class TicketsService {
         };
       }
 
+      // ÉTAPE 2 bis : Zone d'accès du point de contrôle et politique de ré-entrée
+      const passageCheck = await accessZonesService.evaluatePassage(ticket, scanContext);
+      if (!passageCheck.allowed) {
+        return this.formatAccessDenial(passageCheck);
+      }
+
+      // Une sortie de zone est seulement tracée : le billet n'est pas revalidé
+      if (passageCheck.zone && passageCheck.direction === 'exit') {
+        return this.recordZoneExit(ticket, scanContext, userId);
+      }
+
       // ÉTAPE 3 : Préparer le contexte de scan avec valeurs par défaut
       const defaultScanContext = {
         location: scanContext.location || 'default',
         deviceId: scanContext.deviceId || `device_${userId}`,
         timestamp: scanContext.timestamp || new Date().toISOString(),
         operatorId: scanContext.operatorId || String(userId),
-        checkpointId: scanContext.checkpointId || 'main'
+        checkpointId: scanContext.checkpointId || 'main',
+        zoneId: passageCheck.zone ? passageCheck.zone.code : null
       };
 
       // ÉTAPE 4 : Appeler le service de validation externe
@@ -467,8 +638,13 @@ class TicketsService {
         };
       }
 
-      // ÉTAPE 6 : Si la validation est réussie, mettre à jour le ticket
+      // ÉTAPE 6 : Si la validation est réussie, enregistrer l'entrée et mettre à jour le ticket
       if (validationResult.valid) {
+        const passage = await accessZonesService.registerPassage(ticket, scanContext, userId);
+        if (!passage.allowed) {
+          return this.formatAccessDenial(passage);
+        }
+
         const updateData = {
           is_validated: true,
           validated_at: new Date().toISOString(),
@@ -488,7 +664,8 @@ class TicketsService {
           success: true,
           data: {
             ...updatedTicket,
-            validation: validationResult.validation
+            validation: validationResult.validation,
+            access: accessZonesService.describePassage(passage)
           },
           message: 'Ticket validé avec succès'
         };
@@ -510,7 +687,7 @@ class TicketsService {
       // on peut essayer une validation locale en fallback
       if (error.code === 'VALIDATION_COMMUNICATION_ERROR' || error.code === 'VALIDATION_TIMEOUT') {
         console.log('Fallback vers validation locale pour le ticket', ticketId);
-        return this.validateTicketLocally(ticketId, userId, scanContext);
+        return this.processLocalValidation(ticketId, userId, scanContext, attempt);
       }
 
       return {
@@ -520,6 +697,74 @@ class TicketsService {
     }
   }
 
+  /**
+   * Journalise une tentative de scan et la publie sur le flux en direct des entrées
+   */
+  async recordScan(result, attempt, userId, scanContext) {
+    const log = await scanLogsService.recordAttempt(result, attempt, userId, scanContext);
+    const ticket = attempt.ticket || {};
+    const eventId = (log && log.event_id) || ticket.event_id || attempt.eventId;
+
+    if (result.success) {
+      const access = result.data ? result.data.access : null;
+      checkInStreamService.publishCheckIn(eventId, {
+        source: 'ticket',
+        ticket_id: ticket.id,
+        ticket_code: ticket.ticket_code,
+        ticket_type_id: ticket.ticket_type_id,
+        guest_id: ticket.guest_id,
+        direction: access ? access.direction : 'entry',
+        zone: access ? access.zone_code : null,
+        checkpoint_id: scanContext.checkpointId || null,
+        operator_id: userId
+      });
+    } else {
+      checkInStreamService.publishScanFailure(eventId, {
+        ticket_id: ticket.id || null,
+        ticket_code: ticket.ticket_code || attempt.ticketCode || null,
+        result: log ? log.result : scanLogsService.classify(result.code),
+        code: result.code || null,
+        reason: result.error,
+        checkpoint_id: scanContext.checkpointId || null,
+        operator_id: userId
+      });
+    }
+  }
+
+  /**
+   * Résultat d'un passage refusé (zone inconnue, accès interdit, ré-entrée)
+   */
+  formatAccessDenial(decision) {
+    return {
+      success: false,
+      error: decision.error,
+      code: decision.code,
+      details: decision.details
+    };
+  }
+
+  /**
+   * Enregistre la sortie d'une zone d'accès
+   */
+  async recordZoneExit(ticket, scanContext, userId) {
+    const passage = await accessZonesService.registerPassage(ticket, scanContext, userId);
+    if (!passage.allowed) {
+      return this.formatAccessDenial(passage);
+    }
+    return this.formatZoneExit(ticket, passage);
+  }
+
+  formatZoneExit(ticket, passage) {
+    return {
+      success: true,
+      data: {
+        ...ticket,
+        access: accessZonesService.describePassage(passage)
+      },
+      message: 'Zone exit recorded'
+    };
+  }
+
   /**
    * Validation locale en fallback si le service externe est indisponible
    * @param {string} ticketId - ID du ticket
@@ -528,6 +773,13 @@ class TicketsService {
    * @returns {Object} - Résultat de la validation locale
    */
   async validateTicketLocally(ticketId, userId, scanContext = {}) {
+    const attempt = { ticketId };
+    const result = await this.processLocalValidation(ticketId, userId, scanContext, attempt);
+    await this.recordScan(result, attempt, userId, scanContext);
+    return result;
+  }
+
+  async processLocalValidation(ticketId, userId, scanContext, attempt) {
     try {
       console.log(`Validation locale du ticket ${ticketId} (fallback)`);
 
@@ -536,7 +788,19 @@ class TicketsService {
       if (!ticket) {
         return {
           success: false,
-          error: 'Ticket not found'
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        };
+      }
+      attempt.ticket = ticket;
+
+      // Sans le service de validation, la signature du QR code scanné est vérifiée ici
+      const qrCheck = ticketQrService.verify(scanContext.qrCode, ticket);
+      if (!qrCheck.valid) {
+        return {
+          success: false,
+          error: qrCheck.error,
+          code: qrCheck.code
         };
       }
 
@@ -544,10 +808,19 @@ class TicketsService {
       if (ticket.status === 'used' || ticket.status === 'cancelled') {
         return {
           success: false,
-          error: `Ticket already ${ticket.status}`
+          error: `Ticket already ${ticket.status}`,
+          code: ticket.status === 'used' ? 'TICKET_ALREADY_USED' : 'TICKET_CANCELLED'
         };
       }
 
+      const passage = await accessZonesService.registerPassage(ticket, scanContext, userId);
+      if (!passage.allowed) {
+        return this.formatAccessDenial(passage);
+      }
+      if (passage.zone && passage.direction === 'exit') {
+        return this.formatZoneExit(ticket, passage);
+      }
+
       // Mettre à jour le ticket localement
       const updatedTicket = await ticketsRepository.update(ticketId, {
         is_validated: true,
@@ -565,7 +838,10 @@ class TicketsService {
 
       return {
         success: true,
-        data: updatedTicket,
+        data: {
+          ...updatedTicket,
+          access: accessZonesService.describePassage(passage)
+        },
         warning: 'Validated locally - scan validation service unavailable'
       };
 
@@ -578,16 +854,25 @@ class TicketsService {
     }
   }
 
-  async validateTicketByCode(ticketCode, userId) {
+  async validateTicketByCode(ticketCode, userId, scanContext = {}) {
+    const attempt = { ticketCode };
+    const result = await this.processCodeValidation(ticketCode, userId, scanContext, attempt);
+    await this.recordScan(result, attempt, userId, scanContext);
+    return result;
+  }
+
+  async processCodeValidation(ticketCode, userId, scanContext, attempt) {
     try {
       const ticket = await ticketsRepository.findByCode(ticketCode);
       
       if (!ticket) {
         return {
           success: false,
-          error: 'Ticket not found'
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
         };
       }
+      attempt.ticket = ticket;
 
       // Check if user owns the ticket or has admin permissions
       // L'utilisateur doit être l'organisateur de l'événement ou un admin
@@ -598,13 +883,14 @@ class TicketsService {
         };
       }
 
-      const validationResult = {
-        ticket_id: ticket.id,
-        qr_code: ticket.qr_code,
-        status: 'validated',
-        validated_at: new Date().toISOString(),
-        scanner: userId
-      };
+      // Zone d'accès et politique de ré-entrée (le passage est enregistré sous verrou)
+      const passage = await accessZonesService.registerPassage(ticket, scanContext, userId);
+      if (!passage.allowed) {
+        return this.formatAccessDenial(passage);
+      }
+      if (passage.zone && passage.direction === 'exit') {
+        return this.formatZoneExit(ticket, passage);
+      }
 
       const updatedTicket = await ticketsRepository.update(ticket.id, {
         is_validated: true,
@@ -622,7 +908,10 @@ class TicketsService {
 
       return {
         success: true,
-        data: updatedTicket
+        data: {
+          ...updatedTicket,
+          access: accessZonesService.describePassage(passage)
+        }
       };
     } catch (error) {
       console.error('Error validating ticket by code:', error);
@@ -642,6 +931,13 @@ class TicketsService {
    * @returns {Object} - Résultat de la validation
    */
   async validateTicketByQRCode(qrCode, userId, scanContext = {}, options = {}) {
+    const attempt = { eventId: scanContext.eventId };
+    const result = await this.processQRCodeValidation(qrCode, userId, scanContext, options, attempt);
+    await this.recordScan(result, attempt, userId, scanContext);
+    return result;
+  }
+
+  async processQRCodeValidation(qrCode, userId, scanContext, options, attempt) {
     try {
       console.log(`Validation QR code: ${qrCode.substring(0, 20)}... par utilisateur ${userId}`);
 
@@ -653,15 +949,29 @@ class TicketsService {
         return {
           success: false,
           error: 'Invalid QR code format',
+          code: decodeError.code || 'INVALID_QR_FORMAT',
           details: decodeError.message
         };
       }
+      attempt.ticketId = decodedQRData.ticketId || decodedQRData.ticket_id;
+
+      // Signature vérifiée avant tout accès au billet : un QR falsifié est rejeté d'emblée
+      const signatureCheck = ticketQrService.verify(qrCode);
+      if (!signatureCheck.valid) {
+        return {
+          success: false,
+          error: signatureCheck.error,
+          code: signatureCheck.code,
+          details: 'QR code signature verification failed'
+        };
+      }
 
       // ÉTAPE 2 : Vérifier que le QR code contient les informations requises
       if (!decodedQRData.ticketId && !decodedQRData.ticket_id) {
         return {
           success: false,
           error: 'QR code missing ticket identifier',
+          code: 'INVALID_QR_FORMAT',
           details: 'QR code must contain ticketId or ticket_id field'
         };
       }
@@ -675,16 +985,20 @@ class TicketsService {
         return {
           success: false,
           error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND',
           details: `Ticket with ID ${ticketId} not found in database`
         };
       }
+      attempt.ticket = ticket;
 
-      // ÉTAPE 4 : Vérifier que le QR code correspond au ticket
-      if (ticket.qr_code && ticket.qr_code !== qrCode) {
+      // ÉTAPE 4 : Vérifier que le QR code signé correspond au ticket et n'a pas été remplacé
+      const ticketCheck = ticketQrService.verify(qrCode, ticket);
+      if (!ticketCheck.valid) {
         return {
           success: false,
-          error: 'QR code mismatch',
-          details: 'Provided QR code does not match stored QR code'
+          error: ticketCheck.error,
+          code: ticketCheck.code,
+          details: 'QR code does not match the current signature of this ticket'
         };
       }
 
@@ -702,6 +1016,7 @@ class TicketsService {
         return {
           success: false,
           error: 'Ticket cancelled',
+          code: 'TICKET_CANCELLED',
           details: 'Cannot validate a cancelled ticket'
         };
       }
@@ -710,6 +1025,7 @@ class TicketsService {
         return {
           success: false,
           error: 'Ticket expired',
+          code: 'TICKET_EXPIRED',
           details: 'Ticket has expired and cannot be validated'
         };
       }
@@ -718,6 +1034,7 @@ class TicketsService {
         return {
           success: false,
           error: 'Ticket already used',
+          code: 'TICKET_ALREADY_USED',
           details: 'Ticket has already been used and cannot be validated again'
         };
       }
@@ -731,6 +1048,7 @@ class TicketsService {
           return {
             success: false,
             error: 'Event mismatch',
+            code: 'EVENT_MISMATCH',
             details: `QR code event (${eventId}) does not match scan context event (${scanContext.eventId})`
           };
         }
@@ -765,6 +1083,7 @@ class TicketsService {
         return {
           success: false,
           error: 'Fraud detected',
+          code: 'FRAUD_DETECTED',
           details: 'Ticket flagged for potential fraud',
           fraudFlags: validationResult.fraudFlags
         };
@@ -824,7 +1143,20 @@ class TicketsService {
    */
   decodeQRCode(qrCode) {
     try {
-      // Essayer de décoder en JSON (format le plus courant)
+      // Format signé : EPT1.<payload>.<signature> (signature vérifiée par ticketQrService)
+      if (isSignedPayload(qrCode)) {
+        const payload = decodeTicketPayload(qrCode);
+        return {
+          ticketId: payload.tid,
+          eventId: payload.eid,
+          ticketTypeId: payload.typ,
+          keyId: payload.kid,
+          issuedAt: new Date(payload.iat * 1000).toISOString(),
+          format: 'signed'
+        };
+      }
+
+      // Essayer de décoder en JSON (ancien format non signé)
       if (qrCode.startsWith('{') || qrCode.startsWith('[')) {
         return JSON.parse(qrCode);
       }
@@ -869,7 +1201,9 @@ class TicketsService {
       };
 
     } catch (error) {
-      throw new Error(`Failed to decode QR code: ${error.message}`);
+      const decodeError = new Error(`Failed to decode QR code: ${error.message}`);
+      decodeError.code = error.code;
+      throw decodeError;
     }
   }
 
@@ -924,10 +1258,15 @@ class TicketsService {
       }
 
       const createdTickets = await ticketsRepository.bulkCreate(tickets);
-      
+
+      const signedTickets = [];
+      for (const ticket of createdTickets) {
+        signedTickets.push(await ticketQrService.issue({ ...ticket, event_id }) || ticket);
+      }
+
       return {
         success: true,
-        data: createdTickets
+        data: signedTickets
       };
     } catch (error) {
       console.error('Error bulk generating tickets:', error);
@@ -1015,10 +1354,16 @@ class TicketsService {
   async getEventTicketStats(eventId, userId) {
     try {
       const stats = await ticketsRepository.getEventStats(eventId);
+      const promoCodes = await promoCodesService.getEventRedemptionStats(eventId);
+      const donations = await ticketsRepository.getEventDonationStats(eventId);
       
       return {
         success: true,
-        data: stats
+        data: {
+          ...stats,
+          promo_codes: promoCodes,
+          donations
+        }
       };
     } catch (error) {
       console.error('Error getting event ticket statistics:', error);
@@ -1108,6 +1453,7 @@ class TicketsService {
    */
   async sendEventReminderNotification(eventData, participants) {
     try {
+      const schedule = formatEventSchedule(eventData);
       const recipients = participants.map(p => ({
         to: p.email,
         data: {
@@ -1123,8 +1469,9 @@ class TicketsService {
         `Rappel : ${eventData.title} demain !`,
         {
           eventName: eventData.title,
-          eventDate: new Date(eventData.event_date).toLocaleDateString('fr-FR'),
-          eventTime: new Date(eventData.event_date).toLocaleTimeString('fr-FR'),
+          eventDate: schedule.date,
+          eventTime: schedule.time,
+          eventTimezone: schedule.timezone,
           eventLocation: eventData.location,
           organizerName: eventData.organizer_name
         },
@@ -34,7 +34,7 @@ function wrapController(controllerFn) {
  * 
  * Corps de la requête :
  * {
- *   "eventType": "payment.completed|payment.failed|payment.canceled",
+ *   "eventType": "payment.completed|payment.failed|payment.canceled|refund.succeeded|refund.failed",
  *   "paymentIntentId": "string",
  *   "status": "string",
  *   "timestamp": "ISO string",
@@ -48,15 +48,16 @@ function wrapController(controllerFn) {
  *     "error_message": "string|null",
  *     "template_id": "number|null",
  *     "event_id": "number|null",
- *     "ticket_ids": "array|null"
+ *     "ticket_ids": "array|null",
+ *     "refund_id": "string (refund.*)",
+ *     "refund_reference": "string (refund.*, ID du registre transmis à la demande)"
  *   }
  * }
  * 
  * Headers requis :
- * - X-Service-Name: payment-service
- * - X-Request-ID: string
- * - X-Timestamp: ISO string
- * - X-Webhook-Signature: HMAC-SHA256
+ * - X-Webhook-Id: string (identifiant de livraison, déduplication ; à défaut X-Request-ID)
+ * - X-Timestamp: secondes Unix ou ISO string (tolérance WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS)
+ * - X-Webhook-Signature: HMAC-SHA256 hex de "<X-Timestamp>.<corps brut>" avec PAYMENT_WEBHOOK_SECRET
  */
 router.post('/payment-webhook', wrapController(paymentWebhookController.receivePaymentWebhook));
 
@@ -42,11 +42,14 @@ router.use(scanValidationErrorHandler);
  * @param event_id - ID de l'événement
  * @query {
  *   page: number (défaut: 1),
- *   limit: number (défaut: 50),
+ *   limit: number (défaut: 50, max 200),
+ *   result: success | duplicate | forged | wrong_zone | out_of_window | rejected,
+ *   source: online | offline | service,
+ *   operator_id, device_id, checkpoint_id, zone_id, ticket_code,
  *   date_from: string (ISO date),
  *   date_to: string (ISO date)
  * }
- * @note Les données proviennent de la base locale event-planner-core
+ * @note Les données proviennent du journal local scan_logs (event-planner-core)
  */
 router.get('/events/:event_id/scan/history', SecurityMiddleware.withPermissions(['manage_events']), async (req, res) => {
   await getScanHistory(req, res, req.db);
@@ -61,10 +61,9 @@ function wrapController(controllerFn) {
  * }
  * 
  * Headers requis :
- * - X-Service-Name: ticket-generator-service
- * - X-Request-ID: string
- * - X-Timestamp: ISO string
- * - X-Webhook-Signature: HMAC-SHA256
+ * - X-Webhook-Id: string (identifiant de livraison, déduplication ; à défaut X-Request-ID)
+ * - X-Timestamp: secondes Unix ou ISO string (tolérance WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS)
+ * - X-Webhook-Signature: HMAC-SHA256 hex de "<X-Timestamp>.<corps brut>" avec TICKET_WEBHOOK_SECRET
  */
 router.post('/ticket-generation-webhook', wrapController(ticketWebhookController.receiveTicketGenerationWebhook));
 
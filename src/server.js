@@ -40,12 +40,18 @@ const guestsRoutes = require('./modules/guests/guests.routes');
 const ticketsRoutes = require('./modules/tickets/tickets.routes');
 const invitationsRoutes = require('./modules/invitations/invitations.routes');
 const marketplaceRoutes = require('./modules/marketplace/marketplace.routes');
+const refundsRoutes = require('./modules/refunds/refunds.routes');
+const currenciesRoutes = require('./modules/currencies/currencies.routes');
+const ordersRoutes = require('./modules/orders/orders.routes');
+const invoicesRoutes = require('./modules/invoices/invoices.routes');
+const payoutsRoutes = require('./modules/payouts/payouts.routes');
 const adminRoutes = require('./modules/admin/admin.routes');
 const ticketGenerationRoutes = require('./routes/ticket-generation-routes');
 
 // Import des routes webhook pour communication inter-services
 const paymentWebhookRoutes = require('./routes/payment-webhook.routes');
 const ticketWebhookRoutes = require('./routes/ticket-webhook.routes');
+const { captureRawBody } = require('./utils/webhook-signature');
 const scanValidationRoutes = require('./routes/scan-validation-routes'); // AJOUT: Routes de scan-validation
 
 // Service de communication Redis Queue pour la communication asynchrone
@@ -54,6 +60,11 @@ const eventQueueService = require('./core/queue/event-queue.service');
 // Service de génération de tickets (consommateur de résultats)
 const { startTicketGenerationResultConsumer } = require('./queues/ticket-generation-service');
 
+// Inventaire des billets (expiration des réservations)
+const ticketInventoryService = require('./modules/tickets/ticket-inventory.service');
+const paymentReconciliationService = require('./services/payment-reconciliation.service');
+const GuestImportService = require('./modules/guests/guest-import.service');
+
 // Import database migrator
 const migrator = require('./database/migrator');
 
@@ -117,7 +128,8 @@ app.use(limiter);
 app.use(sharedMiddlewares);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Corps brut conservé pour la vérification de signature des webhooks
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request ID middleware pour tracking
@@ -149,7 +161,7 @@ app.use(cors({
   origin: config.corsOrigin || ['http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Guest-Token']
 }));
 
 // Logging middleware
@@ -356,6 +368,11 @@ app.get('/api', (req, res) => {
       guests: '/api/guests',
       tickets: '/api/tickets',
       marketplace: '/api/marketplace',
+      refunds: '/api/refunds',
+      currencies: '/api/currencies',
+      orders: '/api/orders',
+      invoices: '/api/invoices',
+      payouts: '/api/payouts',
       admin: '/api/admin'
     },
     documentation: '/api/docs',
@@ -378,6 +395,11 @@ app.get('/api/info', (req, res) => {
       guests: '/api/guests',
       tickets: '/api/tickets',
       marketplace: '/api/marketplace',
+      refunds: '/api/refunds',
+      currencies: '/api/currencies',
+      orders: '/api/orders',
+      invoices: '/api/invoices',
+      payouts: '/api/payouts',
       admin: '/api/admin'
     },
     health: '/health'
@@ -390,6 +412,11 @@ app.use('/api/guests', guestsRoutes);
 app.use('/api/tickets', ticketsRoutes);
 app.use('/api/invitations', invitationsRoutes);
 app.use('/api/marketplace', marketplaceRoutes);
+app.use('/api/refunds', refundsRoutes);
+app.use('/api/currencies', currenciesRoutes);
+app.use('/api/orders', ordersRoutes);
+app.use('/api/invoices', invoicesRoutes);
+app.use('/api/payouts', payoutsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/v1', ticketGenerationRoutes);
 
@@ -412,6 +439,8 @@ app.use(errorHandlerMiddleware);
 const gracefulShutdown = async (signal) => {
   console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
   
+  paymentReconciliationService.stop();
+  
   try {
     // Arrêt du service Redis Queue
     await eventQueueService.shutdown();
@@ -478,10 +507,26 @@ async function startServer() {
     // Initialisation du service Redis Queue pour la communication asynchrone
     await eventQueueService.initialize();
     
+    // Reprise des imports d'invités interrompus par un arrêt du serveur
+    const resumedImports = await new GuestImportService().resumeUnfinishedImports();
+    if (resumedImports > 0) {
+      console.log(`📥 ${resumedImports} guest import(s) resumed`);
+    }
+    
     // Démarrage du consommateur de résultats de génération de tickets
     startTicketGenerationResultConsumer();
     console.log('🎫 Ticket generation result consumer started');
     
+    // Libération périodique des réservations de billets expirées
+    ticketInventoryService.startExpirySweeper();
+    console.log('⏱️ Ticket hold expiry sweeper started');
+    
+    // Réconciliation des paiements restés en attente (webhook perdu)
+    if (process.env.PAYMENT_RECONCILIATION_ENABLED !== 'false') {
+      paymentReconciliationService.start();
+      console.log('🔄 Payment reconciliation worker started');
+    }
+    
     console.log('🚀 Starting Event Planner Core server...');
     
     const PORT = config.port || 3001;
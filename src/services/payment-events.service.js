@@ -0,0 +1,269 @@
+/**
+ * Application des changements de statut des paiements
+ * Partagée par les webhooks du Payment Service et la réconciliation des
+ * paiements restés en attente : dans la transaction de l'appelant, le paiement
+ * est verrouillé puis mis à jour avec ses effets (achat de template, billets,
+ * codes promo, commande, registre des revenus, remboursement). La génération
+ * des billets et le reçu de l'acheteur sont lancés après la validation de la
+ * transaction (afterCommit).
+ */
+
+const ticketInventoryService = require('../modules/tickets/ticket-inventory.service');
+const refundsService = require('../modules/refunds/refunds.service');
+const promoCodesService = require('../modules/tickets/promo-codes.service');
+const ordersService = require('../modules/orders/orders.service');
+const invoicesService = require('../modules/invoices/invoices.service');
+const payoutsService = require('../modules/payouts/payouts.service');
+
+// Statut cible de chaque type d'événement
+const STATUS_BY_EVENT_TYPE = {
+  'payment.completed': 'completed',
+  'payment.failed': 'failed',
+  'payment.canceled': 'cancelled',
+  'payment.cancelled': 'cancelled',
+  'payment.expired': 'expired'
+};
+
+// Rapprochement des remboursements avec le registre (refunds)
+const REFUND_STATUS_BY_EVENT_TYPE = {
+  'refund.succeeded': 'succeeded',
+  'refund.completed': 'succeeded',
+  'payment.refunded': 'succeeded',
+  'refund.failed': 'failed'
+};
+
+// Un paiement ne change de statut que tant qu'il n'est pas finalisé
+const TRANSITIONABLE_STATUSES = ['pending', 'processing'];
+
+class PaymentEventsService {
+  /**
+   * Applique un webhook dans la transaction de la boîte de réception
+   * @returns {Promise<Object>} { outcome: 'applied' | 'ignored', reason? }
+   */
+  async applyPaymentEvent(client, body, webhookId) {
+    const refundStatus = REFUND_STATUS_BY_EVENT_TYPE[body.eventType];
+    if (refundStatus) {
+      const refundData = { ...(body.data || {}) };
+      refundData.payment_service_id = refundData.payment_service_id || body.paymentIntentId;
+      return refundsService.applyRefundWebhook(client, refundStatus, refundData, webhookId);
+    }
+
+    const targetStatus = STATUS_BY_EVENT_TYPE[body.eventType];
+    if (!targetStatus) {
+      console.warn(`[PAYMENT_EVENTS] Type d'événement non géré: ${body.eventType}`);
+      return { outcome: 'ignored', reason: 'unsupported_event_type' };
+    }
+
+    const data = { ...(body.data || {}) };
+    data.payment_service_id = data.payment_service_id || body.paymentIntentId;
+
+    return this.applyPaymentStatus(client, targetStatus, data, webhookId);
+  }
+
+  /**
+   * Fait passer un paiement en attente à son statut final
+   * @param {string} status - completed | failed | cancelled | expired
+   * @param {Object} data - { payment_service_id, completed_at?, error_message?, template_id?, user_id? }
+   * @param {number|null} webhookId - Livraison à l'origine du changement (null hors webhook)
+   */
+  async applyPaymentStatus(client, status, data, webhookId = null) {
+    if (status === 'completed') {
+      return this.handlePaymentCompleted(client, data, webhookId);
+    }
+    if (status === 'failed') {
+      return this.handlePaymentFailed(client, data, webhookId);
+    }
+    return this.handlePaymentCanceled(client, data, webhookId, status);
+  }
+
+  /**
+   * Effets lancés une fois la transaction validée
+   * @param {Object|null} result - Résultat de applyPaymentEvent / applyPaymentStatus
+   */
+  async afterCommit(result) {
+    // Billets d'une commande honorée : génération mise en file une fois la transaction validée
+    if (result && result.order_fulfilment) {
+      await ordersService.queueTicketGeneration(result.order_fulfilment);
+    }
+
+    // Reçu de l'acheteur rendu en arrière-plan, sans retarder la réponse
+    if (result && result.receipt_payment_id) {
+      invoicesService.issueReceiptInBackground(result.receipt_payment_id);
+    }
+  }
+
+  /**
+   * Paiement local verrouillé jusqu'à la fin de la transaction
+   */
+  async lockPayment(client, paymentServiceId) {
+    const query = `
+      SELECT * FROM payments
+      WHERE payment_service_id = $1 OR payment_intent_id = $1
+      ORDER BY id ASC
+      LIMIT 1
+      FOR UPDATE
+    `;
+
+    const result = await client.query(query, [paymentServiceId]);
+    return result.rows[0] || null;
+  }
+
+  async handlePaymentCompleted(client, data, webhookId) {
+    const payment = await this.lockPayment(client, data.payment_service_id);
+
+    if (payment && !TRANSITIONABLE_STATUSES.includes(payment.status)) {
+      console.warn(`[PAYMENT_EVENTS] Paiement ${payment.payment_intent_id} déjà ${payment.status}, completed ignoré`);
+      return { outcome: 'ignored', reason: `payment_${payment.status}` };
+    }
+
+    if (!payment && !data.template_id) {
+      console.warn(`[PAYMENT_EVENTS] Paiement inconnu: ${data.payment_service_id}`);
+      return { outcome: 'ignored', reason: 'payment_not_found' };
+    }
+
+    let orderFulfilment = null;
+    let ticketsIssued = 0;
+
+    if (payment) {
+      const updatePaymentQuery = `
+        UPDATE payments
+        SET status = 'completed', completed_at = COALESCE($2, CURRENT_TIMESTAMP),
+            updated_at = CURRENT_TIMESTAMP, webhook_id = COALESCE($1, webhook_id)
+        WHERE id = $3
+      `;
+
+      await client.query(updatePaymentQuery, [webhookId, data.completed_at || null, payment.id]);
+
+      // Commande : un billet par participant ; ses réservations sont alors déjà converties
+      orderFulfilment = await ordersService.fulfilPaidOrder(payment, client);
+
+      // Émission des billets réservés pendant le paiement
+      const issuedTickets = await ticketInventoryService.convertHolds(payment.payment_intent_id, client);
+      if (issuedTickets.length > 0) {
+        console.log(`[PAYMENT_EVENTS] ${issuedTickets.length} billet(s) émis pour ${payment.payment_intent_id}`);
+      }
+      ticketsIssued = issuedTickets.length + (orderFulfilment ? orderFulfilment.tickets.length : 0);
+
+      // Réservations non honorées (places reprises) : ni remise ni gains pour elles,
+      // leur part du paiement est à rembourser
+      const unfulfilled = await ticketInventoryService.getUnfulfilledShare(payment.payment_intent_id, client);
+      await promoCodesService.confirmRedemptions(
+        payment.payment_intent_id,
+        client,
+        unfulfilled.holds.length > 0 ? unfulfilled.discounted_ticket_type_ids : null
+      );
+
+      // Commission de la plateforme et net de l'organisateur (un template est réparti plus bas)
+      if (!data.template_id) {
+        const earnedAmount = Math.round((parseFloat(payment.amount) - unfulfilled.amount) * 100) / 100;
+        await payoutsService.recordPaymentEarnings({ ...payment, amount: earnedAmount }, client);
+      }
+    }
+
+    // Si c'est un achat de template, donner accès au template
+    if (data.template_id) {
+      const metadata = (payment && payment.metadata) || {};
+      const userId = data.user_id || metadata.user_id || (payment && payment.organizer_id);
+
+      if (!userId) {
+        throw new Error(`user_id manquant pour l'achat du template ${data.template_id}`);
+      }
+
+      const updateTemplateAccessQuery = `
+        INSERT INTO user_template_purchases (user_id, template_id, purchase_date, payment_id, webhook_id)
+        VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4)
+        ON CONFLICT (user_id, template_id) DO UPDATE SET
+          purchase_date = CURRENT_TIMESTAMP,
+          payment_id = COALESCE(EXCLUDED.payment_id, user_template_purchases.payment_id),
+          webhook_id = COALESCE(EXCLUDED.webhook_id, user_template_purchases.webhook_id),
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      await client.query(updateTemplateAccessQuery, [userId, data.template_id, payment ? payment.id : null, webhookId]);
+      console.log(`[PAYMENT_EVENTS] Template access mis à jour pour template_id: ${data.template_id}`);
+
+      // Part du designer et de la plateforme, rattachée au paiement local
+      if (payment) {
+        await payoutsService.recordTemplateEarnings({
+          template_id: data.template_id,
+          amount: payment.amount,
+          currency: payment.currency,
+          payment_id: payment.id
+        }, client);
+      }
+    }
+
+    console.log(`[PAYMENT_EVENTS] Payment completed traité pour payment_service_id: ${data.payment_service_id}`);
+    return {
+      outcome: 'applied',
+      payment_id: payment ? payment.id : null,
+      order_fulfilment: orderFulfilment,
+      receipt_payment_id: payment ? payment.id : null,
+      tickets_issued: ticketsIssued
+    };
+  }
+
+  async handlePaymentFailed(client, data, webhookId) {
+    const payment = await this.lockPayment(client, data.payment_service_id);
+
+    if (!payment) {
+      console.warn(`[PAYMENT_EVENTS] Paiement inconnu: ${data.payment_service_id}`);
+      return { outcome: 'ignored', reason: 'payment_not_found' };
+    }
+    if (!TRANSITIONABLE_STATUSES.includes(payment.status)) {
+      console.warn(`[PAYMENT_EVENTS] Paiement ${payment.payment_intent_id} déjà ${payment.status}, failed ignoré`);
+      return { outcome: 'ignored', reason: `payment_${payment.status}` };
+    }
+
+    const updatePaymentQuery = `
+      UPDATE payments
+      SET status = 'failed', failed_at = CURRENT_TIMESTAMP,
+          error_message = $1, updated_at = CURRENT_TIMESTAMP, webhook_id = COALESCE($2, webhook_id)
+      WHERE id = $3
+    `;
+
+    await client.query(updatePaymentQuery, [
+      data.error_message || 'Payment failed',
+      webhookId,
+      payment.id
+    ]);
+
+    // Les billets réservés et les codes promo redeviennent disponibles
+    await ticketInventoryService.releaseHolds(payment.payment_intent_id, 'payment_failed', client);
+    await promoCodesService.cancelRedemptions(payment.payment_intent_id, client);
+    await ordersService.closeUnpaidOrder(payment, 'failed', client);
+
+    console.log(`[PAYMENT_EVENTS] Payment failed traité pour payment_service_id: ${data.payment_service_id}`);
+    return { outcome: 'applied', payment_id: payment.id };
+  }
+
+  async handlePaymentCanceled(client, data, webhookId, status = 'cancelled') {
+    const payment = await this.lockPayment(client, data.payment_service_id);
+
+    if (!payment) {
+      console.warn(`[PAYMENT_EVENTS] Paiement inconnu: ${data.payment_service_id}`);
+      return { outcome: 'ignored', reason: 'payment_not_found' };
+    }
+    if (!TRANSITIONABLE_STATUSES.includes(payment.status)) {
+      console.warn(`[PAYMENT_EVENTS] Paiement ${payment.payment_intent_id} déjà ${payment.status}, ${status} ignoré`);
+      return { outcome: 'ignored', reason: `payment_${payment.status}` };
+    }
+
+    const updatePaymentQuery = `
+      UPDATE payments
+      SET status = $1, canceled_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP, webhook_id = COALESCE($2, webhook_id)
+      WHERE id = $3
+    `;
+
+    await client.query(updatePaymentQuery, [status, webhookId, payment.id]);
+    await ticketInventoryService.releaseHolds(payment.payment_intent_id, `payment_${status}`, client);
+    await promoCodesService.cancelRedemptions(payment.payment_intent_id, client);
+    await ordersService.closeUnpaidOrder(payment, status, client);
+
+    console.log(`[PAYMENT_EVENTS] Payment ${status} traité pour payment_service_id: ${data.payment_service_id}`);
+    return { outcome: 'applied', payment_id: payment.id };
+  }
+}
+
+module.exports = new PaymentEventsService();
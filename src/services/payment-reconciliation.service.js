@@ -0,0 +1,351 @@
+/**
+ * Réconciliation des paiements restés en attente
+ * Un paiement créé par initiatePayment reste pending tant que son webhook
+ * n'est pas reçu. Le worker reprend périodiquement les paiements pending ou
+ * processing trop anciens, interroge le Payment Service sur leur état réel et
+ * applique la transition comme l'aurait fait le webhook (billets émis ou
+ * réservations libérées, commande, registre des revenus). Chaque correction
+ * est journalisée dans audit_logs, ainsi que le bilan de chaque passage.
+ */
+
+const crypto = require('crypto');
+const { database } = require('../config');
+const paymentClient = require('../config/clients/payment-client');
+const paymentEventsService = require('./payment-events.service');
+
+// Intervalle entre deux passages (10 minutes par défaut)
+const RECONCILIATION_INTERVAL_MS = parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MS) || 600000;
+
+// Âge à partir duquel un paiement en attente est vérifié, et délai entre deux vérifications
+const STALE_AFTER_MINUTES = parseInt(process.env.PAYMENT_RECONCILIATION_STALE_MINUTES) || 30;
+
+// Paiements vérifiés par passage
+const BATCH_SIZE = parseInt(process.env.PAYMENT_RECONCILIATION_BATCH_SIZE) || 50;
+
+// Statut local correspondant au statut renvoyé par le Payment Service
+const LOCAL_STATUS_BY_REMOTE_STATUS = {
+  completed: 'completed',
+  succeeded: 'completed',
+  paid: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled',
+  canceled: 'cancelled',
+  expired: 'expired'
+};
+
+// Paiement toujours en cours chez le Payment Service : rien à corriger
+const REMOTE_PENDING_STATUSES = ['pending', 'processing', 'requires_action', 'requires_payment_method'];
+
+const AUDIT_ACTIONS = {
+  corrected: 'payment.reconciled',
+  run: 'payment.reconciliation.run'
+};
+
+class PaymentReconciliationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Démarre la réconciliation périodique
+   */
+  start(intervalMs = RECONCILIATION_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      try {
+        const run = await this.run();
+        if (run && run.corrected.length > 0) {
+          console.log(`[PAYMENT_RECONCILIATION] ${run.corrected.length} paiement(s) corrigé(s) sur ${run.checked}`);
+        }
+      } catch (error) {
+        console.error('[PAYMENT_RECONCILIATION] Erreur réconciliation:', error.message);
+      }
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Vérifie un lot de paiements en attente
+   * @param {Object} options - { triggeredBy?: ID de l'administrateur, limit? }
+   * @returns {Promise<Object|null>} Bilan du passage, null si un passage est déjà en cours
+   */
+  async run(options = {}) {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const summary = {
+      run_id: crypto.randomUUID(),
+      triggered_by: options.triggeredBy || null,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      checked: 0,
+      corrected: [],
+      unchanged: 0,
+      unresolved: [],
+      errors: []
+    };
+
+    try {
+      const payments = await this.findStalePayments(options.limit || BATCH_SIZE);
+
+      for (const payment of payments) {
+        summary.checked += 1;
+        try {
+          const outcome = await this.reconcilePayment(payment, summary);
+          if (outcome.corrected) {
+            summary.corrected.push(outcome.corrected);
+          } else if (outcome.unresolved) {
+            summary.unresolved.push(outcome.unresolved);
+          } else {
+            summary.unchanged += 1;
+          }
+        } catch (error) {
+          console.error(`[PAYMENT_RECONCILIATION] Paiement ${payment.payment_intent_id}:`, error.message);
+          summary.errors.push({ payment_id: payment.id, error: error.message });
+        }
+      }
+
+      summary.finished_at = new Date().toISOString();
+      if (summary.checked > 0) {
+        await this.audit(database, {
+          action: AUDIT_ACTIONS.run,
+          resourceType: 'payment_reconciliation',
+          resourceId: summary.run_id,
+          userId: summary.triggered_by,
+          details: summary
+        });
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Compare un paiement à son état chez le Payment Service et applique la transition
+   * @returns {Promise<Object>} { corrected? } | { unresolved? } | {}
+   */
+  async reconcilePayment(payment, run) {
+    let targetStatus;
+    let remoteStatus = null;
+    let errorMessage = null;
+    let completedAt = null;
+
+    if (!payment.payment_service_id) {
+      // L'initialisation a échoué après l'enregistrement local : le paiement n'existe pas côté service
+      targetStatus = 'failed';
+      errorMessage = 'Payment was never registered with the payment service';
+    } else {
+      const details = await paymentClient.getPaymentDetails(payment.payment_service_id);
+      if (!details.success) {
+        const reason = typeof details.error === 'string' ? details.error : JSON.stringify(details.error);
+        throw new Error(`Payment service lookup failed: ${reason}`);
+      }
+
+      const remote = (details.data && details.data.data) || details.data || {};
+      remoteStatus = remote.status ? String(remote.status).toLowerCase() : null;
+      targetStatus = LOCAL_STATUS_BY_REMOTE_STATUS[remoteStatus];
+      errorMessage = remote.error_message || remote.failure_reason || null;
+      completedAt = remote.completed_at || null;
+
+      if (!targetStatus) {
+        await this.markChecked(payment.id);
+        return REMOTE_PENDING_STATUSES.includes(remoteStatus)
+          ? {}
+          : { unresolved: { payment_id: payment.id, remote_status: remoteStatus } };
+      }
+    }
+
+    const metadata = payment.metadata || {};
+    const result = await database.transaction(async (client) => {
+      const applied = await paymentEventsService.applyPaymentStatus(client, targetStatus, {
+        payment_service_id: payment.payment_intent_id,
+        completed_at: completedAt,
+        error_message: errorMessage || undefined,
+        template_id: metadata.template_id,
+        user_id: metadata.user_id
+      }, null);
+
+      await this.markChecked(payment.id, client);
+
+      // Un webhook a pu finaliser le paiement entre-temps
+      if (applied.outcome !== 'applied') {
+        return { applied };
+      }
+
+      const correction = {
+        payment_id: payment.id,
+        payment_intent_id: payment.payment_intent_id,
+        payment_service_id: payment.payment_service_id,
+        previous_status: payment.status,
+        status: targetStatus,
+        remote_status: remoteStatus,
+        error_message: errorMessage,
+        run_id: run.run_id
+      };
+      await this.audit(client, {
+        action: AUDIT_ACTIONS.corrected,
+        resourceType: 'payment',
+        resourceId: payment.id,
+        userId: run.triggered_by,
+        details: correction
+      });
+
+      return { applied, correction };
+    });
+
+    await paymentEventsService.afterCommit(result.applied);
+
+    if (result.correction) {
+      console.log(`[PAYMENT_RECONCILIATION] Paiement ${payment.payment_intent_id}: ${payment.status} → ${targetStatus}`);
+    }
+    return { corrected: result.correction };
+  }
+
+  /**
+   * Paiements pending ou processing plus anciens que le seuil, non vérifiés depuis
+   */
+  async findStalePayments(limit) {
+    const query = `
+      SELECT * FROM payments
+      WHERE status IN ('pending', 'processing')
+        AND created_at < NOW() - ($1 * INTERVAL '1 minute')
+        AND (last_reconciled_at IS NULL OR last_reconciled_at < NOW() - ($1 * INTERVAL '1 minute'))
+      ORDER BY last_reconciled_at ASC NULLS FIRST, created_at ASC
+      LIMIT $2
+    `;
+
+    const result = await database.query(query, [STALE_AFTER_MINUTES, limit]);
+    return result.rows;
+  }
+
+  async markChecked(paymentId, client = database) {
+    await client.query(
+      `UPDATE payments
+       SET last_reconciled_at = NOW(), reconciliation_attempts = reconciliation_attempts + 1
+       WHERE id = $1`,
+      [paymentId]
+    );
+  }
+
+  async audit(client, entry) {
+    const query = `
+      INSERT INTO audit_logs (action, resource_type, resource_id, user_id, details)
+      VALUES ($1, $2, $3, $4, $5)
+    `;
+
+    await client.query(query, [
+      entry.action,
+      entry.resourceType,
+      entry.resourceId !== null && entry.resourceId !== undefined ? String(entry.resourceId) : null,
+      entry.userId || null,
+      JSON.stringify(entry.details || {})
+    ]);
+  }
+
+  /**
+   * Rapport des corrections (?start_date=&end_date=&status=&page=&limit=) :
+   * totaux par statut appliqué, paiements encore en attente, derniers passages
+   */
+  async getReport(options = {}) {
+    const { start_date, end_date, status, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [AUDIT_ACTIONS.corrected];
+    let where = 'WHERE action = $1';
+    if (start_date) {
+      values.push(start_date);
+      where += ` AND created_at >= $${values.length}`;
+    }
+    if (end_date) {
+      values.push(end_date);
+      where += ` AND created_at <= $${values.length}`;
+    }
+    const summaryValues = [...values];
+    const summaryWhere = where;
+    if (status) {
+      values.push(status);
+      where += ` AND details->>'status' = $${values.length}`;
+    }
+
+    const [corrections, count, summary, runs, pending] = await Promise.all([
+      database.query(`
+        SELECT id, resource_id AS payment_id, user_id, details, created_at
+        FROM audit_logs
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      database.query(`SELECT COUNT(*) AS total FROM audit_logs ${where}`, values),
+      database.query(`
+        SELECT details->>'status' AS status, COUNT(*)::int AS count
+        FROM audit_logs
+        ${summaryWhere}
+        GROUP BY details->>'status'
+        ORDER BY count DESC
+      `, summaryValues),
+      database.query(`
+        SELECT details, created_at
+        FROM audit_logs
+        WHERE action = $1
+        ORDER BY created_at DESC
+        LIMIT 10
+      `, [AUDIT_ACTIONS.run]),
+      database.query(`
+        SELECT
+          COUNT(*)::int AS pending_payments,
+          COUNT(*) FILTER (WHERE created_at < NOW() - ($1 * INTERVAL '1 minute'))::int AS stale_payments,
+          MIN(created_at) AS oldest_pending_at
+        FROM payments
+        WHERE status IN ('pending', 'processing')
+      `, [STALE_AFTER_MINUTES])
+    ]);
+    const total = parseInt(count.rows[0].total);
+
+    return {
+      summary: {
+        corrections_by_status: summary.rows,
+        ...pending.rows[0],
+        stale_after_minutes: STALE_AFTER_MINUTES,
+        worker_running: !!this.timer
+      },
+      recent_runs: runs.rows.map(row => {
+        const { run_id, triggered_by, started_at, finished_at, checked, corrected, unchanged, unresolved, errors } = row.details;
+        return {
+          run_id,
+          triggered_by,
+          started_at,
+          finished_at,
+          checked,
+          corrected: (corrected || []).length,
+          unchanged,
+          unresolved: (unresolved || []).length,
+          errors: (errors || []).length
+        };
+      }),
+      corrections: corrections.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new PaymentReconciliationService();
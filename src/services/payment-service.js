@@ -11,19 +11,51 @@
  */
 
 const axios = require('axios');
+const { database } = require('../config');
+const ticketInventoryService = require('../modules/tickets/ticket-inventory.service');
+const promoCodesService = require('../modules/tickets/promo-codes.service');
+const ticketPricingService = require('../modules/tickets/ticket-pricing.service');
+const { isValidCurrency, normalizeCurrency } = require('../utils/currency');
 
 // Configuration du service de paiement
 const PAYMENT_SERVICE_URL = process.env.PAYMENT_SERVICE_URL || 'http://localhost:3003';
 const PAYMENT_TIMEOUT = parseInt(process.env.PAYMENT_TIMEOUT_MS) || 10000; // 10 secondes max
 
+// Statuts de paiement qui libèrent les billets réservés
+const RELEASING_STATUSES = ['failed', 'cancelled', 'canceled', 'expired'];
+
+// Moyen de paiement des commandes gratuites (remise de 100 %)
+const FREE_PAYMENT_METHOD = 'free';
+
+// Chargé à l'usage : le module des commandes dépend lui-même de ce service
+function getOrdersService() {
+  return require('../modules/orders/orders.service');
+}
+
+// De même pour les événements de paiement, qui dépendent du module des commandes
+function getPaymentEventsService() {
+  return require('./payment-events.service');
+}
+
 /**
  * Initialise un paiement pour un événement
+ * Si paymentData.tickets est fourni ([{ ticket_type_id, quantity }]), les billets
+ * sont réservés pour la durée du paiement puis émis au succès du paiement.
+ * Avec paymentData.promo_codes, le montant est calculé à partir des lignes
+ * (unit_price × quantity) diminuées des remises, et les utilisations des codes
+ * sont enregistrées avec le paiement. Si les remises ramènent le total à zéro,
+ * la commande est gratuite : confirmée et émise sans appel au service de paiement.
+ * Avec paymentData.hold_ids (commande déjà réservée), les réservations existantes
+ * sont rattachées au paiement au lieu d'en créer de nouvelles, de même que les
+ * utilisations de codes promo de paymentData.promo_redemption_ids.
  * @param {Object} paymentData - Données du paiement
  * @param {Object} db - Instance de base de données
  * @returns {Promise<Object>} Résultat de l'initialisation
  */
 async function initiatePayment(paymentData, db) {
   const startTime = Date.now();
+  let reservation = null;
+  let pricing = null;
   
   try {
     // Validation des données obligatoires
@@ -31,7 +63,59 @@ async function initiatePayment(paymentData, db) {
       throw new Error('event_id est obligatoire');
     }
     
-    if (!paymentData.amount || paymentData.amount <= 0) {
+    // Prix des billets : prix courant des types (palier actif), pas celui envoyé par le client
+    if (Array.isArray(paymentData.tickets) && paymentData.tickets.length > 0) {
+      const lines = await ticketPricingService.priceItems(paymentData.tickets);
+      const currencies = new Set(lines.filter(line => line.currency).map(line => line.currency));
+      if (currencies.size > 1) {
+        throw new Error('Les types de billets doivent partager la même devise');
+      }
+      const [linesCurrency] = currencies;
+      if (linesCurrency && paymentData.currency && paymentData.currency.toUpperCase() !== linesCurrency) {
+        throw new Error(`currency doit être ${linesCurrency} pour ces billets`);
+      }
+      
+      // Montant calculé à partir des lignes, jamais repris du client : prix courant
+      // des types, ou unit_price fourni pour un type sans prix géré
+      const unpriced = lines.filter(line => !(parseFloat(line.unit_price) >= 0));
+      if (unpriced.length > 0) {
+        throw new Error(`unit_price est obligatoire pour les types de billets sans prix (${unpriced.map(line => line.ticket_type_id).join(', ')})`);
+      }
+      const pricedLines = lines.map(line => ({ ...line, unit_price: parseFloat(line.unit_price) }));
+      
+      paymentData = { ...paymentData, currency: paymentData.currency || linesCurrency, tickets: pricedLines };
+      const subtotal = pricedLines.reduce((total, line) => total + line.unit_price * line.quantity, 0);
+      paymentData.amount = Math.round(subtotal * 100) / 100;
+      paymentData.subtotal_amount = paymentData.amount;
+    }
+    
+    // Codes promo : le montant est construit à partir des lignes de billets
+    const promoCodes = promoCodesService.normalizeCodes(paymentData.promo_codes || paymentData.promo_code);
+    if (promoCodes.length > 0) {
+      if (!Array.isArray(paymentData.tickets) || paymentData.tickets.length === 0) {
+        throw new Error('tickets est obligatoire pour utiliser un code promo');
+      }
+      
+      pricing = await promoCodesService.priceOrder(paymentData.event_id, paymentData.tickets, promoCodes, {
+        email: paymentData.customer_info && paymentData.customer_info.email,
+        currency: paymentData.currency,
+        redeem: true
+      });
+      
+      paymentData = {
+        ...paymentData,
+        amount: pricing.total,
+        subtotal_amount: pricing.subtotal,
+        discount_amount: pricing.discount_amount,
+        tickets: pricing.lines
+      };
+    }
+    
+    // Remise totale : commande gratuite, émise sans passer par le service de paiement
+    const isFreeOrder = pricing !== null && pricing.total === 0;
+    if (isFreeOrder) {
+      paymentData = { ...paymentData, payment_method: FREE_PAYMENT_METHOD };
+    } else if (!paymentData.amount || paymentData.amount <= 0) {
       throw new Error('amount doit être positif');
     }
     
@@ -39,15 +123,60 @@ async function initiatePayment(paymentData, db) {
       throw new Error('currency est obligatoire');
     }
     
+    if (!isValidCurrency(paymentData.currency)) {
+      throw new Error('currency doit être un code ISO 4217 (ex: EUR, XOF)');
+    }
+    paymentData = { ...paymentData, currency: normalizeCurrency(paymentData.currency) };
+    
     if (!paymentData.payment_method) {
       throw new Error('payment_method est obligatoire (stripe/paypal)');
     }
     
     console.log(`[PAYMENT_SERVICE] Initialisation paiement pour événement ${paymentData.event_id}`);
     
+    // Réservation des billets pendant le paiement (TTL), avant toute écriture du paiement
+    if (Array.isArray(paymentData.tickets) && paymentData.tickets.length > 0) {
+      if (!paymentData.customer_info || !paymentData.customer_info.email) {
+        throw new Error('customer_info.email est obligatoire pour l\'achat de billets');
+      }
+      
+      reservation = await ticketInventoryService.reserve(paymentData.tickets, {
+        eventId: paymentData.event_id,
+        buyerInfo: paymentData.customer_info,
+        currency: paymentData.currency,
+        userId: paymentData.organizer_id
+      });
+    }
+    
     // Persistance en base de données locale
     const paymentRecord = await persistPaymentRecord(paymentData, db);
     
+    if (reservation) {
+      await ticketInventoryService.attachPayment(
+        reservation.holds.map(hold => hold.id),
+        paymentRecord.payment_intent_id
+      );
+    }
+    
+    // Places déjà réservées par une commande (orders) : rattachées au paiement
+    if (Array.isArray(paymentData.hold_ids) && paymentData.hold_ids.length > 0) {
+      await ticketInventoryService.attachPayment(paymentData.hold_ids, paymentRecord.payment_intent_id);
+    }
+    
+    if (pricing && pricing.redemption_ids.length > 0) {
+      await promoCodesService.attachPayment(pricing.redemption_ids, paymentRecord.payment_intent_id);
+    }
+    
+    // Codes promo déjà appliqués à la réservation de la commande : rattachés au paiement
+    if (Array.isArray(paymentData.promo_redemption_ids) && paymentData.promo_redemption_ids.length > 0) {
+      await promoCodesService.attachPayment(paymentData.promo_redemption_ids, paymentRecord.payment_intent_id);
+    }
+    
+    // Attendu ici : un échec rend les places et les codes promo (catch)
+    if (isFreeOrder) {
+      return await completeFreeOrder(paymentRecord, paymentData, pricing, startTime);
+    }
+    
     // Préparation du payload pour le service de paiement
     const paymentPayload = {
       payment_intent_id: paymentRecord.payment_intent_id,
@@ -62,7 +191,11 @@ async function initiatePayment(paymentData, db) {
         organizer_name: paymentData.organizer_name,
         description: paymentData.description || `Paiement pour ${paymentData.event_title}`,
         return_url: paymentData.return_url,
-        cancel_url: paymentData.cancel_url
+        cancel_url: paymentData.cancel_url,
+        subtotal_amount: pricing ? pricing.subtotal : undefined,
+        discount_amount: pricing ? pricing.discount_amount : undefined,
+        promo_codes: pricing ? pricing.promo_codes.map(promoCode => promoCode.code) : undefined,
+        order_id: paymentData.metadata ? paymentData.metadata.order_id : undefined
       }
     };
     
@@ -85,7 +218,15 @@ async function initiatePayment(paymentData, db) {
       payment_method: paymentData.payment_method,
       amount: paymentData.amount,
       currency: paymentData.currency,
+      subtotal_amount: pricing ? pricing.subtotal : paymentData.amount,
+      discount_amount: pricing ? pricing.discount_amount : 0,
+      promo_codes: pricing ? pricing.promo_codes : [],
       status: 'pending',
+      tickets_hold: reservation ? {
+        hold_ids: reservation.holds.map(hold => hold.id),
+        quantity: reservation.holds.reduce((total, hold) => total + hold.quantity, 0),
+        expires_at: reservation.expires_at
+      } : null,
       processing_time_ms: processingTime
     };
     
@@ -93,6 +234,46 @@ async function initiatePayment(paymentData, db) {
     const processingTime = Date.now() - startTime;
     console.error('[PAYMENT_SERVICE] Erreur initialisation paiement:', error.message);
     
+    // Les places réservées sont rendues si le paiement n'a pas pu être initialisé
+    if (reservation) {
+      try {
+        await ticketInventoryService.releaseHoldIds(
+          reservation.holds.map(hold => hold.id),
+          'payment_init_failed'
+        );
+      } catch (releaseError) {
+        console.error('[PAYMENT_SERVICE] Erreur libération des réservations:', releaseError.message);
+      }
+    }
+    
+    // Les utilisations des codes promo sont rendues de même
+    if (pricing && pricing.redemption_ids.length > 0) {
+      try {
+        await promoCodesService.cancelRedemptionIds(pricing.redemption_ids);
+      } catch (cancelError) {
+        console.error('[PAYMENT_SERVICE] Erreur annulation des codes promo:', cancelError.message);
+      }
+    }
+    
+    if (error.code === 'PROMO_CODE_INVALID' || error.code === 'DONATION_AMOUNT_INVALID') {
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        processing_time_ms: processingTime
+      };
+    }
+    
+    if (error.code === 'TICKETS_UNAVAILABLE') {
+      return {
+        success: false,
+        error: error.message,
+        code: 'TICKETS_UNAVAILABLE',
+        details: error.details,
+        processing_time_ms: processingTime
+      };
+    }
+    
     // Gestion des erreurs spécifiques
     if (error.code === 'ECONNABORTED') {
       return {
@@ -245,6 +426,10 @@ async function cancelPayment(paymentIntentId, db) {
         completed_at: new Date().toISOString()
       }, db);
       
+      // Libération des billets réservés et des codes promo
+      await ticketInventoryService.releaseHolds(paymentIntentId, 'payment_cancelled');
+      await promoCodesService.cancelRedemptions(paymentIntentId);
+      
       console.log(`[PAYMENT_SERVICE] Paiement ${paymentIntentId} annulé avec succès`);
       
       return {
@@ -294,27 +479,34 @@ async function handlePaymentWebhook(webhookData, db) {
       };
     }
     
-    // Mise à jour du statut
-    const updateData = {
-      status: status,
-      completed_at: completed_at,
-      error_message: error_message
-    };
-    
-    const updatedPayment = await updatePaymentStatus(payment.payment.id, updateData, db);
-    
-    // Si le paiement est réussi, déclencher les actions post-paiement
+    let updatedAt;
     if (status === 'completed') {
-      await handleSuccessfulPayment(payment.payment, db);
+      // Paiement réussi : statut et actions post-paiement appliqués ensemble
+      await handleSuccessfulPayment(payment.payment, completed_at);
+      updatedAt = new Date().toISOString();
+    } else {
+      const updatedPayment = await updatePaymentStatus(payment.payment.id, {
+        status: status,
+        completed_at: completed_at,
+        error_message: error_message
+      }, db);
+      updatedAt = updatedPayment.updated_at;
+      
+      if (RELEASING_STATUSES.includes(status)) {
+        // Échec ou annulation : les billets réservés et les codes promo redeviennent disponibles
+        await ticketInventoryService.releaseHolds(payment_intent_id, `payment_${status}`);
+        await promoCodesService.cancelRedemptions(payment_intent_id);
+        await getOrdersService().closeUnpaidOrder(payment.payment, status);
+      }
     }
     
-    console.log(`[PAYMENT_SERVICE] Webhook traité pour paiement ${payment_intentId}`);
+    console.log(`[PAYMENT_SERVICE] Webhook traité pour paiement ${payment_intent_id}`);
     
     return {
       success: true,
       payment_intent_id: payment_intent_id,
       status: status,
-      updated_at: updatedPayment.updated_at
+      updated_at: updatedAt
     };
     
   } catch (error) {
@@ -323,6 +515,36 @@ async function handlePaymentWebhook(webhookData, db) {
   }
 }
 
+/**
+ * Commande gratuite (remise de 100 %) : le paiement est confirmé localement avec
+ * les mêmes effets qu'un paiement réussi (billets, codes promo, revenus, reçu)
+ * @param {Object} paymentRecord - Paiement persisté (montant nul)
+ * @returns {Promise<Object>} Résultat au format de initiatePayment
+ */
+async function completeFreeOrder(paymentRecord, paymentData, pricing, startTime) {
+  const result = await handleSuccessfulPayment(paymentRecord, new Date().toISOString());
+  
+  console.log(`[PAYMENT_SERVICE] Commande gratuite confirmée: ${paymentRecord.payment_intent_id}`);
+  
+  return {
+    success: true,
+    payment_intent_id: paymentRecord.payment_intent_id,
+    payment_id: paymentRecord.id,
+    payment_url: null,
+    client_secret: null,
+    payment_method: FREE_PAYMENT_METHOD,
+    amount: 0,
+    currency: paymentData.currency,
+    subtotal_amount: pricing.subtotal,
+    discount_amount: pricing.discount_amount,
+    promo_codes: pricing.promo_codes,
+    status: 'completed',
+    tickets_hold: null,
+    tickets_issued: result.tickets_issued || 0,
+    processing_time_ms: Date.now() - startTime
+  };
+}
+
 /**
  * Persiste l'enregistrement de paiement en base
  * @param {Object} paymentData - Données du paiement
@@ -340,13 +562,15 @@ async function persistPaymentRecord(paymentData, db) {
         event_id,
         organizer_id,
         amount,
+        subtotal_amount,
+        discount_amount,
         currency,
         payment_method,
         customer_info,
         metadata,
         status,
         created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
       RETURNING *
     `;
     
@@ -355,6 +579,8 @@ async function persistPaymentRecord(paymentData, db) {
       paymentData.event_id,
       paymentData.organizer_id,
       paymentData.amount,
+      paymentData.subtotal_amount !== undefined ? paymentData.subtotal_amount : paymentData.amount,
+      paymentData.discount_amount || 0,
       paymentData.currency,
       paymentData.payment_method,
       JSON.stringify(paymentData.customer_info || {}),
@@ -485,22 +711,24 @@ async function callPaymentService(endpoint, payload = {}) {
 }
 
 /**
- * Gère les actions post-paiement réussi
- * @param {Object} payment - Données du paiement
- * @param {Object} db - Instance de base de données
+ * Passe un paiement à `completed` avec ses effets (commande, billets, codes promo,
+ * revenus) dans une transaction, comme un webhook de la boîte de réception ;
+ * génération des billets et reçu sont lancés une fois la transaction validée
+ * @param {Object} payment - Paiement local
+ * @param {string|null} completedAt - Date de confirmation
+ * @returns {Promise<Object>} Résultat de applyPaymentStatus
  */
-async function handleSuccessfulPayment(payment, db) {
-  try {
-    // TODO: Implémenter les actions post-paiement
-    // - Activer les fonctionnalités premium de l'événement
-    // - Envoyer une confirmation de paiement
-    // - Mettre à jour le statut de l'événement si nécessaire
-    
-    console.log(`[PAYMENT_SERVICE] Actions post-paiement pour ${payment.payment_intent_id}`);
-    
-  } catch (error) {
-    console.error('[PAYMENT_SERVICE] Erreur actions post-paiement:', error.message);
-  }
+async function handleSuccessfulPayment(payment, completedAt = null) {
+  const paymentEventsService = getPaymentEventsService();
+  console.log(`[PAYMENT_SERVICE] Actions post-paiement pour ${payment.payment_intent_id}`);
+  
+  const result = await database.transaction(client => paymentEventsService.applyPaymentStatus(client, 'completed', {
+    payment_service_id: payment.payment_intent_id,
+    completed_at: completedAt
+  }, null));
+  await paymentEventsService.afterCommit(result);
+  
+  return result;
 }
 
 module.exports = {
@@ -4,9 +4,11 @@
  */
 
 const ticketsRepository = require('../modules/tickets/tickets.repository');
+const ticketQrService = require('../modules/tickets/ticket-qr.service');
 const guestsRepository = require('../modules/guests/guests.repository');
 const eventsRepository = require('../modules/events/events.repository');
 const authApiService = require('./auth-api-service');
+const { DEFAULT_TIMEZONE, formatEventSchedule } = require('../utils/timezone');
 
 class TicketDataEnrichmentService {
   /**
@@ -68,10 +70,24 @@ class TicketDataEnrichmentService {
           }
         }
 
+        const eventSchedule = formatEventSchedule({
+          event_date: event.event_date || event.created_at,
+          end_date: event.end_date,
+          timezone: event.timezone
+        });
+
+        // Charge utile signée à encoder dans le QR code (billets émis avant la signature)
+        let qrPayload = ticket.qr_payload;
+        if (!qrPayload) {
+          const signedTicket = await ticketQrService.issue({ ...ticket, event_id: event.id });
+          qrPayload = signedTicket ? signedTicket.qr_payload : null;
+        }
+
         // Construire l'objet enrichi
         const enrichedTicket = {
           ticket_id: ticket.id,
           ticket_code: ticket.ticket_code,
+          qr_payload: qrPayload,
           guest: {
             name: `${guest.first_name} ${guest.last_name}`,
             phone: guest.phone || null,
@@ -95,6 +111,11 @@ class TicketDataEnrichmentService {
             title: event.title,
             location: event.location || 'Non spécifié',
             date: (event.event_date || event.created_at).toISOString(),
+            end_date: event.end_date ? new Date(event.end_date).toISOString() : null,
+            timezone: event.timezone || DEFAULT_TIMEZONE,
+            // Libellés déjà localisés pour les variables EVENT_DATE / EVENT_TIME des templates
+            date_label: eventSchedule.date,
+            time_label: eventSchedule.time,
             organizer_name: organizerName
           }
         };
@@ -0,0 +1,81 @@
+/**
+ * Boîte de réception des webhooks inter-services
+ * Chaque livraison est enregistrée dans payment_webhooks dans la même
+ * transaction que son traitement : une livraison rejouée (même source et
+ * même identifiant) n'est appliquée qu'une fois, et un traitement en échec
+ * est annulé en entier pour que l'émetteur puisse la renvoyer.
+ */
+
+const { database } = require('../config');
+
+class WebhookInboxService {
+  /**
+   * Traite une livraison une seule fois
+   * @param {Object} delivery - { source, eventId, type, paymentIntentId, payload }
+   * @param {Function} handler - async (client, webhook) => { outcome, ...résultat }
+   * @returns {Promise<Object>} { duplicate, webhookId, outcome, result }
+   */
+  async processOnce(delivery, handler) {
+    return database.transaction(async (client) => {
+      const webhook = await this.record(delivery, client);
+
+      // Déjà reçue (ou en cours de traitement : l'insertion attend son COMMIT)
+      if (!webhook) {
+        const existing = await this.findDelivery(delivery.source, delivery.eventId, client);
+        return {
+          duplicate: true,
+          webhookId: existing ? existing.id : null,
+          outcome: existing ? existing.outcome : null,
+          result: null
+        };
+      }
+
+      const result = await handler(client, webhook);
+      const outcome = (result && result.outcome) || 'applied';
+      await this.markProcessed(webhook.id, outcome, client);
+
+      return { duplicate: false, webhookId: webhook.id, outcome, result };
+    });
+  }
+
+  async record(delivery, client) {
+    const query = `
+      INSERT INTO payment_webhooks (source, event_id, webhook_type, payment_intent_id, webhook_data, processed)
+      VALUES ($1, $2, $3, $4, $5, FALSE)
+      ON CONFLICT (source, event_id) WHERE event_id IS NOT NULL DO NOTHING
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      delivery.source,
+      delivery.eventId,
+      delivery.type,
+      delivery.paymentIntentId || null,
+      JSON.stringify(delivery.payload || {})
+    ]);
+    return result.rows[0] || null;
+  }
+
+  async findDelivery(source, eventId, client = database) {
+    const query = `
+      SELECT id, outcome, processed, processed_at
+      FROM payment_webhooks
+      WHERE source = $1 AND event_id = $2
+    `;
+
+    const result = await client.query(query, [source, eventId]);
+    return result.rows[0] || null;
+  }
+
+  async markProcessed(webhookId, outcome, client) {
+    const query = `
+      UPDATE payment_webhooks
+      SET processed = TRUE, outcome = $2, processed_at = NOW()
+      WHERE id = $1
+    `;
+
+    await client.query(query, [webhookId, outcome]);
+  }
+}
+
+module.exports = new WebhookInboxService();
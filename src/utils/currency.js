@@ -0,0 +1,111 @@
+/**
+ * ========================================
+ * UTILITAIRES DE DEVISES (ISO 4217)
+ * ========================================
+ * Codes de devises actifs ISO 4217 et nombre de décimales de chaque devise
+ * (0 pour XOF, XAF, JPY... ; 3 pour KWD, TND... ; 2 par défaut).
+ */
+
+const DEFAULT_CURRENCY = 'EUR';
+
+// Devise dans laquelle les analyses de revenus sont consolidées
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF',
+  'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'];
+
+const ISO_4217_CODES = new Set([
+  'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+  'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL',
+  'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+  'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP',
+  'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD',
+  'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR',
+  'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+  'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+  'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR',
+  'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+  'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR',
+  'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD',
+  'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+  'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+  'USD', 'UYU', 'UZS', 'VED', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD',
+  'XCG', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW', 'ZWG'
+]);
+
+/**
+ * Code de devise en majuscules, sans espaces
+ * @param {string} code
+ * @returns {string|null}
+ */
+function normalizeCurrency(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Vérifie qu'un code de devise est un code ISO 4217 actif (casse ignorée)
+ * @param {string} code - ex: EUR, XOF
+ * @returns {boolean}
+ */
+function isValidCurrency(code) {
+  return ISO_4217_CODES.has(normalizeCurrency(code));
+}
+
+/**
+ * Validateur Joi (`.custom(validateCurrency)`) : code ISO 4217, renvoyé en majuscules
+ */
+function validateCurrency(value, helpers) {
+  if (!isValidCurrency(value)) {
+    return helpers.error('any.invalid');
+  }
+  return normalizeCurrency(value);
+}
+
+/**
+ * Nombre de décimales d'une devise
+ * @param {string} code
+ * @returns {number}
+ */
+function getMinorUnits(code) {
+  const currency = normalizeCurrency(code);
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(currency)) return 3;
+  return 2;
+}
+
+/**
+ * Arrondit un montant selon les décimales de sa devise
+ * @param {number} amount
+ * @param {string} code
+ * @returns {number}
+ */
+function roundToCurrency(amount, code) {
+  const factor = Math.pow(10, getMinorUnits(code));
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Liste des devises ISO 4217 reconnues
+ * @returns {Array<{ code: string, minor_units: number }>}
+ */
+function listCurrencies() {
+  return Array.from(ISO_4217_CODES).map(code => ({ code, minor_units: getMinorUnits(code) }));
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  REPORTING_CURRENCY,
+  normalizeCurrency,
+  isValidCurrency,
+  validateCurrency,
+  getMinorUnits,
+  roundToCurrency,
+  listCurrencies
+};
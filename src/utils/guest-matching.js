@@ -0,0 +1,197 @@
+/**
+ * ========================================
+ * RAPPROCHEMENT D'INVITÉS (DOUBLONS)
+ * ========================================
+ * Clés de comparaison d'un invité : email normalisé, téléphone au format
+ * E.164 et nom sans accents, comparé avec une similarité de Jaro-Winkler
+ * ("Jean-Marc Dupont" ~ "Jean Marc Dupond").
+ */
+
+// Indicatif appliqué aux numéros nationaux (0612345678 -> +33612345678)
+const DEFAULT_PHONE_COUNTRY_CODE = String(process.env.DEFAULT_PHONE_COUNTRY_CODE || '33').replace(/\D/g, '');
+
+// Domaines où les points de la partie locale sont ignorés
+const DOTLESS_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Email comparable : minuscules, sans sous-adresse (+tag), sans points pour Gmail
+ * @param {string} email
+ * @returns {string|null}
+ */
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return null;
+  }
+
+  const trimmed = email.trim().toLowerCase();
+  const at = trimmed.lastIndexOf('@');
+  if (at <= 0 || at === trimmed.length - 1) {
+    return null;
+  }
+
+  let local = trimmed.slice(0, at).split('+')[0];
+  let domain = trimmed.slice(at + 1);
+  if (domain === 'googlemail.com') {
+    domain = 'gmail.com';
+  }
+  if (DOTLESS_EMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+  }
+
+  return local ? `${local}@${domain}` : null;
+}
+
+/**
+ * Téléphone au format E.164 (+33612345678)
+ * @param {string} phone - Numéro saisi (espaces, points, tirets, 00 ou + international)
+ * @param {string} countryCode - Indicatif des numéros nationaux
+ * @returns {string|null} - null si le numéro n'est pas exploitable
+ */
+function normalizePhone(phone, countryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+  if (!phone) {
+    return null;
+  }
+
+  // "(0)" parfois saisi après l'indicatif : +33 (0)6 12 34 56 78
+  const raw = String(phone).trim().replace(/\(0\)/g, '');
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  // Sans "+", le numéro est international (00...) ou national
+  if (!raw.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (digits.startsWith('0')) {
+      digits = countryCode + digits.slice(1);
+    } else if (digits.length <= 10) {
+      // Numéro national saisi sans le 0 initial
+      digits = countryCode + digits;
+    }
+  }
+
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/**
+ * Nom comparable : minuscules, sans accents, ponctuation ni espaces multiples
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarité de Jaro-Winkler entre deux chaînes
+ * @returns {number} - 0 (rien en commun) à 1 (identiques)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return a ? 1 : 0;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length - 1, i + window);
+    for (let j = start; j <= end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) {
+      continue;
+    }
+    while (!bMatches[k]) {
+      k++;
+    }
+    if (a[i] !== b[k]) {
+      transpositions++;
+    }
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarité des noms de deux invités, prénom et nom éventuellement inversés
+ * @param {Object} a - { first_name, last_name }
+ * @param {Object} b - { first_name, last_name }
+ * @returns {number} - 0 à 1
+ */
+function nameSimilarity(a, b) {
+  const aFirst = normalizeName(a.first_name);
+  const aLast = normalizeName(a.last_name);
+  const bFirst = normalizeName(b.first_name);
+  const bLast = normalizeName(b.last_name);
+
+  if (!aFirst || !bFirst || !aLast || !bLast) {
+    // Sans nom de famille, seul un prénom identique est retenu (score faible)
+    const aName = `${aFirst} ${aLast}`.trim();
+    return aName && aName === `${bFirst} ${bLast}`.trim() ? 0.8 : 0;
+  }
+
+  const straight = (jaroWinkler(aFirst, bFirst) + jaroWinkler(aLast, bLast)) / 2;
+  const swapped = (jaroWinkler(aFirst, bLast) + jaroWinkler(aLast, bFirst)) / 2;
+  const joined = jaroWinkler(`${aFirst} ${aLast}`, `${bFirst} ${bLast}`);
+
+  return Math.max(straight, swapped, joined);
+}
+
+/**
+ * Clés de regroupement pour limiter les comparaisons de noms
+ * (deux premières lettres du nom de famille et initiale du prénom, dans les deux ordres)
+ * @returns {Array<string>}
+ */
+function nameBlockingKeys(guest) {
+  const first = normalizeName(guest.first_name).replace(/ /g, '');
+  const last = normalizeName(guest.last_name).replace(/ /g, '');
+  if (!first || !last) {
+    return [];
+  }
+  return [`${last.slice(0, 2)}|${first[0]}`, `${first.slice(0, 2)}|${last[0]}`];
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY_CODE,
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  jaroWinkler,
+  nameSimilarity,
+  nameBlockingKeys
+};
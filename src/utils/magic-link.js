@@ -0,0 +1,155 @@
+/**
+ * ========================================
+ * JETONS D'ACCÈS DES INVITÉS (LIENS MAGIQUES)
+ * ========================================
+ * Jeton signé en HMAC-SHA256 : EPML1.<payload base64url>.<signature base64url>
+ * Le payload contient le type de jeton (typ), le code d'invitation (ic),
+ * l'identifiant unique du lien (jti), la date d'émission (iat) et
+ * d'expiration (exp), en secondes.
+ *
+ * - link : lien magique envoyé dans l'invitation, à usage unique (jti
+ *   consommé en base à la première ouverture)
+ * - session : accès de l'invité obtenu en ouvrant le lien, valable jusqu'à
+ *   son expiration tant que le lien d'origine n'est pas révoqué
+ *
+ * Rotation : GUEST_MAGIC_LINK_SECRET peut contenir plusieurs secrets séparés
+ * par des virgules ; le premier signe, tous sont acceptés en vérification.
+ */
+
+const crypto = require('crypto');
+
+const MAGIC_LINK_PREFIX = 'EPML1';
+const MAGIC_LINK_VERSION = 1;
+
+const GUEST_TOKEN_TYPES = {
+  LINK: 'link',
+  SESSION: 'session'
+};
+
+const MAGIC_LINK_ERROR_CODES = {
+  NOT_CONFIGURED: 'MAGIC_LINK_NOT_CONFIGURED',
+  MISSING: 'MAGIC_LINK_MISSING',
+  MALFORMED: 'MAGIC_LINK_MALFORMED',
+  INVALID: 'MAGIC_LINK_INVALID',
+  EXPIRED: 'MAGIC_LINK_EXPIRED'
+};
+
+class MagicLinkError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MagicLinkError';
+    this.code = code;
+  }
+}
+
+/**
+ * Secrets acceptés, le premier étant utilisé pour signer
+ * @returns {string[]}
+ */
+function loadMagicLinkSecrets(env = process.env) {
+  return (env.GUEST_MAGIC_LINK_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+function computeSignature(encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(`${MAGIC_LINK_PREFIX}.${encodedPayload}`).digest();
+}
+
+/**
+ * Signe un jeton d'accès invité
+ * @param {Object} claims - { type, invitationCode, jti, ttlSeconds, issuedAt? }
+ * @param {string[]} secrets - Secrets (par défaut : environnement)
+ * @returns {{ token: string, jti: string, expiresAt: Date }}
+ */
+function signGuestToken(claims, secrets = loadMagicLinkSecrets()) {
+  if (secrets.length === 0) {
+    throw new MagicLinkError('Magic link secret is not configured (GUEST_MAGIC_LINK_SECRET)', MAGIC_LINK_ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  const issuedAt = Math.floor((claims.issuedAt ? new Date(claims.issuedAt) : new Date()).getTime() / 1000);
+  const body = {
+    v: MAGIC_LINK_VERSION,
+    typ: claims.type,
+    ic: String(claims.invitationCode),
+    jti: claims.jti || crypto.randomBytes(16).toString('hex'),
+    iat: issuedAt,
+    exp: issuedAt + claims.ttlSeconds
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(body)).toString('base64url');
+  const signature = computeSignature(encodedPayload, secrets[0]).toString('base64url');
+
+  return {
+    token: `${MAGIC_LINK_PREFIX}.${encodedPayload}.${signature}`,
+    jti: body.jti,
+    expiresAt: new Date(body.exp * 1000)
+  };
+}
+
+/**
+ * Vérifie la signature, le type et l'expiration d'un jeton d'accès invité.
+ * L'usage unique d'un lien est vérifié en base par l'appelant (jti).
+ * @param {string} token
+ * @param {Object} options - { type, secrets, now }
+ * @returns {Object} Claims : { type, invitationCode, jti, issuedAt, expiresAt }
+ */
+function verifyGuestToken(token, options = {}) {
+  const secrets = options.secrets || loadMagicLinkSecrets();
+  const now = options.now || new Date();
+
+  if (!token || typeof token !== 'string') {
+    throw new MagicLinkError('Access token is required', MAGIC_LINK_ERROR_CODES.MISSING);
+  }
+  if (secrets.length === 0) {
+    throw new MagicLinkError('Magic link secret is not configured (GUEST_MAGIC_LINK_SECRET)', MAGIC_LINK_ERROR_CODES.NOT_CONFIGURED);
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== MAGIC_LINK_PREFIX || !parts[1] || !parts[2]) {
+    throw new MagicLinkError('Malformed access token', MAGIC_LINK_ERROR_CODES.MALFORMED);
+  }
+
+  const provided = Buffer.from(parts[2], 'base64url');
+  const signed = secrets.some(secret => {
+    const expected = computeSignature(parts[1], secret);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+  if (!signed) {
+    throw new MagicLinkError('Access token signature is invalid', MAGIC_LINK_ERROR_CODES.INVALID);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new MagicLinkError('Malformed access token payload', MAGIC_LINK_ERROR_CODES.MALFORMED);
+  }
+
+  if (!body || body.v !== MAGIC_LINK_VERSION || !body.ic || !body.jti || !Number.isInteger(body.exp)) {
+    throw new MagicLinkError('Access token payload is incomplete', MAGIC_LINK_ERROR_CODES.MALFORMED);
+  }
+  // Un jeton de session n'ouvre pas un lien et inversement
+  if (options.type && body.typ !== options.type) {
+    throw new MagicLinkError('Access token type is invalid', MAGIC_LINK_ERROR_CODES.INVALID);
+  }
+  if (now.getTime() >= body.exp * 1000) {
+    throw new MagicLinkError('Access token has expired', MAGIC_LINK_ERROR_CODES.EXPIRED);
+  }
+
+  return {
+    type: body.typ,
+    invitationCode: body.ic,
+    jti: body.jti,
+    issuedAt: new Date(body.iat * 1000),
+    expiresAt: new Date(body.exp * 1000)
+  };
+}
+
+module.exports = {
+  MAGIC_LINK_PREFIX,
+  GUEST_TOKEN_TYPES,
+  MAGIC_LINK_ERROR_CODES,
+  MagicLinkError,
+  loadMagicLinkSecrets,
+  signGuestToken,
+  verifyGuestToken
+};
@@ -0,0 +1,157 @@
+/**
+ * Correspondance des colonnes d'un fichier d'import d'invités
+ * Les exports Eventbrite, CRM ou tableurs n'utilisent pas nos noms de colonnes
+ * ("Prénom", "E-mail", "Mobile"...) : les en-têtes sont normalisés puis
+ * rapprochés des champs attendus. Une correspondance associe chaque champ
+ * à l'en-tête source : { first_name: 'Prénom', email: 'E-mail', ... }
+ * Les réponses aux questions d'inscription de l'événement se déclarent avec
+ * le préfixe answers. : { 'answers.dietary_requirements': 'Régime' }
+ */
+
+// Champs d'un invité et en-têtes reconnus (déjà normalisés)
+const GUEST_IMPORT_FIELDS = {
+  first_name: {
+    required: true,
+    aliases: ['first name', 'firstname', 'first', 'given name', 'prenom', 'prenoms', 'attendee first name']
+  },
+  last_name: {
+    required: true,
+    aliases: ['last name', 'lastname', 'last', 'surname', 'family name', 'nom', 'nom de famille', 'attendee last name']
+  },
+  email: {
+    required: true,
+    aliases: ['email', 'e mail', 'email address', 'e mail address', 'mail', 'courriel', 'adresse email', 'adresse e mail', 'attendee email']
+  },
+  phone: {
+    required: false,
+    aliases: ['phone', 'phone number', 'mobile', 'mobile phone', 'cell', 'cell phone', 'telephone', 'tel', 'portable', 'numero de telephone', 'cell phone number']
+  }
+};
+
+const REQUIRED_FIELDS = Object.keys(GUEST_IMPORT_FIELDS).filter(field => GUEST_IMPORT_FIELDS[field].required);
+
+// Préfixe des champs de réponse aux questions d'inscription
+const ANSWER_FIELD_PREFIX = 'answers.';
+
+/**
+ * Normalise un en-tête : minuscules, sans accents ni ponctuation
+ * @param {string} header - En-tête brut ("E-mail", "Prénom ")
+ * @returns {string} - En-tête normalisé ("e mail", "prenom")
+ */
+function normalizeHeader(header) {
+  return String(header || '')
+    .replace(/^\uFEFF/, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Propose une correspondance à partir des en-têtes du fichier
+ * @param {Array<string>} headers - En-têtes du fichier
+ * @param {Array<Object>} questions - Questions d'inscription ({ question_key, label })
+ * @returns {Object} - { field: header } pour chaque champ reconnu
+ */
+function suggestMapping(headers, questions = []) {
+  const mapping = {};
+  const used = new Set();
+
+  const candidatesByField = Object.entries(GUEST_IMPORT_FIELDS).map(([field, definition]) => (
+    [field, [normalizeHeader(field), ...definition.aliases]]
+  ));
+  questions.forEach(question => {
+    candidatesByField.push([
+      `${ANSWER_FIELD_PREFIX}${question.question_key}`,
+      [normalizeHeader(question.question_key), normalizeHeader(question.label)]
+    ]);
+  });
+
+  candidatesByField.forEach(([field, candidates]) => {
+    const header = headers.find(h => !used.has(h) && candidates.includes(normalizeHeader(h)));
+    if (header !== undefined) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Vérifie une correspondance par rapport aux en-têtes du fichier
+ * @param {Object} mapping - { field: header }
+ * @param {Array<string>} headers - En-têtes du fichier
+ * @param {Array<string>} questionKeys - Clés des questions d'inscription de l'événement
+ * @returns {Array<Object>} - Erreurs { field, error }, vide si la correspondance est complète
+ */
+function validateMapping(mapping, headers, questionKeys = []) {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return [{ field: 'mapping', error: 'Mapping must be an object of field: header' }];
+  }
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    const isAnswerField = field.startsWith(ANSWER_FIELD_PREFIX)
+      && questionKeys.includes(field.slice(ANSWER_FIELD_PREFIX.length));
+    if (!GUEST_IMPORT_FIELDS[field] && !isAnswerField) {
+      errors.push({ field, error: `Unknown field: ${field}` });
+    } else if (header !== null && header !== undefined && header !== '' && !headers.includes(header)) {
+      errors.push({ field, error: `Column not found in file: ${header}` });
+    }
+  });
+
+  REQUIRED_FIELDS
+    .filter(field => !mapping[field])
+    .forEach(field => errors.push({ field, error: `Missing mapping for required field: ${field}` }));
+
+  return errors;
+}
+
+/**
+ * Construit une ligne d'invité à partir d'une ligne brute du fichier
+ * @param {Object} values - { header: valeur } de la ligne
+ * @param {Object} mapping - { field: header }
+ * @returns {Object} - { first_name, last_name, email, phone }
+ */
+function applyMapping(values, mapping) {
+  const row = {};
+  Object.keys(GUEST_IMPORT_FIELDS).forEach(field => {
+    const header = mapping[field];
+    row[field] = header ? values[header] : '';
+  });
+  return row;
+}
+
+/**
+ * Réponses brutes aux questions d'inscription d'une ligne du fichier
+ * @param {Object} values - { header: valeur } de la ligne
+ * @param {Object} mapping - { field: header }
+ * @returns {Object} - { question_key: valeur } pour les colonnes renseignées
+ */
+function extractAnswers(values, mapping) {
+  const answers = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!field.startsWith(ANSWER_FIELD_PREFIX) || !header) {
+      return;
+    }
+    const value = values[header];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      answers[field.slice(ANSWER_FIELD_PREFIX.length)] = value;
+    }
+  });
+  return answers;
+}
+
+module.exports = {
+  GUEST_IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  ANSWER_FIELD_PREFIX,
+  normalizeHeader,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+  extractAnswers
+};
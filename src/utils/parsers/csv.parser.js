@@ -1,83 +1,156 @@
 const csv = require('csv-parser');
 const fs = require('fs');
+const { suggestMapping, validateMapping, applyMapping } = require('./column-mapping');
 
 /**
  * Parser pour les fichiers CSV d'import d'invités
- * Transforme un fichier CSV en array d'objets avec validation des headers
+ * Transforme un fichier CSV en array d'objets ; les colonnes sont rapprochées
+ * des champs attendus par une correspondance (voir column-mapping)
  */
 class CSVParser {
   /**
    * Parse un fichier CSV et retourne les données validées
    * @param {string} filePath - Chemin vers le fichier CSV
+   * @param {Object} mapping - Correspondance { field: header } (déduite des en-têtes si absente)
    * @returns {Promise<Object>} - Résultat du parsing avec données et erreurs
    */
-  static async parseFile(filePath) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const errors = [];
-      let rowIndex = 0;
-      let headersValidated = false;
+  static async parseFile(filePath, mapping = null) {
+    let table;
+    try {
+      table = await this.readFile(filePath);
+    } catch (error) {
+      throw {
+        success: false,
+        error: `CSV parsing error: ${error.message}`,
+        details: error
+      };
+    }
 
-      // Headers obligatoires pour l'import des invités
-      const requiredHeaders = ['first_name', 'last_name', 'email'];
-      const optionalHeaders = ['phone'];
+    const resolvedMapping = mapping || suggestMapping(table.headers);
+    const mappingErrors = validateMapping(resolvedMapping, table.headers);
+    if (mappingErrors.length > 0) {
+      const missing = mappingErrors.map(error => error.field);
+      throw new Error(`Missing required headers: ${missing.join(', ')}`);
+    }
 
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('headers', (headers) => {
-          rowIndex++;
-          
-          // Validation des headers
-          const missingHeaders = requiredHeaders.filter(header => !headers.includes(header));
-          
-          if (missingHeaders.length > 0) {
-            errors.push({
-              row: 0,
-              field: 'headers',
-              error: `Missing required headers: ${missingHeaders.join(', ')}`,
-              data: { headers, missing: missingHeaders }
-            });
-            return reject(new Error(`Missing required headers: ${missingHeaders.join(', ')}`));
-          }
+    return this.mapRows(table, resolvedMapping);
+  }
+
+  /**
+   * Lit un fichier CSV sans validation : en-têtes et valeurs brutes
+   * Le séparateur (virgule, point-virgule ou tabulation) est détecté sur la première ligne
+   * @param {string} filePath - Chemin vers le fichier CSV
+   * @returns {Promise<Object>} - { headers, rows: [{ row, values }] }
+   */
+  static async readFile(filePath) {
+    const separator = this.detectSeparator(filePath);
 
-          headersValidated = true;
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      let headers = [];
+      let rowIndex = 1; // La ligne 1 contient les en-têtes
+
+      fs.createReadStream(filePath)
+        .pipe(csv({
+          separator,
+          mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+        }))
+        .on('headers', (fileHeaders) => {
+          headers = fileHeaders;
         })
-        .on('data', (data) => {
+        .on('data', (values) => {
           rowIndex++;
-          
-          if (!headersValidated) {
-            return;
-          }
 
-          // Nettoyage et validation des données
-          const cleanedData = this.cleanRowData(data, rowIndex);
-          
-          if (cleanedData.valid) {
-            results.push(cleanedData.data);
-          } else {
-            errors.push(...cleanedData.errors);
+          // Ignorer les lignes vides
+          if (Object.values(values).every(value => !value || !value.toString().trim())) {
+            return;
           }
+          rows.push({ row: rowIndex, values });
         })
-        .on('end', () => {
-          resolve({
-            success: true,
-            data: results,
-            errors: errors,
-            metadata: {
-              totalRows: rowIndex - 1, // Exclure la ligne d'headers
-              validRows: results.length,
-              errorRows: errors.length
-            }
-          });
-        })
-        .on('error', (error) => {
-          reject({
-            success: false,
-            error: `CSV parsing error: ${error.message}`,
-            details: error
-          });
-        });
+        .on('end', () => resolve({ headers, rows }))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Parcourt un fichier CSV ligne par ligne, sans le charger en mémoire
+   * @param {string} filePath - Chemin vers le fichier CSV
+   * @returns {AsyncGenerator<Object>} - { row, values } pour chaque ligne non vide
+   */
+  static async *streamRows(filePath) {
+    const separator = this.detectSeparator(filePath);
+    const stream = fs.createReadStream(filePath).pipe(csv({
+      separator,
+      mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+    }));
+
+    let rowIndex = 1; // La ligne 1 contient les en-têtes
+    for await (const values of stream) {
+      rowIndex++;
+      if (Object.values(values).every(value => !value || !value.toString().trim())) {
+        continue;
+      }
+      yield { row: rowIndex, values };
+    }
+  }
+
+  /**
+   * Valide les lignes lues selon une correspondance de colonnes
+   * @param {Object} table - Résultat de readFile
+   * @param {Object} mapping - Correspondance { field: header }
+   * @returns {Object} - Résultat du parsing avec données et erreurs
+   */
+  static mapRows(table, mapping) {
+    const results = [];
+    const errors = [];
+    let errorRows = 0;
+
+    table.rows.forEach(({ row, values }) => {
+      const cleanedData = this.cleanRowData(applyMapping(values, mapping), row);
+
+      if (cleanedData.valid) {
+        results.push({ ...cleanedData.data, row });
+      } else {
+        errorRows++;
+        errors.push(...cleanedData.errors);
+      }
     });
+
+    return {
+      success: true,
+      data: results,
+      errors: errors,
+      metadata: {
+        totalRows: table.rows.length,
+        validRows: results.length,
+        errorRows: errorRows
+      }
+    };
+  }
+
+  /**
+   * Détecte le séparateur d'un fichier CSV d'après sa première ligne
+   * @param {string} filePath - Chemin vers le fichier CSV
+   * @returns {string} - Séparateur
+   */
+  static detectSeparator(filePath) {
+    const buffer = Buffer.alloc(4096);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0];
+    const counts = [',', ';', '\t'].map(separator => ({
+      separator,
+      count: firstLine.split(separator).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+
+    return counts[0].count > 0 ? counts[0].separator : ',';
   }
 
   /**
@@ -1,80 +1,30 @@
 const XLSX = require('xlsx');
+const { suggestMapping, validateMapping, applyMapping } = require('./column-mapping');
 
 /**
  * Parser pour les fichiers Excel (XLS/XLSX) d'import d'invités
- * Transforme un fichier Excel en array d'objets avec validation des headers
+ * Transforme un fichier Excel en array d'objets ; les colonnes sont rapprochées
+ * des champs attendus par une correspondance (voir column-mapping)
  */
 class ExcelParser {
   /**
    * Parse un fichier Excel et retourne les données validées
    * @param {string} filePath - Chemin vers le fichier Excel
+   * @param {Object} mapping - Correspondance { field: header } (déduite des en-têtes si absente)
    * @returns {Promise<Object>} - Résultat du parsing avec données et erreurs
    */
-  static async parseFile(filePath) {
+  static async parseFile(filePath, mapping = null) {
     try {
-      // Lecture du fichier Excel
-      const workbook = XLSX.readFile(filePath);
-      
-      // Récupération de la première feuille de calcul
-      const sheetName = workbook.SheetNames[0];
-      if (!sheetName) {
-        throw new Error('No worksheet found in Excel file');
-      }
-
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Conversion en JSON
-      const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      
-      if (rawData.length < 2) {
-        throw new Error('Excel file must contain headers and at least one data row');
-      }
-
-      // Extraction des headers et validation
-      const headers = rawData[0].map(header => header ? header.toString().trim().toLowerCase() : '');
-      const requiredHeaders = ['first_name', 'last_name', 'email'];
-      const missingHeaders = requiredHeaders.filter(header => !headers.includes(header));
-
-      if (missingHeaders.length > 0) {
-        throw new Error(`Missing required headers: ${missingHeaders.join(', ')}`);
-      }
+      const table = await this.readFile(filePath);
 
-      // Traitement des données
-      const results = [];
-      const errors = [];
-
-      for (let i = 1; i < rawData.length; i++) {
-        const row = rawData[i];
-        if (row.every(cell => !cell)) continue; // Ignorer les lignes vides
-
-        // Construction de l'objet avec les headers
-        const rowData = {};
-        headers.forEach((header, index) => {
-          rowData[header] = row[index] || '';
-        });
-
-        // Nettoyage et validation des données
-        const cleanedData = this.cleanRowData(rowData, i + 1);
-        
-        if (cleanedData.valid) {
-          results.push(cleanedData.data);
-        } else {
-          errors.push(...cleanedData.errors);
-        }
+      const resolvedMapping = mapping || suggestMapping(table.headers);
+      const mappingErrors = validateMapping(resolvedMapping, table.headers);
+      if (mappingErrors.length > 0) {
+        const missing = mappingErrors.map(error => error.field);
+        throw new Error(`Missing required headers: ${missing.join(', ')}`);
       }
 
-      return {
-        success: true,
-        data: results,
-        errors: errors,
-        metadata: {
-          totalRows: rawData.length - 1, // Exclure la ligne d'headers
-          validRows: results.length,
-          errorRows: errors.length,
-          sheetName: sheetName
-        }
-      };
-
+      return this.mapRows(table, resolvedMapping);
     } catch (error) {
       return {
         success: false,
@@ -84,6 +34,94 @@ class ExcelParser {
     }
   }
 
+  /**
+   * Lit la première feuille d'un fichier Excel sans validation
+   * @param {string} filePath - Chemin vers le fichier Excel
+   * @returns {Promise<Object>} - { headers, rows: [{ row, values }], sheetName }
+   */
+  static async readFile(filePath) {
+    // Lecture du fichier Excel
+    const workbook = XLSX.readFile(filePath);
+
+    // Récupération de la première feuille de calcul
+    const sheetName = workbook.SheetNames[0];
+    if (!sheetName) {
+      throw new Error('No worksheet found in Excel file');
+    }
+
+    const worksheet = workbook.Sheets[sheetName];
+
+    // Conversion en JSON
+    const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+    if (rawData.length < 2) {
+      throw new Error('Excel file must contain headers and at least one data row');
+    }
+
+    const headers = rawData[0].map(header => header ? header.toString().trim() : '');
+    const rows = [];
+
+    for (let i = 1; i < rawData.length; i++) {
+      const row = rawData[i];
+      if (row.every(cell => !cell)) continue; // Ignorer les lignes vides
+
+      // Construction de l'objet avec les headers
+      const values = {};
+      headers.forEach((header, index) => {
+        values[header] = row[index] || '';
+      });
+      rows.push({ row: i + 1, values });
+    }
+
+    return { headers, rows, sheetName };
+  }
+
+  /**
+   * Parcourt les lignes de la première feuille (le classeur est lu en entier
+   * par XLSX, seul le traitement est fait ligne par ligne)
+   * @param {string} filePath - Chemin vers le fichier Excel
+   * @returns {AsyncGenerator<Object>} - { row, values } pour chaque ligne non vide
+   */
+  static async *streamRows(filePath) {
+    const table = await this.readFile(filePath);
+    yield* table.rows;
+  }
+
+  /**
+   * Valide les lignes lues selon une correspondance de colonnes
+   * @param {Object} table - Résultat de readFile
+   * @param {Object} mapping - Correspondance { field: header }
+   * @returns {Object} - Résultat du parsing avec données et erreurs
+   */
+  static mapRows(table, mapping) {
+    const results = [];
+    const errors = [];
+    let errorRows = 0;
+
+    table.rows.forEach(({ row, values }) => {
+      const cleanedData = this.cleanRowData(applyMapping(values, mapping), row);
+
+      if (cleanedData.valid) {
+        results.push({ ...cleanedData.data, row });
+      } else {
+        errorRows++;
+        errors.push(...cleanedData.errors);
+      }
+    });
+
+    return {
+      success: true,
+      data: results,
+      errors: errors,
+      metadata: {
+        totalRows: table.rows.length,
+        validRows: results.length,
+        errorRows: errorRows,
+        sheetName: table.sheetName
+      }
+    };
+  }
+
   /**
    * Nettoie et valide une ligne de données
    * @param {Object} rowData - Données brutes de la ligne
@@ -0,0 +1,215 @@
+/**
+ * ========================================
+ * SIGNATURE DES QR CODES DE BILLETS
+ * ========================================
+ * Charge utile signée en HMAC-SHA256 : EPT1.<payload base64url>.<signature base64url>
+ * Le payload contient l'ID du billet (tid), de l'événement (eid), du type de
+ * billet (typ), la date d'émission (iat, secondes) et l'identifiant de la clé (kid).
+ *
+ * Rotation des clés : QR_SIGNING_KEYS contient toutes les clés acceptées
+ * ({"2025-01":"secret",...} ou "2025-01:secret,2024-07:secret") et
+ * QR_SIGNING_KEY_ID la clé utilisée pour signer. Retirer une clé du trousseau
+ * invalide les QR codes qu'elle a signés.
+ */
+
+const crypto = require('crypto');
+
+const QR_PAYLOAD_PREFIX = 'EPT1';
+const QR_PAYLOAD_VERSION = 1;
+// Domaine de signature des documents : une signature de bundle n'est jamais valable comme QR code
+const DOCUMENT_SIGNATURE_DOMAIN = 'EPT1-DOC';
+
+// Âge maximum d'une signature (0 = pas de limite, le billet peut être réémis à tout moment)
+const QR_SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.QR_SIGNATURE_MAX_AGE_SECONDS) || 0;
+
+const QR_ERROR_CODES = {
+  MISSING: 'QR_SIGNATURE_MISSING',
+  MALFORMED: 'QR_SIGNATURE_MALFORMED',
+  UNKNOWN_KEY: 'QR_SIGNATURE_UNKNOWN_KEY',
+  INVALID: 'QR_SIGNATURE_INVALID',
+  STALE: 'QR_SIGNATURE_STALE'
+};
+
+class QRSignatureError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QRSignatureError';
+    this.code = code;
+  }
+}
+
+/**
+ * Trousseau de clés lu depuis l'environnement
+ * @returns {{ activeKeyId: string|null, keys: Map<string, string> }}
+ */
+function loadKeyRing(env = process.env) {
+  const keys = new Map();
+  const raw = (env.QR_SIGNING_KEYS || '').trim();
+
+  if (raw.startsWith('{')) {
+    Object.entries(JSON.parse(raw)).forEach(([kid, secret]) => {
+      if (secret) keys.set(String(kid), String(secret));
+    });
+  } else if (raw) {
+    raw.split(',').forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+      }
+    });
+  }
+
+  const activeKeyId = env.QR_SIGNING_KEY_ID || (keys.size > 0 ? Array.from(keys.keys())[0] : null);
+
+  return { activeKeyId, keys };
+}
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function computeSignature(encodedPayload, secret, domain = QR_PAYLOAD_PREFIX) {
+  return crypto.createHmac('sha256', secret).update(`${domain}.${encodedPayload}`).digest();
+}
+
+/**
+ * Indique si une chaîne scannée a le format d'un QR code signé
+ */
+function isSignedPayload(qrCode) {
+  return typeof qrCode === 'string' && qrCode.startsWith(`${QR_PAYLOAD_PREFIX}.`);
+}
+
+/**
+ * Signe la charge utile d'un billet avec la clé active
+ * @param {Object} claims - { ticketId, eventId, ticketTypeId, issuedAt }
+ * @param {Object} keyRing - Trousseau (par défaut : environnement)
+ * @returns {{ payload: string, keyId: string, issuedAt: Date }}
+ */
+function signTicketPayload(claims, keyRing = loadKeyRing()) {
+  const { activeKeyId, keys } = keyRing;
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new Error('QR signing key is not configured (QR_SIGNING_KEYS / QR_SIGNING_KEY_ID)');
+  }
+
+  const issuedAt = claims.issuedAt ? new Date(claims.issuedAt) : new Date();
+  const body = {
+    v: QR_PAYLOAD_VERSION,
+    kid: activeKeyId,
+    tid: String(claims.ticketId),
+    eid: String(claims.eventId),
+    typ: claims.ticketTypeId !== undefined && claims.ticketTypeId !== null ? String(claims.ticketTypeId) : null,
+    iat: Math.floor(issuedAt.getTime() / 1000)
+  };
+
+  const encodedPayload = toBase64Url(JSON.stringify(body));
+  const signature = toBase64Url(computeSignature(encodedPayload, keys.get(activeKeyId)));
+
+  return {
+    payload: `${QR_PAYLOAD_PREFIX}.${encodedPayload}.${signature}`,
+    keyId: activeKeyId,
+    issuedAt: new Date(body.iat * 1000)
+  };
+}
+
+/**
+ * Lit la charge utile d'un QR code signé sans vérifier la signature
+ * @returns {Object} { v, kid, tid, eid, typ, iat }
+ */
+function decodeTicketPayload(qrCode) {
+  if (!isSignedPayload(qrCode)) {
+    throw new QRSignatureError('QR code is not signed', QR_ERROR_CODES.MISSING);
+  }
+
+  const parts = qrCode.split('.');
+  if (parts.length !== 3 || !parts[1] || !parts[2]) {
+    throw new QRSignatureError('Malformed signed QR code', QR_ERROR_CODES.MALFORMED);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new QRSignatureError('Malformed signed QR code payload', QR_ERROR_CODES.MALFORMED);
+  }
+
+  if (!body || body.v !== QR_PAYLOAD_VERSION || !body.kid || !body.tid || !body.eid || !Number.isInteger(body.iat)) {
+    throw new QRSignatureError('Signed QR code payload is incomplete', QR_ERROR_CODES.MALFORMED);
+  }
+
+  return body;
+}
+
+/**
+ * Vérifie la signature et la fraîcheur d'un QR code signé.
+ * Lève une QRSignatureError dont le code distingue la falsification
+ * (INVALID, UNKNOWN_KEY, MALFORMED) d'une signature périmée (STALE).
+ * @param {string} qrCode - Contenu scanné
+ * @param {Object} options - { keyRing, maxAgeSeconds, now }
+ * @returns {Object} Claims : { keyId, ticketId, eventId, ticketTypeId, issuedAt }
+ */
+function verifyTicketPayload(qrCode, options = {}) {
+  const keyRing = options.keyRing || loadKeyRing();
+  const maxAgeSeconds = options.maxAgeSeconds !== undefined ? options.maxAgeSeconds : QR_SIGNATURE_MAX_AGE_SECONDS;
+  const now = options.now || new Date();
+
+  const body = decodeTicketPayload(qrCode);
+  const [, encodedPayload, signature] = qrCode.split('.');
+
+  const secret = keyRing.keys.get(String(body.kid));
+  if (!secret) {
+    throw new QRSignatureError(`Unknown or retired QR signing key: ${body.kid}`, QR_ERROR_CODES.UNKNOWN_KEY);
+  }
+
+  const expected = computeSignature(encodedPayload, secret);
+  const provided = Buffer.from(signature, 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new QRSignatureError('QR code signature is invalid', QR_ERROR_CODES.INVALID);
+  }
+
+  const issuedAt = new Date(body.iat * 1000);
+  if (maxAgeSeconds > 0 && now.getTime() - issuedAt.getTime() > maxAgeSeconds * 1000) {
+    throw new QRSignatureError('QR code signature has expired', QR_ERROR_CODES.STALE);
+  }
+
+  return {
+    keyId: body.kid,
+    ticketId: body.tid,
+    eventId: body.eid,
+    ticketTypeId: body.typ,
+    issuedAt
+  };
+}
+
+/**
+ * Signe un document (bundle hors ligne) avec la clé active du trousseau.
+ * Le document est sérialisé puis encodé : l'appareil vérifie la signature
+ * sur "EPT1-DOC.<payload>" avant de décoder le contenu.
+ * @param {Object} document - Contenu à signer
+ * @returns {{ key_id: string, algorithm: string, payload: string, signature: string }}
+ */
+function signDocument(document, keyRing = loadKeyRing()) {
+  const { activeKeyId, keys } = keyRing;
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new Error('QR signing key is not configured (QR_SIGNING_KEYS / QR_SIGNING_KEY_ID)');
+  }
+
+  const payload = toBase64Url(JSON.stringify(document));
+  return {
+    key_id: activeKeyId,
+    algorithm: 'HMAC-SHA256',
+    payload,
+    signature: toBase64Url(computeSignature(payload, keys.get(activeKeyId), DOCUMENT_SIGNATURE_DOMAIN))
+  };
+}
+
+module.exports = {
+  QR_PAYLOAD_PREFIX,
+  QR_ERROR_CODES,
+  QRSignatureError,
+  loadKeyRing,
+  isSignedPayload,
+  signTicketPayload,
+  decodeTicketPayload,
+  verifyTicketPayload,
+  signDocument
+};
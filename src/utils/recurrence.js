@@ -0,0 +1,241 @@
+/**
+ * ========================================
+ * UTILITAIRES DE RÉCURRENCE (RRULE)
+ * ========================================
+ * Expansion des règles de récurrence des séries d'événements.
+ * Sous-ensemble de la RFC 5545 : FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL,
+ * BYDAY (hebdomadaire uniquement), UNTIL et COUNT.
+ */
+
+const { toWallClock, fromWallClock } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Garde-fou : une série ne génère jamais plus d'occurrences que cette limite
+const MAX_OCCURRENCES = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalise une règle de récurrence reçue de l'API ou de la base
+ * @param {Object} rule - Règle brute (frequency, interval, by_weekday, until, count)
+ * @returns {Object} Règle normalisée
+ */
+function normalizeRule(rule = {}) {
+  const frequency = String(rule.frequency || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Fréquence de récurrence invalide: ${rule.frequency}`);
+  }
+
+  const interval = parseInt(rule.interval || rule.interval_count || 1);
+  if (isNaN(interval) || interval < 1) {
+    throw new Error('L\'intervalle de récurrence doit être un entier positif');
+  }
+
+  const byWeekday = (rule.by_weekday || [])
+    .map(day => String(day).toUpperCase())
+    .filter((day, index, days) => days.indexOf(day) === index);
+  const invalidDay = byWeekday.find(day => !WEEKDAYS.includes(day));
+  if (invalidDay) {
+    throw new Error(`Jour de semaine invalide: ${invalidDay}`);
+  }
+
+  const until = rule.until || rule.until_date ? new Date(rule.until || rule.until_date) : null;
+  const count = rule.count || rule.occurrence_count ? parseInt(rule.count || rule.occurrence_count) : null;
+
+  if (!until && !count) {
+    throw new Error('Une série doit avoir une date de fin (until) ou un nombre d\'occurrences (count)');
+  }
+  if (count && count > MAX_OCCURRENCES) {
+    throw new Error(`Une série ne peut pas dépasser ${MAX_OCCURRENCES} occurrences`);
+  }
+
+  return {
+    frequency,
+    interval,
+    by_weekday: frequency === 'weekly' ? byWeekday : [],
+    until,
+    count
+  };
+}
+
+/**
+ * Clé jour (YYYY-MM-DD) utilisée pour faire correspondre les exceptions.
+ * Les dates sans heure sont prises telles quelles ; les autres sont
+ * ramenées au jour local du fuseau fourni (UTC par défaut).
+ * @param {Date|string} date
+ * @param {string} timezone - Fuseau IANA optionnel
+ * @returns {string}
+ */
+function dayKey(date, timezone = null) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  const value = timezone ? toWallClock(date, timezone) : new Date(date);
+  return value.toISOString().slice(0, 10);
+}
+
+/**
+ * Ajoute des mois à une date en conservant le jour du mois.
+ * Retourne null si le jour n'existe pas dans le mois cible (ex: 31 février),
+ * conformément à la RFC 5545 qui ignore ces occurrences.
+ */
+function addMonthsStrict(date, months) {
+  const target = new Date(date.getTime());
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  if (date.getUTCDate() > lastDay) {
+    return null;
+  }
+  target.setUTCDate(date.getUTCDate());
+  return target;
+}
+
+/**
+ * Génère les dates candidates d'une période (jour, semaine ou mois) de la série
+ */
+function candidatesForPeriod(dtstart, rule, periodIndex) {
+  const step = periodIndex * rule.interval;
+
+  if (rule.frequency === 'daily') {
+    return [new Date(dtstart.getTime() + step * DAY_MS)];
+  }
+
+  if (rule.frequency === 'monthly') {
+    const candidate = addMonthsStrict(dtstart, step);
+    return candidate ? [candidate] : [];
+  }
+
+  // Hebdomadaire : semaine ISO démarrant le lundi
+  const startDay = (dtstart.getUTCDay() + 6) % 7;
+  const weekStart = new Date(dtstart.getTime() - startDay * DAY_MS + step * 7 * DAY_MS);
+  const days = rule.by_weekday.length > 0 ? rule.by_weekday : [WEEKDAYS[dtstart.getUTCDay()]];
+
+  return days
+    .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+    .sort((a, b) => a - b)
+    .map(offset => new Date(weekStart.getTime() + offset * DAY_MS));
+}
+
+/**
+ * Développe une règle de récurrence en liste d'occurrences
+ * La première occurrence est toujours dtstart (RFC 5545).
+ * Avec un fuseau, la règle est appliquée sur l'heure locale : une série à 19h
+ * reste à 19h de part et d'autre d'un changement d'heure.
+ * @param {Date|string} dtstart - Début de la première occurrence
+ * @param {Object} rule - Règle de récurrence
+ * @param {Object} options - { exceptions: dates exclues (comparées au jour près), timezone: fuseau IANA }
+ * @returns {{ occurrences: Date[], excluded: Date[] }} Occurrences retenues et exclues
+ */
+function expandOccurrences(dtstart, rule, options = {}) {
+  const start = new Date(dtstart);
+  if (isNaN(start.getTime())) {
+    throw new Error('Date de début de série invalide');
+  }
+
+  const { timezone = null } = options;
+  const normalized = normalizeRule(rule);
+  const exceptionDays = new Set((options.exceptions || []).map(date => dayKey(date, timezone)));
+  const occurrences = [];
+  const excluded = [];
+  let generated = 0;
+
+  // Calcul sur l'heure murale du fuseau, puis reconversion en instant réel
+  const wallStart = timezone ? toWallClock(start, timezone) : start;
+  const toInstant = (wallDate) => (timezone ? fromWallClock(wallDate, timezone) : wallDate);
+
+  const accept = (date) => {
+    generated++;
+    if (exceptionDays.has(dayKey(date, timezone))) {
+      excluded.push(date);
+    } else {
+      occurrences.push(date);
+    }
+  };
+
+  accept(start);
+
+  for (let period = 0; generated < MAX_OCCURRENCES; period++) {
+    const candidates = candidatesForPeriod(wallStart, normalized, period);
+    let reachedEnd = false;
+
+    for (const wallCandidate of candidates) {
+      if (wallCandidate.getTime() <= wallStart.getTime()) {
+        continue;
+      }
+      const candidate = toInstant(wallCandidate);
+      if (normalized.until && candidate.getTime() > normalized.until.getTime()) {
+        reachedEnd = true;
+        break;
+      }
+      if (normalized.count && generated >= normalized.count) {
+        reachedEnd = true;
+        break;
+      }
+      accept(candidate);
+    }
+
+    if (reachedEnd || (normalized.count && generated >= normalized.count)) {
+      break;
+    }
+  }
+
+  return { occurrences, excluded };
+}
+
+/**
+ * Décale les jours BYDAY d'une règle hebdomadaire (ex: MO,WE décalés de +1 => TU,TH)
+ * @param {Array<string>} byWeekday - Jours de la règle
+ * @param {number} dayShift - Décalage en jours (peut être négatif)
+ * @returns {Array<string>}
+ */
+function shiftWeekdays(byWeekday = [], dayShift = 0) {
+  return byWeekday.map(day => {
+    const index = WEEKDAYS.indexOf(String(day).toUpperCase());
+    return WEEKDAYS[(((index + dayShift) % 7) + 7) % 7];
+  });
+}
+
+/**
+ * Formate une date au format iCalendar UTC (YYYYMMDDTHHMMSSZ)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatICSDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+/**
+ * Construit la valeur RRULE d'une série
+ * @param {Object} rule - Règle de récurrence (format API ou base)
+ * @returns {string} ex: FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;UNTIL=20250630T000000Z
+ */
+function toRRuleString(rule) {
+  const normalized = normalizeRule(rule);
+  const parts = [`FREQ=${normalized.frequency.toUpperCase()}`, `INTERVAL=${normalized.interval}`];
+
+  if (normalized.by_weekday.length > 0) {
+    parts.push(`BYDAY=${normalized.by_weekday.join(',')}`);
+  }
+  if (normalized.until) {
+    parts.push(`UNTIL=${formatICSDate(normalized.until)}`);
+  } else if (normalized.count) {
+    parts.push(`COUNT=${normalized.count}`);
+  }
+
+  return parts.join(';');
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  normalizeRule,
+  expandOccurrences,
+  formatICSDate,
+  toRRuleString,
+  shiftWeekdays,
+  dayKey
+};
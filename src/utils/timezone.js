@@ -0,0 +1,157 @@
+/**
+ * ========================================
+ * UTILITAIRES DE FUSEAUX HORAIRES (IANA)
+ * ========================================
+ * Conversion entre instants UTC et heure locale d'un fuseau IANA
+ * (ex: Europe/Paris) via Intl, sans dépendance externe.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_EVENT_TIMEZONE || 'UTC';
+
+// Durée appliquée lorsqu'un événement n'a pas de date de fin
+const DEFAULT_EVENT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Vérifie qu'un identifiant de fuseau IANA est reconnu par le runtime
+ * @param {string} timezone - ex: Europe/Paris
+ * @returns {boolean}
+ */
+function isValidTimeZone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Composantes de l'heure locale d'un instant dans un fuseau
+ * @param {Date|string} date
+ * @param {string} timezone
+ * @returns {{ year, month, day, hour, minute, second }}
+ */
+function getZonedParts(date, timezone = DEFAULT_TIMEZONE) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Représente l'heure locale d'un instant sous forme de Date "UTC naïve"
+ * (les getters UTC retournent l'heure murale du fuseau)
+ */
+function toWallClock(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+}
+
+/**
+ * Convertit une heure murale (Date "UTC naïve") en instant réel dans le fuseau.
+ * Gère les changements d'heure en recalculant le décalage au point obtenu.
+ */
+function fromWallClock(wallClock, timezone = DEFAULT_TIMEZONE) {
+  const wallMs = new Date(wallClock).getTime();
+  const offsetAt = (instantMs) => toWallClock(new Date(instantMs), timezone).getTime() - instantMs;
+
+  let instant = wallMs - offsetAt(wallMs);
+  const correctedOffset = offsetAt(instant);
+  if (wallMs - correctedOffset !== instant) {
+    instant = wallMs - correctedOffset;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Date locale (jour) d'un instant dans un fuseau
+ * @returns {string} ex: 15/06/2026
+ */
+function formatDateInTimeZone(date, timezone = DEFAULT_TIMEZONE, locale = 'fr-FR') {
+  return new Date(date).toLocaleDateString(locale, { timeZone: timezone });
+}
+
+/**
+ * Heure locale (HH:MM) d'un instant dans un fuseau
+ * @returns {string} ex: 18:00
+ */
+function formatTimeInTimeZone(date, timezone = DEFAULT_TIMEZONE, locale = 'fr-FR') {
+  return new Date(date).toLocaleTimeString(locale, {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Libellés date/heure d'un événement, en tenant compte de sa date de fin
+ * et de son fuseau. Un événement sur plusieurs jours affiche une plage de dates.
+ * @param {Object} event - { event_date, end_date, timezone }
+ * @param {string} locale
+ * @returns {{ date, time, endDate, endTime, timezone, isMultiDay }}
+ */
+function formatEventSchedule(event, locale = 'fr-FR') {
+  const timezone = isValidTimeZone(event.timezone) ? event.timezone : DEFAULT_TIMEZONE;
+  const start = new Date(event.event_date);
+  const end = event.end_date ? new Date(event.end_date) : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MS);
+
+  const startDate = formatDateInTimeZone(start, timezone, locale);
+  const endDate = formatDateInTimeZone(end, timezone, locale);
+  const startTime = formatTimeInTimeZone(start, timezone, locale);
+  const endTime = formatTimeInTimeZone(end, timezone, locale);
+  const isMultiDay = startDate !== endDate;
+
+  return {
+    date: isMultiDay ? `${startDate} - ${endDate}` : startDate,
+    time: event.end_date ? `${startTime} - ${endTime}` : startTime,
+    startDate,
+    startTime,
+    endDate,
+    endTime,
+    timezone,
+    isMultiDay
+  };
+}
+
+/**
+ * Date de fin effective d'un événement (end_date ou durée par défaut)
+ * @param {Object} event - { event_date, end_date }
+ * @returns {Date}
+ */
+function getEventEndDate(event) {
+  return event.end_date
+    ? new Date(event.end_date)
+    : new Date(new Date(event.event_date).getTime() + DEFAULT_EVENT_DURATION_MS);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_EVENT_DURATION_MS,
+  isValidTimeZone,
+  getZonedParts,
+  toWallClock,
+  fromWallClock,
+  formatDateInTimeZone,
+  formatTimeInTimeZone,
+  formatEventSchedule,
+  getEventEndDate
+};
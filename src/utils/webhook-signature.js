@@ -0,0 +1,161 @@
+/**
+ * ========================================
+ * SIGNATURE DES WEBHOOKS INTER-SERVICES
+ * ========================================
+ * Le service émetteur signe en HMAC-SHA256 (hex) la chaîne
+ * "<X-Timestamp>.<corps brut de la requête>" avec le secret partagé et
+ * l'envoie dans X-Webhook-Signature (préfixe "sha256=" accepté).
+ * X-Timestamp est en secondes Unix ou au format ISO 8601 ; une requête
+ * dont l'horodatage s'écarte de plus de WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS
+ * est refusée (rejeu).
+ *
+ * Rotation : le secret peut contenir plusieurs valeurs séparées par des
+ * virgules, toutes acceptées en vérification.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS) || 300;
+
+// Secret partagé par service émetteur
+const WEBHOOK_SECRET_ENV = {
+  'payment-service': 'PAYMENT_WEBHOOK_SECRET',
+  'ticket-generator-service': 'TICKET_WEBHOOK_SECRET'
+};
+
+const WEBHOOK_ERROR_CODES = {
+  NOT_CONFIGURED: 'WEBHOOK_SECRET_NOT_CONFIGURED',
+  MISSING: 'WEBHOOK_SIGNATURE_MISSING',
+  TIMESTAMP_INVALID: 'WEBHOOK_TIMESTAMP_INVALID',
+  TIMESTAMP_OUT_OF_TOLERANCE: 'WEBHOOK_TIMESTAMP_OUT_OF_TOLERANCE',
+  INVALID: 'WEBHOOK_SIGNATURE_INVALID'
+};
+
+class WebhookSignatureError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.code = code;
+  }
+}
+
+/**
+ * Secrets acceptés pour un service émetteur
+ * @returns {string[]}
+ */
+function loadWebhookSecrets(source, env = process.env) {
+  const raw = env[WEBHOOK_SECRET_ENV[source]] || '';
+  return raw.split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+/**
+ * Horodatage en millisecondes (secondes Unix ou ISO 8601)
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return NaN;
+  }
+  if (/^\d+$/.test(String(value))) {
+    return parseInt(value) * 1000;
+  }
+  return new Date(value).getTime();
+}
+
+function computeSignature(timestamp, rawBody, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Signe un corps de webhook (tests et services émetteurs)
+ * @returns {{ timestamp: string, signature: string }}
+ */
+function signWebhookPayload(rawBody, secret, timestamp = String(Math.floor(Date.now() / 1000))) {
+  return { timestamp, signature: computeSignature(timestamp, rawBody, secret) };
+}
+
+/**
+ * Vérifie la signature et l'horodatage d'un webhook
+ * @param {Object} options - { source, rawBody, signature, timestamp, now }
+ * @throws {WebhookSignatureError}
+ */
+function verifyWebhookSignature({ source, rawBody, signature, timestamp, now = Date.now() }) {
+  const secrets = loadWebhookSecrets(source);
+  if (secrets.length === 0) {
+    throw new WebhookSignatureError(`Webhook secret is not configured for ${source}`, WEBHOOK_ERROR_CODES.NOT_CONFIGURED);
+  }
+  if (!signature || rawBody === undefined || rawBody === null) {
+    throw new WebhookSignatureError('Webhook signature is missing', WEBHOOK_ERROR_CODES.MISSING);
+  }
+
+  const sentAt = parseTimestamp(timestamp);
+  if (isNaN(sentAt)) {
+    throw new WebhookSignatureError('Webhook timestamp is missing or invalid', WEBHOOK_ERROR_CODES.TIMESTAMP_INVALID);
+  }
+  if (Math.abs(now - sentAt) > WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS * 1000) {
+    throw new WebhookSignatureError('Webhook timestamp is outside the tolerance window', WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE);
+  }
+
+  const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  const valid = secrets.some(secret => {
+    const expected = Buffer.from(computeSignature(timestamp, rawBody, secret), 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!valid) {
+    throw new WebhookSignatureError('Webhook signature is invalid', WEBHOOK_ERROR_CODES.INVALID);
+  }
+}
+
+/**
+ * Vérifie un webhook reçu par Express (corps brut capturé par express.json)
+ * @returns {{ valid: boolean, code?: string, error?: string }}
+ */
+function verifyWebhookRequest(req, source) {
+  try {
+    verifyWebhookSignature({
+      source,
+      rawBody: req.rawBody,
+      signature: req.headers['x-webhook-signature'],
+      timestamp: req.headers['x-timestamp']
+    });
+    return { valid: true };
+  } catch (error) {
+    if (error instanceof WebhookSignatureError) {
+      return { valid: false, code: error.code, error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Identifiant de livraison utilisé pour la déduplication :
+ * X-Webhook-Id, webhookId du corps, à défaut X-Request-ID
+ */
+function getWebhookEventId(req) {
+  const id = req.headers['x-webhook-id'] || (req.body && req.body.webhookId) || req.headers['x-request-id'];
+  return id ? String(id).slice(0, 255) : null;
+}
+
+/**
+ * Conserve le corps brut des webhooks (option verify d'express.json)
+ */
+function captureRawBody(req, res, buffer) {
+  if (req.originalUrl && req.originalUrl.includes('webhook')) {
+    req.rawBody = buffer;
+  }
+}
+
+module.exports = {
+  WEBHOOK_ERROR_CODES,
+  WebhookSignatureError,
+  loadWebhookSecrets,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  verifyWebhookRequest,
+  getWebhookEventId,
+  captureRawBody
+};
@@ -0,0 +1,70 @@
+/**
+ * Schémas de validation des billets de don (montant libre)
+ * Réglages du type de billet et montant choisi par l'acheteur
+ */
+
+const Joi = require('joi');
+
+/**
+ * Réglages d'un type de billet 'donation'
+ */
+const donationSettingsSchema = Joi.object({
+  donation_min_amount: Joi.number().min(0).precision(2).allow(null).description('Montant minimum du don'),
+  donation_suggested_amounts: Joi.array()
+    .items(Joi.number().positive().precision(2))
+    .unique()
+    .max(10)
+    .description('Montants suggérés à l\'acheteur')
+});
+
+/**
+ * Montant choisi par l'acheteur
+ */
+const donationAmountSchema = Joi.number().positive().precision(2).required().description('Montant du don');
+
+/**
+ * Valide les réglages de don d'un type de billet
+ * @returns {string[]} Messages d'erreur (vide si valide)
+ */
+function validateDonationSettings(settings) {
+  const { error, value } = donationSettingsSchema.validate(settings, { abortEarly: false, allowUnknown: true });
+  if (error) {
+    return error.details.map(detail => detail.message);
+  }
+
+  const minimum = value.donation_min_amount;
+  const tooLow = (value.donation_suggested_amounts || []).filter(amount => minimum && amount < minimum);
+  if (tooLow.length > 0) {
+    return [`Suggested amounts must be at least ${minimum}: ${tooLow.join(', ')}`];
+  }
+  return [];
+}
+
+/**
+ * Valide le montant d'un don pour un type de billet
+ * @param {Object} ticketType - { name, donation_min_amount }
+ * @returns {string|null} Motif du refus
+ */
+function validateDonationAmount(ticketType, amount) {
+  // Sans conversion, Joi arrondirait au lieu de refuser plus de deux décimales
+  const numeric = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+  const { error, value } = donationAmountSchema.validate(numeric, { convert: false });
+  if (error) {
+    return `A donation amount is required for ${ticketType.name || 'this ticket type'} (positive, 2 decimals max)`;
+  }
+
+  const minimum = ticketType.donation_min_amount !== null && ticketType.donation_min_amount !== undefined
+    ? parseFloat(ticketType.donation_min_amount)
+    : null;
+  if (minimum !== null && value < minimum) {
+    return `Donation for ${ticketType.name || 'this ticket type'} must be at least ${minimum}`;
+  }
+  return null;
+}
+
+module.exports = {
+  donationSettingsSchema,
+  donationAmountSchema,
+  validateDonationSettings,
+  validateDonationAmount
+};
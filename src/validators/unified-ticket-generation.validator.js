@@ -11,6 +11,7 @@ const Joi = require('joi');
 const enrichedTicketDataSchema = Joi.object({
   ticket_id: Joi.number().integer().positive().required().description('ID du ticket'),
   ticket_code: Joi.string().required().description('Code unique du ticket'),
+  qr_payload: Joi.string().allow(null).optional().description('Charge utile signée à encoder dans le QR code'),
   guest: Joi.object({
     name: Joi.string().required().description('Nom complet de l\'invité'),
     phone: Joi.string().optional().description('Téléphone de l\'invité'),
@@ -30,6 +31,10 @@ const enrichedTicketDataSchema = Joi.object({
     title: Joi.string().required().description('Titre de l\'événement'),
     location: Joi.string().required().description('Lieu de l\'événement'),
     date: Joi.string().isoDate().required().description('Date de l\'événement'),
+    end_date: Joi.string().isoDate().allow(null).optional().description('Date de fin de l\'événement'),
+    timezone: Joi.string().optional().description('Fuseau horaire IANA de l\'événement'),
+    date_label: Joi.string().optional().description('Date localisée dans le fuseau de l\'événement'),
+    time_label: Joi.string().optional().description('Heure localisée dans le fuseau de l\'événement'),
     organizer_name: Joi.string().allow('').optional().description('Nom de l\'organisateur')
   }).required()
 }).required();
@@ -0,0 +1,160 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - CONVERSION DE DEVISES
+ * ========================================
+ * Conversion vers la devise de reporting au taux en vigueur à la date
+ * du montant (taux direct ou inverse), montants sans taux et saisie des taux
+ */
+
+jest.mock('../../../../src/modules/currencies/currencies.repository', () => ({
+  transaction: jest.fn(),
+  findRatesAgainst: jest.fn(),
+  upsertRate: jest.fn()
+}));
+
+const currenciesRepository = require('../../../../src/modules/currencies/currencies.repository');
+const currenciesService = require('../../../../src/modules/currencies/currencies.service');
+
+describe('CurrenciesService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    currenciesRepository.findRatesAgainst.mockResolvedValue([
+      { base_currency: 'USD', quote_currency: 'EUR', rate: '0.9000', effective_date: '2026-01-01' },
+      { base_currency: 'USD', quote_currency: 'EUR', rate: '0.8000', effective_date: '2026-03-01' },
+      // Taux inverse : 1 EUR = 655.957 XOF
+      { base_currency: 'EUR', quote_currency: 'XOF', rate: '655.957', effective_date: '2025-01-01' }
+    ]);
+  });
+
+  // ========================================
+  // CONVERTISSEUR
+  // ========================================
+  describe('buildConverter', () => {
+    it('✅ devrait charger les taux des devises sources en une fois', async () => {
+      await currenciesService.buildConverter(['usd', 'EUR', 'XOF', 'USD'], 'EUR');
+
+      expect(currenciesRepository.findRatesAgainst).toHaveBeenCalledTimes(1);
+      expect(currenciesRepository.findRatesAgainst).toHaveBeenCalledWith('EUR', ['USD', 'XOF']);
+    });
+
+    it('✅ devrait appliquer le dernier taux en vigueur à la date du montant', async () => {
+      const convert = await currenciesService.buildConverter(['USD'], 'EUR');
+
+      expect(convert(100, 'USD', '2026-02-15')).toBe(90);
+      expect(convert(100, 'USD', '2026-03-01')).toBe(80);
+    });
+
+    it('✅ devrait utiliser un taux inverse et arrondir dans la devise cible', async () => {
+      const convert = await currenciesService.buildConverter(['XOF'], 'EUR');
+
+      expect(convert(10000, 'XOF', '2026-01-01')).toBe(15.24);
+    });
+
+    it('✅ devrait laisser un montant dans la devise cible inchangé', async () => {
+      const convert = await currenciesService.buildConverter(['EUR'], 'EUR');
+
+      expect(convert('19.999', 'EUR')).toBe(20);
+      expect(currenciesRepository.findRatesAgainst).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait retourner null sans taux connu à la date', async () => {
+      const convert = await currenciesService.buildConverter(['USD', 'GBP'], 'EUR');
+
+      expect(convert(100, 'USD', '2025-12-31')).toBeNull();
+      expect(convert(100, 'GBP', '2026-06-01')).toBeNull();
+    });
+  });
+
+  describe('convert', () => {
+    it('✅ devrait convertir un montant à une date', async () => {
+      const result = await currenciesService.convert({ amount: '50', from: 'usd', to: 'eur', date: '2026-02-01' });
+
+      expect(result).toEqual({
+        success: true,
+        data: { amount: 50, from: 'USD', to: 'EUR', date: '2026-02-01', converted_amount: 45 }
+      });
+    });
+
+    it('❌ devrait signaler un taux manquant', async () => {
+      const result = await currenciesService.convert({ amount: 50, from: 'USD', to: 'EUR', date: '2025-06-01' });
+
+      expect(result).toMatchObject({ success: false, code: 'EXCHANGE_RATE_MISSING' });
+    });
+
+    it('❌ devrait refuser un code de devise inconnu', async () => {
+      const result = await currenciesService.convert({ amount: 50, from: 'ABC', to: 'EUR' });
+
+      expect(result.details).toEqual(['from and to must be ISO 4217 currency codes']);
+    });
+  });
+
+  // ========================================
+  // SAISIE DES TAUX
+  // ========================================
+  describe('setRate', () => {
+    it('✅ devrait enregistrer un taux avec sa date d\'effet', async () => {
+      currenciesRepository.upsertRate.mockImplementation(async rate => rate);
+
+      const result = await currenciesService.setRate({
+        base_currency: 'usd',
+        quote_currency: 'EUR',
+        rate: 0.92,
+        effective_date: '2026-04-01'
+      }, 1);
+
+      expect(result.success).toBe(true);
+      expect(currenciesRepository.upsertRate).toHaveBeenCalledWith(expect.objectContaining({
+        base_currency: 'USD',
+        quote_currency: 'EUR',
+        effective_date: '2026-04-01',
+        source: 'manual',
+        userId: 1
+      }));
+    });
+
+    it('❌ devrait refuser un taux d\'une devise vers elle-même', async () => {
+      const result = await currenciesService.setRate({ base_currency: 'EUR', quote_currency: 'eur', rate: 1 }, 1);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Invalid exchange rate',
+        details: ['"quote_currency" must differ from base_currency']
+      });
+      expect(currenciesRepository.upsertRate).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un code de devise inconnu', async () => {
+      const result = await currenciesService.setRate({ base_currency: 'EUR', quote_currency: 'ABC', rate: 1 }, 1);
+
+      expect(result.details).toEqual(['"quote_currency" must be an ISO 4217 currency code']);
+    });
+  });
+
+  describe('importRates', () => {
+    it('✅ devrait importer un fichier CSV en une transaction', async () => {
+      const client = { query: jest.fn() };
+      currenciesRepository.transaction.mockImplementation(callback => callback(client));
+      currenciesRepository.upsertRate.mockImplementation(async rate => rate);
+
+      const result = await currenciesService.importRates({
+        file: { buffer: Buffer.from('Base_Currency,quote_currency,rate,effective_date\nGBP,EUR,1.17,2026-04-01\nUSD,EUR,0.92,2026-04-01\n') }
+      }, 1);
+
+      expect(result.data.imported).toBe(2);
+      expect(currenciesRepository.upsertRate).toHaveBeenCalledWith(expect.objectContaining({ base_currency: 'GBP', source: 'import' }), client);
+    });
+
+    it('❌ devrait refuser tout le fichier si une ligne est invalide', async () => {
+      const result = await currenciesService.importRates({
+        rates: [
+          { base_currency: 'GBP', quote_currency: 'EUR', rate: 1.17 },
+          { base_currency: 'GBP', quote_currency: 'EUR', rate: -1 }
+        ]
+      }, 1);
+
+      expect(result).toMatchObject({ success: false, error: 'Invalid exchange rates' });
+      expect(result.details[0]).toMatch(/^Row 2:/);
+      expect(currenciesRepository.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - REPRISE DES TYPES DE BILLETS D'UNE SÉRIE
+ * ========================================
+ * Copie des types de billets vers une occurrence : période de vente et
+ * paliers de prix décalés de l'écart entre les deux événements
+ */
+
+jest.mock('../../../../src/config', () => ({
+  database: {
+    query: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+const eventSeriesRepository = require('../../../../src/modules/events/event-series.repository');
+
+const SHIFT = '(target.event_date - source.event_date)';
+
+function normalizeSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+describe('EventSeriesRepository - copyTicketTypes', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn(async (sql) => {
+        if (sql.startsWith('SELECT id FROM ticket_types')) {
+          return { rows: [{ id: 11 }, { id: 12 }] };
+        }
+        if (sql.includes('INSERT INTO ticket_types')) {
+          return { rows: [{ id: 100 + client.query.mock.calls.length }] };
+        }
+        return { rows: [], rowCount: 0 };
+      })
+    };
+  });
+
+  it('✅ devrait copier chaque type de billet avec ses paliers', async () => {
+    const count = await eventSeriesRepository.copyTicketTypes(1, 2, 7, client);
+
+    expect(count).toBe(2);
+    const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ticket_types'));
+    expect(inserts.map(([, params]) => params)).toEqual([[11, 2, 7], [12, 2, 7]]);
+    const tiers = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ticket_price_tiers'));
+    expect(tiers).toHaveLength(2);
+    expect(tiers[0][1]).toEqual([11, expect.any(Number), 1, 2, 7]);
+  });
+
+  it('✅ devrait décaler la période de vente de l\'écart entre les événements', async () => {
+    await eventSeriesRepository.copyTicketTypes(1, 2, 7, client);
+
+    const [sql] = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO ticket_types'));
+    const normalized = normalizeSql(sql);
+    expect(normalized).toContain(`tt.available_from + ${SHIFT}`);
+    expect(normalized).toContain(`tt.available_to + ${SHIFT}`);
+    expect(normalized).toContain('JOIN events source ON source.id = tt.event_id');
+    expect(normalized).toContain('JOIN events target ON target.id = $2');
+  });
+
+  it('✅ devrait décaler les paliers de prix du même écart', async () => {
+    await eventSeriesRepository.copyTicketTypes(1, 2, 7, client);
+
+    const [sql] = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO ticket_price_tiers'));
+    const normalized = normalizeSql(sql);
+    expect(normalized).toContain(`pt.starts_at + ${SHIFT}`);
+    expect(normalized).toContain(`pt.ends_at + ${SHIFT}`);
+  });
+
+  it('✅ ne devrait rien copier sans type de billet', async () => {
+    client.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await eventSeriesRepository.copyTicketTypes(1, 2, 7, client)).toBe(0);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
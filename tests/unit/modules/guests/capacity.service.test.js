@@ -0,0 +1,217 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - CAPACITÉ ET LISTE D'ATTENTE
+ * ========================================
+ * Attribution des places (globales et par type de billet), positions en
+ * liste d'attente, restitution d'une place et promotion des invités
+ */
+
+jest.mock('../../../../src/config', () => ({
+  database: { transaction: jest.fn() }
+}));
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  lockEventCapacity: jest.fn(),
+  getCapacityUsage: jest.fn(),
+  findWaitlist: jest.fn(),
+  promoteFromWaitlist: jest.fn()
+}));
+jest.mock('../../../../src/modules/events/events.repository', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../../../shared/clients/notification-client', () => ({
+  sendEmail: jest.fn()
+}), { virtual: true });
+
+const { database } = require('../../../../src/config');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const eventsRepository = require('../../../../src/modules/events/events.repository');
+const notificationClient = require('../../../../../shared/clients/notification-client');
+const capacityService = require('../../../../src/modules/guests/capacity.service');
+
+function buildSnapshot(overrides = {}) {
+  return {
+    eventId: 1,
+    maxAttendees: 2,
+    activeGuests: 0,
+    waitlistedGuests: 0,
+    nextWaitlistPosition: 1,
+    ticketTypes: new Map([
+      ['10', { id: 10, name: 'VIP', capacity: 1, activeGuests: 0 }],
+      ['11', { id: 11, name: 'Standard', capacity: null, activeGuests: 0 }]
+    ]),
+    ...overrides
+  };
+}
+
+describe('CapacityService', () => {
+  const client = { query: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.transaction.mockImplementation(callback => callback(client));
+  });
+
+  // ========================================
+  // PHOTOGRAPHIE DE L'OCCUPATION
+  // ========================================
+  describe('getSnapshot', () => {
+    it('✅ devrait construire la photographie de l\'événement verrouillé', async () => {
+      guestsRepository.lockEventCapacity.mockResolvedValue({ id: 1, max_attendees: 50 });
+      guestsRepository.getCapacityUsage.mockResolvedValue({
+        active_guests: '12',
+        waitlisted_guests: '3',
+        last_waitlist_position: '7',
+        ticket_types: [
+          { id: 10, name: 'VIP', quantity: 5, active_guests: '5' },
+          { id: 11, name: 'Standard', quantity: 0, active_guests: '7' }
+        ]
+      });
+
+      const snapshot = await capacityService.getSnapshot(1, client);
+
+      expect(guestsRepository.lockEventCapacity).toHaveBeenCalledWith(1, client);
+      expect(snapshot).toMatchObject({ maxAttendees: 50, activeGuests: 12, waitlistedGuests: 3, nextWaitlistPosition: 8 });
+      expect(snapshot.ticketTypes.get('10').capacity).toBe(5);
+      // quantity = 0 : type de billet illimité
+      expect(snapshot.ticketTypes.get('11').capacity).toBeNull();
+    });
+
+    it('❌ devrait échouer si l\'événement n\'existe pas', async () => {
+      guestsRepository.lockEventCapacity.mockResolvedValue(null);
+
+      await expect(capacityService.getSnapshot(99, client)).rejects.toThrow('Event not found');
+    });
+  });
+
+  // ========================================
+  // ATTRIBUTION DES PLACES
+  // ========================================
+  describe('allocate', () => {
+    it('✅ devrait attribuer une place tant que l\'événement n\'est pas complet', () => {
+      const snapshot = buildSnapshot();
+
+      expect(capacityService.allocate(snapshot)).toEqual({ status: 'pending', waitlist_position: null });
+      expect(snapshot.activeGuests).toBe(1);
+    });
+
+    it('✅ devrait placer en liste d\'attente avec des positions croissantes', () => {
+      const snapshot = buildSnapshot({ activeGuests: 2 });
+
+      expect(capacityService.allocate(snapshot)).toEqual({ status: 'waitlisted', waitlist_position: 1 });
+      expect(capacityService.allocate(snapshot)).toEqual({ status: 'waitlisted', waitlist_position: 2 });
+      expect(snapshot.waitlistedGuests).toBe(2);
+      expect(snapshot.activeGuests).toBe(2);
+    });
+
+    it('✅ devrait appliquer la limite du type de billet', () => {
+      const snapshot = buildSnapshot();
+
+      expect(capacityService.allocate(snapshot, 10).status).toBe('pending');
+      expect(capacityService.allocate(snapshot, 10).status).toBe('waitlisted');
+      expect(capacityService.allocate(snapshot, 11).status).toBe('pending');
+      expect(snapshot.ticketTypes.get('10').activeGuests).toBe(1);
+    });
+
+    it('✅ devrait ignorer la limite globale quand elle n\'est pas définie', () => {
+      const snapshot = buildSnapshot({ maxAttendees: null, activeGuests: 500 });
+
+      expect(capacityService.allocate(snapshot, 11).status).toBe('pending');
+    });
+
+    it('❌ devrait refuser un type de billet d\'un autre événement', () => {
+      expect(() => capacityService.allocate(buildSnapshot(), 99)).toThrow('Ticket type 99 not found for this event');
+    });
+  });
+
+  describe('release', () => {
+    it('✅ devrait rendre une place attribuée', () => {
+      const snapshot = buildSnapshot();
+      const allocation = capacityService.allocate(snapshot, 10);
+
+      capacityService.release(snapshot, allocation, 10);
+
+      expect(snapshot.activeGuests).toBe(0);
+      expect(snapshot.ticketTypes.get('10').activeGuests).toBe(0);
+    });
+
+    it('✅ devrait réutiliser la dernière position de liste d\'attente', () => {
+      const snapshot = buildSnapshot({ activeGuests: 2 });
+      const allocation = capacityService.allocate(snapshot);
+
+      capacityService.release(snapshot, allocation);
+
+      expect(snapshot.waitlistedGuests).toBe(0);
+      expect(capacityService.allocate(snapshot).waitlist_position).toBe(1);
+    });
+
+    it('✅ devrait conserver la position suivante si une autre a été attribuée depuis', () => {
+      const snapshot = buildSnapshot({ activeGuests: 2 });
+      const first = capacityService.allocate(snapshot);
+      capacityService.allocate(snapshot);
+
+      capacityService.release(snapshot, first);
+
+      expect(snapshot.nextWaitlistPosition).toBe(3);
+    });
+  });
+
+  describe('summarize', () => {
+    it('✅ devrait calculer les places restantes', () => {
+      const snapshot = buildSnapshot({ activeGuests: 1 });
+      snapshot.ticketTypes.get('10').activeGuests = 1;
+
+      const summary = capacityService.summarize(snapshot);
+
+      expect(summary).toMatchObject({ max_attendees: 2, active_guests: 1, remaining: 1 });
+      expect(summary.ticket_types).toEqual([
+        { id: 10, name: 'VIP', capacity: 1, active_guests: 1, remaining: 0 },
+        { id: 11, name: 'Standard', capacity: null, active_guests: 0, remaining: null }
+      ]);
+    });
+  });
+
+  // ========================================
+  // PROMOTION DEPUIS LA LISTE D'ATTENTE
+  // ========================================
+  describe('promoteFromWaitlist', () => {
+    beforeEach(() => {
+      guestsRepository.lockEventCapacity.mockResolvedValue({ id: 1, max_attendees: 2 });
+      guestsRepository.getCapacityUsage.mockResolvedValue({
+        active_guests: 0,
+        waitlisted_guests: 3,
+        last_waitlist_position: 3,
+        ticket_types: [{ id: 10, name: 'VIP', quantity: 1, active_guests: 1 }]
+      });
+      guestsRepository.promoteFromWaitlist.mockImplementation(async (eventGuestId) => ({ id: eventGuestId, status: 'pending' }));
+      eventsRepository.findById.mockResolvedValue({ id: 1, title: 'Gala', event_date: '2026-06-12T18:00:00Z' });
+      notificationClient.sendEmail.mockResolvedValue({ success: true });
+    });
+
+    it('✅ devrait promouvoir dans l\'ordre en sautant les types de billet complets', async () => {
+      guestsRepository.findWaitlist.mockResolvedValue([
+        { event_guest_id: 1, ticket_type_id: 10, email: 'a@example.com', invitation_code: 'A' },
+        { event_guest_id: 2, ticket_type_id: null, email: 'b@example.com', invitation_code: 'B' },
+        { event_guest_id: 3, ticket_type_id: null, email: null, invitation_code: 'C' }
+      ]);
+
+      const promoted = await capacityService.promoteFromWaitlist(1, 7);
+
+      expect(promoted.map(guest => guest.event_guest_id)).toEqual([2, 3]);
+      expect(guestsRepository.promoteFromWaitlist).toHaveBeenCalledWith(2, 7, client);
+      expect(guestsRepository.promoteFromWaitlist).not.toHaveBeenCalledWith(1, 7, client);
+      // Seuls les invités ayant un email sont prévenus
+      expect(notificationClient.sendEmail).toHaveBeenCalledTimes(1);
+      expect(notificationClient.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'b@example.com' }));
+    });
+
+    it('✅ devrait s\'arrêter quand l\'événement est complet', async () => {
+      guestsRepository.getCapacityUsage.mockResolvedValue({ active_guests: 2, ticket_types: [] });
+
+      const promoted = await capacityService.promoteFromWaitlist(1);
+
+      expect(promoted).toEqual([]);
+      expect(guestsRepository.findWaitlist).not.toHaveBeenCalled();
+      expect(notificationClient.sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
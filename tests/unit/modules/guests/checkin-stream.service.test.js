@@ -0,0 +1,220 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - FLUX EN DIRECT DES ENTRÉES
+ * ========================================
+ * Accès réservé à l'organisateur, ouverture du flux SSE, désabonnement à la
+ * fermeture de la connexion et recalcul des statistiques limité dans le temps
+ */
+
+jest.mock('ioredis', () => jest.fn());
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  getLiveCheckInStats: jest.fn()
+}));
+jest.mock('../../../../src/modules/events/events.repository', () => ({
+  findById: jest.fn()
+}));
+
+const { EventEmitter } = require('events');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const eventsRepository = require('../../../../src/modules/events/events.repository');
+const checkInStreamService = require('../../../../src/modules/guests/checkin-stream.service');
+
+function response() {
+  return {
+    status: jest.fn(),
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn()
+  };
+}
+
+// Messages SSE écrits sur la réponse (hors commentaires de maintien)
+function sseMessages(res) {
+  return res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter(chunk => !chunk.startsWith(':'))
+    .map(chunk => {
+      const [, id, type, data] = chunk.match(/^id: (\d+)\nevent: (\w+)\ndata: (.*)\n\n$/);
+      return { id: parseInt(id), type, data: JSON.parse(data) };
+    });
+}
+
+describe('CheckInStreamService', () => {
+  let openRequests;
+
+  async function open(eventId = 3) {
+    const req = new EventEmitter();
+    const res = response();
+    openRequests.push(req);
+    await checkInStreamService.subscribe(eventId, req, res);
+    return { req, res };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2026-05-01T20:00:00Z') });
+    openRequests = [];
+    guestsRepository.getLiveCheckInStats.mockResolvedValue({
+      by_ticket_type: [
+        { ticket_type_id: 1, name: 'Standard', expected: 80, checked_in: 30 },
+        { ticket_type_id: 2, name: 'VIP', expected: 20, checked_in: 12 }
+      ],
+      arrivals_per_minute: [{ minute: '2026-05-01T19:58:00Z', arrivals: 9 }, { minute: '2026-05-01T19:59:00Z', arrivals: 6 }]
+    });
+  });
+
+  afterEach(() => {
+    openRequests.forEach(req => req.emit('close'));
+    checkInStreamService.statsTimers.forEach(timer => clearTimeout(timer));
+    checkInStreamService.statsTimers.clear();
+    jest.useRealTimers();
+  });
+
+  describe('authorize', () => {
+    it('✅ devrait autoriser l\'organisateur de l\'événement', async () => {
+      eventsRepository.findById.mockResolvedValue({ id: 3, organizer_id: 7 });
+
+      expect(await checkInStreamService.authorize(3, '7')).toEqual({ success: true, data: { id: 3, organizer_id: 7 } });
+    });
+
+    it('❌ devrait refuser un autre utilisateur', async () => {
+      eventsRepository.findById.mockResolvedValue({ id: 3, organizer_id: 7 });
+
+      expect(await checkInStreamService.authorize(3, 8)).toEqual({ success: false, error: 'Access denied' });
+    });
+
+    it('❌ devrait signaler un événement inconnu', async () => {
+      eventsRepository.findById.mockResolvedValue(null);
+
+      expect(await checkInStreamService.authorize(3, 7)).toEqual({ success: false, error: 'Event not found' });
+    });
+  });
+
+  describe('subscribe', () => {
+    it('✅ devrait ouvrir le flux SSE avec les statistiques initiales', async () => {
+      const { res } = await open();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no'
+      }));
+      expect(res.flushHeaders).toHaveBeenCalled();
+      expect(sseMessages(res)).toEqual([{
+        id: 1,
+        type: 'stats',
+        data: expect.objectContaining({ event_id: 3, expected: 100, checked_in: 42, arrival_rate_per_minute: 1 })
+      }]);
+      expect(checkInStreamService.hasSubscribers(3)).toBe(true);
+    });
+
+    it('✅ devrait diffuser les entrées et refus aux seuls abonnés de l\'événement', async () => {
+      const { res } = await open(3);
+      const other = await open(4);
+
+      checkInStreamService.publishCheckIn(3, { ticket_id: 40, direction: 'entry', at: '2026-05-01T20:00:00Z' });
+      checkInStreamService.publishCheckIn(3, { ticket_id: 40, direction: 'exit', at: '2026-05-01T20:05:00Z' });
+      checkInStreamService.publishScanFailure(3, { code: 'TICKET_ALREADY_USED', at: '2026-05-01T20:06:00Z' });
+
+      expect(sseMessages(res).slice(1)).toEqual([
+        { id: 2, type: 'checkin', data: { ticket_id: 40, direction: 'entry', event_id: 3, at: '2026-05-01T20:00:00Z' } },
+        { id: 3, type: 'zone_exit', data: { ticket_id: 40, direction: 'exit', event_id: 3, at: '2026-05-01T20:05:00Z' } },
+        { id: 4, type: 'scan_failed', data: { code: 'TICKET_ALREADY_USED', event_id: 3, at: '2026-05-01T20:06:00Z' } }
+      ]);
+      expect(sseMessages(other.res)).toHaveLength(1);
+    });
+
+    it('✅ devrait se désabonner à la fermeture de la connexion', async () => {
+      const { req, res } = await open();
+
+      req.emit('close');
+      checkInStreamService.publishCheckIn(3, { ticket_id: 40 });
+      jest.advanceTimersByTime(60000);
+
+      expect(checkInStreamService.hasSubscribers(3)).toBe(false);
+      expect(res.write).toHaveBeenCalledTimes(1);
+    });
+
+    it('✅ devrait maintenir la connexion ouverte jusqu\'à sa fermeture', async () => {
+      const { req, res } = await open();
+
+      jest.advanceTimersByTime(25000);
+      expect(res.write).toHaveBeenLastCalledWith(': ping\n\n');
+
+      req.emit('close');
+      res.write.mockClear();
+      jest.advanceTimersByTime(60000);
+      expect(res.write).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait ouvrir le flux même si les statistiques échouent', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      guestsRepository.getLiveCheckInStats.mockRejectedValueOnce(new Error('timeout'));
+
+      const { res } = await open();
+
+      expect(res.flushHeaders).toHaveBeenCalled();
+      expect(res.write).not.toHaveBeenCalled();
+      expect(checkInStreamService.hasSubscribers(3)).toBe(true);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('statistiques', () => {
+    it('✅ devrait recalculer une seule fois par intervalle, quel que soit le nombre d\'entrées', async () => {
+      const { res } = await open();
+      guestsRepository.getLiveCheckInStats.mockClear();
+
+      for (let i = 0; i < 5; i++) {
+        checkInStreamService.publishCheckIn(3, { ticket_id: 40 + i });
+      }
+      expect(guestsRepository.getLiveCheckInStats).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(guestsRepository.getLiveCheckInStats).toHaveBeenCalledTimes(1);
+      expect(guestsRepository.getLiveCheckInStats).toHaveBeenCalledWith(3, 15);
+      expect(sseMessages(res).map(message => message.type)).toEqual(['stats', 'checkin', 'checkin', 'checkin', 'checkin', 'checkin', 'stats']);
+
+      // Nouvel intervalle après le recalcul
+      checkInStreamService.publishCheckIn(3, { ticket_id: 50 });
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(guestsRepository.getLiveCheckInStats).toHaveBeenCalledTimes(2);
+    });
+
+    it('✅ ne devrait pas recalculer sans abonné', async () => {
+      checkInStreamService.publishCheckIn(3, { ticket_id: 40 });
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(checkInStreamService.statsTimers.size).toBe(0);
+      expect(guestsRepository.getLiveCheckInStats).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait abandonner le recalcul si le dernier abonné est parti', async () => {
+      const { req } = await open();
+      guestsRepository.getLiveCheckInStats.mockClear();
+
+      checkInStreamService.publishCheckIn(3, { ticket_id: 40 });
+      req.emit('close');
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(guestsRepository.getLiveCheckInStats).not.toHaveBeenCalled();
+      expect(checkInStreamService.statsTimers.size).toBe(0);
+    });
+
+    it('✅ devrait calculer les présents et le taux d\'arrivée par minute', async () => {
+      const stats = await checkInStreamService.getStats(3);
+
+      expect(stats).toEqual({
+        event_id: 3,
+        expected: 100,
+        checked_in: 42,
+        by_ticket_type: expect.any(Array),
+        arrivals_per_minute: expect.any(Array),
+        arrival_rate_per_minute: 1,
+        generated_at: '2026-05-01T20:00:00.000Z'
+      });
+    });
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - IMPORT DES INVITÉS EN TÂCHE DE FOND
+ * ========================================
+ * Import par lots (une transaction par lot), reprise après la dernière ligne
+ * validée, lignes en erreur enregistrées pour le rapport, et place rendue
+ * quand l'insertion d'une ligne est annulée
+ */
+
+// Lots de deux lignes pour observer le découpage
+process.env.GUEST_IMPORT_CHUNK_SIZE = '2';
+
+jest.mock('../../../../src/config', () => ({
+  database: {}
+}));
+jest.mock('../../../../src/modules/events/events.repository', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  startImport: jest.fn(),
+  findEventQuestions: jest.fn(),
+  insertImportErrors: jest.fn(),
+  saveImportProgress: jest.fn(),
+  updateImport: jest.fn(),
+  findImportByUid: jest.fn(),
+  findImportErrors: jest.fn()
+}));
+jest.mock('../../../../src/modules/guests/capacity.service', () => ({
+  getSnapshot: jest.fn(),
+  allocate: jest.fn(),
+  release: jest.fn()
+}));
+jest.mock('../../../../src/core/queue/event-queue.service', () => ({}));
+jest.mock('../../../../src/modules/guests/registration-questions.service', () => ({
+  validateAnswers: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const eventsRepository = require('../../../../src/modules/events/events.repository');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const capacityService = require('../../../../src/modules/guests/capacity.service');
+const registrationQuestionsService = require('../../../../src/modules/guests/registration-questions.service');
+const GuestImportService = require('../../../../src/modules/guests/guest-import.service');
+
+const HEADER = 'Prénom,Nom,Email';
+const MAPPING = { first_name: 'Prénom', last_name: 'Nom', email: 'Email' };
+
+describe('GuestImportService - import en tâche de fond', () => {
+  let tmpDir;
+  let client;
+  let service;
+  let progress;
+  // Emails déjà invités à l'événement, et emails dont l'insertion échoue
+  let existingEmails;
+  let failingEmails;
+
+  function writeCsv(lines) {
+    const filePath = path.join(tmpDir, `import-${Date.now()}-${Math.random().toString(36).slice(2)}.csv`);
+    fs.writeFileSync(filePath, `${[HEADER, ...lines].join('\n')}\n`);
+    return filePath;
+  }
+
+  function importRecord(filePath, overrides = {}) {
+    return {
+      id: 12,
+      uid: 'imp-12',
+      event_id: 3,
+      file_path: filePath,
+      mapping: MAPPING,
+      created_by: 7,
+      last_row_number: 0,
+      ...overrides
+    };
+  }
+
+  // Emails passés à chaque transaction de lot
+  function importedEmailsByChunk() {
+    const chunks = [];
+    for (const [sql, values] of client.query.mock.calls) {
+      if (sql === 'BEGIN') {
+        chunks.push([]);
+      } else if (sql.includes('INSERT INTO guests')) {
+        chunks[chunks.length - 1].push(values[2]);
+      }
+    }
+    return chunks;
+  }
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guest-import-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    existingEmails = [];
+    failingEmails = [];
+    progress = { processed_rows: 0, total_rows: 5, created_count: 0, linked_count: 0, waitlisted_count: 0, duplicate_count: 0, error_count: 0 };
+
+    const guestEmails = new Map();
+    client = {
+      query: jest.fn(async (sql, values) => {
+        if (sql.includes('SELECT DISTINCT g.email')) {
+          return { rows: existingEmails.map(email => ({ email })) };
+        }
+        if (sql.includes('SELECT id FROM guests')) {
+          return { rows: [] };
+        }
+        if (sql.includes('INSERT INTO guests')) {
+          const guestId = 100 + guestEmails.size;
+          guestEmails.set(guestId, values[2]);
+          return { rows: [{ id: guestId }] };
+        }
+        if (sql.includes('INSERT INTO event_guests')) {
+          const guestId = values[1];
+          if (failingEmails.includes(guestEmails.get(guestId))) {
+            throw new Error('insert or update on table "event_guests" violates foreign key constraint');
+          }
+          return { rows: [{ id: guestId + 1000 }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    service = new GuestImportService({ pool: { connect: jest.fn().mockResolvedValue(client) } });
+
+    eventsRepository.findById.mockResolvedValue({ id: 3, status: 'published' });
+    guestsRepository.findEventQuestions.mockResolvedValue([]);
+    guestsRepository.saveImportProgress.mockImplementation(async (importId, counts) => {
+      progress = {
+        ...progress,
+        processed_rows: progress.processed_rows + counts.processed,
+        last_row_number: counts.last_row_number,
+        created_count: progress.created_count + counts.created,
+        linked_count: progress.linked_count + counts.linked,
+        waitlisted_count: progress.waitlisted_count + counts.waitlisted,
+        duplicate_count: progress.duplicate_count + counts.duplicates,
+        error_count: progress.error_count + counts.errors
+      };
+      return progress;
+    });
+    capacityService.getSnapshot.mockResolvedValue({ eventId: 3 });
+    capacityService.allocate.mockReturnValue({ status: 'pending', waitlist_position: null });
+    registrationQuestionsService.validateAnswers.mockReturnValue({ errors: [], answers: {} });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('processImport', () => {
+    it('✅ devrait importer le fichier par lots, chacun dans sa transaction', async () => {
+      const filePath = writeCsv([
+        'Ada,Lovelace,ada@example.com',
+        'Alan,Turing,alan@example.com',
+        'Grace,Hopper,grace@example.com',
+        'Linus,Torvalds,linus@example.com',
+        'Margaret,Hamilton,margaret@example.com'
+      ]);
+      guestsRepository.startImport.mockResolvedValue(importRecord(filePath));
+      const onProgress = jest.fn();
+
+      const summary = await service.processImport(12, { onProgress });
+
+      expect(importedEmailsByChunk()).toEqual([
+        ['ada@example.com', 'alan@example.com'],
+        ['grace@example.com', 'linus@example.com'],
+        ['margaret@example.com']
+      ]);
+      expect(client.query.mock.calls.filter(([sql]) => sql === 'COMMIT')).toHaveLength(3);
+      expect(guestsRepository.saveImportProgress.mock.calls.map(([, counts]) => counts.last_row_number)).toEqual([3, 5, 6]);
+      expect(guestsRepository.saveImportProgress).toHaveBeenCalledWith(12, expect.any(Object), client);
+      expect(onProgress.mock.calls.map(([percent]) => percent)).toEqual([40, 80, 100]);
+      expect(summary).toMatchObject({ processed_rows: 5, imported: 5, created: 5, ignored: 0 });
+      expect(guestsRepository.updateImport).toHaveBeenCalledWith(12, expect.objectContaining({ status: 'completed', summary }));
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('✅ devrait reprendre après la dernière ligne validée', async () => {
+      const filePath = writeCsv([
+        'Ada,Lovelace,ada@example.com',
+        'Alan,Turing,alan@example.com',
+        'Grace,Hopper,grace@example.com',
+        'Linus,Torvalds,linus@example.com',
+        'Margaret,Hamilton,margaret@example.com'
+      ]);
+      progress = { ...progress, processed_rows: 2, created_count: 2 };
+      guestsRepository.startImport.mockResolvedValue(importRecord(filePath, { last_row_number: 3 }));
+
+      const summary = await service.processImport(12);
+
+      expect(importedEmailsByChunk()).toEqual([
+        ['grace@example.com', 'linus@example.com'],
+        ['margaret@example.com']
+      ]);
+      expect(summary).toMatchObject({ processed_rows: 5, created: 5 });
+    });
+
+    it('✅ ne devrait rien importer pour un import déjà terminé', async () => {
+      guestsRepository.startImport.mockResolvedValue(null);
+
+      const result = await service.processImport(12);
+
+      expect(result).toEqual({ skipped: true });
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait enregistrer les lignes invalides, en doublon et en échec avec leurs valeurs', async () => {
+      const filePath = writeCsv([
+        'Ada,Lovelace,not-an-email',
+        'Alan,Turing,alan@example.com',
+        'Grace,Hopper,grace@example.com'
+      ]);
+      existingEmails = ['alan@example.com'];
+      failingEmails = ['grace@example.com'];
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      guestsRepository.startImport.mockResolvedValue(importRecord(filePath));
+
+      const summary = await service.processImport(12);
+
+      const errors = guestsRepository.insertImportErrors.mock.calls.flatMap(([, rows]) => rows);
+      expect(errors).toEqual([
+        {
+          row: 2,
+          error_type: 'invalid',
+          field: 'email',
+          message: 'Invalid email format',
+          data: { Prénom: 'Ada', Nom: 'Lovelace', Email: 'not-an-email' }
+        },
+        {
+          row: 3,
+          error_type: 'duplicate',
+          field: 'email',
+          message: 'Email already exists for this event',
+          data: { Prénom: 'Alan', Nom: 'Turing', Email: 'alan@example.com' }
+        },
+        {
+          row: 4,
+          error_type: 'failed',
+          field: null,
+          message: 'insert or update on table "event_guests" violates foreign key constraint',
+          data: { Prénom: 'Grace', Nom: 'Hopper', Email: 'grace@example.com' }
+        }
+      ]);
+      expect(guestsRepository.insertImportErrors).toHaveBeenCalledWith(12, expect.any(Array), client);
+      expect(summary).toMatchObject({ imported: 0, ignored: 3, duplicates: 1, errors: 2 });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('importGuestsToEvent', () => {
+    const guests = [
+      { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com', row: 2 },
+      { first_name: 'Grace', last_name: 'Hopper', email: 'grace@example.com', row: 3 }
+    ];
+
+    it('✅ devrait rendre la place d\'une ligne dont l\'insertion est annulée', async () => {
+      failingEmails = ['grace@example.com'];
+      const snapshot = { eventId: 3 };
+      const graceAllocation = { status: 'waitlisted', waitlist_position: 1 };
+      capacityService.getSnapshot.mockResolvedValue(snapshot);
+      capacityService.allocate
+        .mockReturnValueOnce({ status: 'pending', waitlist_position: null })
+        .mockReturnValueOnce(graceAllocation);
+
+      const result = await service.importGuestsToEvent(3, guests, 7);
+
+      expect(result).toMatchObject({ imported: 1, errorsCount: 1 });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK TO SAVEPOINT import_guest');
+      expect(capacityService.release).toHaveBeenCalledTimes(1);
+      expect(capacityService.release).toHaveBeenCalledWith(snapshot, graceAllocation);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('✅ devrait rendre la place quand la ligne lève une erreur', async () => {
+      const snapshot = { eventId: 3 };
+      const allocation = { status: 'pending', waitlist_position: null };
+      capacityService.getSnapshot.mockResolvedValue(snapshot);
+      capacityService.allocate.mockReturnValue(allocation);
+      jest.spyOn(service, 'addGuestToEvent')
+        .mockResolvedValueOnce({ success: true, invitationCode: 'INV-1' })
+        .mockRejectedValueOnce(new Error('Connection reset'));
+
+      const result = await service.importGuestsToEvent(3, guests, 7);
+
+      expect(result.errors).toEqual([{ email: 'grace@example.com', error: 'Connection reset', data: guests[1] }]);
+      expect(capacityService.release).toHaveBeenCalledTimes(1);
+      expect(capacityService.release).toHaveBeenCalledWith(snapshot, allocation);
+    });
+
+    it('✅ ne devrait rendre aucune place pour une ligne en doublon', async () => {
+      existingEmails = ['ada@example.com'];
+
+      const result = await service.importGuestsToEvent(3, guests, 7);
+
+      expect(result).toMatchObject({ imported: 1, duplicates: 1 });
+      expect(capacityService.allocate).toHaveBeenCalledTimes(1);
+      expect(capacityService.release).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getImportErrorReport', () => {
+    it('✅ devrait exporter les lignes en erreur avec les colonnes d\'origine', async () => {
+      guestsRepository.findImportByUid.mockResolvedValue({ id: 12, uid: 'imp-12', created_by: 7, status: 'completed', headers: ['Prénom', 'Nom', 'Email'] });
+      guestsRepository.findImportErrors.mockResolvedValue([
+        { row_number: 2, error_type: 'invalid', field: 'email', message: 'Invalid email format', data: { Prénom: 'Ada', Nom: 'Lovelace', Email: 'not-an-email' } },
+        { row_number: 4, error_type: 'failed', field: null, message: 'Guest, "VIP" refused', data: { Prénom: 'Grace', Nom: 'Hopper', Email: 'grace@example.com' } }
+      ]);
+
+      const result = await service.getImportErrorReport(3, 'imp-12', 7);
+
+      expect(result).toEqual({
+        success: true,
+        data: {
+          filename: 'guest-import-imp-12-errors.csv',
+          content: [
+            'row,error_type,field,error,Prénom,Nom,Email',
+            '2,invalid,email,Invalid email format,Ada,Lovelace,not-an-email',
+            '4,failed,,"Guest, ""VIP"" refused",Grace,Hopper,grace@example.com',
+            ''
+          ].join('\n')
+        }
+      });
+    });
+
+    it('❌ devrait refuser le rapport d\'un import en cours', async () => {
+      guestsRepository.findImportByUid.mockResolvedValue({ id: 12, uid: 'imp-12', created_by: 7, status: 'processing' });
+
+      const result = await service.getImportErrorReport(3, 'imp-12', 7);
+
+      expect(result).toEqual({ success: false, error: 'Import is not finished yet', code: 'IMPORT_NOT_FINISHED' });
+      expect(guestsRepository.findImportErrors).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - FUSION DES INVITÉS
+ * ========================================
+ * Détection des doublons (email, téléphone, nom), fusion de deux invités
+ * avec réunion des participations au même événement, et annulation
+ * d'une fusion à partir de son journal
+ */
+
+jest.mock('../../../../src/config', () => ({
+  database: { transaction: jest.fn() }
+}));
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  findDedupeCandidates: jest.fn(),
+  lockGuests: jest.fn(),
+  findEventGuestsForMerge: jest.fn(),
+  moveEventGuestReference: jest.fn(),
+  updateEventGuestMergeState: jest.fn(),
+  repointEventGuests: jest.fn(),
+  repointOwnershipHistory: jest.fn(),
+  updateGuestContact: jest.fn(),
+  markGuestMerged: jest.fn(),
+  createGuestMerge: jest.fn(),
+  insertAuditLog: jest.fn(),
+  findGuestMergeById: jest.fn(),
+  findLaterActiveMerges: jest.fn(),
+  restoreMergedGuest: jest.fn(),
+  markGuestMergeUndone: jest.fn()
+}));
+
+const { database } = require('../../../../src/config');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const guestMergeService = require('../../../../src/modules/guests/guest-merge.service');
+
+const client = { query: jest.fn() };
+const admin = { id: 1, roles: ['super_admin'] };
+const TICKETS_REFERENCE = { table: 'tickets', column: 'event_guest_id' };
+
+function guest(overrides = {}) {
+  return {
+    id: 1,
+    first_name: 'Marie',
+    last_name: 'Curie',
+    email: null,
+    phone: null,
+    events_count: 1,
+    created_at: '2026-01-01T00:00:00Z',
+    ...overrides
+  };
+}
+
+describe('GuestMergeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database.transaction.mockImplementation(cb => cb(client));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('detectDuplicates', () => {
+    it('✅ devrait rapprocher deux invités par email normalisé', () => {
+      const pairs = guestMergeService.detectDuplicates([
+        guest({ id: 1, email: 'marie.curie@gmail.com', events_count: 1 }),
+        guest({ id: 2, email: 'MarieCurie+gala@gmail.com', events_count: 3 })
+      ]);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].match).toEqual({ reasons: ['email', 'name'], score: 0.95, confidence: 'high', name_similarity: 1 });
+      expect(pairs[0].suggested_target_id).toBe(2);
+      expect(pairs[0].suggested_source_id).toBe(1);
+    });
+
+    it('✅ devrait abaisser la confiance quand les noms diffèrent', () => {
+      const [pair] = guestMergeService.detectDuplicates([
+        guest({ id: 1, phone: '06 12 34 56 78' }),
+        guest({ id: 2, first_name: 'Pierre', last_name: 'Dupont', phone: '+33 6 12 34 56 78' })
+      ]);
+
+      expect(pair.match).toMatchObject({ reasons: ['phone'], score: 0.8, confidence: 'medium' });
+    });
+
+    it('✅ devrait proposer un nom proche avec une confiance faible', () => {
+      const [pair] = guestMergeService.detectDuplicates([
+        guest({ id: 1, first_name: 'Jean-Marc', last_name: 'Dupont' }),
+        guest({ id: 2, first_name: 'Jean Marc', last_name: 'Dupond' })
+      ]);
+
+      expect(pair.match.reasons).toEqual(['name']);
+      expect(pair.match.confidence).toBe('low');
+    });
+
+    it('✅ devrait classer les paires des plus sûres aux moins sûres', () => {
+      const pairs = guestMergeService.detectDuplicates([
+        guest({ id: 1, first_name: 'Jean-Marc', last_name: 'Dupont' }),
+        guest({ id: 2, first_name: 'Jean Marc', last_name: 'Dupond' }),
+        guest({ id: 3, email: 'marie@example.com' }),
+        guest({ id: 4, email: 'Marie@Example.com' })
+      ]);
+
+      expect(pairs.map(pair => pair.guests.map(g => g.id))).toEqual([[3, 4], [1, 2]]);
+    });
+
+    it('❌ ne devrait pas proposer un contact partagé par un grand groupe', () => {
+      const guests = Array.from({ length: 21 }, (_, index) => guest({
+        id: index + 1,
+        first_name: `Invité${index}`,
+        last_name: String.fromCharCode(97 + index).repeat(4),
+        email: 'contact@example.com'
+      }));
+
+      expect(guestMergeService.detectDuplicates(guests)).toEqual([]);
+    });
+
+    it('❌ ne devrait pas rapprocher deux invités sans nom par leur seul email avec une confiance élevée', () => {
+      const [pair] = guestMergeService.detectDuplicates([
+        guest({ id: 1, first_name: '', last_name: null, email: 'info@example.com' }),
+        guest({ id: 2, first_name: null, last_name: '', email: 'info@example.com' })
+      ]);
+
+      expect(pair.match).toMatchObject({ reasons: ['email'], confidence: 'medium', name_similarity: 0 });
+    });
+  });
+
+  describe('mergeGuests', () => {
+    const source = guest({ id: 2, email: 'marie@example.com', phone: '+33612345678' });
+    const target = guest({ id: 1, email: 'marie@example.com' });
+
+    beforeEach(() => {
+      guestsRepository.lockGuests.mockResolvedValue([source, target]);
+      guestsRepository.findEventGuestsForMerge.mockImplementation(async (guestId) => (
+        guestId === 2
+          ? [
+            { id: 20, event_id: 5, status: 'pending', organizer_id: 1, answers: {} },
+            { id: 21, event_id: 6, status: 'confirmed', organizer_id: 1, is_present: true, check_in_time: '2026-03-01T18:00:00Z', answers: { company: 'ESPCI' } }
+          ]
+          : [{ id: 10, event_id: 6, status: 'pending', organizer_id: 1, is_present: false, answers: { dietary: ['Vegan'] } }]
+      ));
+      guestsRepository.moveEventGuestReference.mockImplementation(async (reference) => (
+        reference.table === 'tickets' ? [100] : []
+      ));
+      guestsRepository.repointEventGuests.mockResolvedValue([20]);
+      guestsRepository.repointOwnershipHistory.mockResolvedValue([]);
+      guestsRepository.updateGuestContact.mockImplementation(async (id, contact) => ({ id, ...contact }));
+      guestsRepository.createGuestMerge.mockImplementation(async merge => ({ id: 9, uid: 'merge-9', status: 'merged', ...merge }));
+    });
+
+    it('✅ devrait repointer et réunir les participations', async () => {
+      const result = await guestMergeService.mergeGuests({ source_guest_id: '2', target_guest_id: '1' }, admin);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        merge_id: 9,
+        merged_guest_id: 2,
+        repointed_event_guests: 1,
+        merged_event_guests: [{ event_id: 6, event_guest_id: 10, removed_event_guest_id: 21 }],
+        filled_contact: { phone: '+33612345678' }
+      });
+      expect(guestsRepository.repointEventGuests).toHaveBeenCalledWith([20], 2, 1, client);
+      expect(guestsRepository.moveEventGuestReference).toHaveBeenCalledWith(TICKETS_REFERENCE, 21, 10, null, client);
+      expect(guestsRepository.markGuestMerged).toHaveBeenCalledWith(2, 1, 1, client);
+    });
+
+    it('✅ devrait conserver l\'état le plus avancé de la participation réunie', async () => {
+      await guestMergeService.mergeGuests({ source_guest_id: 2, target_guest_id: 1 }, admin);
+
+      expect(guestsRepository.updateEventGuestMergeState).toHaveBeenCalledWith(10, expect.objectContaining({
+        status: 'confirmed',
+        is_present: true,
+        check_in_time: new Date('2026-03-01T18:00:00Z'),
+        answers: { dietary: ['Vegan'], company: 'ESPCI' },
+        deleted_at: null
+      }), client);
+      expect(guestsRepository.updateEventGuestMergeState).toHaveBeenCalledWith(21, expect.objectContaining({
+        status: 'confirmed',
+        deleted_at: expect.any(Date),
+        deleted_by: 1
+      }), client);
+    });
+
+    it('✅ devrait journaliser les changements pour pouvoir les annuler', async () => {
+      await guestMergeService.mergeGuests({ source_guest_id: 2, target_guest_id: 1, reason: 'Doublon import' }, admin);
+
+      const merge = guestsRepository.createGuestMerge.mock.calls[0][0];
+      expect(merge).toMatchObject({ source_guest_id: 2, target_guest_id: 1, reason: 'Doublon import', created_by: 1 });
+      expect(merge.match_details.reasons).toEqual(['email', 'name']);
+      expect(merge.changes.merged_event_guests[0]).toMatchObject({
+        source_event_guest_id: 21,
+        target_event_guest_id: 10,
+        target_before: expect.objectContaining({ status: 'pending' }),
+        moved_references: [{ ...TICKETS_REFERENCE, ids: [100] }]
+      });
+      expect(guestsRepository.insertAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'guest.merged', resourceId: 1 }), client);
+    });
+
+    it('❌ devrait refuser de fusionner un invité avec lui-même', async () => {
+      const result = await guestMergeService.mergeGuests({ source_guest_id: 1, target_guest_id: 1 }, admin);
+
+      expect(result).toEqual({ success: false, error: 'Cannot merge a guest into itself' });
+      expect(database.transaction).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un organisateur qui n\'organise pas tous les événements', async () => {
+      const result = await guestMergeService.mergeGuests({ source_guest_id: 2, target_guest_id: 1 }, { id: 7 });
+
+      expect(result).toEqual({ success: false, error: 'Access denied' });
+      expect(guestsRepository.markGuestMerged).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un invité déjà fusionné', async () => {
+      guestsRepository.lockGuests.mockResolvedValue([{ ...source, deleted_at: new Date() }, target]);
+
+      const result = await guestMergeService.mergeGuests({ source_guest_id: 2, target_guest_id: 1 }, admin);
+
+      expect(result).toEqual({ success: false, error: 'Guest not found' });
+    });
+  });
+
+  describe('undoMerge', () => {
+    function mergeRecord(overrides = {}) {
+      return {
+        id: 9,
+        uid: 'merge-9',
+        status: 'merged',
+        created_by: 1,
+        source_guest_id: 2,
+        target_guest_id: 1,
+        target_snapshot: guest({ id: 1, phone: null }),
+        changes: {
+          repointed_event_guests: [20],
+          ownership_history: [],
+          merged_event_guests: [{
+            event_id: 6,
+            source_event_guest_id: 21,
+            target_event_guest_id: 10,
+            source_before: { status: 'confirmed', deleted_at: null },
+            target_before: { status: 'pending', deleted_at: null },
+            moved_references: [{ ...TICKETS_REFERENCE, ids: [100] }]
+          }],
+          filled_contact: { phone: '+33612345678' }
+        },
+        ...overrides
+      };
+    }
+
+    beforeEach(() => {
+      guestsRepository.findGuestMergeById.mockResolvedValue(mergeRecord());
+      guestsRepository.findLaterActiveMerges.mockResolvedValue([]);
+      guestsRepository.lockGuests.mockResolvedValue([
+        guest({ id: 2, merged_into_id: 1 }),
+        guest({ id: 1, phone: '+33612345678' })
+      ]);
+      guestsRepository.updateGuestContact.mockImplementation(async (id, contact) => ({ id, ...contact }));
+      guestsRepository.restoreMergedGuest.mockResolvedValue(guest({ id: 2 }));
+      guestsRepository.markGuestMergeUndone.mockResolvedValue({ id: 9, uid: 'merge-9', status: 'undone', undone_at: new Date() });
+    });
+
+    it('✅ devrait rendre participations, billets et état à l\'invité fusionné', async () => {
+      const result = await guestMergeService.undoMerge(9, admin);
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe('undone');
+      expect(guestsRepository.repointEventGuests).toHaveBeenCalledWith([20], 1, 2, client);
+      expect(guestsRepository.moveEventGuestReference).toHaveBeenCalledWith(TICKETS_REFERENCE, 10, 21, [100], client);
+      expect(guestsRepository.updateEventGuestMergeState).toHaveBeenCalledWith(10, { status: 'pending', deleted_at: null }, client);
+      expect(guestsRepository.updateEventGuestMergeState).toHaveBeenCalledWith(21, { status: 'confirmed', deleted_at: null }, client);
+      expect(guestsRepository.restoreMergedGuest).toHaveBeenCalledWith(2, 1, client);
+      expect(guestsRepository.repointOwnershipHistory).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait retirer les coordonnées reprises à la fusion', async () => {
+      await guestMergeService.undoMerge(9, admin);
+
+      expect(guestsRepository.updateGuestContact).toHaveBeenCalledWith(1, expect.objectContaining({ phone: null }), 1, client);
+    });
+
+    it('✅ devrait garder des coordonnées modifiées depuis la fusion', async () => {
+      guestsRepository.lockGuests.mockResolvedValue([
+        guest({ id: 2, merged_into_id: 1 }),
+        guest({ id: 1, phone: '+33700000000' })
+      ]);
+
+      await guestMergeService.undoMerge(9, admin);
+
+      expect(guestsRepository.updateGuestContact).toHaveBeenCalledWith(1, expect.objectContaining({ phone: '+33700000000' }), 1, client);
+    });
+
+    it('❌ devrait exiger d\'annuler d\'abord les fusions ultérieures', async () => {
+      guestsRepository.findLaterActiveMerges.mockResolvedValue([{ id: 12 }]);
+
+      const result = await guestMergeService.undoMerge(9, admin);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Undo the later merges involving these guests first',
+        code: 'MERGE_UNDO_BLOCKED',
+        details: [{ id: 12 }]
+      });
+      expect(guestsRepository.repointEventGuests).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser une fusion déjà annulée', async () => {
+      guestsRepository.findGuestMergeById.mockResolvedValue(mergeRecord({ status: 'undone' }));
+
+      const result = await guestMergeService.undoMerge(9, admin);
+
+      expect(result).toMatchObject({ success: false, code: 'MERGE_ALREADY_UNDONE' });
+    });
+
+    it('❌ devrait refuser si l\'invité fusionné a été modifié depuis', async () => {
+      guestsRepository.lockGuests.mockResolvedValue([guest({ id: 2, merged_into_id: null }), guest({ id: 1 })]);
+
+      const result = await guestMergeService.undoMerge(9, admin);
+
+      expect(result).toMatchObject({ success: false, code: 'MERGE_UNDO_BLOCKED' });
+      expect(guestsRepository.restoreMergedGuest).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser l\'annulation par un autre organisateur', async () => {
+      const result = await guestMergeService.undoMerge(9, { id: 7 });
+
+      expect(result).toMatchObject({ success: false, error: 'Access denied' });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - RÉPONSES AUX QUESTIONS D'INSCRIPTION
+ * ========================================
+ * Validation et normalisation des réponses par type de question, réponses
+ * obligatoires, filtres de liste et format d'export
+ */
+
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({}));
+jest.mock('../../../../src/modules/events/events.repository', () => ({}));
+
+const registrationQuestionsService = require('../../../../src/modules/guests/registration-questions.service');
+
+const questions = [
+  { question_key: 'company', question_type: 'text', options: [], is_required: false },
+  { question_key: 'tshirt_size', question_type: 'select', options: ['S', 'M', 'L'], is_required: false },
+  { question_key: 'dietary', question_type: 'multi_select', options: ['Vegan', 'Sans gluten', 'Halal'], is_required: false },
+  { question_key: 'consent', question_type: 'boolean', options: [], is_required: true },
+  { question_key: 'arrival', question_type: 'date', options: [], is_required: false }
+];
+
+function question(key) {
+  return questions.find(q => q.question_key === key);
+}
+
+describe('RegistrationQuestionsService - réponses', () => {
+  describe('normalizeAnswer', () => {
+    it('✅ devrait nettoyer une réponse texte', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('company'), '  ACME ')).toEqual({ value: 'ACME' });
+      expect(registrationQuestionsService.normalizeAnswer(question('company'), 42)).toEqual({ value: '42' });
+    });
+
+    it('❌ devrait refuser un texte trop long ou qui n\'est pas du texte', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('company'), 'a'.repeat(1001)).error)
+        .toBe('Must be at most 1000 characters');
+      expect(registrationQuestionsService.normalizeAnswer(question('company'), { name: 'ACME' }).error).toBe('Must be text');
+    });
+
+    it('✅ devrait retrouver un choix sans tenir compte de la casse', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('tshirt_size'), ' m ')).toEqual({ value: 'M' });
+    });
+
+    it('❌ devrait refuser un choix inconnu', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('tshirt_size'), 'XL'))
+        .toEqual({ error: 'Must be one of: S, M, L' });
+    });
+
+    it('✅ devrait découper un choix multiple saisi en texte et dédoublonner', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('dietary'), 'vegan; Sans Gluten | VEGAN;'))
+        .toEqual({ value: ['Vegan', 'Sans gluten'] });
+      expect(registrationQuestionsService.normalizeAnswer(question('dietary'), ['Halal']))
+        .toEqual({ value: ['Halal'] });
+    });
+
+    it('❌ devrait refuser un choix multiple inconnu', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('dietary'), 'Vegan, Casher').error)
+        .toBe('Unknown choice "Casher", expected: Vegan, Sans gluten, Halal');
+    });
+
+    it.each([
+      [true, true], ['oui', true], ['Yes', true], ['x', true], [1, true],
+      [false, false], ['non', false], ['0', false], ['N', false]
+    ])('✅ devrait interpréter %p comme %p', (input, expected) => {
+      expect(registrationQuestionsService.normalizeAnswer(question('consent'), input)).toEqual({ value: expected });
+    });
+
+    it('❌ devrait refuser une case à cocher ambiguë', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('consent'), 'peut-être').error)
+        .toBe('Must be a boolean (true/false, yes/no, oui/non)');
+    });
+
+    it('✅ devrait accepter une date au format YYYY-MM-DD', () => {
+      expect(registrationQuestionsService.normalizeAnswer(question('arrival'), '2026-06-15')).toEqual({ value: '2026-06-15' });
+      expect(registrationQuestionsService.normalizeAnswer(question('arrival'), new Date('2026-06-15T00:00:00Z')))
+        .toEqual({ value: '2026-06-15' });
+    });
+
+    it.each(['15/06/2026', '2026-02-30', '2026-13-01', 'demain'])('❌ devrait refuser la date %p', (input) => {
+      expect(registrationQuestionsService.normalizeAnswer(question('arrival'), input).error).toBe('Must be a date (YYYY-MM-DD)');
+    });
+  });
+
+  describe('validateAnswers', () => {
+    it('✅ devrait normaliser les réponses et ignorer les réponses vides', () => {
+      const result = registrationQuestionsService.validateAnswers(questions, {
+        company: ' ACME ',
+        tshirt_size: 'l',
+        dietary: '',
+        arrival: null
+      });
+
+      expect(result).toEqual({ valid: true, answers: { company: 'ACME', tshirt_size: 'L' }, errors: [] });
+    });
+
+    it('✅ ne devrait pas exiger les réponses obligatoires par défaut', () => {
+      expect(registrationQuestionsService.validateAnswers(questions, undefined)).toEqual({ valid: true, answers: {}, errors: [] });
+    });
+
+    it('❌ devrait signaler les questions inconnues et les réponses invalides', () => {
+      const result = registrationQuestionsService.validateAnswers(questions, { shoe_size: '42', tshirt_size: 'XL' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { question: 'shoe_size', error: 'Unknown question: shoe_size' },
+        { question: 'tshirt_size', error: 'Must be one of: S, M, L' }
+      ]);
+    });
+
+    it('❌ devrait exiger les réponses obligatoires et le consentement', () => {
+      expect(registrationQuestionsService.validateAnswers(questions, {}, { enforceRequired: true }).errors)
+        .toEqual([{ question: 'consent', error: 'Answer is required' }]);
+      expect(registrationQuestionsService.validateAnswers(questions, { consent: 'non' }, { enforceRequired: true }).errors)
+        .toEqual([{ question: 'consent', error: 'Must be accepted' }]);
+      expect(registrationQuestionsService.validateAnswers(questions, { consent: 'oui' }, { enforceRequired: true }))
+        .toEqual({ valid: true, answers: { consent: true }, errors: [] });
+    });
+
+    it('❌ devrait exiger au moins un choix pour un choix multiple obligatoire', () => {
+      const required = [{ ...question('dietary'), is_required: true }];
+
+      expect(registrationQuestionsService.validateAnswers(required, { dietary: ' ; ' }, { enforceRequired: true }).errors)
+        .toEqual([{ question: 'dietary', error: 'Answer is required' }]);
+    });
+
+    it('❌ ne devrait signaler qu\'une erreur pour une réponse obligatoire invalide', () => {
+      const result = registrationQuestionsService.validateAnswers(questions, { consent: 'peut-être' }, { enforceRequired: true });
+
+      expect(result.errors).toEqual([{ question: 'consent', error: 'Must be a boolean (true/false, yes/no, oui/non)' }]);
+    });
+
+    it('❌ devrait refuser des réponses qui ne sont pas un objet', () => {
+      expect(registrationQuestionsService.validateAnswers(questions, ['ACME'])).toEqual({
+        valid: false,
+        answers: {},
+        errors: [{ question: 'answers', error: 'Answers must be an object of question_key: value' }]
+      });
+    });
+  });
+
+  describe('buildAnswersFilter', () => {
+    it('✅ devrait normaliser les valeurs de filtre', () => {
+      expect(registrationQuestionsService.buildAnswersFilter(questions, { consent: 'yes', dietary: 'vegan,halal' }))
+        .toEqual({ filter: { consent: true, dietary: ['Vegan', 'Halal'] } });
+    });
+
+    it('❌ devrait refuser un filtre sur une question inconnue ou une valeur invalide', () => {
+      expect(registrationQuestionsService.buildAnswersFilter(questions, { shoe_size: '42', tshirt_size: 'XL' })).toEqual({
+        error: 'Invalid answer filter',
+        details: [
+          { question: 'shoe_size', error: 'Unknown question: shoe_size' },
+          { question: 'tshirt_size', error: 'Must be one of: S, M, L' }
+        ]
+      });
+    });
+  });
+
+  describe('formatAnswer', () => {
+    it('✅ devrait formater les réponses pour l\'export', () => {
+      expect(registrationQuestionsService.formatAnswer(question('dietary'), ['Vegan', 'Halal'])).toBe('Vegan; Halal');
+      expect(registrationQuestionsService.formatAnswer(question('consent'), true)).toBe('yes');
+      expect(registrationQuestionsService.formatAnswer(question('consent'), false)).toBe('no');
+      expect(registrationQuestionsService.formatAnswer(question('company'), undefined)).toBe('');
+      expect(registrationQuestionsService.formatAnswer(null, 'ACME')).toBe('ACME');
+    });
+  });
+});
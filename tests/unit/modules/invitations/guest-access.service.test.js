@@ -0,0 +1,196 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - ACCÈS DES INVITÉS PAR LIEN MAGIQUE
+ * ========================================
+ * Émission et ouverture des liens magiques (usage unique, révocation),
+ * sessions invité et demande d'un nouveau lien (réponse identique pendant
+ * le délai entre deux envois)
+ */
+
+jest.mock('../../../../src/modules/invitations/invitations.repository', () => ({
+  transaction: jest.fn(),
+  revokeMagicLinks: jest.fn(),
+  createMagicLink: jest.fn(),
+  findMagicLinkByJti: jest.fn(),
+  markMagicLinkUsed: jest.fn(),
+  findByCode: jest.fn(),
+  findLatestMagicLink: jest.fn(),
+  findTicketsByEventGuestId: jest.fn()
+}));
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  findEventQuestions: jest.fn()
+}));
+jest.mock('../../../../../shared/clients/notification-client', () => ({
+  sendEmail: jest.fn()
+}), { virtual: true });
+jest.mock('../../../../src/modules/guests/guest-auth.helper', () => ({
+  claimGuestAccount: jest.fn()
+}));
+
+process.env.GUEST_MAGIC_LINK_SECRET = 'test-secret';
+
+const invitationsRepository = require('../../../../src/modules/invitations/invitations.repository');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const notificationClient = require('../../../../../shared/clients/notification-client');
+const { signGuestToken, verifyGuestToken, GUEST_TOKEN_TYPES } = require('../../../../src/utils/magic-link');
+const guestAccessService = require('../../../../src/modules/invitations/guest-access.service');
+
+const client = { query: jest.fn() };
+
+const invitation = {
+  id: 3,
+  invitation_code: 'INV-123',
+  email: 'Marie@Example.com',
+  first_name: 'Marie',
+  event_id: 5,
+  event_title: 'Gala',
+  event_guest_id: 30,
+  status: 'sent'
+};
+
+function linkToken(jti = 'link-1') {
+  return signGuestToken({ type: GUEST_TOKEN_TYPES.LINK, invitationCode: 'INV-123', jti, ttlSeconds: 3600 }).token;
+}
+
+describe('GuestAccessService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invitationsRepository.transaction.mockImplementation(cb => cb(client));
+    invitationsRepository.findByCode.mockResolvedValue(invitation);
+    invitationsRepository.findTicketsByEventGuestId.mockResolvedValue([]);
+    guestsRepository.findEventQuestions.mockResolvedValue([]);
+    notificationClient.sendEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('issueMagicLink', () => {
+    it('✅ devrait révoquer les liens précédents et ne conserver que l\'identifiant', async () => {
+      const link = await guestAccessService.issueMagicLink(invitation, 1);
+
+      const token = link.url.split('/invitations/access/')[1];
+      const claims = verifyGuestToken(token, { type: GUEST_TOKEN_TYPES.LINK });
+      expect(claims.invitationCode).toBe('INV-123');
+      expect(invitationsRepository.revokeMagicLinks).toHaveBeenCalledWith(3, 1, client);
+      expect(invitationsRepository.createMagicLink).toHaveBeenCalledWith({
+        invitation_id: 3,
+        jti: claims.jti,
+        expires_at: link.expires_at,
+        created_by: 1
+      }, client);
+    });
+  });
+
+  describe('redeemMagicLink', () => {
+    it('✅ devrait consommer le lien et ouvrir une session', async () => {
+      invitationsRepository.findMagicLinkByJti.mockResolvedValue({ id: 8, invitation_code: 'INV-123', revoked_at: null, used_at: null });
+
+      const result = await guestAccessService.redeemMagicLink(linkToken(), { ip: '10.0.0.1' });
+
+      expect(result.success).toBe(true);
+      expect(invitationsRepository.findMagicLinkByJti).toHaveBeenCalledWith('link-1', client, true);
+      expect(invitationsRepository.markMagicLinkUsed).toHaveBeenCalledWith(8, '10.0.0.1', client);
+      const session = verifyGuestToken(result.data.access_token, { type: GUEST_TOKEN_TYPES.SESSION });
+      expect(session).toMatchObject({ invitationCode: 'INV-123', jti: 'link-1' });
+      expect(result.data.invitation.invitation_code).toBe('INV-123');
+    });
+
+    it('❌ devrait refuser un lien déjà utilisé', async () => {
+      invitationsRepository.findMagicLinkByJti.mockResolvedValue({ id: 8, invitation_code: 'INV-123', used_at: new Date() });
+
+      const result = await guestAccessService.redeemMagicLink(linkToken());
+
+      expect(result).toEqual({ success: false, error: 'Magic link has already been used', code: 'MAGIC_LINK_USED' });
+      expect(invitationsRepository.markMagicLinkUsed).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un lien remplacé', async () => {
+      invitationsRepository.findMagicLinkByJti.mockResolvedValue({ id: 8, invitation_code: 'INV-123', revoked_at: new Date() });
+
+      const result = await guestAccessService.redeemMagicLink(linkToken());
+
+      expect(result.code).toBe('MAGIC_LINK_REVOKED');
+    });
+
+    it('❌ devrait refuser un lien d\'une autre invitation', async () => {
+      invitationsRepository.findMagicLinkByJti.mockResolvedValue({ id: 8, invitation_code: 'INV-999' });
+
+      const result = await guestAccessService.redeemMagicLink(linkToken());
+
+      expect(result).toEqual({ success: false, error: 'Magic link not found', code: undefined });
+    });
+
+    it('❌ devrait refuser un jeton de session à la place d\'un lien', async () => {
+      const session = signGuestToken({ type: GUEST_TOKEN_TYPES.SESSION, invitationCode: 'INV-123', ttlSeconds: 60 }).token;
+
+      const result = await guestAccessService.redeemMagicLink(session);
+
+      expect(result.code).toBe('MAGIC_LINK_INVALID');
+      expect(invitationsRepository.findMagicLinkByJti).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('❌ devrait mettre fin à la session quand le lien est révoqué', async () => {
+      const session = signGuestToken({ type: GUEST_TOKEN_TYPES.SESSION, invitationCode: 'INV-123', jti: 'link-1', ttlSeconds: 60 }).token;
+      invitationsRepository.findMagicLinkByJti.mockResolvedValue({ id: 8, invitation_code: 'INV-123', revoked_at: new Date() });
+
+      const result = await guestAccessService.authenticate(session);
+
+      expect(result).toEqual({ success: false, error: 'Guest access has been revoked', code: 'MAGIC_LINK_REVOKED' });
+    });
+  });
+
+  describe('requestMagicLink', () => {
+    it('✅ devrait envoyer un nouveau lien à l\'adresse de l\'invitation', async () => {
+      invitationsRepository.findLatestMagicLink.mockResolvedValue({ created_at: new Date(Date.now() - 120000) });
+
+      const result = await guestAccessService.requestMagicLink('INV-123', { email: 'marie@example.COM' });
+
+      expect(result).toEqual({ success: true, data: { sent: true } });
+      expect(invitationsRepository.createMagicLink).toHaveBeenCalled();
+      expect(notificationClient.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'Marie@Example.com',
+        template: 'guest-magic-link'
+      }));
+    });
+
+    it('✅ devrait répondre de la même façon pendant le délai entre deux envois', async () => {
+      invitationsRepository.findLatestMagicLink.mockResolvedValue({ created_at: new Date(Date.now() - 10000) });
+
+      const result = await guestAccessService.requestMagicLink('INV-123', { email: 'marie@example.com' });
+
+      expect(result).toEqual({ success: true, data: { sent: true } });
+      expect(invitationsRepository.createMagicLink).not.toHaveBeenCalled();
+      expect(notificationClient.sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('✅ ne devrait pas révéler une adresse ou une invitation inconnue', async () => {
+      const wrongEmail = await guestAccessService.requestMagicLink('INV-123', { email: 'pierre@example.com' });
+      invitationsRepository.findByCode.mockResolvedValue(null);
+      const unknownCode = await guestAccessService.requestMagicLink('INV-999', { email: 'marie@example.com' });
+
+      expect(wrongEmail).toEqual({ success: true, data: { sent: true } });
+      expect(unknownCode).toEqual({ success: true, data: { sent: true } });
+      expect(notificationClient.sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait répondre même si l\'envoi de l\'email échoue', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      invitationsRepository.findLatestMagicLink.mockResolvedValue(null);
+      notificationClient.sendEmail.mockResolvedValue({ success: false, error: 'SMTP down' });
+
+      const result = await guestAccessService.requestMagicLink('INV-123', { email: 'marie@example.com' });
+
+      expect(result).toEqual({ success: true, data: { sent: true } });
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+
+    it('❌ devrait refuser une demande sans email valide', async () => {
+      const result = await guestAccessService.requestMagicLink('INV-123', { email: 'marie' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid magic link request');
+      expect(invitationsRepository.findByCode).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - ÉMISSION DES FACTURES
+ * ========================================
+ * Numérotation continue par organisateur et par type de document, sans trou
+ * après un échec d'enregistrement ou de rendu, et PDF régénéré au
+ * téléchargement d'un document dont le rendu a échoué
+ */
+
+jest.mock('../../../../src/modules/invoices/invoices.repository', () => ({
+  transaction: jest.fn(),
+  nextSequenceNumber: jest.fn(),
+  create: jest.fn(),
+  findByPayment: jest.fn(),
+  findProfile: jest.fn(),
+  findPaymentTicketLines: jest.fn(),
+  findPayment: jest.fn(),
+  findById: jest.fn(),
+  updateFile: jest.fn(),
+  markRenderFailed: jest.fn()
+}));
+jest.mock('../../../../src/modules/invoices/invoice-pdf.service', () => ({
+  generate: jest.fn(),
+  exists: jest.fn(),
+  resolvePath: jest.fn()
+}));
+
+const invoicesRepository = require('../../../../src/modules/invoices/invoices.repository');
+const invoicePdfService = require('../../../../src/modules/invoices/invoice-pdf.service');
+const invoicesService = require('../../../../src/modules/invoices/invoices.service');
+
+const client = { query: jest.fn() };
+
+function payment(overrides = {}) {
+  return {
+    id: 9,
+    payment_intent_id: 'pi_9',
+    organizer_id: 7,
+    amount: '120.00',
+    currency: 'EUR',
+    customer_info: { email: 'buyer@example.com', first_name: 'Ada', last_name: 'Lovelace' },
+    event_id: 3,
+    ...overrides
+  };
+}
+
+function profile(organizerId) {
+  return {
+    organizer_id: organizerId,
+    legal_name: `Organisateur ${organizerId}`,
+    tax_label: 'TVA',
+    tax_rate: '20.00',
+    invoice_prefix: `FAC${organizerId}`,
+    receipt_prefix: `REC${organizerId}`
+  };
+}
+
+describe('InvoicesService - émission des documents', () => {
+  // Compteurs de invoice_sequences, annulés avec la transaction qui les incrémente
+  let sequences;
+  // Documents enregistrés (RETURNING *)
+  let documents;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequences = new Map();
+    documents = new Map();
+
+    invoicesRepository.transaction.mockImplementation(async (cb) => {
+      const snapshot = new Map(sequences);
+      try {
+        return await cb(client);
+      } catch (error) {
+        sequences = snapshot;
+        throw error;
+      }
+    });
+    invoicesRepository.nextSequenceNumber.mockImplementation(async (organizerId, documentType) => {
+      const key = `${organizerId}:${documentType}`;
+      sequences.set(key, (sequences.get(key) || 0) + 1);
+      return sequences.get(key);
+    });
+    invoicesRepository.create.mockImplementation(async (data) => {
+      const invoice = { id: 100 + documents.size + 1, file_path: null, ...data };
+      documents.set(invoice.id, invoice);
+      return invoice;
+    });
+    invoicesRepository.findByPayment.mockResolvedValue([]);
+    invoicesRepository.findProfile.mockImplementation(async (organizerId) => profile(organizerId));
+    invoicesRepository.findPaymentTicketLines.mockResolvedValue([]);
+    invoicesRepository.updateFile.mockImplementation(async (id, filePath, fileSize) => ({
+      ...documents.get(id), id, file_path: filePath, file_size: fileSize
+    }));
+    invoicesRepository.markRenderFailed.mockImplementation(async (id, renderError) => ({
+      ...documents.get(id), render_error: renderError
+    }));
+    invoicePdfService.generate.mockResolvedValue({ file_path: 'invoices/7/doc.pdf', file_size: 2048 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('createDocument', () => {
+    it('✅ devrait numéroter sans trou par organisateur et par type de document', async () => {
+      const numbers = [];
+      for (const [id, organizerId, documentType] of [
+        [1, 7, 'invoice'],
+        [2, 7, 'receipt'],
+        [3, 8, 'invoice'],
+        [4, 7, 'invoice'],
+        [5, 7, 'receipt'],
+        [6, 7, 'invoice']
+      ]) {
+        const { invoice } = await invoicesService.createDocument(payment({ id, organizer_id: organizerId }), documentType);
+        numbers.push(invoice.invoice_number);
+      }
+
+      expect(numbers).toEqual([
+        'FAC7-000001',
+        'REC7-000001',
+        'FAC8-000001',
+        'FAC7-000002',
+        'REC7-000002',
+        'FAC7-000003'
+      ]);
+      expect(invoicesRepository.nextSequenceNumber).toHaveBeenCalledWith(7, 'invoice', client);
+    });
+
+    it('✅ ne devrait pas consommer de numéro quand l\'enregistrement échoue', async () => {
+      await invoicesService.createDocument(payment({ id: 1 }), 'invoice');
+      invoicesRepository.create.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(invoicesService.createDocument(payment({ id: 2 }), 'invoice')).rejects.toThrow('connection terminated');
+      const { invoice } = await invoicesService.createDocument(payment({ id: 2 }), 'invoice');
+
+      expect(invoice.invoice_number).toBe('FAC7-000002');
+      expect(invoicePdfService.generate).toHaveBeenCalledTimes(2);
+    });
+
+    it('✅ devrait garder le numéro d\'un document dont le rendu a échoué', async () => {
+      invoicePdfService.generate.mockRejectedValueOnce(new Error('Chromium crashed'));
+
+      const failed = await invoicesService.createDocument(payment({ id: 1 }), 'invoice');
+      const next = await invoicesService.createDocument(payment({ id: 2 }), 'invoice');
+
+      expect(failed).toMatchObject({ created: true, invoice: { id: 101, file_path: null, render_error: 'Chromium crashed' } });
+      expect(invoicesRepository.markRenderFailed).toHaveBeenCalledWith(101, 'Chromium crashed');
+      expect(invoicesRepository.updateFile).not.toHaveBeenCalledWith(101, expect.anything(), expect.anything());
+      expect(next.invoice).toMatchObject({ id: 102, file_path: 'invoices/7/doc.pdf' });
+      expect(invoicesRepository.create).toHaveBeenLastCalledWith(expect.objectContaining({ sequence_number: 2 }), client);
+    });
+
+    it('✅ devrait renvoyer le document déjà émis sans nouveau numéro', async () => {
+      const existing = { id: 55, invoice_number: 'FAC7-000004' };
+      invoicesRepository.findByPayment.mockResolvedValue([existing]);
+
+      const result = await invoicesService.createDocument(payment(), 'invoice');
+
+      expect(result).toEqual({ invoice: existing, created: false });
+      expect(invoicesRepository.nextSequenceNumber).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait renvoyer le document d\'une émission concurrente', async () => {
+      const concurrent = { id: 56, invoice_number: 'FAC7-000001' };
+      invoicesRepository.create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+      invoicesRepository.findByPayment
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([concurrent]);
+
+      const result = await invoicesService.createDocument(payment(), 'invoice');
+
+      expect(result).toEqual({ invoice: concurrent, created: false });
+      expect(invoicePdfService.generate).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un organisateur sans profil de facturation', async () => {
+      invoicesRepository.findProfile.mockResolvedValue(null);
+
+      await expect(invoicesService.createDocument(payment(), 'invoice'))
+        .rejects.toMatchObject({ code: 'BILLING_PROFILE_MISSING' });
+      expect(invoicesRepository.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDocumentFile', () => {
+    const user = { id: 7 };
+
+    beforeEach(() => {
+      invoicePdfService.resolvePath.mockImplementation(filePath => `/storage/${filePath}`);
+      invoicesRepository.findPayment.mockResolvedValue(payment());
+    });
+
+    it('✅ devrait rendre au téléchargement le PDF d\'un document dont le rendu a échoué', async () => {
+      const failed = { id: 101, organizer_id: 7, payment_id: 9, invoice_number: 'FAC7-000001', file_path: null, render_error: 'Chromium crashed' };
+      invoicesRepository.findById.mockResolvedValue(failed);
+
+      const result = await invoicesService.getDocumentFile(101, user);
+
+      expect(invoicePdfService.generate).toHaveBeenCalledWith(failed, expect.any(Object));
+      expect(invoicesRepository.updateFile).toHaveBeenCalledWith(101, 'invoices/7/doc.pdf', 2048);
+      expect(result).toEqual({
+        success: true,
+        data: { path: '/storage/invoices/7/doc.pdf', filename: 'FAC7-000001.pdf' }
+      });
+      expect(invoicesRepository.nextSequenceNumber).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait servir le PDF existant sans le régénérer', async () => {
+      invoicesRepository.findById.mockResolvedValue({ id: 101, organizer_id: 7, invoice_number: 'FAC7-000001', file_path: 'invoices/7/a.pdf' });
+      invoicePdfService.exists.mockResolvedValue(true);
+
+      const result = await invoicesService.getDocumentFile(101, user);
+
+      expect(result.data.path).toBe('/storage/invoices/7/a.pdf');
+      expect(invoicePdfService.generate).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait signaler un nouvel échec du rendu', async () => {
+      invoicesRepository.findById.mockResolvedValue({ id: 101, organizer_id: 7, payment_id: 9, invoice_number: 'FAC7-000001', file_path: null });
+      invoicePdfService.generate.mockRejectedValue(new Error('Chromium crashed'));
+
+      const result = await invoicesService.getDocumentFile(101, user);
+
+      expect(result).toEqual({ success: false, error: 'Chromium crashed' });
+      expect(invoicesRepository.updateFile).not.toHaveBeenCalled();
+    });
+  });
+});
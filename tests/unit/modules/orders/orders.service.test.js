@@ -0,0 +1,363 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - TRANSITIONS DES COMMANDES
+ * ========================================
+ * Machine à états des commandes : transitions autorisées, refus des
+ * transitions invalides, historique des statuts, annulation, expiration
+ * des réservations et clôture des paiements non aboutis
+ */
+
+jest.mock('../../../../src/modules/orders/orders.repository', () => ({
+  transaction: jest.fn(),
+  update: jest.fn(),
+  addStatusHistory: jest.fn(),
+  findById: jest.fn(),
+  lockById: jest.fn(),
+  lockByPaymentIntent: jest.fn(),
+  findItems: jest.fn(),
+  findAttendees: jest.fn(),
+  findStatusHistory: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/ticket-inventory.service', () => ({
+  releaseHoldIds: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/ticket-pricing.service', () => ({}));
+jest.mock('../../../../src/modules/tickets/promo-codes.service', () => ({
+  cancelRedemptionIds: jest.fn()
+}));
+jest.mock('../../../../src/services/payment-service', () => ({
+  initiatePayment: jest.fn(),
+  cancelPayment: jest.fn()
+}));
+jest.mock('../../../../src/queues/ticket-generation-producer', () => ({
+  createTicketGenerationJob: jest.fn()
+}));
+jest.mock('../../../../src/config', () => ({
+  database: { query: jest.fn() }
+}));
+
+const ordersRepository = require('../../../../src/modules/orders/orders.repository');
+const ticketInventoryService = require('../../../../src/modules/tickets/ticket-inventory.service');
+const promoCodesService = require('../../../../src/modules/tickets/promo-codes.service');
+const { initiatePayment, cancelPayment } = require('../../../../src/services/payment-service');
+const ordersService = require('../../../../src/modules/orders/orders.service');
+
+const client = { query: jest.fn() };
+
+function order(overrides = {}) {
+  return {
+    id: 10,
+    order_number: 'ORD-0010',
+    user_id: 7,
+    status: 'reserved',
+    payment_intent_id: null,
+    promo_redemption_ids: [],
+    expires_at: null,
+    ...overrides
+  };
+}
+
+describe('OrdersService - transitions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ordersRepository.transaction.mockImplementation(cb => cb(client));
+    ordersRepository.update.mockImplementation(async (id, fields) => ({ id, ...fields }));
+    ordersRepository.addStatusHistory.mockResolvedValue(undefined);
+    ordersRepository.findItems.mockResolvedValue([]);
+    ordersRepository.findAttendees.mockResolvedValue([]);
+    ordersRepository.findStatusHistory.mockResolvedValue([]);
+  });
+
+  describe('transition', () => {
+    it.each([
+      ['cart', 'reserved'],
+      ['cart', 'cancelled'],
+      ['reserved', 'pending_payment'],
+      ['reserved', 'paid'],
+      ['reserved', 'expired'],
+      ['pending_payment', 'paid'],
+      ['pending_payment', 'failed'],
+      ['pending_payment', 'expired'],
+      ['pending_payment', 'reserved'],
+      ['paid', 'fulfilled'],
+      ['expired', 'paid']
+    ])('✅ devrait autoriser %s → %s', async (from, to) => {
+      const result = await ordersService.transition(order({ status: from }), to, {}, client);
+
+      expect(result.status).toBe(to);
+      expect(ordersRepository.update).toHaveBeenCalledWith(10, { status: to }, undefined, client);
+    });
+
+    it.each([
+      ['cart', 'paid'],
+      ['reserved', 'fulfilled'],
+      ['paid', 'cancelled'],
+      ['fulfilled', 'cancelled'],
+      ['cancelled', 'reserved'],
+      ['failed', 'paid'],
+      ['expired', 'cancelled']
+    ])('❌ devrait refuser %s → %s', async (from, to) => {
+      await expect(ordersService.transition(order({ status: from }), to, {}, client))
+        .rejects.toMatchObject({
+          code: 'ORDER_STATUS_INVALID',
+          message: `Order ORD-0010 cannot go from ${from} to ${to}`
+        });
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+      expect(ordersRepository.addStatusHistory).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser une transition depuis un statut inconnu', async () => {
+      await expect(ordersService.transition(order({ status: 'archived' }), 'paid', {}, client))
+        .rejects.toMatchObject({ code: 'ORDER_STATUS_INVALID' });
+    });
+
+    it('✅ devrait enregistrer les champs et l\'historique du changement de statut', async () => {
+      const paidAt = new Date('2026-05-01T10:00:00Z');
+
+      const result = await ordersService.transition(order({ status: 'pending_payment' }), 'paid', {
+        userId: 3,
+        reason: 'payment_completed',
+        fields: { paid_at: paidAt }
+      }, client);
+
+      expect(ordersRepository.update).toHaveBeenCalledWith(10, { paid_at: paidAt, status: 'paid' }, 3, client);
+      expect(ordersRepository.addStatusHistory).toHaveBeenCalledWith(10, 'pending_payment', 'paid', 'payment_completed', 3, client);
+      expect(result).toMatchObject({ order_number: 'ORD-0010', status: 'paid', paid_at: paidAt });
+    });
+  });
+
+  describe('pay', () => {
+    const reserved = order({ total_amount: '60.00', subtotal_amount: '60.00', discount_amount: '0.00', currency: 'EUR', promo_redemption_ids: [4] });
+
+    beforeEach(() => {
+      ordersRepository.findById.mockResolvedValue(reserved);
+      ordersRepository.findItems.mockResolvedValue([{ id: 1, ticket_hold_id: 21 }]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('✅ devrait passer la commande en paiement avant d\'initier le paiement', async () => {
+      ordersRepository.lockById.mockResolvedValue(reserved);
+      initiatePayment.mockImplementation(async () => {
+        expect(ordersRepository.addStatusHistory).toHaveBeenCalledWith(10, 'reserved', 'pending_payment', 'payment_initiated', 7, client);
+        return { success: true, payment_id: 9, payment_intent_id: 'pi_1', payment_url: 'https://pay', amount: 60, currency: 'EUR' };
+      });
+
+      const result = await ordersService.pay(10, { payment_method: 'stripe' }, { id: 7 });
+
+      expect(result.success).toBe(true);
+      expect(result.data.payment).toMatchObject({ payment_intent_id: 'pi_1', payment_url: 'https://pay' });
+      expect(initiatePayment).toHaveBeenCalledWith(expect.objectContaining({ amount: 60, hold_ids: [21], promo_redemption_ids: [4] }), expect.anything());
+      expect(ordersRepository.update).toHaveBeenLastCalledWith(10, { payment_id: 9, payment_intent_id: 'pi_1' }, 7, client);
+    });
+
+    it('❌ devrait refuser un second paiement pendant l\'initiation du premier', async () => {
+      ordersRepository.lockById.mockResolvedValue(order({ status: 'pending_payment' }));
+
+      const result = await ordersService.pay(10, { payment_method: 'stripe' }, { id: 7 });
+
+      expect(result).toMatchObject({ success: false, code: 'ORDER_STATUS_INVALID' });
+      expect(initiatePayment).not.toHaveBeenCalled();
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait remettre la commande en reserved si l\'initiation échoue', async () => {
+      ordersRepository.lockById
+        .mockResolvedValueOnce(reserved)
+        .mockResolvedValueOnce(order({ status: 'pending_payment' }));
+      initiatePayment.mockResolvedValue({ success: false, error: 'Payment service unavailable' });
+
+      const result = await ordersService.pay(10, { payment_method: 'stripe' }, { id: 7 });
+
+      expect(result).toEqual({ success: false, error: 'Payment service unavailable', code: 'PAYMENT_INIT_ERROR' });
+      expect(ordersRepository.addStatusHistory).toHaveBeenLastCalledWith(10, 'pending_payment', 'reserved', 'payment_init_failed', 7, client);
+    });
+
+    it('✅ devrait remettre la commande en reserved si l\'initiation lève une erreur', async () => {
+      ordersRepository.lockById
+        .mockResolvedValueOnce(reserved)
+        .mockResolvedValueOnce(order({ status: 'pending_payment' }));
+      initiatePayment.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const result = await ordersService.pay(10, { payment_method: 'stripe' }, { id: 7 });
+
+      expect(result).toEqual({ success: false, error: 'connect ECONNREFUSED' });
+      expect(ordersRepository.update).toHaveBeenLastCalledWith(10, { status: 'reserved' }, 7, client);
+    });
+
+    it('✅ ne devrait pas remettre en reserved une commande déjà rattachée à un paiement', async () => {
+      ordersRepository.lockById
+        .mockResolvedValueOnce(reserved)
+        .mockResolvedValueOnce(order({ status: 'paid', payment_intent_id: 'pi_1' }));
+      initiatePayment.mockResolvedValue({ success: false, error: 'Timeout' });
+
+      await ordersService.pay(10, { payment_method: 'stripe' }, { id: 7 });
+
+      expect(ordersRepository.addStatusHistory).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cancel', () => {
+    it('✅ devrait annuler une réservation et libérer places et codes promo', async () => {
+      const reserved = order({ promo_redemption_ids: [4] });
+      ordersRepository.findById.mockResolvedValue(reserved);
+      ordersRepository.lockById.mockResolvedValue(reserved);
+      ordersRepository.findItems.mockResolvedValue([{ id: 1, ticket_hold_id: 21 }, { id: 2, ticket_hold_id: null }]);
+
+      const result = await ordersService.cancel(10, { id: 7 });
+
+      expect(result.success).toBe(true);
+      expect(ticketInventoryService.releaseHoldIds).toHaveBeenCalledWith([21], 'order_cancelled', client);
+      expect(promoCodesService.cancelRedemptionIds).toHaveBeenCalledWith([4], client);
+      expect(ordersRepository.addStatusHistory).toHaveBeenCalledWith(10, 'reserved', 'cancelled', 'cancelled_by_buyer', 7, client);
+    });
+
+    it('✅ devrait annuler le paiement en attente avant la commande', async () => {
+      const pending = order({ status: 'pending_payment', payment_intent_id: 'pi_1' });
+      ordersRepository.findById.mockResolvedValue(pending);
+      ordersRepository.lockById.mockResolvedValue(pending);
+      cancelPayment.mockResolvedValue({ success: true });
+
+      const result = await ordersService.cancel(10, { id: 7 }, 'changed_mind');
+
+      expect(result.success).toBe(true);
+      expect(cancelPayment).toHaveBeenCalledWith('pi_1', expect.anything());
+      expect(ticketInventoryService.releaseHoldIds).not.toHaveBeenCalled();
+      expect(ordersRepository.addStatusHistory).toHaveBeenCalledWith(10, 'pending_payment', 'cancelled', 'changed_mind', 7, client);
+    });
+
+    it('❌ devrait garder la commande si le paiement ne peut être annulé', async () => {
+      ordersRepository.findById.mockResolvedValue(order({ status: 'pending_payment', payment_intent_id: 'pi_1' }));
+      cancelPayment.mockResolvedValue({ success: false, error: 'Payment already captured' });
+
+      const result = await ordersService.cancel(10, { id: 7 });
+
+      expect(result).toEqual({ success: false, error: 'Payment already captured', code: 'PAYMENT_NOT_CANCELLABLE' });
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser d\'annuler une commande dont le paiement est en cours d\'initiation', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      ordersRepository.findById.mockResolvedValue(order({ status: 'pending_payment' }));
+
+      const result = await ordersService.cancel(10, { id: 7 });
+
+      expect(result).toMatchObject({ success: false, code: 'ORDER_STATUS_INVALID' });
+      expect(cancelPayment).not.toHaveBeenCalled();
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('❌ devrait refuser d\'annuler une commande payée', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      ordersRepository.findById.mockResolvedValue(order({ status: 'paid' }));
+
+      const result = await ordersService.cancel(10, { id: 7 });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('ORDER_STATUS_INVALID');
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('❌ devrait refuser l\'annulation par un autre utilisateur', async () => {
+      ordersRepository.findById.mockResolvedValue(order());
+
+      const result = await ordersService.cancel(10, { id: 8 });
+
+      expect(result).toEqual({ success: false, error: 'Access denied' });
+    });
+
+    it('✅ ne devrait pas réécrire une commande déjà annulée par webhook', async () => {
+      ordersRepository.findById.mockResolvedValue(order({ status: 'pending_payment', payment_intent_id: 'pi_1' }));
+      ordersRepository.lockById.mockResolvedValue(order({ status: 'cancelled' }));
+      cancelPayment.mockResolvedValue({ success: true });
+
+      const result = await ordersService.cancel(10, { id: 7 });
+
+      expect(result.success).toBe(true);
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireIfStale', () => {
+    it('✅ devrait expirer une réservation dépassée et rendre les codes promo', async () => {
+      const stale = order({ expires_at: new Date(Date.now() - 60000), promo_redemption_ids: [4, 5] });
+      ordersRepository.lockById.mockResolvedValue(stale);
+
+      const result = await ordersService.expireIfStale(stale);
+
+      expect(result.status).toBe('expired');
+      expect(promoCodesService.cancelRedemptionIds).toHaveBeenCalledWith([4, 5], client);
+      expect(ordersRepository.addStatusHistory).toHaveBeenCalledWith(10, 'reserved', 'expired', 'reservation_expired', undefined, client);
+    });
+
+    it('✅ devrait laisser une réservation encore valide', async () => {
+      const fresh = order({ expires_at: new Date(Date.now() + 60000) });
+
+      const result = await ordersService.expireIfStale(fresh);
+
+      expect(result).toBe(fresh);
+      expect(ordersRepository.transaction).not.toHaveBeenCalled();
+    });
+
+    it('✅ ne devrait pas expirer une commande passée en paiement entre-temps', async () => {
+      const stale = order({ expires_at: new Date(Date.now() - 60000) });
+      ordersRepository.lockById.mockResolvedValue(order({ status: 'pending_payment' }));
+
+      const result = await ordersService.expireIfStale(stale);
+
+      expect(result.status).toBe('pending_payment');
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('closeUnpaidOrder', () => {
+    const payment = { id: 99, payment_intent_id: 'pi_1', metadata: {} };
+
+    it('✅ devrait convertir canceled en cancelled', async () => {
+      ordersRepository.lockByPaymentIntent.mockResolvedValue(order({ status: 'pending_payment' }));
+
+      const result = await ordersService.closeUnpaidOrder(payment, 'canceled', client);
+
+      expect(result.status).toBe('cancelled');
+      expect(result.cancelled_at).toBeInstanceOf(Date);
+      expect(ordersRepository.addStatusHistory).toHaveBeenCalledWith(10, 'pending_payment', 'cancelled', 'payment_canceled', undefined, client);
+    });
+
+    it('✅ devrait retrouver la commande par les métadonnées du paiement', async () => {
+      ordersRepository.lockByPaymentIntent.mockResolvedValue(null);
+      ordersRepository.lockById.mockResolvedValue(order({ status: 'pending_payment' }));
+
+      const result = await ordersService.closeUnpaidOrder({ ...payment, metadata: { order_id: 10 } }, 'failed', client);
+
+      expect(ordersRepository.lockById).toHaveBeenCalledWith(10, client);
+      expect(result.status).toBe('failed');
+    });
+
+    it('✅ devrait ignorer une commande déjà payée', async () => {
+      ordersRepository.lockByPaymentIntent.mockResolvedValue(order({ status: 'paid' }));
+
+      const result = await ordersService.closeUnpaidOrder(payment, 'failed', client);
+
+      expect(result).toBeNull();
+      expect(ordersRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toErrorResult', () => {
+    it('✅ devrait exposer le code d\'une transition refusée', () => {
+      const error = Object.assign(new Error('Order ORD-0010 cannot go from paid to cancelled'), { code: 'ORDER_STATUS_INVALID' });
+
+      expect(ordersService.toErrorResult(error, 'Failed')).toEqual({
+        success: false,
+        error: 'Order ORD-0010 cannot go from paid to cancelled',
+        code: 'ORDER_STATUS_INVALID',
+        details: undefined
+      });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - RÉPARTITION DES REVENUS
+ * ========================================
+ * Répartition des paiements de billets et des ventes de templates entre
+ * bénéficiaire et plateforme, annulation des parts remboursées et
+ * déduction des remboursements à la création d'un lot
+ */
+
+jest.mock('../../../../src/modules/payouts/payouts.repository', () => ({
+  transaction: jest.fn(),
+  createEntries: jest.fn(),
+  findTemplateWithDesigner: jest.fn(),
+  findSourceEntries: jest.fn(),
+  findPaymentReversalState: jest.fn(),
+  lockPendingEntries: jest.fn(),
+  createPayout: jest.fn(),
+  attachEntries: jest.fn()
+}));
+
+const payoutsRepository = require('../../../../src/modules/payouts/payouts.repository');
+const payoutsService = require('../../../../src/modules/payouts/payouts.service');
+
+const client = { query: jest.fn() };
+
+function entriesFor(call = 0) {
+  return payoutsRepository.createEntries.mock.calls[call][0];
+}
+
+describe('PayoutsService - répartition', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    payoutsRepository.transaction.mockImplementation(cb => cb(client));
+    payoutsRepository.createEntries.mockImplementation(async entries => entries);
+  });
+
+  describe('recordPaymentEarnings', () => {
+    it('✅ devrait répartir un paiement entre organisateur et commission', async () => {
+      await payoutsService.recordPaymentEarnings({
+        id: 1, amount: '100.00', currency: 'eur', organizer_id: 7, event_id: 3
+      }, client);
+
+      const [organizer, platform] = entriesFor();
+      expect(organizer).toMatchObject({
+        party_type: 'organizer', party_id: 7, amount: 95, rate_percentage: 95,
+        gross_amount: 100, platform_fee_amount: 5, currency: 'EUR', payment_id: 1, event_id: 3
+      });
+      expect(platform).toMatchObject({ party_type: 'platform', amount: 5, rate_percentage: 5, status: 'paid' });
+      expect(payoutsRepository.createEntries).toHaveBeenCalledWith(expect.any(Array), client);
+    });
+
+    it('✅ devrait arrondir les parts sans perdre de centime', async () => {
+      await payoutsService.recordPaymentEarnings({ id: 1, amount: '10.01', currency: 'EUR', organizer_id: 7 }, client);
+
+      const [organizer, platform] = entriesFor();
+      expect(organizer.amount).toBe(9.51);
+      expect(platform.amount).toBe(0.5);
+      expect(organizer.amount + platform.amount).toBeCloseTo(10.01, 2);
+    });
+
+    it('✅ devrait arrondir à l\'unité dans une devise sans décimales', async () => {
+      await payoutsService.recordPaymentEarnings({ id: 1, amount: '1001', currency: 'XOF', organizer_id: 7 }, client);
+
+      const [organizer, platform] = entriesFor();
+      expect(organizer.amount).toBe(951);
+      expect(platform.amount).toBe(50);
+    });
+
+    it('❌ devrait ignorer un paiement sans organisateur ou sans montant', async () => {
+      expect(await payoutsService.recordPaymentEarnings({ id: 1, amount: '10.00', currency: 'EUR' }, client)).toEqual([]);
+      expect(await payoutsService.recordPaymentEarnings({ id: 1, amount: '0', currency: 'EUR', organizer_id: 7 }, client)).toEqual([]);
+      expect(payoutsRepository.createEntries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordTemplateEarnings', () => {
+    it('✅ devrait appliquer la part par défaut du designer', async () => {
+      payoutsRepository.findTemplateWithDesigner.mockResolvedValue({ id: 5, designer_id: 9, currency: 'EUR', revenue_share_percentage: null });
+
+      await payoutsService.recordTemplateEarnings({ template_id: 5, amount: '20.00', purchase_id: 11 }, client);
+
+      const [designer, platform] = entriesFor();
+      expect(designer).toMatchObject({ party_type: 'designer', party_id: 9, amount: 14, rate_percentage: 70, template_id: 5, purchase_id: 11 });
+      expect(platform).toMatchObject({ party_type: 'platform', amount: 6, rate_percentage: 30, status: 'paid' });
+    });
+
+    it('✅ devrait appliquer le taux propre au designer', async () => {
+      payoutsRepository.findTemplateWithDesigner.mockResolvedValue({ id: 5, designer_id: 9, currency: 'EUR', revenue_share_percentage: '62.50' });
+
+      await payoutsService.recordTemplateEarnings({ template_id: 5, amount: '10.00', currency: 'EUR' }, client);
+
+      const [designer, platform] = entriesFor();
+      expect(designer).toMatchObject({ amount: 6.25, rate_percentage: 62.5 });
+      expect(platform).toMatchObject({ amount: 3.75, rate_percentage: 37.5 });
+    });
+
+    it('❌ devrait ignorer la vente d\'un template introuvable', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      payoutsRepository.findTemplateWithDesigner.mockResolvedValue(null);
+
+      const result = await payoutsService.recordTemplateEarnings({ template_id: 5, amount: '10.00' }, client);
+
+      expect(result).toEqual([]);
+      expect(payoutsRepository.createEntries).not.toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('recordRefundReversal', () => {
+    const sourceEntries = [
+      { party_type: 'organizer', party_id: 7, gross_amount: '100.00', rate_percentage: '95.00', currency: 'EUR', payment_id: 1, event_id: 3 },
+      { party_type: 'platform', party_id: null, gross_amount: '100.00', rate_percentage: '5.00', currency: 'EUR', payment_id: 1, event_id: 3 }
+    ];
+
+    beforeEach(() => {
+      payoutsRepository.findPaymentReversalState.mockResolvedValue(null);
+    });
+
+    it('✅ devrait annuler la part remboursée au taux d\'origine', async () => {
+      payoutsRepository.findSourceEntries.mockResolvedValue(sourceEntries);
+      payoutsRepository.findPaymentReversalState.mockResolvedValue({ amount: '100.00', refunded_amount: '40.00', reversed_gross: '0' });
+
+      await payoutsService.recordRefundReversal({ id: 40, amount: '40.00', payment_id: 1 }, client);
+
+      expect(payoutsRepository.findSourceEntries).toHaveBeenCalledWith({ paymentId: 1 }, client);
+      const [organizer, platform] = entriesFor();
+      expect(organizer).toMatchObject({
+        party_type: 'organizer', party_id: 7, amount: -38, gross_amount: -40,
+        platform_fee_amount: -2, rate_percentage: '95.00', refund_id: 40, event_id: 3
+      });
+      expect(organizer.status).toBeUndefined();
+      expect(platform).toMatchObject({ party_type: 'platform', amount: -2, rate_percentage: '5.00', status: 'paid', refund_id: 40 });
+    });
+
+    it('✅ devrait plafonner l\'annulation au montant encaissé', async () => {
+      payoutsRepository.findSourceEntries.mockResolvedValue(sourceEntries);
+      payoutsRepository.findPaymentReversalState.mockResolvedValue({ amount: '100.00', refunded_amount: '150.00', reversed_gross: '0' });
+
+      await payoutsService.recordRefundReversal({ id: 40, amount: '150.00', payment_id: 1 }, client);
+
+      const [organizer, platform] = entriesFor();
+      expect(organizer).toMatchObject({ amount: -95, gross_amount: -100 });
+      expect(platform.amount).toBe(-5);
+    });
+
+    it('✅ devrait retrouver les écritures d\'un achat de template', async () => {
+      payoutsRepository.findSourceEntries.mockResolvedValue([
+        { party_type: 'designer', party_id: 9, gross_amount: '20.00', rate_percentage: '70.00', currency: 'EUR', purchase_id: 11, template_id: 5 }
+      ]);
+
+      await payoutsService.recordRefundReversal({ id: 41, amount: '20.00', purchase_id: 11 }, client);
+
+      expect(payoutsRepository.findSourceEntries).toHaveBeenCalledWith({ purchaseId: 11 }, client);
+      expect(entriesFor()).toEqual([
+        expect.objectContaining({ party_type: 'designer', amount: -14, template_id: 5, purchase_id: 11 })
+      ]);
+    });
+
+    it('✅ devrait imputer d\'abord le remboursement à la part non honorée', async () => {
+      // Paiement de 100 dont 40 pour des réservations non honorées : gains sur 60
+      payoutsRepository.findSourceEntries.mockResolvedValue([
+        { ...sourceEntries[0], gross_amount: '60.00' },
+        { ...sourceEntries[1], gross_amount: '60.00' }
+      ]);
+      payoutsRepository.findPaymentReversalState.mockResolvedValueOnce({ amount: '100.00', refunded_amount: '40.00', reversed_gross: '0' });
+
+      expect(await payoutsService.recordRefundReversal({ id: 40, amount: '40.00', payment_id: 1 }, client)).toEqual([]);
+      expect(payoutsRepository.findPaymentReversalState).toHaveBeenCalledWith(1, client);
+      expect(payoutsRepository.createEntries).not.toHaveBeenCalled();
+
+      payoutsRepository.findPaymentReversalState.mockResolvedValueOnce({ amount: '100.00', refunded_amount: '70.00', reversed_gross: '0' });
+      await payoutsService.recordRefundReversal({ id: 41, amount: '30.00', payment_id: 1 }, client);
+
+      const [organizer, platform] = entriesFor();
+      expect(organizer).toMatchObject({ gross_amount: -30, amount: -28.5, refund_id: 41 });
+      expect(platform.amount).toBe(-1.5);
+    });
+
+    it('✅ ne devrait pas annuler deux fois le brut déjà annulé', async () => {
+      payoutsRepository.findSourceEntries.mockResolvedValue(sourceEntries);
+      payoutsRepository.findPaymentReversalState.mockResolvedValue({ amount: '100.00', refunded_amount: '100.00', reversed_gross: '40.00' });
+
+      await payoutsService.recordRefundReversal({ id: 42, amount: '60.00', payment_id: 1 }, client);
+
+      expect(entriesFor()[0]).toMatchObject({ gross_amount: -60, amount: -57 });
+    });
+
+    it('❌ ne devrait rien écrire sans revenus d\'origine', async () => {
+      payoutsRepository.findSourceEntries.mockResolvedValue([]);
+
+      expect(await payoutsService.recordRefundReversal({ id: 40, amount: '10.00', payment_id: 1 }, client)).toEqual([]);
+      expect(await payoutsService.recordRefundReversal({ id: 40, amount: '10.00' }, client)).toEqual([]);
+      expect(payoutsRepository.createEntries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPayout', () => {
+    const data = { party_type: 'organizer', party_id: 7, currency: 'EUR' };
+
+    it('✅ devrait déduire les remboursements du lot', async () => {
+      payoutsRepository.lockPendingEntries.mockResolvedValue([{ id: 1, amount: '95.00' }, { id: 2, amount: '-38.00' }]);
+      payoutsRepository.createPayout.mockImplementation(async payout => ({ id: 3, ...payout }));
+
+      const result = await payoutsService.createPayout(data, 1);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ total_amount: 57, entry_count: 2 });
+      expect(payoutsRepository.attachEntries).toHaveBeenCalledWith([1, 2], 3, 1, client);
+    });
+
+    it('❌ devrait refuser un lot dont le solde ne couvre pas les remboursements', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      payoutsRepository.lockPendingEntries.mockResolvedValue([{ id: 1, amount: '10.00' }, { id: 2, amount: '-10.00' }]);
+
+      const result = await payoutsService.createPayout(data, 1);
+
+      expect(result).toMatchObject({ success: false, code: 'NO_PENDING_EARNINGS' });
+      expect(payoutsRepository.createPayout).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - REMBOURSEMENTS
+ * ========================================
+ * Politique de l'événement, registre des remboursements, révocation des
+ * billets et de l'accès au template, rétablissement sur refus de
+ * payment-service et rapprochement des webhooks refund.*
+ */
+
+jest.mock('../../../../src/modules/refunds/refunds.repository', () => ({
+  transaction: jest.fn(),
+  findPolicy: jest.fn(),
+  findPayment: jest.fn(),
+  lockPaymentByServiceId: jest.fn(),
+  findPurchase: jest.fn(),
+  lockPurchaseByTransactionId: jest.fn(),
+  sumRefunds: jest.fn(),
+  findPaymentTickets: jest.fn(),
+  revokeTickets: jest.fn(),
+  restoreTickets: jest.fn(),
+  revokeTemplateAccess: jest.fn(),
+  restoreTemplateAccess: jest.fn(),
+  create: jest.fn(),
+  setServiceRefundId: jest.fn(),
+  lockRefund: jest.fn(),
+  markProcessed: jest.fn(),
+  applyToPayment: jest.fn(),
+  markPurchaseRefunded: jest.fn()
+}));
+jest.mock('../../../../src/config/clients/payment-client', () => ({
+  processRefund: jest.fn()
+}));
+jest.mock('../../../../src/modules/payouts/payouts.service', () => ({
+  recordRefundReversal: jest.fn()
+}));
+
+const refundsRepository = require('../../../../src/modules/refunds/refunds.repository');
+const paymentClient = require('../../../../src/config/clients/payment-client');
+const payoutsService = require('../../../../src/modules/payouts/payouts.service');
+const refundsService = require('../../../../src/modules/refunds/refunds.service');
+
+const FUTURE = new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString();
+const SOON = new Date(Date.now() + 3600 * 1000).toISOString();
+
+describe('RefundsService', () => {
+  const client = { query: jest.fn() };
+  const organizer = { id: 7 };
+  const admin = { id: 1, roles: ['super_admin'] };
+  let payment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    payment = {
+      id: 9,
+      payment_intent_id: 'pi_1',
+      payment_service_id: 'ps_1',
+      status: 'completed',
+      amount: '100.00',
+      currency: 'EUR',
+      event_id: 3,
+      event_date: FUTURE,
+      organizer_id: 7
+    };
+    refundsRepository.transaction.mockImplementation(cb => cb(client));
+    refundsRepository.findPayment.mockImplementation(async () => payment);
+    refundsRepository.findPolicy.mockResolvedValue(null);
+    refundsRepository.sumRefunds.mockResolvedValue(0);
+    refundsRepository.findPaymentTickets.mockResolvedValue([
+      { id: 31, is_validated: false },
+      { id: 32, is_validated: false }
+    ]);
+    refundsRepository.revokeTickets.mockImplementation(async ids => ids);
+    refundsRepository.create.mockImplementation(async data => ({ id: 50, status: 'pending', ...data }));
+    refundsRepository.setServiceRefundId.mockImplementation(async (id, serviceId) => ({ id, payment_service_refund_id: serviceId }));
+    refundsRepository.markProcessed.mockImplementation(async (id, status) => ({ id, status }));
+    paymentClient.processRefund.mockResolvedValue({ success: true, refundId: 're_1' });
+  });
+
+  describe('applyPolicy', () => {
+    it('✅ devrait plafonner au pourcentage de la politique, engagements déduits', () => {
+      const policy = { allow_refunds: true, deadline_hours_before_event: 48, refund_percentage: '80.00' };
+
+      expect(refundsService.applyPolicy(policy, payment, 30)).toEqual({ maxAmount: 50 });
+    });
+
+    it('✅ devrait appliquer la politique par défaut', () => {
+      expect(refundsService.applyPolicy(null, payment, 0)).toEqual({ maxAmount: 100 });
+    });
+
+    it('❌ devrait refuser quand les remboursements sont désactivés', () => {
+      expect(refundsService.applyPolicy({ allow_refunds: false }, payment, 0))
+        .toEqual({ refusal: 'Refunds are not allowed for this event' });
+    });
+
+    it('❌ devrait refuser après la date limite', () => {
+      const policy = { allow_refunds: true, deadline_hours_before_event: 48, refund_percentage: 100 };
+
+      expect(refundsService.applyPolicy(policy, { ...payment, event_date: SOON }, 0))
+        .toEqual({ refusal: 'The refund deadline for this event has passed' });
+    });
+  });
+
+  describe('refundPayment', () => {
+    it('✅ devrait révoquer tous les billets d\'un remboursement total et consigner la demande', async () => {
+      const result = await refundsService.refundPayment(9, { reason: 'Annulation' }, organizer);
+
+      expect(result).toEqual({ success: true, data: { id: 50, payment_service_refund_id: 're_1' } });
+      expect(refundsRepository.revokeTickets).toHaveBeenCalledWith([31, 32], 7, client);
+      expect(refundsRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        payment_id: 9, event_id: 3, amount: 100, currency: 'EUR', revoked_ticket_ids: [31, 32], created_by: 7
+      }), client);
+      expect(paymentClient.processRefund).toHaveBeenCalledWith('ps_1', 100, 'Annulation', { refund_reference: '50', event_id: 3 });
+    });
+
+    it('✅ ne devrait révoquer que les billets désignés d\'un remboursement partiel', async () => {
+      await refundsService.refundPayment(9, { reason: 'Un billet', amount: 50, ticket_ids: [32] }, organizer);
+
+      expect(refundsRepository.revokeTickets).toHaveBeenCalledWith([32], 7, client);
+    });
+
+    it('✅ ne devrait révoquer aucun billet sans désignation d\'un remboursement partiel', async () => {
+      await refundsService.refundPayment(9, { reason: 'Geste commercial', amount: 20 }, organizer);
+
+      expect(refundsRepository.revokeTickets).toHaveBeenCalledWith([], 7, client);
+    });
+
+    it('❌ devrait refuser un montant supérieur au reste remboursable', async () => {
+      refundsRepository.sumRefunds.mockResolvedValue(70);
+
+      const result = await refundsService.refundPayment(9, { reason: 'Trop', amount: 40 }, organizer);
+
+      expect(result).toEqual({ success: false, error: 'Refund amount exceeds the refundable amount (30.00 EUR)' });
+      expect(refundsRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un billet déjà scanné', async () => {
+      refundsRepository.findPaymentTickets.mockResolvedValue([{ id: 31, is_validated: true }]);
+
+      const result = await refundsService.refundPayment(9, { reason: 'Scanné', amount: 50, ticket_ids: [31] }, organizer);
+
+      expect(result).toEqual({ success: false, error: 'A validated ticket cannot be refunded' });
+      expect(refundsRepository.revokeTickets).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait appliquer la date limite, sauf dérogation d\'un administrateur', async () => {
+      payment.event_date = SOON;
+      refundsRepository.findPolicy.mockResolvedValue({ allow_refunds: true, deadline_hours_before_event: 48, refund_percentage: 100 });
+
+      const refused = await refundsService.refundPayment(9, { reason: 'Tard' }, organizer);
+      const forbidden = await refundsService.refundPayment(9, { reason: 'Tard', override_policy: true }, organizer);
+      const overridden = await refundsService.refundPayment(9, { reason: 'Tard', override_policy: true }, admin);
+
+      expect(refused.error).toBe('The refund deadline for this event has passed');
+      expect(forbidden).toEqual({ success: false, error: 'Access denied' });
+      expect(overridden.success).toBe(true);
+      expect(refundsRepository.create).toHaveBeenCalledWith(expect.objectContaining({ policy_overridden: true }), client);
+    });
+
+    it('❌ devrait refuser un paiement non encaissé ou d\'un autre organisateur', async () => {
+      payment.status = 'pending';
+      expect((await refundsService.refundPayment(9, { reason: 'x' }, organizer)).error)
+        .toBe('Payment is pending and cannot be refunded');
+
+      payment.status = 'completed';
+      expect(await refundsService.refundPayment(9, { reason: 'x' }, { id: 8 }))
+        .toEqual({ success: false, error: 'Access denied' });
+    });
+  });
+
+  describe('submitRefund', () => {
+    const refund = { id: 50, amount: '100.00', reason: 'Annulation', event_id: 3, status: 'pending', revoked_ticket_ids: [31, 32] };
+
+    beforeEach(() => {
+      refundsRepository.lockRefund.mockResolvedValue(refund);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('❌ devrait clore en échec et rétablir les billets sur un refus 4xx', async () => {
+      paymentClient.processRefund.mockResolvedValue({ success: false, status: 422, error: { message: 'Amount too high' } });
+
+      const result = await refundsService.submitRefund(refund, 'ps_1');
+
+      expect(result).toEqual({ success: false, error: 'Payment service refused the refund: Amount too high' });
+      expect(refundsRepository.lockRefund).toHaveBeenCalledWith({ refundId: 50 }, client);
+      expect(refundsRepository.markProcessed).toHaveBeenCalledWith(50, 'failed', { failure_reason: 'Amount too high' }, client);
+      expect(refundsRepository.restoreTickets).toHaveBeenCalledWith([31, 32], client);
+    });
+
+    it.each([
+      ['sans réponse', { success: false, error: 'timeout of 15000ms exceeded' }],
+      ['sur une erreur 5xx', { success: false, status: 502, error: 'Bad Gateway' }]
+    ])('✅ devrait laisser le remboursement en attente %s', async (label, response) => {
+      paymentClient.processRefund.mockResolvedValue(response);
+
+      const result = await refundsService.submitRefund(refund, 'ps_1');
+
+      expect(result).toEqual({ success: true, data: refund });
+      expect(refundsRepository.markProcessed).not.toHaveBeenCalled();
+      expect(refundsRepository.restoreTickets).not.toHaveBeenCalled();
+    });
+
+    it('✅ ne devrait rien rétablir si un webhook a déjà clos le remboursement', async () => {
+      paymentClient.processRefund.mockResolvedValue({ success: false, status: 409, error: 'Conflict' });
+      refundsRepository.lockRefund.mockResolvedValue({ ...refund, status: 'succeeded' });
+
+      await refundsService.submitRefund(refund, 'ps_1');
+
+      expect(refundsRepository.markProcessed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundPurchase', () => {
+    const purchase = { id: 11, user_id: 4, template_id: 5, amount: '20.00', currency: 'EUR', transaction_id: 'tx_1', refunded_at: null };
+
+    beforeEach(() => {
+      refundsRepository.findPurchase.mockResolvedValue(purchase);
+      refundsRepository.revokeTemplateAccess.mockResolvedValue(true);
+    });
+
+    it('✅ devrait retirer l\'accès au template sur un remboursement total', async () => {
+      const result = await refundsService.refundPurchase(11, { reason: 'Erreur' }, admin);
+
+      expect(result.success).toBe(true);
+      expect(refundsRepository.revokeTemplateAccess).toHaveBeenCalledWith(4, 5, client);
+      expect(refundsRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        purchase_id: 11, amount: 20, template_access_revoked: true
+      }), client);
+      expect(paymentClient.processRefund).toHaveBeenCalledWith('tx_1', 20, 'Erreur', expect.any(Object));
+    });
+
+    it('✅ devrait conserver l\'accès sur un remboursement partiel', async () => {
+      await refundsService.refundPurchase(11, { reason: 'Geste', amount: 5 }, admin);
+
+      expect(refundsRepository.revokeTemplateAccess).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait être réservé aux administrateurs', async () => {
+      expect(await refundsService.refundPurchase(11, { reason: 'Erreur' }, organizer))
+        .toEqual({ success: false, error: 'Access denied' });
+    });
+  });
+
+  describe('applyRefundWebhook', () => {
+    const pending = { id: 50, payment_id: 9, amount: '40.00', status: 'pending', revoked_ticket_ids: [31], created_by: 7 };
+
+    it('✅ devrait reporter un remboursement confirmé sur le paiement et les revenus', async () => {
+      refundsRepository.lockRefund.mockResolvedValue(pending);
+
+      const result = await refundsService.applyRefundWebhook(client, 'succeeded', { refund_id: 're_1', refund_reference: '50' }, 12);
+
+      expect(result).toEqual({ outcome: 'applied', refundId: 50 });
+      expect(refundsRepository.lockRefund).toHaveBeenCalledWith({ refundId: '50', paymentServiceRefundId: 're_1' }, client);
+      expect(refundsRepository.markProcessed).toHaveBeenCalledWith(50, 'succeeded', expect.objectContaining({
+        payment_service_refund_id: 're_1', webhook_id: 12
+      }), client, 'pending');
+      expect(refundsRepository.applyToPayment).toHaveBeenCalledWith(9, 40, client);
+      expect(payoutsService.recordRefundReversal).toHaveBeenCalledWith(pending, client);
+      expect(refundsRepository.revokeTickets).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait rétablir les billets d\'un remboursement échoué', async () => {
+      refundsRepository.lockRefund.mockResolvedValue(pending);
+
+      await refundsService.applyRefundWebhook(client, 'failed', { refund_id: 're_1', failure_reason: 'Card closed' }, 12);
+
+      expect(refundsRepository.markProcessed).toHaveBeenCalledWith(50, 'failed', expect.objectContaining({ failure_reason: 'Card closed' }), client);
+      expect(refundsRepository.restoreTickets).toHaveBeenCalledWith([31], client);
+      expect(refundsRepository.applyToPayment).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait régler un remboursement refusé localement puis exécuté', async () => {
+      const failed = { ...pending, status: 'failed', payment_id: null, purchase_id: 11, template_access_revoked: true };
+      refundsRepository.lockRefund.mockResolvedValue(failed);
+      refundsRepository.findPurchase.mockResolvedValue({ id: 11, user_id: 4, template_id: 5, amount: '40.00' });
+      refundsRepository.sumRefunds.mockResolvedValue(40);
+
+      const result = await refundsService.applyRefundWebhook(client, 'succeeded', { refund_id: 're_1' }, 12);
+
+      expect(result).toEqual({ outcome: 'applied', refundId: 50 });
+      expect(refundsRepository.revokeTickets).toHaveBeenCalledWith([31], 7, client);
+      expect(refundsRepository.revokeTemplateAccess).toHaveBeenCalledWith(4, 5, client);
+      expect(refundsRepository.markProcessed).toHaveBeenCalledWith(50, 'succeeded', expect.any(Object), client, 'failed');
+      expect(refundsRepository.markPurchaseRefunded).toHaveBeenCalledWith(11, 7, client);
+      expect(payoutsService.recordRefundReversal).toHaveBeenCalledWith(failed, client);
+    });
+
+    it('✅ devrait ignorer un webhook rejoué sur un remboursement clos', async () => {
+      refundsRepository.lockRefund.mockResolvedValue({ ...pending, status: 'succeeded' });
+
+      expect(await refundsService.applyRefundWebhook(client, 'succeeded', { refund_id: 're_1' }, 12))
+        .toEqual({ outcome: 'ignored', reason: 'refund_succeeded' });
+      refundsRepository.lockRefund.mockResolvedValue({ ...pending, status: 'failed' });
+      expect(await refundsService.applyRefundWebhook(client, 'failed', { refund_id: 're_1' }, 12))
+        .toEqual({ outcome: 'ignored', reason: 'refund_failed' });
+      expect(refundsRepository.markProcessed).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait consigner un remboursement effectué hors du core', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      refundsRepository.lockRefund.mockResolvedValue(null);
+      refundsRepository.lockPaymentByServiceId.mockResolvedValue(payment);
+      refundsRepository.create.mockImplementation(async data => ({ id: 51, ...data }));
+
+      const result = await refundsService.applyRefundWebhook(client, 'succeeded', {
+        refund_id: 're_9', payment_service_id: 'ps_1', amount: '25.00'
+      }, 12);
+
+      expect(result).toEqual({ outcome: 'applied', refundId: 51 });
+      expect(refundsRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        payment_id: 9, amount: 25, status: 'succeeded', origin: 'webhook', payment_service_refund_id: 're_9'
+      }), client);
+      expect(refundsRepository.applyToPayment).toHaveBeenCalledWith(9, 25, client);
+      expect(payoutsService.recordRefundReversal).toHaveBeenCalledWith(expect.objectContaining({ id: 51 }), client);
+      console.warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - ZONES D'ACCÈS ET RÉ-ENTRÉE
+ * ========================================
+ * Politiques de ré-entrée (single, limited, unlimited), délai minimum
+ * entre deux entrées, sorties et événements sans zone
+ */
+
+jest.mock('../../../../src/modules/tickets/access-zones.repository', () => ({
+  transaction: jest.fn(),
+  findByEvent: jest.fn(),
+  getPassageStats: jest.fn(),
+  lockTicket: jest.fn(),
+  markTicketValidated: jest.fn(),
+  createPassage: jest.fn()
+}));
+jest.mock('../../../../src/modules/events/events.repository', () => ({
+  findById: jest.fn()
+}));
+
+const accessZonesRepository = require('../../../../src/modules/tickets/access-zones.repository');
+const accessZonesService = require('../../../../src/modules/tickets/access-zones.service');
+
+function zone(overrides = {}) {
+  return {
+    id: 1,
+    code: 'main',
+    name: 'Salle principale',
+    reentry_policy: 'single',
+    max_reentries: null,
+    cooldown_seconds: 0,
+    checkpoint_ids: ['north'],
+    ticket_type_ids: [],
+    is_default: false,
+    ...overrides
+  };
+}
+
+function stats(overrides = {}) {
+  return { entries: 0, exits: 0, last_direction: null, last_entry_at: null, ...overrides };
+}
+
+describe('AccessZonesService', () => {
+  const client = { query: jest.fn() };
+  const ticket = { id: 10, event_id: 5, ticket_type_id: 2, is_validated: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accessZonesRepository.transaction.mockImplementation(callback => callback(client));
+    accessZonesRepository.getPassageStats.mockResolvedValue(stats());
+  });
+
+  describe('resolveZone', () => {
+    const zones = [zone(), zone({ id: 2, code: 'vip', checkpoint_ids: ['vip-door'], is_default: true })];
+
+    it('✅ devrait préférer la zone explicite, puis le point de contrôle, puis la zone par défaut', () => {
+      expect(accessZonesService.resolveZone(zones, { zoneId: 'main' }).id).toBe(1);
+      expect(accessZonesService.resolveZone(zones, { checkpointId: 'north' }).id).toBe(1);
+      expect(accessZonesService.resolveZone(zones, { checkpointId: 'unknown' }).id).toBe(2);
+    });
+  });
+
+  // ========================================
+  // POLITIQUES DE RÉ-ENTRÉE
+  // ========================================
+  describe('evaluatePassage', () => {
+    it('✅ devrait autoriser la première entrée', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone()]);
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision).toMatchObject({ allowed: true, direction: 'entry', zone: { id: 1 } });
+      expect(accessZonesRepository.getPassageStats).toHaveBeenCalledWith(10, 1, client);
+    });
+
+    it('❌ devrait refuser une ré-entrée en politique single', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone()]);
+      accessZonesRepository.getPassageStats.mockResolvedValue(stats({ entries: 1, exits: 1, last_direction: 'exit' }));
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision).toMatchObject({ allowed: false, code: 'REENTRY_NOT_ALLOWED' });
+    });
+
+    it('✅ devrait autoriser les ré-entrées dans la limite de max_reentries', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone({ reentry_policy: 'limited', max_reentries: 2 })]);
+      accessZonesRepository.getPassageStats.mockResolvedValue(stats({ entries: 2 }));
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision.allowed).toBe(true);
+    });
+
+    it('❌ devrait refuser au-delà de max_reentries', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone({ reentry_policy: 'limited', max_reentries: 2 })]);
+      accessZonesRepository.getPassageStats.mockResolvedValue(stats({ entries: 3 }));
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision).toMatchObject({ allowed: false, code: 'REENTRY_LIMIT_REACHED', details: { max_reentries: 2 } });
+    });
+
+    it('✅ devrait autoriser les ré-entrées sans limite en politique unlimited', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone({ reentry_policy: 'unlimited' })]);
+      accessZonesRepository.getPassageStats.mockResolvedValue(stats({ entries: 25 }));
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision.allowed).toBe(true);
+    });
+
+    it('❌ devrait appliquer le délai minimum entre deux entrées', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone({ reentry_policy: 'unlimited', cooldown_seconds: 300 })]);
+      accessZonesRepository.getPassageStats.mockResolvedValue(stats({
+        entries: 1,
+        last_entry_at: new Date(Date.now() - 60 * 1000).toISOString()
+      }));
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision).toMatchObject({ allowed: false, code: 'REENTRY_COOLDOWN' });
+      expect(decision.details.retry_after_seconds).toBeGreaterThan(230);
+      expect(decision.details.retry_after_seconds).toBeLessThanOrEqual(240);
+    });
+
+    it('❌ devrait refuser un type de billet non admis dans la zone', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone({ code: 'vip', ticket_type_ids: [7] })]);
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'north' }, client);
+
+      expect(decision).toMatchObject({ allowed: false, code: 'ZONE_ACCESS_DENIED' });
+      expect(accessZonesRepository.getPassageStats).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un point de contrôle sans zone', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone(), zone({ id: 2, code: 'vip', checkpoint_ids: ['vip-door'] })]);
+
+      const decision = await accessZonesService.evaluatePassage(ticket, { checkpointId: 'south' }, client);
+
+      expect(decision).toMatchObject({ allowed: false, code: 'ZONE_NOT_FOUND', details: { checkpoint_id: 'south' } });
+    });
+
+    it('✅ devrait autoriser la sortie d\'un billet entré et refuser sinon', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone()]);
+      accessZonesRepository.getPassageStats.mockResolvedValueOnce(stats({ entries: 1, last_direction: 'entry' }));
+
+      await expect(accessZonesService.evaluatePassage(ticket, { checkpointId: 'north', direction: 'exit' }, client))
+        .resolves.toMatchObject({ allowed: true, direction: 'exit' });
+      await expect(accessZonesService.evaluatePassage(ticket, { checkpointId: 'north', direction: 'exit' }, client))
+        .resolves.toMatchObject({ allowed: false, code: 'ZONE_NOT_ENTERED' });
+    });
+
+    it('✅ devrait garder l\'entrée unique pour un événement sans zone', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([]);
+
+      await expect(accessZonesService.evaluatePassage(ticket, {}, client))
+        .resolves.toEqual({ allowed: true, zone: null, direction: 'entry' });
+      await expect(accessZonesService.evaluatePassage({ ...ticket, is_validated: true, validated_at: '2026-06-12T20:00:00Z' }, {}, client))
+        .resolves.toMatchObject({ allowed: false, code: 'TICKET_ALREADY_VALIDATED' });
+    });
+  });
+
+  // ========================================
+  // ENREGISTREMENT DU PASSAGE
+  // ========================================
+  describe('registerPassage', () => {
+    it('✅ devrait enregistrer le passage dans la zone', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([zone()]);
+      accessZonesRepository.lockTicket.mockResolvedValue({ id: 10, is_validated: false });
+      accessZonesRepository.createPassage.mockResolvedValue({ id: 99, scanned_at: '2026-06-12T20:00:00Z' });
+
+      const decision = await accessZonesService.registerPassage(ticket, { checkpointId: 'north', deviceId: 'gate-a' }, 3);
+
+      expect(accessZonesRepository.createPassage).toHaveBeenCalledWith(expect.objectContaining({
+        ticket_id: 10,
+        access_zone_id: 1,
+        direction: 'entry',
+        device_id: 'gate-a',
+        created_by: 3
+      }), client);
+      expect(accessZonesService.describePassage(decision)).toMatchObject({ zone_code: 'main', entries: 1 });
+    });
+
+    it('❌ devrait relire la validation sous verrou pour un événement sans zone', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([]);
+      // Validé entre la lecture du billet et le verrou (scan simultané à une autre porte)
+      accessZonesRepository.lockTicket.mockResolvedValue({ id: 10, is_validated: true, validated_at: '2026-06-12T20:00:00Z' });
+
+      const decision = await accessZonesService.registerPassage(ticket, {}, 3);
+
+      expect(decision).toMatchObject({ allowed: false, code: 'TICKET_ALREADY_VALIDATED' });
+      expect(accessZonesRepository.markTicketValidated).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait valider le billet pour un événement sans zone', async () => {
+      accessZonesRepository.findByEvent.mockResolvedValue([]);
+      accessZonesRepository.lockTicket.mockResolvedValue({ id: 10, is_validated: false });
+
+      await accessZonesService.registerPassage(ticket, {}, 3);
+
+      expect(accessZonesRepository.markTicketValidated).toHaveBeenCalledWith(10, 3, client);
+      expect(accessZonesRepository.createPassage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - SYNCHRONISATION DES SCANS HORS LIGNE
+ * ========================================
+ * Validation des lots remontés par les appareils et résolution des
+ * conflits entre portes : scan le plus ancien retenu, validation en ligne
+ * prioritaire, scans déclassés et rejets
+ */
+
+jest.mock('../../../../src/modules/tickets/offline-scan.repository', () => ({
+  transaction: jest.fn(),
+  findEvent: jest.fn(),
+  findDeviceScans: jest.fn(),
+  lockTicketsByCodes: jest.fn(),
+  findAcceptedScans: jest.fn(),
+  createScan: jest.fn(),
+  markSuperseded: jest.fn(),
+  markTicketValidated: jest.fn()
+}));
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  checkIn: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/access-zones.repository', () => ({
+  findByEvent: jest.fn(),
+  createPassage: jest.fn(),
+  getPassageStats: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/access-zones.service', () => ({
+  resolveZone: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/scan-logs.service', () => ({
+  recordOfflineScan: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/ticket-transfers.repository', () => ({
+  findReleasedCodesByEvent: jest.fn()
+}));
+
+const offlineScanRepository = require('../../../../src/modules/tickets/offline-scan.repository');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const accessZonesRepository = require('../../../../src/modules/tickets/access-zones.repository');
+const offlineScanService = require('../../../../src/modules/tickets/offline-scan.service');
+
+describe('OfflineScanService', () => {
+  const client = { query: jest.fn() };
+  const ticket = { id: 1, ticket_code: 'TKT-1', event_id: 5, guest_id: 9, is_validated: false };
+  let nextScanRowId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextScanRowId = 1;
+    offlineScanRepository.transaction.mockImplementation(callback => callback(client));
+    offlineScanRepository.findEvent.mockResolvedValue({ id: 5, organizer_id: 3 });
+    offlineScanRepository.findDeviceScans.mockResolvedValue([]);
+    offlineScanRepository.lockTicketsByCodes.mockResolvedValue([ticket]);
+    offlineScanRepository.findAcceptedScans.mockResolvedValue([]);
+    offlineScanRepository.createScan.mockImplementation(async row => ({ id: nextScanRowId++, ...row }));
+    accessZonesRepository.findByEvent.mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  // ========================================
+  // ORDRE DE RÉSOLUTION
+  // ========================================
+  describe('compareEntries', () => {
+    const at = '2026-06-12T20:00:00Z';
+
+    it('✅ devrait retenir le scan le plus ancien', () => {
+      expect(offlineScanService.compareEntries(
+        { scanned_at: '2026-06-12T19:59:00Z', source: 'offline', device_id: 'z' },
+        { scanned_at: at, source: 'offline', device_id: 'a' }
+      )).toBeLessThan(0);
+    });
+
+    it('✅ devrait faire passer la validation en ligne avant un scan simultané', () => {
+      expect(offlineScanService.compareEntries(
+        { scanned_at: at, source: 'offline', device_id: 'a', scan_id: '1' },
+        { scanned_at: at, source: 'online' }
+      )).toBeGreaterThan(0);
+    });
+
+    it('✅ devrait départager par appareil puis par ID de scan', () => {
+      expect(offlineScanService.compareEntries(
+        { scanned_at: at, source: 'offline', device_id: 'gate-a', scan_id: '9' },
+        { scanned_at: at, source: 'offline', device_id: 'gate-b', scan_id: '1' }
+      )).toBeLessThan(0);
+      expect(offlineScanService.compareEntries(
+        { scanned_at: at, source: 'offline', device_id: 'gate-a', scan_id: '2' },
+        { scanned_at: at, source: 'offline', device_id: 'gate-a', scan_id: '1' }
+      )).toBeGreaterThan(0);
+    });
+  });
+
+  describe('normalizeSyncData', () => {
+    it('✅ devrait dédoublonner les scans envoyés deux fois dans le lot', () => {
+      const { errors, scans } = offlineScanService.normalizeSyncData({
+        device_id: 'gate-a',
+        scans: [
+          { scan_id: 's1', ticket_code: 'TKT-1', scanned_at: '2026-06-12T20:00:00Z' },
+          { scan_id: 's1', ticket_code: 'TKT-1', scanned_at: '2026-06-12T20:00:00Z' }
+        ]
+      });
+
+      expect(errors).toEqual([]);
+      expect(scans).toHaveLength(1);
+      expect(scans[0]).toMatchObject({ device_id: 'gate-a', checkpoint_id: 'main' });
+    });
+
+    it('❌ devrait signaler les champs manquants', () => {
+      const { errors } = offlineScanService.normalizeSyncData({ scans: [{ scan_id: 's1', scanned_at: 'invalid' }] });
+
+      expect(errors).toEqual([
+        'device_id is required',
+        'scans[0] requires scan_id, ticket_code and a valid scanned_at'
+      ]);
+    });
+  });
+
+  // ========================================
+  // SYNCHRONISATION
+  // ========================================
+  describe('syncScans', () => {
+    const scan = (scanId, scannedAt, ticketCode = 'TKT-1') => ({ scan_id: scanId, ticket_code: ticketCode, scanned_at: scannedAt });
+
+    it('✅ devrait accepter le premier passage et signaler les doublons du lot', async () => {
+      const result = await offlineScanService.syncScans(5, {
+        device_id: 'gate-a',
+        scans: [scan('s2', '2026-06-12T20:05:00Z'), scan('s1', '2026-06-12T20:00:00Z')]
+      }, 3);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ received: 2, accepted: 1, duplicates: 1, rejected: 0 });
+      expect(result.data.results.map(entry => [entry.scan_id, entry.resolution])).toEqual([['s1', 'accepted'], ['s2', 'duplicate']]);
+      expect(result.data.conflicts[0]).toMatchObject({ type: 'duplicate', reason: 'duplicate_scan', winner: { scan_id: 's1' } });
+      expect(offlineScanRepository.markTicketValidated).toHaveBeenCalledTimes(1);
+      expect(guestsRepository.checkIn).toHaveBeenCalledWith(expect.objectContaining({ guest_id: 9, event_id: 5 }), client);
+    });
+
+    it('✅ devrait déclasser une entrée retenue quand un scan antérieur arrive ensuite', async () => {
+      offlineScanRepository.findAcceptedScans.mockResolvedValue([
+        { id: 40, ticket_id: 1, scan_id: 'b1', device_id: 'gate-b', checkpoint_id: 'north', scanned_at: '2026-06-12T20:10:00Z' }
+      ]);
+
+      const result = await offlineScanService.syncScans(5, {
+        device_id: 'gate-a',
+        scans: [scan('a1', '2026-06-12T20:00:00Z')]
+      }, 3);
+
+      expect(result.data.accepted).toBe(1);
+      expect(offlineScanRepository.markSuperseded).toHaveBeenCalledWith(40, 1, 3, client);
+      expect(result.data.conflicts).toEqual([expect.objectContaining({
+        type: 'superseded',
+        reason: 'superseded_by_earlier_scan',
+        scan: expect.objectContaining({ scan_id: 'b1', device_id: 'gate-b' }),
+        winner: expect.objectContaining({ scan_id: 'a1', device_id: 'gate-a' })
+      })]);
+    });
+
+    it('❌ devrait marquer en doublon un scan postérieur à une validation en ligne', async () => {
+      offlineScanRepository.lockTicketsByCodes.mockResolvedValue([
+        { ...ticket, is_validated: true, validated_at: '2026-06-12T19:30:00Z' }
+      ]);
+
+      const result = await offlineScanService.syncScans(5, {
+        device_id: 'gate-a',
+        scans: [scan('a1', '2026-06-12T20:00:00Z')]
+      }, 3);
+
+      expect(result.data.duplicates).toBe(1);
+      expect(result.data.conflicts[0]).toMatchObject({
+        reason: 'already_validated_online',
+        winner: { source: 'online', scan_id: null }
+      });
+      expect(offlineScanRepository.createScan).toHaveBeenCalledWith(expect.objectContaining({ winning_scan_id: null }), client);
+    });
+
+    it('❌ devrait rejeter un billet inconnu ou révoqué', async () => {
+      offlineScanRepository.lockTicketsByCodes.mockResolvedValue([{ ...ticket, ticket_code: 'TKT-2', id: 2, guest_status: 'cancelled' }]);
+
+      const result = await offlineScanService.syncScans(5, {
+        device_id: 'gate-a',
+        scans: [scan('a1', '2026-06-12T20:00:00Z'), scan('a2', '2026-06-12T20:01:00Z', 'TKT-2')]
+      }, 3);
+
+      expect(result.data.rejected).toBe(2);
+      expect(result.data.results.map(entry => entry.reason)).toEqual(['unknown_ticket', 'guest_cancelled']);
+      expect(offlineScanRepository.markTicketValidated).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait renvoyer la résolution d\'origine d\'un scan déjà synchronisé', async () => {
+      offlineScanRepository.findDeviceScans.mockResolvedValue([
+        { scan_id: 'a1', ticket_code: 'TKT-1', resolution: 'accepted', conflict_reason: null }
+      ]);
+
+      const result = await offlineScanService.syncScans(5, {
+        device_id: 'gate-a',
+        scans: [scan('a1', '2026-06-12T20:00:00Z')]
+      }, 3);
+
+      expect(result.data).toMatchObject({ accepted: 0, already_synced: 1 });
+      expect(offlineScanRepository.lockTicketsByCodes).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un lot invalide sans ouvrir de transaction', async () => {
+      const result = await offlineScanService.syncScans(5, { device_id: 'gate-a', scans: [] }, 3);
+
+      expect(result).toEqual({ success: false, error: 'Invalid offline scans', details: ['scans must be a non-empty array'] });
+      expect(offlineScanRepository.transaction).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un utilisateur qui n\'organise pas l\'événement', async () => {
+      const result = await offlineScanService.syncScans(5, {
+        device_id: 'gate-a',
+        scans: [scan('a1', '2026-06-12T20:00:00Z')]
+      }, 4);
+
+      expect(result).toEqual({ success: false, error: 'Access denied: You are not the organizer of this event' });
+    });
+  });
+});
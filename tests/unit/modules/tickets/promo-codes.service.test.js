@@ -0,0 +1,256 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - CODES PROMO
+ * ========================================
+ * Moteur de remise : ordre pourcentage puis montant fixe, répartition au
+ * prorata des lignes, types ciblés, cumul, plafonds et enregistrement
+ * des utilisations
+ */
+
+jest.mock('../../../../src/modules/tickets/promo-codes.repository', () => ({
+  transaction: jest.fn(),
+  lockByCodes: jest.fn(),
+  countActiveRedemptions: jest.fn(),
+  createRedemption: jest.fn(),
+  confirmByPayment: jest.fn(),
+  cancelByPayment: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/access-zones.repository', () => ({}));
+jest.mock('../../../../src/modules/tickets/ticket-pricing.service', () => ({}));
+jest.mock('../../../../src/modules/events/events.repository', () => ({}));
+
+const promoCodesRepository = require('../../../../src/modules/tickets/promo-codes.repository');
+const promoCodesService = require('../../../../src/modules/tickets/promo-codes.service');
+
+function promo(overrides = {}) {
+  return {
+    id: 1,
+    code: 'SUMMER',
+    discount_type: 'percentage',
+    discount_value: '10.00',
+    ticket_type_ids: [],
+    stackable: false,
+    is_active: true,
+    max_uses: null,
+    max_uses_per_email: null,
+    valid_from: null,
+    valid_until: null,
+    ...overrides
+  };
+}
+
+describe('PromoCodesService', () => {
+  const client = { query: jest.fn() };
+  const items = [
+    { ticket_type_id: 1, quantity: 2, unit_price: 30 },
+    { ticket_type_id: 2, quantity: 1, unit_price: 40 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    promoCodesRepository.transaction.mockImplementation(callback => callback(client));
+    promoCodesRepository.countActiveRedemptions.mockResolvedValue(0);
+    let redemptionId = 100;
+    promoCodesRepository.createRedemption.mockImplementation(async () => ({ id: ++redemptionId }));
+  });
+
+  describe('buildLines', () => {
+    it('✅ devrait regrouper les lignes par type de billet', () => {
+      const lines = promoCodesService.buildLines([...items, { ticket_type_id: 1, quantity: 1, unit_price: 30 }]);
+
+      expect(lines.map(line => [line.ticket_type_id, line.quantity, line.subtotal])).toEqual([[1, 3, 90], [2, 1, 40]]);
+    });
+
+    it('❌ devrait refuser deux prix différents pour un même type', () => {
+      expect(() => promoCodesService.buildLines([
+        { ticket_type_id: 1, unit_price: 30 },
+        { ticket_type_id: 1, unit_price: 25 }
+      ])).toThrow(expect.objectContaining({ code: 'PROMO_CODE_INVALID', message: 'Conflicting unit prices for ticket type 1' }));
+    });
+  });
+
+  // ========================================
+  // CALCUL DES REMISES
+  // ========================================
+  describe('computeDiscounts', () => {
+    it('✅ devrait répartir un pourcentage au prorata des lignes', () => {
+      const { lines, discounts } = promoCodesService.computeDiscounts([promo()], promoCodesService.buildLines(items));
+
+      expect(discounts.map(discount => discount.amount)).toEqual([10]);
+      expect(lines.map(line => line.discount_amount)).toEqual([6, 4]);
+    });
+
+    it('✅ devrait appliquer les pourcentages avant les montants fixes', () => {
+      const { discounts } = promoCodesService.computeDiscounts([
+        promo({ id: 1, code: 'FIVE', discount_type: 'fixed', discount_value: '5.00', stackable: true }),
+        promo({ id: 2, code: 'HALF', discount_value: '50', stackable: true })
+      ], promoCodesService.buildLines(items));
+
+      // 50 % de 100 = 50, puis 5 sur le reste
+      expect(discounts.map(discount => [discount.promo_code.code, discount.amount])).toEqual([['HALF', 50], ['FIVE', 5]]);
+    });
+
+    it('✅ devrait limiter un montant fixe au total des billets ciblés', () => {
+      const { lines, discounts } = promoCodesService.computeDiscounts([
+        promo({ discount_type: 'fixed', discount_value: '100', ticket_type_ids: [2] })
+      ], promoCodesService.buildLines(items));
+
+      expect(discounts[0].amount).toBe(40);
+      expect(lines.map(line => line.discount_amount)).toEqual([0, 40]);
+    });
+
+    it('✅ devrait attribuer l\'arrondi à la dernière ligne', () => {
+      const { lines, discounts } = promoCodesService.computeDiscounts([
+        promo({ discount_type: 'fixed', discount_value: '10' })
+      ], promoCodesService.buildLines([
+        { ticket_type_id: 1, unit_price: 10 },
+        { ticket_type_id: 2, unit_price: 10 },
+        { ticket_type_id: 3, unit_price: 10 }
+      ]));
+
+      expect(lines.map(line => line.discount_amount)).toEqual([3.33, 3.33, 3.34]);
+      expect(discounts[0].amount).toBe(10);
+    });
+
+    it('✅ devrait exclure les lignes de don de la remise', () => {
+      const { lines } = promoCodesService.computeDiscounts([promo()], promoCodesService.buildLines([
+        { ticket_type_id: 1, unit_price: 50 },
+        { ticket_type_id: 2, unit_price: 20, donation_amount: 20 }
+      ]));
+
+      expect(lines.map(line => line.discount_amount)).toEqual([5, 0]);
+    });
+
+    it('❌ devrait refuser un code qui ne cible aucun billet de la commande', () => {
+      expect(() => promoCodesService.computeDiscounts([promo({ ticket_type_ids: [9] })], promoCodesService.buildLines(items)))
+        .toThrow('Promo code SUMMER does not apply to these tickets');
+    });
+  });
+
+  // ========================================
+  // PRIX D'UNE COMMANDE
+  // ========================================
+  describe('priceOrder', () => {
+    it('✅ devrait retourner le sous-total sans code', async () => {
+      const pricing = await promoCodesService.priceOrder(5, items, []);
+
+      expect(pricing).toMatchObject({ subtotal: 100, discount_amount: 0, total: 100, redemption_ids: [] });
+      expect(promoCodesRepository.transaction).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait appliquer le code et enregistrer l\'utilisation en attente', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValue([promo()]);
+
+      const pricing = await promoCodesService.priceOrder(5, items, ' summer ', {
+        email: 'Buyer@Example.com',
+        currency: 'EUR',
+        redeem: true
+      });
+
+      expect(promoCodesRepository.lockByCodes).toHaveBeenCalledWith(5, ['SUMMER'], client);
+      expect(pricing).toMatchObject({ subtotal: 100, discount_amount: 10, total: 90, redemption_ids: [101] });
+      expect(pricing.promo_codes).toEqual([{ id: 1, code: 'SUMMER', discount_type: 'percentage', discount_value: 10, amount: 10 }]);
+      expect(promoCodesRepository.createRedemption).toHaveBeenCalledWith({
+        promo_code_id: 1,
+        event_id: 5,
+        email: 'buyer@example.com',
+        discount_amount: 10,
+        currency: 'EUR'
+      }, client);
+    });
+
+    it('✅ devrait calculer un devis sans enregistrer d\'utilisation', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValue([promo()]);
+
+      const pricing = await promoCodesService.priceOrder(5, items, 'SUMMER', { email: 'buyer@example.com' });
+
+      expect(pricing.total).toBe(90);
+      expect(promoCodesRepository.createRedemption).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser des codes non cumulables', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValue([promo(), promo({ id: 2, code: 'VIP', stackable: true })]);
+
+      await expect(promoCodesService.priceOrder(5, items, ['SUMMER', 'VIP'], { email: 'buyer@example.com' }))
+        .rejects.toThrow('These promo codes cannot be combined');
+    });
+
+    it('❌ devrait refuser un code inconnu ou un acheteur sans email', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValue([]);
+
+      await expect(promoCodesService.priceOrder(5, items, 'NOPE', { email: 'buyer@example.com' }))
+        .rejects.toThrow('Unknown promo code: NOPE');
+      await expect(promoCodesService.priceOrder(5, items, 'SUMMER'))
+        .rejects.toThrow('customer_info.email is required to use a promo code');
+    });
+
+    it('❌ devrait appliquer les plafonds d\'utilisation, en attente comprises', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValue([promo({ max_uses: 100, max_uses_per_email: 1 })]);
+      promoCodesRepository.countActiveRedemptions.mockImplementation(async (id, email) => (email ? 1 : 3));
+
+      await expect(promoCodesService.priceOrder(5, items, 'SUMMER', { email: 'buyer@example.com' }))
+        .rejects.toThrow('Promo code SUMMER has already been used by this buyer');
+      expect(promoCodesRepository.countActiveRedemptions).toHaveBeenCalledWith(1, 'buyer@example.com', client);
+    });
+
+    it('❌ devrait refuser un code expiré ou inactif', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValueOnce([promo({ valid_until: '2020-01-01T00:00:00Z' })]);
+      await expect(promoCodesService.priceOrder(5, items, 'SUMMER', { email: 'buyer@example.com' }))
+        .rejects.toThrow('Promo code SUMMER has expired');
+
+      promoCodesRepository.lockByCodes.mockResolvedValueOnce([promo({ is_active: false })]);
+      await expect(promoCodesService.priceOrder(5, items, 'SUMMER', { email: 'buyer@example.com' }))
+        .rejects.toThrow('Promo code SUMMER is not active');
+    });
+
+    it('✅ devrait utiliser la transaction de l\'appelant', async () => {
+      promoCodesRepository.lockByCodes.mockResolvedValue([promo()]);
+      const callerClient = { query: jest.fn() };
+
+      await promoCodesService.priceOrder(5, items, 'SUMMER', { email: 'buyer@example.com', client: callerClient });
+
+      expect(promoCodesRepository.transaction).not.toHaveBeenCalled();
+      expect(promoCodesRepository.lockByCodes).toHaveBeenCalledWith(5, ['SUMMER'], callerClient);
+    });
+  });
+
+  describe('confirmRedemptions', () => {
+    it('✅ devrait confirmer toutes les utilisations du paiement', async () => {
+      promoCodesRepository.confirmByPayment.mockResolvedValue([{ id: 3 }]);
+
+      expect(await promoCodesService.confirmRedemptions('pi_1', client)).toEqual([{ id: 3 }]);
+      expect(promoCodesRepository.confirmByPayment).toHaveBeenCalledWith('pi_1', client, null);
+      expect(promoCodesRepository.cancelByPayment).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait rendre les codes qui ne portent sur aucun billet émis', async () => {
+      promoCodesRepository.confirmByPayment.mockResolvedValue([{ id: 3 }]);
+
+      await promoCodesService.confirmRedemptions('pi_1', client, [1]);
+
+      expect(promoCodesRepository.confirmByPayment).toHaveBeenCalledWith('pi_1', client, [1]);
+      expect(promoCodesRepository.cancelByPayment).toHaveBeenCalledWith('pi_1', client);
+    });
+
+    it('✅ devrait tout rendre quand aucun billet remisé n\'a été émis', async () => {
+      promoCodesRepository.confirmByPayment.mockResolvedValue([]);
+
+      expect(await promoCodesService.confirmRedemptions('pi_1', client, [])).toEqual([]);
+      expect(promoCodesRepository.cancelByPayment).toHaveBeenCalledWith('pi_1', client);
+    });
+  });
+
+  describe('checkRules', () => {
+    it('❌ devrait refuser un pourcentage supérieur à 100 et une période inversée', () => {
+      expect(promoCodesService.checkRules({
+        discount_type: 'percentage',
+        discount_value: 120,
+        valid_from: '2026-07-01',
+        valid_until: '2026-06-01'
+      })).toEqual([
+        'discount_value must not exceed 100 for a percentage discount',
+        'valid_until must be after valid_from'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - REQUÊTE DE L'HISTORIQUE DES SCANS
+ * ========================================
+ * Filtres traduits en conditions paramétrées, décalage de la page et
+ * total calculé à partir du décompte par résultat
+ */
+
+jest.mock('../../../../src/config', () => ({
+  database: {
+    query: jest.fn()
+  }
+}));
+
+const { database } = require('../../../../src/config');
+const scanLogsRepository = require('../../../../src/modules/tickets/scan-logs.repository');
+
+function normalizeSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+describe('ScanLogsRepository - findByEvent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.query.mockImplementation(async (sql) => (
+      sql.includes('GROUP BY sl.result')
+        ? { rows: [{ result: 'success', count: '42' }, { result: 'duplicate', count: '3' }] }
+        : { rows: [{ id: 1 }] }
+    ));
+  });
+
+  function queries() {
+    const [[logsSql, logsValues], [summarySql, summaryValues]] = database.query.mock.calls;
+    return { logsSql: normalizeSql(logsSql), logsValues, summarySql: normalizeSql(summarySql), summaryValues };
+  }
+
+  it('✅ devrait limiter l\'historique à l\'événement sans filtre', async () => {
+    await scanLogsRepository.findByEvent(3);
+
+    const { logsSql, logsValues, summarySql, summaryValues } = queries();
+    expect(logsSql).toContain('WHERE sl.event_id = $1 ORDER BY sl.scan_time DESC, sl.id DESC LIMIT $2 OFFSET $3');
+    expect(logsValues).toEqual([3, 50, 0]);
+    expect(summarySql).toContain('WHERE sl.event_id = $1 GROUP BY sl.result');
+    expect(summaryValues).toEqual([3]);
+  });
+
+  it('✅ devrait traduire chaque filtre en condition paramétrée', async () => {
+    await scanLogsRepository.findByEvent(3, {
+      result: 'forged',
+      source: 'online',
+      direction: 'entry',
+      ticket_id: '40',
+      ticket_code: 'TCK-1',
+      operator_id: '8',
+      device_id: 'gate-a',
+      checkpoint_id: 'north',
+      zone_id: '2',
+      date_from: '2026-05-01T00:00:00Z',
+      date_to: '2026-05-02T00:00:00Z',
+      page: 1,
+      limit: 50
+    });
+
+    const { logsSql, logsValues, summarySql, summaryValues } = queries();
+    const where = 'WHERE sl.event_id = $1 AND sl.result = $2 AND sl.source = $3 AND sl.direction = $4'
+      + ' AND sl.ticket_id = $5 AND sl.ticket_code = $6 AND sl.operator_id = $7 AND sl.device_id = $8'
+      + ' AND sl.checkpoint_id = $9 AND sl.access_zone_id = $10 AND sl.scan_time >= $11 AND sl.scan_time <= $12';
+    const filterValues = [3, 'forged', 'online', 'entry', '40', 'TCK-1', '8', 'gate-a', 'north', '2',
+      '2026-05-01T00:00:00Z', '2026-05-02T00:00:00Z'];
+    expect(logsSql).toContain(`${where} ORDER BY`);
+    expect(logsSql).toContain('LIMIT $13 OFFSET $14');
+    expect(logsValues).toEqual([...filterValues, 50, 0]);
+    // Le décompte par résultat porte sur les mêmes filtres, sans pagination
+    expect(summarySql).toContain(`${where} GROUP BY`);
+    expect(summaryValues).toEqual(filterValues);
+  });
+
+  it('✅ devrait ignorer les filtres vides', async () => {
+    await scanLogsRepository.findByEvent(3, { result: '', source: null, device_id: undefined, ticket_code: 'TCK-1' });
+
+    const { logsSql, logsValues } = queries();
+    expect(logsSql).toContain('WHERE sl.event_id = $1 AND sl.ticket_code = $2 ORDER BY');
+    expect(logsValues).toEqual([3, 'TCK-1', 50, 0]);
+  });
+
+  it('✅ devrait décaler la page et totaliser le décompte par résultat', async () => {
+    const result = await scanLogsRepository.findByEvent(3, { page: 3, limit: 20 });
+
+    expect(queries().logsValues).toEqual([3, 20, 40]);
+    expect(result).toEqual({
+      logs: [{ id: 1 }],
+      summary: { success: 42, duplicate: 3 },
+      pagination: { page: 3, limit: 20, total: 45, totalPages: 3 }
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - HISTORIQUE DES SCANS
+ * ========================================
+ * Validation des filtres de l'historique, accès réservé à l'organisateur,
+ * bornes de la pagination et catégorie de résultat des refus
+ */
+
+jest.mock('../../../../src/modules/tickets/scan-logs.repository', () => ({
+  findEvent: jest.fn(),
+  findByEvent: jest.fn(),
+  create: jest.fn()
+}));
+
+const scanLogsRepository = require('../../../../src/modules/tickets/scan-logs.repository');
+const scanLogsService = require('../../../../src/modules/tickets/scan-logs.service');
+
+describe('ScanLogsService', () => {
+  const history = {
+    logs: [{ id: 1, result: 'success' }],
+    summary: { success: 1 },
+    pagination: { page: 1, limit: 50, total: 1, totalPages: 1 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scanLogsRepository.findEvent.mockResolvedValue({ id: 3, organizer_id: 7 });
+    scanLogsRepository.findByEvent.mockResolvedValue(history);
+  });
+
+  describe('getEventHistory', () => {
+    it('✅ devrait transmettre les filtres avec la pagination par défaut', async () => {
+      const filters = {
+        result: 'duplicate',
+        source: 'offline',
+        direction: 'exit',
+        ticket_id: '40',
+        operator_id: '8',
+        zone_id: '2',
+        device_id: 'gate-a',
+        date_from: '2026-05-01T00:00:00Z',
+        date_to: '2026-05-02T00:00:00Z'
+      };
+
+      const result = await scanLogsService.getEventHistory(3, filters, 7);
+
+      expect(scanLogsRepository.findByEvent).toHaveBeenCalledWith(3, { ...filters, page: 1, limit: 50 });
+      expect(result).toEqual({ success: true, data: history });
+    });
+
+    it.each([
+      [{ page: '3', limit: '20' }, 3, 20],
+      [{ page: '0', limit: '0' }, 1, 50],
+      [{ page: '-2', limit: '-5' }, 1, 1],
+      [{ page: 'abc', limit: 'abc' }, 1, 50],
+      [{ limit: '1000' }, 1, 200]
+    ])('✅ devrait borner la pagination %o', async (filters, page, limit) => {
+      await scanLogsService.getEventHistory(3, filters, 7);
+
+      expect(scanLogsRepository.findByEvent).toHaveBeenCalledWith(3, expect.objectContaining({ page, limit }));
+    });
+
+    it('❌ devrait refuser des filtres invalides', async () => {
+      const result = await scanLogsService.getEventHistory(3, {
+        result: 'unknown',
+        source: 'bluetooth',
+        direction: 'sideways',
+        date_from: 'yesterday',
+        ticket_id: '12;DROP',
+        zone_id: 'abc'
+      }, 7);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Invalid scan history filters',
+        details: [
+          'result must be one of: success, duplicate, forged, wrong_zone, out_of_window, rejected',
+          'source must be one of: online, offline, service',
+          'direction must be entry or exit',
+          'date_from must be a valid date',
+          'ticket_id must be a numeric ID',
+          'zone_id must be a numeric ID'
+        ]
+      });
+      expect(scanLogsRepository.findEvent).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait réserver l\'historique à l\'organisateur', async () => {
+      const result = await scanLogsService.getEventHistory(3, {}, 8);
+
+      expect(result).toEqual({ success: false, error: 'Access denied' });
+      expect(scanLogsRepository.findByEvent).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait signaler un événement inconnu', async () => {
+      scanLogsRepository.findEvent.mockResolvedValue(null);
+
+      const result = await scanLogsService.getEventHistory(3, {}, 7);
+
+      expect(result).toEqual({ success: false, error: 'Event not found' });
+    });
+  });
+
+  describe('classify', () => {
+    it.each([
+      ['TICKET_ALREADY_USED', 'duplicate'],
+      ['QR_SIGNATURE_INVALID', 'forged'],
+      ['ZONE_ACCESS_DENIED', 'wrong_zone'],
+      ['QR_SIGNATURE_STALE', 'out_of_window'],
+      ['SOMETHING_ELSE', 'rejected'],
+      [undefined, 'rejected']
+    ])('✅ devrait classer %s en %s', (code, result) => {
+      expect(scanLogsService.classify(code)).toBe(result);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - RÉSERVATIONS DE BILLETS
+ * ========================================
+ * Réservation atomique multi-types, libération, conversion en billets
+ * et revérification des réservations expirées avant émission
+ */
+
+jest.mock('../../../../src/modules/tickets/ticket-inventory.repository', () => ({
+  transaction: jest.fn(),
+  lockTicketType: jest.fn(),
+  expireHolds: jest.fn(),
+  getUsage: jest.fn(),
+  createHold: jest.fn(),
+  findExpiredHoldTypeIds: jest.fn(),
+  findHoldsByPayment: jest.fn(),
+  findOrCreateGuest: jest.fn(),
+  findOrCreateEventGuest: jest.fn(),
+  createTicketFromHold: jest.fn(),
+  markConverted: jest.fn(),
+  markUnfulfilled: jest.fn(),
+  flagPaymentForRefund: jest.fn(),
+  releaseByPayment: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/ticket-qr.service', () => ({
+  issue: jest.fn()
+}));
+
+const ticketInventoryRepository = require('../../../../src/modules/tickets/ticket-inventory.repository');
+const ticketQrService = require('../../../../src/modules/tickets/ticket-qr.service');
+const ticketInventoryService = require('../../../../src/modules/tickets/ticket-inventory.service');
+
+const PAST = new Date(Date.now() - 60000).toISOString();
+const FUTURE = new Date(Date.now() + 600000).toISOString();
+
+describe('TicketInventoryService', () => {
+  const client = { query: jest.fn() };
+  const ticketTypes = {
+    1: { id: 1, event_id: 5, name: 'Standard', quantity: 10 },
+    2: { id: 2, event_id: 5, name: 'VIP', quantity: 2 },
+    3: { id: 3, event_id: 5, name: 'Libre', quantity: 0 }
+  };
+  let usage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usage = { 1: { sold: 0, held: 0 }, 2: { sold: 1, held: 0 }, 3: { sold: 40, held: 3 } };
+    ticketInventoryRepository.transaction.mockImplementation(callback => callback(client));
+    ticketInventoryRepository.lockTicketType.mockImplementation(async id => ticketTypes[id] || null);
+    ticketInventoryRepository.getUsage.mockImplementation(async id => usage[id]);
+    ticketInventoryRepository.createHold.mockImplementation(async hold => ({ id: hold.ticket_type_id * 100, ...hold }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('buildCounts', () => {
+    it('✅ devrait déduire les billets émis et réservés de la capacité', () => {
+      expect(ticketInventoryService.buildCounts({ id: 1, quantity: 10 }, { sold: '4', held: '3' }))
+        .toEqual({ ticket_type_id: 1, capacity: 10, sold: 4, held: 3, available: 3 });
+    });
+
+    it('✅ devrait considérer quantity = 0 comme illimité', () => {
+      expect(ticketInventoryService.buildCounts({ id: 3, quantity: 0 }, { sold: 40 }).available).toBeNull();
+    });
+  });
+
+  // ========================================
+  // RÉSERVATION
+  // ========================================
+  describe('reserve', () => {
+    it('✅ devrait verrouiller les types dans l\'ordre de leur ID et fusionner les lignes', async () => {
+      const result = await ticketInventoryService.reserve([
+        { ticket_type_id: 2, quantity: 1, unit_price: 50 },
+        { ticket_type_id: 1, quantity: 2, unit_price: 20 },
+        { ticket_type_id: 1, quantity: 1, unit_price: 20 }
+      ], { eventId: 5, paymentIntentId: 'pi_1', currency: 'EUR', ttlSeconds: 60 });
+
+      expect(ticketInventoryRepository.lockTicketType.mock.calls.map(call => call[0])).toEqual([1, 2]);
+      expect(result.holds.map(hold => [hold.ticket_type_id, hold.quantity])).toEqual([[1, 3], [2, 1]]);
+      expect(ticketInventoryRepository.createHold).toHaveBeenCalledWith(expect.objectContaining({
+        payment_intent_id: 'pi_1',
+        currency: 'EUR',
+        expires_at: result.expires_at
+      }), client);
+      expect(ticketInventoryRepository.expireHolds).toHaveBeenCalledWith(1, client);
+    });
+
+    it('✅ devrait réserver sans limite un type illimité', async () => {
+      const result = await ticketInventoryService.reserve([{ ticket_type_id: 3, quantity: 100 }], { eventId: 5 });
+
+      expect(result.holds).toHaveLength(1);
+    });
+
+    it('❌ devrait tout refuser si un seul type est insuffisant', async () => {
+      await expect(ticketInventoryService.reserve([
+        { ticket_type_id: 1, quantity: 1 },
+        { ticket_type_id: 2, quantity: 2 }
+      ], { eventId: 5 })).rejects.toMatchObject({
+        code: 'TICKETS_UNAVAILABLE',
+        details: expect.objectContaining({ ticket_type_id: 2, available: 1 })
+      });
+    });
+
+    it('❌ devrait refuser un type d\'un autre événement', async () => {
+      await expect(ticketInventoryService.reserve([{ ticket_type_id: 1 }], { eventId: 9 }))
+        .rejects.toThrow('Ticket type 1 does not belong to this event');
+      expect(ticketInventoryRepository.createHold).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un type hors de sa fenêtre de vente', async () => {
+      ticketInventoryRepository.lockTicketType.mockResolvedValueOnce({ ...ticketTypes[1], available_from: FUTURE });
+
+      await expect(ticketInventoryService.reserve([{ ticket_type_id: 1 }], { eventId: 5 }))
+        .rejects.toThrow('Ticket type Standard is not on sale yet');
+    });
+
+    it('❌ devrait refuser une quantité invalide ou une liste vide', async () => {
+      await expect(ticketInventoryService.reserve([])).rejects.toThrow('At least one ticket type is required');
+      await expect(ticketInventoryService.reserve([{ ticket_type_id: 1, quantity: -2 }]))
+        .rejects.toThrow('Each item requires a ticket_type_id and a positive quantity');
+    });
+  });
+
+  describe('releaseHolds', () => {
+    it('✅ devrait libérer les réservations actives du paiement', async () => {
+      ticketInventoryRepository.releaseByPayment.mockResolvedValue([{ id: 100 }]);
+
+      const released = await ticketInventoryService.releaseHolds('pi_1', 'payment_failed', client);
+
+      expect(ticketInventoryRepository.releaseByPayment).toHaveBeenCalledWith('pi_1', 'payment_failed', client);
+      expect(released).toEqual([{ id: 100 }]);
+    });
+  });
+
+  // ========================================
+  // CONVERSION EN BILLETS
+  // ========================================
+  describe('convertHolds', () => {
+    const buyerInfo = { email: 'buyer@example.com', first_name: 'Ada' };
+
+    beforeEach(() => {
+      ticketInventoryRepository.findExpiredHoldTypeIds.mockResolvedValue([]);
+      ticketInventoryRepository.findOrCreateGuest.mockResolvedValue({ id: 7 });
+      ticketInventoryRepository.findOrCreateEventGuest.mockResolvedValue({ id: 70 });
+      let ticketId = 0;
+      ticketInventoryRepository.createTicketFromHold.mockImplementation(async () => ({ id: ++ticketId }));
+      ticketQrService.issue.mockImplementation(async ticket => ({ ...ticket, qr_code_data: `qr-${ticket.id}` }));
+    });
+
+    it('✅ devrait émettre un billet signé par place et ignorer les réservations déjà converties', async () => {
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([
+        { id: 100, status: 'held', ticket_type_id: 1, event_id: 5, quantity: 2, expires_at: FUTURE, buyer_info: buyerInfo },
+        { id: 101, status: 'converted', ticket_type_id: 1, event_id: 5, quantity: 1, expires_at: FUTURE, buyer_info: buyerInfo }
+      ]);
+
+      const tickets = await ticketInventoryService.convertHolds('pi_1', client);
+
+      expect(tickets.map(ticket => ticket.qr_code_data)).toEqual(['qr-1', 'qr-2']);
+      expect(ticketQrService.issue).toHaveBeenCalledWith({ id: 1, event_id: 5 }, client);
+      expect(ticketInventoryRepository.markConverted).toHaveBeenCalledTimes(1);
+      expect(ticketInventoryRepository.markConverted).toHaveBeenCalledWith(100, 70, client);
+      expect(ticketInventoryRepository.flagPaymentForRefund).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait honorer une réservation expirée s\'il reste des places', async () => {
+      ticketInventoryRepository.findExpiredHoldTypeIds.mockResolvedValue([1]);
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([
+        { id: 100, status: 'expired', ticket_type_id: 1, event_id: 5, quantity: 1, expires_at: PAST, buyer_info: buyerInfo }
+      ]);
+
+      const tickets = await ticketInventoryService.convertHolds('pi_1', client);
+
+      expect(tickets).toHaveLength(1);
+      expect(ticketInventoryRepository.markUnfulfilled).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait signaler le paiement à rembourser si les places ont été revendues', async () => {
+      usage[2] = { sold: 2, held: 0 };
+      ticketInventoryRepository.findExpiredHoldTypeIds.mockResolvedValue([2]);
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([
+        { id: 200, status: 'expired', ticket_type_id: 2, event_id: 5, quantity: 1, expires_at: PAST, buyer_info: buyerInfo },
+        { id: 100, status: 'held', ticket_type_id: 1, event_id: 5, quantity: 1, expires_at: FUTURE, buyer_info: buyerInfo }
+      ]);
+
+      const tickets = await ticketInventoryService.convertHolds('pi_1', client);
+
+      expect(tickets).toHaveLength(1);
+      expect(ticketInventoryRepository.markUnfulfilled).toHaveBeenCalledWith(200, 'sold_out', client);
+      expect(ticketInventoryRepository.markConverted).toHaveBeenCalledWith(100, 70, client);
+      expect(ticketInventoryRepository.flagPaymentForRefund)
+        .toHaveBeenCalledWith('pi_1', expect.stringContaining('200'), client);
+    });
+
+    it('✅ devrait ouvrir sa propre transaction sans client', async () => {
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([]);
+
+      await ticketInventoryService.convertHolds('pi_1');
+
+      expect(ticketInventoryRepository.transaction).toHaveBeenCalledTimes(1);
+      expect(ticketInventoryRepository.findHoldsByPayment).toHaveBeenCalledWith('pi_1', client);
+    });
+
+    it('❌ devrait échouer sans email acheteur', async () => {
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([
+        { id: 100, status: 'held', ticket_type_id: 1, event_id: 5, quantity: 1, expires_at: FUTURE, buyer_info: {} }
+      ]);
+
+      await expect(ticketInventoryService.convertHolds('pi_1', client)).rejects.toThrow('Buyer email missing for ticket hold 100');
+    });
+  });
+
+  describe('getUnfulfilledShare', () => {
+    it('✅ devrait chiffrer les réservations non honorées, remise déduite', async () => {
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([
+        { id: 100, status: 'converted', ticket_type_id: 1, quantity: 2, unit_price: '30.00', discount_amount: '6.00' },
+        { id: 101, status: 'converted', ticket_type_id: 3, quantity: 1, unit_price: '10.00', discount_amount: '0.00' },
+        { id: 200, status: 'released', release_reason: 'sold_out', ticket_type_id: 2, quantity: 2, unit_price: '40.00', discount_amount: '8.00' },
+        { id: 201, status: 'released', release_reason: 'payment_failed', ticket_type_id: 2, quantity: 1, unit_price: '40.00', discount_amount: '0.00' }
+      ]);
+
+      const share = await ticketInventoryService.getUnfulfilledShare('pi_1', client);
+
+      expect(ticketInventoryRepository.findHoldsByPayment).toHaveBeenCalledWith('pi_1', client);
+      expect(share.holds.map(hold => hold.id)).toEqual([200]);
+      expect(share.amount).toBe(72);
+      expect(share.discounted_ticket_type_ids).toEqual([1]);
+    });
+
+    it('✅ ne devrait rien retenir quand toutes les réservations sont honorées', async () => {
+      ticketInventoryRepository.findHoldsByPayment.mockResolvedValue([
+        { id: 100, status: 'converted', ticket_type_id: 1, quantity: 1, unit_price: '30.00', discount_amount: '0.00' }
+      ]);
+
+      expect(await ticketInventoryService.getUnfulfilledShare('pi_1', client))
+        .toEqual({ holds: [], amount: 0, discounted_ticket_type_ids: [] });
+    });
+  });
+
+  describe('issueWithinCapacity', () => {
+    it('✅ devrait créer le billet sous le verrou du type', async () => {
+      const create = jest.fn().mockResolvedValue({ id: 1 });
+
+      await expect(ticketInventoryService.issueWithinCapacity(1, create)).resolves.toEqual({ id: 1 });
+      expect(create).toHaveBeenCalledWith(client);
+    });
+
+    it('❌ devrait retourner null quand le type est complet', async () => {
+      usage[2] = { sold: 1, held: 1 };
+      const create = jest.fn();
+
+      await expect(ticketInventoryService.issueWithinCapacity(2, create)).resolves.toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - PALIERS DE PRIX
+ * ========================================
+ * Résolution du prix courant d'un type de billet : fenêtres de dates,
+ * seuils de quantité, prix de base et prix fixé sur les lignes d'achat
+ */
+
+jest.mock('../../../../src/modules/tickets/ticket-pricing.repository', () => ({
+  transaction: jest.fn(),
+  findTicketType: jest.fn(),
+  findTicketTypes: jest.fn(),
+  findTiers: jest.fn(),
+  updateBasePrice: jest.fn(),
+  replaceTiers: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/ticket-inventory.repository', () => ({
+  getUsage: jest.fn()
+}));
+
+const ticketPricingRepository = require('../../../../src/modules/tickets/ticket-pricing.repository');
+const ticketInventoryRepository = require('../../../../src/modules/tickets/ticket-inventory.repository');
+const ticketPricingService = require('../../../../src/modules/tickets/ticket-pricing.service');
+
+const NOW = new Date('2026-05-15T12:00:00Z');
+
+describe('TicketPricingService', () => {
+  const paidType = { id: 1, name: 'Standard', type: 'paid', price: '45.00', currency: 'EUR', organizer_id: 3 };
+  const tiers = [
+    { id: 11, ticket_type_id: 1, name: 'Early bird', price: '25.00', starts_at: null, ends_at: '2026-05-01T00:00:00Z', sold_limit: null },
+    { id: 12, ticket_type_id: 1, name: 'Prévente', price: '35.00', starts_at: null, ends_at: null, sold_limit: 100 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ========================================
+  // RÉSOLUTION DU PRIX
+  // ========================================
+  describe('resolvePrice', () => {
+    it('✅ devrait ignorer un palier dont la fenêtre est terminée', () => {
+      const price = ticketPricingService.resolvePrice(paidType, tiers, { sold: 40, held: 10 }, NOW);
+
+      expect(price).toEqual({
+        price: 35,
+        currency: 'EUR',
+        source: 'tier',
+        tier: { id: 12, name: 'Prévente', ends_at: null, remaining_at_price: 50 }
+      });
+    });
+
+    it('✅ devrait appliquer le premier palier actif dans l\'ordre', () => {
+      const price = ticketPricingService.resolvePrice(paidType, tiers, { sold: 0 }, new Date('2026-04-01T00:00:00Z'));
+
+      expect(price.tier.name).toBe('Early bird');
+      expect(price.price).toBe(25);
+    });
+
+    it('✅ devrait compter les réservations dans le seuil de quantité', () => {
+      const price = ticketPricingService.resolvePrice(paidType, tiers, { sold: 90, held: 10 }, NOW);
+
+      expect(price).toEqual({ price: 45, currency: 'EUR', source: 'base', tier: null });
+    });
+
+    it('✅ devrait ignorer un palier qui n\'a pas commencé', () => {
+      const price = ticketPricingService.resolvePrice(paidType, [
+        { id: 13, name: 'Dernière minute', price: '55.00', starts_at: '2026-06-01T00:00:00Z' }
+      ], {}, NOW);
+
+      expect(price.source).toBe('base');
+    });
+
+    it('✅ devrait retourner 0 pour un type gratuit', () => {
+      expect(ticketPricingService.resolvePrice({ ...paidType, type: 'free' }, tiers, {}, NOW))
+        .toEqual({ price: 0, currency: 'EUR', source: 'free', tier: null });
+    });
+
+    it('✅ devrait retourner un prix non géré sans prix de base ni palier', () => {
+      expect(ticketPricingService.resolvePrice({ ...paidType, price: null, currency: null }, [], {}, NOW))
+        .toEqual({ price: null, currency: 'EUR', source: null, tier: null });
+    });
+  });
+
+  // ========================================
+  // PRIX DES LIGNES D'ACHAT
+  // ========================================
+  describe('priceItems', () => {
+    beforeEach(() => {
+      ticketPricingRepository.findTicketTypes.mockResolvedValue([paidType, { id: 2, name: 'Libre', type: 'paid', price: null }]);
+      ticketPricingRepository.findTiers.mockResolvedValue(tiers.slice(1));
+      ticketInventoryRepository.getUsage.mockResolvedValue({ sold: 0, held: 0 });
+    });
+
+    it('✅ devrait remplacer le prix envoyé par le prix courant', async () => {
+      const items = await ticketPricingService.priceItems([
+        { ticket_type_id: 1, quantity: 2, unit_price: 1 },
+        { ticket_type_id: 2, quantity: 1, unit_price: 12 }
+      ]);
+
+      expect(items).toEqual([
+        { ticket_type_id: 1, quantity: 2, unit_price: 35, currency: 'EUR', price_tier_id: 12 },
+        // Type sans prix géré : le prix fourni à l'achat est conservé
+        { ticket_type_id: 2, quantity: 1, unit_price: 12 }
+      ]);
+    });
+  });
+
+  // ========================================
+  // BILLETS DE DON
+  // ========================================
+  describe('billets de don', () => {
+    const donationType = {
+      id: 3,
+      name: 'Soutien',
+      type: 'donation',
+      price: null,
+      currency: 'EUR',
+      donation_min_amount: '5.00',
+      donation_suggested_amounts: ['10.00', '20.00']
+    };
+
+    beforeEach(() => {
+      ticketPricingRepository.findTicketTypes.mockResolvedValue([donationType]);
+      ticketPricingRepository.findTiers.mockResolvedValue([]);
+      ticketInventoryRepository.getUsage.mockResolvedValue({ sold: 0, held: 0 });
+    });
+
+    it('✅ devrait afficher le minimum et les montants suggérés', () => {
+      expect(ticketPricingService.resolvePrice(donationType, [], {}, NOW)).toEqual({
+        price: 5,
+        currency: 'EUR',
+        source: 'donation',
+        tier: null,
+        donation: { min_amount: 5, suggested_amounts: [10, 20] }
+      });
+    });
+
+    it('✅ devrait prendre le montant choisi par l\'acheteur comme prix unitaire', async () => {
+      const items = await ticketPricingService.priceItems([{ ticket_type_id: 3, quantity: 2, donation_amount: '15' }]);
+
+      expect(items).toEqual([{
+        ticket_type_id: 3,
+        quantity: 2,
+        unit_price: 15,
+        donation_amount: 15,
+        currency: 'EUR',
+        price_tier_id: null
+      }]);
+    });
+
+    it('❌ devrait refuser un don inférieur au minimum', async () => {
+      await expect(ticketPricingService.priceItems([{ ticket_type_id: 3, donation_amount: 2 }]))
+        .rejects.toMatchObject({ code: 'DONATION_AMOUNT_INVALID', message: 'Donation for Soutien must be at least 5' });
+    });
+
+    it('❌ devrait refuser deux montants différents pour un même type', async () => {
+      await expect(ticketPricingService.priceItems([
+        { ticket_type_id: 3, donation_amount: 10 },
+        { ticket_type_id: 3, donation_amount: 20 }
+      ])).rejects.toMatchObject({ code: 'DONATION_AMOUNT_INVALID', message: 'Conflicting donation amounts for Soutien' });
+    });
+
+    it('❌ devrait refuser de configurer des paliers sur un type de don', async () => {
+      ticketPricingRepository.findTicketType.mockResolvedValue({ ...donationType, organizer_id: 3 });
+
+      const result = await ticketPricingService.setPricing(3, { tiers: [] }, 3);
+
+      expect(result.details).toEqual(['Donation ticket types use buyer-chosen amounts']);
+    });
+  });
+
+  // ========================================
+  // CONFIGURATION DES PALIERS
+  // ========================================
+  describe('setPricing', () => {
+    it('❌ devrait refuser un palier dont la fin précède le début', async () => {
+      const result = await ticketPricingService.setPricing(1, {
+        tiers: [{ name: 'Early bird', price: 20, starts_at: '2026-05-01T00:00:00Z', ends_at: '2026-04-01T00:00:00Z' }]
+      }, 3);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Invalid ticket pricing',
+        details: ['Tier Early bird: ends_at must be after starts_at']
+      });
+      expect(ticketPricingRepository.findTicketType).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un prix sur un type gratuit', async () => {
+      ticketPricingRepository.findTicketType.mockResolvedValue({ ...paidType, type: 'free' });
+
+      const result = await ticketPricingService.setPricing(1, { tiers: [{ name: 'VIP', price: 10 }] }, 3);
+
+      expect(result.details).toEqual(['Free ticket types cannot have a price']);
+    });
+
+    it('❌ devrait refuser un utilisateur qui n\'organise pas l\'événement', async () => {
+      ticketPricingRepository.findTicketType.mockResolvedValue(paidType);
+
+      const result = await ticketPricingService.setPricing(1, { tiers: [] }, 4);
+
+      expect(result).toEqual({ success: false, error: 'Access denied' });
+      expect(ticketPricingRepository.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
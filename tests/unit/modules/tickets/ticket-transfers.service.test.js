@@ -0,0 +1,344 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - TRANSFERTS DE BILLETS
+ * ========================================
+ * Lien d'acceptation à usage unique (seule son empreinte est conservée,
+ * remis au seul destinataire), acceptation et expiration, et changement de
+ * détenteur : nouveau code, QR code re-signé, historique de propriété
+ */
+
+jest.mock('../../../../src/modules/tickets/ticket-transfers.repository', () => ({
+  transaction: jest.fn(),
+  findTicket: jest.fn(),
+  countCompletedTransfers: jest.fn(),
+  expirePendingTransfers: jest.fn(),
+  findPendingByTicket: jest.fn(),
+  create: jest.fn(),
+  findByTokenHash: jest.fn(),
+  updateStatus: jest.fn(),
+  markAccepted: jest.fn(),
+  findOrCreateGuest: jest.fn(),
+  ensureEventGuest: jest.fn(),
+  closeOwnership: jest.fn(),
+  moveTicket: jest.fn(),
+  openOwnership: jest.fn(),
+  releaseEventGuestIfEmpty: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/tickets.repository', () => ({
+  generateTicketCode: jest.fn()
+}));
+jest.mock('../../../../src/modules/guests/guests.repository', () => ({
+  generateInvitationCode: jest.fn()
+}));
+jest.mock('../../../../src/modules/tickets/ticket-qr.service', () => ({
+  issue: jest.fn()
+}));
+jest.mock('../../../../../shared/clients/notification-client', () => ({
+  sendEmail: jest.fn()
+}), { virtual: true });
+
+const crypto = require('crypto');
+const ticketTransfersRepository = require('../../../../src/modules/tickets/ticket-transfers.repository');
+const ticketsRepository = require('../../../../src/modules/tickets/tickets.repository');
+const guestsRepository = require('../../../../src/modules/guests/guests.repository');
+const ticketQrService = require('../../../../src/modules/tickets/ticket-qr.service');
+const notificationClient = require('../../../../../shared/clients/notification-client');
+const ticketTransfersService = require('../../../../src/modules/tickets/ticket-transfers.service');
+
+const client = { query: jest.fn() };
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function ticket(overrides = {}) {
+  return {
+    id: 40,
+    ticket_code: 'TCK-OLD',
+    ticket_type_id: 6,
+    event_id: 3,
+    event_guest_id: 70,
+    organizer_id: 1,
+    email: 'holder@example.com',
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    event_title: 'Conférence',
+    event_date: '2026-11-20T18:00:00Z',
+    transfers_enabled: true,
+    is_validated: false,
+    guest_status: 'confirmed',
+    ...overrides
+  };
+}
+
+function transfer(overrides = {}) {
+  return {
+    id: 90,
+    ticket_id: 40,
+    from_event_guest_id: 70,
+    status: 'pending',
+    recipient_email: 'friend@example.com',
+    recipient_first_name: 'Grace',
+    recipient_last_name: 'Hopper',
+    expires_at: new Date(Date.now() + 3600 * 1000),
+    ...overrides
+  };
+}
+
+describe('TicketTransfersService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ticketTransfersRepository.transaction.mockImplementation(cb => cb(client));
+    ticketTransfersRepository.countCompletedTransfers.mockResolvedValue(0);
+    ticketTransfersRepository.findPendingByTicket.mockResolvedValue(null);
+    ticketTransfersRepository.create.mockImplementation(async data => ({ id: 90, status: 'pending', ...data }));
+    ticketTransfersRepository.updateStatus.mockImplementation(async (id, status) => ({ id, status }));
+    notificationClient.sendEmail.mockResolvedValue({ success: true });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('initiateTransfer', () => {
+    const holder = { id: 8, email: 'Holder@Example.com' };
+
+    beforeEach(() => {
+      ticketTransfersRepository.findTicket.mockResolvedValue(ticket());
+    });
+
+    it('✅ devrait envoyer le lien au seul destinataire et n\'en conserver que l\'empreinte', async () => {
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'Friend@Example.com', first_name: 'Grace' }, holder);
+
+      const email = notificationClient.sendEmail.mock.calls[0][0];
+      const token = email.data.responseUrl.split('/tickets/transfers/')[1];
+      expect(email.to).toBe('friend@example.com');
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(ticketTransfersRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        ticket_id: 40,
+        from_event_guest_id: 70,
+        token_hash: sha256(token),
+        recipient_email: 'friend@example.com',
+        created_by: 8
+      }), client);
+      expect(JSON.stringify(ticketTransfersRepository.create.mock.calls[0][0])).not.toContain(token);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ id: 90, status: 'pending', recipient_email: 'friend@example.com' });
+      expect(JSON.stringify(result)).not.toContain(token);
+      expect(result.data.accept_url).toBeUndefined();
+    });
+
+    it('✅ devrait générer un lien différent à chaque transfert', async () => {
+      await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+      await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+
+      const [first, second] = ticketTransfersRepository.create.mock.calls.map(([data]) => data.token_hash);
+      expect(first).not.toBe(second);
+    });
+
+    it('❌ devrait annuler le transfert si le lien ne peut être envoyé', async () => {
+      notificationClient.sendEmail.mockResolvedValue({ success: false, error: 'SMTP unavailable' });
+
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+
+      expect(result).toEqual({ success: false, error: 'Failed to send the transfer link to the recipient' });
+      expect(ticketTransfersRepository.updateStatus).toHaveBeenCalledWith(90, 'cancelled', 8);
+    });
+
+    it('❌ devrait annuler le transfert si le service de notification est injoignable', async () => {
+      notificationClient.sendEmail.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+
+      expect(result.success).toBe(false);
+      expect(ticketTransfersRepository.updateStatus).toHaveBeenCalledWith(90, 'cancelled', 8);
+    });
+
+    it('❌ devrait refuser un utilisateur qui ne détient pas le billet', async () => {
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, { id: 9, email: 'other@example.com' });
+
+      expect(result).toEqual({ success: false, error: 'Access denied' });
+      expect(ticketTransfersRepository.create).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ is_validated: true }, 'A validated ticket cannot be transferred'],
+      [{ transfers_enabled: false }, 'Transfers are not enabled for this ticket type'],
+      [{ guest_status: 'cancelled' }, 'Only confirmed tickets can be transferred']
+    ])('❌ devrait refuser le transfert d\'un billet %o', async (overrides, message) => {
+      ticketTransfersRepository.findTicket.mockResolvedValue(ticket(overrides));
+
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+
+      expect(result).toEqual({ success: false, error: message });
+      expect(notificationClient.sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un billet arrivé au nombre maximal de transferts', async () => {
+      ticketTransfersRepository.countCompletedTransfers.mockResolvedValue(3);
+
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+
+      expect(result).toEqual({ success: false, error: 'This ticket has reached the maximum of 3 transfers' });
+    });
+
+    it('❌ devrait refuser un second transfert en attente', async () => {
+      ticketTransfersRepository.findPendingByTicket.mockResolvedValue(transfer());
+
+      const result = await ticketTransfersService.initiateTransfer(40, { email: 'friend@example.com' }, holder);
+
+      expect(result).toEqual({ success: false, error: 'A transfer is already pending for this ticket' });
+      expect(ticketTransfersRepository.expirePendingTransfers).toHaveBeenCalledWith(40, client);
+      expect(notificationClient.sendEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTransferByToken', () => {
+    it('✅ devrait retrouver le transfert par l\'empreinte du jeton', async () => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(transfer());
+
+      const result = await ticketTransfersService.getTransferByToken('raw-token');
+
+      expect(ticketTransfersRepository.findByTokenHash).toHaveBeenCalledWith(sha256('raw-token'));
+      expect(result.data.status).toBe('pending');
+    });
+
+    it('✅ devrait signaler un lien expiré', async () => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(transfer({ expires_at: new Date(Date.now() - 1000) }));
+
+      const result = await ticketTransfersService.getTransferByToken('raw-token');
+
+      expect(result.data.status).toBe('expired');
+    });
+  });
+
+  describe('acceptTransfer', () => {
+    const recipientGuest = { id: 55, email: 'friend@example.com' };
+    const eventGuest = { id: 71, invitation_code: 'INV-NEW' };
+
+    beforeEach(() => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(transfer());
+      ticketTransfersRepository.findTicket.mockResolvedValue(ticket());
+      ticketTransfersRepository.findOrCreateGuest.mockResolvedValue(recipientGuest);
+      ticketTransfersRepository.ensureEventGuest.mockResolvedValue(eventGuest);
+      ticketTransfersRepository.moveTicket.mockResolvedValue({ id: 40, ticket_type_id: 6, ticket_code: 'TCK-NEW' });
+      ticketsRepository.generateTicketCode.mockResolvedValue('TCK-NEW');
+      guestsRepository.generateInvitationCode.mockReturnValue('INV-NEW');
+      ticketQrService.issue.mockResolvedValue({ id: 40, ticket_code: 'TCK-NEW', qr_code_data: 'signed' });
+    });
+
+    it('✅ devrait rattacher le billet au destinataire sous un nouveau code', async () => {
+      const result = await ticketTransfersService.acceptTransfer('raw-token');
+
+      expect(ticketTransfersRepository.findByTokenHash).toHaveBeenCalledWith(sha256('raw-token'), client, true);
+      expect(ticketTransfersRepository.findTicket).toHaveBeenCalledWith(40, client, true);
+      expect(ticketTransfersRepository.findOrCreateGuest).toHaveBeenCalledWith({
+        email: 'friend@example.com', first_name: 'Grace', last_name: 'Hopper', created_by: null
+      }, client);
+      expect(ticketTransfersRepository.markAccepted).toHaveBeenCalledWith(90, 71, client);
+      expect(result).toEqual({
+        success: true,
+        data: {
+          ticket: { id: 40, ticket_code: 'TCK-NEW', qr_code_data: 'signed' },
+          invitation_code: 'INV-NEW',
+          revoked_ticket_code: 'TCK-OLD'
+        }
+      });
+    });
+
+    it('✅ devrait passer en expiré un lien dépassé', async () => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(transfer({ expires_at: new Date(Date.now() - 1000) }));
+
+      const result = await ticketTransfersService.acceptTransfer('raw-token');
+
+      expect(result).toEqual({ success: false, error: 'Transfer is expired' });
+      expect(ticketTransfersRepository.updateStatus).toHaveBeenCalledWith(90, 'expired', null, client);
+      expect(ticketTransfersRepository.moveTicket).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un lien déjà utilisé', async () => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(transfer({ status: 'accepted' }));
+
+      const result = await ticketTransfersService.acceptTransfer('raw-token');
+
+      expect(result).toEqual({ success: false, error: 'Transfer is accepted' });
+      expect(ticketTransfersRepository.moveTicket).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait refuser un jeton inconnu', async () => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(null);
+
+      const result = await ticketTransfersService.acceptTransfer('forged-token');
+
+      expect(result).toEqual({ success: false, error: 'Transfer not found' });
+    });
+
+    it('❌ devrait annuler le transfert d\'un billet qui a changé de détenteur', async () => {
+      ticketTransfersRepository.findTicket.mockResolvedValue(ticket({ event_guest_id: 99 }));
+
+      const result = await ticketTransfersService.acceptTransfer('raw-token');
+
+      expect(result).toEqual({ success: false, error: 'Ticket is no longer held by the sender' });
+      expect(ticketTransfersRepository.updateStatus).toHaveBeenCalledWith(90, 'cancelled', null, client);
+    });
+
+    it('❌ devrait demander le prénom du destinataire s\'il est inconnu', async () => {
+      ticketTransfersRepository.findByTokenHash.mockResolvedValue(transfer({ recipient_first_name: null }));
+
+      const result = await ticketTransfersService.acceptTransfer('raw-token', {});
+
+      expect(result).toEqual({ success: false, error: 'first_name is required' });
+      expect(ticketTransfersRepository.moveTicket).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moveTicket', () => {
+    const recipient = { id: 55, email: 'friend@example.com' };
+
+    beforeEach(() => {
+      ticketTransfersRepository.ensureEventGuest.mockResolvedValue({ id: 71, invitation_code: 'INV-NEW' });
+      ticketTransfersRepository.moveTicket.mockResolvedValue({ id: 40, ticket_type_id: 6, ticket_code: 'TCK-NEW' });
+      ticketsRepository.generateTicketCode.mockResolvedValue('TCK-NEW');
+      guestsRepository.generateInvitationCode.mockReturnValue('INV-NEW');
+    });
+
+    it('✅ devrait re-signer le QR code sous le nouveau code et tracer le détenteur', async () => {
+      ticketQrService.issue.mockResolvedValue({ id: 40, ticket_code: 'TCK-NEW', qr_code_data: 'signed' });
+      const original = ticket();
+
+      const result = await ticketTransfersService.moveTicket(original, recipient, { reason: 'transfer', transfer: { id: 90 }, userId: null }, client);
+
+      expect(ticketTransfersRepository.ensureEventGuest).toHaveBeenCalledWith(3, 55, 'INV-NEW', null, client);
+      expect(ticketTransfersRepository.closeOwnership).toHaveBeenCalledWith(original, client);
+      expect(ticketTransfersRepository.moveTicket).toHaveBeenCalledWith(40, 71, 'TCK-NEW', null, client);
+      expect(ticketQrService.issue).toHaveBeenCalledWith({ id: 40, event_id: 3, ticket_type_id: 6 }, client);
+      expect(ticketTransfersRepository.openOwnership).toHaveBeenCalledWith({
+        ticket_id: 40,
+        event_guest_id: 71,
+        guest_id: 55,
+        ticket_code: 'TCK-NEW',
+        reason: 'transfer',
+        transfer_id: 90,
+        created_by: null
+      }, client);
+      expect(ticketTransfersRepository.releaseEventGuestIfEmpty).toHaveBeenCalledWith(70, null, client);
+      expect(result).toEqual({
+        ticket: { id: 40, ticket_code: 'TCK-NEW', qr_code_data: 'signed' },
+        event_guest: { id: 71, invitation_code: 'INV-NEW' }
+      });
+    });
+
+    it('✅ devrait créer l\'invité destinataire inconnu', async () => {
+      ticketTransfersRepository.findOrCreateGuest.mockResolvedValue({ id: 56 });
+      ticketQrService.issue.mockResolvedValue(null);
+
+      const result = await ticketTransfersService.moveTicket(ticket(), { email: 'new@example.com', first_name: 'Alan' }, { reason: 'reassignment', userId: 1 }, client);
+
+      expect(ticketTransfersRepository.findOrCreateGuest).toHaveBeenCalledWith({ email: 'new@example.com', first_name: 'Alan', created_by: 1 }, client);
+      expect(ticketTransfersRepository.openOwnership).toHaveBeenCalledWith(expect.objectContaining({ guest_id: 56, transfer_id: null, reason: 'reassignment' }), client);
+      expect(result.ticket).toEqual({ id: 40, ticket_type_id: 6, ticket_code: 'TCK-NEW' });
+    });
+  });
+});
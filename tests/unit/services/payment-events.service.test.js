@@ -0,0 +1,106 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - ÉVÉNEMENTS DE PAIEMENT
+ * ========================================
+ * Paiement réussi : émission des billets, codes promo et registre des
+ * revenus, limités à la part honorée quand des places ont été reprises
+ */
+
+jest.mock('../../../src/modules/tickets/ticket-inventory.service', () => ({
+  convertHolds: jest.fn(),
+  getUnfulfilledShare: jest.fn()
+}));
+jest.mock('../../../src/modules/refunds/refunds.service', () => ({}));
+jest.mock('../../../src/modules/tickets/promo-codes.service', () => ({
+  confirmRedemptions: jest.fn()
+}));
+jest.mock('../../../src/modules/orders/orders.service', () => ({
+  fulfilPaidOrder: jest.fn()
+}));
+jest.mock('../../../src/modules/invoices/invoices.service', () => ({}));
+jest.mock('../../../src/modules/payouts/payouts.service', () => ({
+  recordPaymentEarnings: jest.fn()
+}));
+
+const ticketInventoryService = require('../../../src/modules/tickets/ticket-inventory.service');
+const promoCodesService = require('../../../src/modules/tickets/promo-codes.service');
+const ordersService = require('../../../src/modules/orders/orders.service');
+const payoutsService = require('../../../src/modules/payouts/payouts.service');
+const paymentEventsService = require('../../../src/services/payment-events.service');
+
+describe('PaymentEventsService - paiement réussi', () => {
+  const client = { query: jest.fn() };
+  const payment = {
+    id: 9,
+    payment_intent_id: 'pi_1',
+    status: 'pending',
+    amount: '100.00',
+    currency: 'EUR',
+    organizer_id: 7,
+    event_id: 3
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('FROM payments') ? { rows: [payment] } : { rows: [], rowCount: 1 }
+    ));
+    ordersService.fulfilPaidOrder.mockResolvedValue(null);
+    ticketInventoryService.convertHolds.mockResolvedValue([{ id: 1 }]);
+    ticketInventoryService.getUnfulfilledShare.mockResolvedValue({ holds: [], amount: 0, discounted_ticket_type_ids: [] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('✅ devrait confirmer les codes et répartir le paiement entier', async () => {
+    const result = await paymentEventsService.applyPaymentStatus(client, 'completed', { payment_service_id: 'ps_1' }, 12);
+
+    expect(result).toMatchObject({ outcome: 'applied', payment_id: 9, receipt_payment_id: 9 });
+    expect(ticketInventoryService.convertHolds).toHaveBeenCalledWith('pi_1', client);
+    expect(promoCodesService.confirmRedemptions).toHaveBeenCalledWith('pi_1', client, null);
+    expect(payoutsService.recordPaymentEarnings).toHaveBeenCalledWith(expect.objectContaining({ id: 9, amount: 100 }), client);
+  });
+
+  it('✅ devrait exclure les réservations non honorées des remises et des revenus', async () => {
+    ticketInventoryService.getUnfulfilledShare.mockResolvedValue({
+      holds: [{ id: 200 }],
+      amount: 35.5,
+      discounted_ticket_type_ids: [1]
+    });
+
+    await paymentEventsService.applyPaymentStatus(client, 'completed', { payment_service_id: 'ps_1' }, 12);
+
+    expect(ticketInventoryService.getUnfulfilledShare).toHaveBeenCalledWith('pi_1', client);
+    expect(promoCodesService.confirmRedemptions).toHaveBeenCalledWith('pi_1', client, [1]);
+    expect(payoutsService.recordPaymentEarnings).toHaveBeenCalledWith(expect.objectContaining({ id: 9, amount: 64.5 }), client);
+  });
+
+  it('✅ devrait rendre les codes quand aucun billet n\'a été émis', async () => {
+    ticketInventoryService.convertHolds.mockResolvedValue([]);
+    ticketInventoryService.getUnfulfilledShare.mockResolvedValue({
+      holds: [{ id: 200 }, { id: 201 }],
+      amount: 100,
+      discounted_ticket_type_ids: []
+    });
+
+    await paymentEventsService.applyPaymentStatus(client, 'completed', { payment_service_id: 'ps_1' }, 12);
+
+    expect(promoCodesService.confirmRedemptions).toHaveBeenCalledWith('pi_1', client, []);
+    expect(payoutsService.recordPaymentEarnings).toHaveBeenCalledWith(expect.objectContaining({ amount: 0 }), client);
+  });
+
+  it('❌ devrait ignorer un paiement déjà finalisé', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    client.query.mockResolvedValueOnce({ rows: [{ ...payment, status: 'completed' }] });
+
+    const result = await paymentEventsService.applyPaymentStatus(client, 'completed', { payment_service_id: 'ps_1' }, 12);
+
+    expect(result).toEqual({ outcome: 'ignored', reason: 'payment_completed' });
+    expect(ticketInventoryService.convertHolds).not.toHaveBeenCalled();
+    expect(payoutsService.recordPaymentEarnings).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - RÉCONCILIATION DES PAIEMENTS
+ * ========================================
+ * Statut distant converti en statut local, paiement jamais enregistré auprès
+ * du service, webhook arrivé avant la correction, statuts distants en cours
+ * ou inconnus, et passage unique à la fois
+ */
+
+jest.mock('../../../src/config', () => ({
+  database: { query: jest.fn(), transaction: jest.fn() }
+}));
+jest.mock('../../../src/config/clients/payment-client', () => ({
+  getPaymentDetails: jest.fn()
+}));
+jest.mock('../../../src/services/payment-events.service', () => ({
+  applyPaymentStatus: jest.fn(),
+  afterCommit: jest.fn()
+}));
+
+const { database } = require('../../../src/config');
+const paymentClient = require('../../../src/config/clients/payment-client');
+const paymentEventsService = require('../../../src/services/payment-events.service');
+const paymentReconciliationService = require('../../../src/services/payment-reconciliation.service');
+
+const client = { query: jest.fn() };
+
+function payment(overrides = {}) {
+  return {
+    id: 9,
+    payment_intent_id: 'pi_1',
+    payment_service_id: 'ps_1',
+    status: 'pending',
+    metadata: {},
+    ...overrides
+  };
+}
+
+function remoteStatus(status, extra = {}) {
+  paymentClient.getPaymentDetails.mockResolvedValue({ success: true, data: { data: { status, ...extra } } });
+}
+
+function auditEntries(db, action) {
+  return db.query.mock.calls.filter(([sql, values]) => sql.includes('INSERT INTO audit_logs') && values[0] === action);
+}
+
+describe('PaymentReconciliationService', () => {
+  const run = { run_id: 'run-1', triggered_by: 3 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.query.mockResolvedValue({ rows: [], rowCount: 1 });
+    database.transaction.mockImplementation(cb => cb(client));
+    client.query.mockResolvedValue({ rows: [], rowCount: 1 });
+    paymentEventsService.applyPaymentStatus.mockResolvedValue({ outcome: 'applied', payment_id: 9 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('reconcilePayment', () => {
+    it.each([
+      ['completed', 'completed'],
+      ['succeeded', 'completed'],
+      ['PAID', 'completed'],
+      ['failed', 'failed'],
+      ['cancelled', 'cancelled'],
+      ['canceled', 'cancelled'],
+      ['expired', 'expired']
+    ])('✅ devrait appliquer le statut distant %s comme %s', async (remote, local) => {
+      remoteStatus(remote);
+
+      const outcome = await paymentReconciliationService.reconcilePayment(payment(), run);
+
+      expect(paymentClient.getPaymentDetails).toHaveBeenCalledWith('ps_1');
+      expect(paymentEventsService.applyPaymentStatus).toHaveBeenCalledWith(
+        client, local, expect.objectContaining({ payment_service_id: 'pi_1' }), null
+      );
+      expect(outcome.corrected).toMatchObject({
+        payment_id: 9,
+        previous_status: 'pending',
+        status: local,
+        remote_status: remote.toLowerCase(),
+        run_id: 'run-1'
+      });
+    });
+
+    it('✅ devrait journaliser la correction dans la transaction puis lancer les effets différés', async () => {
+      remoteStatus('completed', { completed_at: '2026-05-01T10:00:00Z' });
+
+      await paymentReconciliationService.reconcilePayment(payment({ metadata: { template_id: 4, user_id: 8 } }), run);
+
+      expect(paymentEventsService.applyPaymentStatus).toHaveBeenCalledWith(client, 'completed', {
+        payment_service_id: 'pi_1',
+        completed_at: '2026-05-01T10:00:00Z',
+        error_message: undefined,
+        template_id: 4,
+        user_id: 8
+      }, null);
+      const [entry] = auditEntries(client, 'payment.reconciled');
+      expect(entry[1]).toEqual(['payment.reconciled', 'payment', '9', 3, expect.any(String)]);
+      expect(JSON.parse(entry[1][4])).toMatchObject({ status: 'completed', run_id: 'run-1' });
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('last_reconciled_at = NOW()'), [9]);
+      expect(paymentEventsService.afterCommit).toHaveBeenCalledWith({ outcome: 'applied', payment_id: 9 });
+    });
+
+    it('✅ devrait passer en failed un paiement jamais enregistré auprès du service', async () => {
+      const outcome = await paymentReconciliationService.reconcilePayment(payment({ payment_service_id: null }), run);
+
+      expect(paymentClient.getPaymentDetails).not.toHaveBeenCalled();
+      expect(paymentEventsService.applyPaymentStatus).toHaveBeenCalledWith(client, 'failed', expect.objectContaining({
+        payment_service_id: 'pi_1',
+        error_message: 'Payment was never registered with the payment service'
+      }), null);
+      expect(outcome.corrected).toMatchObject({ status: 'failed', remote_status: null });
+    });
+
+    it('✅ ne devrait rien journaliser quand un webhook a finalisé le paiement entre-temps', async () => {
+      remoteStatus('completed');
+      paymentEventsService.applyPaymentStatus.mockResolvedValue({ outcome: 'ignored', reason: 'payment_completed' });
+
+      const outcome = await paymentReconciliationService.reconcilePayment(payment(), run);
+
+      expect(outcome).toEqual({ corrected: undefined });
+      expect(auditEntries(client, 'payment.reconciled')).toHaveLength(0);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('last_reconciled_at = NOW()'), [9]);
+      expect(paymentEventsService.afterCommit).toHaveBeenCalledWith({ outcome: 'ignored', reason: 'payment_completed' });
+    });
+
+    it.each(['pending', 'processing', 'requires_action', 'requires_payment_method'])(
+      '✅ devrait laisser en l\'état un paiement %s chez le service',
+      async (remote) => {
+        remoteStatus(remote);
+
+        const outcome = await paymentReconciliationService.reconcilePayment(payment(), run);
+
+        expect(outcome).toEqual({});
+        expect(database.transaction).not.toHaveBeenCalled();
+        expect(database.query).toHaveBeenCalledWith(expect.stringContaining('last_reconciled_at = NOW()'), [9]);
+      }
+    );
+
+    it('✅ devrait signaler un statut distant inconnu sans le corriger', async () => {
+      remoteStatus('disputed');
+
+      const outcome = await paymentReconciliationService.reconcilePayment(payment(), run);
+
+      expect(outcome).toEqual({ unresolved: { payment_id: 9, remote_status: 'disputed' } });
+      expect(paymentEventsService.applyPaymentStatus).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait échouer si le service de paiement ne répond pas', async () => {
+      paymentClient.getPaymentDetails.mockResolvedValue({ success: false, error: { message: 'timeout' } });
+
+      await expect(paymentReconciliationService.reconcilePayment(payment(), run))
+        .rejects.toThrow('Payment service lookup failed: {"message":"timeout"}');
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('run', () => {
+    it('✅ devrait répartir les paiements du lot et journaliser le bilan', async () => {
+      database.query.mockImplementation(async (sql) => (
+        sql.includes('FROM payments')
+          ? { rows: [payment(), payment({ id: 10, payment_intent_id: 'pi_2', payment_service_id: 'ps_2' }), payment({ id: 11, payment_intent_id: 'pi_3', payment_service_id: 'ps_3' })] }
+          : { rows: [], rowCount: 1 }
+      ));
+      paymentClient.getPaymentDetails
+        .mockResolvedValueOnce({ success: true, data: { status: 'failed' } })
+        .mockResolvedValueOnce({ success: true, data: { status: 'pending' } })
+        .mockResolvedValueOnce({ success: false, error: 'not found' });
+
+      const summary = await paymentReconciliationService.run({ triggeredBy: 3 });
+
+      expect(summary).toMatchObject({ triggered_by: 3, checked: 3, unchanged: 1, unresolved: [] });
+      expect(summary.corrected).toEqual([expect.objectContaining({ payment_id: 9, status: 'failed' })]);
+      expect(summary.errors).toEqual([{ payment_id: 11, error: 'Payment service lookup failed: not found' }]);
+      expect(auditEntries(database, 'payment.reconciliation.run')).toHaveLength(1);
+      expect(paymentReconciliationService.running).toBe(false);
+    });
+
+    it('✅ devrait ignorer un passage lancé pendant qu\'un autre est en cours', async () => {
+      let releaseQuery;
+      database.query.mockImplementationOnce(() => new Promise(resolve => {
+        releaseQuery = () => resolve({ rows: [] });
+      }));
+
+      const first = paymentReconciliationService.run();
+      expect(await paymentReconciliationService.run()).toBeNull();
+
+      releaseQuery();
+      const summary = await first;
+      expect(summary.checked).toBe(0);
+      expect(auditEntries(database, 'payment.reconciliation.run')).toHaveLength(0);
+      expect(paymentReconciliationService.running).toBe(false);
+    });
+
+    it('✅ devrait libérer le verrou de passage après une erreur', async () => {
+      database.query.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(paymentReconciliationService.run()).rejects.toThrow('connection terminated');
+
+      expect(paymentReconciliationService.running).toBe(false);
+      expect(await paymentReconciliationService.run()).toMatchObject({ checked: 0 });
+    });
+  });
+});
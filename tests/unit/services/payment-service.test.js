@@ -0,0 +1,166 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - INITIALISATION DES PAIEMENTS
+ * ========================================
+ * Montant des billets calculé par le serveur, et commande gratuite (remise
+ * totale) confirmée comme un paiement réussi, dans une transaction, sans
+ * appel au service de paiement
+ */
+
+jest.mock('../../../src/config', () => ({
+  database: { transaction: jest.fn() }
+}));
+jest.mock('../../../src/modules/tickets/ticket-inventory.service', () => ({
+  reserve: jest.fn(),
+  attachPayment: jest.fn(),
+  releaseHoldIds: jest.fn()
+}));
+jest.mock('../../../src/modules/tickets/promo-codes.service', () => ({
+  normalizeCodes: jest.fn(),
+  priceOrder: jest.fn(),
+  attachPayment: jest.fn(),
+  cancelRedemptionIds: jest.fn()
+}));
+jest.mock('../../../src/modules/tickets/ticket-pricing.service', () => ({
+  priceItems: jest.fn()
+}));
+jest.mock('../../../src/services/payment-events.service', () => ({
+  applyPaymentStatus: jest.fn(),
+  afterCommit: jest.fn()
+}));
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }));
+
+const axios = require('axios');
+const { database } = require('../../../src/config');
+const ticketInventoryService = require('../../../src/modules/tickets/ticket-inventory.service');
+const promoCodesService = require('../../../src/modules/tickets/promo-codes.service');
+const ticketPricingService = require('../../../src/modules/tickets/ticket-pricing.service');
+const paymentEventsService = require('../../../src/services/payment-events.service');
+const { initiatePayment } = require('../../../src/services/payment-service');
+
+describe('PaymentService - initiatePayment', () => {
+  const client = { query: jest.fn() };
+  const db = { query: jest.fn() };
+  const freeOrder = {
+    event_id: 5,
+    organizer_id: 7,
+    currency: 'EUR',
+    payment_method: 'stripe',
+    customer_info: { email: 'buyer@example.com' },
+    tickets: [{ ticket_type_id: 1, quantity: 2 }],
+    promo_codes: ['FREE']
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.transaction.mockImplementation(cb => cb(client));
+    db.query.mockResolvedValue({ rows: [{ id: 9, payment_intent_id: 'pi_1' }] });
+    ticketPricingService.priceItems.mockImplementation(async items => items.map(item => ({
+      ...item, unit_price: 30, currency: 'EUR', price_tier_id: null
+    })));
+    promoCodesService.normalizeCodes.mockImplementation(codes => codes || []);
+    promoCodesService.priceOrder.mockResolvedValue({
+      subtotal: 60,
+      discount_amount: 60,
+      total: 0,
+      lines: [{ ticket_type_id: 1, quantity: 2, unit_price: 30, discount_amount: 60 }],
+      promo_codes: [{ code: 'FREE' }],
+      redemption_ids: [4]
+    });
+    ticketInventoryService.reserve.mockResolvedValue({ holds: [{ id: 100, quantity: 2 }], expires_at: new Date() });
+    paymentEventsService.applyPaymentStatus.mockResolvedValue({
+      outcome: 'applied', payment_id: 9, order_fulfilment: null, receipt_payment_id: 9, tickets_issued: 2
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('montant des billets', () => {
+    const order = {
+      event_id: 5,
+      organizer_id: 7,
+      amount: 1,
+      currency: 'EUR',
+      payment_method: 'stripe',
+      customer_info: { email: 'buyer@example.com' }
+    };
+
+    beforeEach(() => {
+      axios.post.mockResolvedValue({ data: { data: { payment_service_id: 'ps_1', payment_url: 'https://pay' } } });
+    });
+
+    it('✅ devrait ignorer le montant du client et ajouter les lignes sans prix géré', async () => {
+      ticketPricingService.priceItems.mockResolvedValue([
+        { ticket_type_id: 1, quantity: 2, unit_price: 30, currency: 'EUR', price_tier_id: null },
+        { ticket_type_id: 2, quantity: 1, unit_price: '15.50' }
+      ]);
+
+      const result = await initiatePayment({ ...order, tickets: [{ ticket_type_id: 1, quantity: 2 }, { ticket_type_id: 2, quantity: 1, unit_price: '15.50' }] }, db);
+
+      expect(result).toMatchObject({ success: true, amount: 75.5, subtotal_amount: 75.5 });
+      expect(axios.post).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ amount: 75.5 }), expect.any(Object));
+      expect(ticketInventoryService.reserve).toHaveBeenCalledWith([
+        expect.objectContaining({ ticket_type_id: 1, unit_price: 30 }),
+        expect.objectContaining({ ticket_type_id: 2, unit_price: 15.5 })
+      ], expect.any(Object));
+    });
+
+    it('❌ devrait refuser une ligne sans prix géré ni unit_price', async () => {
+      ticketPricingService.priceItems.mockResolvedValue([
+        { ticket_type_id: 1, quantity: 2, unit_price: 30, currency: 'EUR', price_tier_id: null },
+        { ticket_type_id: 2, quantity: 1 }
+      ]);
+
+      const result = await initiatePayment({ ...order, tickets: [{ ticket_type_id: 1, quantity: 2 }, { ticket_type_id: 2, quantity: 1 }] }, db);
+
+      expect(result).toMatchObject({
+        success: false,
+        error: 'unit_price est obligatoire pour les types de billets sans prix (2)',
+        code: 'PAYMENT_INIT_ERROR'
+      });
+      expect(ticketInventoryService.reserve).not.toHaveBeenCalled();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('✅ devrait reprendre le montant du client sans billets', async () => {
+      const result = await initiatePayment({ ...order, amount: 25 }, db);
+
+      expect(result).toMatchObject({ success: true, amount: 25 });
+      expect(ticketPricingService.priceItems).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commande gratuite', () => {
+    it('✅ devrait confirmer le paiement dans une transaction puis lancer les effets différés', async () => {
+      const result = await initiatePayment(freeOrder, db);
+
+      expect(result).toMatchObject({
+        success: true, payment_id: 9, payment_method: 'free', amount: 0, status: 'completed', tickets_issued: 2
+      });
+      expect(database.transaction).toHaveBeenCalledTimes(1);
+      expect(paymentEventsService.applyPaymentStatus).toHaveBeenCalledWith(
+        client, 'completed', { payment_service_id: 'pi_1', completed_at: expect.any(String) }, null
+      );
+      expect(paymentEventsService.afterCommit).toHaveBeenCalledWith(expect.objectContaining({ receipt_payment_id: 9 }));
+      expect(ticketInventoryService.attachPayment).toHaveBeenCalledWith([100], 'pi_1');
+      expect(promoCodesService.attachPayment).toHaveBeenCalledWith([4], 'pi_1');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('❌ devrait rendre places et codes si la confirmation échoue', async () => {
+      paymentEventsService.applyPaymentStatus.mockRejectedValue(new Error('deadlock detected'));
+
+      const result = await initiatePayment(freeOrder, db);
+
+      expect(result).toMatchObject({ success: false, error: 'deadlock detected', code: 'PAYMENT_INIT_ERROR' });
+      expect(paymentEventsService.afterCommit).not.toHaveBeenCalled();
+      expect(ticketInventoryService.releaseHoldIds).toHaveBeenCalledWith([100], 'payment_init_failed');
+      expect(promoCodesService.cancelRedemptionIds).toHaveBeenCalledWith([4]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - BOÎTE DE RÉCEPTION DES WEBHOOKS
+ * ========================================
+ * Déduplication des livraisons : une livraison rejouée n'est appliquée
+ * qu'une fois, un traitement en échec n'est pas marqué traité
+ */
+
+jest.mock('../../../src/config', () => ({
+  database: { transaction: jest.fn() }
+}));
+
+const { database } = require('../../../src/config');
+const webhookInboxService = require('../../../src/services/webhook-inbox.service');
+
+describe('WebhookInboxService', () => {
+  const client = { query: jest.fn() };
+  const delivery = {
+    source: 'payment-service',
+    eventId: 'wh_1',
+    type: 'payment.completed',
+    paymentIntentId: 'pi_1',
+    payload: { amount: 40 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    database.transaction.mockImplementation(callback => callback(client));
+  });
+
+  it('✅ devrait appliquer une nouvelle livraison et la marquer traitée', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+      .mockResolvedValueOnce({ rows: [] });
+    const handler = jest.fn().mockResolvedValue({ outcome: 'applied', tickets: 2 });
+
+    const result = await webhookInboxService.processOnce(delivery, handler);
+
+    expect(result).toEqual({ duplicate: false, webhookId: 12, outcome: 'applied', result: { outcome: 'applied', tickets: 2 } });
+    expect(handler).toHaveBeenCalledWith(client, { id: 12 });
+    expect(client.query.mock.calls[0][1]).toEqual(['payment-service', 'wh_1', 'payment.completed', 'pi_1', '{"amount":40}']);
+    expect(client.query.mock.calls[1][1]).toEqual([12, 'applied']);
+  });
+
+  it('✅ devrait ignorer une livraison déjà reçue sans rappeler le traitement', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 12, outcome: 'applied', processed: true }] });
+    const handler = jest.fn();
+
+    const result = await webhookInboxService.processOnce(delivery, handler);
+
+    expect(result).toEqual({ duplicate: true, webhookId: 12, outcome: 'applied', result: null });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('✅ devrait enregistrer l\'issue retournée par le traitement', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 13 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await webhookInboxService.processOnce(delivery, async () => ({ outcome: 'ignored', reason: 'refund_not_found' }));
+
+    expect(result.outcome).toBe('ignored');
+    expect(client.query.mock.calls[1][1]).toEqual([13, 'ignored']);
+  });
+
+  it('❌ devrait propager l\'échec du traitement sans marquer la livraison', async () => {
+    client.query.mockResolvedValueOnce({ rows: [{ id: 14 }] });
+
+    await expect(webhookInboxService.processOnce(delivery, async () => {
+      throw new Error('Ticket type not found');
+    })).rejects.toThrow('Ticket type not found');
+    // La transaction est annulée : l'émetteur pourra renvoyer la livraison
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - CORRESPONDANCE DES COLONNES D'IMPORT
+ * ========================================
+ * Normalisation des en-têtes, correspondance proposée (alias, questions
+ * d'inscription), validation d'une correspondance et construction des lignes
+ */
+
+const {
+  normalizeHeader,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+  extractAnswers
+} = require('../../../src/utils/parsers/column-mapping');
+
+const questions = [
+  { question_key: 'dietary_requirements', label: 'Régime alimentaire' },
+  { question_key: 'company', label: 'Société' }
+];
+
+describe('Column mapping', () => {
+  describe('normalizeHeader', () => {
+    it('✅ devrait retirer accents, ponctuation, casse et BOM', () => {
+      expect(normalizeHeader('Prénom ')).toBe('prenom');
+      expect(normalizeHeader('E-mail')).toBe('e mail');
+      expect(normalizeHeader('\uFEFFN° de téléphone')).toBe('n de telephone');
+      expect(normalizeHeader('  Attendee_First_Name ')).toBe('attendee first name');
+    });
+
+    it('✅ devrait accepter un en-tête absent', () => {
+      expect(normalizeHeader(undefined)).toBe('');
+      expect(normalizeHeader(null)).toBe('');
+    });
+  });
+
+  describe('suggestMapping', () => {
+    it('✅ devrait reconnaître les en-têtes français', () => {
+      expect(suggestMapping(['Prénom', 'Nom', 'Courriel', 'Portable'])).toEqual({
+        first_name: 'Prénom',
+        last_name: 'Nom',
+        email: 'Courriel',
+        phone: 'Portable'
+      });
+    });
+
+    it('✅ devrait reconnaître un export Eventbrite', () => {
+      expect(suggestMapping(['Order #', 'Attendee First Name', 'Attendee Last Name', 'Attendee Email', 'Cell Phone Number'])).toEqual({
+        first_name: 'Attendee First Name',
+        last_name: 'Attendee Last Name',
+        email: 'Attendee Email',
+        phone: 'Cell Phone Number'
+      });
+    });
+
+    it('✅ devrait rapprocher les questions par clé ou libellé', () => {
+      const mapping = suggestMapping(['first_name', 'last_name', 'email', 'Régime alimentaire', 'company'], questions);
+
+      expect(mapping).toMatchObject({
+        'answers.dietary_requirements': 'Régime alimentaire',
+        'answers.company': 'company'
+      });
+    });
+
+    it('✅ ne devrait pas attribuer deux fois le même en-tête', () => {
+      const mapping = suggestMapping(['Nom', 'Email'], [{ question_key: 'nom', label: 'Nom' }]);
+
+      expect(mapping).toEqual({ last_name: 'Nom', email: 'Email' });
+    });
+
+    it('✅ devrait ignorer les en-têtes inconnus', () => {
+      expect(suggestMapping(['Order #', 'Ticket type'])).toEqual({});
+    });
+  });
+
+  describe('validateMapping', () => {
+    const headers = ['Prénom', 'Nom', 'E-mail', 'Régime'];
+
+    it('✅ devrait accepter une correspondance complète', () => {
+      const mapping = { first_name: 'Prénom', last_name: 'Nom', email: 'E-mail', 'answers.dietary_requirements': 'Régime' };
+
+      expect(validateMapping(mapping, headers, ['dietary_requirements'])).toEqual([]);
+    });
+
+    it('✅ devrait accepter un champ facultatif sans colonne', () => {
+      const mapping = { first_name: 'Prénom', last_name: 'Nom', email: 'E-mail', phone: null };
+
+      expect(validateMapping(mapping, headers)).toEqual([]);
+    });
+
+    it('❌ devrait signaler les champs obligatoires manquants', () => {
+      expect(validateMapping({ first_name: 'Prénom' }, headers)).toEqual([
+        { field: 'last_name', error: 'Missing mapping for required field: last_name' },
+        { field: 'email', error: 'Missing mapping for required field: email' }
+      ]);
+    });
+
+    it('❌ devrait signaler une colonne absente du fichier', () => {
+      const mapping = { first_name: 'Prénom', last_name: 'Nom', email: 'Email' };
+
+      expect(validateMapping(mapping, headers)).toEqual([
+        { field: 'email', error: 'Column not found in file: Email' }
+      ]);
+    });
+
+    it('❌ devrait refuser un champ inconnu ou une question d\'un autre événement', () => {
+      const mapping = { first_name: 'Prénom', last_name: 'Nom', email: 'E-mail', company: 'Régime', 'answers.unknown': 'Régime' };
+
+      expect(validateMapping(mapping, headers, ['dietary_requirements'])).toEqual([
+        { field: 'company', error: 'Unknown field: company' },
+        { field: 'answers.unknown', error: 'Unknown field: answers.unknown' }
+      ]);
+    });
+
+    it('❌ devrait refuser une correspondance qui n\'est pas un objet', () => {
+      expect(validateMapping(['Prénom'], headers)).toEqual([
+        { field: 'mapping', error: 'Mapping must be an object of field: header' }
+      ]);
+      expect(validateMapping(null, headers)).toHaveLength(1);
+    });
+  });
+
+  describe('applyMapping', () => {
+    it('✅ devrait construire la ligne d\'invité', () => {
+      const values = { 'Prénom': 'Marie', 'Nom': 'Curie', 'E-mail': 'marie@example.com', 'Société': 'ESPCI' };
+
+      expect(applyMapping(values, { first_name: 'Prénom', last_name: 'Nom', email: 'E-mail' })).toEqual({
+        first_name: 'Marie',
+        last_name: 'Curie',
+        email: 'marie@example.com',
+        phone: ''
+      });
+    });
+  });
+
+  describe('extractAnswers', () => {
+    it('✅ devrait extraire les réponses renseignées', () => {
+      const values = { 'Régime': 'Végétarien', 'Société': '  ', 'E-mail': 'marie@example.com' };
+      const mapping = { email: 'E-mail', 'answers.dietary_requirements': 'Régime', 'answers.company': 'Société', 'answers.size': null };
+
+      expect(extractAnswers(values, mapping)).toEqual({ dietary_requirements: 'Végétarien' });
+    });
+  });
+});
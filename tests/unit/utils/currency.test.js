@@ -0,0 +1,34 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - DEVISES ISO 4217
+ * ========================================
+ * Codes de devises reconnus et arrondi selon les décimales de la devise
+ */
+
+const {
+  normalizeCurrency,
+  isValidCurrency,
+  getMinorUnits,
+  roundToCurrency
+} = require('../../../src/utils/currency');
+
+describe('Currency utils', () => {
+  it('✅ devrait reconnaître les codes ISO 4217 sans tenir compte de la casse', () => {
+    expect(normalizeCurrency(' xof ')).toBe('XOF');
+    expect(isValidCurrency('eur')).toBe(true);
+    expect(isValidCurrency('EURO')).toBe(false);
+    expect(isValidCurrency(null)).toBe(false);
+  });
+
+  it('✅ devrait connaître le nombre de décimales de chaque devise', () => {
+    expect(getMinorUnits('XOF')).toBe(0);
+    expect(getMinorUnits('KWD')).toBe(3);
+    expect(getMinorUnits('EUR')).toBe(2);
+  });
+
+  it('✅ devrait arrondir selon la devise', () => {
+    expect(roundToCurrency(1234.567, 'XOF')).toBe(1235);
+    expect(roundToCurrency(12.34567, 'TND')).toBe(12.346);
+    expect(roundToCurrency(12.345, 'USD')).toBe(12.35);
+  });
+});
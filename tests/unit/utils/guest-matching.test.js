@@ -0,0 +1,122 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - RAPPROCHEMENT D'INVITÉS
+ * ========================================
+ * Normalisation des emails, téléphones et noms, similarité de
+ * Jaro-Winkler et clés de regroupement des noms
+ */
+
+const {
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  jaroWinkler,
+  nameSimilarity,
+  nameBlockingKeys
+} = require('../../../src/utils/guest-matching');
+
+describe('Guest matching', () => {
+  describe('normalizeEmail', () => {
+    it('✅ devrait ignorer casse, espaces et sous-adresse', () => {
+      expect(normalizeEmail('  Marie.Curie+gala@Example.com ')).toBe('marie.curie@example.com');
+    });
+
+    it('✅ devrait ignorer les points des adresses Gmail', () => {
+      expect(normalizeEmail('marie.curie@gmail.com')).toBe('mariecurie@gmail.com');
+      expect(normalizeEmail('Marie.Curie+news@googlemail.com')).toBe('mariecurie@gmail.com');
+    });
+
+    it.each([null, '', 'marie', '@example.com', 'marie@', '+tag@example.com', 42])('❌ devrait écarter %p', (input) => {
+      expect(normalizeEmail(input)).toBeNull();
+    });
+  });
+
+  describe('normalizePhone', () => {
+    it.each([
+      ['06 12 34 56 78', '+33612345678'],
+      ['06.12.34.56.78', '+33612345678'],
+      ['+33 6 12 34 56 78', '+33612345678'],
+      ['+33 (0)6 12 34 56 78', '+33612345678'],
+      ['0033612345678', '+33612345678'],
+      ['612345678', '+33612345678'],
+      ['+44 20 7946 0958', '+442079460958']
+    ])('✅ devrait convertir %p en %p', (input, expected) => {
+      expect(normalizePhone(input)).toBe(expected);
+    });
+
+    it('✅ devrait appliquer l\'indicatif demandé aux numéros nationaux', () => {
+      expect(normalizePhone('07 01 23 45 67', '225')).toBe('+225701234567');
+    });
+
+    it.each([null, '', 'n/a', '12 34', '+1234567890123456'])('❌ devrait écarter %p', (input) => {
+      expect(normalizePhone(input)).toBeNull();
+    });
+  });
+
+  describe('normalizeName', () => {
+    it('✅ devrait retirer accents, ponctuation et espaces multiples', () => {
+      expect(normalizeName('  Jean-Marc   Élie ')).toBe('jean marc elie');
+      expect(normalizeName("O'Connor")).toBe('o connor');
+      expect(normalizeName(null)).toBe('');
+    });
+  });
+
+  describe('jaroWinkler', () => {
+    it('✅ devrait retrouver les valeurs de référence', () => {
+      expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+      expect(jaroWinkler('dwayne', 'duane')).toBeCloseTo(0.84, 3);
+      expect(jaroWinkler('dixon', 'dicksonx')).toBeCloseTo(0.813, 3);
+    });
+
+    it('✅ devrait borner la similarité entre 0 et 1', () => {
+      expect(jaroWinkler('dupont', 'dupont')).toBe(1);
+      expect(jaroWinkler('abc', 'xyz')).toBe(0);
+      expect(jaroWinkler('', '')).toBe(0);
+      expect(jaroWinkler('dupont', '')).toBe(0);
+    });
+  });
+
+  describe('nameSimilarity', () => {
+    it('✅ devrait rapprocher des noms proches malgré accents et tirets', () => {
+      const score = nameSimilarity(
+        { first_name: 'Jean-Marc', last_name: 'Dupont' },
+        { first_name: 'Jean Marc', last_name: 'Dupond' }
+      );
+
+      expect(score).toBeGreaterThan(0.92);
+    });
+
+    it('✅ devrait reconnaître un prénom et un nom inversés', () => {
+      expect(nameSimilarity(
+        { first_name: 'Marie', last_name: 'Curie' },
+        { first_name: 'Curie', last_name: 'Marie' }
+      )).toBe(1);
+    });
+
+    it('✅ devrait garder un score faible sans nom de famille', () => {
+      expect(nameSimilarity({ first_name: 'Marie', last_name: '' }, { first_name: 'marie', last_name: null })).toBe(0.8);
+      expect(nameSimilarity({ first_name: 'Marie', last_name: '' }, { first_name: 'Maria', last_name: '' })).toBe(0);
+    });
+
+    it('❌ ne devrait pas rapprocher deux invités sans nom', () => {
+      expect(nameSimilarity({ first_name: '', last_name: null }, { first_name: null, last_name: '' })).toBe(0);
+    });
+
+    it('❌ devrait séparer des personnes différentes', () => {
+      expect(nameSimilarity(
+        { first_name: 'Marie', last_name: 'Curie' },
+        { first_name: 'Pierre', last_name: 'Dupont' }
+      )).toBeLessThan(0.7);
+    });
+  });
+
+  describe('nameBlockingKeys', () => {
+    it('✅ devrait produire une clé par ordre prénom / nom', () => {
+      expect(nameBlockingKeys({ first_name: 'Élise', last_name: 'Le Goff' })).toEqual(['le|e', 'el|l']);
+    });
+
+    it('✅ ne devrait pas regrouper un invité sans nom complet', () => {
+      expect(nameBlockingKeys({ first_name: 'Marie', last_name: '' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - LIENS MAGIQUES DES INVITÉS
+ * ========================================
+ * Signature et vérification des jetons d'accès invité : format, types,
+ * expiration, falsification et rotation des secrets
+ */
+
+const {
+  MAGIC_LINK_PREFIX,
+  GUEST_TOKEN_TYPES,
+  MAGIC_LINK_ERROR_CODES,
+  MagicLinkError,
+  loadMagicLinkSecrets,
+  signGuestToken,
+  verifyGuestToken
+} = require('../../../src/utils/magic-link');
+
+const SECRETS = ['current-secret'];
+const ISSUED_AT = new Date('2026-06-01T10:00:00Z');
+
+function sign(overrides = {}, secrets = SECRETS) {
+  return signGuestToken({
+    type: GUEST_TOKEN_TYPES.LINK,
+    invitationCode: 'INV-123',
+    ttlSeconds: 3600,
+    issuedAt: ISSUED_AT,
+    ...overrides
+  }, secrets);
+}
+
+function verifyError(token, options = {}) {
+  try {
+    verifyGuestToken(token, { secrets: SECRETS, now: ISSUED_AT, ...options });
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Token was accepted');
+}
+
+describe('Magic link', () => {
+  describe('loadMagicLinkSecrets', () => {
+    it('✅ devrait lire plusieurs secrets séparés par des virgules', () => {
+      expect(loadMagicLinkSecrets({ GUEST_MAGIC_LINK_SECRET: ' new , old ,' })).toEqual(['new', 'old']);
+      expect(loadMagicLinkSecrets({})).toEqual([]);
+    });
+  });
+
+  describe('signGuestToken', () => {
+    it('✅ devrait produire un jeton préfixé avec son identifiant et son expiration', () => {
+      const { token, jti, expiresAt } = sign();
+
+      expect(token.startsWith(`${MAGIC_LINK_PREFIX}.`)).toBe(true);
+      expect(token.split('.')).toHaveLength(3);
+      expect(jti).toMatch(/^[0-9a-f]{32}$/);
+      expect(expiresAt).toEqual(new Date('2026-06-01T11:00:00Z'));
+    });
+
+    it('✅ devrait générer un identifiant différent à chaque lien', () => {
+      expect(sign().jti).not.toBe(sign().jti);
+    });
+
+    it('✅ devrait reprendre l\'identifiant fourni', () => {
+      expect(sign({ jti: 'link-1' }).jti).toBe('link-1');
+    });
+
+    it('❌ devrait refuser de signer sans secret', () => {
+      expect(() => sign({}, [])).toThrow(MagicLinkError);
+      expect(() => sign({}, [])).toThrow(expect.objectContaining({ code: MAGIC_LINK_ERROR_CODES.NOT_CONFIGURED }));
+    });
+  });
+
+  describe('verifyGuestToken', () => {
+    it('✅ devrait rendre les informations du jeton', () => {
+      const { token, jti } = sign();
+
+      expect(verifyGuestToken(token, { secrets: SECRETS, type: GUEST_TOKEN_TYPES.LINK, now: ISSUED_AT })).toEqual({
+        type: 'link',
+        invitationCode: 'INV-123',
+        jti,
+        issuedAt: ISSUED_AT,
+        expiresAt: new Date('2026-06-01T11:00:00Z')
+      });
+    });
+
+    it('✅ devrait accepter un jeton signé avec un ancien secret', () => {
+      const { token } = sign({}, ['old-secret']);
+
+      expect(verifyGuestToken(token, { secrets: ['current-secret', 'old-secret'], now: ISSUED_AT }).invitationCode).toBe('INV-123');
+    });
+
+    it('❌ devrait refuser un jeton absent', () => {
+      expect(verifyError(undefined).code).toBe(MAGIC_LINK_ERROR_CODES.MISSING);
+      expect(verifyError('').code).toBe(MAGIC_LINK_ERROR_CODES.MISSING);
+    });
+
+    it('❌ devrait refuser un jeton sans secret configuré', () => {
+      expect(verifyError(sign().token, { secrets: [] }).code).toBe(MAGIC_LINK_ERROR_CODES.NOT_CONFIGURED);
+    });
+
+    it.each(['abc', 'EPML1.payload', 'EPML2.a.b', 'EPML1..sig', 'EPML1.a.b.c'])('❌ devrait refuser le jeton mal formé %p', (token) => {
+      expect(verifyError(token).code).toBe(MAGIC_LINK_ERROR_CODES.MALFORMED);
+    });
+
+    it('❌ devrait refuser un jeton signé avec un autre secret', () => {
+      expect(verifyError(sign({}, ['other-secret']).token).code).toBe(MAGIC_LINK_ERROR_CODES.INVALID);
+    });
+
+    it('❌ devrait refuser un jeton dont le contenu a été modifié', () => {
+      const [prefix, payload, signature] = sign().token.split('.');
+      const body = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const forged = Buffer.from(JSON.stringify({ ...body, ic: 'INV-999' })).toString('base64url');
+
+      expect(verifyError(`${prefix}.${forged}.${signature}`).code).toBe(MAGIC_LINK_ERROR_CODES.INVALID);
+    });
+
+    it('❌ devrait refuser un jeton de session utilisé comme lien', () => {
+      const { token } = sign({ type: GUEST_TOKEN_TYPES.SESSION });
+
+      expect(verifyError(token, { type: GUEST_TOKEN_TYPES.LINK }).code).toBe(MAGIC_LINK_ERROR_CODES.INVALID);
+    });
+
+    it('❌ devrait refuser un jeton expiré', () => {
+      const { token } = sign();
+
+      expect(verifyError(token, { now: new Date('2026-06-01T11:00:00Z') }).code).toBe(MAGIC_LINK_ERROR_CODES.EXPIRED);
+      expect(verifyGuestToken(token, { secrets: SECRETS, now: new Date('2026-06-01T10:59:59Z') }).jti).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - SIGNATURE DES QR CODES
+ * ========================================
+ * Signature et vérification des charges utiles de billets, rotation
+ * des clés, falsification et péremption des signatures
+ */
+
+const crypto = require('crypto');
+const {
+  QR_ERROR_CODES,
+  loadKeyRing,
+  isSignedPayload,
+  signTicketPayload,
+  decodeTicketPayload,
+  verifyTicketPayload,
+  signDocument
+} = require('../../../src/utils/qr-signature');
+
+const claims = { ticketId: 42, eventId: 7, ticketTypeId: 3, issuedAt: '2026-05-01T10:00:00Z' };
+
+function keyRing(activeKeyId, entries) {
+  return { activeKeyId, keys: new Map(Object.entries(entries)) };
+}
+
+describe('QR signature utils', () => {
+  // ========================================
+  // TROUSSEAU DE CLÉS
+  // ========================================
+  describe('loadKeyRing', () => {
+    it('✅ devrait lire un trousseau JSON et la clé active', () => {
+      const ring = loadKeyRing({ QR_SIGNING_KEYS: '{"2026-01":"new","2025-07":"old"}', QR_SIGNING_KEY_ID: '2026-01' });
+
+      expect(ring.activeKeyId).toBe('2026-01');
+      expect(Array.from(ring.keys.entries())).toEqual([['2026-01', 'new'], ['2025-07', 'old']]);
+    });
+
+    it('✅ devrait lire un trousseau kid:secret et prendre la première clé par défaut', () => {
+      const ring = loadKeyRing({ QR_SIGNING_KEYS: '2026-01:new, 2025-07:old' });
+
+      expect(ring.activeKeyId).toBe('2026-01');
+      expect(ring.keys.get('2025-07')).toBe('old');
+    });
+
+    it('✅ devrait retourner un trousseau vide sans configuration', () => {
+      expect(loadKeyRing({})).toEqual({ activeKeyId: null, keys: new Map() });
+    });
+  });
+
+  // ========================================
+  // SIGNATURE ET VÉRIFICATION
+  // ========================================
+  describe('signTicketPayload / verifyTicketPayload', () => {
+    const ring = keyRing('2026-01', { '2026-01': 'new-secret', '2025-07': 'old-secret' });
+
+    it('✅ devrait signer puis vérifier un billet', () => {
+      const signed = signTicketPayload(claims, ring);
+
+      expect(isSignedPayload(signed.payload)).toBe(true);
+      expect(signed.keyId).toBe('2026-01');
+      expect(verifyTicketPayload(signed.payload, { keyRing: ring, maxAgeSeconds: 0 })).toEqual({
+        keyId: '2026-01',
+        ticketId: '42',
+        eventId: '7',
+        ticketTypeId: '3',
+        issuedAt: new Date('2026-05-01T10:00:00Z')
+      });
+    });
+
+    it('✅ devrait accepter un QR code signé par une ancienne clé du trousseau', () => {
+      const signed = signTicketPayload(claims, keyRing('2025-07', { '2025-07': 'old-secret' }));
+
+      expect(verifyTicketPayload(signed.payload, { keyRing: ring, maxAgeSeconds: 0 }).keyId).toBe('2025-07');
+    });
+
+    it('❌ devrait refuser un QR code signé par une clé retirée', () => {
+      const signed = signTicketPayload(claims, keyRing('2024-01', { '2024-01': 'retired' }));
+
+      expect(() => verifyTicketPayload(signed.payload, { keyRing: ring }))
+        .toThrow(expect.objectContaining({ code: QR_ERROR_CODES.UNKNOWN_KEY }));
+    });
+
+    it('❌ devrait détecter une charge utile modifiée', () => {
+      const [prefix, , signature] = signTicketPayload(claims, ring).payload.split('.');
+      const forged = Buffer.from(JSON.stringify({ v: 1, kid: '2026-01', tid: '43', eid: '7', typ: '3', iat: 1777629600 }))
+        .toString('base64url');
+
+      expect(() => verifyTicketPayload(`${prefix}.${forged}.${signature}`, { keyRing: ring }))
+        .toThrow(expect.objectContaining({ code: QR_ERROR_CODES.INVALID }));
+    });
+
+    it('❌ devrait refuser une signature périmée', () => {
+      const signed = signTicketPayload(claims, ring);
+
+      expect(() => verifyTicketPayload(signed.payload, {
+        keyRing: ring,
+        maxAgeSeconds: 3600,
+        now: new Date('2026-05-01T12:00:00Z')
+      })).toThrow(expect.objectContaining({ code: QR_ERROR_CODES.STALE }));
+    });
+
+    it('❌ devrait refuser de signer sans clé active', () => {
+      expect(() => signTicketPayload(claims, keyRing('missing', { other: 'secret' })))
+        .toThrow('QR signing key is not configured');
+    });
+  });
+
+  describe('decodeTicketPayload', () => {
+    it('❌ devrait distinguer un QR non signé d\'un QR malformé', () => {
+      expect(() => decodeTicketPayload('TICKET-42')).toThrow(expect.objectContaining({ code: QR_ERROR_CODES.MISSING }));
+      expect(() => decodeTicketPayload('EPT1.abc')).toThrow(expect.objectContaining({ code: QR_ERROR_CODES.MALFORMED }));
+      expect(() => decodeTicketPayload('EPT1.%%%.sig')).toThrow(expect.objectContaining({ code: QR_ERROR_CODES.MALFORMED }));
+    });
+  });
+
+  describe('signDocument', () => {
+    it('✅ devrait signer un document dans un domaine distinct des QR codes', () => {
+      const ring = keyRing('2026-01', { '2026-01': 'new-secret' });
+      const signed = signDocument({ v: 1, kid: '2026-01', tid: '42', eid: '7', typ: null, iat: 1777629600 }, ring);
+      const expected = crypto.createHmac('sha256', 'new-secret').update(`EPT1-DOC.${signed.payload}`).digest('base64url');
+
+      expect(signed).toMatchObject({ key_id: '2026-01', algorithm: 'HMAC-SHA256', signature: expected });
+      // Même avec le contenu d'un billet, une signature de document n'est pas valable comme QR code
+      expect(() => verifyTicketPayload(`EPT1.${signed.payload}.${signed.signature}`, { keyRing: ring }))
+        .toThrow(expect.objectContaining({ code: QR_ERROR_CODES.INVALID }));
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - RÉCURRENCE
+ * ========================================
+ * Expansion des règles RRULE des séries d'événements, exceptions
+ * et conservation de l'heure locale autour des changements d'heure
+ */
+
+const {
+  normalizeRule,
+  expandOccurrences,
+  toRRuleString,
+  shiftWeekdays
+} = require('../../../src/utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('Recurrence utils', () => {
+  // ========================================
+  // NORMALISATION DES RÈGLES
+  // ========================================
+  describe('normalizeRule', () => {
+    it('✅ devrait normaliser fréquence, intervalle et jours', () => {
+      const rule = normalizeRule({ frequency: 'WEEKLY', interval: '2', by_weekday: ['mo', 'we', 'MO'], count: 4 });
+
+      expect(rule).toEqual({ frequency: 'weekly', interval: 2, by_weekday: ['MO', 'WE'], until: null, count: 4 });
+    });
+
+    it('✅ devrait ignorer BYDAY hors règle hebdomadaire', () => {
+      expect(normalizeRule({ frequency: 'daily', by_weekday: ['MO'], count: 2 }).by_weekday).toEqual([]);
+    });
+
+    it('❌ devrait refuser une série sans fin', () => {
+      expect(() => normalizeRule({ frequency: 'daily' })).toThrow(/until.*count/);
+    });
+
+    it('❌ devrait refuser une fréquence, un intervalle ou un jour invalide', () => {
+      expect(() => normalizeRule({ frequency: 'yearly', count: 2 })).toThrow('Fréquence de récurrence invalide');
+      expect(() => normalizeRule({ frequency: 'daily', interval: -1, count: 2 })).toThrow('intervalle');
+      expect(() => normalizeRule({ frequency: 'weekly', by_weekday: ['XX'], count: 2 })).toThrow('Jour de semaine invalide');
+    });
+
+    it('❌ devrait refuser plus de 366 occurrences', () => {
+      expect(() => normalizeRule({ frequency: 'daily', count: 367 })).toThrow('366');
+    });
+  });
+
+  // ========================================
+  // EXPANSION DES OCCURRENCES
+  // ========================================
+  describe('expandOccurrences', () => {
+    it('✅ devrait développer une règle hebdomadaire sur plusieurs jours', () => {
+      const { occurrences } = expandOccurrences('2026-01-05T18:00:00Z', {
+        frequency: 'weekly', by_weekday: ['MO', 'WE'], count: 4
+      });
+
+      expect(iso(occurrences)).toEqual([
+        '2026-01-05T18:00:00.000Z',
+        '2026-01-07T18:00:00.000Z',
+        '2026-01-12T18:00:00.000Z',
+        '2026-01-14T18:00:00.000Z'
+      ]);
+    });
+
+    it('✅ devrait ignorer les mois sans le jour de départ (RFC 5545)', () => {
+      const { occurrences } = expandOccurrences('2026-01-31T10:00:00Z', { frequency: 'monthly', count: 3 });
+
+      expect(iso(occurrences)).toEqual([
+        '2026-01-31T10:00:00.000Z',
+        '2026-03-31T10:00:00.000Z',
+        '2026-05-31T10:00:00.000Z'
+      ]);
+    });
+
+    it('✅ devrait s\'arrêter à la date until incluse', () => {
+      const { occurrences } = expandOccurrences('2026-02-01T09:00:00Z', {
+        frequency: 'daily', interval: 2, until: '2026-02-05T09:00:00Z'
+      });
+
+      expect(iso(occurrences)).toEqual([
+        '2026-02-01T09:00:00.000Z',
+        '2026-02-03T09:00:00.000Z',
+        '2026-02-05T09:00:00.000Z'
+      ]);
+    });
+
+    it('✅ devrait exclure les exceptions sans les remplacer', () => {
+      const { occurrences, excluded } = expandOccurrences('2026-02-01T09:00:00Z', { frequency: 'daily', count: 3 }, {
+        exceptions: ['2026-02-02']
+      });
+
+      expect(iso(occurrences)).toEqual(['2026-02-01T09:00:00.000Z', '2026-02-03T09:00:00.000Z']);
+      expect(iso(excluded)).toEqual(['2026-02-02T09:00:00.000Z']);
+    });
+
+    it('✅ devrait conserver l\'heure locale au passage à l\'heure d\'été', () => {
+      // 19h à Paris : UTC+1 le 28 mars, UTC+2 à partir du 29 mars 2026
+      const { occurrences } = expandOccurrences('2026-03-28T18:00:00Z', { frequency: 'daily', count: 3 }, {
+        timezone: 'Europe/Paris'
+      });
+
+      expect(iso(occurrences)).toEqual([
+        '2026-03-28T18:00:00.000Z',
+        '2026-03-29T17:00:00.000Z',
+        '2026-03-30T17:00:00.000Z'
+      ]);
+    });
+
+    it('✅ devrait comparer les exceptions au jour local du fuseau', () => {
+      // 00h30 à Paris le 11 février = 23h30 UTC le 10 février
+      const { excluded } = expandOccurrences('2026-02-09T23:30:00Z', { frequency: 'daily', count: 3 }, {
+        timezone: 'Europe/Paris',
+        exceptions: ['2026-02-11']
+      });
+
+      expect(iso(excluded)).toEqual(['2026-02-10T23:30:00.000Z']);
+    });
+
+    it('❌ devrait refuser une date de début invalide', () => {
+      expect(() => expandOccurrences('not-a-date', { frequency: 'daily', count: 2 })).toThrow('Date de début de série invalide');
+    });
+  });
+
+  // ========================================
+  // EXPORT RRULE
+  // ========================================
+  describe('toRRuleString', () => {
+    it('✅ devrait construire la valeur RRULE avec UNTIL', () => {
+      expect(toRRuleString({ frequency: 'weekly', by_weekday: ['MO', 'WE'], until: '2026-06-30T00:00:00Z' }))
+        .toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;UNTIL=20260630T000000Z');
+    });
+
+    it('✅ devrait construire la valeur RRULE avec COUNT', () => {
+      expect(toRRuleString({ frequency: 'monthly', interval: 3, count: 4 })).toBe('FREQ=MONTHLY;INTERVAL=3;COUNT=4');
+    });
+  });
+
+  describe('shiftWeekdays', () => {
+    it('✅ devrait décaler les jours en bouclant sur la semaine', () => {
+      expect(shiftWeekdays(['MO', 'SA'], 1)).toEqual(['TU', 'SU']);
+      expect(shiftWeekdays(['SU'], -1)).toEqual(['SA']);
+    });
+  });
+});
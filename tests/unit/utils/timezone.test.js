@@ -0,0 +1,52 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - FUSEAUX HORAIRES
+ * ========================================
+ * Conversion entre heure murale et instant UTC, libellés des événements
+ * sur plusieurs jours et date de fin par défaut
+ */
+
+const {
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  formatEventSchedule,
+  getEventEndDate
+} = require('../../../src/utils/timezone');
+
+describe('Timezone utils', () => {
+  it('✅ devrait reconnaître les fuseaux IANA', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+
+  it('✅ devrait convertir un instant en heure murale et inversement', () => {
+    const instant = new Date('2026-07-14T20:00:00Z');
+    const wallClock = toWallClock(instant, 'Europe/Paris');
+
+    expect(wallClock.toISOString()).toBe('2026-07-14T22:00:00.000Z');
+    expect(fromWallClock(wallClock, 'Europe/Paris').toISOString()).toBe(instant.toISOString());
+  });
+
+  it('✅ devrait appliquer le décalage d\'hiver après le changement d\'heure', () => {
+    expect(fromWallClock(new Date('2026-10-25T19:00:00Z'), 'Europe/Paris').toISOString()).toBe('2026-10-25T18:00:00.000Z');
+  });
+
+  it('✅ devrait afficher une plage de dates pour un événement sur plusieurs jours', () => {
+    const schedule = formatEventSchedule({
+      event_date: '2026-06-12T20:00:00Z',
+      end_date: '2026-06-13T02:00:00Z',
+      timezone: 'Europe/Paris'
+    });
+
+    expect(schedule.isMultiDay).toBe(true);
+    expect(schedule.date).toBe('12/06/2026 - 13/06/2026');
+    expect(schedule.time).toBe('22:00 - 04:00');
+    expect(schedule.timezone).toBe('Europe/Paris');
+  });
+
+  it('✅ devrait appliquer la durée par défaut sans date de fin', () => {
+    expect(getEventEndDate({ event_date: '2026-06-12T20:00:00Z' }).toISOString()).toBe('2026-06-12T22:00:00.000Z');
+  });
+});
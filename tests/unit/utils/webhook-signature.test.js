@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - SIGNATURE DES WEBHOOKS
+ * ========================================
+ * Vérification HMAC des webhooks inter-services : rotation des secrets,
+ * fenêtre de tolérance de l'horodatage et identifiant de livraison
+ */
+
+const {
+  WEBHOOK_ERROR_CODES,
+  loadWebhookSecrets,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  verifyWebhookRequest,
+  getWebhookEventId
+} = require('../../../src/utils/webhook-signature');
+
+describe('Webhook signature utils', () => {
+  const rawBody = Buffer.from(JSON.stringify({ type: 'payment.completed', data: { payment_intent_id: 'pi_1' } }));
+  const now = Date.parse('2026-06-12T20:00:00Z');
+  const timestamp = String(now / 1000);
+  const originalSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'current-secret, previous-secret';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) {
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+    } else {
+      process.env.PAYMENT_WEBHOOK_SECRET = originalSecret;
+    }
+  });
+
+  it('✅ devrait lire les secrets du service émetteur', () => {
+    expect(loadWebhookSecrets('payment-service')).toEqual(['current-secret', 'previous-secret']);
+    expect(loadWebhookSecrets('unknown-service')).toEqual([]);
+  });
+
+  it('✅ devrait accepter une signature valide, avec ou sans préfixe sha256=', () => {
+    const { signature } = signWebhookPayload(rawBody, 'current-secret', timestamp);
+
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature, timestamp, now })).not.toThrow();
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature: `sha256=${signature}`, timestamp, now }))
+      .not.toThrow();
+  });
+
+  it('✅ devrait accepter l\'ancien secret pendant une rotation', () => {
+    const { signature } = signWebhookPayload(rawBody, 'previous-secret', timestamp);
+
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature, timestamp, now })).not.toThrow();
+  });
+
+  it('✅ devrait accepter un horodatage ISO 8601', () => {
+    const isoTimestamp = '2026-06-12T19:58:00.000Z';
+    const { signature } = signWebhookPayload(rawBody, 'current-secret', isoTimestamp);
+
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature, timestamp: isoTimestamp, now }))
+      .not.toThrow();
+  });
+
+  it('❌ devrait refuser un corps modifié', () => {
+    const { signature } = signWebhookPayload(rawBody, 'current-secret', timestamp);
+
+    expect(() => verifyWebhookSignature({
+      source: 'payment-service',
+      rawBody: Buffer.from(rawBody.toString().replace('pi_1', 'pi_2')),
+      signature,
+      timestamp,
+      now
+    })).toThrow(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.INVALID }));
+  });
+
+  it('❌ devrait refuser une signature réutilisée avec un autre horodatage', () => {
+    const { signature } = signWebhookPayload(rawBody, 'current-secret', timestamp);
+
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature, timestamp: String(now / 1000 + 1), now }))
+      .toThrow(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.INVALID }));
+  });
+
+  it('❌ devrait refuser un horodatage hors de la fenêtre de tolérance (rejeu)', () => {
+    const oldTimestamp = String(now / 1000 - 600);
+    const { signature } = signWebhookPayload(rawBody, 'current-secret', oldTimestamp);
+
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature, timestamp: oldTimestamp, now }))
+      .toThrow(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.TIMESTAMP_OUT_OF_TOLERANCE }));
+  });
+
+  it('❌ devrait distinguer signature absente, horodatage invalide et secret manquant', () => {
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, timestamp, now }))
+      .toThrow(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.MISSING }));
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature: 'ab', timestamp: 'hier', now }))
+      .toThrow(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.TIMESTAMP_INVALID }));
+
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    expect(() => verifyWebhookSignature({ source: 'payment-service', rawBody, signature: 'ab', timestamp, now }))
+      .toThrow(expect.objectContaining({ code: WEBHOOK_ERROR_CODES.NOT_CONFIGURED }));
+  });
+
+  describe('verifyWebhookRequest', () => {
+    it('✅ devrait vérifier le corps brut et les en-têtes de la requête', () => {
+      const signed = signWebhookPayload(rawBody, 'current-secret');
+      const req = { rawBody, headers: { 'x-webhook-signature': signed.signature, 'x-timestamp': signed.timestamp } };
+
+      expect(verifyWebhookRequest(req, 'payment-service')).toEqual({ valid: true });
+    });
+
+    it('❌ devrait retourner le code d\'erreur sans lever', () => {
+      const req = { rawBody, headers: {} };
+
+      expect(verifyWebhookRequest(req, 'payment-service')).toMatchObject({ valid: false, code: WEBHOOK_ERROR_CODES.MISSING });
+    });
+  });
+
+  describe('getWebhookEventId', () => {
+    it('✅ devrait préférer X-Webhook-Id puis webhookId puis X-Request-ID', () => {
+      expect(getWebhookEventId({ headers: { 'x-webhook-id': 'wh_1', 'x-request-id': 'req_1' }, body: { webhookId: 'wh_2' } }))
+        .toBe('wh_1');
+      expect(getWebhookEventId({ headers: { 'x-request-id': 'req_1' }, body: { webhookId: 'wh_2' } })).toBe('wh_2');
+      expect(getWebhookEventId({ headers: { 'x-request-id': 'req_1' }, body: {} })).toBe('req_1');
+      expect(getWebhookEventId({ headers: {}, body: {} })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * ========================================
+ * TESTS UNITAIRES - BILLETS DE DON
+ * ========================================
+ * Réglages des types de billets de don et montant choisi par l'acheteur
+ */
+
+const {
+  validateDonationSettings,
+  validateDonationAmount
+} = require('../../../src/validators/ticket-donation.validator');
+
+describe('Ticket donation validator', () => {
+  const ticketType = { name: 'Soutien', donation_min_amount: '5.00' };
+
+  describe('validateDonationAmount', () => {
+    it('✅ devrait accepter un montant au moins égal au minimum', () => {
+      expect(validateDonationAmount(ticketType, 5)).toBeNull();
+      expect(validateDonationAmount(ticketType, '12.50')).toBeNull();
+    });
+
+    it('✅ devrait accepter tout montant positif sans minimum', () => {
+      expect(validateDonationAmount({ name: 'Soutien', donation_min_amount: null }, 0.5)).toBeNull();
+    });
+
+    it('❌ devrait refuser un montant inférieur au minimum', () => {
+      expect(validateDonationAmount(ticketType, 4.99)).toBe('Donation for Soutien must be at least 5');
+    });
+
+    it('❌ devrait refuser un montant absent, nul ou à plus de deux décimales', () => {
+      const message = 'A donation amount is required for Soutien (positive, 2 decimals max)';
+
+      expect(validateDonationAmount(ticketType, undefined)).toBe(message);
+      expect(validateDonationAmount(ticketType, 0)).toBe(message);
+      expect(validateDonationAmount(ticketType, 10.555)).toBe(message);
+      expect(validateDonationAmount(ticketType, 'dix')).toBe(message);
+    });
+  });
+
+  describe('validateDonationSettings', () => {
+    it('✅ devrait accepter un minimum et des montants suggérés', () => {
+      expect(validateDonationSettings({ donation_min_amount: 5, donation_suggested_amounts: [10, 20, 50] })).toEqual([]);
+    });
+
+    it('❌ devrait refuser des montants suggérés sous le minimum', () => {
+      expect(validateDonationSettings({ donation_min_amount: 10, donation_suggested_amounts: [5, 10, 20] }))
+        .toEqual(['Suggested amounts must be at least 10: 5']);
+    });
+
+    it('❌ devrait refuser des montants suggérés en double ou négatifs', () => {
+      expect(validateDonationSettings({ donation_suggested_amounts: [10, 10] })).toHaveLength(1);
+      expect(validateDonationSettings({ donation_min_amount: -1 })).toHaveLength(1);
+    });
+  });
+});